@@ -0,0 +1,189 @@
+/**
+ * POST /api/account/delete — GDPR self-service account deletion.
+ *
+ * Orders are kept for the accounting record but anonymised; everything else
+ * the customer owns is deleted, then the auth user itself. Deleting the auth
+ * user needs the service role, so the browser cannot do this directly.
+ *
+ * Pipeline:
+ *   1. CORS / OPTIONS / method guard.
+ *   2. Env guard.
+ *   3. Resolve caller from the Authorization Bearer Supabase JWT — 401.
+ *   4. Validate { confirm_email } — must match the caller's email (typed by
+ *      the customer as the confirmation step) — 400.
+ *   5. Refuse staff accounts (team_members) — 403; staff are removed by a
+ *      super_admin from the team page.
+ *   6. Refuse while an order is being fulfilled — 409. anonymise_customer
+ *      re-checks inside its transaction.
+ *   7. anonymise_customer() (20261019_customer_privacy.sql).
+ *   8. Remove the customer's cart-previews and brand-assets objects (best
+ *      effort).
+ *   9. DELETE the auth user; carts, addresses, preferences, reminders,
+ *      brand kit and AI conversations cascade.
+ */
+
+/* global process */
+
+export const config = {
+  maxDuration: 30, // seconds — a few PostgREST / Storage / Auth calls.
+};
+
+const ALLOW_METHODS = 'POST, OPTIONS';
+
+// Mirrors anonymise_customer's in-progress check.
+const IN_PROGRESS_STATUSES = ['confirmed', 'approved', 'in_production', 'dispatched', 'shipped'];
+
+function setCors(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', req.headers?.origin || '*');
+  res.setHeader('Access-Control-Allow-Methods', ALLOW_METHODS);
+  res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+  res.setHeader('Vary', 'Origin');
+}
+
+// Same pattern as api/admin/recompute-margin.js resolveUserFromBearer.
+async function resolveUserFromBearer({ supabaseUrl, anonKey, bearerToken }) {
+  const resp = await fetch(`${supabaseUrl}/auth/v1/user`, {
+    headers: {
+      apikey: anonKey,
+      Authorization: `Bearer ${bearerToken}`,
+    },
+  });
+  if (!resp.ok) return null;
+  try {
+    const json = await resp.json();
+    return json?.id ? json : null;
+  } catch {
+    return null;
+  }
+}
+
+// Service-role fetch against any Supabase API. Throws on non-2xx with a
+// short preview.
+async function serviceFetch(method, url, serviceRoleKey, body) {
+  const resp = await fetch(url, {
+    method,
+    headers: {
+      apikey: serviceRoleKey,
+      Authorization: `Bearer ${serviceRoleKey}`,
+      'Content-Type': 'application/json',
+      Accept: 'application/json',
+    },
+    body: body == null ? undefined : JSON.stringify(body),
+  });
+  const text = await resp.text();
+  if (!resp.ok) {
+    throw new Error(`${method} ${url.split('?')[0]} -> ${resp.status}: ${text.slice(0, 500)}`);
+  }
+  if (!text) return null;
+  try { return JSON.parse(text); } catch { return text; }
+}
+
+export default async function handler(req, res) {
+  setCors(req, res);
+
+  if (req.method === 'OPTIONS') {
+    res.statusCode = 204;
+    return res.end();
+  }
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ALLOW_METHODS);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // --- Env (project uses VITE_-prefixed names; accept bare names as fallback) ---
+  const supabaseUrl = process.env.VITE_SUPABASE_URL || process.env.SUPABASE_URL;
+  const anonKey = process.env.VITE_SUPABASE_ANON_KEY || process.env.SUPABASE_ANON_KEY;
+  const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  const missing = [];
+  if (!supabaseUrl) missing.push('VITE_SUPABASE_URL');
+  if (!anonKey) missing.push('VITE_SUPABASE_ANON_KEY');
+  if (!serviceRoleKey) missing.push('SUPABASE_SERVICE_ROLE_KEY');
+  if (missing.length) return res.status(500).json({ error: 'Missing required env vars', missing });
+
+  // --- Auth: resolve caller from Bearer JWT ---
+  const authHeader = req.headers?.authorization || '';
+  const bearerToken = authHeader.startsWith('Bearer ') ? authHeader.slice(7).trim() : null;
+  if (!bearerToken) return res.status(401).json({ error: 'Missing Authorization Bearer token' });
+
+  const caller = await resolveUserFromBearer({ supabaseUrl, anonKey, bearerToken });
+  if (!caller?.id) return res.status(401).json({ error: 'Invalid or expired session' });
+
+  // --- Body parse + confirmation ---
+  let body = req.body;
+  if (typeof body === 'string') {
+    try { body = JSON.parse(body); } catch { return res.status(400).json({ error: 'body is not valid JSON' }); }
+  }
+  const confirmEmail = typeof body?.confirm_email === 'string' ? body.confirm_email.trim().toLowerCase() : '';
+  if (!confirmEmail || confirmEmail !== String(caller.email || '').toLowerCase()) {
+    return res.status(400).json({ error: 'Type your account email address to confirm' });
+  }
+
+  const rest = `${supabaseUrl}/rest/v1`;
+  const uid = encodeURIComponent(caller.id);
+
+  // --- Staff and in-progress guards ---
+  try {
+    const team = await serviceFetch('GET', `${rest}/team_members?user_id=eq.${uid}&select=user_id`, serviceRoleKey);
+    if (Array.isArray(team) && team.length > 0) {
+      return res.status(403).json({ error: 'Staff accounts are removed by an administrator' });
+    }
+    const active = await serviceFetch(
+      'GET',
+      `${rest}/orders?customer_id=eq.${uid}&deleted_at=is.null&status=in.(${IN_PROGRESS_STATUSES.join(',')})&select=order_number`,
+      serviceRoleKey,
+    );
+    if (Array.isArray(active) && active.length > 0) {
+      return res.status(409).json({
+        error: 'You have orders in progress. You can delete your account once they have been delivered.',
+        orders: active.map((o) => o.order_number),
+      });
+    }
+  } catch (e) {
+    console.error('[account-delete] pre-checks failed:', e.message);
+    return res.status(500).json({ error: 'Could not check your account' });
+  }
+
+  // --- Anonymise ---
+  let summary;
+  try {
+    summary = await serviceFetch('POST', `${rest}/rpc/anonymise_customer`, serviceRoleKey, { p_user_id: caller.id });
+  } catch (e) {
+    console.error('[account-delete] anonymise_customer failed:', e.message);
+    if (e.message.includes('55000')) {
+      return res.status(409).json({ error: 'You have orders in progress. You can delete your account once they have been delivered.' });
+    }
+    return res.status(500).json({ error: 'Could not delete your account data' });
+  }
+
+  // --- Stored files: cart previews and brand kit logos (non-fatal — the
+  // objects are orphaned, not exposed) ---
+  for (const bucket of ['cart-previews', 'brand-assets']) {
+    try {
+      const objects = await serviceFetch(
+        'POST',
+        `${supabaseUrl}/storage/v1/object/list/${bucket}`,
+        serviceRoleKey,
+        { prefix: caller.id, limit: 1000 },
+      );
+      const prefixes = (objects || []).map((o) => `${caller.id}/${o.name}`);
+      if (prefixes.length) {
+        await serviceFetch('DELETE', `${supabaseUrl}/storage/v1/object/${bucket}`, serviceRoleKey, { prefixes });
+      }
+    } catch (e) {
+      console.error(`[account-delete] ${bucket} cleanup failed (non-fatal):`, e.message);
+    }
+  }
+
+  // --- Auth user ---
+  try {
+    await serviceFetch('DELETE', `${supabaseUrl}/auth/v1/admin/users/${uid}`, serviceRoleKey);
+  } catch (e) {
+    // Data is already anonymised; the login remains. Surface it so support
+    // can finish the job from the dashboard.
+    console.error('[account-delete] auth user delete failed:', e.message);
+    return res.status(500).json({ error: 'Your data was removed but the login could not be deleted. Please contact us.' });
+  }
+
+  console.log('[account-delete] deleted account', caller.id, summary);
+  return res.status(200).json({ ok: true });
+}
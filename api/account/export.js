@@ -0,0 +1,145 @@
+/**
+ * GET /api/account/export — GDPR data export (right of access / portability).
+ *
+ * Returns everything we hold about the signed-in customer as one JSON
+ * download: profile, addresses, email preferences, orders (with items and
+ * status timeline), quotes (with items), saved designs, brand kit, artwork
+ * upload records, the saved cart and AI assistant conversations.
+ *
+ * Runs with the service role because ai_conversations and
+ * reminder_preferences are not fully readable by the customer, but every
+ * query is filtered to the caller resolved from their own JWT — there is no
+ * user_id parameter to tamper with.
+ *
+ * Pipeline:
+ *   1. CORS / OPTIONS / method guard.
+ *   2. Env guard.
+ *   3. Resolve caller from the Authorization Bearer Supabase JWT — 401.
+ *   4. Read each table (service role, filtered to the caller).
+ *   5. Return the bundle as an attachment.
+ */
+
+/* global process */
+
+export const config = {
+  maxDuration: 30, // seconds — a handful of PostgREST reads.
+};
+
+const ALLOW_METHODS = 'GET, OPTIONS';
+
+function setCors(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', req.headers?.origin || '*');
+  res.setHeader('Access-Control-Allow-Methods', ALLOW_METHODS);
+  res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+  res.setHeader('Vary', 'Origin');
+}
+
+// Same pattern as api/admin/recompute-margin.js resolveUserFromBearer.
+async function resolveUserFromBearer({ supabaseUrl, anonKey, bearerToken }) {
+  const resp = await fetch(`${supabaseUrl}/auth/v1/user`, {
+    headers: {
+      apikey: anonKey,
+      Authorization: `Bearer ${bearerToken}`,
+    },
+  });
+  if (!resp.ok) return null;
+  try {
+    const json = await resp.json();
+    return json?.id ? json : null;
+  } catch {
+    return null;
+  }
+}
+
+// Service-role PostgREST GET. Throws on non-2xx with a short preview.
+async function pgGet(supabaseUrl, path, serviceRoleKey) {
+  const resp = await fetch(`${supabaseUrl}/rest/v1${path}`, {
+    headers: {
+      apikey: serviceRoleKey,
+      Authorization: `Bearer ${serviceRoleKey}`,
+      Accept: 'application/json',
+    },
+  });
+  const text = await resp.text();
+  if (!resp.ok) {
+    throw new Error(`PostgREST GET ${path.split('?')[0]} -> ${resp.status}: ${text.slice(0, 500)}`);
+  }
+  return text ? JSON.parse(text) : [];
+}
+
+export default async function handler(req, res) {
+  setCors(req, res);
+
+  if (req.method === 'OPTIONS') {
+    res.statusCode = 204;
+    return res.end();
+  }
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ALLOW_METHODS);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // --- Env (project uses VITE_-prefixed names; accept bare names as fallback) ---
+  const supabaseUrl = process.env.VITE_SUPABASE_URL || process.env.SUPABASE_URL;
+  const anonKey = process.env.VITE_SUPABASE_ANON_KEY || process.env.SUPABASE_ANON_KEY;
+  const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  const missing = [];
+  if (!supabaseUrl) missing.push('VITE_SUPABASE_URL');
+  if (!anonKey) missing.push('VITE_SUPABASE_ANON_KEY');
+  if (!serviceRoleKey) missing.push('SUPABASE_SERVICE_ROLE_KEY');
+  if (missing.length) return res.status(500).json({ error: 'Missing required env vars', missing });
+
+  // --- Auth: resolve caller from Bearer JWT ---
+  const authHeader = req.headers?.authorization || '';
+  const bearerToken = authHeader.startsWith('Bearer ') ? authHeader.slice(7).trim() : null;
+  if (!bearerToken) return res.status(401).json({ error: 'Missing Authorization Bearer token' });
+
+  const caller = await resolveUserFromBearer({ supabaseUrl, anonKey, bearerToken });
+  if (!caller?.id) return res.status(401).json({ error: 'Invalid or expired session' });
+
+  const uid = encodeURIComponent(caller.id);
+
+  // --- Read ---
+  // The opt-out token is a credential, not personal data — left out.
+  const sources = {
+    profile: `/customer_profiles?id=eq.${uid}&select=*`,
+    addresses: `/customer_addresses?customer_id=eq.${uid}&select=label,kind,address,is_default,created_at,updated_at`,
+    email_preferences: `/reminder_preferences?user_id=eq.${uid}&select=opted_out_at,order_updates,marketing_opt_in,updated_at`,
+    orders: `/orders?customer_id=eq.${uid}&select=*,order_items(*),order_status_events(field,from_status,to_status,note,created_at)&order=created_at.asc`,
+    quotes: `/quotes?customer_id=eq.${uid}&select=*,quote_items(*)&order=created_at.asc`,
+    designs: `/user_designs?user_id=eq.${uid}&select=*&order=created_at.asc`,
+    brand_kit: `/brand_assets?user_id=eq.${uid}&select=kind,name,value,file_path,transparent_path,created_at&order=created_at.asc`,
+    artwork_uploads: `/order_artwork?user_id=eq.${uid}&select=*&order=created_at.asc`,
+    cart: `/carts?user_id=eq.${uid}&select=items,updated_at`,
+    ai_conversations: `/ai_conversations?user_id=eq.${uid}&select=id,messages,created_at,updated_at&order=created_at.asc`,
+  };
+
+  const data = {};
+  try {
+    for (const [key, path] of Object.entries(sources)) {
+      const rows = await pgGet(supabaseUrl, path, serviceRoleKey);
+      data[key] = ['profile', 'email_preferences', 'cart'].includes(key) ? (rows[0] ?? null) : rows;
+    }
+  } catch (e) {
+    console.error('[account-export] read failed:', e.message);
+    return res.status(500).json({ error: 'Could not assemble your data export' });
+  }
+
+  const exportedAt = new Date().toISOString();
+  const bundle = {
+    exported_at: exportedAt,
+    account: {
+      id: caller.id,
+      email: caller.email,
+      created_at: caller.created_at,
+      last_sign_in_at: caller.last_sign_in_at,
+    },
+    ...data,
+  };
+
+  console.log('[account-export] exported data for', caller.id);
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="pgifts-data-${exportedAt.slice(0, 10)}.json"`);
+  res.setHeader('Cache-Control', 'no-store');
+  return res.status(200).send(JSON.stringify(bundle, null, 2));
+}
@@ -0,0 +1,299 @@
+/**
+ * POST /api/admin/refund-order — admin refund / cancellation backend.
+ *
+ * Refunds must go through Stripe with the secret key, and order_refunds /
+ * record_order_refund are service-role-only, so the admin browser cannot do
+ * this directly. This route is the only write path for staff-initiated
+ * refunds and cancellations.
+ *
+ * Pipeline:
+ *   1. CORS / OPTIONS / method guard.
+ *   2. Env guard.
+ *   3. Auth (two-step, same as recompute-margin):
+ *        a. Resolve caller from the Authorization Bearer Supabase JWT — 401.
+ *        b. Confirm the caller is an active super_admin in team_members — 403.
+ *   4. Validate { order_id, amount?, reason?, cancel? }.
+ *        amount  — GBP incl. VAT. Omitted = refund everything still refundable.
+ *                  0 with cancel=true = cancel without refunding.
+ *   5. Load the order + existing refunds; refundable = total_amount minus
+ *      succeeded AND pending refunds (a pending refund still holds the money).
+ *   6. Stripe POST /v1/refunds against the order's payment intent. The
+ *      Idempotency-Key is derived from (order, amount, amount already
+ *      refunded) so a double-click cannot refund twice.
+ *   7. record_order_refund() — same RPC the stripe-webhook charge.refunded
+ *      handler calls; idempotent on stripe_refund_id. The credit-note email
+ *      is sent from the webhook, not here, so there is one email path.
+ *   8. cancel=true -> orders.status = 'cancelled' + cancelled_at / reason,
+ *      then stamp the caller as the actor on the timeline row
+ *      (order_status_events) the orders trigger wrote for it.
+ *   9. Return the refund and the updated order money fields.
+ */
+
+/* global process */
+
+export const config = {
+  maxDuration: 30, // seconds — one Stripe call + three small PostgREST calls.
+};
+
+const ALLOW_METHODS = 'POST, OPTIONS';
+
+function setCors(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', req.headers?.origin || '*');
+  res.setHeader('Access-Control-Allow-Methods', ALLOW_METHODS);
+  res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+  res.setHeader('Vary', 'Origin');
+}
+
+// Same pattern as api/admin/recompute-margin.js resolveUserFromBearer.
+async function resolveUserFromBearer({ supabaseUrl, anonKey, bearerToken }) {
+  const resp = await fetch(`${supabaseUrl}/auth/v1/user`, {
+    headers: {
+      apikey: anonKey,
+      Authorization: `Bearer ${bearerToken}`,
+    },
+  });
+  if (!resp.ok) return null;
+  try {
+    const json = await resp.json();
+    return json?.id ? json : null;
+  } catch {
+    return null;
+  }
+}
+
+// Service-role PostgREST fetch. Throws on non-2xx with a short preview.
+async function pgRest(method, supabaseUrl, path, serviceRoleKey, { body, extraHeaders } = {}) {
+  const resp = await fetch(`${supabaseUrl}/rest/v1${path}`, {
+    method,
+    headers: {
+      apikey: serviceRoleKey,
+      Authorization: `Bearer ${serviceRoleKey}`,
+      'Content-Type': 'application/json',
+      Accept: 'application/json',
+      ...extraHeaders,
+    },
+    body: body == null ? undefined : (typeof body === 'string' ? body : JSON.stringify(body)),
+  });
+  const text = await resp.text();
+  if (!resp.ok) {
+    throw new Error(`PostgREST ${method} ${path.split('?')[0]} -> ${resp.status}: ${text.slice(0, 500)}`);
+  }
+  if (!text) return null;
+  try { return JSON.parse(text); } catch { return text; }
+}
+
+const toPence = (pounds) => Math.round(Number(pounds) * 100);
+
+export default async function handler(req, res) {
+  setCors(req, res);
+
+  if (req.method === 'OPTIONS') {
+    res.statusCode = 204;
+    return res.end();
+  }
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ALLOW_METHODS);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // --- Env (project uses VITE_-prefixed names; accept bare names as fallback) ---
+  const supabaseUrl = process.env.VITE_SUPABASE_URL || process.env.SUPABASE_URL;
+  const anonKey = process.env.VITE_SUPABASE_ANON_KEY || process.env.SUPABASE_ANON_KEY;
+  const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  const stripeSecretKey = process.env.STRIPE_SECRET_KEY;
+  const missing = [];
+  if (!supabaseUrl) missing.push('VITE_SUPABASE_URL');
+  if (!anonKey) missing.push('VITE_SUPABASE_ANON_KEY');
+  if (!serviceRoleKey) missing.push('SUPABASE_SERVICE_ROLE_KEY');
+  if (!stripeSecretKey) missing.push('STRIPE_SECRET_KEY');
+  if (missing.length) return res.status(500).json({ error: 'Missing required env vars', missing });
+
+  // --- Auth step 1: resolve caller from Bearer JWT ---
+  const authHeader = req.headers?.authorization || '';
+  const bearerToken = authHeader.startsWith('Bearer ') ? authHeader.slice(7).trim() : null;
+  if (!bearerToken) return res.status(401).json({ error: 'Missing Authorization Bearer token' });
+
+  const caller = await resolveUserFromBearer({ supabaseUrl, anonKey, bearerToken });
+  if (!caller?.id) return res.status(401).json({ error: 'Invalid or expired session' });
+
+  // --- Auth step 2: confirm active super_admin via team_members (service role) ---
+  let teamRows;
+  try {
+    teamRows = await pgRest(
+      'GET',
+      supabaseUrl,
+      `/team_members?user_id=eq.${encodeURIComponent(caller.id)}&is_active=eq.true&select=role`,
+      serviceRoleKey,
+    );
+  } catch (e) {
+    console.error('[refund-order] team_members lookup failed:', e.message);
+    return res.status(500).json({ error: 'Authorization check failed' });
+  }
+  const isSuperAdmin = Array.isArray(teamRows) && teamRows.some((r) => r.role === 'super_admin');
+  if (!isSuperAdmin) return res.status(403).json({ error: 'Forbidden — super_admin role required' });
+
+  // --- Body parse + validation ---
+  let body = req.body;
+  if (typeof body === 'string') {
+    try { body = JSON.parse(body); } catch { return res.status(400).json({ error: 'body is not valid JSON' }); }
+  }
+  if (body == null || typeof body !== 'object') {
+    return res.status(400).json({ error: 'body must be a JSON object' });
+  }
+
+  const orderId = body.order_id;
+  if (typeof orderId !== 'string' || orderId.trim().length === 0) {
+    return res.status(400).json({ error: 'order_id (non-empty string) is required' });
+  }
+  const cancel = body.cancel === true;
+  const reason = typeof body.reason === 'string' && body.reason.trim() ? body.reason.trim().slice(0, 500) : null;
+  if (body.amount != null && (typeof body.amount !== 'number' || !Number.isFinite(body.amount) || body.amount < 0)) {
+    return res.status(400).json({ error: 'amount must be a non-negative number (GBP) or omitted' });
+  }
+
+  // --- Load order + refunds so far ---
+  let order;
+  let refunds;
+  try {
+    const rows = await pgRest(
+      'GET',
+      supabaseUrl,
+      `/orders?id=eq.${encodeURIComponent(orderId)}` +
+        '&select=id,order_number,status,payment_status,payment_intent_id,total_amount,refunded_amount',
+      serviceRoleKey,
+    );
+    order = Array.isArray(rows) ? rows[0] : null;
+    refunds = order
+      ? await pgRest(
+        'GET',
+        supabaseUrl,
+        `/order_refunds?order_id=eq.${encodeURIComponent(orderId)}&select=amount,status`,
+        serviceRoleKey,
+      )
+      : [];
+  } catch (e) {
+    console.error('[refund-order] order lookup failed:', e.message);
+    return res.status(500).json({ error: 'Order lookup failed' });
+  }
+  if (!order) return res.status(404).json({ error: 'Order not found' });
+
+  const heldPence = (refunds || [])
+    .filter((r) => r.status === 'succeeded' || r.status === 'pending')
+    .reduce((sum, r) => sum + toPence(r.amount), 0);
+  const refundablePence = Math.max(0, toPence(order.total_amount) - heldPence);
+  const amountPence = body.amount == null ? refundablePence : toPence(body.amount);
+
+  if (amountPence === 0 && !cancel) {
+    return res.status(400).json({ error: 'Nothing to do — amount is zero and cancel is not set' });
+  }
+  if (amountPence > refundablePence) {
+    return res.status(400).json({
+      error: `Amount exceeds the refundable balance of £${(refundablePence / 100).toFixed(2)}`,
+    });
+  }
+  if (amountPence > 0 && !order.payment_intent_id) {
+    return res.status(409).json({ error: 'Order has no Stripe payment intent — refund it in the Stripe dashboard' });
+  }
+
+  // --- Stripe refund ---
+  let refund = null;
+  if (amountPence > 0) {
+    const params = new URLSearchParams();
+    params.append('payment_intent', order.payment_intent_id);
+    params.append('amount', String(amountPence));
+    params.append('metadata[order_id]', order.id);
+    params.append('metadata[order_number]', order.order_number || '');
+    params.append('metadata[requested_by]', caller.id);
+    if (reason) params.append('metadata[reason]', reason);
+
+    const stripeRes = await fetch('https://api.stripe.com/v1/refunds', {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${stripeSecretKey}`,
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Idempotency-Key': `refund-${order.id}-${amountPence}-after-${heldPence}`,
+      },
+      body: params.toString(),
+    });
+    refund = await stripeRes.json();
+    if (!stripeRes.ok) {
+      console.error('[refund-order] Stripe refund failed:', refund?.error);
+      return res.status(502).json({ error: refund?.error?.message || 'Stripe refund failed' });
+    }
+
+    // Record now so the admin page reflects it immediately. The webhook will
+    // upsert the same stripe_refund_id again — harmless.
+    try {
+      await pgRest('POST', supabaseUrl, '/rpc/record_order_refund', serviceRoleKey, {
+        body: {
+          p_order_id: order.id,
+          p_stripe_refund_id: refund.id,
+          p_amount: refund.amount / 100,
+          p_status: refund.status,
+          p_reason: reason,
+          p_requested_by: caller.id,
+        },
+      });
+    } catch (e) {
+      // The money has moved; the webhook will record it. Report, don't fail.
+      console.error('[refund-order] record_order_refund failed (webhook will retry):', e.message);
+    }
+  }
+
+  // --- Cancellation ---
+  if (cancel && order.status !== 'cancelled') {
+    try {
+      await pgRest('PATCH', supabaseUrl, `/orders?id=eq.${encodeURIComponent(order.id)}`, serviceRoleKey, {
+        body: {
+          status: 'cancelled',
+          cancelled_at: new Date().toISOString(),
+          cancellation_reason: reason,
+        },
+        extraHeaders: { Prefer: 'return=minimal' },
+      });
+    } catch (e) {
+      console.error('[refund-order] cancel update failed:', e.message);
+      return res.status(500).json({
+        error: refund ? 'Refund issued but the order could not be marked cancelled' : 'Failed to cancel order',
+        refund_id: refund?.id ?? null,
+      });
+    }
+    // The orders trigger logged the cancellation as 'system' (service role
+    // has no auth.uid()); record the staff member who asked for it.
+    try {
+      await pgRest(
+        'PATCH',
+        supabaseUrl,
+        `/order_status_events?order_id=eq.${encodeURIComponent(order.id)}&field=eq.status&to_status=eq.cancelled&actor_id=is.null`,
+        serviceRoleKey,
+        {
+          body: { actor_type: 'staff', actor_id: caller.id, note: reason },
+          extraHeaders: { Prefer: 'return=minimal' },
+        },
+      );
+    } catch (e) {
+      console.error('[refund-order] timeline actor update failed (non-fatal):', e.message);
+    }
+  }
+
+  let updated = null;
+  try {
+    const rows = await pgRest(
+      'GET',
+      supabaseUrl,
+      `/orders?id=eq.${encodeURIComponent(order.id)}&select=status,payment_status,refunded_amount,cancelled_at`,
+      serviceRoleKey,
+    );
+    updated = Array.isArray(rows) ? rows[0] : null;
+  } catch (e) {
+    console.error('[refund-order] reload failed (non-fatal):', e.message);
+  }
+
+  return res.status(200).json({
+    ok: true,
+    refund: refund
+      ? { id: refund.id, amount: refund.amount / 100, status: refund.status }
+      : null,
+    order: updated,
+  });
+}
@@ -0,0 +1,205 @@
+/**
+ * POST /api/admin/run-job — manual re-run of a background job from /admin/jobs.
+ *
+ * The cron routes (api/cron/*) are CRON_SECRET-only, and the browser must
+ * never hold that secret or the service-role key. This route runs the same
+ * library functions the crons call, with triggered_by='manual', so the run
+ * lands in job_runs / job_failures exactly like a scheduled one.
+ *
+ * Pipeline:
+ *   1. CORS / OPTIONS / method guard.
+ *   2. Env guard.
+ *   3. Auth (two-step, same as recompute-margin):
+ *        a. Resolve caller from the Authorization Bearer Supabase JWT — 401.
+ *        b. Confirm the caller is active staff / super_admin in team_members
+ *           — 403. A re-run only replays what the nightly cron does, so it
+ *           is not super_admin-only (AdminGuard's gate).
+ *   4. Validate { job_type: 'sync'|'stock'|'embed', supplier?, product_code? }.
+ *        supplier      — suppliers.slug; required for sync / stock (both are
+ *                        per-supplier, CLAUDE.md §27), optional for embed.
+ *        product_code  — one supplier_product_code: run_type='single'.
+ *   5. Resolve the adapter + its credentials (sync / stock) — 500 { missing }.
+ *   6. Run synchronously and return the library result (runId included) —
+ *      200 when the run completed, 500 when it was marked 'failed'.
+ *
+ * Runs are synchronous: a whole-supplier sync takes the same minute or two
+ * it takes at 03:00, inside maxDuration. Nothing stops an admin starting a
+ * run while the cron is mid-flight; both write idempotently (upserts keyed
+ * on supplier_id + code), so the worst case is duplicated work.
+ */
+
+/* global process */
+import { syncSupplierCatalogue } from '../../scripts/lib/supplier-sync.js';
+import { syncStock } from '../../scripts/lib/supplier-stock.js';
+import { embedCatalogue } from '../../scripts/lib/catalogue-embed.js';
+import { loadSupplierAdapter, missingAdapterEnv } from '../../scripts/lib/suppliers/index.js';
+
+export const config = {
+  maxDuration: 300, // seconds — same budget as the cron routes it replays.
+};
+
+const ALLOW_METHODS = 'POST, OPTIONS';
+
+const JOB_TYPES = ['sync', 'stock', 'embed'];
+// Same shapes as api/cron/sync-supplier.js and api/stock/refresh.js.
+const SUPPLIER_SLUG_SHAPE = /^[a-z0-9][a-z0-9-]{1,63}$/;
+const CODE_SHAPE = /^[A-Za-z0-9._-]{2,32}$/;
+
+function setCors(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', req.headers?.origin || '*');
+  res.setHeader('Access-Control-Allow-Methods', ALLOW_METHODS);
+  res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+  res.setHeader('Vary', 'Origin');
+}
+
+// Same pattern as api/admin/recompute-margin.js resolveUserFromBearer.
+async function resolveUserFromBearer({ supabaseUrl, anonKey, bearerToken }) {
+  const resp = await fetch(`${supabaseUrl}/auth/v1/user`, {
+    headers: {
+      apikey: anonKey,
+      Authorization: `Bearer ${bearerToken}`,
+    },
+  });
+  if (!resp.ok) return null;
+  try {
+    const json = await resp.json();
+    return json?.id ? json : null;
+  } catch {
+    return null;
+  }
+}
+
+// Service-role PostgREST fetch. Throws on non-2xx with a short preview.
+async function pgRest(method, supabaseUrl, path, serviceRoleKey, { body, extraHeaders } = {}) {
+  const resp = await fetch(`${supabaseUrl}/rest/v1${path}`, {
+    method,
+    headers: {
+      apikey: serviceRoleKey,
+      Authorization: `Bearer ${serviceRoleKey}`,
+      'Content-Type': 'application/json',
+      Accept: 'application/json',
+      ...extraHeaders,
+    },
+    body: body == null ? undefined : (typeof body === 'string' ? body : JSON.stringify(body)),
+  });
+  const text = await resp.text();
+  if (!resp.ok) {
+    throw new Error(`PostgREST ${method} ${path.split('?')[0]} -> ${resp.status}: ${text.slice(0, 500)}`);
+  }
+  if (!text) return null;
+  try { return JSON.parse(text); } catch { return text; }
+}
+
+export default async function handler(req, res) {
+  setCors(req, res);
+
+  if (req.method === 'OPTIONS') {
+    res.statusCode = 204;
+    return res.end();
+  }
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ALLOW_METHODS);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // --- Env (project uses VITE_-prefixed names; accept bare names as fallback) ---
+  const supabaseUrl = process.env.VITE_SUPABASE_URL || process.env.SUPABASE_URL;
+  const anonKey = process.env.VITE_SUPABASE_ANON_KEY || process.env.SUPABASE_ANON_KEY;
+  const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  const missing = [];
+  if (!supabaseUrl) missing.push('VITE_SUPABASE_URL');
+  if (!anonKey) missing.push('VITE_SUPABASE_ANON_KEY');
+  if (!serviceRoleKey) missing.push('SUPABASE_SERVICE_ROLE_KEY');
+  if (missing.length) return res.status(500).json({ error: 'Missing required env vars', missing });
+
+  // --- Auth step 1: resolve caller from Bearer JWT ---
+  const authHeader = req.headers?.authorization || '';
+  const bearerToken = authHeader.startsWith('Bearer ') ? authHeader.slice(7).trim() : null;
+  if (!bearerToken) return res.status(401).json({ error: 'Missing Authorization Bearer token' });
+
+  const caller = await resolveUserFromBearer({ supabaseUrl, anonKey, bearerToken });
+  if (!caller?.id) return res.status(401).json({ error: 'Invalid or expired session' });
+
+  // --- Auth step 2: confirm active staff / super_admin via team_members (service role) ---
+  let teamRows;
+  try {
+    teamRows = await pgRest(
+      'GET',
+      supabaseUrl,
+      `/team_members?user_id=eq.${encodeURIComponent(caller.id)}&is_active=eq.true&select=role`,
+      serviceRoleKey,
+    );
+  } catch (e) {
+    console.error('[run-job] team_members lookup failed:', e.message);
+    return res.status(500).json({ error: 'Authorization check failed' });
+  }
+  const isAdmin = Array.isArray(teamRows)
+    && teamRows.some((r) => r.role === 'super_admin' || r.role === 'staff');
+  if (!isAdmin) return res.status(403).json({ error: 'Forbidden — admin role required' });
+
+  // --- Body parse + validation ---
+  let body = req.body;
+  if (typeof body === 'string') {
+    try { body = JSON.parse(body); } catch { return res.status(400).json({ error: 'body is not valid JSON' }); }
+  }
+  if (body == null || typeof body !== 'object') {
+    return res.status(400).json({ error: 'body must be a JSON object' });
+  }
+
+  const jobType = body.job_type;
+  if (!JOB_TYPES.includes(jobType)) {
+    return res.status(400).json({ error: `job_type must be one of ${JOB_TYPES.join(', ')}` });
+  }
+  const supplierSlug = body.supplier || undefined;
+  if (supplierSlug !== undefined && (typeof supplierSlug !== 'string' || !SUPPLIER_SLUG_SHAPE.test(supplierSlug))) {
+    return res.status(400).json({ error: 'Invalid supplier' });
+  }
+  if (!supplierSlug && jobType !== 'embed') {
+    return res.status(400).json({ error: `supplier is required for ${jobType} runs` });
+  }
+  const productCode = typeof body.product_code === 'string' && body.product_code.trim()
+    ? body.product_code.trim()
+    : undefined;
+  if (productCode !== undefined && !CODE_SHAPE.test(productCode)) {
+    return res.status(400).json({ error: 'Invalid product_code' });
+  }
+
+  try {
+    let result;
+    if (jobType === 'embed') {
+      const openaiKey = process.env.OPENAI_API_KEY;
+      if (!openaiKey) return res.status(500).json({ error: 'Missing required env vars', missing: ['OPENAI_API_KEY'] });
+      result = await embedCatalogue({
+        openaiKey,
+        supabaseUrl,
+        serviceRoleKey,
+        triggeredBy: 'manual',
+        supplierSlug,
+        productCode,
+      });
+    } else {
+      // Same "missing env" response as the cron routes for the adapter's own credentials.
+      const { adapter } = await loadSupplierAdapter({ supabaseUrl, serviceRoleKey, supplierSlug });
+      const missingAdapter = missingAdapterEnv(adapter, process.env);
+      if (missingAdapter.length) {
+        return res.status(500).json({ error: 'Missing required env vars', missing: missingAdapter });
+      }
+      const run = jobType === 'sync' ? syncSupplierCatalogue : syncStock;
+      result = await run({
+        supplierSlug,
+        env: process.env,
+        supabaseUrl,
+        serviceRoleKey,
+        triggeredBy: 'manual',
+        productCode,
+      });
+    }
+
+    console.log(`[run-job] ${jobType} ${supplierSlug ?? 'all'}${productCode ? `/${productCode}` : ''} by ${caller.email ?? caller.id}: ${result.status}`);
+    const httpStatus = result.status === 'completed' ? 200 : 500;
+    return res.status(httpStatus).json(result);
+  } catch (err) {
+    console.error(`[run-job] ${jobType} fatal:`, err);
+    return res.status(500).json({ error: err?.message ?? String(err) });
+  }
+}
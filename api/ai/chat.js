@@ -28,6 +28,26 @@
  *   6. Persist messages + token totals + cost; return conversation_id +
  *      assistant message + quota_status.
  *
+ * Streaming mode (`"stream": true` in the body):
+ *   Same pipeline, delivered as Server-Sent Events instead of one JSON
+ *   blob so the widget can render while tool-call turns are in flight.
+ *   Pre-loop failures (env, validation, identity) still return plain
+ *   JSON with the usual status codes — the event stream only opens once
+ *   the agentic loop starts. Events, in order of appearance:
+ *     conversation  { conversation_id }           — once, first
+ *     text          { delta }                     — model text deltas
+ *     tool_start    { name, label }               — e.g. "Searching products…"
+ *     products      { tool, products }            — slimmed cards, per tool call
+ *     tool_end      { name, ok, error? }
+ *     done          { ...the non-streaming JSON response body }
+ *     error         { error, error_code, message } — terminal, replaces done
+ *   Persistence, quota increments and cost accounting are shared with
+ *   the JSON path (runAgenticLoop + finaliseTurn), so a streamed turn is
+ *   billed and stored identically. Text deltas cover every loop
+ *   iteration, but `done.message.content` carries only the final
+ *   iteration's text (same as the JSON path) — the client swaps its
+ *   streamed draft for it.
+ *
  * Prompt caching:
  *   The system prompt + tool definitions cache together (render order is
  *   tools → system → messages). We place `cache_control: ephemeral` on
@@ -252,11 +272,15 @@ function validateBody(body) {
   if (visitor_id != null && typeof visitor_id !== 'string') {
     return { ok: false, error: 'visitor_id must be a string' };
   }
+  if (body.stream != null && typeof body.stream !== 'boolean') {
+    return { ok: false, error: 'stream must be a boolean' };
+  }
   return {
     ok: true,
     message: message.trim(),
     conversationId: conversation_id ?? null,
     visitorId: visitor_id ?? null,
+    stream: body.stream === true,
   };
 }
 
@@ -398,10 +422,108 @@ export default async function handler(req, res) {
   // Cache breakpoint on the last block covers the whole system+tools prefix.
   systemBlocks[systemBlocks.length - 1].cache_control = { type: 'ephemeral' };
 
-  // 6b. Agentic loop.
+  // 6b. Agentic loop — streamed or buffered, same accounting either way.
   const anthropic = new Anthropic({ apiKey: anthropicKey });
   const baseUrl = getSelfBaseUrl(req);
+  const loopArgs = {
+    anthropic, systemBlocks, messages, userId, visitorHash,
+    supabaseUrl, serviceRoleKey, baseUrl, cronSecret, preQuota,
+  };
+
+  if (v.stream) {
+    const emit = openEventStream(res);
+    emit('conversation', { conversation_id: conversation.id });
+    let turn;
+    try {
+      turn = await runAgenticLoop({ ...loopArgs, emit });
+    } catch (err) {
+      console.error('[ai/chat] anthropic loop failed:', err?.message);
+      emit('error', {
+        error: 'Anthropic API failure',
+        error_code: 'anthropic_error',
+        message: err?.message ?? String(err),
+      });
+      return res.end();
+    }
+    const payload = await finaliseTurn({
+      supabaseUrl, serviceRoleKey, conversation, messages, userId, turn,
+    });
+    emit('done', payload);
+    return res.end();
+  }
+
+  let turn;
+  try {
+    turn = await runAgenticLoop({ ...loopArgs, emit: null });
+  } catch (err) {
+    console.error('[ai/chat] anthropic loop failed:', err?.message);
+    return res.status(500).json({
+      error: 'Anthropic API failure',
+      error_code: 'anthropic_error',
+      message: err?.message ?? String(err),
+    });
+  }
+  const payload = await finaliseTurn({
+    supabaseUrl, serviceRoleKey, conversation, messages, userId, turn,
+  });
+  return res.status(200).json(payload);
+}
+
+// ---------------------------------------------------------------------------
+// Server-Sent Events
+// ---------------------------------------------------------------------------
 
+const TOOL_PROGRESS_LABELS = Object.freeze({
+  searchProducts: 'Searching products…',
+  findAlternatives: 'Finding alternatives…',
+});
+
+/**
+ * Switch the response into an SSE stream and return an emitter. Writes
+ * after the client has gone away are dropped silently — the loop keeps
+ * running so the turn is still persisted and billed.
+ */
+function openEventStream(res) {
+  res.statusCode = 200;
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  // Stops proxies (nginx, Vercel's edge) buffering the stream.
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders?.();
+  return (event, data) => {
+    if (res.writableEnded || res.destroyed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+}
+
+/**
+ * One model round-trip. Buffered callers get messages.create; streaming
+ * callers get messages.stream with text deltas forwarded as they arrive.
+ * Both resolve to the same final Message (content + usage + stop_reason).
+ */
+async function callModel(anthropic, params, emit) {
+  if (!emit) return anthropic.messages.create(params);
+  const stream = anthropic.messages.stream(params);
+  stream.on('text', (delta) => emit('text', { delta }));
+  return stream.finalMessage();
+}
+
+// ---------------------------------------------------------------------------
+// Agentic loop
+// ---------------------------------------------------------------------------
+
+/**
+ * Run the tool-use loop, mutating `messages` in place (assistant turns +
+ * tool_result turns are appended). `emit` is null on the JSON path.
+ *
+ * Throws on Anthropic API failure; tool dispatch failures are reported
+ * back to the model as is_error tool_results instead.
+ */
+async function runAgenticLoop({
+  anthropic, systemBlocks, messages, userId, visitorHash,
+  supabaseUrl, serviceRoleKey, baseUrl, cronSecret, preQuota, emit,
+}) {
   let searchCalls = 0;
   let alternativeCalls = 0;
   let totalInputTokens = 0;
@@ -422,107 +544,131 @@ export default async function handler(req, res) {
   const MAX_LOOP_ITERATIONS = 6; // safety net; typical turn is 1-3 iterations
   let iter = 0;
 
-  try {
-    while (iter < MAX_LOOP_ITERATIONS) {
-      iter += 1;
-
-      const response = await anthropic.messages.create({
-        model: ANTHROPIC_CONFIG.model,
-        max_tokens: ANTHROPIC_CONFIG.max_tokens,
-        system: systemBlocks,
-        tools: ALL_TOOLS,
-        messages,
-      });
-
-      // Token accounting
-      totalInputTokens += response.usage?.input_tokens ?? 0;
-      totalOutputTokens += response.usage?.output_tokens ?? 0;
-      totalCachedReadTokens += response.usage?.cache_read_input_tokens ?? 0;
-      totalCachedWriteTokens += response.usage?.cache_creation_input_tokens ?? 0;
-      totalCostUsd += estimateTurnCostUsd(response.usage);
-
-      // Append assistant turn (full content — preserves tool_use blocks
-      // for the next API round-trip if we keep looping).
-      messages.push({ role: 'assistant', content: response.content });
-      assistantContentBlocks = response.content;
-      stopReason = response.stop_reason;
-
-      if (response.stop_reason !== 'tool_use') break;
-
-      // Dispatch every tool_use block in the assistant message.
-      const toolUseBlocks = response.content.filter((b) => b.type === 'tool_use');
-      const toolResults = [];
-      for (const tool of toolUseBlocks) {
-        if (tool.name === 'searchProducts') {
-          // Quota gate. Signed-in users skip; anonymous users check.
-          // (At this point we're already inside the !userId branch so
-          // quotaAfter.remaining is a number, never the 'unlimited' sentinel.)
-          if (!userId) {
-            if (typeof quotaAfter.remaining === 'number' && quotaAfter.remaining <= 0) {
-              toolResults.push({
-                type: 'tool_result',
-                tool_use_id: tool.id,
-                is_error: true,
-                content: `Quota exhausted: this visitor has used all ${ANON_DAILY_LIMIT} of their daily searches. Window resets at ${quotaAfter.window_resets_at ?? 'midnight UTC'}. Politely explain to the customer that they can sign up for unlimited searches.`,
-              });
-              continue;
-            }
-            // Otherwise allow + increment.
-            quotaAfter = await incrementQuota({ supabaseUrl, serviceRoleKey, visitorHash });
+  while (iter < MAX_LOOP_ITERATIONS) {
+    iter += 1;
+
+    const response = await callModel(anthropic, {
+      model: ANTHROPIC_CONFIG.model,
+      max_tokens: ANTHROPIC_CONFIG.max_tokens,
+      system: systemBlocks,
+      tools: ALL_TOOLS,
+      messages,
+    }, emit);
+
+    // Token accounting
+    totalInputTokens += response.usage?.input_tokens ?? 0;
+    totalOutputTokens += response.usage?.output_tokens ?? 0;
+    totalCachedReadTokens += response.usage?.cache_read_input_tokens ?? 0;
+    totalCachedWriteTokens += response.usage?.cache_creation_input_tokens ?? 0;
+    totalCostUsd += estimateTurnCostUsd(response.usage);
+
+    // Append assistant turn (full content — preserves tool_use blocks
+    // for the next API round-trip if we keep looping).
+    messages.push({ role: 'assistant', content: response.content });
+    assistantContentBlocks = response.content;
+    stopReason = response.stop_reason;
+
+    if (response.stop_reason !== 'tool_use') break;
+
+    // Dispatch every tool_use block in the assistant message.
+    const toolUseBlocks = response.content.filter((b) => b.type === 'tool_use');
+    const toolResults = [];
+    for (const tool of toolUseBlocks) {
+      emit?.('tool_start', { name: tool.name, label: TOOL_PROGRESS_LABELS[tool.name] ?? 'Working…' });
+      if (tool.name === 'searchProducts') {
+        // Quota gate. Signed-in users skip; anonymous users check.
+        // (At this point we're already inside the !userId branch so
+        // quotaAfter.remaining is a number, never the 'unlimited' sentinel.)
+        if (!userId) {
+          if (typeof quotaAfter.remaining === 'number' && quotaAfter.remaining <= 0) {
+            toolResults.push({
+              type: 'tool_result',
+              tool_use_id: tool.id,
+              is_error: true,
+              content: `Quota exhausted: this visitor has used all ${ANON_DAILY_LIMIT} of their daily searches. Window resets at ${quotaAfter.window_resets_at ?? 'midnight UTC'}. Politely explain to the customer that they can sign up for unlimited searches.`,
+            });
+            emit?.('tool_end', { name: tool.name, ok: false, error: 'quota_exhausted' });
+            continue;
           }
-          searchCalls += 1;
-          const out = await dispatchTool({
-            name: 'searchProducts', input: tool.input, baseUrl, cronSecret,
-          });
-          const slimmed = out.ok ? truncateForModel(out.payload) : null;
-          if (slimmed?.results) {
-            for (const r of slimmed.results) {
-              if (r?.supplier_product_code) productCardMap.set(r.supplier_product_code, r);
-            }
+          // Otherwise allow + increment.
+          quotaAfter = await incrementQuota({ supabaseUrl, serviceRoleKey, visitorHash });
+        }
+        searchCalls += 1;
+        const out = await dispatchTool({
+          name: 'searchProducts', input: tool.input, baseUrl, cronSecret,
+        });
+        const slimmed = out.ok ? truncateForModel(out.payload) : null;
+        if (slimmed?.results) {
+          for (const r of slimmed.results) {
+            if (r?.supplier_product_code) productCardMap.set(r.supplier_product_code, r);
           }
-          toolResults.push({
-            type: 'tool_result',
-            tool_use_id: tool.id,
-            is_error: !out.ok,
-            content: JSON.stringify(slimmed ?? { error: out.error }),
-          });
-        } else if (tool.name === 'findAlternatives') {
-          alternativeCalls += 1;
-          const out = await dispatchTool({
-            name: 'findAlternatives', input: tool.input, baseUrl, cronSecret,
-          });
-          const slimmed = out.ok ? truncateForModel(out.payload) : null;
-          if (slimmed?.alternatives) {
-            for (const r of slimmed.alternatives) {
-              if (r?.supplier_product_code) productCardMap.set(r.supplier_product_code, r);
-            }
+          emit?.('products', { tool: tool.name, products: slimmed.results });
+        }
+        toolResults.push({
+          type: 'tool_result',
+          tool_use_id: tool.id,
+          is_error: !out.ok,
+          content: JSON.stringify(slimmed ?? { error: out.error }),
+        });
+        emit?.('tool_end', { name: tool.name, ok: out.ok, error: out.error ?? undefined });
+      } else if (tool.name === 'findAlternatives') {
+        alternativeCalls += 1;
+        const out = await dispatchTool({
+          name: 'findAlternatives', input: tool.input, baseUrl, cronSecret,
+        });
+        const slimmed = out.ok ? truncateForModel(out.payload) : null;
+        if (slimmed?.alternatives) {
+          for (const r of slimmed.alternatives) {
+            if (r?.supplier_product_code) productCardMap.set(r.supplier_product_code, r);
           }
-          toolResults.push({
-            type: 'tool_result',
-            tool_use_id: tool.id,
-            is_error: !out.ok,
-            content: JSON.stringify(slimmed ?? { error: out.error }),
-          });
-        } else {
-          toolResults.push({
-            type: 'tool_result',
-            tool_use_id: tool.id,
-            is_error: true,
-            content: `Unknown tool: ${tool.name}`,
-          });
+          emit?.('products', { tool: tool.name, products: slimmed.alternatives });
         }
+        toolResults.push({
+          type: 'tool_result',
+          tool_use_id: tool.id,
+          is_error: !out.ok,
+          content: JSON.stringify(slimmed ?? { error: out.error }),
+        });
+        emit?.('tool_end', { name: tool.name, ok: out.ok, error: out.error ?? undefined });
+      } else {
+        toolResults.push({
+          type: 'tool_result',
+          tool_use_id: tool.id,
+          is_error: true,
+          content: `Unknown tool: ${tool.name}`,
+        });
+        emit?.('tool_end', { name: tool.name, ok: false, error: 'unknown_tool' });
       }
-      messages.push({ role: 'user', content: toolResults });
     }
-  } catch (err) {
-    console.error('[ai/chat] anthropic loop failed:', err?.message);
-    return res.status(500).json({
-      error: 'Anthropic API failure',
-      error_code: 'anthropic_error',
-      message: err?.message ?? String(err),
-    });
+    messages.push({ role: 'user', content: toolResults });
   }
 
+  return {
+    searchCalls,
+    alternativeCalls,
+    totalInputTokens,
+    totalOutputTokens,
+    totalCachedReadTokens,
+    totalCachedWriteTokens,
+    totalCostUsd,
+    quotaAfter,
+    assistantContentBlocks,
+    stopReason,
+    productCardMap,
+  };
+}
+
+/**
+ * Persist the turn and shape the response body. Shared by the JSON and
+ * SSE paths — the SSE `done` event carries exactly this object.
+ */
+async function finaliseTurn({ supabaseUrl, serviceRoleKey, conversation, messages, userId, turn }) {
+  const {
+    searchCalls, alternativeCalls, totalInputTokens, totalOutputTokens,
+    totalCachedReadTokens, totalCachedWriteTokens, totalCostUsd, quotaAfter,
+    assistantContentBlocks, stopReason, productCardMap,
+  } = turn;
+
   // 7. Persist.
   try {
     await persistConversation({
@@ -604,7 +750,7 @@ export default async function handler(req, res) {
   const productCards = cards.slice(0, INITIAL_BATCH_SIZE);
   const productCardsRemainder = cards.slice(INITIAL_BATCH_SIZE);
 
-  return res.status(200).json({
+  return {
     conversation_id: conversation.id,
     message: {
       role: 'assistant',
@@ -628,7 +774,7 @@ export default async function handler(req, res) {
       estimated_cost_usd: Number(totalCostUsd.toFixed(6)),
     },
     signed_in: userId != null,
-  });
+  };
 }
 
 // ---------------------------------------------------------------------------
@@ -0,0 +1,238 @@
+/**
+ * GET /api/catalogue-search — public catalogue search (header search box +
+ * /search results page).
+ *
+ *   GET /api/catalogue-search?q=<text>[&quantity=][&category=][&colour=]
+ *                            [&price=<band>][&express=1][&in_stock=1][&limit=]
+ *
+ * Same ranking as AVA: one call to rpc_search_supplier_products (hybrid
+ * vector + tsvector, RRF + core/house boosts — CLAUDE.md §31), never a
+ * second scoring path. Differences from /api/search-products:
+ *
+ *   - No CRON_SECRET. Instead a per-IP fixed-window rate limit
+ *     (scripts/lib/search-rate-limit.js) -> 429 + Retry-After.
+ *   - Query embeddings come from search_query_embeddings when the same
+ *     normalised query was seen recently (scripts/lib/catalogue-search.js).
+ *   - Facets. The RPC is asked for its top POOL_SIZE rows with no
+ *     category / stock / express filter; facet counts and the filtered
+ *     result list are both computed from that ranked pool in JS, so ticking
+ *     a facet narrows the list without re-ranking or re-embedding.
+ *   - Slim rows: no cost basis, no raw pricing tiers, no print details.
+ *
+ * Price facet / displayed price: unit_price_at_quantity at ?quantity=
+ * (default DEFAULT_QUANTITY) — sell_price + UK standard delivery share,
+ * exactly what the product page shows at that quantity (CLAUDE.md §46).
+ *
+ * Errors:
+ *   400 missing / bad parameter
+ *   429 rate limited (Retry-After header)
+ *   500 env missing, OpenAI or Supabase failure
+ */
+
+/* global process */
+import OpenAI from 'openai';
+
+import { callRpc } from '../scripts/lib/search-auth.js';
+import {
+  embedQueryCached,
+  attachUnitPriceAtQuantity,
+  applyFacetFilters,
+  buildFacets,
+  rowColours,
+  PRICE_BANDS,
+} from '../scripts/lib/catalogue-search.js';
+import { checkSearchRateLimit } from '../scripts/lib/search-rate-limit.js';
+
+export const config = {
+  maxDuration: 15, // seconds — embed (on a cache miss) + RPC; typical is <2s.
+};
+
+const MAX_QUERY_CHARS = 200;
+const POOL_SIZE = 50; // the RPC's own ceiling
+const DEFAULT_LIMIT = 24;
+const DEFAULT_QUANTITY = 100;
+const MAX_QUANTITY = 100000;
+
+// Identical URLs are identical results for everyone — let the CDN absorb
+// repeats. Cached hits don't count against the caller's rate limit, which
+// is the point.
+const CACHE_CONTROL = 'public, s-maxage=300, stale-while-revalidate=600';
+
+const TRUE_VALUES = new Set(['1', 'true', 'yes']);
+
+// ---------------------------------------------------------------------------
+// Validation
+// ---------------------------------------------------------------------------
+
+function firstParam(value) {
+  return Array.isArray(value) ? value[0] : value;
+}
+
+function validateQuery(query) {
+  const q = String(firstParam(query.q) ?? '').trim();
+  if (!q) return { ok: false, error: 'q is required' };
+  if (q.length > MAX_QUERY_CHARS) return { ok: false, error: `q exceeds ${MAX_QUERY_CHARS} chars` };
+
+  let quantity = DEFAULT_QUANTITY;
+  if (firstParam(query.quantity) != null && firstParam(query.quantity) !== '') {
+    quantity = Number(firstParam(query.quantity));
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_QUANTITY) {
+      return { ok: false, error: `quantity must be an integer between 1 and ${MAX_QUANTITY}` };
+    }
+  }
+
+  let limit = DEFAULT_LIMIT;
+  if (firstParam(query.limit) != null && firstParam(query.limit) !== '') {
+    limit = Number(firstParam(query.limit));
+    if (!Number.isInteger(limit) || limit < 1) return { ok: false, error: 'limit must be a positive integer' };
+    limit = Math.min(limit, POOL_SIZE);
+  }
+
+  const price = firstParam(query.price) || null;
+  if (price && !PRICE_BANDS.some((b) => b.key === price)) {
+    return { ok: false, error: `price must be one of ${PRICE_BANDS.map((b) => b.key).join(', ')}` };
+  }
+
+  return {
+    ok: true,
+    q,
+    quantity,
+    limit,
+    selected: {
+      category: firstParam(query.category) || null,
+      colour: firstParam(query.colour) || null,
+      price,
+      express: TRUE_VALUES.has(String(firstParam(query.express) ?? '').toLowerCase()),
+      inStock: TRUE_VALUES.has(String(firstParam(query.in_stock) ?? '').toLowerCase()),
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Response shaping
+// ---------------------------------------------------------------------------
+
+function firstImageUrl(list) {
+  if (!Array.isArray(list) || list.length === 0) return null;
+  return typeof list[0] === 'string' ? list[0] : list[0]?.url ?? null;
+}
+
+// Thumbnail from plain_images first — ItemImages / Images may carry mock-up
+// branding (CLAUDE.md §50.2).
+function slimResult(r) {
+  return {
+    code: r.supplier_product_code,
+    name: r.name,
+    category: r.category,
+    sub_category: r.sub_category,
+    image: firstImageUrl(r.plain_images) || firstImageUrl(r.images),
+    minimum_order_qty: r.minimum_order_qty,
+    lead_time_days: r.lead_time_days,
+    express_available: !!r.express_available,
+    in_stock: !!r.in_stock,
+    colours: rowColours(r),
+    unit_price_at_quantity: r.unit_price_at_quantity,
+    unit_price_at_quantity_is_poa: r.unit_price_at_quantity_is_poa,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Handler
+// ---------------------------------------------------------------------------
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const openaiKey = process.env.OPENAI_API_KEY;
+  const supabaseUrl = process.env.VITE_SUPABASE_URL;
+  const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  const missing = [];
+  if (!openaiKey) missing.push('OPENAI_API_KEY');
+  if (!supabaseUrl) missing.push('VITE_SUPABASE_URL');
+  if (!serviceRoleKey) missing.push('SUPABASE_SERVICE_ROLE_KEY');
+  if (missing.length) {
+    return res.status(500).json({ error: 'Missing required env vars', missing });
+  }
+
+  const v = validateQuery(req.query || {});
+  if (!v.ok) return res.status(400).json({ error: v.error });
+  const { q, quantity, limit, selected } = v;
+
+  // Rate limit before anything that costs money.
+  const rate = await checkSearchRateLimit({ req, supabaseUrl, serviceRoleKey });
+  if (!rate.allowed) {
+    res.setHeader('Retry-After', String(rate.retryAfterSeconds));
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(429).json({
+      error: 'Too many searches — please wait a moment and try again',
+      retry_after_seconds: rate.retryAfterSeconds,
+    });
+  }
+
+  const t0 = Date.now();
+
+  // 1. Embed (cache first).
+  let embedded;
+  try {
+    embedded = await embedQueryCached({
+      supabaseUrl,
+      serviceRoleKey,
+      openai: new OpenAI({ apiKey: openaiKey }),
+      query: q,
+    });
+  } catch (err) {
+    console.error('[catalogue-search] openai embed failed:', err?.message);
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(500).json({ error: 'Search is temporarily unavailable', error_code: 'openai_error' });
+  }
+  const tEmbed = Date.now() - t0;
+
+  // 2. Ranked pool. Facet dimensions are deliberately NOT passed to the RPC
+  //    (see header); stock / express default to off here, unlike AVA.
+  let rows;
+  try {
+    rows = await callRpc({
+      supabaseUrl,
+      serviceRoleKey,
+      fn: 'rpc_search_supplier_products',
+      body: {
+        query_embedding: embedded.embedding,
+        query_text: q,
+        p_in_stock_only: false,
+        p_express_only: false,
+        p_limit: POOL_SIZE,
+      },
+    });
+  } catch (err) {
+    console.error('[catalogue-search] rpc failed:', err?.message);
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(500).json({ error: 'Search is temporarily unavailable', error_code: 'supabase_error' });
+  }
+  const pool = attachUnitPriceAtQuantity(Array.isArray(rows) ? rows : [], quantity);
+
+  // 3. Facets + filtered page, rank order preserved.
+  const matching = applyFacetFilters(pool, selected);
+  const tTotal = Date.now() - t0;
+
+  console.log(
+    `[catalogue-search] q="${q.slice(0, 60)}" pool=${pool.length} matching=${matching.length} cached=${embedded.cached} embed=${tEmbed}ms total=${tTotal}ms`,
+  );
+
+  res.setHeader('Cache-Control', CACHE_CONTROL);
+  return res.status(200).json({
+    results: matching.slice(0, limit).map(slimResult),
+    total: matching.length,
+    facets: buildFacets(pool, selected),
+    query_metadata: {
+      query: q,
+      quantity,
+      selected,
+      pool_size: pool.length,
+      embedding_cached: embedded.cached,
+      total_ms: tTotal,
+    },
+  });
+}
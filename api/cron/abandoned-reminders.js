@@ -0,0 +1,73 @@
+/**
+ * Vercel Cron entry point — daily abandoned draft-quote / cart reminders.
+ *
+ *   GET /api/cron/abandoned-reminders
+ *
+ * Scheduled in site/vercel.json. The work (candidates, claim, Resend send,
+ * opt-out link) lives in the send-abandoned-reminders Edge Function, next to
+ * the other customer emails and their shared shell; this handler only
+ * triggers it with the shared secret and reports its summary.
+ *
+ * Cadence: ABANDONED_REMINDER_IDLE_DAYS (default 3) idle days before each
+ * reminder, at most ABANDONED_REMINDER_MAX (default 2) per quote / cart
+ * version (20261019_abandoned_reminders.sql).
+ *
+ * Auth:
+ *   Authorization: Bearer ${CRON_SECRET}  — missing/wrong -> 401.
+ *
+ * Failure surface:
+ *   - Auth failure         -> 401
+ *   - Env var missing      -> 500 { missing: [...] }
+ *   - Function failure     -> 502 with its response. Nothing was sent for
+ *                             failed candidates, so the next run retries them.
+ */
+
+/* global process */
+export const config = {
+  maxDuration: 120, // seconds
+};
+
+const DEFAULT_IDLE_DAYS = 3;
+const DEFAULT_MAX_REMINDERS = 2;
+
+export default async function handler(req, res) {
+  const expected = process.env.CRON_SECRET ? `Bearer ${process.env.CRON_SECRET}` : null;
+  if (!expected) {
+    return res.status(500).json({ error: 'CRON_SECRET not configured on Vercel' });
+  }
+  if (req.headers?.authorization !== expected) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const supabaseUrl = process.env.VITE_SUPABASE_URL;
+  const reminderSecret = process.env.ABANDONED_REMINDER_SECRET;
+  const missing = [];
+  if (!supabaseUrl) missing.push('VITE_SUPABASE_URL');
+  if (!reminderSecret) missing.push('ABANDONED_REMINDER_SECRET');
+  if (missing.length) {
+    return res.status(500).json({ error: 'Missing required env vars', missing });
+  }
+
+  try {
+    const response = await fetch(`${supabaseUrl}/functions/v1/send-abandoned-reminders`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-reminder-secret': reminderSecret,
+      },
+      body: JSON.stringify({
+        idle_days: Number(process.env.ABANDONED_REMINDER_IDLE_DAYS) || DEFAULT_IDLE_DAYS,
+        max_reminders: Number(process.env.ABANDONED_REMINDER_MAX) || DEFAULT_MAX_REMINDERS,
+      }),
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok || result.ok === false) {
+      console.error('[cron/abandoned-reminders] function failed:', response.status, result);
+      return res.status(502).json({ error: 'send-abandoned-reminders failed', status: response.status, ...result });
+    }
+    return res.status(200).json(result);
+  } catch (err) {
+    console.error('[cron/abandoned-reminders] fatal:', err);
+    return res.status(500).json({ error: err?.message ?? String(err) });
+  }
+}
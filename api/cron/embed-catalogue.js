@@ -6,7 +6,8 @@
  *
  * Embed is supplier-agnostic: one run covers every supplier_products
  * row regardless of supplier_id. Sync remains per-supplier (one cron
- * per supplier feed).
+ * per supplier feed). `?supplier=<slug>` scopes a run to one supplier
+ * (job_runs.supplier_id set) — used when onboarding a new feed.
  *
  * Auth + env-guard pattern cloned from api/cron/sync-laltex.js:
  *   Authorization: Bearer ${CRON_SECRET}  — missing/wrong → 401
@@ -29,6 +30,9 @@
 
 import { embedCatalogue } from '../../scripts/lib/catalogue-embed.js';
 
+// suppliers.slug shape; anything else is rejected before touching the DB.
+const SUPPLIER_SLUG_SHAPE = /^[a-z0-9][a-z0-9-]{1,63}$/;
+
 export const config = {
   maxDuration: 300, // seconds
 };
@@ -58,6 +62,11 @@ export default async function handler(req, res) {
     });
   }
 
+  const supplierSlug = req.query?.supplier || undefined;
+  if (supplierSlug !== undefined && !SUPPLIER_SLUG_SHAPE.test(supplierSlug)) {
+    return res.status(400).json({ error: 'Invalid supplier' });
+  }
+
   // 3. Run embed
   try {
     const result = await embedCatalogue({
@@ -65,6 +74,7 @@ export default async function handler(req, res) {
       supabaseUrl,
       serviceRoleKey,
       triggeredBy: 'cron',
+      supplierSlug,
     });
     const httpStatus = result.status === 'completed' ? 200 : 500;
     return res.status(httpStatus).json(result);
@@ -0,0 +1,109 @@
+/**
+ * Vercel Cron entry point — daily supplier price-change digest.
+ *
+ *   GET /api/cron/price-change-digest[?threshold=<pct>]
+ *
+ * Scheduled in site/vercel.json after the nightly sync. Emails admins the
+ * products whose supplier trade price moved by at least the threshold in the
+ * last 24 hours, plus the draft quotes the sync flagged as stale
+ * (scripts/lib/price-digest.js). Nothing to report -> no email.
+ *
+ * Also prunes stale public-search rate-limit rows
+ * (scripts/lib/search-rate-limit.js) — a daily service-role job was the
+ * natural home. A prune failure is logged and never blocks the digest.
+ *
+ * Threshold: ?threshold= (manual runs) > PRICE_ALERT_THRESHOLD_PCT > 5.
+ * Recipient: PRICE_ALERT_EMAIL, default orders@promo-gifts.co.
+ *
+ * Auth:
+ *   Authorization: Bearer ${CRON_SECRET}  — missing/wrong -> 401.
+ *
+ * Failure surface:
+ *   - Auth failure      -> 401
+ *   - Bad ?threshold=   -> 400
+ *   - Env var missing   -> 500 { missing: [...] }
+ *   - DB / Resend error -> 500. Next day's run covers its own window only,
+ *                          so re-trigger manually if a digest matters.
+ */
+
+/* global process */
+import {
+  buildPriceDigest,
+  renderPriceDigestEmail,
+  sendPriceDigest,
+  DEFAULT_PRICE_ALERT_EMAIL,
+  DEFAULT_THRESHOLD_PCT,
+} from '../../scripts/lib/price-digest.js';
+import { pruneSearchRateLimits } from '../../scripts/lib/search-rate-limit.js';
+
+export const config = {
+  maxDuration: 60, // seconds
+};
+
+const WINDOW_MS = 24 * 60 * 60 * 1000;
+
+export default async function handler(req, res) {
+  const expected = process.env.CRON_SECRET ? `Bearer ${process.env.CRON_SECRET}` : null;
+  if (!expected) {
+    return res.status(500).json({ error: 'CRON_SECRET not configured on Vercel' });
+  }
+  if (req.headers?.authorization !== expected) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const rawThreshold = req.query?.threshold ?? process.env.PRICE_ALERT_THRESHOLD_PCT ?? DEFAULT_THRESHOLD_PCT;
+  const thresholdPct = Number(rawThreshold);
+  if (!Number.isFinite(thresholdPct) || thresholdPct < 0) {
+    return res.status(400).json({ error: 'Invalid threshold' });
+  }
+
+  const supabaseUrl = process.env.VITE_SUPABASE_URL;
+  const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  const resendApiKey = process.env.RESEND_API_KEY;
+  const missing = [];
+  if (!supabaseUrl) missing.push('VITE_SUPABASE_URL');
+  if (!serviceRoleKey) missing.push('SUPABASE_SERVICE_ROLE_KEY');
+  if (!resendApiKey) missing.push('RESEND_API_KEY');
+  if (missing.length) {
+    return res.status(500).json({ error: 'Missing required env vars', missing });
+  }
+
+  let rateLimitRowsPruned = null;
+  try {
+    rateLimitRowsPruned = await pruneSearchRateLimits({ supabaseUrl, serviceRoleKey });
+  } catch (err) {
+    console.error('[cron/price-change-digest] rate-limit prune failed:', err?.message ?? err);
+  }
+
+  try {
+    const now = new Date();
+    const digest = await buildPriceDigest({
+      supabaseUrl,
+      serviceRoleKey,
+      since: new Date(now.getTime() - WINDOW_MS),
+      thresholdPct,
+    });
+    const summary = {
+      thresholdPct,
+      products: digest.products.length,
+      flaggedQuotes: digest.flaggedQuotes.length,
+      rateLimitRowsPruned,
+    };
+
+    if (digest.products.length === 0 && digest.flaggedQuotes.length === 0) {
+      return res.status(200).json({ sent: false, reason: 'nothing_to_report', ...summary });
+    }
+
+    const siteUrl = process.env.SITE_URL || 'https://promo-gifts-co.uk';
+    await sendPriceDigest({
+      resendApiKey,
+      to: process.env.PRICE_ALERT_EMAIL || DEFAULT_PRICE_ALERT_EMAIL,
+      email: renderPriceDigestEmail(digest, { siteUrl }),
+      dedupeKey: `${now.toISOString().slice(0, 10)}-${thresholdPct}`,
+    });
+    return res.status(200).json({ sent: true, ...summary });
+  } catch (err) {
+    console.error('[cron/price-change-digest] fatal:', err);
+    return res.status(500).json({ error: err?.message ?? String(err) });
+  }
+}
@@ -27,49 +27,21 @@
  *     'stock_product_not_found' (data mismatch, not a write failure).
  *
  * The stock write is a plain UPDATE (never an upsert): a stock refresh must not
- * create products. See scripts/lib/laltex-stock.js updateStock().
+ * create products. See scripts/lib/supplier-stock.js updateStock().
+ *
+ * This is the generic /api/cron/sync-supplier-stock handler pinned to
+ * supplier=laltex, kept at its original path for the existing schedule.
  *
  * Independent of the nightly product sync (sync-laltex) by design (CLAUDE.md
  * §27): a stock-endpoint outage must not block product sync and vice-versa.
  */
 
-import { syncStock } from '../../scripts/lib/laltex-stock.js';
+import { runSupplierStockCron } from './sync-supplier-stock.js';
 
 export const config = {
   maxDuration: 300, // seconds
 };
 
-export default async function handler(req, res) {
-  const expected = process.env.CRON_SECRET ? `Bearer ${process.env.CRON_SECRET}` : null;
-  if (!expected) {
-    return res.status(500).json({ error: 'CRON_SECRET not configured on Vercel' });
-  }
-  if (req.headers?.authorization !== expected) {
-    return res.status(401).json({ error: 'Unauthorized' });
-  }
-
-  const laltexApiKey = process.env.LALTEX_API_KEY;
-  const supabaseUrl = process.env.VITE_SUPABASE_URL;
-  const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
-  const missing = [];
-  if (!laltexApiKey) missing.push('LALTEX_API_KEY');
-  if (!supabaseUrl) missing.push('VITE_SUPABASE_URL');
-  if (!serviceRoleKey) missing.push('SUPABASE_SERVICE_ROLE_KEY');
-  if (missing.length) {
-    return res.status(500).json({ error: 'Missing required env vars', missing });
-  }
-
-  try {
-    const result = await syncStock({
-      laltexApiKey,
-      supabaseUrl,
-      serviceRoleKey,
-      triggeredBy: 'cron',
-    });
-    const httpStatus = result.status === 'completed' ? 200 : 500;
-    return res.status(httpStatus).json(result);
-  } catch (err) {
-    console.error('[cron/sync-laltex-stock] fatal:', err);
-    return res.status(500).json({ error: err?.message ?? String(err) });
-  }
+export default function handler(req, res) {
+  return runSupplierStockCron(req, res, 'laltex');
 }
@@ -1,7 +1,9 @@
 /**
  * Vercel Cron entry point — nightly Laltex catalogue sync.
  *
- * Scheduled in site/vercel.json at 03:00 UTC daily.
+ * Scheduled in site/vercel.json at 03:00 UTC daily. Kept at its original
+ * path so the existing schedule and runbooks keep working; it is the
+ * generic /api/cron/sync-supplier handler pinned to supplier=laltex.
  *
  * Auth:
  *   Authorization: Bearer ${CRON_SECRET}
@@ -15,65 +17,20 @@
  *
  * Failure surface:
  *   - Auth failure            -> 401
- *   - Env var missing         -> 500
- *   - Laltex network failure  -> 500, sync_runs row marked 'failed',
+ *   - Env var missing         -> 500 (LALTEX_API_KEY, VITE_SUPABASE_URL,
+ *                                SUPABASE_SERVICE_ROLE_KEY)
+ *   - Laltex network failure  -> 500, job_runs row marked 'failed',
  *                                errorMessage populated. Next cron retries.
- *   - Individual product fail -> sync_failures row, sync continues,
+ *   - Individual product fail -> job_failures row, sync continues,
  *                                response still 200.
  */
 
-import { syncFullCatalogue } from '../../scripts/lib/laltex-sync.js';
+import { runSupplierSyncCron } from './sync-supplier.js';
 
 export const config = {
   maxDuration: 300, // seconds
 };
 
-export default async function handler(req, res) {
-  // -------------------------------------------------------------------------
-  // 1. Auth — strictly Bearer ${CRON_SECRET}
-  // -------------------------------------------------------------------------
-  const expected = process.env.CRON_SECRET ? `Bearer ${process.env.CRON_SECRET}` : null;
-  if (!expected) {
-    return res.status(500).json({ error: 'CRON_SECRET not configured on Vercel' });
-  }
-  if (req.headers?.authorization !== expected) {
-    return res.status(401).json({ error: 'Unauthorized' });
-  }
-
-  // -------------------------------------------------------------------------
-  // 2. Required env
-  // -------------------------------------------------------------------------
-  const laltexApiKey = process.env.LALTEX_API_KEY;
-  const supabaseUrl = process.env.VITE_SUPABASE_URL;
-  const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
-  const missing = [];
-  if (!laltexApiKey) missing.push('LALTEX_API_KEY');
-  if (!supabaseUrl) missing.push('VITE_SUPABASE_URL');
-  if (!serviceRoleKey) missing.push('SUPABASE_SERVICE_ROLE_KEY');
-  if (missing.length) {
-    return res.status(500).json({
-      error: 'Missing required env vars',
-      missing,
-    });
-  }
-
-  // -------------------------------------------------------------------------
-  // 3. Run sync
-  // -------------------------------------------------------------------------
-  try {
-    const result = await syncFullCatalogue({
-      laltexApiKey,
-      supabaseUrl,
-      serviceRoleKey,
-      triggeredBy: 'cron',
-    });
-    // 200 even when some products failed — that's continue-with-logging.
-    // Only infra-level run failure yields non-200 below (via caught exception
-    // path, which also logged the failure into sync_runs.error_message).
-    const httpStatus = result.status === 'completed' ? 200 : 500;
-    return res.status(httpStatus).json(result);
-  } catch (err) {
-    console.error('[cron/sync-laltex] fatal:', err);
-    return res.status(500).json({ error: err?.message ?? String(err) });
-  }
+export default function handler(req, res) {
+  return runSupplierSyncCron(req, res, 'laltex');
 }
@@ -0,0 +1,94 @@
+/**
+ * Vercel Cron entry point — live-stock refresh for ONE supplier.
+ *
+ *   GET /api/cron/sync-supplier-stock?supplier=<suppliers.slug>
+ *
+ * SCHEDULE: site/vercel.json crons[], one entry per supplier with a stock
+ * source. Vercel's Hobby plan caps cron jobs at once per day, so any more
+ * frequent expression fails at deployment. /api/cron/sync-laltex-stock is
+ * this handler pinned to supplier=laltex.
+ *
+ * The daily run is the BASELINE: it guarantees every product has stock so a
+ * page is never empty on first load, and it covers products nobody views.
+ * A feed supplier without adapter_config.stock_url records a completed
+ * zero run (metadata.stock_source = 'none').
+ *
+ * Auth:
+ *   Authorization: Bearer ${CRON_SECRET}  — missing/wrong -> 401.
+ *
+ * Failure surface:
+ *   - Auth failure            -> 401
+ *   - Missing/invalid supplier-> 400
+ *   - Env var missing         -> 500 { missing: [...] }
+ *   - Infra failure           -> 500, job_runs row marked 'failed'. Next run retries.
+ *   - Individual product fail -> job_failures row, run continues, response 200.
+ *     A failed product keeps its PREVIOUS stock (skipped UPDATE), never wiped.
+ *
+ * The stock write is a plain UPDATE (never an upsert): a stock refresh must not
+ * create products. See scripts/lib/supplier-stock.js updateStock().
+ *
+ * Independent of the nightly product sync by design (CLAUDE.md §27): a
+ * stock-endpoint outage must not block product sync and vice-versa.
+ */
+
+/* global process */
+import { syncStock } from '../../scripts/lib/supplier-stock.js';
+import { loadSupplierAdapter, missingAdapterEnv } from '../../scripts/lib/suppliers/index.js';
+
+export const config = {
+  maxDuration: 300, // seconds
+};
+
+// suppliers.slug shape; anything else is rejected before touching the DB.
+const SUPPLIER_SLUG_SHAPE = /^[a-z0-9][a-z0-9-]{1,63}$/;
+
+/**
+ * Shared body of the generic and the pinned (sync-laltex-stock) cron handlers.
+ */
+export async function runSupplierStockCron(req, res, supplierSlug) {
+  const expected = process.env.CRON_SECRET ? `Bearer ${process.env.CRON_SECRET}` : null;
+  if (!expected) {
+    return res.status(500).json({ error: 'CRON_SECRET not configured on Vercel' });
+  }
+  if (req.headers?.authorization !== expected) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  if (typeof supplierSlug !== 'string' || !SUPPLIER_SLUG_SHAPE.test(supplierSlug)) {
+    return res.status(400).json({ error: 'Missing or invalid supplier' });
+  }
+
+  const supabaseUrl = process.env.VITE_SUPABASE_URL;
+  const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  const missing = [];
+  if (!supabaseUrl) missing.push('VITE_SUPABASE_URL');
+  if (!serviceRoleKey) missing.push('SUPABASE_SERVICE_ROLE_KEY');
+  if (missing.length) {
+    return res.status(500).json({ error: 'Missing required env vars', missing });
+  }
+
+  try {
+    const { adapter } = await loadSupplierAdapter({ supabaseUrl, serviceRoleKey, supplierSlug });
+    const missingAdapter = missingAdapterEnv(adapter, process.env);
+    if (missingAdapter.length) {
+      return res.status(500).json({ error: 'Missing required env vars', missing: missingAdapter });
+    }
+
+    const result = await syncStock({
+      supplierSlug,
+      env: process.env,
+      supabaseUrl,
+      serviceRoleKey,
+      triggeredBy: 'cron',
+    });
+    const httpStatus = result.status === 'completed' ? 200 : 500;
+    return res.status(httpStatus).json(result);
+  } catch (err) {
+    console.error(`[cron/sync-supplier-stock] ${supplierSlug} fatal:`, err);
+    return res.status(500).json({ error: err?.message ?? String(err) });
+  }
+}
+
+export default function handler(req, res) {
+  return runSupplierStockCron(req, res, req.query?.supplier);
+}
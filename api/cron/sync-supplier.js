@@ -0,0 +1,95 @@
+/**
+ * Vercel Cron entry point — nightly catalogue sync for ONE supplier.
+ *
+ *   GET /api/cron/sync-supplier?supplier=<suppliers.slug>
+ *
+ * Scheduled in site/vercel.json, one crons[] entry per supplier feed
+ * (CLAUDE.md §27: sync is per-supplier). The supplier's adapter
+ * (suppliers.adapter + adapter_config, scripts/lib/suppliers) decides where
+ * the catalogue comes from; this handler and supplier-sync.js are the same
+ * for every supplier. /api/cron/sync-laltex is this handler pinned to
+ * supplier=laltex.
+ *
+ * Auth:
+ *   Authorization: Bearer ${CRON_SECRET}  — missing/wrong -> 401.
+ *
+ * Exec budget:
+ *   maxDuration 300 — the Vercel Pro max. Laltex runs well under that
+ *   (CLAUDE.md §27); a feed supplier is one file download plus the same
+ *   batched upserts.
+ *
+ * Failure surface:
+ *   - Auth failure            -> 401
+ *   - Missing/invalid supplier-> 400
+ *   - Env var missing         -> 500 { missing: [...] } (includes the
+ *                                adapter's own credentials, e.g. LALTEX_API_KEY)
+ *   - Feed network failure    -> 500, job_runs row marked 'failed',
+ *                                errorMessage populated. Next cron retries.
+ *   - Individual product fail -> job_failures row, sync continues,
+ *                                response still 200.
+ */
+
+/* global process */
+import { syncSupplierCatalogue } from '../../scripts/lib/supplier-sync.js';
+import { loadSupplierAdapter, missingAdapterEnv } from '../../scripts/lib/suppliers/index.js';
+
+export const config = {
+  maxDuration: 300, // seconds
+};
+
+// suppliers.slug shape; anything else is rejected before touching the DB.
+const SUPPLIER_SLUG_SHAPE = /^[a-z0-9][a-z0-9-]{1,63}$/;
+
+/**
+ * Shared body of the generic and the pinned (sync-laltex) cron handlers.
+ */
+export async function runSupplierSyncCron(req, res, supplierSlug) {
+  const expected = process.env.CRON_SECRET ? `Bearer ${process.env.CRON_SECRET}` : null;
+  if (!expected) {
+    return res.status(500).json({ error: 'CRON_SECRET not configured on Vercel' });
+  }
+  if (req.headers?.authorization !== expected) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  if (typeof supplierSlug !== 'string' || !SUPPLIER_SLUG_SHAPE.test(supplierSlug)) {
+    return res.status(400).json({ error: 'Missing or invalid supplier' });
+  }
+
+  const supabaseUrl = process.env.VITE_SUPABASE_URL;
+  const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  const missing = [];
+  if (!supabaseUrl) missing.push('VITE_SUPABASE_URL');
+  if (!serviceRoleKey) missing.push('SUPABASE_SERVICE_ROLE_KEY');
+  if (missing.length) {
+    return res.status(500).json({ error: 'Missing required env vars', missing });
+  }
+
+  try {
+    // Resolve the adapter first so its credentials get the same explicit
+    // "missing env" response as the Supabase ones.
+    const { adapter } = await loadSupplierAdapter({ supabaseUrl, serviceRoleKey, supplierSlug });
+    const missingAdapter = missingAdapterEnv(adapter, process.env);
+    if (missingAdapter.length) {
+      return res.status(500).json({ error: 'Missing required env vars', missing: missingAdapter });
+    }
+
+    const result = await syncSupplierCatalogue({
+      supplierSlug,
+      env: process.env,
+      supabaseUrl,
+      serviceRoleKey,
+      triggeredBy: 'cron',
+    });
+    // 200 even when some products failed — that's continue-with-logging.
+    const httpStatus = result.status === 'completed' ? 200 : 500;
+    return res.status(httpStatus).json(result);
+  } catch (err) {
+    console.error(`[cron/sync-supplier] ${supplierSlug} fatal:`, err);
+    return res.status(500).json({ error: err?.message ?? String(err) });
+  }
+}
+
+export default function handler(req, res) {
+  return runSupplierSyncCron(req, res, req.query?.supplier);
+}
@@ -0,0 +1,142 @@
+/**
+ * GET /api/proxy-template — re-serve supplier artwork templates (dielines,
+ * usually PDF) to customers.
+ *
+ *   /api/proxy-template?url=<template url>             inline, CORS open —
+ *                                                      DesignerV2's guide layer
+ *   /api/proxy-template?url=<template url>&download=1  Content-Disposition:
+ *                                                      attachment — the
+ *                                                      LaltexProductView list
+ *
+ * Why a proxy: the supplier's extranet sends no CORS headers (so pdf.js in
+ * DesignerV2 cannot fetch it) and links straight to it would put the
+ * supplier's domain in front of customers. Same contract as
+ * api/proxy-image.js (CLAUDE.md §39), with a document type allowlist in
+ * place of image/* and a larger size cap.
+ *
+ * Hard rules:
+ *   - GET only. No POST/PUT/etc.
+ *   - HTTPS upstream only.
+ *   - Host allowlist enforced (see ALLOWED_HOSTS below).
+ *   - No client headers forwarded upstream. No cookies in either direction.
+ *   - SVG is always served as an attachment under a sandbox CSP — it can
+ *     carry script, and this is our origin. <img> / Fabric loads (the
+ *     guide layer) ignore both headers.
+ */
+
+/* global Buffer */
+
+// Allowlisted upstream hosts — keep in step with api/proxy-image.js and
+// PROXIED_TEMPLATE_HOSTS in src/utils/artworkTemplates.js. Adding a
+// supplier is a code change on purpose (open proxy / SSRF checkpoint).
+const ALLOWED_HOSTS = new Set([
+  'laltex-extranet.co.uk',
+]);
+
+// Template formats we re-serve. Some hosts send vector formats as
+// application/octet-stream; those pass only with a matching extension.
+const ALLOWED_CONTENT_TYPES = [
+  'application/pdf',
+  'application/postscript',
+  'application/illustrator',
+  'image/',
+];
+const ALLOWED_EXTENSIONS = new Set(['pdf', 'ai', 'eps', 'svg', 'png', 'jpg', 'jpeg']);
+
+const FETCH_TIMEOUT_MS = 10_000;
+const MAX_RESPONSE_BYTES = 25 * 1024 * 1024; // 25MB defensive cap
+
+export const config = {
+  maxDuration: 15,
+};
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const rawUrl = req.query?.url;
+  if (!rawUrl || typeof rawUrl !== 'string') {
+    return res.status(400).json({ error: 'Missing or invalid url parameter' });
+  }
+
+  let upstreamUrl;
+  try {
+    upstreamUrl = new URL(rawUrl);
+  } catch {
+    return res.status(400).json({ error: 'Malformed URL' });
+  }
+
+  if (upstreamUrl.protocol !== 'https:') {
+    return res.status(400).json({ error: 'Only HTTPS upstream URLs allowed' });
+  }
+
+  if (upstreamUrl.username || upstreamUrl.password) {
+    return res.status(400).json({ error: 'URLs with embedded credentials are not allowed' });
+  }
+
+  if (!ALLOWED_HOSTS.has(upstreamUrl.hostname.toLowerCase())) {
+    return res.status(403).json({ error: 'Upstream host not allowed' });
+  }
+
+  let fileName = 'template';
+  try {
+    fileName = decodeURIComponent(upstreamUrl.pathname.split('/').pop() || 'template');
+  } catch {
+    // keep the default
+  }
+  fileName = fileName.replace(/[^a-zA-Z0-9._-]+/g, '_');
+  const extension = fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : '';
+
+  let upstream;
+  try {
+    upstream = await fetch(upstreamUrl.toString(), {
+      method: 'GET',
+      headers: {
+        'User-Agent': 'PromoGifts-TemplateProxy/1.0',
+        Accept: 'application/pdf, application/postscript, image/*',
+      },
+      signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+      redirect: 'follow',
+    });
+  } catch (err) {
+    console.error('[proxy-template] upstream fetch failed:', err?.message ?? err);
+    return res.status(502).json({ error: 'Upstream fetch failed' });
+  }
+
+  if (!upstream.ok) {
+    const status = upstream.status === 404 ? 404 : 502;
+    return res.status(status).json({
+      error: `Upstream returned ${upstream.status}`,
+    });
+  }
+
+  const contentType = upstream.headers.get('content-type') || 'application/octet-stream';
+  const typeAllowed = ALLOWED_CONTENT_TYPES.some((t) => contentType.startsWith(t))
+    || (contentType.startsWith('application/octet-stream') && ALLOWED_EXTENSIONS.has(extension));
+  if (!typeAllowed) {
+    return res.status(415).json({ error: 'Upstream did not return an artwork template' });
+  }
+
+  const arrayBuffer = await upstream.arrayBuffer();
+  if (arrayBuffer.byteLength > MAX_RESPONSE_BYTES) {
+    return res.status(502).json({ error: 'Upstream response exceeds size limit' });
+  }
+  const buffer = Buffer.from(arrayBuffer);
+
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Cache-Control', 'public, max-age=3600, s-maxage=86400, immutable');
+  res.setHeader('Content-Length', buffer.length.toString());
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  const isSvg = contentType.startsWith('image/svg') || extension === 'svg';
+  if (isSvg) {
+    res.setHeader('Content-Security-Policy', 'sandbox');
+  }
+  if (isSvg || req.query?.download === '1') {
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+  }
+
+  return res.status(200).send(buffer);
+}
@@ -1,15 +1,17 @@
 /**
  * POST /api/search-products — hybrid (vector + tsvector) catalogue search.
  *
- * Server-to-server only at this stage. Authorization header is
- * Bearer ${CRON_SECRET}; the AI Edge Function in session 5 will call
- * this with the secret. Public-facing exposure (if ever needed) gets
- * its own auth layer in a later session — out of scope here.
+ * Server-to-server only. Authorization header is Bearer ${CRON_SECRET};
+ * the AI Edge Function in session 5 calls this with the secret. The
+ * public-facing route is /api/catalogue-search (rate-limited, faceted) —
+ * same RPC, same scoring.
  *
  * Pipeline:
  *   1. Auth + env guard.
  *   2. Validate the JSON body.
- *   3. Embed `query` via OpenAI text-embedding-3-small (~5–10 tokens).
+ *   3. Embed `query` via OpenAI text-embedding-3-small (~5–10 tokens),
+ *      or reuse a cached embedding for the same normalised query
+ *      (search_query_embeddings, scripts/lib/catalogue-search.js).
  *   4. Call rpc_search_supplier_products with embedding + filters.
  *      The RPC owns scoring (RRF + boosts), filtering, and staleness
  *      exclusion — parameterised, so no SQL-injection surface.
@@ -34,10 +36,9 @@
 
 import OpenAI from 'openai';
 
-import { EMBEDDING_MODEL, generateEmbedding, vectorLiteral } from '../scripts/lib/embedding.js';
-import { checkAuthAndEnv, callRpc, findTierForQuantity } from '../scripts/lib/search-auth.js';
-import { deliveryPerUnit } from '../scripts/lib/laltex-delivery.js';
-import { scheduleMarginForTier } from '../scripts/lib/laltex-margin.js';
+import { EMBEDDING_MODEL } from '../scripts/lib/embedding.js';
+import { checkAuthAndEnv, callRpc } from '../scripts/lib/search-auth.js';
+import { embedQueryCached, attachUnitPriceAtQuantity } from '../scripts/lib/catalogue-search.js';
 
 export const config = {
   maxDuration: 30, // seconds — query embed + RPC; typical is <2s.
@@ -172,14 +173,16 @@ export default async function handler(req, res) {
 
   const t0 = Date.now();
 
-  // 1. Embed the query.
+  // 1. Embed the query (cache first).
   let queryEmbedding;
   let tokensUsed = 0;
+  let embeddingCached = false;
   try {
     const openai = new OpenAI({ apiKey: openaiKey });
-    const out = await generateEmbedding(query, openai);
+    const out = await embedQueryCached({ supabaseUrl, serviceRoleKey, openai, query });
     queryEmbedding = out.embedding;
-    tokensUsed = out.tokensUsed ?? 0;
+    tokensUsed = out.tokensUsed;
+    embeddingCached = out.cached;
   } catch (err) {
     console.error('[search-products] openai embed failed:', err?.message);
     return res.status(500).json({
@@ -191,9 +194,10 @@ export default async function handler(req, res) {
   const tEmbed = Date.now() - t0;
 
   // 2. Call the RPC. pgvector accepts the text-form literal on POST
-  //    when the column is typed vector(N) on the function signature.
+  //    when the column is typed vector(N) on the function signature;
+  //    embedQueryCached returns exactly that form.
   const rpcBody = {
-    query_embedding: vectorLiteral(queryEmbedding),
+    query_embedding: queryEmbedding,
     query_text: query,
     p_category: filters.category ?? null,
     p_sub_category: filters.sub_category ?? null,
@@ -226,37 +230,9 @@ export default async function handler(req, res) {
   }
   const tTotal = Date.now() - t0;
 
-  // 3. Attach unit_price_at_quantity if a quantity was supplied.
-  //
-  // Customer-facing price: tier.sell_price (margin-applied at sync, NO
-  // delivery) + UK STANDARD delivery share at the customer's actual qty,
-  // with margin applied to the delivery share at the tier's rate.
-  //
-  // Transitional behaviour: rows that haven't been recomputed yet (no
-  // sell_price field) fall back to raw tier.price so search results stay
-  // populated during the deploy window. Once recompute-laltex-margins.js
-  // has run, sell_price is always present.
-  if (Array.isArray(rows) && filters.quantity != null) {
-    const qty = filters.quantity;
-    for (const r of rows) {
-      const tier = findTierForQuantity(r.product_pricing, qty);
-      if (!tier || tier.is_poa) {
-        r.unit_price_at_quantity = null;
-        r.unit_price_at_quantity_is_poa = !!tier?.is_poa;
-        continue;
-      }
-      const sellNoDelivery = tier.sell_price != null
-        ? Number(tier.sell_price)
-        : Number(tier.price);
-      const marginPct = Number.isFinite(Number(tier.margin_applied_pct))
-        ? Number(tier.margin_applied_pct)
-        : scheduleMarginForTier(qty, null);
-      const dpu = deliveryPerUnit(r.shipping_charges, r.carton_qty, qty, 'ukstandard');
-      const inclusive = sellNoDelivery + dpu * (1 + marginPct);
-      r.unit_price_at_quantity = Number(inclusive.toFixed(4));
-      r.unit_price_at_quantity_is_poa = false;
-    }
-  }
+  // 3. Attach unit_price_at_quantity if a quantity was supplied
+  //    (sell_price + UK standard delivery share — see catalogue-search.js).
+  if (filters.quantity != null) attachUnitPriceAtQuantity(rows, filters.quantity);
 
   // 4. Log + return.
   const topScore = rows?.[0]?.final_score ?? null;
@@ -270,6 +246,7 @@ export default async function handler(req, res) {
       query,
       embedding_model: EMBEDDING_MODEL,
       embedding_tokens: tokensUsed,
+      embedding_cached: embeddingCached,
       filters_applied: filters,
       scoring: SCORING,
       result_count: rows?.length ?? 0,
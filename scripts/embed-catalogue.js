@@ -10,6 +10,7 @@
  *
  * Usage:
  *   node scripts/embed-catalogue.js
+ *   node scripts/embed-catalogue.js --supplier=acme   (one supplier only)
  *
  * Env required in site/.env:
  *   OPENAI_API_KEY            — embeddings-only restricted key
@@ -21,6 +22,7 @@
  *   1 — status='failed'
  */
 
+/* global process */
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 import dotenv from 'dotenv';
@@ -30,7 +32,17 @@ import { embedCatalogue } from './lib/catalogue-embed.js';
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 dotenv.config({ path: path.join(__dirname, '..', '.env') });
 
+function parseArgs(argv) {
+  const out = { supplier: undefined };
+  for (const a of argv.slice(2)) {
+    const m = /^--supplier=([a-z0-9-]+)$/.exec(a);
+    if (m) out.supplier = m[1];
+  }
+  return out;
+}
+
 async function main() {
+  const args = parseArgs(process.argv);
   const openaiKey = process.env.OPENAI_API_KEY;
   const supabaseUrl = process.env.VITE_SUPABASE_URL;
   const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
@@ -45,13 +57,14 @@ async function main() {
   }
 
   const keyTail = openaiKey.length >= 4 ? openaiKey.slice(-4) : '****';
-  console.log(`[embed] starting full-catalogue embed (openai key ...${keyTail})`);
+  console.log(`[embed] starting ${args.supplier ? `${args.supplier} ` : 'full-catalogue '}embed (openai key ...${keyTail})`);
 
   const result = await embedCatalogue({
     openaiKey,
     supabaseUrl,
     serviceRoleKey,
     triggeredBy: 'cli',
+    supplierSlug: args.supplier,
   });
 
   console.log('');
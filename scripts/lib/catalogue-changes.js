@@ -0,0 +1,153 @@
+/**
+ * Change detection for the supplier catalogue sync.
+ *
+ * Exports:
+ *   contentHash(row)              — SHA-256 of a normalised supplier_products
+ *                                   row, stored as supplier_products.content_hash.
+ *   diffProductRows(before, after) — the staff-facing change-log entries
+ *                                   between two versions of a product.
+ *   supplierPriceMoves(before, after) — per-tier supplier trade-price moves
+ *                                   within a 'price' change entry, for
+ *                                   supplier_price_history.
+ *   CHANGE_TYPES                  — the supplier_product_changes.change_type values.
+ *
+ * Pure and side-effect free; supplier-sync.js does the I/O.
+ *
+ * What goes into the hash:
+ *   The row exactly as it would be upserted (after margins, CLAUDE.md §46),
+ *   minus the fields that change on every run without the product changing:
+ *     raw_payload             — supplier-side noise we don't read; refreshed
+ *                               whenever the normalised content does change
+ *     margin_last_applied_at  — a timestamp, new every run
+ *     content_hash            — itself
+ *   margin_default_schedule_version IS hashed, so a schedule bump re-writes
+ *   every row once. Sync-owned bookkeeping (last_synced_at,
+ *   missing_from_feed_count, is_retired) is never part of a normalised row.
+ */
+
+import crypto from 'node:crypto';
+
+const HASH_EXCLUDED_FIELDS = new Set(['raw_payload', 'margin_last_applied_at', 'content_hash']);
+
+export const CHANGE_TYPES = ['added', 'price', 'print_options', 'colours', 'retired', 'reinstated'];
+
+// Columns diffProductRows reads off the stored row. supplier-sync.js selects
+// exactly these for changed products before overwriting them.
+export const DIFF_COLUMNS = ['product_pricing', 'print_details', 'available_colours', 'items'];
+
+/**
+ * @param {object} row - normalised supplier_products row
+ * @returns {string} hex digest
+ */
+export function contentHash(row) {
+  const material = {};
+  for (const key of Object.keys(row).sort()) {
+    if (!HASH_EXCLUDED_FIELDS.has(key)) material[key] = row[key];
+  }
+  return crypto.createHash('sha256').update(JSON.stringify(material), 'utf8').digest('hex');
+}
+
+// Product price tiers as staff read them: supplier cost + our sell price.
+function priceSummary(productPricing) {
+  if (!Array.isArray(productPricing)) return [];
+  return productPricing.map((t) => ({
+    min_qty: t?.min_qty ?? null,
+    max_qty: t?.max_qty ?? null,
+    price: t?.price ?? null,
+    sell_price: t?.sell_price ?? null,
+    is_poa: !!t?.is_poa,
+  }));
+}
+
+// Print options without the display-only coordinates / image URLs, so a
+// re-shot print-area image doesn't read as a print change.
+function printSummary(printDetails) {
+  if (!Array.isArray(printDetails)) return [];
+  return printDetails.map((pd) => ({
+    print_type: pd?.print_type ?? null,
+    print_position: pd?.print_position ?? null,
+    max_colours: pd?.max_colours ?? null,
+    setup_charge: pd?.setup_charge ?? null,
+    tiers: (Array.isArray(pd?.print_price) ? pd.print_price : []).map((t) => ({
+      num_colours: t?.num_colours ?? null,
+      min_qty: t?.min_qty ?? null,
+      price: t?.price ?? null,
+      is_poa: !!t?.is_poa,
+    })),
+  }));
+}
+
+// Sorted distinct colours: variant colours when the feed has them, else the
+// free-text available_colours list.
+function colourSummary(row) {
+  const fromItems = (Array.isArray(row?.items) ? row.items : [])
+    .map((i) => i?.item_colour)
+    .filter(Boolean);
+  const source = fromItems.length
+    ? fromItems
+    : String(row?.available_colours || '').split(/[,/]/).map((c) => c.trim()).filter(Boolean);
+  return [...new Set(source)].sort((a, b) => a.localeCompare(b));
+}
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Staff-facing change entries between the stored row and the new one.
+ * Only the dimensions staff act on are compared (price, print options,
+ * colours); retirement is detected by the sync's reconciliation step, not
+ * here. A product with no stored row is a single 'added' entry.
+ *
+ * @param {object|null} before - stored row (DIFF_COLUMNS), or null if new
+ * @param {object} after       - normalised row about to be upserted
+ * @returns {Array<{change_type:string, before:any, after:any}>}
+ */
+export function diffProductRows(before, after) {
+  if (!before) {
+    return [{ change_type: 'added', before: null, after: { name: after.name ?? null } }];
+  }
+  const changes = [];
+  const pairs = [
+    ['price', priceSummary(before.product_pricing), priceSummary(after.product_pricing)],
+    ['print_options', printSummary(before.print_details), printSummary(after.print_details)],
+    ['colours', colourSummary(before), colourSummary(after)],
+  ];
+  for (const [changeType, b, a] of pairs) {
+    if (!same(b, a)) changes.push({ change_type: changeType, before: b, after: a });
+  }
+  return changes;
+}
+
+/**
+ * Tiers whose supplier trade `price` moved, from a 'price' change entry's
+ * before / after summaries. Tiers are matched on min_qty; a sell_price-only
+ * move (margin schedule / override change) is not a supplier move and is
+ * ignored. change_pct is null when either side has no numeric price
+ * (POA, or a tier added / dropped).
+ *
+ * @param {Array<object>} before - priceSummary tiers
+ * @param {Array<object>} after  - priceSummary tiers
+ * @returns {Array<{min_qty:number|null, old_price:number|null, new_price:number|null, old_sell_price:number|null, new_sell_price:number|null, change_pct:number|null}>}
+ */
+export function supplierPriceMoves(before, after) {
+  const byQty = new Map();
+  for (const t of before || []) byQty.set(t.min_qty, { before: t, after: null });
+  for (const t of after || []) byQty.set(t.min_qty, { before: byQty.get(t.min_qty)?.before ?? null, after: t });
+
+  const moves = [];
+  for (const [minQty, pair] of byQty) {
+    const oldPrice = pair.before?.is_poa ? null : (pair.before?.price ?? null);
+    const newPrice = pair.after?.is_poa ? null : (pair.after?.price ?? null);
+    if (oldPrice === newPrice) continue;
+    moves.push({
+      min_qty: minQty,
+      old_price: oldPrice,
+      new_price: newPrice,
+      old_sell_price: pair.before?.sell_price ?? null,
+      new_sell_price: pair.after?.sell_price ?? null,
+      change_pct: oldPrice > 0 && newPrice != null
+        ? Math.round(((newPrice - oldPrice) / oldPrice) * 10000) / 100
+        : null,
+    });
+  }
+  return moves.sort((a, b) => (a.min_qty ?? 0) - (b.min_qty ?? 0));
+}
@@ -5,7 +5,9 @@
  *   embedCatalogue({ ... }) — end-to-end embed run. Creates a
  *     job_runs row with job_type='embed' (supplier_id NULL — embed
  *     is supplier-agnostic, see CLAUDE.md §27), reads supplier_products
- *     across every supplier, computes source-text hashes via session 2
+ *     across every supplier (or just one, when supplierSlug is given —
+ *     then job_runs.supplier_id is that supplier's), computes source-text
+ *     hashes via session 2
  *     helpers, skips rows whose hash matches the stored
  *     embedding_source_hash, issues a single batched
  *     OpenAI embeddings.create call for the rows that need updating,
@@ -28,7 +30,9 @@
  *    safe — unchanged rows still skip the API call.
  *
  *    Sync remains per-supplier (one cron per supplier feed); see
- *    laltex-sync.js for the parallel sync code path.
+ *    supplier-sync.js for the parallel sync code path. A per-supplier
+ *    embed (supplierSlug) exists for onboarding a new feed without
+ *    waiting for the nightly run; the hash gate makes either safe.
  *
  * 3. Single batch OpenAI call:
  *    text-embedding-3-small accepts up to 2048 inputs per call.
@@ -80,8 +84,11 @@ const OPENAI_BATCH_MAX_INPUTS = 2048;
 
 // Fields we need off each supplier_products row to build source text
 // and decide whether to re-embed. id is essential — it's the write key.
+// embedded_at stands in for "has a vector": it is only ever written
+// alongside embedding (updateEmbedding), and reading the 1536-dim vector
+// itself for every row just to null-check it was most of the payload.
 const SUPPLIER_PRODUCTS_SELECT =
-  'id,supplier_product_code,name,category,sub_category,description,web_description,keywords,material,available_colours,embedding_source_hash,embedding';
+  'id,supplier_product_code,name,category,sub_category,description,web_description,keywords,material,available_colours,embedding_source_hash,embedded_at';
 
 // ---------------------------------------------------------------------------
 // PostgREST helpers — match session 3a laltex-sync.js for style parity
@@ -123,14 +130,14 @@ async function pgRest(method, url, serviceRoleKey, { body, extraHeaders } = {})
 }
 
 // ---------------------------------------------------------------------------
-// job_runs lifecycle helpers (job_type='embed', supplier_id NULL)
+// job_runs lifecycle helpers (job_type='embed', supplier_id NULL unless scoped)
 // ---------------------------------------------------------------------------
 
-async function insertJobRun({ supabaseUrl, serviceRoleKey, runType, triggeredBy, metadata }) {
+async function insertJobRun({ supabaseUrl, serviceRoleKey, supplierId, runType, triggeredBy, metadata }) {
   const url = `${supabaseUrl}/rest/v1/job_runs`;
   const rows = await pgRest('POST', url, serviceRoleKey, {
     body: [{
-      supplier_id: null,        // embed spans every supplier — see §27 / §26.11
+      supplier_id: supplierId ?? null, // NULL = every supplier — see §27 / §26.11
       run_type: runType,
       status: 'running',
       triggered_by: triggeredBy,
@@ -170,7 +177,16 @@ async function insertJobFailures({ supabaseUrl, serviceRoleKey, rows }) {
 // Rows — read every supplier_products row, paginated past the 1000-row cap
 // ---------------------------------------------------------------------------
 
-async function fetchAllSupplierProducts({ supabaseUrl, serviceRoleKey }) {
+async function getSupplierId({ supabaseUrl, serviceRoleKey, supplierSlug }) {
+  const url = `${supabaseUrl}/rest/v1/suppliers?slug=eq.${encodeURIComponent(supplierSlug)}&select=id`;
+  const rows = await pgRest('GET', url, serviceRoleKey);
+  if (!Array.isArray(rows) || !rows[0]?.id) {
+    throw new Error(`suppliers row for slug='${supplierSlug}' not found`);
+  }
+  return rows[0].id;
+}
+
+async function fetchAllSupplierProducts({ supabaseUrl, serviceRoleKey, supplierId, productCode }) {
   const out = [];
   let offset = 0;
   /* eslint-disable no-await-in-loop */
@@ -178,6 +194,8 @@ async function fetchAllSupplierProducts({ supabaseUrl, serviceRoleKey }) {
     const url =
       `${supabaseUrl}/rest/v1/supplier_products` +
       `?select=${SUPPLIER_PRODUCTS_SELECT}` +
+      (supplierId ? `&supplier_id=eq.${supplierId}` : '') +
+      (productCode ? `&supplier_product_code=eq.${encodeURIComponent(productCode)}` : '') +
       `&order=id.asc` +
       `&limit=${SUPPLIER_PRODUCTS_PAGE_SIZE}` +
       `&offset=${offset}`;
@@ -213,13 +231,18 @@ async function updateEmbedding({ supabaseUrl, serviceRoleKey, id, embedding, sou
 // ---------------------------------------------------------------------------
 
 /**
- * Run a full-catalogue embed across every supplier.
+ * Run a full-catalogue embed across every supplier (or one).
  *
  * @param {object} opts
  * @param {string} opts.openaiKey         OPENAI_API_KEY
  * @param {string} opts.supabaseUrl       VITE_SUPABASE_URL
  * @param {string} opts.serviceRoleKey    SUPABASE_SERVICE_ROLE_KEY
  * @param {string} opts.triggeredBy       'cron' | 'manual' | 'cli'
+ * @param {string=} opts.supplierSlug     limit to one supplier; omitted = all
+ * @param {string=} opts.productCode      limit to one supplier_product_code
+ *                                        (run_type 'single'; the hash gate
+ *                                        still applies — an unchanged row is
+ *                                        skipped, never re-embedded)
  * @param {function(string)=} opts.progress
  * @returns {Promise<{
  *   runId:string,
@@ -240,6 +263,8 @@ export async function embedCatalogue({
   supabaseUrl,
   serviceRoleKey,
   triggeredBy,
+  supplierSlug,
+  productCode,
   progress,
 }) {
   ensureEnv('openaiKey', openaiKey);
@@ -254,13 +279,23 @@ export async function embedCatalogue({
 
   const runStart = Date.now();
 
-  // 1. Open job_runs row (job_type='embed', supplier_id=NULL)
+  // 1. Open job_runs row (job_type='embed', supplier_id=NULL unless scoped)
+  const supplierId = supplierSlug
+    ? await getSupplierId({ supabaseUrl, serviceRoleKey, supplierSlug })
+    : null;
   const runId = await insertJobRun({
     supabaseUrl,
     serviceRoleKey,
-    runType: 'full_catalogue',
+    supplierId,
+    runType: productCode ? 'single' : 'full_catalogue',
     triggeredBy,
-    metadata: { model: EMBEDDING_MODEL, dims: EMBEDDING_DIMS, started_iso: new Date(runStart).toISOString() },
+    metadata: {
+      model: EMBEDDING_MODEL,
+      dims: EMBEDDING_DIMS,
+      supplier: supplierSlug ?? null,
+      product_code: productCode ?? null,
+      started_iso: new Date(runStart).toISOString(),
+    },
   });
 
   let status = 'failed';
@@ -274,9 +309,9 @@ export async function embedCatalogue({
   let costUsd = 0;
 
   try {
-    // 2. Pull all supplier_products rows (paginated, every supplier)
-    log(`[embed] run ${runId} — reading supplier_products …`);
-    const rows = await fetchAllSupplierProducts({ supabaseUrl, serviceRoleKey });
+    // 2. Pull all supplier_products rows (paginated, every supplier or one)
+    log(`[embed] run ${runId} — reading supplier_products${supplierSlug ? ` for ${supplierSlug}` : ''}${productCode ? ` code ${productCode}` : ''} …`);
+    const rows = await fetchAllSupplierProducts({ supabaseUrl, serviceRoleKey, supplierId, productCode });
     considered = rows.length;
     log(`[embed] considering ${considered} rows`);
 
@@ -307,7 +342,7 @@ export async function embedCatalogue({
         continue;
       }
       const hash = hashSourceText(sourceText);
-      const hasEmbedding = r.embedding != null && r.embedding !== '';
+      const hasEmbedding = r.embedded_at != null;
       if (hasEmbedding && r.embedding_source_hash === hash) {
         embedSkipped += 1;
         continue;
@@ -417,6 +452,8 @@ export async function embedCatalogue({
         metadata: {
           model: EMBEDDING_MODEL,
           dims: EMBEDDING_DIMS,
+          supplier: supplierSlug ?? null,
+          product_code: productCode ?? null,
           embed_requested: embedRequested,
           embed_skipped_unchanged: embedSkipped,
           openai_tokens_used: tokensUsed,
@@ -0,0 +1,312 @@
+/**
+ * Shared pieces of the catalogue search endpoints.
+ *
+ *   /api/search-products    server-to-server (AVA), Bearer CRON_SECRET
+ *   /api/catalogue-search   public, rate-limited (header search + /search)
+ *
+ * Both call rpc_search_supplier_products, which owns scoring (CLAUDE.md §31).
+ * This module is everything either side of the RPC:
+ *
+ *   embedQueryCached(...)          — query embedding via search_query_embeddings,
+ *                                    OpenAI only on a miss
+ *   attachUnitPriceAtQuantity(...) — customer-facing inclusive price per row
+ *   buildFacets / applyFacetFilters — the public results page's facets,
+ *                                    computed over the ranked pool in JS
+ *
+ * Cache key: sha256(EMBEDDING_MODEL + ':' + normalised query). Normalising
+ * is lower-case + whitespace collapse only — "Pens" and "pens " share an
+ * entry, "pen" and "pens" do not (they embed differently anyway). Cache
+ * failures are logged and fall through to OpenAI; search never breaks
+ * because the cache is down.
+ */
+
+import crypto from 'node:crypto';
+
+import { EMBEDDING_MODEL, generateEmbedding, vectorLiteral } from './embedding.js';
+import { findTierForQuantity } from './search-auth.js';
+import { deliveryPerUnit } from './laltex-delivery.js';
+import { scheduleMarginForTier } from './laltex-margin.js';
+
+// Past this the entry is re-embedded on next use, so a silent model-side
+// change on OpenAI's end can't pin stale vectors forever.
+export const EMBEDDING_CACHE_MAX_AGE_DAYS = 30;
+
+// Price-at-quantity facet bands (delivery-inclusive unit price, GBP).
+// `max` is exclusive; the last band is open-ended.
+export const PRICE_BANDS = Object.freeze([
+  { key: 'under-1', label: 'Under £1', min: 0, max: 1 },
+  { key: '1-2.5', label: '£1 – £2.50', min: 1, max: 2.5 },
+  { key: '2.5-5', label: '£2.50 – £5', min: 2.5, max: 5 },
+  { key: '5-10', label: '£5 – £10', min: 5, max: 10 },
+  { key: '10-plus', label: '£10+', min: 10, max: null },
+]);
+
+// Long colour tails (Laltex has "Pantone matched" variants) are noise in a
+// sidebar. Selected colours always show, whatever their count.
+const MAX_COLOUR_FACETS = 20;
+
+// ---------------------------------------------------------------------------
+// PostgREST helpers
+// ---------------------------------------------------------------------------
+
+function pgRestHeaders(serviceRoleKey, extra = {}) {
+  return {
+    apikey: serviceRoleKey,
+    Authorization: `Bearer ${serviceRoleKey}`,
+    'Content-Type': 'application/json',
+    Accept: 'application/json',
+    ...extra,
+  };
+}
+
+async function pgRest(method, url, serviceRoleKey, { body, extraHeaders } = {}) {
+  const resp = await fetch(url, {
+    method,
+    headers: pgRestHeaders(serviceRoleKey, extraHeaders),
+    body: body == null ? undefined : (typeof body === 'string' ? body : JSON.stringify(body)),
+  });
+  const text = await resp.text();
+  if (!resp.ok) {
+    throw new Error(`PostgREST ${method} ${url.split('?')[0]} -> ${resp.status}: ${text.slice(0, 500)}`);
+  }
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Query embedding cache
+// ---------------------------------------------------------------------------
+
+export function normaliseQuery(query) {
+  return String(query ?? '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+export function queryHash(query) {
+  return crypto
+    .createHash('sha256')
+    .update(`${EMBEDDING_MODEL}:${normaliseQuery(query)}`, 'utf8')
+    .digest('hex');
+}
+
+/**
+ * Embedding for a search query, from search_query_embeddings when a fresh
+ * entry exists, else from OpenAI (and written back).
+ *
+ * The embedding comes back as a pgvector literal string — the form
+ * PostgREST returns for a vector column and the form the RPC accepts — so a
+ * cache hit never parses 1536 floats.
+ *
+ * @param {object} opts
+ * @param {string} opts.supabaseUrl
+ * @param {string} opts.serviceRoleKey
+ * @param {import('openai').default} opts.openai
+ * @param {string} opts.query
+ * @returns {Promise<{ embedding: string, cached: boolean, tokensUsed: number }>}
+ *   Throws only when the OpenAI call itself fails.
+ */
+export async function embedQueryCached({ supabaseUrl, serviceRoleKey, openai, query }) {
+  const hash = queryHash(query);
+  const table = `${supabaseUrl}/rest/v1/search_query_embeddings`;
+  const freshSince = new Date(Date.now() - EMBEDDING_CACHE_MAX_AGE_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+  try {
+    const rows = await pgRest(
+      'GET',
+      `${table}?query_hash=eq.${hash}&created_at=gte.${encodeURIComponent(freshSince)}` +
+        '&select=embedding,hits&limit=1',
+      serviceRoleKey,
+    );
+    if (Array.isArray(rows) && rows[0]?.embedding) {
+      // Bookkeeping only — a lost increment under concurrency is fine.
+      await pgRest('PATCH', `${table}?query_hash=eq.${hash}`, serviceRoleKey, {
+        body: { hits: (Number(rows[0].hits) || 0) + 1, last_used_at: new Date().toISOString() },
+        extraHeaders: { Prefer: 'return=minimal' },
+      }).catch((err) => console.warn('[catalogue-search] cache touch failed:', err?.message));
+      const embedding = typeof rows[0].embedding === 'string'
+        ? rows[0].embedding
+        : vectorLiteral(rows[0].embedding);
+      return { embedding, cached: true, tokensUsed: 0 };
+    }
+  } catch (err) {
+    console.warn('[catalogue-search] cache read failed:', err?.message);
+  }
+
+  const out = await generateEmbedding(query, openai);
+  const embedding = vectorLiteral(out.embedding);
+
+  const nowIso = new Date().toISOString();
+  await pgRest('POST', table, serviceRoleKey, {
+    body: [{
+      query_hash: hash,
+      query_text: normaliseQuery(query),
+      model: EMBEDDING_MODEL,
+      embedding,
+      hits: 1,
+      created_at: nowIso,
+      last_used_at: nowIso,
+    }],
+    extraHeaders: { Prefer: 'resolution=merge-duplicates,return=minimal' },
+  }).catch((err) => console.warn('[catalogue-search] cache write failed:', err?.message));
+
+  return { embedding, cached: false, tokensUsed: out.tokensUsed ?? 0 };
+}
+
+// ---------------------------------------------------------------------------
+// Price at quantity
+// ---------------------------------------------------------------------------
+
+/**
+ * Attach unit_price_at_quantity (+ _is_poa) to each RPC row, in place.
+ *
+ * Customer-facing price: tier.sell_price (margin-applied at sync, NO
+ * delivery) + UK STANDARD delivery share at the customer's actual qty,
+ * with margin applied to the delivery share at the tier's rate
+ * (CLAUDE.md §46).
+ *
+ * Transitional behaviour: rows that haven't been recomputed yet (no
+ * sell_price field) fall back to raw tier.price so search results stay
+ * populated during the deploy window. Once recompute-laltex-margins.js
+ * has run, sell_price is always present.
+ *
+ * @param {Array<object>} rows - rpc_search_supplier_products rows
+ * @param {number} qty
+ * @returns {Array<object>} the same array
+ */
+export function attachUnitPriceAtQuantity(rows, qty) {
+  if (!Array.isArray(rows) || qty == null) return rows;
+  for (const r of rows) {
+    const tier = findTierForQuantity(r.product_pricing, qty);
+    if (!tier || tier.is_poa) {
+      r.unit_price_at_quantity = null;
+      r.unit_price_at_quantity_is_poa = !!tier?.is_poa;
+      continue;
+    }
+    const sellNoDelivery = tier.sell_price != null
+      ? Number(tier.sell_price)
+      : Number(tier.price);
+    const marginPct = Number.isFinite(Number(tier.margin_applied_pct))
+      ? Number(tier.margin_applied_pct)
+      : scheduleMarginForTier(qty, null);
+    const dpu = deliveryPerUnit(r.shipping_charges, r.carton_qty, qty, 'ukstandard');
+    const inclusive = sellNoDelivery + dpu * (1 + marginPct);
+    r.unit_price_at_quantity = Number(inclusive.toFixed(4));
+    r.unit_price_at_quantity_is_poa = false;
+  }
+  return rows;
+}
+
+// ---------------------------------------------------------------------------
+// Facets
+// ---------------------------------------------------------------------------
+
+/**
+ * Distinct variant colours of an RPC row, in feed order.
+ * @param {object} row
+ * @returns {string[]}
+ */
+export function rowColours(row) {
+  const seen = new Map();
+  for (const item of Array.isArray(row?.items) ? row.items : []) {
+    const colour = typeof item?.item_colour === 'string' ? item.item_colour.trim() : '';
+    if (colour && !seen.has(colour.toLowerCase())) seen.set(colour.toLowerCase(), colour);
+  }
+  return [...seen.values()];
+}
+
+/**
+ * PRICE_BANDS key for a row's unit_price_at_quantity, or null (POA / no tier
+ * covering the quantity).
+ */
+export function priceBandKey(row) {
+  const price = row?.unit_price_at_quantity;
+  if (price == null || !Number.isFinite(Number(price))) return null;
+  const band = PRICE_BANDS.find((b) => price >= b.min && (b.max == null || price < b.max));
+  return band?.key ?? null;
+}
+
+// One predicate per facet. `selected` is the parsed query:
+//   { category, colour, price, express, inStock } — strings / booleans,
+//   null or false meaning "not filtered".
+const FACET_TESTS = {
+  category: (row, s) => !s.category || row.category === s.category,
+  colour: (row, s) => !s.colour
+    || rowColours(row).some((c) => c.toLowerCase() === s.colour.toLowerCase()),
+  price: (row, s) => !s.price || priceBandKey(row) === s.price,
+  express: (row, s) => !s.express || row.express_available === true,
+  inStock: (row, s) => !s.inStock || row.in_stock === true,
+};
+
+function matchesAllExcept(row, selected, skip) {
+  return Object.entries(FACET_TESTS).every(([facet, test]) => facet === skip || test(row, selected));
+}
+
+/**
+ * Rows passing every selected facet. Rank order is preserved.
+ */
+export function applyFacetFilters(rows, selected) {
+  return (rows || []).filter((row) => matchesAllExcept(row, selected, null));
+}
+
+/**
+ * Facet counts over the ranked pool. Counts are disjunctive: each facet is
+ * counted over the rows matching every OTHER selected facet, so picking
+ * "Bags" still shows how many results the other categories would give.
+ *
+ * @param {Array<object>} rows     - RPC rows with unit_price_at_quantity attached
+ * @param {object}        selected - see FACET_TESTS
+ * @returns {{
+ *   category: Array<{ value:string, count:number }>,
+ *   colour:   Array<{ value:string, count:number }>,
+ *   price:    Array<{ value:string, label:string, count:number }>,
+ *   express:  number,
+ *   inStock:  number,
+ * }}
+ */
+export function buildFacets(rows, selected) {
+  const pool = (skip) => (rows || []).filter((row) => matchesAllExcept(row, selected, skip));
+
+  const countBy = (list, keysOf) => {
+    const counts = new Map();
+    for (const row of list) {
+      for (const key of keysOf(row)) counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    return counts;
+  };
+
+  const categories = countBy(pool('category'), (r) => (r.category ? [r.category] : []));
+
+  // Colours are case-folded for counting, displayed in the first-seen casing.
+  const colourLabels = new Map();
+  const colours = countBy(pool('colour'), (r) => rowColours(r).map((c) => {
+    const key = c.toLowerCase();
+    if (!colourLabels.has(key)) colourLabels.set(key, c);
+    return key;
+  }));
+  const selectedColour = selected.colour ? selected.colour.toLowerCase() : null;
+
+  const prices = countBy(pool('price'), (r) => {
+    const key = priceBandKey(r);
+    return key ? [key] : [];
+  });
+
+  const byCountThenName = (a, b) => b.count - a.count || a.value.localeCompare(b.value);
+
+  return {
+    category: [...categories]
+      .map(([value, count]) => ({ value, count }))
+      .sort(byCountThenName),
+    colour: [...colours]
+      .map(([key, count]) => ({ key, value: colourLabels.get(key), count }))
+      .sort(byCountThenName)
+      .filter((c, idx) => idx < MAX_COLOUR_FACETS || c.key === selectedColour)
+      .map(({ value, count }) => ({ value, count })),
+    price: PRICE_BANDS
+      .map((b) => ({ value: b.key, label: b.label, count: prices.get(b.key) || 0 })),
+    express: pool('express').filter((r) => r.express_available === true).length,
+    inStock: pool('inStock').filter((r) => r.in_stock === true).length,
+  };
+}
@@ -16,7 +16,7 @@
  *   - Diameter present -> shape='circle'; else 'rectangle'.
  *   - Feed shape: session 1 discovered the live API returns a bare
  *     [{...}] array while the PDF-linked sample is wrapped {value:[...]}.
- *     normaliseProduct's caller (laltex-sync.js) handles both shapes.
+ *     the Laltex adapter (suppliers/laltex.js) handles both shapes.
  */
 
 // ---------------------------------------------------------------------------
@@ -1,376 +1,16 @@
 /**
- * Core batch-sync logic for the Laltex catalogue.
+ * Laltex catalogue sync — the original entry point, kept for the existing
+ * CLI / cron callers.
  *
- * Exports:
- *   syncFullCatalogue({ ... }) — end-to-end sync run. Creates a
- *     job_runs row with job_type='sync', fetches /v1/products/list
- *     from Laltex, normalises every product, bulk-upserts into
- *     supplier_products in small batches, records per-product
- *     failures into job_failures, and finalises the job_runs row
- *     (completed | failed).
- *
- * Architecture notes:
- *
- * 1. DB access pattern:
- *    Writes go via Supabase PostgREST (/rest/v1/{table}) authenticated
- *    with the SUPABASE_SERVICE_ROLE_KEY. This is the correct tool for
- *    bulk DML in a serverless context. Sessions 1 + 2 used the
- *    Management API (PAT + /database/query) which is admin-tier and
- *    wrong for 10k UPSERTs. See CLAUDE.md §27 for the full split.
- *
- * 2. Blast radius on batch failure:
- *    PostgREST bulk UPSERT is atomic per batch — a single bad row
- *    fails the whole batch. We chunk into UPSERT_BATCH_SIZE rows
- *    (default 50). On batch failure, we fall back to single-row
- *    UPSERTs across the same chunk to isolate the bad rows. Happy
- *    path is still ~200 fast batched requests; pathological case is
- *    one chunk of N single-row retries.
- *
- * 3. "Inserted vs updated" counters:
- *    We snapshot existing supplier_product_code values BEFORE the
- *    UPSERT (one small SELECT), then compare after. Cheap.
- *
- * 4. last_synced_at discipline:
- *    Only set on successful UPSERT of a given row. Failed rows keep
- *    their previous value so stale-detection queries still work.
- *
- * 5. Continue-with-logging:
- *    Per-product failures land in job_failures, the run keeps going.
- *    Only infra-level errors (Laltex network failure, auth, no response)
- *    mark job_runs.status = 'failed'. A finally block ensures the row
- *    is never left at status = 'running'.
- *
- * 6. Shared observability table:
- *    job_runs + job_failures are a single source of truth across all
- *    background jobs. Every INSERT must set job_type explicitly —
- *    this module always writes 'sync' (per-supplier). The parallel
- *    catalogue-embed.js writes 'embed' (supplier-agnostic).
- */
-
-import { normaliseProduct, unwrapFeedResponse } from './laltex-parser.js';
-import { applyMarginsInPlace, DEFAULT_SCHEDULE_VERSION } from './laltex-margin.js';
-
-const LALTEX_BASE = 'https://auto.laltex.com/trade/api';
-const LALTEX_LIST_PATH = '/v1/products/list';
-
-// Batch size picked to balance request size vs per-failure blast radius.
-// Products with full payload + raw_payload average ~15-40 KB of JSON;
-// 50 rows/batch keeps each POST well under PostgREST's 16 MB default
-// body cap and keeps bad-row isolation cost bounded.
-const UPSERT_BATCH_SIZE = 50;
-
-// How often to log progress from the upsert loop.
-const PROGRESS_LOG_EVERY_BATCHES = 5;
-
-// Max chars of raw payload to persist into job_failures.raw_snippet
-// when a failure fires — keeps the failures table from exploding on
-// pathological products.
-const RAW_SNIPPET_CHARS = 2000;
-
-// ---------------------------------------------------------------------------
-// PostgREST helpers
-// ---------------------------------------------------------------------------
-
-function ensureEnv(name, value) {
-  if (!value || typeof value !== 'string') {
-    throw new Error(`${name} is required`);
-  }
-  return value;
-}
-
-function pgRestHeaders(serviceRoleKey, extra = {}) {
-  return {
-    apikey: serviceRoleKey,
-    Authorization: `Bearer ${serviceRoleKey}`,
-    'Content-Type': 'application/json',
-    Accept: 'application/json',
-    ...extra,
-  };
-}
-
-/**
- * Execute a PostgREST call and return the JSON body (or throw).
- */
-async function pgRest(method, url, serviceRoleKey, { body, extraHeaders } = {}) {
-  const resp = await fetch(url, {
-    method,
-    headers: pgRestHeaders(serviceRoleKey, extraHeaders),
-    body: body == null ? undefined : (typeof body === 'string' ? body : JSON.stringify(body)),
-  });
-  const text = await resp.text();
-  if (!resp.ok) {
-    throw new Error(`PostgREST ${method} ${url.split('?')[0]} -> ${resp.status}: ${text.slice(0, 500)}`);
-  }
-  if (!text) return null;
-  try {
-    return JSON.parse(text);
-  } catch {
-    return text;
-  }
-}
-
-// ---------------------------------------------------------------------------
-// job_runs lifecycle helpers (job_type='sync' for this module)
-// ---------------------------------------------------------------------------
-
-async function insertJobRun({ supabaseUrl, serviceRoleKey, supplierId, runType, triggeredBy, metadata }) {
-  const url = `${supabaseUrl}/rest/v1/job_runs`;
-  const rows = await pgRest('POST', url, serviceRoleKey, {
-    body: [{
-      supplier_id: supplierId,
-      run_type: runType,
-      status: 'running',
-      triggered_by: triggeredBy,
-      job_type: 'sync',
-      metadata: metadata ?? null,
-    }],
-    extraHeaders: { Prefer: 'return=representation' },
-  });
-  if (!Array.isArray(rows) || !rows[0]?.id) {
-    throw new Error('Failed to create job_runs row');
-  }
-  return rows[0].id;
-}
-
-async function finaliseJobRun({ supabaseUrl, serviceRoleKey, runId, patch }) {
-  const url = `${supabaseUrl}/rest/v1/job_runs?id=eq.${encodeURIComponent(runId)}`;
-  await pgRest('PATCH', url, serviceRoleKey, {
-    body: patch,
-    extraHeaders: { Prefer: 'return=minimal' },
-  });
-}
-
-async function insertJobFailures({ supabaseUrl, serviceRoleKey, rows }) {
-  if (!rows.length) return;
-  const url = `${supabaseUrl}/rest/v1/job_failures`;
-  try {
-    await pgRest('POST', url, serviceRoleKey, {
-      body: rows,
-      extraHeaders: { Prefer: 'return=minimal' },
-    });
-  } catch (err) {
-    // Never let the failure-logger itself abort the run. Just log and move on.
-    console.error('[laltex-sync] WARNING: job_failures insert failed:', err.message);
-  }
-}
-
-function truncateRawSnippet(raw) {
-  try {
-    const s = JSON.stringify(raw);
-    if (s.length <= RAW_SNIPPET_CHARS) return raw;
-    return {
-      __truncated: true,
-      __original_chars: s.length,
-      preview: s.slice(0, RAW_SNIPPET_CHARS),
-    };
-  } catch {
-    return { __stringify_failed: true };
-  }
-}
-
-// ---------------------------------------------------------------------------
-// Supplier lookup
-// ---------------------------------------------------------------------------
-
-async function getLaltexSupplierId({ supabaseUrl, serviceRoleKey }) {
-  const url = `${supabaseUrl}/rest/v1/suppliers?slug=eq.laltex&select=id`;
-  const rows = await pgRest('GET', url, serviceRoleKey);
-  if (!Array.isArray(rows) || !rows[0]?.id) {
-    throw new Error("suppliers row for slug='laltex' not found");
-  }
-  return rows[0].id;
-}
-
-// Supabase PostgREST caps responses at 1000 rows server-side (not
-// overridable by ?limit or Range). Paginate explicitly.
-const EXISTING_CODES_PAGE_SIZE = 1000;
-
-// 3-strike threshold for retiring a product that has disappeared from
-// the bulk feed. After this many consecutive misses, is_retired flips
-// to true on the post-upsert reconciliation. See CLAUDE.md §51.
-const RETIRE_THRESHOLD = 3;
-
-async function getExistingCodes({ supabaseUrl, serviceRoleKey, supplierId }) {
-  const set = new Set();
-  let offset = 0;
-  /* eslint-disable no-await-in-loop */
-  for (;;) {
-    const url = `${supabaseUrl}/rest/v1/supplier_products` +
-      `?supplier_id=eq.${supplierId}` +
-      `&select=supplier_product_code` +
-      `&order=supplier_product_code.asc` +
-      `&limit=${EXISTING_CODES_PAGE_SIZE}` +
-      `&offset=${offset}`;
-    const page = await pgRest('GET', url, serviceRoleKey);
-    if (!Array.isArray(page) || page.length === 0) break;
-    for (const r of page) {
-      if (r.supplier_product_code) set.add(r.supplier_product_code);
-    }
-    if (page.length < EXISTING_CODES_PAGE_SIZE) break;
-    offset += EXISTING_CODES_PAGE_SIZE;
-  }
-  /* eslint-enable no-await-in-loop */
-  return set;
-}
-
-// Returns Map<supplier_product_code, { missing_from_feed_count, is_retired }>
-// for every existing row of the supplier. Used by the post-upsert
-// reconciliation step that increments / clears the missing-from-feed
-// counter. Paginated the same way as getExistingCodes per CLAUDE.md §28.1.
-async function getExistingRetirementState({ supabaseUrl, serviceRoleKey, supplierId }) {
-  const map = new Map();
-  let offset = 0;
-  /* eslint-disable no-await-in-loop */
-  for (;;) {
-    const url = `${supabaseUrl}/rest/v1/supplier_products` +
-      `?supplier_id=eq.${supplierId}` +
-      `&select=supplier_product_code,missing_from_feed_count,is_retired` +
-      `&order=supplier_product_code.asc` +
-      `&limit=${EXISTING_CODES_PAGE_SIZE}` +
-      `&offset=${offset}`;
-    const page = await pgRest('GET', url, serviceRoleKey);
-    if (!Array.isArray(page) || page.length === 0) break;
-    for (const r of page) {
-      if (r.supplier_product_code) {
-        map.set(r.supplier_product_code, {
-          missing_from_feed_count: Number.isFinite(r.missing_from_feed_count)
-            ? r.missing_from_feed_count
-            : 0,
-          is_retired: r.is_retired === true,
-        });
-      }
-    }
-    if (page.length < EXISTING_CODES_PAGE_SIZE) break;
-    offset += EXISTING_CODES_PAGE_SIZE;
-  }
-  /* eslint-enable no-await-in-loop */
-  return map;
-}
-
-// Per-product margin overrides, keyed on supplier_product_code. NULL value
-// means "use the schedule" (we keep the entry so the loop can still call
-// .get() without `has` first). Same paginated pattern as getExistingCodes
-// per CLAUDE.md §28.1.
-//
-// CRITICAL: the UPSERT body written by syncFullCatalogue must NEVER include
-// margin_pct_override — that would clobber admin overrides on every nightly
-// run. normaliseProduct doesn't include it either. This Map exists so the
-// sync can READ the override and feed it to applyMarginsInPlace, not so it
-// can write the override back.
-async function getExistingOverrides({ supabaseUrl, serviceRoleKey, supplierId }) {
-  const map = new Map();
-  let offset = 0;
-  /* eslint-disable no-await-in-loop */
-  for (;;) {
-    const url = `${supabaseUrl}/rest/v1/supplier_products` +
-      `?supplier_id=eq.${supplierId}` +
-      `&select=supplier_product_code,margin_pct_override` +
-      `&order=supplier_product_code.asc` +
-      `&limit=${EXISTING_CODES_PAGE_SIZE}` +
-      `&offset=${offset}`;
-    const page = await pgRest('GET', url, serviceRoleKey);
-    if (!Array.isArray(page) || page.length === 0) break;
-    for (const r of page) {
-      if (r.supplier_product_code) {
-        map.set(r.supplier_product_code, r.margin_pct_override ?? null);
-      }
-    }
-    if (page.length < EXISTING_CODES_PAGE_SIZE) break;
-    offset += EXISTING_CODES_PAGE_SIZE;
-  }
-  /* eslint-enable no-await-in-loop */
-  return map;
-}
-
-// ---------------------------------------------------------------------------
-// Laltex fetch
-// ---------------------------------------------------------------------------
-
-async function fetchCatalogue({ laltexApiKey, baseUrl = LALTEX_BASE, path = LALTEX_LIST_PATH }) {
-  const url = `${baseUrl}${path}`;
-  const started = Date.now();
-  const resp = await fetch(url, {
-    method: 'GET',
-    headers: {
-      API_KEY: laltexApiKey,
-      Accept: 'application/json',
-    },
-  });
-  const durationMs = Date.now() - started;
-  if (!resp.ok) {
-    const body = await resp.text().catch(() => '');
-    throw new Error(`Laltex ${url} -> ${resp.status} ${resp.statusText}: ${body.slice(0, 300)}`);
-  }
-  const data = await resp.json();
-  const products = unwrapFeedResponse(data);
-  return { products, feedDurationMs: durationMs };
-}
-
-// ---------------------------------------------------------------------------
-// Upsert path — bulk with single-row fallback
-// ---------------------------------------------------------------------------
-
-/**
- * Upsert a single chunk of already-normalised rows.
- *
- * On failure, fall back to per-row upserts across the same chunk so
- * we isolate which row(s) the batch choked on. Returns an array of
- * failed rows (each: { row, error }).
+ * The sync engine is supplier-agnostic now (supplier-sync.js) and Laltex is
+ * one adapter behind it (suppliers/laltex.js). This wrapper only maps the
+ * historical { laltexApiKey } argument onto that engine.
  */
-async function upsertChunk({ supabaseUrl, serviceRoleKey, supplierId, chunk }) {
-  const upsertUrl = `${supabaseUrl}/rest/v1/supplier_products?on_conflict=supplier_id,supplier_product_code`;
-  const now = new Date().toISOString();
-  // Seen-in-this-sync reset: any row that survived normalisation gets
-  // its missing-from-feed counter zeroed and is_retired cleared. A
-  // previously-retired product that reappears in the feed is fully
-  // reinstated by this single write (no separate UPDATE needed). See
-  // CLAUDE.md §51.
-  const withMeta = chunk.map((r) => ({
-    ...r,
-    supplier_id: supplierId,
-    last_synced_at: now,
-    missing_from_feed_count: 0,
-    is_retired: false,
-  }));
-
-  // Try the batch first
-  try {
-    await pgRest('POST', upsertUrl, serviceRoleKey, {
-      body: withMeta,
-      extraHeaders: {
-        Prefer: 'resolution=merge-duplicates,return=minimal',
-      },
-    });
-    return { ok: withMeta.length, failures: [] };
-  } catch (batchErr) {
-    // Batch failed. Isolate per-row so one bad product doesn't drop
-    // the other ~49 in the chunk.
-    console.warn(`[laltex-sync] batch of ${withMeta.length} failed — falling back to single-row: ${batchErr.message}`);
-    let ok = 0;
-    const failures = [];
-    for (const r of withMeta) {
-      try {
-        await pgRest('POST', upsertUrl, serviceRoleKey, {
-          body: [r],
-          extraHeaders: {
-            Prefer: 'resolution=merge-duplicates,return=minimal',
-          },
-        });
-        ok += 1;
-      } catch (rowErr) {
-        failures.push({ row: r, error: rowErr.message });
-      }
-    }
-    return { ok, failures };
-  }
-}
 
-// ---------------------------------------------------------------------------
-// Orchestration
-// ---------------------------------------------------------------------------
+import { syncSupplierCatalogue } from './supplier-sync.js';
 
 /**
- * Run a full-catalogue sync.
+ * Run a full-catalogue Laltex sync.
  *
  * @param {object} opts
  * @param {string} opts.laltexApiKey         LALTEX_API_KEY
@@ -378,318 +18,15 @@ async function upsertChunk({ supabaseUrl, serviceRoleKey, supplierId, chunk }) {
  * @param {string} opts.serviceRoleKey       SUPABASE_SERVICE_ROLE_KEY
  * @param {string} opts.triggeredBy          'cron' | 'manual' | 'cli'
  * @param {function(string)=} opts.progress  optional progress logger
- * @returns {Promise<{runId:string, fetched:number, inserted:number, updated:number, failed:number, durationMs:number, status:'completed'|'failed', errorMessage?:string}>}
+ * @returns {ReturnType<typeof syncSupplierCatalogue>}
  */
-export async function syncFullCatalogue({
-  laltexApiKey,
-  supabaseUrl,
-  serviceRoleKey,
-  triggeredBy,
-  progress,
-}) {
-  ensureEnv('laltexApiKey', laltexApiKey);
-  ensureEnv('supabaseUrl', supabaseUrl);
-  ensureEnv('serviceRoleKey', serviceRoleKey);
-  ensureEnv('triggeredBy', triggeredBy);
-
-  const log = (msg) => {
-    if (typeof progress === 'function') progress(msg);
-    else console.log(msg);
-  };
-
-  const runStart = Date.now();
-
-  // 1. Resolve supplier_id
-  const supplierId = await getLaltexSupplierId({ supabaseUrl, serviceRoleKey });
-
-  // 2. Open job_runs row (job_type='sync')
-  const runId = await insertJobRun({
+export function syncFullCatalogue({ laltexApiKey, supabaseUrl, serviceRoleKey, triggeredBy, progress }) {
+  return syncSupplierCatalogue({
+    supplierSlug: 'laltex',
+    env: { LALTEX_API_KEY: laltexApiKey },
     supabaseUrl,
     serviceRoleKey,
-    supplierId,
-    runType: 'full_catalogue',
     triggeredBy,
-    metadata: { batch_size: UPSERT_BATCH_SIZE, started_iso: new Date(runStart).toISOString() },
+    progress,
   });
-
-  let status = 'failed';
-  let errorMessage = null;
-  let fetched = 0;
-  let inserted = 0;
-  let updated = 0;
-  let failed = 0;
-
-  try {
-    // 3. Fetch Laltex feed
-    log(`[sync] run ${runId} — fetching Laltex /v1/products/list …`);
-    const { products, feedDurationMs } = await fetchCatalogue({ laltexApiKey });
-    fetched = products.length;
-    log(`[sync] feed returned ${fetched} products in ${feedDurationMs} ms`);
-
-    if (fetched === 0) {
-      // Not a hard fail — Laltex could legitimately return []; but unusual. Record as completed with zeroes.
-      status = 'completed';
-      await finaliseJobRun({
-        supabaseUrl, serviceRoleKey, runId,
-        patch: {
-          status,
-          finished_at: new Date().toISOString(),
-          duration_ms: Date.now() - runStart,
-          products_fetched: 0,
-          products_inserted: 0,
-          products_updated: 0,
-          products_failed: 0,
-          metadata: { batch_size: UPSERT_BATCH_SIZE, feed_duration_ms: feedDurationMs },
-        },
-      });
-      return { runId, fetched, inserted, updated, failed, durationMs: Date.now() - runStart, status };
-    }
-
-    // 4. Snapshot existing codes for inserted/updated counters AND
-    //    existing margin overrides so applyMarginsInPlace can honour them
-    //    in the same loop. The override map is read-only here — the UPSERT
-    //    payload never includes margin_pct_override, so admin-set overrides
-    //    survive every nightly sync untouched.
-    const existingCodes = await getExistingCodes({ supabaseUrl, serviceRoleKey, supplierId });
-    const existingOverrides = await getExistingOverrides({ supabaseUrl, serviceRoleKey, supplierId });
-    const retirementState = await getExistingRetirementState({ supabaseUrl, serviceRoleKey, supplierId });
-    const nowIso = new Date().toISOString();
-
-    // 5. Normalise + bucket
-    const rows = [];
-    const failures = []; // { reason, supplier_product_code, error_message, raw_snippet }
-    for (const raw of products) {
-      const { row, parseErrors } = normaliseProduct(raw);
-
-      // Log every parse soft error — but don't skip the row unless
-      // normaliseProduct returned row=null (unusable product).
-      for (const pe of parseErrors) {
-        failures.push({
-          job_run_id: runId,
-          supplier_product_code: row?.supplier_product_code ?? (raw?.ProductCode ?? null),
-          reason: 'parse_error',
-          error_message: `${pe.field}: ${pe.message}`,
-          raw_snippet: truncateRawSnippet(raw),
-        });
-      }
-
-      if (!row) {
-        failed += 1;
-        continue;
-      }
-
-      // Apply margins per Task 10 / CLAUDE.md §46. The row's product_pricing
-      // and print_details JSONB structures get sell_price + margin_applied_pct
-      // injected per tier. Delivery is NOT baked in — that's read-time.
-      const overridePct = existingOverrides.get(row.supplier_product_code) ?? null;
-      applyMarginsInPlace({
-        productPricing: row.product_pricing,
-        printDetails: row.print_details,
-        overridePct,
-      });
-      row.margin_default_schedule_version = DEFAULT_SCHEDULE_VERSION;
-      row.margin_last_applied_at = nowIso;
-
-      rows.push(row);
-    }
-    log(`[sync] normalised ${rows.length} rows, ${failures.length} parse errors`);
-
-    // Persist parse errors now so they land even if later upserts throw
-    // unexpectedly. job_failures.raw_snippet is truncated per row.
-    if (failures.length) {
-      await insertJobFailures({ supabaseUrl, serviceRoleKey, rows: failures });
-    }
-
-    // 6. Upsert in chunks
-    const batches = [];
-    for (let i = 0; i < rows.length; i += UPSERT_BATCH_SIZE) batches.push(rows.slice(i, i + UPSERT_BATCH_SIZE));
-    log(`[sync] upserting ${rows.length} rows in ${batches.length} batches of up to ${UPSERT_BATCH_SIZE} …`);
-
-    const upsertFailures = [];
-    for (let i = 0; i < batches.length; i += 1) {
-      const chunk = batches[i];
-      /* eslint-disable no-await-in-loop */
-      const { ok, failures: batchFailures } = await upsertChunk({
-        supabaseUrl, serviceRoleKey, supplierId, chunk,
-      });
-
-      // Per-row counters only count OK rows. Failed rows stay with
-      // their previous last_synced_at — by design.
-      for (const r of chunk.slice(0, ok + batchFailures.length)) {
-        if (!batchFailures.some((f) => f.row.supplier_product_code === r.supplier_product_code)) {
-          if (existingCodes.has(r.supplier_product_code)) updated += 1;
-          else inserted += 1;
-        }
-      }
-
-      for (const bf of batchFailures) {
-        failed += 1;
-        upsertFailures.push({
-          job_run_id: runId,
-          supplier_product_code: bf.row.supplier_product_code ?? null,
-          reason: 'upsert_failed',
-          error_message: bf.error?.slice(0, 1000) ?? 'unknown',
-          raw_snippet: truncateRawSnippet(bf.row.raw_payload),
-        });
-      }
-
-      if ((i + 1) % PROGRESS_LOG_EVERY_BATCHES === 0 || i + 1 === batches.length) {
-        log(`[sync] batch ${i + 1}/${batches.length} done — inserted=${inserted} updated=${updated} failed=${failed}`);
-      }
-      /* eslint-enable no-await-in-loop */
-    }
-
-    if (upsertFailures.length) {
-      await insertJobFailures({ supabaseUrl, serviceRoleKey, rows: upsertFailures });
-    }
-
-    // 6.5 Retirement reconciliation
-    //
-    // After every row that DID appear in the feed has been upserted
-    // (with missing_from_feed_count=0, is_retired=false), bump the
-    // counter on every row that DID NOT appear. Threshold defined
-    // by RETIRE_THRESHOLD (currently 3) — see CLAUDE.md §51 for the
-    // rationale.
-    //
-    // Critical correctness notes:
-    //   * This step is gated on the upsert loop completing without
-    //     an infra-level throw. If Laltex returned a partial feed
-    //     (already short-circuited at fetched === 0) or the upsert
-    //     loop threw, we either won't be here or the catch block
-    //     will flip status='failed' and skip this step. We never
-    //     want to retire products because the feed itself was
-    //     unhealthy.
-    //   * Failed-upsert rows are NOT counted as "seen" — they kept
-    //     their previous last_synced_at and missing-counter values
-    //     (the merge-duplicates UPSERT didn't land for them). Their
-    //     code is still in retirementState but absent from
-    //     seenCodes, so they'll be treated as missing for this run.
-    //     That's intentional: a row whose upsert is broken should
-    //     count toward retirement just like a row Laltex omitted.
-    //   * last_synced_at is NOT touched on the missing-update —
-    //     it remains the indicator of when the row was last
-    //     actually seen in the feed. Matches CLAUDE.md §27 / §27.5.
-    const seenCodes = new Set();
-    for (const r of rows) {
-      if (r.supplier_product_code) seenCodes.add(r.supplier_product_code);
-    }
-    // Subtract upsert failures from seenCodes (they didn't actually persist).
-    for (const bf of upsertFailures) {
-      if (bf.supplier_product_code) seenCodes.delete(bf.supplier_product_code);
-    }
-
-    const missingUpdates = [];
-    let retiredNew = 0; // count of rows flipping to is_retired=true this run
-    for (const [code, state] of retirementState) {
-      if (seenCodes.has(code)) continue; // seen → already reset by upsertChunk
-      const newCount = state.missing_from_feed_count + 1;
-      const nowRetired = newCount >= RETIRE_THRESHOLD;
-      if (nowRetired && !state.is_retired) retiredNew += 1;
-      missingUpdates.push({
-        supplier_id: supplierId,
-        supplier_product_code: code,
-        missing_from_feed_count: newCount,
-        is_retired: nowRetired,
-      });
-    }
-
-    if (missingUpdates.length) {
-      log(`[sync] retirement: ${missingUpdates.length} rows missing from feed (${retiredNew} newly retired)`);
-      // Same UPSERT path the catalogue uses, but with a tiny payload
-      // shape: only the two retirement columns + the conflict keys.
-      // PostgREST's merge-duplicates leaves every other column on
-      // each existing row untouched.
-      const retireFailures = [];
-      const reBatches = [];
-      for (let i = 0; i < missingUpdates.length; i += UPSERT_BATCH_SIZE) {
-        reBatches.push(missingUpdates.slice(i, i + UPSERT_BATCH_SIZE));
-      }
-      for (let i = 0; i < reBatches.length; i += 1) {
-        const chunk = reBatches[i];
-        /* eslint-disable no-await-in-loop */
-        try {
-          await pgRest(
-            'POST',
-            `${supabaseUrl}/rest/v1/supplier_products?on_conflict=supplier_id,supplier_product_code`,
-            serviceRoleKey,
-            {
-              body: chunk,
-              extraHeaders: {
-                Prefer: 'resolution=merge-duplicates,return=minimal',
-              },
-            },
-          );
-        } catch (batchErr) {
-          // Fall back to per-row so a single bad row doesn't drop the chunk.
-          console.warn(`[laltex-sync] retirement batch failed, falling back: ${batchErr.message}`);
-          for (const r of chunk) {
-            try {
-              await pgRest(
-                'POST',
-                `${supabaseUrl}/rest/v1/supplier_products?on_conflict=supplier_id,supplier_product_code`,
-                serviceRoleKey,
-                {
-                  body: [r],
-                  extraHeaders: {
-                    Prefer: 'resolution=merge-duplicates,return=minimal',
-                  },
-                },
-              );
-            } catch (rowErr) {
-              retireFailures.push({
-                job_run_id: runId,
-                supplier_product_code: r.supplier_product_code,
-                reason: 'retirement_update_failed',
-                error_message: rowErr?.message?.slice(0, 1000) ?? 'unknown',
-                raw_snippet: { intended_state: r },
-              });
-            }
-          }
-        }
-        /* eslint-enable no-await-in-loop */
-      }
-      if (retireFailures.length) {
-        await insertJobFailures({ supabaseUrl, serviceRoleKey, rows: retireFailures });
-      }
-    }
-
-    status = 'completed';
-  } catch (err) {
-    // Infra-level failure (Laltex network, auth, schema out-of-sync, etc.)
-    errorMessage = err?.message ?? String(err);
-    status = 'failed';
-    console.error('[laltex-sync] run failed:', errorMessage);
-  } finally {
-    // 7. Finalise job_runs row — always, never leave it at 'running'
-    const durationMs = Date.now() - runStart;
-    await finaliseJobRun({
-      supabaseUrl,
-      serviceRoleKey,
-      runId,
-      patch: {
-        status,
-        finished_at: new Date().toISOString(),
-        duration_ms: durationMs,
-        products_fetched: fetched,
-        products_inserted: inserted,
-        products_updated: updated,
-        products_failed: failed,
-        error_message: errorMessage,
-      },
-    }).catch((finalErr) => {
-      // Absolute last-resort — if even finalising fails, still surface to stdout.
-      console.error('[laltex-sync] WARNING: could not finalise job_runs row:', finalErr.message);
-    });
-  }
-
-  return {
-    runId,
-    fetched,
-    inserted,
-    updated,
-    failed,
-    durationMs: Date.now() - runStart,
-    status,
-    errorMessage: errorMessage ?? undefined,
-  };
 }
@@ -0,0 +1,244 @@
+/**
+ * Daily supplier price-change digest for admins.
+ *
+ * Exports:
+ *   buildPriceDigest({ ... }) — reads supplier_price_history (written by
+ *     supplier-sync.js, note 9) for a window, keeps products whose trade
+ *     price moved by at least thresholdPct on any tier, and lists the draft
+ *     quotes the sync flagged in the same window.
+ *   renderPriceDigestEmail(digest, { siteUrl }) — { subject, html, text }.
+ *   sendPriceDigest({ ... }) — posts the email via Resend.
+ *
+ * Called by api/cron/price-change-digest.js. Read-only against the DB; the
+ * only side effect is the email. The HTML is deliberately plain — this is an
+ * internal operational email like the order / artwork alerts, not a
+ * customer-facing one, and the branded shell (supabase/functions/_shared/
+ * emailShell.ts) is Deno-only.
+ */
+
+// Sender / recipient. Mirrors supabase/functions/_shared/sendInternalOrderAlert.ts;
+// keep in sync. PRICE_ALERT_EMAIL overrides the recipient.
+const NOREPLY_FROM = 'Promo Gifts <noreply@promo-gifts.co>';
+export const DEFAULT_PRICE_ALERT_EMAIL = 'orders@promo-gifts.co';
+
+// Default threshold when neither ?threshold= nor PRICE_ALERT_THRESHOLD_PCT
+// is set: a 5% trade-price move on any tier.
+export const DEFAULT_THRESHOLD_PCT = 5;
+
+// Supabase PostgREST caps responses at 1000 rows. See CLAUDE.md §28.1.
+const PAGE_SIZE = 1000;
+
+const CODE_FILTER_BATCH_SIZE = 100;
+
+function pgRestHeaders(serviceRoleKey) {
+  return {
+    apikey: serviceRoleKey,
+    Authorization: `Bearer ${serviceRoleKey}`,
+    Accept: 'application/json',
+  };
+}
+
+async function pgGet(url, serviceRoleKey) {
+  const resp = await fetch(url, { headers: pgRestHeaders(serviceRoleKey) });
+  const text = await resp.text();
+  if (!resp.ok) {
+    throw new Error(`PostgREST GET ${url.split('?')[0]} -> ${resp.status}: ${text.slice(0, 500)}`);
+  }
+  return text ? JSON.parse(text) : [];
+}
+
+async function pgGetAll(baseUrl, serviceRoleKey) {
+  const out = [];
+  let offset = 0;
+  for (;;) {
+    const page = await pgGet(`${baseUrl}&limit=${PAGE_SIZE}&offset=${offset}`, serviceRoleKey);
+    if (!Array.isArray(page) || page.length === 0) break;
+    out.push(...page);
+    if (page.length < PAGE_SIZE) break;
+    offset += PAGE_SIZE;
+  }
+  return out;
+}
+
+// Same quoting rule as supplier-sync.js codeInFilter.
+function codeInFilter(codes) {
+  const quoted = codes.map((c) => `"${String(c).replace(/["\\]/g, '\\$&')}"`);
+  return `in.(${encodeURIComponent(quoted.join(','))})`;
+}
+
+/**
+ * @param {object} opts
+ * @param {string} opts.supabaseUrl
+ * @param {string} opts.serviceRoleKey
+ * @param {Date}   opts.since          start of the window (exclusive of older rows)
+ * @param {number} opts.thresholdPct   minimum absolute % move on any tier
+ * @returns {Promise<{since:string, thresholdPct:number, products:Array<object>, flaggedQuotes:Array<object>}>}
+ */
+export async function buildPriceDigest({ supabaseUrl, serviceRoleKey, since, thresholdPct }) {
+  const sinceIso = since.toISOString();
+
+  const history = await pgGetAll(
+    `${supabaseUrl}/rest/v1/supplier_price_history` +
+      `?created_at=gte.${encodeURIComponent(sinceIso)}` +
+      `&select=supplier_id,supplier_product_code,min_qty,old_price,new_price,old_sell_price,new_sell_price,change_pct,created_at,suppliers(name)` +
+      `&order=created_at.asc`,
+    serviceRoleKey,
+  );
+
+  // One entry per product; a product synced twice in the window keeps the
+  // latest move per tier. Tiers without a % (POA <-> priced, tier added or
+  // dropped) are listed with a product but never qualify it on their own.
+  const byProduct = new Map();
+  for (const h of history) {
+    const key = `${h.supplier_id}:${h.supplier_product_code}`;
+    if (!byProduct.has(key)) {
+      byProduct.set(key, {
+        supplier_id: h.supplier_id,
+        code: h.supplier_product_code,
+        supplier: h.suppliers?.name ?? null,
+        name: null,
+        tiers: new Map(),
+      });
+    }
+    byProduct.get(key).tiers.set(h.min_qty, h);
+  }
+
+  const products = [];
+  for (const p of byProduct.values()) {
+    const tiers = [...p.tiers.values()].sort((a, b) => (a.min_qty ?? 0) - (b.min_qty ?? 0));
+    const pcts = tiers.map((t) => t.change_pct).filter((v) => v != null).map(Number);
+    const maxChangePct = pcts.length
+      ? pcts.reduce((max, v) => (Math.abs(v) > Math.abs(max) ? v : max), 0)
+      : null;
+    if (maxChangePct == null || Math.abs(maxChangePct) < thresholdPct) continue;
+    products.push({ ...p, tiers, maxChangePct });
+  }
+  products.sort((a, b) => Math.abs(b.maxChangePct) - Math.abs(a.maxChangePct));
+
+  // Product names for the email (history rows carry codes only).
+  const codes = [...new Set(products.map((p) => p.code))];
+  const names = new Map();
+  for (let i = 0; i < codes.length; i += CODE_FILTER_BATCH_SIZE) {
+    const rows = await pgGet(
+      `${supabaseUrl}/rest/v1/supplier_products` +
+        `?supplier_product_code=${codeInFilter(codes.slice(i, i + CODE_FILTER_BATCH_SIZE))}` +
+        `&select=supplier_id,supplier_product_code,name`,
+      serviceRoleKey,
+    );
+    for (const r of rows) names.set(`${r.supplier_id}:${r.supplier_product_code}`, r.name);
+  }
+  for (const p of products) p.name = names.get(`${p.supplier_id}:${p.code}`) ?? null;
+
+  const flaggedQuotes = await pgGetAll(
+    `${supabaseUrl}/rest/v1/quotes` +
+      `?status=eq.draft` +
+      `&price_changed_at=gte.${encodeURIComponent(sinceIso)}` +
+      `&select=id,quote_number,customer_id,total_amount,price_changed_at` +
+      `&order=price_changed_at.desc`,
+    serviceRoleKey,
+  );
+
+  return { since: sinceIso, thresholdPct, products, flaggedQuotes };
+}
+
+const esc = (v) =>
+  String(v ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const money = (v) => (v == null ? 'POA' : `£${Number(v).toFixed(2)}`);
+const pct = (v) => (v == null ? '—' : `${v > 0 ? '+' : ''}${Number(v).toFixed(1)}%`);
+
+/**
+ * @param {Awaited<ReturnType<typeof buildPriceDigest>>} digest
+ * @param {{siteUrl:string}} opts
+ * @returns {{subject:string, html:string, text:string}}
+ */
+export function renderPriceDigestEmail(digest, { siteUrl }) {
+  const { products, flaggedQuotes, thresholdPct } = digest;
+  const changesUrl = `${siteUrl}/admin/catalogue-changes`;
+
+  const tierLine = (t) =>
+    `${t.min_qty ?? '?'}+: cost ${money(t.old_price)} → ${money(t.new_price)} (${pct(t.change_pct)}), sell ${money(t.old_sell_price)} → ${money(t.new_sell_price)}`;
+
+  const productsHtml = products.map((p) => `
+      <tr><td style="padding:8px 0; border-bottom:1px solid #f0f0f0; font-size:13px;">
+        <strong>${esc(p.code)}</strong> ${esc(p.name || '')} <span style="color:#6b7280;">${esc(p.supplier || '')}</span>
+        <span style="float:right; font-weight:700; color:${p.maxChangePct > 0 ? '#b91c1c' : '#047857'};">${esc(pct(p.maxChangePct))}</span>
+        <div style="margin-top:4px; font-size:12px; color:#6b7280;">${p.tiers.map((t) => `<div>${esc(tierLine(t))}</div>`).join('')}</div>
+      </td></tr>`).join('');
+
+  const quotesHtml = flaggedQuotes.map((q) => `
+      <tr><td style="padding:6px 0; border-bottom:1px solid #f0f0f0; font-size:13px;">
+        <a href="${esc(`${siteUrl}/admin/customers/${q.customer_id}`)}" style="color:#1d4ed8;">${esc(q.quote_number || q.id.slice(0, 8))}</a>
+        <span style="color:#6b7280;"> — ${esc(money(q.total_amount))} draft</span>
+      </td></tr>`).join('');
+
+  const html = `<!DOCTYPE html>
+<html lang="en"><body style="font-family:Arial, sans-serif; color:#1a1a1a; max-width:680px; margin:0 auto; padding:16px;">
+  <h1 style="font-size:20px; margin:0 0 4px 0;">Supplier price changes</h1>
+  <p style="font-size:13px; color:#6b7280; margin:0 0 16px 0;">Products whose trade price moved by ${esc(thresholdPct)}% or more on any quantity break in the last 24 hours.</p>
+  <table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="border-collapse:collapse; margin:0 0 20px 0;">
+    <tbody>${productsHtml || '<tr><td style="font-size:13px; color:#9ca3af;">No products over the threshold.</td></tr>'}</tbody>
+  </table>
+  <h2 style="font-size:16px; margin:0 0 8px 0;">Draft quotes with stale prices (${flaggedQuotes.length})</h2>
+  <table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="border-collapse:collapse; margin:0 0 20px 0;">
+    <tbody>${quotesHtml || '<tr><td style="font-size:13px; color:#9ca3af;">None.</td></tr>'}</tbody>
+  </table>
+  <p style="font-size:12px; color:#6b7280;">Full change log: <a href="${esc(changesUrl)}" style="color:#1d4ed8;">${esc(changesUrl)}</a></p>
+</body></html>`;
+
+  const text = [
+    'SUPPLIER PRICE CHANGES',
+    `Trade price moved by ${thresholdPct}% or more on any quantity break in the last 24 hours.`,
+    '',
+    ...(products.length
+      ? products.flatMap((p) => [
+          `- ${p.code} ${p.name || ''} (${p.supplier || 'unknown supplier'}) ${pct(p.maxChangePct)}`,
+          ...p.tiers.map((t) => `    ${tierLine(t)}`),
+        ])
+      : ['No products over the threshold.']),
+    '',
+    `DRAFT QUOTES WITH STALE PRICES (${flaggedQuotes.length})`,
+    ...(flaggedQuotes.length
+      ? flaggedQuotes.map((q) => `- ${q.quote_number || q.id.slice(0, 8)} (${money(q.total_amount)}) ${siteUrl}/admin/customers/${q.customer_id}`)
+      : ['None.']),
+    '',
+    `Full change log: ${changesUrl}`,
+  ].join('\n');
+
+  const subject = `Supplier price changes - ${products.length} product${products.length === 1 ? '' : 's'}, ${flaggedQuotes.length} draft quote${flaggedQuotes.length === 1 ? '' : 's'} flagged`;
+
+  return { subject, html, text };
+}
+
+/**
+ * Send the digest. dedupeKey becomes the Resend idempotency key; the cron
+ * passes day + threshold, so a retried run on the same day cannot
+ * double-send but a manual run at another threshold still goes out.
+ *
+ * @returns {Promise<void>} throws on a Resend error
+ */
+export async function sendPriceDigest({ resendApiKey, to, email, dedupeKey }) {
+  const resp = await fetch('https://api.resend.com/emails', {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${resendApiKey}`,
+      'Content-Type': 'application/json',
+      'Idempotency-Key': `price-digest-${dedupeKey}`,
+    },
+    body: JSON.stringify({
+      from: NOREPLY_FROM,
+      to: [to],
+      subject: email.subject,
+      html: email.html,
+      text: email.text,
+    }),
+  });
+  if (!resp.ok) {
+    const detail = await resp.text().catch(() => '');
+    throw new Error(`Resend -> ${resp.status}: ${detail.slice(0, 300)}`);
+  }
+}
@@ -92,8 +92,9 @@ export async function callRpc({ supabaseUrl, serviceRoleKey, fn, body }) {
  * Tier shape (from laltex-parser.js parseProductPricing):
  *   { min_qty, max_qty, price, is_poa, note }
  *
- * Used by /api/search-products to attach unit_price_at_quantity to
- * each result row so callers don't have to re-find the bracket.
+ * Used by attachUnitPriceAtQuantity (catalogue-search.js) to attach
+ * unit_price_at_quantity to each result row so callers don't have to
+ * re-find the bracket.
  */
 export function findTierForQuantity(productPricing, quantity) {
   if (!Array.isArray(productPricing) || quantity == null) return null;
@@ -0,0 +1,90 @@
+/**
+ * Per-IP rate limit for the public catalogue search (/api/catalogue-search).
+ *
+ * Fixed window, counted atomically in Postgres by bump_search_rate_limit()
+ * (20261019_public_search.sql). Keyed on hashIpFallback() — the same salted
+ * SHA-256 the AI quota uses when FingerprintJS fails (CLAUDE.md §32.6) — so
+ * raw IPs never reach the database.
+ *
+ * Every request that reaches the embed step costs an OpenAI call on a cache
+ * miss plus a full-catalogue RPC, so the limit is sized for a human typing
+ * and refining, not for a scraper: SEARCH_RATE_LIMIT requests per
+ * SEARCH_RATE_WINDOW_SECONDS. Both are env-tunable without a deploy.
+ *
+ * Failure mode: if the counter itself errors, the request is ALLOWED and the
+ * error logged. A Supabase blip already breaks the RPC that follows; failing
+ * closed here would only add a second, misleading 429.
+ */
+
+/* global process */
+import { hashIpFallback } from './ai-quota.js';
+import { callRpc } from './search-auth.js';
+
+export const DEFAULT_SEARCH_RATE_LIMIT = 30;
+export const DEFAULT_SEARCH_RATE_WINDOW_SECONDS = 60;
+
+function positiveIntEnv(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isInteger(n) && n > 0 ? n : fallback;
+}
+
+/**
+ * Client IP as Vercel reports it. Same precedence as api/ai/chat.js.
+ * @param {import('http').IncomingMessage} req
+ * @returns {string|null}
+ */
+export function clientIp(req) {
+  return req.headers?.['x-forwarded-for']?.split(',')[0]?.trim() || req.socket?.remoteAddress || null;
+}
+
+/**
+ * Count this request against the caller's IP.
+ *
+ * @param {object} opts
+ * @param {object} opts.req
+ * @param {string} opts.supabaseUrl
+ * @param {string} opts.serviceRoleKey
+ * @returns {Promise<{ allowed: boolean, limit: number, remaining: number|null, retryAfterSeconds: number }>}
+ */
+export async function checkSearchRateLimit({ req, supabaseUrl, serviceRoleKey }) {
+  const limit = positiveIntEnv('SEARCH_RATE_LIMIT', DEFAULT_SEARCH_RATE_LIMIT);
+  const windowSeconds = positiveIntEnv('SEARCH_RATE_WINDOW_SECONDS', DEFAULT_SEARCH_RATE_WINDOW_SECONDS);
+
+  // No IP (local `vercel dev` over a unix socket) — nothing to key on.
+  const ipHash = hashIpFallback(clientIp(req));
+  if (!ipHash) return { allowed: true, limit, remaining: null, retryAfterSeconds: 0 };
+
+  try {
+    const rows = await callRpc({
+      supabaseUrl,
+      serviceRoleKey,
+      fn: 'bump_search_rate_limit',
+      body: { p_ip_hash: ipHash, p_window_seconds: windowSeconds, p_limit: limit },
+    });
+    const row = Array.isArray(rows) ? rows[0] : rows;
+    return {
+      allowed: row?.allowed !== false,
+      limit,
+      remaining: Math.max(0, limit - (Number(row?.hits) || 0)),
+      retryAfterSeconds: Number(row?.retry_after_seconds) || 0,
+    };
+  } catch (err) {
+    console.error('[search-rate-limit] counter failed, allowing request:', err?.message);
+    return { allowed: true, limit, remaining: null, retryAfterSeconds: 0 };
+  }
+}
+
+/**
+ * Delete rate-limit rows whose window started over a day ago
+ * (prune_search_rate_limits). Run daily from api/cron/price-change-digest.js
+ * — the table otherwise keeps one row per distinct IP forever.
+ *
+ * @param {object} opts
+ * @param {string} opts.supabaseUrl
+ * @param {string} opts.serviceRoleKey
+ * @returns {Promise<number>} rows deleted
+ */
+export async function pruneSearchRateLimits({ supabaseUrl, serviceRoleKey }) {
+  const deleted = await callRpc({ supabaseUrl, serviceRoleKey, fn: 'prune_search_rate_limits' });
+  return Number(deleted) || 0;
+}
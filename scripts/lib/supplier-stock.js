@@ -0,0 +1,533 @@
+/**
+ * Live-stock refresh, per supplier.
+ *
+ * Exports:
+ *   syncStock({ supplierSlug, ... }) — one end-to-end stock run for one
+ *     supplier. Creates a job_runs row with job_type='stock' + that
+ *     supplier_id, reads every non-retired supplier_product code, asks the
+ *     supplier's adapter for each product's variant stock, builds an
+ *     item_code -> stock map, UPDATEs ONLY the { stock, stock_checked_at }
+ *     columns on the row, records per-product failures into job_failures,
+ *     and finalises the job_runs row.
+ *   refreshProductStock({ supplierSlug, ... }) — the same write path for ONE
+ *     product, used by the on-view refresh endpoint (POST /api/stock/refresh).
+ *     No job_runs row.
+ *
+ * How stock is fetched and what the raw records mean is the adapter's job
+ * (scripts/lib/suppliers): Laltex calls GET /stocks/{code} per product, a
+ * feed adapter downloads one stock file per run and serves it per code.
+ * laltex-stock.js keeps the original Laltex entry points as wrappers.
+ *
+ * Design (see audit-laltex-stock-availability.md §5 + CLAUDE.md §27):
+ *
+ *  1. Separate cron from product sync. Stock is volatile; the product
+ *     sync is nightly. A stock-endpoint outage must never block the product
+ *     sync and vice-versa. Same observability tables, distinct job_type.
+ *
+ *  2. Stock map shape. { item_code -> { free, mto?, due_ins? } }, keyed by
+ *     the same item_code as the row's items[]. FreeStock -1 from Laltex is
+ *     Made To Order ({ mto: true }) — NEVER "out of stock".
+ *
+ *  3. Continue-with-logging. A single product's fetch/upsert failure lands in
+ *     job_failures and the run keeps going. A failed product keeps its PREVIOUS
+ *     stock + stock_checked_at (we simply skip its UPSERT) so retrieval never
+ *     breaks on a partial run. Only an infra-level error (can't resolve the
+ *     supplier, can't open the job_runs row) fails the whole run.
+ *
+ *  4. Write discipline. Writes go via PostgREST + SUPABASE_SERVICE_ROLE_KEY
+ *     (CLAUDE.md §27.2) as a filtered UPDATE — never an upsert, so the job can
+ *     never create a product row (a partial-column upsert 400s on name NOT NULL).
+ */
+
+import { ON_VIEW_FRESHNESS_MS } from '../../src/utils/stockDisplay.js';
+import { loadSupplierAdapter, missingAdapterEnv } from './suppliers/index.js';
+
+// How many stock fetches to run at once when the adapter doesn't say.
+// Per-product APIs set their own (Laltex: 8); bulk-file adapters serve
+// every code from memory, so this only bounds the UPDATE fan-out.
+const DEFAULT_CONCURRENCY = 8;
+
+// Page size for the code-list read (PostgREST caps at 1000, CLAUDE.md §28.1).
+const CODES_PAGE_SIZE = 1000;
+
+// Cap of raw snippet chars persisted into job_failures.raw_snippet.
+const RAW_SNIPPET_CHARS = 2000;
+
+// ---------------------------------------------------------------------------
+// PostgREST helpers (same shape as supplier-sync.js)
+// ---------------------------------------------------------------------------
+
+function ensureEnv(name, value) {
+  if (!value || typeof value !== 'string') {
+    throw new Error(`${name} is required`);
+  }
+  return value;
+}
+
+function pgRestHeaders(serviceRoleKey, extra = {}) {
+  return {
+    apikey: serviceRoleKey,
+    Authorization: `Bearer ${serviceRoleKey}`,
+    'Content-Type': 'application/json',
+    Accept: 'application/json',
+    ...extra,
+  };
+}
+
+async function pgRest(method, url, serviceRoleKey, { body, extraHeaders } = {}) {
+  const resp = await fetch(url, {
+    method,
+    headers: pgRestHeaders(serviceRoleKey, extraHeaders),
+    body: body == null ? undefined : (typeof body === 'string' ? body : JSON.stringify(body)),
+  });
+  const text = await resp.text();
+  if (!resp.ok) {
+    throw new Error(`PostgREST ${method} ${url.split('?')[0]} -> ${resp.status}: ${text.slice(0, 500)}`);
+  }
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// job_runs lifecycle (job_type='stock')
+// ---------------------------------------------------------------------------
+
+async function insertJobRun({ supabaseUrl, serviceRoleKey, supplierId, runType, triggeredBy, metadata }) {
+  const url = `${supabaseUrl}/rest/v1/job_runs`;
+  const rows = await pgRest('POST', url, serviceRoleKey, {
+    body: [{
+      supplier_id: supplierId,
+      run_type: runType,
+      status: 'running',
+      triggered_by: triggeredBy,
+      job_type: 'stock',
+      metadata: metadata ?? null,
+    }],
+    extraHeaders: { Prefer: 'return=representation' },
+  });
+  if (!Array.isArray(rows) || !rows[0]?.id) {
+    throw new Error('Failed to create job_runs row');
+  }
+  return rows[0].id;
+}
+
+async function finaliseJobRun({ supabaseUrl, serviceRoleKey, runId, patch }) {
+  const url = `${supabaseUrl}/rest/v1/job_runs?id=eq.${encodeURIComponent(runId)}`;
+  await pgRest('PATCH', url, serviceRoleKey, {
+    body: patch,
+    extraHeaders: { Prefer: 'return=minimal' },
+  });
+}
+
+async function insertJobFailures({ supabaseUrl, serviceRoleKey, rows }) {
+  if (!rows.length) return;
+  const url = `${supabaseUrl}/rest/v1/job_failures`;
+  try {
+    await pgRest('POST', url, serviceRoleKey, {
+      body: rows,
+      extraHeaders: { Prefer: 'return=minimal' },
+    });
+  } catch (err) {
+    console.error('[supplier-stock] WARNING: job_failures insert failed:', err.message);
+  }
+}
+
+function truncateRawSnippet(raw) {
+  try {
+    const s = JSON.stringify(raw);
+    if (s.length <= RAW_SNIPPET_CHARS) return raw;
+    return { __truncated: true, __original_chars: s.length, preview: s.slice(0, RAW_SNIPPET_CHARS) };
+  } catch {
+    return { __stringify_failed: true };
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Supplier + code list
+// ---------------------------------------------------------------------------
+
+// Resolve supplier + adapter and check the adapter's credentials are present.
+async function resolveStockAdapter({ supabaseUrl, serviceRoleKey, supplierSlug, env }) {
+  const { supplier, adapter } = await loadSupplierAdapter({ supabaseUrl, serviceRoleKey, supplierSlug });
+  const missing = missingAdapterEnv(adapter, env);
+  if (missing.length) {
+    throw new Error(`${supplierSlug}: missing env vars ${missing.join(', ')}`);
+  }
+  return { supplierId: supplier.id, adapter, credentials: adapter.credentials(env) };
+}
+
+// Every non-retired product code for the supplier. Retired rows (CLAUDE.md §51) never
+// display, so refreshing their stock would waste calls; a reappearing product
+// gets stock on the next run after the nightly sync clears is_retired.
+async function getStockableCodes({ supabaseUrl, serviceRoleKey, supplierId }) {
+  const codes = [];
+  let offset = 0;
+  for (;;) {
+    const url = `${supabaseUrl}/rest/v1/supplier_products` +
+      `?supplier_id=eq.${supplierId}` +
+      `&is_retired=eq.false` +
+      `&select=supplier_product_code` +
+      `&order=supplier_product_code.asc` +
+      `&limit=${CODES_PAGE_SIZE}` +
+      `&offset=${offset}`;
+    const page = await pgRest('GET', url, serviceRoleKey);
+    if (!Array.isArray(page) || page.length === 0) break;
+    for (const r of page) {
+      if (r.supplier_product_code) codes.push(r.supplier_product_code);
+    }
+    if (page.length < CODES_PAGE_SIZE) break;
+    offset += CODES_PAGE_SIZE;
+  }
+  return codes;
+}
+
+// ---------------------------------------------------------------------------
+// Stock write
+// ---------------------------------------------------------------------------
+
+/**
+ * Write stock onto an EXISTING supplier_products row via a plain UPDATE.
+ *
+ * A stock refresh must NEVER create a product — products come from the nightly
+ * sync; stock only annotates rows that already exist. UPDATE (not upsert) makes
+ * that structural: there is no INSERT tuple to fail NOT-NULL constraints on
+ * (supplier_products.name is NOT NULL with no default), and a missing product
+ * becomes a visible zero-row anomaly instead of a silently-invented row.
+ *
+ * This replaced a partial-column ON CONFLICT upsert whose INSERT arbiter tuple
+ * carried name=null and 400'd with 23502 on every row (PR #83 incident).
+ *
+ * Only `stock` and `stock_checked_at` are written. Returns the number of rows
+ * updated: 0 means the code is in the supplier's stock feed but not in our table.
+ */
+async function updateStock({ supabaseUrl, serviceRoleKey, supplierId, code, map, nowIso }) {
+  const url = `${supabaseUrl}/rest/v1/supplier_products` +
+    `?supplier_id=eq.${encodeURIComponent(supplierId)}` +
+    `&supplier_product_code=eq.${encodeURIComponent(code)}` +
+    `&select=supplier_product_code`; // keep the returned representation tiny
+  const rows = await pgRest('PATCH', url, serviceRoleKey, {
+    body: { stock: map, stock_checked_at: nowIso },
+    extraHeaders: { Prefer: 'return=representation' },
+  });
+  return Array.isArray(rows) ? rows.length : 0;
+}
+
+// ---------------------------------------------------------------------------
+// Single-product refresh (on-view path)
+// ---------------------------------------------------------------------------
+
+// Freshness window shared with the client (src/utils/stockDisplay.js) so the
+// browser's optimistic skip and this authoritative server-side gate cannot
+// drift apart. stockDisplay.js is dependency-free, so importing it here is safe
+// for both the Vercel function and the node CLI.
+
+/**
+ * Look up one product's identity + current stock freshness.
+ * Returns null when the code is not a known non-retired product of the supplier, which
+ * is what lets the endpoint reject unknown codes WITHOUT calling upstream.
+ */
+async function getProductStockState({ supabaseUrl, serviceRoleKey, supplierId, code }) {
+  const lookup = async (candidate) => {
+    const url = `${supabaseUrl}/rest/v1/supplier_products` +
+      `?supplier_id=eq.${encodeURIComponent(supplierId)}` +
+      `&supplier_product_code=eq.${encodeURIComponent(candidate)}` +
+      `&is_retired=eq.false` +
+      `&select=supplier_product_code,stock,stock_checked_at&limit=1`;
+    const rows = await pgRest('GET', url, serviceRoleKey);
+    return Array.isArray(rows) && rows[0] ? rows[0] : null;
+  };
+  // supplier_product_code is stored case-sensitively and PostgREST eq. is
+  // case-sensitive too: Laltex SKUs are UPPERCASE while URL slugs arrive
+  // lowercase (CLAUDE.md §33). Try as-given, then uppercase — the same
+  // two-step getSupplierProductByCode uses. The row we return carries the
+  // CANONICAL code, and every downstream call uses that, never the input.
+  return (await lookup(code)) || (await lookup(String(code).toUpperCase()));
+}
+
+/**
+ * Refresh ONE product's stock, for the on-view path.
+ *
+ * Composes exactly the same primitives the nightly cron uses — the adapter's
+ * fetchStock + buildStockMap, then updateStock — so the write rules are
+ * shared, not duplicated:
+ * UPDATE-only (never inserts), writes only { stock, stock_checked_at }, and
+ * FreeStock -1 stays Made To Order.
+ *
+ * Differences from the batch run, both deliberate:
+ *   * No job_runs row. Those are for batch runs; one row per page view would
+ *     swamp the table. Failures are logged to stderr only.
+ *   * A server-side freshness gate runs BEFORE the upstream call, so repeated
+ *     views of the same product inside the window cost nothing.
+ *
+ * @returns {Promise<{status:'refreshed'|'fresh'|'unknown_code'|'not_found',
+ *                    stock?:object, stockCheckedAt?:string}>}
+ */
+export async function refreshProductStock({
+  supplierSlug,
+  env,
+  supabaseUrl,
+  serviceRoleKey,
+  code,
+  freshnessMs = ON_VIEW_FRESHNESS_MS,
+  now = Date.now(),
+}) {
+  ensureEnv('supplierSlug', supplierSlug);
+  ensureEnv('supabaseUrl', supabaseUrl);
+  ensureEnv('serviceRoleKey', serviceRoleKey);
+  ensureEnv('code', code);
+
+  const { supplierId, adapter, credentials } = await resolveStockAdapter({
+    supabaseUrl, serviceRoleKey, supplierSlug, env,
+  });
+  if (!adapter.supportsStock) return { status: 'unknown_code' };
+
+  // Known-code gate: unknown / malformed / retired codes never reach upstream.
+  const existing = await getProductStockState({ supabaseUrl, serviceRoleKey, supplierId, code });
+  if (!existing) return { status: 'unknown_code' };
+
+  // Freshness gate, server-side and before the upstream call.
+  const checkedAt = existing.stock_checked_at ? new Date(existing.stock_checked_at).getTime() : null;
+  if (checkedAt != null && Number.isFinite(checkedAt) && (now - checkedAt) < freshnessMs) {
+    return { status: 'fresh', stock: existing.stock ?? null, stockCheckedAt: existing.stock_checked_at };
+  }
+
+  const arr = await adapter.fetchStock(credentials, existing.supplier_product_code);
+  const { map } = adapter.buildStockMap(arr);
+  const nowIso = new Date(now).toISOString();
+  const affected = await updateStock({
+    supabaseUrl, serviceRoleKey, supplierId,
+    code: existing.supplier_product_code, map, nowIso,
+  });
+  if (affected === 0) {
+    // Same meaning as in the batch run: the code exists upstream but not here.
+    return { status: 'not_found' };
+  }
+  return { status: 'refreshed', stock: map, stockCheckedAt: nowIso };
+}
+
+// ---------------------------------------------------------------------------
+// Bounded-concurrency worker pool
+// ---------------------------------------------------------------------------
+
+async function runPool(items, concurrency, worker) {
+  let cursor = 0;
+  const size = Math.max(1, Math.min(concurrency, items.length || 1));
+  const runners = Array.from({ length: size }, async () => {
+    for (;;) {
+      const idx = cursor;
+      cursor += 1;
+      if (idx >= items.length) break;
+      await worker(items[idx], idx);
+    }
+  });
+  await Promise.all(runners);
+}
+
+// ---------------------------------------------------------------------------
+// Orchestration
+// ---------------------------------------------------------------------------
+
+/**
+ * Refresh live stock for one supplier's whole pool, or one product of it.
+ *
+ * @param {object} opts
+ * @param {string} opts.supplierSlug      suppliers.slug ('laltex', ...)
+ * @param {object} opts.env               env-like object holding the adapter's requiredEnv
+ * @param {string} opts.supabaseUrl       VITE_SUPABASE_URL (PostgREST base)
+ * @param {string} opts.serviceRoleKey    SUPABASE_SERVICE_ROLE_KEY
+ * @param {string} opts.triggeredBy       'cron' | 'manual' | 'cli'
+ * @param {number=} opts.concurrency      parallel fetches (default: the adapter's, else 8)
+ * @param {string=} opts.productCode      refresh just this code (run_type 'single',
+ *                                        e.g. a re-run from /admin/jobs). A retired or
+ *                                        unknown code fails the run.
+ * @param {function(string)=} opts.progress
+ * @returns {Promise<{runId, supplier, fetched, updated, failed, durationMs, status, errorMessage?}>}
+ */
+export async function syncStock({
+  supplierSlug,
+  env,
+  supabaseUrl,
+  serviceRoleKey,
+  triggeredBy,
+  concurrency: requestedConcurrency,
+  productCode,
+  progress,
+}) {
+  ensureEnv('supplierSlug', supplierSlug);
+  ensureEnv('supabaseUrl', supabaseUrl);
+  ensureEnv('serviceRoleKey', serviceRoleKey);
+  ensureEnv('triggeredBy', triggeredBy);
+
+  const log = (msg) => {
+    if (typeof progress === 'function') progress(msg);
+    else console.log(msg);
+  };
+
+  const runStart = Date.now();
+  const { supplierId, adapter, credentials } = await resolveStockAdapter({
+    supabaseUrl, serviceRoleKey, supplierSlug, env,
+  });
+  const concurrency = requestedConcurrency || adapter.stockConcurrency || DEFAULT_CONCURRENCY;
+  const runId = await insertJobRun({
+    supabaseUrl,
+    serviceRoleKey,
+    supplierId,
+    runType: productCode ? 'single' : 'full_stock',
+    triggeredBy,
+    metadata: {
+      adapter: adapter.type,
+      concurrency,
+      product_code: productCode ?? null,
+      started_iso: new Date(runStart).toISOString(),
+    },
+  });
+
+  let status = 'failed';
+  let errorMessage = null;
+  let fetched = 0;
+  let updated = 0;
+  let failed = 0;
+  let notFound = 0;
+  const totals = { variants: 0, inStock: 0, out: 0, mto: 0 };
+  const failedCodes = [];
+  const notFoundCodes = [];
+
+  try {
+    if (!adapter.supportsStock) {
+      // A feed supplier without a stock file: nothing to refresh. Recorded as
+      // a completed zero run so the job monitor still shows the cron fired.
+      log(`[stock] run ${runId} — ${supplierSlug} has no stock source configured, skipping`);
+      status = 'completed';
+      return { runId, supplier: supplierSlug, fetched, updated, failed, notFound, durationMs: Date.now() - runStart, status };
+    }
+
+    const stockable = await getStockableCodes({ supabaseUrl, serviceRoleKey, supplierId });
+    const codes = productCode ? stockable.filter((c) => c === productCode) : stockable;
+    if (productCode && codes.length === 0) {
+      // Asked for one product that isn't live — say so rather than record a
+      // silent zero run the admin would read as "refreshed".
+      throw new Error(`${productCode} is not a live ${supplierSlug} product (unknown or retired)`);
+    }
+    fetched = codes.length;
+    log(`[stock] run ${runId} — ${supplierSlug}: ${fetched} products to refresh (concurrency ${concurrency})`);
+
+    if (fetched === 0) {
+      status = 'completed';
+      return { runId, supplier: supplierSlug, fetched, updated, failed, notFound, durationMs: Date.now() - runStart, status };
+    }
+
+    const nowIso = new Date().toISOString();
+    const failures = [];
+    let done = 0;
+
+    await runPool(codes, concurrency, async (code) => {
+      try {
+        const arr = await adapter.fetchStock(credentials, code);
+        const { map, counts } = adapter.buildStockMap(arr);
+        const affected = await updateStock({ supabaseUrl, serviceRoleKey, supplierId, code, map, nowIso });
+        if (affected === 0) {
+          // The code exists in the supplier's stock feed but not in supplier_products
+          // — a genuine data mismatch (our catalogue is out of step with the
+          // supplier), distinct from a broken write. Log it as such.
+          notFound += 1;
+          notFoundCodes.push(code);
+          failures.push({
+            job_run_id: runId,
+            supplier_product_code: code,
+            reason: 'stock_product_not_found',
+            error_message: `code present in ${supplierSlug} stock feed but not in supplier_products`,
+            raw_snippet: truncateRawSnippet({ code }),
+          });
+          return;
+        }
+        updated += 1;
+        totals.variants += counts.variants;
+        totals.inStock += counts.inStock;
+        totals.out += counts.out;
+        totals.mto += counts.mto;
+      } catch (err) {
+        // Per-product failure: log + count, keep going. The row keeps its
+        // previous stock + stock_checked_at (we simply skipped the UPDATE).
+        failed += 1;
+        failedCodes.push(code);
+        failures.push({
+          job_run_id: runId,
+          supplier_product_code: code,
+          reason: err?.message?.includes('PostgREST') ? 'stock_update_failed' : 'stock_fetch_failed',
+          error_message: err?.message?.slice(0, 1000) ?? 'unknown',
+          raw_snippet: truncateRawSnippet({ code }),
+        });
+      } finally {
+        done += 1;
+        if (done % 200 === 0 || done === codes.length) {
+          log(`[stock] ${done}/${codes.length} — updated=${updated} failed=${failed} not_found=${notFound}`);
+        }
+      }
+    });
+
+    if (failures.length) {
+      await insertJobFailures({ supabaseUrl, serviceRoleKey, rows: failures });
+    }
+
+    // A run is 'completed' as long as it ran to the end. Even an all-failed
+    // run is 'completed' at the job level (the failures are logged per-code);
+    // only infra errors flip status='failed'. This matches the sync module.
+    status = 'completed';
+    log(`[stock] done — updated=${updated} failed=${failed} not_found=${notFound} ` +
+        `variants=${totals.variants} (in=${totals.inStock} out=${totals.out} mto=${totals.mto})`);
+  } catch (err) {
+    errorMessage = err?.message ?? String(err);
+    status = 'failed';
+    console.error(`[supplier-stock] ${supplierSlug} run failed:`, errorMessage);
+  } finally {
+    const durationMs = Date.now() - runStart;
+    await finaliseJobRun({
+      supabaseUrl,
+      serviceRoleKey,
+      runId,
+      patch: {
+        status,
+        finished_at: new Date().toISOString(),
+        duration_ms: durationMs,
+        products_fetched: fetched,
+        products_inserted: 0, // stock NEVER inserts — UPDATE-only by design
+        products_updated: updated,
+        products_failed: failed,
+        error_message: errorMessage,
+        metadata: {
+          adapter: adapter.type,
+          stock_source: adapter.supportsStock ? 'adapter' : 'none',
+          concurrency,
+          product_code: productCode ?? null,
+          not_found: notFound,
+          variants_total: totals.variants,
+          variants_in_stock: totals.inStock,
+          variants_out: totals.out,
+          variants_mto: totals.mto,
+          // Bounded samples so the run row is self-diagnosing without a
+          // job_failures join. Full lists are in job_failures.
+          failed_codes_sample: failedCodes.slice(0, 50),
+          not_found_codes_sample: notFoundCodes.slice(0, 50),
+        },
+      },
+    }).catch((finalErr) => {
+      console.error('[supplier-stock] WARNING: could not finalise job_runs row:', finalErr.message);
+    });
+  }
+
+  return {
+    runId,
+    supplier: supplierSlug,
+    fetched,
+    updated,
+    failed,
+    notFound,
+    durationMs: Date.now() - runStart,
+    status,
+    errorMessage: errorMessage ?? undefined,
+  };
+}
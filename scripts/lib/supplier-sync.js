@@ -0,0 +1,954 @@
+/**
+ * Core batch-sync logic for a supplier catalogue.
+ *
+ * Exports:
+ *   syncSupplierCatalogue({ supplierSlug, ... }) — end-to-end sync run for
+ *     one supplier. Resolves the supplier's adapter (scripts/lib/suppliers),
+ *     creates a job_runs row with job_type='sync' + that supplier_id,
+ *     fetches the adapter's catalogue, normalises every product,
+ *     bulk-upserts the new / changed ones into supplier_products in small
+ *     batches, records what changed into supplier_product_changes and
+ *     per-product failures into job_failures, and finalises the job_runs
+ *     row (completed | failed).
+ *
+ * Everything supplier-specific (fetch, parse, stock, delivery) lives in the
+ * adapter; everything here — margins, batching, retirement, observability —
+ * is shared. laltex-sync.js keeps the original syncFullCatalogue() entry
+ * point as a wrapper with supplierSlug='laltex'.
+ *
+ * Architecture notes:
+ *
+ * 1. DB access pattern:
+ *    Writes go via Supabase PostgREST (/rest/v1/{table}) authenticated
+ *    with the SUPABASE_SERVICE_ROLE_KEY. This is the correct tool for
+ *    bulk DML in a serverless context. Sessions 1 + 2 used the
+ *    Management API (PAT + /database/query) which is admin-tier and
+ *    wrong for 10k UPSERTs. See CLAUDE.md §27 for the full split.
+ *
+ * 2. Blast radius on batch failure:
+ *    PostgREST bulk UPSERT is atomic per batch — a single bad row
+ *    fails the whole batch. We chunk into UPSERT_BATCH_SIZE rows
+ *    (default 50). On batch failure, we fall back to single-row
+ *    UPSERTs across the same chunk to isolate the bad rows. Happy
+ *    path is still ~200 fast batched requests; pathological case is
+ *    one chunk of N single-row retries.
+ *
+ * 3. "Inserted vs updated" counters:
+ *    We snapshot existing supplier_product_code values BEFORE the
+ *    UPSERT (one small SELECT), then compare after. Cheap.
+ *
+ * 4. last_synced_at discipline:
+ *    Only set on successful UPSERT of a given row. Failed rows keep
+ *    their previous value so stale-detection queries still work.
+ *
+ * 5. Continue-with-logging:
+ *    Per-product failures land in job_failures, the run keeps going.
+ *    Only infra-level errors (feed network failure, auth, no response)
+ *    mark job_runs.status = 'failed'. A finally block ensures the row
+ *    is never left at status = 'running'.
+ *
+ * 6. Shared observability table:
+ *    job_runs + job_failures are a single source of truth across all
+ *    background jobs. Every INSERT must set job_type explicitly —
+ *    this module always writes 'sync' (per-supplier). The parallel
+ *    catalogue-embed.js writes 'embed' (every supplier, or one).
+ *
+ * 7. Delta writes:
+ *    Each normalised row (after margins) is hashed into content_hash
+ *    (catalogue-changes.js). Rows whose hash matches the stored one are
+ *    NOT re-upserted — they only get the seen-in-feed bookkeeping
+ *    (last_synced_at, missing_from_feed_count, is_retired) via a narrow
+ *    PATCH. A typical night rewrites a handful of rows instead of ~1,200,
+ *    and margin_last_applied_at / updated_at now mean "last changed".
+ *    Rows with a NULL hash (first run after the migration) all count as
+ *    changed once.
+ *
+ * 8. Change log:
+ *    For changed rows the previous price / print / colour columns are read
+ *    just before the upsert and diffed; successful writes land in
+ *    supplier_product_changes alongside added / retired / reinstated
+ *    events from the same run. Best-effort like job_failures — a
+ *    change-log write failure never fails the sync.
+ *
+ * 9. Supplier price moves:
+ *    'price' changes whose trade `price` (not just sell_price) moved on any
+ *    tier also land in supplier_price_history, and draft quotes with a line
+ *    for that product are flagged (flag_draft_quotes_for_price_changes).
+ *    The daily digest (price-digest.js) reads the history. Best-effort too.
+ *
+ * 10. Single-product runs:
+ *    With productCode set (a re-run from /admin/jobs) the whole feed is
+ *    still fetched — no adapter has a per-product endpoint — but only that
+ *    product is normalised and written, and the run is recorded with
+ *    run_type='single'. Retirement reconciliation (6.5) is skipped: every
+ *    other product is "missing" from a one-product run, and counting that
+ *    towards retirement would retire the catalogue in three clicks.
+ */
+
+import { applyMarginsInPlace, DEFAULT_SCHEDULE_VERSION } from './laltex-margin.js';
+import { loadSupplierAdapter, missingAdapterEnv } from './suppliers/index.js';
+import { contentHash, diffProductRows, supplierPriceMoves, DIFF_COLUMNS } from './catalogue-changes.js';
+
+// Batch size picked to balance request size vs per-failure blast radius.
+// Products with full payload + raw_payload average ~15-40 KB of JSON;
+// 50 rows/batch keeps each POST well under PostgREST's 16 MB default
+// body cap and keeps bad-row isolation cost bounded.
+const UPSERT_BATCH_SIZE = 50;
+
+// Codes per PATCH / SELECT when filtering with supplier_product_code=in.(…).
+// Keeps the query string comfortably under URL length limits.
+const CODE_FILTER_BATCH_SIZE = 100;
+
+// Rows per supplier_product_changes / supplier_price_history INSERT.
+const CHANGE_LOG_BATCH_SIZE = 500;
+
+// How often to log progress from the upsert loop.
+const PROGRESS_LOG_EVERY_BATCHES = 5;
+
+// Max chars of raw payload to persist into job_failures.raw_snippet
+// when a failure fires — keeps the failures table from exploding on
+// pathological products.
+const RAW_SNIPPET_CHARS = 2000;
+
+// ---------------------------------------------------------------------------
+// PostgREST helpers
+// ---------------------------------------------------------------------------
+
+function ensureEnv(name, value) {
+  if (!value || typeof value !== 'string') {
+    throw new Error(`${name} is required`);
+  }
+  return value;
+}
+
+function pgRestHeaders(serviceRoleKey, extra = {}) {
+  return {
+    apikey: serviceRoleKey,
+    Authorization: `Bearer ${serviceRoleKey}`,
+    'Content-Type': 'application/json',
+    Accept: 'application/json',
+    ...extra,
+  };
+}
+
+/**
+ * Execute a PostgREST call and return the JSON body (or throw).
+ */
+async function pgRest(method, url, serviceRoleKey, { body, extraHeaders } = {}) {
+  const resp = await fetch(url, {
+    method,
+    headers: pgRestHeaders(serviceRoleKey, extraHeaders),
+    body: body == null ? undefined : (typeof body === 'string' ? body : JSON.stringify(body)),
+  });
+  const text = await resp.text();
+  if (!resp.ok) {
+    throw new Error(`PostgREST ${method} ${url.split('?')[0]} -> ${resp.status}: ${text.slice(0, 500)}`);
+  }
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// job_runs lifecycle helpers (job_type='sync', supplier_id per run)
+// ---------------------------------------------------------------------------
+
+async function insertJobRun({ supabaseUrl, serviceRoleKey, supplierId, runType, triggeredBy, metadata }) {
+  const url = `${supabaseUrl}/rest/v1/job_runs`;
+  const rows = await pgRest('POST', url, serviceRoleKey, {
+    body: [{
+      supplier_id: supplierId,
+      run_type: runType,
+      status: 'running',
+      triggered_by: triggeredBy,
+      job_type: 'sync',
+      metadata: metadata ?? null,
+    }],
+    extraHeaders: { Prefer: 'return=representation' },
+  });
+  if (!Array.isArray(rows) || !rows[0]?.id) {
+    throw new Error('Failed to create job_runs row');
+  }
+  return rows[0].id;
+}
+
+async function finaliseJobRun({ supabaseUrl, serviceRoleKey, runId, patch }) {
+  const url = `${supabaseUrl}/rest/v1/job_runs?id=eq.${encodeURIComponent(runId)}`;
+  await pgRest('PATCH', url, serviceRoleKey, {
+    body: patch,
+    extraHeaders: { Prefer: 'return=minimal' },
+  });
+}
+
+async function insertJobFailures({ supabaseUrl, serviceRoleKey, rows }) {
+  if (!rows.length) return;
+  const url = `${supabaseUrl}/rest/v1/job_failures`;
+  try {
+    await pgRest('POST', url, serviceRoleKey, {
+      body: rows,
+      extraHeaders: { Prefer: 'return=minimal' },
+    });
+  } catch (err) {
+    // Never let the failure-logger itself abort the run. Just log and move on.
+    console.error('[supplier-sync] WARNING: job_failures insert failed:', err.message);
+  }
+}
+
+function truncateRawSnippet(raw) {
+  try {
+    const s = JSON.stringify(raw);
+    if (s.length <= RAW_SNIPPET_CHARS) return raw;
+    return {
+      __truncated: true,
+      __original_chars: s.length,
+      preview: s.slice(0, RAW_SNIPPET_CHARS),
+    };
+  } catch {
+    return { __stringify_failed: true };
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Existing-row snapshots (per supplier)
+// ---------------------------------------------------------------------------
+
+// Supabase PostgREST caps responses at 1000 rows server-side (not
+// overridable by ?limit or Range). Paginate explicitly.
+const EXISTING_CODES_PAGE_SIZE = 1000;
+
+// 3-strike threshold for retiring a product that has disappeared from
+// the bulk feed. After this many consecutive misses, is_retired flips
+// to true on the post-upsert reconciliation. See CLAUDE.md §51.
+const RETIRE_THRESHOLD = 3;
+
+async function getExistingCodes({ supabaseUrl, serviceRoleKey, supplierId }) {
+  const set = new Set();
+  let offset = 0;
+  for (;;) {
+    const url = `${supabaseUrl}/rest/v1/supplier_products` +
+      `?supplier_id=eq.${supplierId}` +
+      `&select=supplier_product_code` +
+      `&order=supplier_product_code.asc` +
+      `&limit=${EXISTING_CODES_PAGE_SIZE}` +
+      `&offset=${offset}`;
+    const page = await pgRest('GET', url, serviceRoleKey);
+    if (!Array.isArray(page) || page.length === 0) break;
+    for (const r of page) {
+      if (r.supplier_product_code) set.add(r.supplier_product_code);
+    }
+    if (page.length < EXISTING_CODES_PAGE_SIZE) break;
+    offset += EXISTING_CODES_PAGE_SIZE;
+  }
+  return set;
+}
+
+// Returns Map<supplier_product_code, { missing_from_feed_count, is_retired }>
+// for every existing row of the supplier. Used by the post-upsert
+// reconciliation step that increments / clears the missing-from-feed
+// counter. Paginated the same way as getExistingCodes per CLAUDE.md §28.1.
+async function getExistingRetirementState({ supabaseUrl, serviceRoleKey, supplierId }) {
+  const map = new Map();
+  let offset = 0;
+  for (;;) {
+    const url = `${supabaseUrl}/rest/v1/supplier_products` +
+      `?supplier_id=eq.${supplierId}` +
+      `&select=supplier_product_code,missing_from_feed_count,is_retired` +
+      `&order=supplier_product_code.asc` +
+      `&limit=${EXISTING_CODES_PAGE_SIZE}` +
+      `&offset=${offset}`;
+    const page = await pgRest('GET', url, serviceRoleKey);
+    if (!Array.isArray(page) || page.length === 0) break;
+    for (const r of page) {
+      if (r.supplier_product_code) {
+        map.set(r.supplier_product_code, {
+          missing_from_feed_count: Number.isFinite(r.missing_from_feed_count)
+            ? r.missing_from_feed_count
+            : 0,
+          is_retired: r.is_retired === true,
+        });
+      }
+    }
+    if (page.length < EXISTING_CODES_PAGE_SIZE) break;
+    offset += EXISTING_CODES_PAGE_SIZE;
+  }
+  return map;
+}
+
+// Per-product margin overrides, keyed on supplier_product_code. NULL value
+// means "use the schedule" (we keep the entry so the loop can still call
+// .get() without `has` first). Same paginated pattern as getExistingCodes
+// per CLAUDE.md §28.1.
+//
+// CRITICAL: the UPSERT body written by syncFullCatalogue must NEVER include
+// margin_pct_override — that would clobber admin overrides on every nightly
+// run. normaliseProduct doesn't include it either. This Map exists so the
+// sync can READ the override and feed it to applyMarginsInPlace, not so it
+// can write the override back.
+async function getExistingOverrides({ supabaseUrl, serviceRoleKey, supplierId }) {
+  const map = new Map();
+  let offset = 0;
+  for (;;) {
+    const url = `${supabaseUrl}/rest/v1/supplier_products` +
+      `?supplier_id=eq.${supplierId}` +
+      `&select=supplier_product_code,margin_pct_override` +
+      `&order=supplier_product_code.asc` +
+      `&limit=${EXISTING_CODES_PAGE_SIZE}` +
+      `&offset=${offset}`;
+    const page = await pgRest('GET', url, serviceRoleKey);
+    if (!Array.isArray(page) || page.length === 0) break;
+    for (const r of page) {
+      if (r.supplier_product_code) {
+        map.set(r.supplier_product_code, r.margin_pct_override ?? null);
+      }
+    }
+    if (page.length < EXISTING_CODES_PAGE_SIZE) break;
+    offset += EXISTING_CODES_PAGE_SIZE;
+  }
+  return map;
+}
+
+// Map<supplier_product_code, content_hash|null>. Same paginated pattern per
+// CLAUDE.md §28.1.
+async function getExistingContentHashes({ supabaseUrl, serviceRoleKey, supplierId }) {
+  const map = new Map();
+  let offset = 0;
+  for (;;) {
+    const url = `${supabaseUrl}/rest/v1/supplier_products` +
+      `?supplier_id=eq.${supplierId}` +
+      `&select=supplier_product_code,content_hash` +
+      `&order=supplier_product_code.asc` +
+      `&limit=${EXISTING_CODES_PAGE_SIZE}` +
+      `&offset=${offset}`;
+    const page = await pgRest('GET', url, serviceRoleKey);
+    if (!Array.isArray(page) || page.length === 0) break;
+    for (const r of page) {
+      if (r.supplier_product_code) map.set(r.supplier_product_code, r.content_hash ?? null);
+    }
+    if (page.length < EXISTING_CODES_PAGE_SIZE) break;
+    offset += EXISTING_CODES_PAGE_SIZE;
+  }
+  return map;
+}
+
+// PostgREST in.(…) list with every value double-quoted, so codes holding
+// commas, dots or parentheses are matched literally.
+function codeInFilter(codes) {
+  const quoted = codes.map((c) => `"${String(c).replace(/["\\]/g, '\\$&')}"`);
+  return `in.(${encodeURIComponent(quoted.join(','))})`;
+}
+
+// Stored DIFF_COLUMNS for the given codes, keyed on supplier_product_code.
+// Only called for changed rows, so normally a request or two per run.
+async function getPreviousRows({ supabaseUrl, serviceRoleKey, supplierId, codes }) {
+  const map = new Map();
+  for (let i = 0; i < codes.length; i += CODE_FILTER_BATCH_SIZE) {
+    const url = `${supabaseUrl}/rest/v1/supplier_products` +
+      `?supplier_id=eq.${supplierId}` +
+      `&supplier_product_code=${codeInFilter(codes.slice(i, i + CODE_FILTER_BATCH_SIZE))}` +
+      `&select=supplier_product_code,${DIFF_COLUMNS.join(',')}`;
+    const page = await pgRest('GET', url, serviceRoleKey);
+    for (const r of Array.isArray(page) ? page : []) map.set(r.supplier_product_code, r);
+  }
+  return map;
+}
+
+/**
+ * Mark unchanged rows as seen in this sync without rewriting their content:
+ * the same missing_from_feed_count / is_retired reset upsertChunk applies
+ * (CLAUDE.md §51), plus last_synced_at. A PATCH rather than a partial
+ * merge-duplicates upsert, so no NOT NULL column is ever in play.
+ * Returns the codes whose PATCH failed ({ codes, error } per chunk).
+ */
+async function touchUnchanged({ supabaseUrl, serviceRoleKey, supplierId, codes }) {
+  const failures = [];
+  const now = new Date().toISOString();
+  for (let i = 0; i < codes.length; i += CODE_FILTER_BATCH_SIZE) {
+    const chunk = codes.slice(i, i + CODE_FILTER_BATCH_SIZE);
+    try {
+      await pgRest(
+        'PATCH',
+        `${supabaseUrl}/rest/v1/supplier_products?supplier_id=eq.${supplierId}&supplier_product_code=${codeInFilter(chunk)}`,
+        serviceRoleKey,
+        {
+          body: { last_synced_at: now, missing_from_feed_count: 0, is_retired: false },
+          extraHeaders: { Prefer: 'return=minimal' },
+        },
+      );
+    } catch (err) {
+      failures.push({ codes: chunk, error: err.message });
+    }
+  }
+  return failures;
+}
+
+// Shared by supplier_product_changes and supplier_price_history.
+async function insertChangeLog({ supabaseUrl, serviceRoleKey, table, rows }) {
+  const url = `${supabaseUrl}/rest/v1/${table}`;
+  for (let i = 0; i < rows.length; i += CHANGE_LOG_BATCH_SIZE) {
+    try {
+      await pgRest('POST', url, serviceRoleKey, {
+        body: rows.slice(i, i + CHANGE_LOG_BATCH_SIZE),
+        extraHeaders: { Prefer: 'return=minimal' },
+      });
+    } catch (err) {
+      // Same rule as job_failures: the change log never aborts a run.
+      console.error(`[supplier-sync] WARNING: ${table} insert failed:`, err.message);
+    }
+  }
+}
+
+// Returns the number of draft quotes flagged, or null if the RPC failed.
+async function flagDraftQuotes({ supabaseUrl, serviceRoleKey, codes }) {
+  try {
+    const flagged = await pgRest('POST', `${supabaseUrl}/rest/v1/rpc/flag_draft_quotes_for_price_changes`, serviceRoleKey, {
+      body: { p_codes: codes },
+    });
+    return Number(flagged) || 0;
+  } catch (err) {
+    console.error('[supplier-sync] WARNING: flag_draft_quotes_for_price_changes failed:', err.message);
+    return null;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Upsert path — bulk with single-row fallback
+// ---------------------------------------------------------------------------
+
+/**
+ * Upsert a single chunk of already-normalised rows.
+ *
+ * On failure, fall back to per-row upserts across the same chunk so
+ * we isolate which row(s) the batch choked on. Returns an array of
+ * failed rows (each: { row, error }).
+ */
+async function upsertChunk({ supabaseUrl, serviceRoleKey, supplierId, chunk }) {
+  const upsertUrl = `${supabaseUrl}/rest/v1/supplier_products?on_conflict=supplier_id,supplier_product_code`;
+  const now = new Date().toISOString();
+  // Seen-in-this-sync reset: any row that survived normalisation gets
+  // its missing-from-feed counter zeroed and is_retired cleared. A
+  // previously-retired product that reappears in the feed is fully
+  // reinstated by this single write (no separate UPDATE needed). See
+  // CLAUDE.md §51.
+  const withMeta = chunk.map((r) => ({
+    ...r,
+    supplier_id: supplierId,
+    last_synced_at: now,
+    missing_from_feed_count: 0,
+    is_retired: false,
+  }));
+
+  // Try the batch first
+  try {
+    await pgRest('POST', upsertUrl, serviceRoleKey, {
+      body: withMeta,
+      extraHeaders: {
+        Prefer: 'resolution=merge-duplicates,return=minimal',
+      },
+    });
+    return { ok: withMeta.length, failures: [] };
+  } catch (batchErr) {
+    // Batch failed. Isolate per-row so one bad product doesn't drop
+    // the other ~49 in the chunk.
+    console.warn(`[supplier-sync] batch of ${withMeta.length} failed — falling back to single-row: ${batchErr.message}`);
+    let ok = 0;
+    const failures = [];
+    for (const r of withMeta) {
+      try {
+        await pgRest('POST', upsertUrl, serviceRoleKey, {
+          body: [r],
+          extraHeaders: {
+            Prefer: 'resolution=merge-duplicates,return=minimal',
+          },
+        });
+        ok += 1;
+      } catch (rowErr) {
+        failures.push({ row: r, error: rowErr.message });
+      }
+    }
+    return { ok, failures };
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Orchestration
+// ---------------------------------------------------------------------------
+
+/**
+ * Run a full-catalogue sync for one supplier, or one product of it (note 10).
+ *
+ * @param {object} opts
+ * @param {string} opts.supplierSlug         suppliers.slug ('laltex', ...)
+ * @param {object} opts.env                  env-like object holding the adapter's
+ *                                           requiredEnv (usually process.env)
+ * @param {string} opts.supabaseUrl          VITE_SUPABASE_URL (PostgREST base)
+ * @param {string} opts.serviceRoleKey       SUPABASE_SERVICE_ROLE_KEY
+ * @param {string} opts.triggeredBy          'cron' | 'manual' | 'cli'
+ * @param {string=} opts.productCode         sync only this supplier_product_code;
+ *                                           fails the run if the feed lacks it
+ * @param {function(string)=} opts.progress  optional progress logger
+ * @returns {Promise<{runId:string, supplier:string, fetched:number, inserted:number, updated:number, unchanged:number, failed:number, changes:object, priceMoves:number, quotesFlagged:number|null, durationMs:number, status:'completed'|'failed', errorMessage?:string}>}
+ */
+export async function syncSupplierCatalogue({
+  supplierSlug,
+  env,
+  supabaseUrl,
+  serviceRoleKey,
+  triggeredBy,
+  productCode,
+  progress,
+}) {
+  ensureEnv('supplierSlug', supplierSlug);
+  ensureEnv('supabaseUrl', supabaseUrl);
+  ensureEnv('serviceRoleKey', serviceRoleKey);
+  ensureEnv('triggeredBy', triggeredBy);
+
+  const log = (msg) => {
+    if (typeof progress === 'function') progress(msg);
+    else console.log(msg);
+  };
+
+  const runStart = Date.now();
+
+  // 1. Resolve supplier_id + adapter. Missing credentials throw here, before
+  //    a job_runs row exists — callers check missingAdapterEnv() up front.
+  const { supplier, adapter } = await loadSupplierAdapter({ supabaseUrl, serviceRoleKey, supplierSlug });
+  const supplierId = supplier.id;
+  const missing = missingAdapterEnv(adapter, env);
+  if (missing.length) {
+    throw new Error(`${supplierSlug}: missing env vars ${missing.join(', ')}`);
+  }
+  const credentials = adapter.credentials(env);
+
+  // 2. Open job_runs row (job_type='sync')
+  const runId = await insertJobRun({
+    supabaseUrl,
+    serviceRoleKey,
+    supplierId,
+    runType: productCode ? 'single' : 'full_catalogue',
+    triggeredBy,
+    metadata: {
+      adapter: adapter.type,
+      batch_size: UPSERT_BATCH_SIZE,
+      product_code: productCode ?? null,
+      started_iso: new Date(runStart).toISOString(),
+    },
+  });
+
+  let status = 'failed';
+  let errorMessage = null;
+  let fetched = 0;
+  let inserted = 0;
+  let updated = 0;
+  let unchanged = 0;
+  let failed = 0;
+  const changeCounts = {}; // change_type -> count, for job_runs.metadata
+  let priceMoves = 0; // products whose supplier trade price moved
+  let quotesFlagged = 0;
+
+  try {
+    // 3. Fetch the supplier feed
+    log(`[sync] run ${runId} — ${supplierSlug}: fetching ${adapter.label} …`);
+    const { products: feedProducts, feedDurationMs } = await adapter.fetchCatalogue(credentials);
+    log(`[sync] feed returned ${feedProducts.length} products in ${feedDurationMs} ms`);
+    const products = productCode
+      ? feedProducts.filter((raw) => adapter.productCode(raw) === productCode)
+      : feedProducts;
+    if (productCode && products.length === 0) {
+      throw new Error(`${productCode} is not in the ${supplierSlug} feed`);
+    }
+    fetched = products.length;
+
+    if (fetched === 0) {
+      // Not a hard fail — a supplier could legitimately return []; but unusual. Record as completed with zeroes.
+      status = 'completed';
+      await finaliseJobRun({
+        supabaseUrl, serviceRoleKey, runId,
+        patch: {
+          status,
+          finished_at: new Date().toISOString(),
+          duration_ms: Date.now() - runStart,
+          products_fetched: 0,
+          products_inserted: 0,
+          products_updated: 0,
+          products_failed: 0,
+          metadata: { adapter: adapter.type, batch_size: UPSERT_BATCH_SIZE, feed_duration_ms: feedDurationMs },
+        },
+      });
+      return { runId, supplier: supplierSlug, fetched, inserted, updated, unchanged, failed, changes: changeCounts, priceMoves, quotesFlagged, durationMs: Date.now() - runStart, status };
+    }
+
+    // 4. Snapshot existing codes for inserted/updated counters AND
+    //    existing margin overrides so applyMarginsInPlace can honour them
+    //    in the same loop. The override map is read-only here — the UPSERT
+    //    payload never includes margin_pct_override, so admin-set overrides
+    //    survive every nightly sync untouched.
+    const existingCodes = await getExistingCodes({ supabaseUrl, serviceRoleKey, supplierId });
+    const existingOverrides = await getExistingOverrides({ supabaseUrl, serviceRoleKey, supplierId });
+    const retirementState = await getExistingRetirementState({ supabaseUrl, serviceRoleKey, supplierId });
+    const existingHashes = await getExistingContentHashes({ supabaseUrl, serviceRoleKey, supplierId });
+    const nowIso = new Date().toISOString();
+
+    // 5. Normalise + bucket
+    const rows = [];
+    const failures = []; // { reason, supplier_product_code, error_message, raw_snippet }
+    for (const raw of products) {
+      const { row, parseErrors } = adapter.normaliseProduct(raw);
+
+      // Log every parse soft error — but don't skip the row unless
+      // normaliseProduct returned row=null (unusable product).
+      for (const pe of parseErrors) {
+        failures.push({
+          job_run_id: runId,
+          supplier_product_code: row?.supplier_product_code ?? adapter.productCode(raw),
+          reason: 'parse_error',
+          error_message: `${pe.field}: ${pe.message}`,
+          raw_snippet: truncateRawSnippet(raw),
+        });
+      }
+
+      if (!row) {
+        failed += 1;
+        continue;
+      }
+
+      // Apply margins per Task 10 / CLAUDE.md §46. The row's product_pricing
+      // and print_details JSONB structures get sell_price + margin_applied_pct
+      // injected per tier. Delivery is NOT baked in — that's read-time.
+      const overridePct = existingOverrides.get(row.supplier_product_code) ?? null;
+      applyMarginsInPlace({
+        productPricing: row.product_pricing,
+        printDetails: row.print_details,
+        overridePct,
+      });
+      row.margin_default_schedule_version = DEFAULT_SCHEDULE_VERSION;
+      row.margin_last_applied_at = nowIso;
+      row.content_hash = contentHash(row);
+
+      rows.push(row);
+    }
+    log(`[sync] normalised ${rows.length} rows, ${failures.length} parse errors`);
+
+    // 5.5 Delta: only new / changed rows are upserted (note 7).
+    const changedRows = [];
+    const unchangedCodes = [];
+    for (const r of rows) {
+      const storedHash = existingHashes.get(r.supplier_product_code);
+      if (storedHash && storedHash === r.content_hash) unchangedCodes.push(r.supplier_product_code);
+      else changedRows.push(r);
+    }
+    log(`[sync] ${changedRows.length} new/changed, ${unchangedCodes.length} unchanged`);
+
+    // Diff against the stored version BEFORE it is overwritten (note 8).
+    const previousRows = await getPreviousRows({
+      supabaseUrl,
+      serviceRoleKey,
+      supplierId,
+      codes: changedRows
+        .map((r) => r.supplier_product_code)
+        .filter((code) => existingCodes.has(code)),
+    });
+    const pendingChanges = new Map(); // code -> change entries, logged once the upsert lands
+    for (const r of changedRows) {
+      const entries = diffProductRows(previousRows.get(r.supplier_product_code) ?? null, r);
+      if (entries.length) pendingChanges.set(r.supplier_product_code, entries);
+    }
+
+    // Persist parse errors now so they land even if later upserts throw
+    // unexpectedly. job_failures.raw_snippet is truncated per row.
+    if (failures.length) {
+      await insertJobFailures({ supabaseUrl, serviceRoleKey, rows: failures });
+    }
+
+    // 6. Upsert new / changed rows in chunks
+    const batches = [];
+    for (let i = 0; i < changedRows.length; i += UPSERT_BATCH_SIZE) {
+      batches.push(changedRows.slice(i, i + UPSERT_BATCH_SIZE));
+    }
+    log(`[sync] upserting ${changedRows.length} rows in ${batches.length} batches of up to ${UPSERT_BATCH_SIZE} …`);
+
+    const upsertFailures = [];
+    for (let i = 0; i < batches.length; i += 1) {
+      const chunk = batches[i];
+      const { ok, failures: batchFailures } = await upsertChunk({
+        supabaseUrl, serviceRoleKey, supplierId, chunk,
+      });
+
+      // Per-row counters only count OK rows. Failed rows stay with
+      // their previous last_synced_at — by design.
+      for (const r of chunk.slice(0, ok + batchFailures.length)) {
+        if (!batchFailures.some((f) => f.row.supplier_product_code === r.supplier_product_code)) {
+          if (existingCodes.has(r.supplier_product_code)) updated += 1;
+          else inserted += 1;
+        }
+      }
+
+      for (const bf of batchFailures) {
+        failed += 1;
+        upsertFailures.push({
+          job_run_id: runId,
+          supplier_product_code: bf.row.supplier_product_code ?? null,
+          reason: 'upsert_failed',
+          error_message: bf.error?.slice(0, 1000) ?? 'unknown',
+          raw_snippet: truncateRawSnippet(bf.row.raw_payload),
+        });
+      }
+
+      if ((i + 1) % PROGRESS_LOG_EVERY_BATCHES === 0 || i + 1 === batches.length) {
+        log(`[sync] batch ${i + 1}/${batches.length} done — inserted=${inserted} updated=${updated} failed=${failed}`);
+      }
+    }
+
+    // 6.1 Touch unchanged rows (seen-in-feed bookkeeping only)
+    const touchFailures = [];
+    const touchFailed = await touchUnchanged({ supabaseUrl, serviceRoleKey, supplierId, codes: unchangedCodes });
+    for (const tf of touchFailed) {
+      for (const code of tf.codes) {
+        failed += 1;
+        touchFailures.push({
+          job_run_id: runId,
+          supplier_product_code: code,
+          reason: 'touch_failed',
+          error_message: tf.error?.slice(0, 1000) ?? 'unknown',
+        });
+      }
+    }
+    unchanged = unchangedCodes.length - touchFailures.length;
+
+    if (upsertFailures.length || touchFailures.length) {
+      await insertJobFailures({ supabaseUrl, serviceRoleKey, rows: [...upsertFailures, ...touchFailures] });
+    }
+
+    // 6.5 Retirement reconciliation
+    //
+    // After every row that DID appear in the feed has been upserted
+    // (with missing_from_feed_count=0, is_retired=false), bump the
+    // counter on every row that DID NOT appear. Threshold defined
+    // by RETIRE_THRESHOLD (currently 3) — see CLAUDE.md §51 for the
+    // rationale.
+    //
+    // Critical correctness notes:
+    //   * This step is gated on the upsert loop completing without
+    //     an infra-level throw. If the supplier returned a partial feed
+    //     (already short-circuited at fetched === 0) or the upsert
+    //     loop threw, we either won't be here or the catch block
+    //     will flip status='failed' and skip this step. We never
+    //     want to retire products because the feed itself was
+    //     unhealthy.
+    //   * Failed-upsert rows are NOT counted as "seen" — they kept
+    //     their previous last_synced_at and missing-counter values
+    //     (the merge-duplicates UPSERT didn't land for them). Their
+    //     code is still in retirementState but absent from
+    //     seenCodes, so they'll be treated as missing for this run.
+    //     That's intentional: a row whose upsert is broken should
+    //     count toward retirement just like a row the feed omitted.
+    //   * last_synced_at is NOT touched on the missing-update —
+    //     it remains the indicator of when the row was last
+    //     actually seen in the feed. Matches CLAUDE.md §27 / §27.5.
+    const seenCodes = new Set();
+    for (const r of rows) {
+      if (r.supplier_product_code) seenCodes.add(r.supplier_product_code);
+    }
+    // Subtract upsert / touch failures from seenCodes (they didn't actually persist).
+    for (const bf of [...upsertFailures, ...touchFailures]) {
+      if (bf.supplier_product_code) seenCodes.delete(bf.supplier_product_code);
+    }
+
+    // Change log for everything that persisted: diffs of changed rows plus
+    // products coming back from retirement.
+    const changeLog = [];
+    const logChange = (code, entry) => {
+      changeLog.push({
+        job_run_id: runId,
+        supplier_id: supplierId,
+        supplier_product_code: code,
+        change_type: entry.change_type,
+        before: entry.before ?? null,
+        after: entry.after ?? null,
+      });
+      changeCounts[entry.change_type] = (changeCounts[entry.change_type] ?? 0) + 1;
+    };
+    for (const [code, entries] of pendingChanges) {
+      if (!seenCodes.has(code)) continue;
+      for (const entry of entries) logChange(code, entry);
+    }
+    for (const code of seenCodes) {
+      const state = retirementState.get(code);
+      if (state?.is_retired) {
+        logChange(code, {
+          change_type: 'reinstated',
+          before: { missing_from_feed_count: state.missing_from_feed_count },
+          after: { missing_from_feed_count: 0 },
+        });
+      }
+    }
+
+    const missingUpdates = [];
+    let retiredNew = 0; // count of rows flipping to is_retired=true this run
+    for (const [code, state] of retirementState) {
+      if (productCode) break; // single-product run — nothing else was looked for (note 10)
+      if (seenCodes.has(code)) continue; // seen → already reset by upsertChunk / touchUnchanged
+      const newCount = state.missing_from_feed_count + 1;
+      const nowRetired = newCount >= RETIRE_THRESHOLD;
+      if (nowRetired && !state.is_retired) retiredNew += 1;
+      missingUpdates.push({
+        supplier_id: supplierId,
+        supplier_product_code: code,
+        missing_from_feed_count: newCount,
+        is_retired: nowRetired,
+      });
+    }
+
+    if (missingUpdates.length) {
+      log(`[sync] retirement: ${missingUpdates.length} rows missing from feed (${retiredNew} newly retired)`);
+      // Same UPSERT path the catalogue uses, but with a tiny payload
+      // shape: only the two retirement columns + the conflict keys.
+      // PostgREST's merge-duplicates leaves every other column on
+      // each existing row untouched.
+      const retireFailures = [];
+      const reBatches = [];
+      for (let i = 0; i < missingUpdates.length; i += UPSERT_BATCH_SIZE) {
+        reBatches.push(missingUpdates.slice(i, i + UPSERT_BATCH_SIZE));
+      }
+      for (let i = 0; i < reBatches.length; i += 1) {
+        const chunk = reBatches[i];
+        try {
+          await pgRest(
+            'POST',
+            `${supabaseUrl}/rest/v1/supplier_products?on_conflict=supplier_id,supplier_product_code`,
+            serviceRoleKey,
+            {
+              body: chunk,
+              extraHeaders: {
+                Prefer: 'resolution=merge-duplicates,return=minimal',
+              },
+            },
+          );
+        } catch (batchErr) {
+          // Fall back to per-row so a single bad row doesn't drop the chunk.
+          console.warn(`[supplier-sync] retirement batch failed, falling back: ${batchErr.message}`);
+          for (const r of chunk) {
+            try {
+              await pgRest(
+                'POST',
+                `${supabaseUrl}/rest/v1/supplier_products?on_conflict=supplier_id,supplier_product_code`,
+                serviceRoleKey,
+                {
+                  body: [r],
+                  extraHeaders: {
+                    Prefer: 'resolution=merge-duplicates,return=minimal',
+                  },
+                },
+              );
+            } catch (rowErr) {
+              retireFailures.push({
+                job_run_id: runId,
+                supplier_product_code: r.supplier_product_code,
+                reason: 'retirement_update_failed',
+                error_message: rowErr?.message?.slice(0, 1000) ?? 'unknown',
+                raw_snippet: { intended_state: r },
+              });
+            }
+          }
+        }
+      }
+      if (retireFailures.length) {
+        await insertJobFailures({ supabaseUrl, serviceRoleKey, rows: retireFailures });
+      }
+
+      const retireFailedCodes = new Set(retireFailures.map((f) => f.supplier_product_code));
+      for (const r of missingUpdates) {
+        const state = retirementState.get(r.supplier_product_code);
+        if (r.is_retired && !state.is_retired && !retireFailedCodes.has(r.supplier_product_code)) {
+          logChange(r.supplier_product_code, {
+            change_type: 'retired',
+            before: { missing_from_feed_count: state.missing_from_feed_count },
+            after: { missing_from_feed_count: r.missing_from_feed_count },
+          });
+        }
+      }
+    }
+
+    if (changeLog.length) {
+      log(`[sync] change log: ${Object.entries(changeCounts).map(([k, v]) => `${k}=${v}`).join(' ')}`);
+      await insertChangeLog({ supabaseUrl, serviceRoleKey, table: 'supplier_product_changes', rows: changeLog });
+    }
+
+    // 6.6 Supplier price moves (note 9)
+    const priceHistory = [];
+    for (const entry of changeLog) {
+      if (entry.change_type !== 'price') continue;
+      for (const move of supplierPriceMoves(entry.before, entry.after)) {
+        priceHistory.push({
+          job_run_id: runId,
+          supplier_id: supplierId,
+          supplier_product_code: entry.supplier_product_code,
+          ...move,
+        });
+      }
+    }
+    if (priceHistory.length) {
+      const movedCodes = [...new Set(priceHistory.map((h) => h.supplier_product_code))];
+      await insertChangeLog({ supabaseUrl, serviceRoleKey, table: 'supplier_price_history', rows: priceHistory });
+      quotesFlagged = await flagDraftQuotes({ supabaseUrl, serviceRoleKey, codes: movedCodes });
+      priceMoves = movedCodes.length;
+      log(`[sync] supplier price moves: ${priceMoves} products (${priceHistory.length} tiers), ${quotesFlagged ?? '?'} draft quotes flagged`);
+    }
+
+    status = 'completed';
+  } catch (err) {
+    // Infra-level failure (feed network, auth, schema out-of-sync, etc.)
+    errorMessage = err?.message ?? String(err);
+    status = 'failed';
+    console.error(`[supplier-sync] ${supplierSlug} run failed:`, errorMessage);
+  } finally {
+    // 7. Finalise job_runs row — always, never leave it at 'running'
+    const durationMs = Date.now() - runStart;
+    await finaliseJobRun({
+      supabaseUrl,
+      serviceRoleKey,
+      runId,
+      patch: {
+        status,
+        finished_at: new Date().toISOString(),
+        duration_ms: durationMs,
+        products_fetched: fetched,
+        products_inserted: inserted,
+        products_updated: updated,
+        products_failed: failed,
+        error_message: errorMessage,
+        metadata: {
+          adapter: adapter.type,
+          batch_size: UPSERT_BATCH_SIZE,
+          product_code: productCode ?? null,
+          started_iso: new Date(runStart).toISOString(),
+          unchanged_skipped: unchanged,
+          changes: changeCounts,
+          price_moves: priceMoves,
+          quotes_flagged: quotesFlagged,
+        },
+      },
+    }).catch((finalErr) => {
+      // Absolute last-resort — if even finalising fails, still surface to stdout.
+      console.error('[supplier-sync] WARNING: could not finalise job_runs row:', finalErr.message);
+    });
+  }
+
+  return {
+    runId,
+    supplier: supplierSlug,
+    fetched,
+    inserted,
+    updated,
+    unchanged,
+    failed,
+    changes: changeCounts,
+    priceMoves,
+    quotesFlagged,
+    durationMs: Date.now() - runStart,
+    status,
+    errorMessage: errorMessage ?? undefined,
+  };
+}
@@ -0,0 +1,119 @@
+/**
+ * Flat-file feed readers for the generic feed adapter (./feed.js).
+ *
+ * Wholesaler data feeds are overwhelmingly one of two shapes: a CSV export
+ * with a header row, or an XML file of repeated <product> elements with one
+ * child element per field. Both readers return the same thing — an array of
+ * plain { fieldName: stringValue } records — so the adapter's column mapping
+ * doesn't care which format it came from.
+ *
+ * Deliberately small and dependency-free (Vercel functions bundle
+ * scripts/lib/*). Nested XML beyond one level is not interpreted: a child
+ * with its own children is kept as its inner markup string.
+ */
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, "" escapes, CRLF or LF, embedded
+ * newlines inside quotes). First non-empty row is the header.
+ *
+ * @param {string} text
+ * @param {{delimiter?:string}=} opts
+ * @returns {Array<Record<string,string>>}
+ */
+export function parseCsv(text, { delimiter = ',' } = {}) {
+  const src = String(text ?? '').replace(/^\uFEFF/, ''); // Excel exports carry a BOM
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < src.length; i += 1) {
+    const ch = src[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (src[i + 1] === '"') { field += '"'; i += 1; } else inQuotes = false;
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+    if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const nonEmpty = rows.filter((r) => r.some((c) => c.trim() !== ''));
+  if (nonEmpty.length === 0) return [];
+  const header = nonEmpty[0].map((h) => h.trim());
+  return nonEmpty.slice(1).map((cells) => {
+    const rec = {};
+    header.forEach((h, idx) => {
+      if (h) rec[h] = (cells[idx] ?? '').trim();
+    });
+    return rec;
+  });
+}
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeXmlText(s) {
+  const cdata = /^<!\[CDATA\[([\s\S]*)\]\]>$/.exec(s.trim());
+  if (cdata) return cdata[1];
+  return s
+    .replace(/&#x([0-9a-f]+);/gi, (_, h) => String.fromCodePoint(parseInt(h, 16)))
+    .replace(/&#(\d+);/g, (_, d) => String.fromCodePoint(parseInt(d, 10)))
+    .replace(/&(amp|lt|gt|quot|apos);/g, (_, e) => XML_ENTITIES[e])
+    .trim();
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Extract every <recordTag> element as a flat record of its direct child
+ * elements. Attributes on the record element are included too, prefixed
+ * with '@' (e.g. <product sku="A1"> -> { '@sku': 'A1' }).
+ *
+ * @param {string} text
+ * @param {string} recordTag  e.g. 'product'
+ * @returns {Array<Record<string,string>>}
+ */
+export function parseXmlRecords(text, recordTag) {
+  const src = String(text ?? '').replace(/<!--[\s\S]*?-->/g, '');
+  const tag = escapeRegExp(recordTag);
+  const recordRe = new RegExp(`<${tag}(\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'g');
+  const childRe = /<([A-Za-z_][\w.:-]*)(\s[^>]*)?(?:\/>|>([\s\S]*?)<\/\1>)/g;
+  const attrRe = /([A-Za-z_][\w.:-]*)\s*=\s*("([^"]*)"|'([^']*)')/g;
+
+  const out = [];
+  for (const m of src.matchAll(recordRe)) {
+    const rec = {};
+    for (const a of (m[1] || '').matchAll(attrRe)) {
+      rec[`@${a[1]}`] = decodeXmlText(a[3] ?? a[4] ?? '');
+    }
+    for (const c of m[2].matchAll(childRe)) {
+      const value = decodeXmlText(c[3] ?? '');
+      // Repeated children (<image>a</image><image>b</image>) join with '|',
+      // the same separator list columns use in CSV feeds.
+      rec[c[1]] = rec[c[1]] ? `${rec[c[1]]}|${value}` : value;
+    }
+    out.push(rec);
+  }
+  return out;
+}
@@ -0,0 +1,302 @@
+/**
+ * Generic CSV / XML feed adapter — onboard a wholesaler that publishes a
+ * data file instead of a REST API, with configuration instead of code.
+ *
+ * Everything lives in suppliers.adapter_config (jsonb). Example:
+ *
+ *   {
+ *     "format": "csv",                         // 'csv' | 'xml'
+ *     "catalogue_url": "https://feeds.example.com/products.csv",
+ *     "stock_url": "https://feeds.example.com/stock.csv",   // optional
+ *     "delimiter": ",",                         // csv only
+ *     "record_tag": "product",                  // xml only
+ *     "stock_record_tag": "stock",              // xml only
+ *     "auth": { "header": "Authorization", "scheme": "Bearer", "env": "ACME_FEED_TOKEN" },
+ *     "columns": {
+ *       "supplier_product_code": "SKU",
+ *       "name": "Name",
+ *       "description": "Description",
+ *       "category": "Category",
+ *       "minimum_order_qty": "MOQ",
+ *       "carton_qty": "CartonQty",
+ *       "images": "ImageURLs",                  // '|'-separated
+ *       "lead_time_days": "LeadTime"
+ *     },
+ *     "variant_columns": { "item_code": "VariantSKU", "item_colour": "Colour", "item_size": "Size" },
+ *     "price_breaks": [ { "min_qty": 50, "column": "Price50" }, { "min_qty": 250, "column": "Price250" } ],
+ *     "stock_columns": { "product_code": "SKU", "item_code": "VariantSKU", "free": "Available",
+ *                        "due_qty": "DueQty", "due_eta": "DueDate" },
+ *     "delivery": {
+ *       "service": "ukstandard",
+ *       "bands": [ { "cartons": "1", "charge": 9.5 }, { "cartons": "2", "charge": 14 },
+ *                  { "cartons": "3+", "per_carton": 6 } ]
+ *     }
+ *   }
+ *
+ * Rows sharing a product code are one product (one row per colour/size is
+ * the usual CSV layout); each contributes an items[] entry when
+ * variant_columns.item_code is set.
+ *
+ * Delivery bands are written into shipping_charges in the Laltex
+ * ShippingCharge shape, so laltex-delivery.js and every read-time caller
+ * (LaltexProductView, search-products, AVA) price them unchanged.
+ *
+ * Price columns are trade cost; margins are applied by the sync engine
+ * exactly as for Laltex (CLAUDE.md §46). Feeds rarely describe print
+ * positions, so print_details is empty until curated.
+ */
+
+import { parseCsv, parseXmlRecords } from './feed-format.js';
+import { parsePriceString, parseLeadTimeDays } from '../laltex-parser.js';
+import { computeDeliveryForQuantity, DEFAULT_DELIVERY_SERVICE } from '../laltex-delivery.js';
+
+// A stalled feed host fails the run instead of hanging the cron until
+// Vercel kills it (maxDuration 300). Feeds are single whole-catalogue files,
+// so this is generous.
+const FEED_FETCH_TIMEOUT_MS = 120_000;
+
+// Plain-text columns copied straight onto the row when mapped.
+const TEXT_COLUMNS = [
+  'name', 'title', 'description', 'web_description', 'keywords', 'available_colours',
+  'product_dims', 'unit_weight', 'material', 'country_of_origin', 'tariff_code',
+  'category', 'sub_category', 'supplier_division', 'product_indicator',
+  'carton_dims', 'carton_gross_weight',
+];
+
+const LIST_SEPARATOR = '|';
+
+function splitList(value) {
+  if (!value) return [];
+  return String(value).split(LIST_SEPARATOR).map((s) => s.trim()).filter(Boolean);
+}
+
+function parseIntField(value, field, parseErrors) {
+  if (value == null || value === '') return null;
+  const n = parseInt(value, 10);
+  if (Number.isFinite(n)) return n;
+  parseErrors.push({ field, message: `could not parse "${value}" as int` });
+  return null;
+}
+
+/** Config delivery bands -> Laltex ShippingCharge array (see header). */
+function buildShippingCharges(delivery) {
+  const bands = Array.isArray(delivery?.bands) ? delivery.bands : [];
+  if (bands.length === 0) return [];
+  return [{
+    ServiceType: delivery.service || DEFAULT_DELIVERY_SERVICE,
+    Charges: bands.map((b) => ({
+      Carton: String(b.cartons),
+      ShippingCharge: b.charge ?? null,
+      PerCartonCharge: b.per_carton ?? null,
+    })),
+  }];
+}
+
+/**
+ * Price-break columns -> product_pricing tiers. max_qty is the next break's
+ * min_qty - 1; the top break is open-ended (null), matching Laltex "N/A".
+ */
+function buildProductPricing(fields, priceBreaks, parseErrors) {
+  const sorted = [...priceBreaks].sort((a, b) => Number(a.min_qty) - Number(b.min_qty));
+  const tiers = [];
+  sorted.forEach((pb, idx) => {
+    const rawPrice = fields[pb.column];
+    if (rawPrice == null || rawPrice === '') return;
+    const { price, is_poa } = parsePriceString(rawPrice);
+    if (price == null && !is_poa) {
+      parseErrors.push({ field: pb.column, message: `could not parse "${rawPrice}" as a price` });
+      return;
+    }
+    const next = sorted[idx + 1];
+    tiers.push({
+      min_qty: Number(pb.min_qty),
+      max_qty: next ? Number(next.min_qty) - 1 : null,
+      price,
+      is_poa,
+      note: null,
+    });
+  });
+  return tiers;
+}
+
+/**
+ * @param {{slug:string, adapter_config:object|null}} supplier
+ * @returns {import('./index.js').SupplierAdapter}
+ */
+export function createFeedAdapter(supplier) {
+  const cfg = supplier?.adapter_config || {};
+  const format = cfg.format;
+  if (format !== 'csv' && format !== 'xml') {
+    throw new Error(`supplier '${supplier?.slug}': adapter_config.format must be 'csv' or 'xml'`);
+  }
+  if (!cfg.catalogue_url) {
+    throw new Error(`supplier '${supplier.slug}': adapter_config.catalogue_url is required`);
+  }
+  const columns = cfg.columns || {};
+  if (!columns.supplier_product_code || !columns.name) {
+    throw new Error(`supplier '${supplier.slug}': adapter_config.columns needs supplier_product_code and name`);
+  }
+  const variantColumns = cfg.variant_columns || {};
+  const priceBreaks = Array.isArray(cfg.price_breaks) ? cfg.price_breaks : [];
+  const stockColumns = cfg.stock_columns || {};
+  const shippingCharges = buildShippingCharges(cfg.delivery);
+  const authEnv = cfg.auth?.env || null;
+
+  const parse = (text, recordTag) => (format === 'csv'
+    ? parseCsv(text, { delimiter: cfg.delimiter || ',' })
+    : parseXmlRecords(text, recordTag));
+
+  async function download(url, { feedToken }) {
+    const headers = {};
+    if (authEnv) {
+      const header = cfg.auth.header || 'Authorization';
+      headers[header] = cfg.auth.scheme ? `${cfg.auth.scheme} ${feedToken}` : feedToken;
+    }
+    const resp = await fetch(url, {
+      method: 'GET',
+      headers,
+      signal: AbortSignal.timeout(FEED_FETCH_TIMEOUT_MS),
+    });
+    if (!resp.ok) {
+      const body = await resp.text().catch(() => '');
+      throw new Error(`${supplier.slug} feed ${url} -> ${resp.status} ${resp.statusText}: ${body.slice(0, 300)}`);
+    }
+    return resp.text();
+  }
+
+  // The stock file covers every product, so it is downloaded once per
+  // adapter instance (one instance per run) and served per code from memory.
+  // A failed download stays cached too: every code in the run then fails
+  // with the same error instead of re-downloading the file per product.
+  let stockByCode = null;
+  async function loadStock(credentials) {
+    if (!stockByCode) {
+      stockByCode = download(cfg.stock_url, credentials).then((text) => {
+        const byCode = new Map();
+        for (const rec of parse(text, cfg.stock_record_tag || 'stock')) {
+          const code = rec[stockColumns.product_code]?.trim();
+          if (!code) continue;
+          if (!byCode.has(code)) byCode.set(code, []);
+          byCode.get(code).push(rec);
+        }
+        return byCode;
+      });
+    }
+    return stockByCode;
+  }
+
+  return {
+    type: 'feed',
+    label: `${format.toUpperCase()} feed ${cfg.catalogue_url}`,
+    requiredEnv: authEnv ? [authEnv] : [],
+    supportsStock: Boolean(cfg.stock_url && stockColumns.product_code && stockColumns.free),
+
+    credentials: (env) => ({ feedToken: authEnv ? env[authEnv] : null }),
+
+    async fetchCatalogue(credentials) {
+      const started = Date.now();
+      const text = await download(cfg.catalogue_url, credentials);
+      const feedDurationMs = Date.now() - started;
+      // Group variant rows into one raw product per code, preserving feed order.
+      const byCode = new Map();
+      const ungrouped = [];
+      for (const rec of parse(text, cfg.record_tag || 'product')) {
+        const code = rec[columns.supplier_product_code]?.trim();
+        if (!code) {
+          ungrouped.push({ fields: rec, variants: [rec] });
+          continue;
+        }
+        if (!byCode.has(code)) byCode.set(code, { fields: rec, variants: [] });
+        byCode.get(code).variants.push(rec);
+      }
+      return { products: [...byCode.values(), ...ungrouped], feedDurationMs };
+    },
+
+    productCode: (raw) => raw?.fields?.[columns.supplier_product_code] ?? null,
+
+    normaliseProduct(raw) {
+      const parseErrors = [];
+      const fields = raw?.fields;
+      if (!fields || typeof fields !== 'object') {
+        parseErrors.push({ field: 'root', message: 'product is not an object' });
+        return { row: null, parseErrors };
+      }
+
+      const code = fields[columns.supplier_product_code]?.trim() || null;
+      const name = fields[columns.name]?.trim() || null;
+      if (!code) parseErrors.push({ field: columns.supplier_product_code, message: 'missing product code' });
+      if (!name) parseErrors.push({ field: columns.name, message: 'missing product name' });
+      if (!code || !name) return { row: null, parseErrors };
+
+      const row = { supplier_product_code: code };
+      for (const key of TEXT_COLUMNS) {
+        row[key] = columns[key] ? (fields[columns[key]] || null) : null;
+      }
+      row.name = name;
+      row.minimum_order_qty = parseIntField(fields[columns.minimum_order_qty], 'minimum_order_qty', parseErrors);
+      row.carton_qty = parseIntField(fields[columns.carton_qty], 'carton_qty', parseErrors);
+      row.images = splitList(fields[columns.images]);
+      row.plain_images = splitList(fields[columns.plain_images]);
+      row.artwork_templates = [];
+      row.items = variantColumns.item_code
+        ? (raw.variants || [])
+            .filter((v) => v[variantColumns.item_code])
+            .map((v) => ({
+              item_code: v[variantColumns.item_code],
+              item_description: v[variantColumns.item_description] || null,
+              item_colour: v[variantColumns.item_colour] || null,
+              item_size: v[variantColumns.item_size] || null,
+              item_indicator: null,
+              pms: v[variantColumns.pms] || null,
+              seed_type: null,
+              item_images: splitList(v[variantColumns.item_images]),
+              plain_images: [],
+            }))
+        : [];
+      row.product_pricing = buildProductPricing(fields, priceBreaks, parseErrors);
+      row.print_details = [];
+      row.shipping_charges = shippingCharges;
+      row.priority_service = [];
+      // Feeds often give a bare number of days; otherwise reuse the Laltex
+      // "10 working days" parser.
+      const leadTime = fields[columns.lead_time_days]?.trim() || null;
+      row.lead_time_days = leadTime && /^\d+$/.test(leadTime)
+        ? parseInt(leadTime, 10)
+        : parseLeadTimeDays(leadTime);
+      row.express_available = false;
+      row.raw_payload = raw;
+
+      return { row, parseErrors };
+    },
+
+    async fetchStock(credentials, code) {
+      const byCode = await loadStock(credentials);
+      return byCode.get(code) || [];
+    },
+
+    // Same { free, mto?, due_ins? } semantics as Laltex. Feeds have no MTO
+    // marker, so every variant is in stock (free > 0) or out.
+    buildStockMap(records) {
+      const map = {};
+      const counts = { variants: 0, inStock: 0, out: 0, mto: 0 };
+      for (const rec of records) {
+        const itemCode = rec[stockColumns.item_code] || rec[stockColumns.product_code];
+        if (!itemCode) continue;
+        const raw = Number(rec[stockColumns.free]);
+        const free = Number.isFinite(raw) ? Math.max(0, raw) : 0;
+        const entry = { free };
+        const dueQty = Number(rec[stockColumns.due_qty]) || 0;
+        const dueEta = rec[stockColumns.due_eta] || null;
+        if (dueQty > 0 || dueEta) entry.due_ins = [{ qty: dueQty, eta: dueEta }];
+        map[itemCode] = entry;
+        counts.variants += 1;
+        if (free > 0) counts.inStock += 1;
+        else counts.out += 1;
+      }
+      return { map, counts };
+    },
+
+    computeDelivery: (row, quantity, service) =>
+      computeDeliveryForQuantity(row?.shipping_charges, row?.carton_qty, quantity, service),
+  };
+}
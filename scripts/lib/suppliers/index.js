@@ -0,0 +1,116 @@
+/**
+ * Supplier adapter registry.
+ *
+ * The catalogue pipeline (supplier-sync.js, supplier-stock.js,
+ * catalogue-embed.js) is supplier-agnostic. Everything that differs per
+ * wholesaler — where the catalogue comes from, what a product looks like on
+ * the wire, how stock is read, how delivery is priced — sits behind one
+ * adapter object built from the supplier's `suppliers` row:
+ *
+ *   suppliers.adapter         which factory below builds the adapter
+ *   suppliers.adapter_config  jsonb handed to that factory (feed URLs,
+ *                             column mapping, delivery bands, ...)
+ *
+ * See 20261019_supplier_adapters.sql for the columns and
+ * docs/VERCEL_CRON_SETUP.md §8 for onboarding a new supplier.
+ *
+ * Adapter interface (every factory returns this shape):
+ *
+ * @typedef {object} SupplierAdapter
+ * @property {string} type                  factory key ('laltex' | 'feed')
+ * @property {string} label                 human label for logs ("Laltex /v1/products/list")
+ * @property {string[]} requiredEnv         env var names the adapter needs (never the values)
+ * @property {boolean} supportsStock        false when the supplier has no stock source
+ * @property {number=} stockConcurrency     parallel fetchStock calls (per-product APIs only)
+ * @property {(env:object) => object} credentials
+ *   Pick the adapter's secrets out of an env-like object. Passed back into
+ *   fetchCatalogue / fetchStock so adapters never read process.env directly.
+ * @property {(credentials:object) => Promise<{products:Array<object>, feedDurationMs:number}>} fetchCatalogue
+ *   Every raw product record in the supplier's feed.
+ * @property {(raw:object) => (string|null)} productCode
+ *   Best-effort product code of a raw record, for job_failures rows when
+ *   normaliseProduct rejects it.
+ * @property {(raw:object) => {row:object|null, parseErrors:Array<{field:string, message:string}>}} normaliseProduct
+ *   Raw record -> supplier_products row. Never throws; row=null means unusable.
+ *   Rows must NOT carry margin_pct_override / is_core_product / in_stock /
+ *   last_synced_at — those are owned elsewhere (see laltex-parser.js).
+ * @property {(credentials:object, code:string) => Promise<Array<object>>} fetchStock
+ *   Raw stock records for one product's variants.
+ * @property {(records:Array<object>) => {map:object, counts:{variants:number, inStock:number, out:number, mto:number}}} buildStockMap
+ *   Raw stock records -> the supplier_products.stock jsonb
+ *   ({ item_code -> { free, mto?, due_ins? } }, CLAUDE.md §27).
+ * @property {(row:object, quantity:number, service?:string) => number} computeDelivery
+ *   Total delivery (GBP) for a quantity of a normalised row.
+ */
+
+import { createLaltexAdapter } from './laltex.js';
+import { createFeedAdapter } from './feed.js';
+
+const ADAPTER_FACTORIES = {
+  laltex: createLaltexAdapter,
+  feed: createFeedAdapter,
+};
+
+/** Adapter types a suppliers.adapter value may name. */
+export function listAdapterTypes() {
+  return Object.keys(ADAPTER_FACTORIES);
+}
+
+/**
+ * Build the adapter for a suppliers row.
+ *
+ * @param {{slug:string, adapter:string|null, adapter_config:object|null, api_base_url:string|null}} supplier
+ * @returns {SupplierAdapter}
+ */
+export function createSupplierAdapter(supplier) {
+  const type = supplier?.adapter;
+  if (!type) {
+    throw new Error(`supplier '${supplier?.slug}' has no adapter configured (suppliers.adapter is NULL)`);
+  }
+  const factory = ADAPTER_FACTORIES[type];
+  if (!factory) {
+    throw new Error(`supplier '${supplier.slug}': unknown adapter '${type}' (expected one of ${listAdapterTypes().join(', ')})`);
+  }
+  return factory(supplier);
+}
+
+/**
+ * Names from adapter.requiredEnv that are unset in `env`. Callers merge
+ * these into their own "Missing required env vars" response.
+ */
+export function missingAdapterEnv(adapter, env) {
+  return adapter.requiredEnv.filter((name) => !env?.[name]);
+}
+
+/**
+ * Read one suppliers row by slug via PostgREST (service role) and build its
+ * adapter. Inactive suppliers are refused so a paused feed can't be synced
+ * by a stale cron entry.
+ *
+ * @returns {Promise<{supplier:object, adapter:SupplierAdapter}>}
+ */
+export async function loadSupplierAdapter({ supabaseUrl, serviceRoleKey, supplierSlug }) {
+  const url = `${supabaseUrl}/rest/v1/suppliers` +
+    `?slug=eq.${encodeURIComponent(supplierSlug)}` +
+    `&select=id,name,slug,api_base_url,is_active,adapter,adapter_config`;
+  const resp = await fetch(url, {
+    headers: {
+      apikey: serviceRoleKey,
+      Authorization: `Bearer ${serviceRoleKey}`,
+      Accept: 'application/json',
+    },
+  });
+  const text = await resp.text();
+  if (!resp.ok) {
+    throw new Error(`PostgREST GET suppliers -> ${resp.status}: ${text.slice(0, 500)}`);
+  }
+  const rows = text ? JSON.parse(text) : [];
+  const supplier = Array.isArray(rows) ? rows[0] : null;
+  if (!supplier?.id) {
+    throw new Error(`suppliers row for slug='${supplierSlug}' not found`);
+  }
+  if (supplier.is_active === false) {
+    throw new Error(`supplier '${supplierSlug}' is inactive (suppliers.is_active = false)`);
+  }
+  return { supplier, adapter: createSupplierAdapter(supplier) };
+}
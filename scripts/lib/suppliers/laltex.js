@@ -0,0 +1,126 @@
+/**
+ * Laltex adapter — the trade REST API (https://auto.laltex.com/trade/api).
+ *
+ * Catalogue: GET /v1/products/list (one call, whole feed).
+ * Stock:     GET /stocks/{code}     (one call per product, NO /v1/ prefix —
+ *            the PR #81 step-0 mistake; see audit-laltex-stock-availability.md).
+ * Auth:      API_KEY header (not Bearer), value from LALTEX_API_KEY.
+ *
+ * Parsing stays in laltex-parser.js and delivery in laltex-delivery.js; this
+ * module only binds them to the adapter interface in ./index.js.
+ */
+
+import { normaliseProduct, unwrapFeedResponse } from '../laltex-parser.js';
+import { computeDeliveryForQuantity } from '../laltex-delivery.js';
+
+export const LALTEX_BASE = 'https://auto.laltex.com/trade/api';
+const LALTEX_LIST_PATH = '/v1/products/list';
+const STOCK_PATH = (code) => `/stocks/${encodeURIComponent(code)}`;
+
+// ~1194 products at ~130 ms/call on Vercel (prod latency ~1.7x local,
+// CLAUDE.md §28.2): concurrency 8 finishes in well under a minute,
+// comfortably inside the 300 s function budget.
+const STOCK_CONCURRENCY = 8;
+
+export async function fetchCatalogue({ laltexApiKey, baseUrl = LALTEX_BASE, path = LALTEX_LIST_PATH }) {
+  const url = `${baseUrl}${path}`;
+  const started = Date.now();
+  const resp = await fetch(url, {
+    method: 'GET',
+    headers: {
+      API_KEY: laltexApiKey,
+      Accept: 'application/json',
+    },
+  });
+  const durationMs = Date.now() - started;
+  if (!resp.ok) {
+    const body = await resp.text().catch(() => '');
+    throw new Error(`Laltex ${url} -> ${resp.status} ${resp.statusText}: ${body.slice(0, 300)}`);
+  }
+  const data = await resp.json();
+  const products = unwrapFeedResponse(data);
+  return { products, feedDurationMs: durationMs };
+}
+
+export async function fetchStock({ laltexApiKey, code, baseUrl = LALTEX_BASE }) {
+  const url = `${baseUrl}${STOCK_PATH(code)}`;
+  const resp = await fetch(url, {
+    method: 'GET',
+    headers: { API_KEY: laltexApiKey, Accept: 'application/json' },
+  });
+  if (!resp.ok) {
+    const body = await resp.text().catch(() => '');
+    throw new Error(`Laltex stocks/${code} -> ${resp.status} ${resp.statusText}: ${body.slice(0, 200)}`);
+  }
+  const text = await resp.text();
+  if (!text) return []; // some products legitimately return an empty body
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error(`Laltex stocks/${code}: non-JSON body`);
+  }
+  // Live API returns a bare array; the PDF sample wraps in { value: [...] }.
+  if (Array.isArray(data)) return data;
+  if (Array.isArray(data?.value)) return data.value;
+  return [];
+}
+
+/**
+ * Build the { item_code -> { free, mto?, due_ins? } } map for one product's
+ * variant array. Returns { map, counts } where counts feeds run metadata.
+ *
+ * FreeStock semantics (DO NOT get these wrong):
+ *   FreeStock  >  0  -> in stock (that many)
+ *   FreeStock === 0  -> out of stock now (check due_ins for an ETA)
+ *   FreeStock === -1 -> Made To Order: available on a longer lead time.
+ *                       NEVER "out of stock". Stored as { mto: true }.
+ */
+export function buildStockMap(stockArray) {
+  const map = {};
+  const counts = { variants: 0, inStock: 0, out: 0, mto: 0 };
+  for (const obj of stockArray) {
+    const itemCode = obj?.ProductCode;
+    if (!itemCode) continue;
+    const raw = Number(obj?.FreeStock);
+    const free = Number.isFinite(raw) ? raw : 0;
+    const mto = free === -1;
+    const entry = { free };
+    if (mto) entry.mto = true;
+    const dueIns = Array.isArray(obj?.DueIns)
+      ? obj.DueIns
+          .map((d) => ({ qty: Number(d?.DueInQty) || 0, eta: d?.DueInETA || null }))
+          .filter((d) => d.qty > 0 || d.eta)
+      : [];
+    if (dueIns.length) entry.due_ins = dueIns;
+    map[itemCode] = entry;
+    counts.variants += 1;
+    if (mto) counts.mto += 1;
+    else if (free > 0) counts.inStock += 1;
+    else counts.out += 1;
+  }
+  return { map, counts };
+}
+
+/**
+ * @param {{api_base_url:string|null}} supplier
+ * @returns {import('./index.js').SupplierAdapter}
+ */
+export function createLaltexAdapter(supplier) {
+  const baseUrl = supplier?.api_base_url || LALTEX_BASE;
+  return {
+    type: 'laltex',
+    label: `Laltex ${LALTEX_LIST_PATH}`,
+    requiredEnv: ['LALTEX_API_KEY'],
+    supportsStock: true,
+    stockConcurrency: STOCK_CONCURRENCY,
+    credentials: (env) => ({ laltexApiKey: env.LALTEX_API_KEY }),
+    fetchCatalogue: ({ laltexApiKey }) => fetchCatalogue({ laltexApiKey, baseUrl }),
+    productCode: (raw) => raw?.ProductCode ?? null,
+    normaliseProduct,
+    fetchStock: ({ laltexApiKey }, code) => fetchStock({ laltexApiKey, code, baseUrl }),
+    buildStockMap,
+    computeDelivery: (row, quantity, service) =>
+      computeDeliveryForQuantity(row?.shipping_charges, row?.carton_qty, quantity, service),
+  };
+}
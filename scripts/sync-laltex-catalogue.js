@@ -73,12 +73,16 @@ async function main() {
   console.log(`  fetched        : ${result.fetched}`);
   console.log(`  inserted       : ${result.inserted}`);
   console.log(`  updated        : ${result.updated}`);
+  console.log(`  unchanged      : ${result.unchanged}`);
+  console.log(`  price_moves    : ${result.priceMoves} (draft quotes flagged: ${result.quotesFlagged ?? 'error'})`);
   console.log(`  failed         : ${result.failed}`);
   console.log(`  duration_ms    : ${result.durationMs}`);
   if (result.errorMessage) console.log(`  error_message  : ${result.errorMessage}`);
   console.log('');
   console.log('  To inspect failures:');
   console.log(`    SELECT reason, COUNT(*) FROM job_failures WHERE job_run_id = '${result.runId}' GROUP BY reason;`);
+  console.log('  To inspect what changed:');
+  console.log(`    SELECT change_type, COUNT(*) FROM supplier_product_changes WHERE job_run_id = '${result.runId}' GROUP BY change_type;`);
   console.log('');
 
   if (result.status !== 'completed') process.exit(1);
@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+/**
+ * sync-supplier-stock.js — local CLI runner for any supplier's stock refresh.
+ *
+ * Thin wrapper around syncStock() in lib/supplier-stock.js. Loads env,
+ * prints progress, exits 0/1. sync-laltex-stock.js is the same run pinned
+ * to Laltex.
+ *
+ * Usage:
+ *   node scripts/sync-supplier-stock.js --supplier=laltex
+ *   node scripts/sync-supplier-stock.js --supplier=acme --concurrency=4
+ *   node scripts/sync-supplier-stock.js --supplier=acme --max-failures=50
+ *
+ * Env required in site/.env:
+ *   VITE_SUPABASE_URL          — Supabase PostgREST base URL
+ *   SUPABASE_SERVICE_ROLE_KEY  — server-side key, RLS-bypassing
+ *   + the adapter's own vars (LALTEX_API_KEY, adapter_config.auth.env, …)
+ *
+ * Exit codes:
+ *   0  — status='completed' AND products_failed < MAX_FAILURES
+ *   1  — status='failed' OR products_failed >= MAX_FAILURES
+ */
+
+/* global process */
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import dotenv from 'dotenv';
+
+import { syncStock } from './lib/supplier-stock.js';
+import { loadSupplierAdapter, missingAdapterEnv } from './lib/suppliers/index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+const DEFAULT_MAX_FAILURES = 100;
+
+function parseArgs(argv) {
+  const out = { maxFailures: DEFAULT_MAX_FAILURES, concurrency: undefined, supplier: null };
+  for (const a of argv.slice(2)) {
+    let m = /^--max-failures=(\d+)$/.exec(a);
+    if (m) { out.maxFailures = parseInt(m[1], 10); continue; }
+    m = /^--concurrency=(\d+)$/.exec(a);
+    if (m) { out.concurrency = parseInt(m[1], 10); continue; }
+    m = /^--supplier=([a-z0-9-]+)$/.exec(a);
+    if (m) { out.supplier = m[1]; continue; }
+  }
+  return out;
+}
+
+async function main() {
+  const args = parseArgs(process.argv);
+  if (!args.supplier) {
+    console.error('[stock] --supplier=<suppliers.slug> is required');
+    process.exit(1);
+  }
+
+  const supabaseUrl = process.env.VITE_SUPABASE_URL;
+  const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+  const missing = [];
+  if (!supabaseUrl) missing.push('VITE_SUPABASE_URL');
+  if (!serviceRoleKey) missing.push('SUPABASE_SERVICE_ROLE_KEY');
+  if (missing.length) {
+    console.error(`[stock] missing env vars in site/.env: ${missing.join(', ')}`);
+    process.exit(1);
+  }
+
+  const { adapter } = await loadSupplierAdapter({ supabaseUrl, serviceRoleKey, supplierSlug: args.supplier });
+  const missingAdapter = missingAdapterEnv(adapter, process.env);
+  if (missingAdapter.length) {
+    console.error(`[stock] missing env vars in site/.env for ${args.supplier}: ${missingAdapter.join(', ')}`);
+    process.exit(1);
+  }
+
+  console.log(`[stock] starting live-stock refresh for ${args.supplier}`);
+
+  const result = await syncStock({
+    supplierSlug: args.supplier,
+    env: process.env,
+    supabaseUrl,
+    serviceRoleKey,
+    triggeredBy: 'cli',
+    concurrency: args.concurrency,
+  });
+
+  console.log('');
+  console.log('[stock] RESULT');
+  console.log(`  supplier     : ${result.supplier}`);
+  console.log(`  run_id       : ${result.runId}`);
+  console.log(`  status       : ${result.status}`);
+  console.log(`  fetched      : ${result.fetched}`);
+  console.log(`  updated      : ${result.updated}`);
+  console.log(`  failed       : ${result.failed}`);
+  console.log(`  not_found    : ${result.notFound ?? 0}`);
+  console.log(`  duration_ms  : ${result.durationMs}`);
+  if (result.errorMessage) console.log(`  error_message: ${result.errorMessage}`);
+  console.log('');
+  console.log('  To inspect failures:');
+  console.log(`    SELECT reason, COUNT(*) FROM job_failures WHERE job_run_id = '${result.runId}' GROUP BY reason;`);
+  console.log('');
+
+  if (result.status !== 'completed') process.exit(1);
+  if (result.failed >= args.maxFailures) {
+    console.error(`[stock] failure count ${result.failed} >= threshold ${args.maxFailures} — exit 1`);
+    process.exit(1);
+  }
+}
+
+main().catch((err) => {
+  console.error('[stock] UNCAUGHT:', err);
+  process.exit(1);
+});
@@ -19,6 +19,7 @@ import AdminSeedData from './pages/AdminSeedData';
 import OrderConfirmation from './pages/OrderConfirmation';
 import ResetPassword from './pages/ResetPassword';
 import AuthCallback from './pages/AuthCallback';
+import ReminderOptOut from './pages/ReminderOptOut';
 import HeaderBar from './components/HeaderBar';
 import ScrollToTop from './components/ScrollToTop';
 import { AuthProvider } from './context/AuthContext';
@@ -33,7 +34,9 @@ import CustomerOrders from './pages/account/CustomerOrders';
 import CustomerOrderDetail from './pages/account/CustomerOrderDetail';
 import CustomerQuotes from './pages/account/CustomerQuotes';
 import CustomerDesigns from './pages/account/CustomerDesigns';
+import CustomerBulkMockups from './pages/account/CustomerBulkMockups';
 import CustomerAddresses from './pages/account/CustomerAddresses';
+import CustomerCompany from './pages/account/CustomerCompany';
 import CustomerSettings from './pages/account/CustomerSettings';
 
 // Dynamic Catalog Category Pages
@@ -52,6 +55,9 @@ import CablesCategory from './pages/categories/CablesCategory';
 // Dynamic Product Detail
 import ProductDetail from './pages/ProductDetail';
 
+// Catalogue Search
+import SearchResults from './pages/SearchResults';
+
 // Admin Components
 import AdminGuard from './components/admin/AdminGuard';
 import AdminDashboard from './pages/admin/AdminDashboard';
@@ -61,6 +67,10 @@ import AdminCustomers from './pages/admin/AdminCustomers';
 import AdminCustomerDetail from './pages/admin/AdminCustomerDetail';
 import AdminTeam from './pages/admin/AdminTeam';
 import AdminSettings from './pages/admin/AdminSettings';
+import AdminPromotions from './pages/admin/AdminPromotions';
+import AdminCatalogueChanges from './pages/admin/AdminCatalogueChanges';
+import AdminCuration from './pages/admin/AdminCuration';
+import AdminJobs from './pages/admin/AdminJobs';
 import AdminPricing from './pages/AdminPricing';
 
 function App() {
@@ -79,6 +89,9 @@ function App() {
                 supplier_products.supplier_product_code. */}
             <Route path="/products/:identifier" element={<ProductDetail />} />
 
+            {/* Public catalogue search (header search box) */}
+            <Route path="/search" element={<SearchResults />} />
+
             {/* Dynamic Product Detail Routes - Must come BEFORE category routes */}
             <Route path="/bags/:productSlug" element={<ProductDetail />} />
             <Route path="/cups/:productSlug" element={<ProductDetail />} />
@@ -131,7 +144,9 @@ function App() {
             <Route path="/account/orders/:id" element={<CustomerGuard><CustomerOrderDetail /></CustomerGuard>} />
             <Route path="/account/quotes" element={<CustomerGuard><CustomerQuotes /></CustomerGuard>} />
             <Route path="/account/designs" element={<CustomerGuard><CustomerDesigns /></CustomerGuard>} />
+            <Route path="/account/designs/bulk" element={<CustomerGuard><CustomerBulkMockups /></CustomerGuard>} />
             <Route path="/account/addresses" element={<CustomerGuard><CustomerAddresses /></CustomerGuard>} />
+            <Route path="/account/company" element={<CustomerGuard><CustomerCompany /></CustomerGuard>} />
             <Route path="/account/settings" element={<CustomerGuard><CustomerSettings /></CustomerGuard>} />
 
             {/* Admin - Protected Routes */}
@@ -141,7 +156,11 @@ function App() {
             <Route path="/admin/customers" element={<AdminGuard><AdminCustomers /></AdminGuard>} />
             <Route path="/admin/customers/:id" element={<AdminGuard><AdminCustomerDetail /></AdminGuard>} />
             <Route path="/admin/products" element={<AdminGuard><ProductManager /></AdminGuard>} />
+            <Route path="/admin/catalogue-changes" element={<AdminGuard><AdminCatalogueChanges /></AdminGuard>} />
+            <Route path="/admin/curation" element={<AdminGuard><AdminCuration /></AdminGuard>} />
+            <Route path="/admin/jobs" element={<AdminGuard><AdminJobs /></AdminGuard>} />
             <Route path="/admin/pricing" element={<AdminGuard><AdminPricing /></AdminGuard>} />
+            <Route path="/admin/promotions" element={<AdminGuard><AdminPromotions /></AdminGuard>} />
             <Route path="/admin/team" element={<AdminGuard><AdminTeam /></AdminGuard>} />
             <Route path="/admin/settings" element={<AdminGuard><AdminSettings /></AdminGuard>} />
             <Route path="/admin/seed-data" element={<AdminGuard><AdminSeedData /></AdminGuard>} />
@@ -157,6 +176,9 @@ function App() {
                 flow: the client parses the #access_token hash, AuthCallback
                 confirms and forwards to /account. See audit-email-verification-flow.md. */}
             <Route path="/auth/callback" element={<AuthCallback />} />
+
+            {/* Reminder-email unsubscribe — public, the token is the credential. */}
+            <Route path="/reminders/opt-out" element={<ReminderOptOut />} />
           </Routes>
           <Cart />
           <AIChatWidget />
@@ -21,6 +21,12 @@
 //                 quota on the backend).
 // Re-opening from minimise scrolls to the bottom of the preserved
 // conversation. Re-opening from close shows the empty hint.
+//
+// Replies stream over Server-Sent Events (`stream: true`, see the
+// header of api/ai/chat.js): text appears as it's generated, tool calls
+// show a progress line ("Searching products…"), and product cards land
+// as soon as each search returns. The final `done` event carries the
+// same body as the JSON endpoint and replaces the streamed draft.
 
 import { cloneElement, useEffect, useRef, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
@@ -56,6 +62,34 @@ async function getVisitorId() {
   }
 }
 
+// Minimal SSE reader for a fetch() body. Calls onEvent(name, data) per
+// complete event; tolerates events split across network chunks.
+async function readEventStream(body, onEvent) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    let sep;
+    while ((sep = buffer.indexOf('\n\n')) !== -1) {
+      const raw = buffer.slice(0, sep);
+      buffer = buffer.slice(sep + 2);
+      let name = 'message';
+      const dataLines = [];
+      for (const line of raw.split('\n')) {
+        if (line.startsWith('event:')) name = line.slice(6).trim();
+        else if (line.startsWith('data:')) dataLines.push(line.slice(5).trimStart());
+      }
+      if (dataLines.length === 0) continue;
+      let data;
+      try { data = JSON.parse(dataLines.join('\n')); } catch { continue; }
+      onEvent(name, data);
+    }
+  }
+}
+
 async function getSupabaseAccessToken() {
   try {
     const { data } = await supabase.auth.getSession();
@@ -72,6 +106,9 @@ export default function AIChatWidget() {
   const [messages, setMessages] = useState([]); // [{ role, content, tool_calls? }]
   const [input, setInput] = useState('');
   const [sending, setSending] = useState(false);
+  // Progress line for the in-flight turn ("Searching products…"). Null
+  // falls back to the generic "thinking…" indicator.
+  const [streamStatus, setStreamStatus] = useState(null);
   const [conversationId, setConversationId] = useState(null);
   const [quotaStatus, setQuotaStatus] = useState(null);
   const [error, setError] = useState(null);
@@ -172,44 +209,101 @@ export default function AIChatWidget() {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          Accept: 'text/event-stream',
           ...(accessToken ? { Authorization: `Bearer ${accessToken}` } : {}),
         },
         body: JSON.stringify({
           conversation_id: conversationId,
           message: text,
           visitor_id: visitorId,
+          stream: true,
         }),
       });
 
-      const data = await resp.json().catch(() => ({}));
-      if (!resp.ok) {
+      // Pre-stream failures (validation, identity, env) come back as
+      // plain JSON with an error status.
+      const isStream = (resp.headers.get('content-type') || '').includes('text/event-stream');
+      if (!resp.ok || !isStream || !resp.body) {
+        const data = await resp.json().catch(() => ({}));
         setError(data?.error ?? `Request failed (${resp.status})`);
         return;
       }
-      setConversationId(data.conversation_id);
-      setQuotaStatus(data.quota_status ?? null);
-      setMessages((m) => [
-        ...m,
-        {
-          role: 'assistant',
-          content: data?.message?.content ?? '(no response)',
-          tool_calls: data?.message?.tool_calls ?? [],
-          // Pagination contract (CLAUDE.md §55):
-          //   `products`           = rendered now (server-sent first batch of 5).
-          //   `products_remainder` = revealed in batches of 5 on "Show me more"
-          //                          click. Pre-loaded — no follow-up tool call.
-          //   Each message holds its own pagination state so customers can
-          //   scroll back to an earlier result set and keep expanding it.
-          products: Array.isArray(data?.products) ? data.products : [],
-          products_remainder: Array.isArray(data?.products_remainder)
-            ? data.products_remainder
-            : [],
-        },
-      ]);
+
+      // The streamed draft is appended on the first text / products
+      // event and patched in place until `done` replaces it.
+      let draftAdded = false;
+      const patchDraft = (patch) => {
+        // Decided outside the updater: Strict Mode runs updaters twice.
+        const isNew = !draftAdded;
+        draftAdded = true;
+        setMessages((m) => {
+          if (isNew) {
+            return [...m, { role: 'assistant', content: '', tool_calls: [], products: [], products_remainder: [], streaming: true, ...patch(null) }];
+          }
+          const last = m[m.length - 1];
+          return [...m.slice(0, -1), { ...last, ...patch(last) }];
+        });
+      };
+
+      let finished = false;
+      await readEventStream(resp.body, (event, data) => {
+        if (event === 'conversation') {
+          setConversationId(data.conversation_id);
+        } else if (event === 'text') {
+          setStreamStatus(null);
+          patchDraft((last) => ({ content: (last?.content ?? '') + data.delta }));
+        } else if (event === 'tool_start') {
+          setStreamStatus(data.label);
+          // Keep pre-tool prose ("Let me look…") apart from the answer
+          // that streams after the tool returns.
+          if (draftAdded) {
+            patchDraft((last) => ({
+              content: last?.content && !last.content.endsWith('\n\n') ? `${last.content}\n\n` : (last?.content ?? ''),
+            }));
+          }
+        } else if (event === 'products') {
+          // Provisional cards — `done` re-orders them (mentioned-first)
+          // and splits off products_remainder.
+          const incoming = Array.isArray(data.products) ? data.products.slice(0, 5) : [];
+          patchDraft((last) => {
+            const seen = new Set((last?.products ?? []).map((p) => p.supplier_product_code));
+            const merged = [...(last?.products ?? []), ...incoming.filter((p) => !seen.has(p.supplier_product_code))];
+            return { products: merged.slice(0, 5) };
+          });
+        } else if (event === 'done') {
+          finished = true;
+          setConversationId(data.conversation_id);
+          setQuotaStatus(data.quota_status ?? null);
+          patchDraft(() => ({
+            content: data?.message?.content ?? '(no response)',
+            tool_calls: data?.message?.tool_calls ?? [],
+            // Pagination contract (CLAUDE.md §55):
+            //   `products`           = rendered now (server-sent first batch of 5).
+            //   `products_remainder` = revealed in batches of 5 on "Show me more"
+            //                          click. Pre-loaded — no follow-up tool call.
+            //   Each message holds its own pagination state so customers can
+            //   scroll back to an earlier result set and keep expanding it.
+            products: Array.isArray(data?.products) ? data.products : [],
+            products_remainder: Array.isArray(data?.products_remainder)
+              ? data.products_remainder
+              : [],
+            streaming: false,
+          }));
+        } else if (event === 'error') {
+          finished = true;
+          setError(data?.error ?? 'Request failed');
+          if (draftAdded) patchDraft(() => ({ streaming: false }));
+        }
+      });
+      if (!finished) {
+        setError('Connection interrupted — please try again.');
+        if (draftAdded) patchDraft(() => ({ streaming: false }));
+      }
     } catch (err) {
       setError(err?.message ?? 'Network error');
     } finally {
       setSending(false);
+      setStreamStatus(null);
     }
   };
 
@@ -368,10 +462,10 @@ export default function AIChatWidget() {
             })}
             {/* Typing indicator is an assistant-style message; give it the
                 same Ava avatar + row treatment so it reads consistently. */}
-            {sending && (
+            {sending && (streamStatus || !messages[messages.length - 1]?.streaming) && (
               <div style={asstRowStyle}>
                 <img src={AVA_AVATAR_SRC} alt="Ava" loading="lazy" style={msgAvatarStyle} />
-                <div style={asstBubbleStyle}><em>thinking…</em></div>
+                <div style={asstBubbleStyle}><em>{streamStatus || 'thinking…'}</em></div>
               </div>
             )}
             {error && <div style={errorStyle}>{error}</div>}
@@ -1,7 +1,9 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { createPortal } from 'react-dom';
 import { X, Upload, FileImage, Trash2, CheckCircle, AlertCircle, Loader, Info } from 'lucide-react';
-import { uploadOrderArtwork, getOrderArtwork, deleteOrderArtwork, getArtworkSignedUrl } from '../services/supabaseService';
+import { uploadOrderArtwork, getOrderArtwork, deleteOrderArtwork, getArtworkSignedUrl, getOrderPrintTargets } from '../services/supabaseService';
+import { preflightArtwork } from '../utils/fileValidation';
+import PreflightReport from './PreflightReport';
 
 const ACCEPTED_TYPES = {
   'image/jpeg': 'JPG',
@@ -56,12 +58,29 @@ const ArtworkUploadModal = ({ order, user, onClose, onUploaded }) => {
   // before a file can be accepted. Pantone additionally requires text.
   const [colourType, setColourType] = useState('');
   const [pantoneText, setPantoneText] = useState('');
+  // Print positions on the order (order_items.print_areas). The chosen one
+  // sizes the preflight DPI check; '' = not sure, checked without a size.
+  const [printTargets, setPrintTargets] = useState([]);
+  const [targetIndex, setTargetIndex] = useState('');
+  const [checking, setChecking] = useState(false);
+  // Preflight report of the file just uploaded: { fileName, report }.
+  const [lastPreflight, setLastPreflight] = useState(null);
   const fileInputRef = useRef(null);
 
   useEffect(() => {
     loadExistingArtwork();
   }, [order.id]);
 
+  useEffect(() => {
+    let cancelled = false;
+    getOrderPrintTargets(order.id).then(({ data }) => {
+      if (cancelled) return;
+      setPrintTargets(data);
+      setTargetIndex(data.length ? '0' : '');
+    });
+    return () => { cancelled = true; };
+  }, [order.id]);
+
   // Trap focus / close on Escape
   useEffect(() => {
     const handleKey = (e) => { if (e.key === 'Escape') onClose(); };
@@ -102,7 +121,7 @@ const ArtworkUploadModal = ({ order, user, onClose, onUploaded }) => {
   };
 
   const handleFiles = useCallback(async (files) => {
-    if (uploading) return;
+    if (uploading || checking) return;
     const file = files[0];
     if (!file) return;
 
@@ -128,6 +147,15 @@ const ArtworkUploadModal = ({ order, user, onClose, onUploaded }) => {
 
     setUploadError(null);
     setUploadSuccess(false);
+    setLastPreflight(null);
+
+    // Preflight never blocks the upload — the report goes to the customer
+    // now and to staff on the artwork row.
+    setChecking(true);
+    const target = targetIndex === '' ? null : printTargets[Number(targetIndex)];
+    const preflight = await preflightArtwork(file, target);
+    setChecking(false);
+
     setUploading(true);
     setUploadProgress(10);
 
@@ -136,7 +164,7 @@ const ArtworkUploadModal = ({ order, user, onClose, onUploaded }) => {
       setUploadProgress(prev => Math.min(prev + 15, 85));
     }, 400);
 
-    const { data, error } = await uploadOrderArtwork(order.id, user.id, file, notes);
+    const { error } = await uploadOrderArtwork(order.id, user.id, file, notes, preflight);
 
     clearInterval(progressInterval);
     setUploadProgress(100);
@@ -146,12 +174,13 @@ const ArtworkUploadModal = ({ order, user, onClose, onUploaded }) => {
       setUploadError(error.message || 'Upload failed. Please try again.');
     } else {
       setUploadSuccess(true);
+      setLastPreflight({ fileName: file.name, report: preflight });
       await loadExistingArtwork();
       onUploaded?.();
       // Clear success after a moment
       setTimeout(() => setUploadProgress(0), 800);
     }
-  }, [uploading, order.id, user.id, onUploaded, colourType, pantoneText]);
+  }, [uploading, checking, order.id, user.id, onUploaded, colourType, pantoneText, targetIndex, printTargets]);
 
   const handleDrop = (e) => {
     e.preventDefault();
@@ -252,10 +281,10 @@ const ArtworkUploadModal = ({ order, user, onClose, onUploaded }) => {
               onDrop={handleDrop}
               onDragOver={handleDragOver}
               onDragLeave={handleDragLeave}
-              onClick={() => !uploading && fileInputRef.current?.click()}
+              onClick={() => !uploading && !checking && fileInputRef.current?.click()}
               className={`relative border-2 border-dashed rounded-xl p-8 text-center cursor-pointer transition-all
                 ${dragOver ? 'border-blue-500 bg-blue-50' : 'border-gray-300 hover:border-blue-400 hover:bg-gray-50'}
-                ${uploading ? 'pointer-events-none opacity-75' : ''}
+                ${uploading || checking ? 'pointer-events-none opacity-75' : ''}
               `}
             >
               <input
@@ -266,7 +295,12 @@ const ArtworkUploadModal = ({ order, user, onClose, onUploaded }) => {
                 className="hidden"
               />
 
-              {uploading ? (
+              {checking ? (
+                <div className="space-y-3">
+                  <Loader className="h-10 w-10 text-blue-500 mx-auto animate-spin" />
+                  <p className="text-sm font-medium text-gray-700">Checking your file…</p>
+                </div>
+              ) : uploading ? (
                 <div className="space-y-3">
                   <Loader className="h-10 w-10 text-blue-500 mx-auto animate-spin" />
                   <p className="text-sm font-medium text-gray-700">Uploading…</p>
@@ -306,6 +340,17 @@ const ArtworkUploadModal = ({ order, user, onClose, onUploaded }) => {
                 <p className="text-sm text-green-700 font-medium">Artwork uploaded successfully!</p>
               </div>
             )}
+            {lastPreflight && (
+              <div className="mt-3">
+                <PreflightReport report={lastPreflight.report} />
+                {lastPreflight.report.status !== 'pass' && (
+                  <p className="text-xs text-gray-500 mt-2">
+                    {lastPreflight.fileName} has been uploaded. Our team will review it — if you have a better
+                    version, upload it too and delete this one.
+                  </p>
+                )}
+              </div>
+            )}
           </div>
 
           {/* Colour Specification — mandatory before new uploads */}
@@ -353,6 +398,26 @@ const ArtworkUploadModal = ({ order, user, onClose, onUploaded }) => {
             </div>
           </div>
 
+          {/* Print Position — sizes the resolution check */}
+          {printTargets.length > 0 && (
+            <div>
+              <h3 className="text-sm font-semibold text-gray-700 mb-3">Print Position</h3>
+              <select
+                value={targetIndex}
+                onChange={(e) => setTargetIndex(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                {printTargets.map((t, i) => (
+                  <option key={i} value={String(i)}>
+                    {[t.product_name, t.position, t.area].filter(Boolean).join(' — ')}
+                  </option>
+                ))}
+                <option value="">Not sure / other</option>
+              </select>
+              <p className="text-xs text-gray-500 mt-1">We check your file&apos;s resolution at this print size.</p>
+            </div>
+          )}
+
           {/* Existing Artwork */}
           <div>
             <h3 className="text-sm font-semibold text-gray-700 mb-3">Uploaded Files</h3>
@@ -412,6 +477,7 @@ const ArtworkUploadModal = ({ order, user, onClose, onUploaded }) => {
                       {artwork.notes && (
                         <p className="text-xs text-gray-500 mt-1 italic">{artwork.notes}</p>
                       )}
+                      <PreflightReport report={artwork.preflight} compact />
                     </div>
 
                     <div className="flex items-center gap-2 flex-shrink-0">
@@ -0,0 +1,277 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Briefcase, Plus, Loader, X, Type } from 'lucide-react';
+import {
+  getBrandAssets,
+  addBrandLogo,
+  addBrandSwatch,
+  deleteBrandAsset,
+  loadBrandLogoDataURL,
+} from '../services/supabaseService';
+import { BRAND_FONTS, BRAND_LOGO_TYPES } from '../utils/brandAssets';
+
+/**
+ * BrandKitPanel — the customer's brand kit (brand_assets,
+ * 20261019_brand_assets.sql) as a designer sidebar card, shared by Designer
+ * and DesignerV2. Company members see one shared kit.
+ *
+ * One click places a logo / applies a colour or font; the designer owns the
+ * canvas side through the callbacks. Logos are handed over as data URLs so
+ * they embed in design_data exactly like an uploaded image.
+ *
+ * @param {object}   user           - signed-in user, or null
+ * @param {function} onPlaceLogo    - (dataUrl, asset) => void
+ * @param {function} onApplyColour  - (hex) => void — selected object, else next text
+ * @param {function} onApplyFont    - (family) => void
+ * @param {function} [onSignIn]     - shown as a link when signed out
+ * @param {boolean}  [disabled]     - canvas not ready yet
+ * @param {string}   [className]    - card classes, to match the host sidebar
+ */
+
+const HEX_RE = /^#[0-9a-f]{6}$/i;
+
+const BrandKitPanel = ({ user, onPlaceLogo, onApplyColour, onApplyFont, onSignIn, disabled = false, className = '' }) => {
+  const [assets, setAssets] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [busy, setBusy] = useState(null); // 'upload' | 'colour' | 'font' | asset id
+  const [error, setError] = useState(null);
+  const [transparent, setTransparent] = useState(true);
+  const [newColour, setNewColour] = useState('#1a1a1a');
+  const [newFont, setNewFont] = useState(BRAND_FONTS[0]);
+  const fileRef = useRef(null);
+  const userId = user?.id;
+
+  useEffect(() => {
+    if (!userId) {
+      setAssets([]);
+      return;
+    }
+    let cancelled = false;
+    setLoading(true);
+    getBrandAssets().then(({ data }) => {
+      if (cancelled) return;
+      setAssets(data);
+      setLoading(false);
+    });
+    return () => { cancelled = true; };
+  }, [userId]);
+
+  const logos = assets.filter((a) => a.kind === 'logo');
+  const colours = assets.filter((a) => a.kind === 'colour');
+  const fonts = assets.filter((a) => a.kind === 'font');
+
+  const fail = (err, fallback) => {
+    setError(err?.message || fallback);
+    setBusy(null);
+  };
+
+  const handleUpload = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ''; // allow the same file again
+    if (!file) return;
+    setBusy('upload');
+    setError(null);
+    const { data, error: uploadError } = await addBrandLogo(user.id, file);
+    if (uploadError) return fail(uploadError, 'Could not add the logo.');
+    // Re-read so the new logo gets its signed preview URL.
+    const { data: fresh } = await getBrandAssets();
+    setAssets(fresh.length ? fresh : [...assets, data]);
+    setBusy(null);
+  };
+
+  const handlePlace = async (asset) => {
+    if (disabled) return;
+    setBusy(asset.id);
+    setError(null);
+    const { data: dataUrl, error: loadError } = await loadBrandLogoDataURL(asset, { transparent });
+    if (loadError) return fail(loadError, 'Could not load the logo.');
+    onPlaceLogo(dataUrl, asset);
+    setBusy(null);
+  };
+
+  const handleAddSwatch = async (kind, value) => {
+    if (kind === 'colour' && !HEX_RE.test(value)) {
+      setError('Colours must be a hex code like #1a73e8.');
+      return;
+    }
+    if (assets.some((a) => a.kind === kind && a.value?.toLowerCase() === value.toLowerCase())) return;
+    setBusy(kind);
+    setError(null);
+    const { data, error: addError } = await addBrandSwatch(user.id, kind, value, value);
+    if (addError) return fail(addError, 'Could not add to your brand kit.');
+    setAssets((prev) => [...prev, data]);
+    setBusy(null);
+  };
+
+  const handleDelete = async (asset) => {
+    if (!window.confirm(`Remove "${asset.name}" from your brand kit?`)) return;
+    setBusy(asset.id);
+    const { error: deleteError } = await deleteBrandAsset(asset);
+    if (deleteError) return fail(deleteError, 'Could not remove it.');
+    setAssets((prev) => prev.filter((a) => a.id !== asset.id));
+    setBusy(null);
+  };
+
+  const removeButton = (asset) =>
+    asset.user_id === user.id && (
+      <button
+        onClick={(e) => { e.stopPropagation(); handleDelete(asset); }}
+        className="absolute -top-1.5 -right-1.5 hidden group-hover:flex items-center justify-center w-4 h-4 rounded-full bg-white border border-gray-300 text-gray-500 hover:text-red-600"
+        title="Remove from brand kit"
+      >
+        <X className="h-3 w-3" />
+      </button>
+    );
+
+  if (!user) {
+    return (
+      <div className={className}>
+        <h3 className="font-bold text-sm text-gray-700 flex items-center gap-1.5">
+          <Briefcase className="h-4 w-4" /> Brand Kit
+        </h3>
+        <p className="text-xs text-gray-500 mt-1">
+          {onSignIn ? (
+            <button onClick={onSignIn} className="text-blue-600 hover:underline">Sign in</button>
+          ) : 'Sign in'}{' '}
+          to keep your logos, colours and fonts ready for every product.
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className={`${className} space-y-3`}>
+      <h3 className="font-bold text-sm text-gray-700 flex items-center gap-1.5">
+        <Briefcase className="h-4 w-4" /> Brand Kit
+        {loading && <Loader className="h-3.5 w-3.5 animate-spin text-gray-400" />}
+      </h3>
+
+      {/* Logos */}
+      <div>
+        <div className="flex items-center justify-between mb-1.5">
+          <span className="text-xs font-medium text-gray-600">Logos</span>
+          <label className="flex items-center gap-1 text-xs text-gray-500 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={transparent}
+              onChange={(e) => setTransparent(e.target.checked)}
+              className="w-3 h-3 rounded border-gray-300 text-blue-600"
+            />
+            Transparent background
+          </label>
+        </div>
+        <div className="grid grid-cols-3 gap-2">
+          {logos.map((asset) => (
+            <div key={asset.id} className="relative group">
+              <button
+                onClick={() => handlePlace(asset)}
+                disabled={disabled || busy === asset.id}
+                title={`Place ${asset.name}`}
+                className="w-full aspect-square rounded-lg border border-gray-200 bg-gray-50 hover:border-blue-400 p-1 flex items-center justify-center disabled:opacity-50"
+              >
+                {busy === asset.id ? (
+                  <Loader className="h-4 w-4 animate-spin text-gray-400" />
+                ) : asset.previewUrl ? (
+                  <img src={asset.previewUrl} alt={asset.name} className="max-w-full max-h-full object-contain" />
+                ) : (
+                  <span className="text-[10px] text-gray-500 truncate">{asset.name}</span>
+                )}
+              </button>
+              {removeButton(asset)}
+            </div>
+          ))}
+          <button
+            onClick={() => fileRef.current?.click()}
+            disabled={busy === 'upload'}
+            title="Add a logo"
+            className="aspect-square rounded-lg border-2 border-dashed border-gray-300 text-gray-500 hover:border-blue-400 hover:bg-blue-50/50 flex items-center justify-center disabled:opacity-50"
+          >
+            {busy === 'upload' ? <Loader className="h-4 w-4 animate-spin" /> : <Plus className="h-4 w-4" />}
+          </button>
+        </div>
+        <input
+          ref={fileRef}
+          type="file"
+          accept={Object.keys(BRAND_LOGO_TYPES).join(',')}
+          onChange={handleUpload}
+          className="hidden"
+        />
+      </div>
+
+      {/* Colours */}
+      <div>
+        <span className="block text-xs font-medium text-gray-600 mb-1.5">Colours</span>
+        <div className="flex flex-wrap items-center gap-2">
+          {colours.map((asset) => (
+            <div key={asset.id} className="relative group">
+              <button
+                onClick={() => onApplyColour(asset.value)}
+                disabled={disabled}
+                title={`${asset.name} — apply to the selected item`}
+                className="w-7 h-7 rounded-full border border-gray-300 hover:ring-2 hover:ring-blue-400 disabled:opacity-50"
+                style={{ backgroundColor: asset.value }}
+              />
+              {removeButton(asset)}
+            </div>
+          ))}
+          <input
+            type="color"
+            value={newColour}
+            onChange={(e) => setNewColour(e.target.value)}
+            className="w-7 h-7 border border-gray-300 rounded cursor-pointer"
+            title="Pick a brand colour"
+          />
+          <button
+            onClick={() => handleAddSwatch('colour', newColour)}
+            disabled={busy === 'colour'}
+            className="text-xs text-blue-600 hover:text-blue-700 font-semibold disabled:opacity-50"
+          >
+            Add
+          </button>
+        </div>
+      </div>
+
+      {/* Fonts */}
+      <div>
+        <span className="block text-xs font-medium text-gray-600 mb-1.5">Fonts</span>
+        <div className="flex flex-wrap gap-2 mb-2">
+          {fonts.map((asset) => (
+            <div key={asset.id} className="relative group">
+              <button
+                onClick={() => onApplyFont(asset.value)}
+                disabled={disabled}
+                title="Apply to the selected text, or use for new text"
+                className="flex items-center gap-1 px-2 py-1 text-xs border border-gray-300 rounded-md hover:border-blue-400 disabled:opacity-50"
+                style={{ fontFamily: asset.value }}
+              >
+                <Type className="h-3 w-3" /> {asset.value}
+              </button>
+              {removeButton(asset)}
+            </div>
+          ))}
+        </div>
+        <div className="flex gap-2">
+          <select
+            value={newFont}
+            onChange={(e) => setNewFont(e.target.value)}
+            className="flex-1 min-w-0 px-2 py-1 border border-gray-300 rounded-md text-xs"
+          >
+            {BRAND_FONTS.map((f) => (
+              <option key={f} value={f}>{f}</option>
+            ))}
+          </select>
+          <button
+            onClick={() => handleAddSwatch('font', newFont)}
+            disabled={busy === 'font'}
+            className="text-xs text-blue-600 hover:text-blue-700 font-semibold disabled:opacity-50"
+          >
+            Add
+          </button>
+        </div>
+      </div>
+
+      {error && <p className="text-xs text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export default BrandKitPanel;
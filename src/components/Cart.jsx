@@ -78,9 +78,9 @@ const Cart = () => {
                   <div className="flex space-x-4">
                     {/* Preview Image */}
                     <div className="flex-shrink-0 w-20 h-20 bg-gray-100 rounded-md overflow-hidden">
-                      {item.preview_image ? (
+                      {item.preview_url || item.preview_image ? (
                         <img
-                          src={item.preview_image}
+                          src={item.preview_url || item.preview_image}
                           alt={item.product_name}
                           className="w-full h-full object-cover"
                         />
@@ -107,6 +107,12 @@ const Cart = () => {
                       <p className="text-sm font-bold text-blue-600 mt-2">
                         £{item.price.toFixed(2)}
                       </p>
+                      {/* Set when a saved cart is reopened at current prices (cartService.repriceCartItems) */}
+                      {item.repriced_from != null && (
+                        <p className="text-xs text-amber-600">
+                          Price updated (was £{Number(item.repriced_from).toFixed(2)})
+                        </p>
+                      )}
 
                       {/* Quantity Controls */}
                       <div className="flex items-center space-x-2 mt-2">
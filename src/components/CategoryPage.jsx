@@ -13,8 +13,9 @@ import AvaPromptCard from './AvaPromptCard';
 // Load more button are DATA-GATED on `category_product_curation` having
 // rows for the current slug. Categories without curation rows render the
 // existing PGifts Direct surface unchanged. Adding a new category is
-// seed-only: INSERT rows into `category_product_curation` (and add an
-// entry to AVA_COPY below); no JSX changes needed.
+// data-only: add products on /admin/curation (AdminCuration.jsx) or INSERT
+// rows into `category_product_curation`, and add an entry to AVA_COPY
+// below; no JSX changes needed.
 //
 // Hard rules (do not break):
 //   - The new sections MUST be conditional on `hasCuration`.
@@ -1,6 +1,12 @@
 import React, { useEffect, useMemo, useState } from 'react';
 import { MapPin, Loader, Check, AlertCircle } from 'lucide-react';
-import { buildAccountSnapshot, accountHasAddress } from '../lib/deliveryValidation';
+import {
+  buildAccountSnapshot,
+  accountHasAddress,
+  DELIVERY_COUNTRIES,
+  validateAddress,
+  validatePostcode,
+} from '../lib/deliveryValidation';
 
 /**
  * DeliveryAddressForm — B2B delivery capture/edit (PR B).
@@ -17,8 +23,13 @@ import { buildAccountSnapshot, accountHasAddress } from '../lib/deliveryValidati
  *   - Order edit (showAccountToggle=false): always the field form, used to
  *     edit an existing order's delivery address.
  *
+ * savedAddresses (customer_addresses rows, kind 'delivery') adds a "From
+ * your address book" picker to both modes. Picking one fills the fields as
+ * unsaved edits, so Pay Now still waits for Save; the default entry seeds
+ * the fields when the customer switches to a different address.
+ *
  * Hard-required (browser `required`, blocks form submit): line1, city,
- * postcode, country. Soft-required (red asterisk only, required before admin
+ * postcode, country; the postcode must also match its country's format. Soft-required (red asterisk only, required before admin
  * approval — see deliveryValidation.js): fao, phone.
  */
 
@@ -36,8 +47,6 @@ const EMPTY_FIELDS = {
   poNumber: '',
 };
 
-const COUNTRIES = ['United Kingdom', 'Ireland', 'United States', 'Canada', 'Australia'];
-
 const fieldsToAddress = (f) => ({
   company: f.company.trim(),
   fao: f.fao.trim(),
@@ -72,6 +81,7 @@ const DeliveryAddressForm = ({
   onSave,
   onStatusChange,
   saveLabel = 'Save delivery details',
+  savedAddresses = [],
 }) => {
   const hasAccountAddr = accountHasAddress(accountProfile);
   const entityAddr = entity?.shipping_address || null;
@@ -108,16 +118,27 @@ const DeliveryAddressForm = ({
   };
 
   const switchToCustom = () => {
-    // Seed custom fields from the account snapshot so the customer has a
-    // starting point rather than a blank form.
+    // Seed custom fields from the default saved address, else the account
+    // snapshot, so the customer has a starting point rather than a blank form.
     if (mode !== 'custom') {
-      const snap = buildAccountSnapshot(accountProfile);
+      const preferred = savedAddresses.find((a) => a.is_default);
+      const snap = preferred ? addressToFields(preferred.address) : buildAccountSnapshot(accountProfile);
       setFields((prev) => ({ ...prev, ...snap, poNumber: prev.poNumber }));
       setMode('custom');
       setDirty(true);
     }
   };
 
+  const pickSavedAddress = (addressId) => {
+    const picked = savedAddresses.find((a) => a.id === addressId);
+    if (!picked) return;
+    setFields((prev) => addressToFields(picked.address, prev.poNumber));
+    setMode('custom');
+    setDirty(true);
+    setSavedFlash(false);
+    setError(null);
+  };
+
   const switchToAccount = () => {
     setMode('account');
     setDirty(false);
@@ -128,12 +149,12 @@ const DeliveryAddressForm = ({
     e.preventDefault();
     const address = fieldsToAddress(fields);
     // Hard-required guard (browser `required` should already catch these).
-    for (const k of ['line1', 'city', 'postcode', 'country']) {
-      if (!address[k]) {
-        setError('Please complete the required address fields.');
-        return;
-      }
+    const check = validateAddress(address);
+    if (!check.valid) {
+      setError(check.missing.length ? 'Please complete the required address fields.' : check.postcodeError);
+      return;
     }
+    address.postcode = validatePostcode(address.postcode, address.country).normalised;
     setSaving(true);
     setError(null);
     try {
@@ -153,6 +174,20 @@ const DeliveryAddressForm = ({
     'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent';
   const req = <span className="text-red-500">*</span>;
 
+  const addressBookPicker = savedAddresses.length > 0 && (
+    <div>
+      <label className={labelCls}>From your address book</label>
+      <select className={inputCls} value="" onChange={(e) => pickSavedAddress(e.target.value)}>
+        <option value="">Choose a saved address…</option>
+        {savedAddresses.map((a) => (
+          <option key={a.id} value={a.id}>
+            {a.label}{a.is_default ? ' (default)' : ''} — {[a.address?.line1, a.address?.postcode].filter(Boolean).join(', ')}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+
   // ---- Account-preview mode (Quotes, toggle OFF) ----
   if (showAccountToggle && mode === 'account') {
     const snap = buildAccountSnapshot(accountProfile);
@@ -178,6 +213,7 @@ const DeliveryAddressForm = ({
         ) : (
           <p className="text-sm text-gray-500">No account address saved.</p>
         )}
+        {addressBookPicker && <div className="mt-3">{addressBookPicker}</div>}
         <label className="flex items-center gap-2 mt-3 cursor-pointer">
           <input
             type="checkbox"
@@ -210,6 +246,8 @@ const DeliveryAddressForm = ({
         )}
       </div>
 
+      {addressBookPicker}
+
       {showAccountToggle && !hasAccountAddr && (
         <p className="text-xs text-amber-700 bg-amber-50 border border-amber-200 rounded px-2 py-1.5">
           Your account has no saved address — please enter a delivery address below.
@@ -256,7 +294,7 @@ const DeliveryAddressForm = ({
         <div>
           <label className={labelCls}>Country {req}</label>
           <select className={inputCls} required value={fields.country} onChange={(e) => setField('country', e.target.value)}>
-            {COUNTRIES.map((c) => (
+            {DELIVERY_COUNTRIES.map((c) => (
               <option key={c} value={c}>{c}</option>
             ))}
           </select>
@@ -1,7 +1,7 @@
 // src/components/HeaderBar.jsx
 import React, { useState, useEffect, useCallback } from 'react';
-import { Link } from 'react-router-dom';
-import { Phone, ShoppingCart, User, LogOut, Menu, X, ChevronDown, Package, FileText, MapPin, Settings, Palette } from 'lucide-react';
+import { Link, useNavigate, useLocation } from 'react-router-dom';
+import { Phone, ShoppingCart, User, LogOut, Menu, X, ChevronDown, Package, FileText, MapPin, Settings, Palette, Search } from 'lucide-react';
 import { useAuth } from '../context/AuthContext';
 import { useCart } from '../context/CartContext';
 import { supabase } from '../services/supabaseService';
@@ -27,6 +27,40 @@ function HeaderBar() {
   const [showAuthModal, setShowAuthModal] = useState(false);
   const [showUserMenu, setShowUserMenu] = useState(false);
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
+  const navigate = useNavigate();
+  const location = useLocation();
+
+  // Catalogue search — results live on /search (SearchResults.jsx). Keep the
+  // box in step with the URL so refining a search starts from the last one.
+  const [searchText, setSearchText] = useState('');
+
+  useEffect(() => {
+    if (location.pathname === '/search') {
+      setSearchText(new URLSearchParams(location.search).get('q') || '');
+    }
+  }, [location.pathname, location.search]);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    const q = searchText.trim();
+    if (!q) return;
+    setMobileMenuOpen(false);
+    navigate(`/search?q=${encodeURIComponent(q)}`);
+  };
+
+  const searchForm = (className) => (
+    <form onSubmit={handleSearch} role="search" className={className}>
+      <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-5 w-5 text-gray-400" />
+      <input
+        type="search"
+        value={searchText}
+        onChange={(e) => setSearchText(e.target.value)}
+        placeholder="Search products..."
+        aria-label="Search products"
+        className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-red-500 focus:border-transparent"
+      />
+    </form>
+  );
 
   // Calculate cart count - number of unique items (line items)
   const cartCount = cart.length;
@@ -94,6 +128,9 @@ function HeaderBar() {
             </div>
           </Link>
 
+          {/* Search (desktop) */}
+          {searchForm('relative hidden md:block flex-1 max-w-md mx-6')}
+
           {/* Right Side Icons */}
           <div className="flex items-center space-x-2 md:space-x-4">
             {/* Desktop User Menu */}
@@ -255,6 +292,7 @@ function HeaderBar() {
       {mobileMenuOpen && (
         <nav className="md:hidden bg-gray-800 border-t border-gray-700">
           <div className="max-w-7xl mx-auto px-4 py-2">
+            {searchForm('relative py-2')}
             <div className="flex flex-col space-y-1">
               {user ? (
                 <>
@@ -29,7 +29,7 @@
  */
 
 import React, { useEffect, useMemo, useRef, useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import {
   Heart,
   Share2,
@@ -44,17 +44,17 @@ import {
   Zap,
   X,
   Palette,
+  Download,
+  FileText,
 } from 'lucide-react';
 
-import { supabase } from '../services/supabaseService';
+import { supabase, getUserDesign } from '../services/supabaseService';
 import { applyLiveStock } from '../services/productCatalogService';
 import { useAuth } from '../context/AuthContext';
-import { deliveryPerUnit } from '../../scripts/lib/laltex-delivery.js';
-import { scheduleMarginForTier } from '../../scripts/lib/laltex-margin.js';
 import { isBucketADesignable } from '../utils/laltexPositionHeuristics';
 import { taxableNetUnit } from '../utils/vat';
 import { getSwatchHex, isLightHex } from '../utils/colourSwatches';
-import { isScreenPrintRow, productNeedsWhiteBase, baseCostForQty } from '../utils/screenPrintBase';
+import { pickPrintTier, availableColourCounts, laltexUnitPrice } from '../utils/laltexPricing';
 import {
   isStockFresh,
   sizeStockState,
@@ -65,6 +65,9 @@ import {
   ON_VIEW_FRESHNESS_MS,
 } from '../utils/stockDisplay';
 import AboveCeilingNotice from './AboveCeilingNotice';
+import { findSavedRowIndex, parsePrintArea } from '../utils/printAreaFormat';
+import { suggestColourCount } from '../utils/artworkColours';
+import { groupTemplatesByType } from '../utils/artworkTemplates';
 
 // ---------------------------------------------------------------------------
 // Pricing helpers
@@ -96,86 +99,13 @@ export const printMethodLabel = (pd) => {
   return pd.printType || pd.print_type || pd.printClass || pd.print_class || 'Print';
 };
 
-/**
- * Find the price tier whose [min_qty, max_qty] range contains qty.
- * Falls back to the highest tier with min_qty <= qty (last tier is
- * usually open-ended max_qty=null).
- */
-function pickTier(tiers, qty) {
-  if (!Array.isArray(tiers) || tiers.length === 0) return null;
-  const sorted = [...tiers].sort((a, b) => (a.minQty ?? 0) - (b.minQty ?? 0));
-  let match = null;
-  for (const t of sorted) {
-    if (qty >= (t.minQty ?? 0) && (t.maxQty == null || qty <= t.maxQty)) {
-      return t;
-    }
-    if (qty >= (t.minQty ?? 0)) match = t;
-  }
-  return match || sorted[0];
-}
-
-/**
- * Pick a print_price tier from a position's tiers array, matching
- * (qty, num_colours). Mirrors pickTier but with the additional colour
- * filter.
- */
-/**
- * Distinct, sorted num_colours values that a position's tiers actually
- * contain. Drives the per-row colour-count UI: dropdown if >1 option,
- * static label if exactly 1, hidden if empty.
- */
-export function availableColourCounts(position) {
-  const tiers = position?.tiers || [];
-  const set = new Set();
-  for (const t of tiers) {
-    const n = t.numColours ?? 1;
-    if (Number.isFinite(n)) set.add(n);
-  }
-  return Array.from(set).sort((a, b) => a - b);
-}
-
-function pickPrintTier(positionTiers, qty, numColours) {
-  if (!Array.isArray(positionTiers) || positionTiers.length === 0) return null;
-  const byColour = positionTiers.filter((t) => (t.numColours ?? 1) === numColours);
-  const candidates = byColour.length > 0 ? byColour : positionTiers;
-  return pickTier(
-    candidates.map((t) => ({ ...t, minQty: t.minQty, maxQty: t.maxQty })),
-    qty,
-  );
-}
-
-/**
- * Margined white-base cost per unit for a screen print at a given quantity.
- *
- * The base is a PRINT cost, so it is margined exactly like the print tier it
- * attaches to: base_sell = base_cost x (1 + tier margin). We reuse the tier's
- * own `marginAppliedPct` (the same fraction baked into its sell_price) so the
- * base and the print it sits on carry identical margin; falls back to the
- * quantity's schedule margin if the tier doesn't expose one.
- *
- * Flat, additive, banded by quantity (screenPrintBase.baseCostForQty). NOT a
- * tier shift — so there is no colour-count ceiling to fall off, and no floor to
- * engage. Replaces PR #85's (colours + 1) mechanism entirely.
- *
- * @returns {number} margined base cost per unit (0 when no base applies)
- */
-export function baseSellForPosition(tier, qty, marginOverride) {
-  if (!tier || tier.isPoa) return 0;
-  const cost = baseCostForQty(qty);
-  if (!(cost > 0)) return 0;
-  const margin = tier.marginAppliedPct != null
-    ? Number(tier.marginAppliedPct)
-    : scheduleMarginForTier(qty, marginOverride ?? null);
-  const m = Number.isFinite(margin) ? margin : 0;
-  return cost * (1 + m);
-}
-
 // ---------------------------------------------------------------------------
 // Component
 // ---------------------------------------------------------------------------
 
 const LaltexProductView = ({ product }) => {
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
   const { user } = useAuth();
 
   // Visual state
@@ -189,6 +119,11 @@ const LaltexProductView = ({ product }) => {
   // Lightbox state — opens with whatever's currently in the hero slot,
   // so it picks up colour-variant swaps automatically.
   const [lightboxOpen, setLightboxOpen] = useState(false);
+  // Saved DesignerV2 design pre-loaded via ?design=<id> (Designer "Get
+  // Quote", My Designs → Add to Quote). Its design_data + thumbnail attach
+  // to the quote_item; its positions drive positionPicks.
+  const [loadedDesign, setLoadedDesign] = useState(null);
+  const designAppliedRef = useRef(null);
 
   // Order config
   const minQty = product?.minimumOrderQty ?? 1;
@@ -242,6 +177,66 @@ const LaltexProductView = ({ product }) => {
     setQuantityInput(String(minQty));
   }, [product?.code, initialPositions, minQty]);
 
+  // Pre-load a saved design: enable exactly the positions that carry
+  // artwork (user_designs.print_positions, or the single print_area of an
+  // older design) at their saved size/method and colour count, so the
+  // quote's print_areas.selections covers every printed position.
+  // Declared after the reset effect so it wins on first load. The ref is
+  // marked only once the design is applied: a run cancelled mid-fetch
+  // (StrictMode's double effect, or product / searchParams changing) must
+  // leave the next run free to load it.
+  useEffect(() => {
+    const designId = searchParams.get('design');
+    if (!designId || !product?.code) return undefined;
+    const designKey = `${product.code}|${designId}`;
+    if (designAppliedRef.current === designKey) return undefined;
+
+    let cancelled = false;
+    (async () => {
+      try {
+        const design = await getUserDesign(designId);
+        if (cancelled || !design) return;
+        if (design.supplier_product_code !== product.code) return;
+
+        const saved = Array.isArray(design.print_positions) && design.print_positions.length > 0
+          ? design.print_positions
+          : [(() => {
+              const parsed = parsePrintArea(design.print_area);
+              return parsed
+                ? { position: parsed.position, area: parsed.area, print_class: parsed.printClass }
+                : null;
+            })()].filter(Boolean);
+        const groups = product.printDetails?.positionGroups || [];
+        const picks = {};
+        groups.forEach((g) => {
+          const entry = saved.find((e) => e.position === g.name);
+          const found = entry ? findSavedRowIndex(g, entry.area || '', entry.print_class || '') : -1;
+          const selectedRowIndex = found >= 0 ? found : g.defaultRowIndex;
+          const counts = availableColourCounts(g.rows[selectedRowIndex]);
+          picks[g.name] = {
+            enabled: !!entry,
+            selectedRowIndex,
+            colours: entry?.num_colours && counts.includes(entry.num_colours)
+              ? entry.num_colours
+              : (counts[0] || 1),
+            // DesignerV2 artwork analysis (artworkColours.js), when saved.
+            detectedColours: entry?.detected_colours ?? null,
+            photographic: !!entry?.photographic,
+          };
+        });
+        if (Object.values(picks).some((p) => p.enabled)) setPositionPicks(picks);
+
+        const colourMatch = (product.colours || []).find((c) => c.code === design.color_code);
+        if (colourMatch) setSelectedColourId(colourMatch.id);
+        setLoadedDesign(design);
+        designAppliedRef.current = designKey;
+      } catch (err) {
+        console.warn('[LaltexProductView] preload design failed (non-fatal):', err?.message || err);
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [searchParams, product]);
+
   // Lightbox UX glue: ESC-to-close + body-scroll lock while open. We
   // restore the prior overflow value on cleanup so we don't trample a
   // page-level scroll setting from elsewhere.
@@ -316,6 +311,12 @@ const LaltexProductView = ({ product }) => {
     [product?.colours],
   );
 
+  // Supplier artwork templates for the Templates tab (proxiable hosts only).
+  const templateGroups = useMemo(
+    () => groupTemplatesByType(product?.artworkTemplates),
+    [product?.artworkTemplates],
+  );
+
   // ----- Sizes (clothing colour x size matrix) -----
   const isMultiSize = (product?.sizes?.length ?? 0) > 1;
   // Sizes available in the selected colour (fall back to all product sizes).
@@ -408,113 +409,46 @@ const LaltexProductView = ({ product }) => {
     return isBucketADesignable(groups);
   }, [product?.printDetails]);
 
-  const baseTier = useMemo(
-    () => pickTier(product?.pricingTiers || [], quantity),
-    [product?.pricingTiers, quantity],
-  );
-
-  // Does a screen print on THIS garment, in THIS colour, need a white base?
-  // Only the four base-taking garment types (t-shirts, hoodies, sweatshirts,
-  // polos, by sub_category allow-list — NOT category='Clothing'), and every
-  // colour except White / Natural / Arctic White. See src/utils/screenPrintBase.js.
-  const garmentNeedsBase = useMemo(
-    () => productNeedsWhiteBase(product?.subCategory, selectedColour?.name),
-    [product?.subCategory, selectedColour?.name],
-  );
-
-  // Per-position cost contribution at current qty. Each enabled position
-  // adds the tier's customer-facing all-in margined unit price (setup
-  // amortisation + margin baked at sync time per CLAUDE.md §46).
-  //
-  // CRITICAL (CLAUDE.md §46 R6): tier.allInUnitPrice now contains
-  // setup_amortised AND margin. Do NOT re-add setup_charge / setupPerUnit
-  // here — that would double-bill setup. The legacy fallback path that
-  // added setup separately has been removed in Stage 1.
-  const positionContributions = useMemo(() => {
+  // Customer-facing price at the current qty — laltexPricing.laltexUnitPrice
+  // is the one implementation (bulk mock-ups price their lines with it too).
+  // Product tier + each enabled position's all-in margined print tier
+  // (white base per position on dark garments — src/utils/screenPrintBase.js)
+  // + the margined UK STANDARD delivery share (read-time only, per Dave's
+  // decision B1-A; CLAUDE.md §46), rounded to 2dp at the source so the shown
+  // total is the charged total (numeric(10,2) columns; CLAUDE.md §48).
+  // An enabled position whose tier has no all-in price adds 0 here rather
+  // than forcing POA.
+  const pricing = useMemo(() => {
     const groups = product?.printDetails?.positionGroups || [];
-    const out = [];
-    groups.forEach((g) => {
-      const pick = positionPicks[g.name];
-      if (!pick?.enabled) return;
-      const row = g.rows[pick.selectedRowIndex] || g.rows[g.defaultRowIndex] || g.rows[0];
-      if (!row) return;
-      // White base: a screen print on a dark garment needs an opaque underbase.
-      // It is a flat per-unit PRINT cost (banded by quantity), added on top of
-      // the plain colour tier and margined like any other print cost — NOT a
-      // tier shift. Applied PER POSITION: each position needs its own base pass,
-      // so a front+back design on a navy shirt takes two bases. Non-screen
-      // methods and White/Natural/Arctic White are exempt.
-      const addBase = garmentNeedsBase && isScreenPrintRow(row);
-      const tier = pickPrintTier(row.tiers, quantity, pick.colours);
-      const label = `${g.name} (${printMethodLabel(row)})`;
-      if (!tier) {
-        out.push({
-          name: g.name, label, row, colours: pick.colours,
-          unit: null, isPoa: true, whiteBase: addBase,
-        });
-        return;
-      }
-      const printUnit = tier.allInUnitPrice != null ? Number(tier.allInUnitPrice) : null;
-      const baseUnit = addBase ? baseSellForPosition(tier, quantity, product?.marginPctOverride) : 0;
-      const unit = printUnit == null ? null : Number((printUnit + baseUnit).toFixed(6));
-      out.push({
-        name: g.name,
-        label,
-        row,
-        colours: pick.colours,
-        unit,
-        rawUnit: tier.rawPrice ?? tier.price,
-        tier,
-        isPoa: !!tier.isPoa,
-        // Fulfilment metadata — NOT shown to the customer as a separate line.
-        whiteBase: addBase,
-        baseUnit: addBase ? Number(baseUnit.toFixed(4)) : 0,
-      });
+    const selections = groups
+      .filter((g) => {
+        const pick = positionPicks[g.name];
+        return pick?.enabled && (g.rows[pick.selectedRowIndex] || g.rows[g.defaultRowIndex] || g.rows[0]);
+      })
+      .map((g) => ({
+        position: g.name,
+        rowIndex: positionPicks[g.name].selectedRowIndex,
+        colours: positionPicks[g.name].colours,
+      }));
+    return laltexUnitPrice(product, {
+      quantity,
+      colourName: selectedColour?.name || null,
+      selections,
+      unpricedPositionIsPoa: false,
     });
-    return out;
-  }, [product, positionPicks, quantity, garmentNeedsBase]);
-
-  const basePrice = baseTier?.pricePerUnit ?? null;
-  const printPerUnitTotal = positionContributions.reduce(
-    (acc, p) => acc + (p.unit || 0),
-    0,
+  }, [product, positionPicks, quantity, selectedColour?.name]);
+
+  const positionContributions = useMemo(
+    () => pricing.contributions.map((c) => ({
+      ...c,
+      name: c.position,
+      label: `${c.position} (${printMethodLabel(c.row)})`,
+    })),
+    [pricing],
   );
-  const isAnyPoa = baseTier?.isPoa || positionContributions.some((p) => p.isPoa);
-
-  // UK STANDARD delivery share at the customer's actual quantity, with
-  // margin applied to the delivery share at the customer's qty rate.
-  // Per Dave's decision B1-A: delivery is a READ-TIME concern; sync-stored
-  // sell_price does NOT include delivery. CLAUDE.md §46.
-  //
-  // Delivery is 0 when shipping_charges is empty (PGifts Direct mirror
-  // rows) or quantity is invalid — the customer-facing unit price then
-  // collapses cleanly to (product + print) with no delivery line.
-  const deliveryUnitWithMargin = useMemo(() => {
-    if (isAnyPoa || basePrice == null) return 0;
-    if (!Number.isFinite(quantity) || quantity <= 0) return 0;
-    const total = deliveryPerUnit(
-      product?.shippingCharges,
-      product?.piecesPerCarton,
-      quantity,
-      'ukstandard',
-    );
-    if (!Number.isFinite(total) || total <= 0) return 0;
-    const marginPct = scheduleMarginForTier(quantity, product?.marginPctOverride ?? null);
-    return Number((total * (1 + marginPct)).toFixed(4));
-  }, [product?.shippingCharges, product?.piecesPerCarton, product?.marginPctOverride, quantity, isAnyPoa, basePrice]);
-
-  // Round to 2dp at the source. Every downstream price column —
-  // quote_items.unit_price, order_items.unit_price, order_items.line_total,
-  // quotes.total_amount, orders.total_amount — is numeric(10,2) and
-  // silently truncates anything finer on INSERT. If unitPrice is computed
-  // at 4dp here, the displayed totalPrice (quantity × precise unitPrice,
-  // rounded at display) and the Stripe-charged total (quantity ×
-  // 2dp-truncated unit_price, recomputed by recompute_quote_total trigger)
-  // drift apart by up to a few pence per order. The customer sees one
-  // total on screen and gets charged a different one. See CLAUDE.md §48.
-  const unitPrice = basePrice == null || isAnyPoa
-    ? null
-    : Number((basePrice + printPerUnitTotal + deliveryUnitWithMargin).toFixed(2));
+  const printPerUnitTotal = pricing.printPerUnit;
+  const deliveryUnitWithMargin = pricing.deliveryUnit;
+  const unitPrice = pricing.unitPrice;
   const totalPrice = unitPrice == null ? null : Number((unitPrice * quantity).toFixed(2));
 
   // Above-ceiling "call us" notice (audit-pricing-tier-ceiling.md). The top
@@ -539,7 +473,7 @@ const LaltexProductView = ({ product }) => {
 
   const isOrderValid = () => {
     if (quantity < minQty) return false;
-    return basePrice != null && !isAnyPoa;
+    return unitPrice != null;
   };
 
   // ----- Handlers -----
@@ -583,13 +517,17 @@ const LaltexProductView = ({ product }) => {
     setPositionPicks((p) => {
       const group = (product?.printDetails?.positionGroups || []).find((g) => g.name === name);
       const newRow = group?.rows?.[selectedRowIndex];
-      const firstColour = availableColourCounts(newRow)[0] || 1;
+      const counts = availableColourCounts(newRow);
+      // A pre-loaded design's detected count beats the first option.
+      const suggested = p[name]?.detectedColours
+        ? suggestColourCount(p[name].detectedColours, counts).colours
+        : null;
       return {
         ...p,
         [name]: {
           ...(p[name] || { enabled: true }),
           selectedRowIndex,
-          colours: firstColour,
+          colours: suggested ?? (counts[0] || 1),
         },
       };
     });
@@ -631,6 +569,7 @@ const LaltexProductView = ({ product }) => {
       // etc.) can be added without re-shaping consumers. CLAUDE.md §43.
       const printAreasPayload = positionContributions.length > 0
         ? {
+            ...(loadedDesign ? { design_id: loadedDesign.id } : {}),
             selections: positionContributions.map((p) => ({
               position: p.name,
               area: p.row?.area || null,
@@ -638,6 +577,14 @@ const LaltexProductView = ({ product }) => {
               class: p.row?.printClass || null,
               num_colours: p.colours,
               unit_price: p.unit != null ? +p.unit.toFixed(4) : null,
+              // Artwork analysis from the pre-loaded design, for the print
+              // room to check against num_colours at proof stage.
+              ...(positionPicks[p.name]?.detectedColours != null
+                ? {
+                    detected_colours: positionPicks[p.name].detectedColours,
+                    photographic: !!positionPicks[p.name].photographic,
+                  }
+                : {}),
               // White-base metadata for the print room: a dark garment carries
               // an opaque white underbase (an extra flat-cost print pass). Not
               // rendered to the customer anywhere — the unit price already
@@ -681,6 +628,8 @@ const LaltexProductView = ({ product }) => {
           color: selectedColour?.name || null,
           print_areas: printAreasPayload,
           size_breakdown: sizeBreakdown,
+          design_data: loadedDesign?.design_data || null,
+          design_thumbnail: loadedDesign?.thumbnail_url || null,
           notes: `Supplier: ${product.supplier} | Code: ${product.code}`,
         })
         .select()
@@ -943,7 +892,7 @@ const LaltexProductView = ({ product }) => {
             {/* Tabs */}
             <div>
               <div className="flex gap-2 border-b border-gray-200">
-                {['details', 'specs', 'lead'].map((t) => (
+                {['details', 'specs', 'lead', ...(templateGroups.length ? ['templates'] : [])].map((t) => (
                   <button
                     key={t}
                     onClick={() => setActiveTab(t)}
@@ -957,7 +906,9 @@ const LaltexProductView = ({ product }) => {
                       ? 'Details'
                       : t === 'specs'
                         ? 'Specifications'
-                        : 'Lead Time'}
+                        : t === 'lead'
+                          ? 'Lead Time'
+                          : 'Templates'}
                   </button>
                 ))}
               </div>
@@ -1057,6 +1008,39 @@ const LaltexProductView = ({ product }) => {
                   })()}
                 </div>
               )}
+
+              {activeTab === 'templates' && (
+                <div className="pt-4 space-y-4 text-sm">
+                  <p className="text-gray-600">
+                    Supplier artwork templates show the exact print area and
+                    dieline. Place your artwork on the template before sending
+                    it, or switch on the template guide in the designer.
+                  </p>
+                  {templateGroups.map((group) => (
+                    <div key={group.type}>
+                      <p className="font-semibold text-gray-900 mb-2">{group.type}</p>
+                      <ul className="space-y-2">
+                        {group.templates.map((t) => (
+                          <li key={t.url}>
+                            <a
+                              href={t.href}
+                              download={t.fileName}
+                              className="flex items-center justify-between gap-3 px-3 py-2 border border-gray-200 rounded-lg hover:border-blue-300 hover:bg-blue-50 transition-colors"
+                            >
+                              <span className="flex items-center gap-2 min-w-0">
+                                <FileText className="h-4 w-4 text-gray-400 flex-shrink-0" />
+                                <span className="truncate text-gray-700">{t.fileName}</span>
+                                <span className="text-xs text-gray-400 flex-shrink-0">{t.format}</span>
+                              </span>
+                              <Download className="h-4 w-4 text-blue-600 flex-shrink-0" />
+                            </a>
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  ))}
+                </div>
+              )}
             </div>
           </div>
 
@@ -1206,6 +1190,11 @@ const LaltexProductView = ({ product }) => {
                   {(product.printDetails?.positionGroups || []).length > 0 && (
                     <div>
                       <h4 className="text-sm font-medium text-gray-700 mb-2">Print Positions</h4>
+                      {loadedDesign && (
+                        <p className="text-xs text-blue-700 bg-blue-50 border border-blue-100 rounded-lg px-3 py-2 mb-2">
+                          Quoting your design &ldquo;{loadedDesign.design_name || 'Untitled'}&rdquo; — its print positions are selected below.
+                        </p>
+                      )}
                       <div className="space-y-2">
                         {product.printDetails.positionGroups.map((group) => {
                           const pick = positionPicks[group.name] || {
@@ -1317,6 +1306,23 @@ const LaltexProductView = ({ product }) => {
                                   Price includes set up
                                 </p>
                               )}
+                              {/* Colour count detected from the pre-loaded
+                                  design's artwork (artworkColours.js). */}
+                              {pick.enabled && pick.detectedColours != null && (
+                                pick.photographic ? (
+                                  <p className="text-xs text-amber-700 mt-1 pl-6">
+                                    Your artwork looks photographic — unsuitable for screen print.
+                                  </p>
+                                ) : pick.colours < pick.detectedColours ? (
+                                  <p className="text-xs text-amber-700 mt-1 pl-6">
+                                    Your artwork has {pick.detectedColours} colours; this is priced at {pick.colours}.
+                                  </p>
+                                ) : (
+                                  <p className="text-xs text-gray-500 mt-1 pl-6">
+                                    {pick.detectedColours} colour{pick.detectedColours > 1 ? 's' : ''} detected in your artwork
+                                  </p>
+                                )
+                              )}
                             </div>
                           );
                         })}
@@ -1351,16 +1357,16 @@ const LaltexProductView = ({ product }) => {
                           <p className="text-xs text-gray-400 mt-1">Prices exclude VAT. VAT is added at checkout.</p>
                           {/* TEMP: price breakdown (Product / print position /
                               UK delivery) hidden pre-launch — Total stays
-                              visible. The calc (basePrice, positionContributions,
+                              visible. The calc (pricing, positionContributions,
                               deliveryUnitWithMargin) is untouched; only the
                               render is suppressed. Uncomment to restore. */}
                           {/*
                           {(positionContributions.length > 0 || deliveryUnitWithMargin > 0) && (
                             <div className="mt-2 text-xs text-gray-500 space-y-0.5">
-                              {basePrice != null && (
+                              {pricing.basePrice != null && (
                                 <div className="flex justify-between">
                                   <span>Product</span>
-                                  <span>{formatGBP(basePrice)}</span>
+                                  <span>{formatGBP(pricing.basePrice)}</span>
                                 </div>
                               )}
                               {positionContributions.map((p) => (
@@ -0,0 +1,80 @@
+import React from 'react';
+import { CheckCircle, AlertTriangle, XCircle } from 'lucide-react';
+
+/**
+ * PreflightReport — the print-readiness report for one uploaded artwork file
+ * (fileValidation.preflightArtwork, stored on order_artwork.preflight).
+ *
+ * Shown to the customer in ArtworkUploadModal right after upload and to
+ * staff next to each file in AdminOrderDetail. `compact` renders only the
+ * status badge plus the failing / warning check labels, for list rows.
+ *
+ * @param {object}  report    - the stored preflight jsonb
+ * @param {boolean} [compact]
+ */
+
+const STATUS_META = {
+  pass: { label: 'Print ready', badge: 'bg-green-100 text-green-800', Icon: CheckCircle, icon: 'text-green-500' },
+  warn: { label: 'Check warnings', badge: 'bg-amber-100 text-amber-800', Icon: AlertTriangle, icon: 'text-amber-500' },
+  fail: { label: 'Not print ready', badge: 'bg-red-100 text-red-800', Icon: XCircle, icon: 'text-red-500' },
+};
+
+export const PreflightBadge = ({ status }) => {
+  const meta = STATUS_META[status];
+  if (!meta) return null;
+  return (
+    <span className={`inline-flex items-center gap-1 text-xs font-semibold px-2 py-0.5 rounded-full ${meta.badge}`}>
+      <meta.Icon className="h-3 w-3" />
+      {meta.label}
+    </span>
+  );
+};
+
+const PreflightReport = ({ report, compact = false }) => {
+  if (!report?.checks) return null;
+
+  if (compact) {
+    const flagged = report.checks.filter(c => c.status !== 'pass');
+    return (
+      <div className="flex flex-wrap items-center gap-2 mt-1">
+        <PreflightBadge status={report.status} />
+        {flagged.map(c => (
+          <span key={c.id} className={`text-xs ${c.status === 'fail' ? 'text-red-700' : 'text-amber-700'}`}>
+            {c.label}
+          </span>
+        ))}
+      </div>
+    );
+  }
+
+  const target = report.target;
+  return (
+    <div className="border border-gray-200 rounded-xl p-4">
+      <div className="flex items-center justify-between gap-3 mb-3">
+        <p className="text-sm font-semibold text-gray-900">Print check</p>
+        <PreflightBadge status={report.status} />
+      </div>
+      {target && (
+        <p className="text-xs text-gray-500 mb-3">
+          Checked against {target.position ? `${target.position}, ` : ''}{target.width_mm}×{target.height_mm}mm print area
+        </p>
+      )}
+      <ul className="space-y-2">
+        {report.checks.map(c => {
+          const meta = STATUS_META[c.status] || STATUS_META.warn;
+          return (
+            <li key={c.id} className="flex items-start gap-2">
+              <meta.Icon className={`h-4 w-4 flex-shrink-0 mt-0.5 ${meta.icon}`} />
+              <div>
+                <p className="text-sm font-medium text-gray-900">{c.label}</p>
+                <p className="text-xs text-gray-600">{c.detail}</p>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default PreflightReport;
@@ -5,7 +5,11 @@ import {
   ShoppingCart,
   Users,
   Package,
+  History,
+  LayoutGrid,
+  Activity,
   PoundSterling,
+  Tag,
   UserCog,
   Settings,
   Menu,
@@ -47,12 +51,33 @@ const AdminLayout = ({ children, user, adminRole, pageTitle }) => {
       icon: Package,
       label: 'Products'
     },
+    {
+      path: '/admin/catalogue-changes',
+      icon: History,
+      label: 'Catalogue Changes'
+    },
+    {
+      path: '/admin/curation',
+      icon: LayoutGrid,
+      label: 'Category Curation'
+    },
+    {
+      path: '/admin/jobs',
+      icon: Activity,
+      label: 'Jobs'
+    },
     {
       path: '/admin/pricing',
       icon: PoundSterling,
       label: 'Pricing',
       superAdminOnly: true
     },
+    {
+      path: '/admin/promotions',
+      icon: Tag,
+      label: 'Promotions',
+      superAdminOnly: true
+    },
     {
       path: '/admin/team',
       icon: UserCog,
@@ -6,6 +6,7 @@ import {
   FileText,
   Palette,
   MapPin,
+  Building2,
   Settings,
   Menu,
   X,
@@ -43,6 +44,11 @@ const CustomerLayout = ({ children, user, pageTitle }) => {
       icon: MapPin,
       label: 'Addresses'
     },
+    {
+      path: '/account/company',
+      icon: Building2,
+      label: 'Company'
+    },
     {
       path: '/account/settings',
       icon: Settings,
@@ -1,4 +1,17 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useRef } from 'react';
+import { useAuth } from './AuthContext';
+import {
+  LOCAL_CART_KEY,
+  isDataUrl,
+  toStoredItem,
+  readLocalCart,
+  loadCart,
+  saveCart,
+  mergeAnonymousCart,
+  uploadCartPreviews,
+  signCartPreviews,
+  repriceCartItems
+} from '../services/cartService';
 
 const CartContext = createContext();
 
@@ -10,32 +23,104 @@ export const useCart = () => {
   return context;
 };
 
+// Batch rapid edits (quantity +/- clicks) into one carts upsert.
+const SAVE_DEBOUNCE_MS = 800;
+
+// What a carts row would contain — compared to skip no-op saves.
+const storedSnapshot = (items) => JSON.stringify(items.map(toStoredItem));
+
+// Signed-in customers' carts live in Supabase (cartService.js,
+// 20261019_saved_carts.sql); anonymous carts stay in localStorage and are
+// merged into the account cart on sign-in. Signing out shows the (now empty)
+// anonymous cart — the account cart is waiting on the next sign-in.
 export const CartProvider = ({ children }) => {
+  const { user, loading: authLoading } = useAuth();
+  const userId = user?.id ?? null;
   const [cart, setCart] = useState([]);
-  const [isCartOpen, setIsCartOpen] = useState(false);
-
-  // Load cart from localStorage on mount
+  // Reminder emails link to /?cart=open (send-abandoned-reminders).
+  const [isCartOpen, setIsCartOpen] = useState(
+    () => new URLSearchParams(window.location.search).get('cart') === 'open'
+  );
+  // Where the cart in state is persisted: undefined while loading (nothing
+  // is saved), null for localStorage, or the user id for the carts row.
+  const [cartOwner, setCartOwner] = useState(undefined);
+  // Last items written to (or read from) the carts row. Reopening an
+  // unchanged cart must not re-save it: carts.updated_at is the idle clock
+  // for abandoned-cart reminders (20261019_abandoned_reminders.sql).
+  const lastSavedRef = useRef(null);
+
+  // Load the cart whenever the signed-in user changes
   useEffect(() => {
-    try {
-      const savedCart = localStorage.getItem('pgifts_cart');
-      if (savedCart) {
-        setCart(JSON.parse(savedCart));
-        console.log('[Cart] Loaded cart from localStorage:', JSON.parse(savedCart).length, 'items');
+    if (authLoading) return undefined;
+    let cancelled = false;
+
+    const load = async () => {
+      if (!userId) {
+        const localCart = readLocalCart();
+        setCart(localCart);
+        setCartOwner(null);
+        console.log('[Cart] Loaded cart from localStorage:', localCart.length, 'items');
+        return;
       }
-    } catch (error) {
-      console.error('[Cart] Error loading cart from localStorage:', error);
-    }
-  }, []);
 
-  // Save cart to localStorage whenever it changes
+      setCartOwner(undefined);
+      try {
+        const anonymous = readLocalCart();
+        let items;
+        if (anonymous.length > 0) {
+          items = await mergeAnonymousCart(await uploadCartPreviews(userId, anonymous));
+          localStorage.removeItem(LOCAL_CART_KEY);
+          console.log('[Cart] Merged', anonymous.length, 'anonymous items into saved cart');
+        } else {
+          items = await loadCart(userId);
+        }
+        const saved = storedSnapshot(items);
+        items = await signCartPreviews(await repriceCartItems(items));
+        if (cancelled) return;
+        lastSavedRef.current = saved;
+        setCart(items);
+        setCartOwner(userId);
+        console.log('[Cart] Loaded saved cart:', items.length, 'items');
+      } catch (error) {
+        // Keep the local cart usable; it is merged on the next successful load.
+        console.error('[Cart] Error loading saved cart:', error);
+        if (cancelled) return;
+        setCart(readLocalCart());
+        setCartOwner(null);
+      }
+    };
+
+    load();
+    return () => { cancelled = true; };
+  }, [authLoading, userId]);
+
+  // Persist the cart whenever it changes
   useEffect(() => {
-    try {
-      localStorage.setItem('pgifts_cart', JSON.stringify(cart));
-      console.log('[Cart] Saved cart to localStorage:', cart.length, 'items');
-    } catch (error) {
-      console.error('[Cart] Error saving cart to localStorage:', error);
+    if (cartOwner === undefined) return undefined;
+
+    if (cartOwner === null) {
+      try {
+        localStorage.setItem(LOCAL_CART_KEY, JSON.stringify(cart));
+        console.log('[Cart] Saved cart to localStorage:', cart.length, 'items');
+      } catch (error) {
+        console.error('[Cart] Error saving cart to localStorage:', error);
+      }
+      return undefined;
     }
-  }, [cart]);
+
+    const snapshot = storedSnapshot(cart);
+    if (snapshot === lastSavedRef.current) return undefined;
+
+    const timer = setTimeout(() => {
+      saveCart(cartOwner, cart)
+        .then(() => {
+          lastSavedRef.current = snapshot;
+          console.log('[Cart] Saved cart:', cart.length, 'items');
+        })
+        .catch((error) => console.error('[Cart] Error saving cart:', error));
+    }, SAVE_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [cart, cartOwner]);
 
   // Add item to cart
   const addToCart = (item) => {
@@ -59,6 +144,18 @@ export const CartProvider = ({ children }) => {
 
       setCart(prevCart => [...prevCart, cartItem]);
       console.log('[Cart] Added item to cart:', cartItem.product_name);
+
+      // Signed in: move the preview into storage rather than the carts row.
+      if (cartOwner && isDataUrl(cartItem.preview_image)) {
+        uploadCartPreviews(cartOwner, [cartItem]).then(([uploaded]) => {
+          if (!uploaded.preview_path) return;
+          setCart(prevCart => prevCart.map(i => (
+            i.id === uploaded.id
+              ? { ...i, preview_image: undefined, preview_path: uploaded.preview_path, preview_url: uploaded.preview_url }
+              : i
+          )));
+        });
+      }
       return cartItem;
     } catch (error) {
       console.error('[Cart] Error adding item to cart:', error);
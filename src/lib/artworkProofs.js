@@ -0,0 +1,42 @@
+/**
+ * Display helpers for the artwork proofing loop, shared by AdminOrderDetail
+ * and CustomerOrderDetail. Status / event values are the CHECK constraints
+ * on artwork_proofs / artwork_proof_events (20261019_artwork_proofs.sql).
+ */
+
+export const PROOF_STATUS_LABELS = {
+  awaiting_response: 'Awaiting approval',
+  approved: 'Approved',
+  changes_requested: 'Changes requested',
+  superseded: 'Superseded',
+};
+
+export const PROOF_STATUS_CLASSES = {
+  awaiting_response: 'bg-purple-100 text-purple-800',
+  approved: 'bg-green-100 text-green-800',
+  changes_requested: 'bg-amber-100 text-amber-800',
+  superseded: 'bg-gray-100 text-gray-600',
+};
+
+export const PROOF_EVENT_LABELS = {
+  uploaded: 'Proof uploaded',
+  emailed: 'Review link emailed',
+  superseded: 'Replaced by a newer version',
+  approved: 'Approved by customer',
+  changes_requested: 'Customer requested changes',
+};
+
+/** MIME types the browser can render inline as a proof preview. */
+export const PROOF_PREVIEW_TYPES = new Set(['image/png', 'image/jpeg', 'image/svg+xml', 'image/webp']);
+
+/**
+ * The single proof the customer can currently answer, or null. Only the
+ * newest version can be awaiting a response — publishing a new one
+ * supersedes the old.
+ *
+ * @param {Array<object>} proofs - artwork_proofs rows, any order
+ * @returns {object|null}
+ */
+export function getOutstandingProof(proofs) {
+  return (proofs || []).find((p) => p.status === 'awaiting_response') || null;
+}
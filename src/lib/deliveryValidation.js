@@ -67,3 +67,81 @@ export const DELIVERY_FIELD_LABELS = {
   fao: 'FAO / Contact name',
   phone: 'Delivery phone',
 };
+
+// Countries the delivery / address-book forms offer.
+export const DELIVERY_COUNTRIES = ['United Kingdom', 'Ireland', 'United States', 'Canada', 'Australia'];
+
+// Postcode formats for DELIVERY_COUNTRIES. Each entry
+// normalises a match to the carrier-friendly spelling. Countries without an
+// entry accept any non-empty postcode.
+const POSTCODE_RULES = {
+  'United Kingdom': {
+    pattern: /^([A-Z]{1,2}\d[A-Z\d]?)\s*(\d[A-Z]{2})$/,
+    format: (m) => `${m[1]} ${m[2]}`,
+    example: 'SW1A 1AA',
+  },
+  Ireland: {
+    // Eircode: routing key + unique identifier.
+    pattern: /^([AC-FHKNPRTV-Y]\d{2}|D6W)\s*([0-9AC-FHKNPRTV-Y]{4})$/,
+    format: (m) => `${m[1]} ${m[2]}`,
+    example: 'D02 X285',
+  },
+  'United States': {
+    pattern: /^(\d{5})(?:[\s-]*(\d{4}))?$/,
+    format: (m) => (m[2] ? `${m[1]}-${m[2]}` : m[1]),
+    example: '10001',
+  },
+  Canada: {
+    pattern: /^([ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z])\s*(\d[ABCEGHJ-NPRSTV-Z]\d)$/,
+    format: (m) => `${m[1]} ${m[2]}`,
+    example: 'K1A 0B1',
+  },
+  Australia: {
+    pattern: /^(\d{4})$/,
+    format: (m) => m[1],
+    example: '2000',
+  },
+};
+
+/**
+ * Check a postcode against its country's format.
+ *
+ * @param {string} postcode
+ * @param {string} country - one of DELIVERY_COUNTRIES
+ * @returns {{ valid: boolean, normalised: string, example: string|null }}
+ *   normalised is the formatted postcode when valid, else the trimmed input.
+ */
+export function validatePostcode(postcode, country) {
+  const raw = String(postcode || '').trim().toUpperCase();
+  const rule = POSTCODE_RULES[country];
+  if (!raw) return { valid: false, normalised: '', example: rule?.example || null };
+  if (!rule) return { valid: true, normalised: raw, example: null };
+  const m = raw.match(rule.pattern);
+  return m
+    ? { valid: true, normalised: rule.format(m), example: rule.example }
+    : { valid: false, normalised: raw, example: rule.example };
+}
+
+/**
+ * Validate a shipping_address-shaped object for saving (address book,
+ * delivery form): the four address fields are required and the postcode must
+ * match its country. fao / phone stay soft here — the approval gate above
+ * enforces them.
+ *
+ * @param {object} address
+ * @returns {{ valid: boolean, missing: string[], postcodeError: string|null }}
+ */
+export function validateAddress(address) {
+  const addr = address || {};
+  const missing = ['line1', 'city', 'postcode', 'country'].filter(
+    (f) => !addr[f] || String(addr[f]).trim() === '',
+  );
+  let postcodeError = null;
+  if (!missing.includes('postcode')) {
+    const { valid, example } = validatePostcode(addr.postcode, addr.country);
+    if (!valid) {
+      postcodeError = `That doesn't look like a ${addr.country} postcode${example ? ` (e.g. ${example})` : ''}.`;
+    }
+  }
+  return { valid: missing.length === 0 && !postcodeError, missing, postcodeError };
+}
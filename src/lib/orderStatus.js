@@ -0,0 +1,99 @@
+/**
+ * Display helpers for the order lifecycle, shared by AdminOrderDetail and
+ * CustomerOrderDetail. Timeline rows are order_status_events
+ * (20261019_order_status_timeline.sql); 'shipped' / 'completed' are the
+ * legacy spellings of 'dispatched' / 'delivered'.
+ */
+
+export const ORDER_STATUS_LABELS = {
+  pending: 'Pending',
+  confirmed: 'Confirmed',
+  approved: 'Approved',
+  in_production: 'In production',
+  dispatched: 'Dispatched',
+  shipped: 'Dispatched',
+  delivered: 'Delivered',
+  completed: 'Delivered',
+  cancelled: 'Cancelled',
+};
+
+export const ORDER_STATUS_CLASSES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  confirmed: 'bg-blue-100 text-blue-800',
+  approved: 'bg-indigo-100 text-indigo-800',
+  in_production: 'bg-purple-100 text-purple-800',
+  dispatched: 'bg-cyan-100 text-cyan-800',
+  shipped: 'bg-cyan-100 text-cyan-800',
+  delivered: 'bg-green-100 text-green-800',
+  completed: 'bg-green-100 text-green-800',
+  cancelled: 'bg-red-100 text-red-800',
+};
+
+// Mirrors the artwork labels on AdminOrderDetail, in the customer's words.
+const ARTWORK_EVENT_LABELS = {
+  pending_artwork: 'Waiting for artwork',
+  artwork_uploaded: 'Artwork received',
+  in_review: 'Artwork in review',
+  proof_sent: 'Proof sent',
+  approved: 'Artwork approved',
+  in_production: 'Artwork in production',
+};
+
+// Fulfilment moves staff can make from each status (advance_order_status is
+// forward-only). Empty / missing = nothing further.
+const FULFILMENT_STEPS = ['in_production', 'dispatched', 'delivered'];
+const FULFILMENT_RANK = {
+  pending: 0,
+  confirmed: 1,
+  approved: 2,
+  in_production: 3,
+  dispatched: 4,
+  shipped: 4,
+  delivered: 5,
+  completed: 5,
+};
+
+/**
+ * Fulfilment statuses an order can move forward to.
+ *
+ * @param {string} status - orders.status
+ * @returns {string[]}
+ */
+export function nextFulfilmentStatuses(status) {
+  const rank = FULFILMENT_RANK[status];
+  if (rank == null) return [];
+  return FULFILMENT_STEPS.filter((s) => FULFILMENT_RANK[s] > rank);
+}
+
+// Transitions send-order-status-email has a template for (its TEMPLATES keys).
+const EMAILED_TRANSITIONS = new Set([
+  'artwork_status:in_review',
+  'artwork_status:approved',
+  'status:in_production',
+  'status:dispatched',
+  'status:delivered',
+]);
+
+/** Whether the customer is emailed about this timeline row. */
+export const isEmailedStatusEvent = (event) =>
+  EMAILED_TRANSITIONS.has(`${event.field}:${event.to_status}`);
+
+export const ACTOR_LABELS = {
+  staff: 'PGifts team',
+  customer: 'Customer',
+  system: 'System',
+};
+
+/**
+ * Headline for one timeline row, e.g. 'Dispatched' or 'Artwork approved'.
+ *
+ * @param {object} event - order_status_events row
+ * @returns {string}
+ */
+export function statusEventLabel(event) {
+  if (event.field === 'artwork_status') {
+    return ARTWORK_EVENT_LABELS[event.to_status] || event.to_status;
+  }
+  if (event.from_status == null) return `Order placed — ${ORDER_STATUS_LABELS[event.to_status] || event.to_status}`;
+  return ORDER_STATUS_LABELS[event.to_status] || event.to_status;
+}
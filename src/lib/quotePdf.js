@@ -0,0 +1,328 @@
+/**
+ * Branded quote PDF — the formal document B2B buyers attach to an internal
+ * purchase-approval request. Generated client-side with jsPDF from the same
+ * rows the quotes pages already load (quote + quote_items + the customer's
+ * customer_profiles row), so the customer and admin downloads are identical.
+ *
+ * Money comes from the STORED values: quotes.subtotal / tax_amount /
+ * total_amount (maintained by recompute_quote_total) and the generated
+ * quote_items.line_vat. The vat.js helpers are only a fallback for rows
+ * written before the VAT columns existed — the DB is authoritative (see the
+ * header of utils/vat.js).
+ *
+ * Identity comes from BUSINESS (config/business.js): trading name in the
+ * heading, trading address as the supplier address, and the Companies Act
+ * disclosure line in the footer.
+ */
+
+import jsPDF from 'jspdf';
+import { BUSINESS } from '../config/business';
+import { round2, standardLineVat, zeroRatedLineVat, VAT_RATE } from '../utils/vat';
+import { formatPrintAreaSelections } from '../utils/printAreaFormat';
+import { formatSizeBreakdown } from '../utils/laltexSizes';
+
+// No valid_until column on quotes — validity is a fixed window from creation.
+export const QUOTE_VALIDITY_DAYS = 30;
+
+const PAGE_W = 210;
+const PAGE_H = 297;
+const MARGIN = 15;
+const CONTENT_W = PAGE_W - MARGIN * 2;
+const FOOTER_Y = PAGE_H - 12;
+const BRAND_RGB = [29, 78, 216]; // blue-700 — matches the site's primary buttons
+
+// Table columns (x = left edge, mm). Item description wraps; numbers are
+// right-aligned to the column's right edge.
+const COLS = {
+  item: { x: MARGIN, w: 86 },
+  qty: { right: MARGIN + 104 },
+  unit: { right: MARGIN + 130 },
+  net: { right: MARGIN + 155 },
+  vat: { right: MARGIN + CONTENT_W },
+};
+
+/** Date the quote stops being valid (created_at + QUOTE_VALIDITY_DAYS). */
+export function quoteValidUntil(quote) {
+  const created = quote?.created_at ? new Date(quote.created_at) : new Date();
+  const d = new Date(created);
+  d.setDate(d.getDate() + QUOTE_VALIDITY_DAYS);
+  return d;
+}
+
+/**
+ * Net + VAT for one quote_item. Zero-rated lines (taxable_net_unit set)
+ * only carry VAT on the services portion.
+ */
+export function quoteLineAmounts(item) {
+  const qty = Number(item?.quantity) || 0;
+  const net = round2(qty * (Number(item?.unit_price) || 0));
+  const zeroRated = item?.taxable_net_unit != null;
+  let vat;
+  if (item?.line_vat != null) vat = Number(item.line_vat);
+  else if (zeroRated) vat = zeroRatedLineVat(qty * Number(item.taxable_net_unit));
+  else vat = standardLineVat(net);
+  return { net, vat, zeroRated };
+}
+
+function formatMoney(amount) {
+  return `£${(Number(amount) || 0).toFixed(2)}`;
+}
+
+function formatDate(value) {
+  return new Date(value).toLocaleDateString('en-GB', {
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric',
+  });
+}
+
+function addressLines(addr) {
+  if (!addr) return [];
+  return [
+    addr.company,
+    addr.fao ? `FAO: ${addr.fao}` : null,
+    addr.line1,
+    addr.line2,
+    [addr.city, addr.county].filter(Boolean).join(', '),
+    addr.postcode,
+    addr.country,
+    addr.phone ? `Tel: ${addr.phone}` : null,
+  ].filter((l) => l && String(l).trim());
+}
+
+function customerLines(customer, fallbackEmail) {
+  const name =
+    customer?.contact_name ||
+    [customer?.first_name, customer?.last_name].filter(Boolean).join(' ').trim() ||
+    null;
+  return [name, customer?.company_name, customer?.email || fallbackEmail].filter(Boolean);
+}
+
+/**
+ * Build the quote PDF.
+ *
+ * @param {object} quote - quotes row with its `quote_items` array embedded
+ * @param {object} [opts]
+ * @param {object|null} [opts.customer] - customer_profiles row for "Quote for"
+ * @param {string|null} [opts.customerEmail] - fallback when the profile has none
+ * @returns {jsPDF}
+ */
+export function buildQuotePdf(quote, { customer = null, customerEmail = null } = {}) {
+  const pdf = new jsPDF({ orientation: 'portrait', unit: 'mm', format: 'a4' });
+  const items = quote?.quote_items || [];
+
+  // ---- Header band: supplier identity (left) + quote meta (right) ----
+  pdf.setFillColor(...BRAND_RGB);
+  pdf.rect(0, 0, PAGE_W, 4, 'F');
+
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(20);
+  pdf.setTextColor(...BRAND_RGB);
+  pdf.text(BUSINESS.tradingName, MARGIN, 20);
+
+  pdf.setFont('helvetica', 'normal');
+  pdf.setFontSize(9);
+  pdf.setTextColor(75, 85, 99);
+  let y = 26;
+  for (const line of [
+    ...BUSINESS.tradingAddress,
+    `Tel: ${BUSINESS.phone}`,
+    BUSINESS.email,
+    `VAT No: ${BUSINESS.vatNumber}`,
+  ]) {
+    pdf.text(line, MARGIN, y);
+    y += 4;
+  }
+
+  const metaX = PAGE_W - MARGIN;
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(16);
+  pdf.setTextColor(17, 24, 39);
+  pdf.text('QUOTATION', metaX, 20, { align: 'right' });
+  pdf.setFontSize(9);
+  const meta = [
+    ['Quote no.', quote?.quote_number || String(quote?.id || '').slice(0, 8)],
+    ['Date', formatDate(quote?.created_at || Date.now())],
+    ['Valid until', formatDate(quoteValidUntil(quote))],
+    ['PO number', quote?.po_number || '—'],
+  ];
+  let metaY = 28;
+  for (const [label, value] of meta) {
+    pdf.setFont('helvetica', 'normal');
+    pdf.setTextColor(107, 114, 128);
+    pdf.text(label, metaX - 45, metaY);
+    pdf.setFont('helvetica', 'bold');
+    pdf.setTextColor(17, 24, 39);
+    pdf.text(String(value), metaX, metaY, { align: 'right' });
+    metaY += 5;
+  }
+
+  // ---- Quote for / Deliver to ----
+  y = Math.max(y, metaY) + 6;
+  const blockTop = y;
+  const drawBlock = (title, lines, x) => {
+    let by = blockTop;
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(8);
+    pdf.setTextColor(107, 114, 128);
+    pdf.text(title.toUpperCase(), x, by);
+    by += 5;
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(9);
+    pdf.setTextColor(17, 24, 39);
+    for (const line of lines.length ? lines : ['—']) {
+      pdf.text(String(line), x, by);
+      by += 4.2;
+    }
+    return by;
+  };
+  const leftEnd = drawBlock('Quote for', customerLines(customer, customerEmail), MARGIN);
+  const deliveryLines = addressLines(quote?.shipping_address);
+  const rightEnd = drawBlock(
+    'Deliver to',
+    deliveryLines.length ? deliveryLines : ['To be confirmed'],
+    MARGIN + CONTENT_W / 2,
+  );
+  y = Math.max(leftEnd, rightEnd) + 6;
+
+  // ---- Line items ----
+  const drawTableHeader = () => {
+    pdf.setFillColor(243, 244, 246);
+    pdf.rect(MARGIN, y - 4.5, CONTENT_W, 7, 'F');
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(8);
+    pdf.setTextColor(55, 65, 81);
+    pdf.text('Item', COLS.item.x + 1, y);
+    pdf.text('Qty', COLS.qty.right, y, { align: 'right' });
+    pdf.text('Unit (ex VAT)', COLS.unit.right, y, { align: 'right' });
+    pdf.text('Net', COLS.net.right, y, { align: 'right' });
+    pdf.text('VAT', COLS.vat.right, y, { align: 'right' });
+    y += 6;
+  };
+  const ensureSpace = (needed, withHeader) => {
+    if (y + needed <= FOOTER_Y - 8) return;
+    pdf.addPage();
+    y = MARGIN + 5;
+    if (withHeader) drawTableHeader();
+  };
+
+  drawTableHeader();
+  let anyZeroRated = false;
+  for (const item of items) {
+    const { net, vat, zeroRated } = quoteLineAmounts(item);
+    if (zeroRated) anyZeroRated = true;
+
+    const detailLines = [];
+    if (item.color) detailLines.push(`Colour: ${item.color}`);
+    const printAreas = formatPrintAreaSelections(item.print_areas);
+    if (printAreas) detailLines.push(`Print: ${printAreas}`);
+    const sizes = formatSizeBreakdown(item.size_breakdown);
+    if (sizes) detailLines.push(`Sizes: ${sizes}`);
+    if (zeroRated) detailLines.push('Garment zero-rated; VAT on print & delivery only *');
+
+    pdf.setFontSize(9);
+    const nameLines = pdf.splitTextToSize(item.product_name || 'Item', COLS.item.w);
+    pdf.setFontSize(7.5);
+    const wrappedDetail = detailLines.flatMap((l) => pdf.splitTextToSize(l, COLS.item.w));
+    const rowH = nameLines.length * 4 + wrappedDetail.length * 3.4 + 3;
+    ensureSpace(rowH, true);
+
+    const rowTop = y;
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(9);
+    pdf.setTextColor(17, 24, 39);
+    pdf.text(nameLines, COLS.item.x + 1, y);
+    pdf.setFont('helvetica', 'normal');
+    pdf.text(String(item.quantity ?? '—'), COLS.qty.right, rowTop, { align: 'right' });
+    pdf.text(formatMoney(item.unit_price), COLS.unit.right, rowTop, { align: 'right' });
+    pdf.text(formatMoney(net), COLS.net.right, rowTop, { align: 'right' });
+    pdf.text(formatMoney(vat), COLS.vat.right, rowTop, { align: 'right' });
+    y += nameLines.length * 4;
+
+    if (wrappedDetail.length) {
+      pdf.setFontSize(7.5);
+      pdf.setTextColor(107, 114, 128);
+      pdf.text(wrappedDetail, COLS.item.x + 1, y - 0.5);
+      y += wrappedDetail.length * 3.4;
+    }
+    y += 1;
+    pdf.setDrawColor(229, 231, 235);
+    pdf.line(MARGIN, y, MARGIN + CONTENT_W, y);
+    y += 5;
+  }
+
+  // ---- Totals (stored values; fall back to the line sums) ----
+  const lineNet = round2(items.reduce((s, i) => s + quoteLineAmounts(i).net, 0));
+  const lineVat = round2(items.reduce((s, i) => s + quoteLineAmounts(i).vat, 0));
+  const hasStored = Number(quote?.subtotal) > 0 || Number(quote?.tax_amount) > 0;
+  const subtotal = hasStored ? Number(quote.subtotal) : lineNet;
+  const taxAmount = hasStored ? Number(quote.tax_amount) : lineVat;
+  const discount = Number(quote?.discount_amount) || 0;
+  const total = hasStored && quote?.total_amount != null
+    ? Number(quote.total_amount)
+    : round2(subtotal - discount + taxAmount);
+
+  ensureSpace(24, false);
+  const labelX = COLS.net.right - 30;
+  const totals = [
+    ['Subtotal (ex VAT)', formatMoney(subtotal)],
+    ...(discount > 0 ? [[`Discount (${quote.promo_code})`, `-${formatMoney(discount)}`]] : []),
+    [`VAT @ ${Math.round(VAT_RATE * 100)}%`, formatMoney(taxAmount)],
+  ];
+  pdf.setFontSize(9);
+  for (const [label, value] of totals) {
+    pdf.setFont('helvetica', 'normal');
+    pdf.setTextColor(75, 85, 99);
+    pdf.text(label, labelX, y);
+    pdf.text(value, COLS.vat.right, y, { align: 'right' });
+    y += 5;
+  }
+  pdf.setDrawColor(17, 24, 39);
+  pdf.line(labelX, y - 2.5, COLS.vat.right, y - 2.5);
+  y += 2;
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(11);
+  pdf.setTextColor(17, 24, 39);
+  pdf.text('Total', labelX, y);
+  pdf.text(formatMoney(total), COLS.vat.right, y, { align: 'right' });
+  y += 10;
+
+  // ---- Notes ----
+  const notes = [
+    `This quotation is valid until ${formatDate(quoteValidUntil(quote))}. Prices are in GBP.`,
+    'Production starts once payment is received and artwork is approved.',
+  ];
+  if (anyZeroRated) {
+    notes.push('* Children\'s clothing is zero-rated for UK VAT; print, setup and delivery on those lines are charged at the standard rate.');
+  }
+  if (quote?.notes) notes.push(`Notes: ${quote.notes}`);
+  pdf.setFont('helvetica', 'normal');
+  pdf.setFontSize(8);
+  pdf.setTextColor(75, 85, 99);
+  for (const note of notes) {
+    const wrapped = pdf.splitTextToSize(note, CONTENT_W);
+    ensureSpace(wrapped.length * 3.6, false);
+    pdf.text(wrapped, MARGIN, y);
+    y += wrapped.length * 3.6 + 1.5;
+  }
+
+  // ---- Footer on every page ----
+  const pageCount = pdf.getNumberOfPages();
+  for (let p = 1; p <= pageCount; p += 1) {
+    pdf.setPage(p);
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(7);
+    pdf.setTextColor(156, 163, 175);
+    pdf.text(`${BUSINESS.disclosure} VAT No: ${BUSINESS.vatNumber}`, MARGIN, FOOTER_Y);
+    pdf.text(`Page ${p} of ${pageCount}`, PAGE_W - MARGIN, FOOTER_Y, { align: 'right' });
+  }
+
+  return pdf;
+}
+
+/** Build and trigger a browser download of the quote PDF. */
+export function downloadQuotePdf(quote, opts) {
+  const pdf = buildQuotePdf(quote, opts);
+  const ref = quote?.quote_number || String(quote?.id || 'quote').slice(0, 8);
+  pdf.save(`promo-gifts-quote-${ref}.pdf`);
+}
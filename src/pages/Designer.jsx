@@ -7,11 +7,13 @@ import { createMockSupabase } from '../utils/mockAuth';
 import productsConfig from '../config/products.json';
 import { applyColorOverlay, needsColorOverlay, getOptimalIntensity } from '../utils/colorOverlay';
 import { cacheColoredImage, getCachedImage } from '../utils/imageCache';
-import { exportCanvasAsPNG, exportCanvasAsPDF } from '../utils/fabricCanvasManager';
+import { exportCanvasAsPNG, exportCanvasAsPDF, useCanvasHistory } from '../utils/fabricCanvasManager';
 import AuthModal from '../components/auth/AuthModal';
 import { createQuoteFromDesign } from '../services/quoteService';
 import WaterBottle3DPreview from '../components/WaterBottle3DPreview';
 import ChiCup3DPreview from '../components/ChiCup3DPreview';
+import BrandKitPanel from '../components/BrandKitPanel';
+import { scaleToFitPrintArea } from '../utils/printAreaHelpers';
 import {
   getProductTemplates,
   getPrintAreasByProductView,
@@ -57,7 +59,9 @@ import {
   Plus,
   X,
   Loader,
-  ShoppingCart
+  ShoppingCart,
+  Undo2,
+  Redo2
 } from 'lucide-react';
 
 // Use shared Supabase client from supabaseService (singleton pattern)
@@ -4221,6 +4225,14 @@ const Designer = () => {
     return null;
   };
 
+  // Undo / redo (shared with DesignerV2 via fabricCanvasManager). The
+  // stack resets whenever the colour, view or active print area changes,
+  // and when print areas are hidden — those paths swap the user objects
+  // on the canvas wholesale, so earlier snapshots no longer apply.
+  const history = useCanvasHistory(canvas, {
+    resetKey: [selectedProduct, selectedColorId, selectedColor, selectedView, activePrintArea, printAreasVisible].join('|'),
+  });
+
   const addText = () => {
     console.log('[Designer] addText called:', {
       hasCanvas: !!canvas,
@@ -4255,10 +4267,11 @@ const Designer = () => {
 
     console.log('[Designer] Text marked as user-text with ID:', text.id);
 
-    canvas.add(text);
-    canvas.setActiveObject(text);
-
-    canvas.renderAll();
+    history.track(() => {
+      canvas.add(text);
+      canvas.setActiveObject(text);
+      canvas.renderAll();
+    });
 
     console.log('[Designer] [OK] Text added successfully with name:', text.name);
   };
@@ -4343,10 +4356,11 @@ const Designer = () => {
         console.log('[Designer] Adding image to canvas at:', img.left, img.top);
         console.log('[Designer] Image marked as user-image with ID:', img.id);
 
-        canvas.add(img);
-        canvas.setActiveObject(img);
-
-        canvas.renderAll();
+        history.track(() => {
+          canvas.add(img);
+          canvas.setActiveObject(img);
+          canvas.renderAll();
+        });
 
         console.log('[Designer] [OK] Image added successfully with name:', img.name);
 
@@ -4358,16 +4372,92 @@ const Designer = () => {
     reader.readAsDataURL(file);
   };
 
+  // Brand kit logo: scaled to fit the active print guide (or the current
+  // print area in canvas px) and centred in it — one click, no upload.
+  const handlePlaceBrandLogo = (dataUrl) => {
+    if (!canvas) return;
+    fabric.Image.fromURL(dataUrl, (img) => {
+      if (!img || !img._element) {
+        alert('Failed to load the logo. Please try again.');
+        return;
+      }
+      const guide = canvas.getObjects().find(obj =>
+        obj.isPrintAreaGuide &&
+        typeof obj.name === 'string' &&
+        obj.name.startsWith('print-area-guide-')
+      );
+      let box;
+      if (guide) {
+        const r = guide.getBoundingRect(true, true);
+        box = { x: r.left, y: r.top, width: r.width, height: r.height };
+      } else if (currentPrintArea) {
+        box = {
+          x: currentPrintArea.x * imageScale,
+          y: currentPrintArea.y * imageScale,
+          width: currentPrintArea.width * imageScale,
+          height: currentPrintArea.height * imageScale,
+        };
+      } else {
+        box = { x: 0, y: 0, width: canvas.width, height: canvas.height };
+      }
+
+      const { scale } = scaleToFitPrintArea({ width: img.width, height: img.height }, box);
+      img.scale(scale);
+      img.set({
+        left: box.x + box.width / 2,
+        top: box.y + box.height / 2,
+        originX: 'center',
+        originY: 'center',
+        selectable: true,
+        evented: true,
+        name: 'user-image',  // Mark as user image
+        id: 'img-' + Date.now()  // Unique ID
+      });
+
+      history.track(() => {
+        canvas.add(img);
+        canvas.setActiveObject(img);
+        canvas.renderAll();
+      });
+    });
+  };
+
+  // Brand kit swatches restyle the selected text / shape and become the
+  // defaults for the next text added.
+  const applyBrandColour = (hex) => {
+    setTextColor(hex);
+    const obj = canvas?.getActiveObject();
+    if (obj && obj.type !== 'image' && obj.id !== 'printAreaOverlay') {
+      history.track(() => {
+        obj.set('fill', hex);
+        canvas.renderAll();
+      });
+    }
+  };
+
+  const applyBrandFont = (family) => {
+    setTextFont(family);
+    const obj = canvas?.getActiveObject();
+    if (obj && obj.type === 'i-text') {
+      history.track(() => {
+        obj.set('fontFamily', family);
+        canvas.renderAll();
+      });
+    }
+  };
+
   const deleteSelected = () => {
     if (!canvas) return;
     const activeObjects = canvas.getActiveObjects();
-    activeObjects.forEach(obj => {
-      if (obj.id !== 'printAreaOverlay') {
-        canvas.remove(obj);
-      }
+    history.track(() => {
+      activeObjects.forEach(obj => {
+        if (obj.id !== 'printAreaOverlay') {
+          canvas.remove(obj);
+        }
+      });
+      canvas.discardActiveObject();
+      canvas.renderAll();
     });
-    canvas.discardActiveObject();
-    canvas.renderAll();
   };
 
   const rotateSelected = (direction) => {
@@ -4375,8 +4465,10 @@ const Designer = () => {
     const activeObject = canvas.getActiveObject();
     if (activeObject && activeObject.id !== 'printAreaOverlay') {
       const currentAngle = activeObject.angle || 0;
-      activeObject.rotate(currentAngle + (direction === 'left' ? -15 : 15));
-      canvas.renderAll();
+      history.track(() => {
+        activeObject.rotate(currentAngle + (direction === 'left' ? -15 : 15));
+        canvas.renderAll();
+      }, { mergeKey: `rotate:${activeObject.id || 'selection'}` });
     }
   };
 
@@ -4388,47 +4480,50 @@ const Designer = () => {
     const currentLeft = activeObject.left || 0;
     const currentTop = activeObject.top || 0;
 
-    switch (direction) {
-      case 'up':
-        activeObject.set('top', currentTop - distance);
-        break;
-      case 'down':
-        activeObject.set('top', currentTop + distance);
-        break;
-      case 'left':
-        activeObject.set('left', currentLeft - distance);
-        break;
-      case 'right':
-        activeObject.set('left', currentLeft + distance);
-        break;
-      case 'up-left':
-        activeObject.set({
-          left: currentLeft - distance,
-          top: currentTop - distance
-        });
-        break;
-      case 'up-right':
-        activeObject.set({
-          left: currentLeft + distance,
-          top: currentTop - distance
-        });
-        break;
-      case 'down-left':
-        activeObject.set({
-          left: currentLeft - distance,
-          top: currentTop + distance
-        });
-        break;
-      case 'down-right':
-        activeObject.set({
-          left: currentLeft + distance,
-          top: currentTop + distance
-        });
-        break;
-    }
+    // Rapid nudges of the same object collapse into one undo step.
+    history.track(() => {
+      switch (direction) {
+        case 'up':
+          activeObject.set('top', currentTop - distance);
+          break;
+        case 'down':
+          activeObject.set('top', currentTop + distance);
+          break;
+        case 'left':
+          activeObject.set('left', currentLeft - distance);
+          break;
+        case 'right':
+          activeObject.set('left', currentLeft + distance);
+          break;
+        case 'up-left':
+          activeObject.set({
+            left: currentLeft - distance,
+            top: currentTop - distance
+          });
+          break;
+        case 'up-right':
+          activeObject.set({
+            left: currentLeft + distance,
+            top: currentTop - distance
+          });
+          break;
+        case 'down-left':
+          activeObject.set({
+            left: currentLeft - distance,
+            top: currentTop + distance
+          });
+          break;
+        case 'down-right':
+          activeObject.set({
+            left: currentLeft + distance,
+            top: currentTop + distance
+          });
+          break;
+      }
 
-    activeObject.setCoords();
-    canvas.renderAll();
+      activeObject.setCoords();
+      canvas.renderAll();
+    }, { mergeKey: `nudge:${activeObject.id || 'selection'}` });
   };
 
   // Keyboard shortcuts for nudging
@@ -5752,6 +5847,16 @@ const Designer = () => {
                   />
                 </div>
 
+                {/* Brand Kit — saved logos, colours and fonts */}
+                <BrandKitPanel
+                  user={user}
+                  disabled={!printAreasLoaded}
+                  onPlaceLogo={handlePlaceBrandLogo}
+                  onApplyColour={applyBrandColour}
+                  onApplyFont={applyBrandFont}
+                  onSignIn={() => setGuestAuthGateOpen(true)}
+                />
+
                 {/* Text Options */}
                 <div>
                   <h4 className="text-sm font-medium text-gray-700 mb-2">Text Options</h4>
@@ -5882,6 +5987,26 @@ const Designer = () => {
                 {/* Transform Tools */}
                 <div>
                   <h4 className="text-sm font-medium text-gray-700 mb-2">Transform</h4>
+                  <div className="grid grid-cols-2 gap-2 mb-2">
+                    <button
+                      onClick={history.undo}
+                      disabled={!history.canUndo}
+                      title="Undo (Ctrl+Z)"
+                      className="flex items-center justify-center gap-1 px-3 py-2 bg-white text-gray-700 border-2 border-gray-300 rounded-md hover:border-gray-400 disabled:opacity-40 text-sm"
+                    >
+                      <Undo2 className="w-4 h-4" />
+                      Undo
+                    </button>
+                    <button
+                      onClick={history.redo}
+                      disabled={!history.canRedo}
+                      title="Redo (Ctrl+Shift+Z)"
+                      className="flex items-center justify-center gap-1 px-3 py-2 bg-white text-gray-700 border-2 border-gray-300 rounded-md hover:border-gray-400 disabled:opacity-40 text-sm"
+                    >
+                      <Redo2 className="w-4 h-4" />
+                      Redo
+                    </button>
+                  </div>
                   <div className="grid grid-cols-3 gap-2">
                     <button
                       onClick={() => rotateSelected('left')}
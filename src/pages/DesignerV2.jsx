@@ -10,8 +10,8 @@
  *   - Per-colour coordinate sets supported (Laltex returns separate
  *     coordinates per colour for left/right-handed variants)
  *   - Uses the supplier-agnostic helpers in utils/fabricCanvasManager.js
- *     for save snapshot, export, and the deferred-design-apply race
- *     guard (CLAUDE.md §8.1)
+ *     for save snapshot, export, undo/redo history, and the
+ *     deferred-design-apply race guard (CLAUDE.md §8.1)
  *
  * Lifecycle:
  *   1. Mount → init Fabric canvas (800x800, background #f8f9fa)
@@ -33,7 +33,17 @@
  *     v2's product reference. v1 designs leave this NULL and use
  *     product_id / product_key instead.
  *   - user_designs.print_area: text — position name (e.g. "Wrap", "Front")
+ *   - user_designs.print_positions: JSONB — every position with content
+ *     (20261019_design_print_positions.sql). design_data / print_area
+ *     stay the position on screen at save time.
  *   - user_designs.user_id OR session_id: existing v1 contract
+ *
+ * Multi-position designs:
+ *   The canvas shows one position at a time. Switching tabs snapshots
+ *   the outgoing position's user objects into positionDesignsRef and
+ *   enlivens the incoming one's; colour swaps keep the objects in place.
+ *   Each position carries its own print colour count, which the quote
+ *   prices per position (LaltexProductView ?design=<id> pre-load).
  */
 
 import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
@@ -51,6 +61,10 @@ import {
   Loader,
   AlertCircle,
   Plus,
+  Undo2,
+  Redo2,
+  ShoppingCart,
+  Layers,
 } from 'lucide-react';
 
 import { useAuth } from '../context/AuthContext';
@@ -68,9 +82,18 @@ import {
   captureUserCanvasJSON,
   captureCanvasThumbnail,
   useDeferredDesignApply,
+  useCanvasHistory,
   isUserObject,
+  captureUserArtworkPixels,
 } from '../utils/fabricCanvasManager';
-import { prettyPrintArea } from '../utils/printAreaFormat';
+import { countSpotColours, suggestColourCount } from '../utils/artworkColours';
+import { isScreenPrintRow } from '../utils/screenPrintBase';
+import { prettyPrintArea, findSavedRowIndex } from '../utils/printAreaFormat';
+import { availableColourCounts } from '../utils/laltexPricing';
+import { canRenderTemplate, templateProxyUrl, renderTemplateGuide } from '../utils/artworkTemplates';
+import { scaleToFitPrintArea } from '../utils/printAreaHelpers';
+import { resolveImageUrl } from '../utils/productMockup';
+import BrandKitPanel from '../components/BrandKitPanel';
 import {
   isBucketADesignable,
   isPositionDesignable,
@@ -78,34 +101,33 @@ import {
 
 const CANVAS_SIZE = 800;
 
+// Artwork colour analysis runs this long after the last canvas change,
+// so a drag or a burst of typing is analysed once.
+const ARTWORK_ANALYSIS_DEBOUNCE_MS = 400;
+
 // Object IDs follow v1's conventions so fabricCanvasManager's filters
 // (isUserObject, captureUserCanvasJSON) recognise them as chrome.
 const TEMPLATE_IMAGE_ID = 'template-image';
 const PRINT_AREA_OVERLAY_ID = 'printAreaOverlay';
-
-// Hosts whose images must be loaded via /api/proxy-image so the canvas
-// stays un-tainted on Fabric draw. The proxy adds CORS headers; without
-// that, canvas.toDataURL() throws SecurityError on PNG/PDF export.
-// Mirrors the server-side ALLOWED_HOSTS in api/proxy-image.js — CLAUDE.md §39.
-const PROXIED_IMAGE_HOSTS = new Set([
-  'laltex-extranet.co.uk',
-]);
-
-function resolveImageUrl(rawUrl) {
-  try {
-    const parsed = new URL(rawUrl, window.location.origin);
-    if (PROXIED_IMAGE_HOSTS.has(parsed.hostname.toLowerCase())) {
-      return {
-        url: `/api/proxy-image?url=${encodeURIComponent(rawUrl)}`,
-        crossOrigin: 'anonymous',
-      };
-    }
-  } catch {
-    // Fall through to raw passthrough.
-  }
-  return { url: encodeURI(rawUrl), crossOrigin: undefined };
+const TEMPLATE_GUIDE_ID = 'template-guide';
+
+// The supplier dieline is drawn multiplied over the product photo (white
+// paper drops out) at this opacity, so the photo stays readable under it.
+const TEMPLATE_GUIDE_OPACITY = 0.7;
+
+// Row index inside `group` for a saved (area, printClass) pair, falling
+// back to the group's default row.
+function matchSavedRow(group, savedArea, savedClass) {
+  const rowIdx = findSavedRowIndex(group, savedArea, savedClass);
+  if (rowIdx >= 0) return rowIdx;
+  console.warn(
+    `[DesignerV2] Saved design row (${savedArea}, ${savedClass}) not found for "${group.name}"; falling back to default`,
+  );
+  return group.defaultRowIndex;
 }
 
+const hasUserObjects = (designJSON) => (designJSON?.objects?.length || 0) > 0;
+
 const DesignerV2 = () => {
   const { productCode } = useParams();
   const [searchParams] = useSearchParams();
@@ -133,6 +155,9 @@ const DesignerV2 = () => {
   const [canvas, setCanvas] = useState(null);
   const [pendingDesignData, setPendingDesignData] = useState(null);
   const [printAreasLoaded, setPrintAreasLoaded] = useState(false);
+  // Bumped each time the template image + overlay are rebuilt, so the
+  // template guide re-fits to the new print area.
+  const [chromeVersion, setChromeVersion] = useState(0);
 
   // -------- Selection state --------
   // Position picks are keyed by unique position name (post-§43 model).
@@ -143,16 +168,43 @@ const DesignerV2 = () => {
   const [activeRowByPosition, setActiveRowByPosition] = useState({});
   const [selectedColourId, setSelectedColourId] = useState(null);
 
+  // -------- Multi-position state --------
+  // Print colour count per position name (priced per position on the
+  // quote). Options come from the selected row's tiers.
+  const [coloursByPosition, setColoursByPosition] = useState({});
+  // Which positions hold customer artwork — drives the tab markers.
+  const [filledPositions, setFilledPositions] = useState({});
+  // Spot-colour analysis per position (artworkColours.countSpotColours):
+  // { count, colours, photographic } or null for no artwork.
+  const [artworkByPosition, setArtworkByPosition] = useState({});
+  // User-object snapshots (captureUserCanvasJSON shape) for positions
+  // NOT currently on the canvas. The active position lives on the canvas.
+  const positionDesignsRef = useRef({});
+  // Mirrors activePositionName for Fabric event handlers.
+  const activePositionRef = useRef(null);
+  // Position whose snapshot is still being enlivened onto the canvas.
+  const enlivenPendingRef = useRef(null);
+
   // -------- Preview-quality state --------
   // Fix #1 (Bug A): true when the canvas shows the catalogue thumb because
   // the active position's print_area_coordinates has no entry for the
   // selected colour. No print rectangle is drawn in that case; a small
   // notice tells the customer their print will still be produced.
   const [colourPreviewUnavailable, setColourPreviewUnavailable] = useState(false);
+  // Supplier template shown as a guide layer (raw feed URL), or null for
+  // off. guideStatus: 'loading' | 'error' | null.
+  const [guideTemplateUrl, setGuideTemplateUrl] = useState(null);
+  const [guideStatus, setGuideStatus] = useState(null);
+  // Rendered guide sources by template URL — a PDF is rasterised once.
+  const guideSourcesRef = useRef(new Map());
+  const guideLoadTokenRef = useRef(0);
 
   // -------- Edit UI state --------
   const [selectedObject, setSelectedObject] = useState(null);
   const [textInput, setTextInput] = useState('');
+  // Colour / font for the next text added — brand kit swatches set these
+  // when nothing is selected.
+  const [textStyle, setTextStyle] = useState({ fill: '#1a1a1a', fontFamily: 'Arial' });
 
   // -------- Save state --------
   const [currentDesignId, setCurrentDesignId] = useState(null);
@@ -285,6 +337,15 @@ const DesignerV2 = () => {
       fabricCanvas.on('selection:updated', handleSelection);
       fabricCanvas.on('selection:cleared', () => setSelectedObject(null));
 
+      const syncActiveFilled = () => {
+        const name = activePositionRef.current;
+        if (!name) return;
+        const filled = fabricCanvas.getObjects().some(isUserObject);
+        setFilledPositions((prev) => (prev[name] === filled ? prev : { ...prev, [name]: filled }));
+      };
+      fabricCanvas.on('object:added', syncActiveFilled);
+      fabricCanvas.on('object:removed', syncActiveFilled);
+
       // Push into state LAST so downstream effects (image load,
       // race-guard) see a fully-initialised canvas.
       setCanvas(fabricCanvas);
@@ -360,6 +421,15 @@ const DesignerV2 = () => {
     const initialRowByPosition = {};
     allGroups.forEach((g) => { initialRowByPosition[g.name] = g.defaultRowIndex; });
     setActiveRowByPosition(initialRowByPosition);
+    const initialColours = {};
+    allGroups.forEach((g) => {
+      const row = g.rows[g.defaultRowIndex] || g.rows[0] || null;
+      initialColours[g.name] = availableColourCounts(row)[0] || 1;
+    });
+    setColoursByPosition(initialColours);
+    setFilledPositions({});
+    setArtworkByPosition({});
+    positionDesignsRef.current = {};
     const firstColour = product.colours?.[0]?.id || null;
     setSelectedColourId(firstColour);
   }, [product, isBucketA]);
@@ -416,24 +486,43 @@ const DesignerV2 = () => {
                 [group.name]: group.defaultRowIndex,
               }));
             } else {
-              // Exact-tuple match first (area + class), then loose match
-              // by class alone, then fall back to default row.
-              let rowIdx = group.rows.findIndex(
-                (r) => r.area === savedArea && r.printClass === savedClass,
-              );
-              if (rowIdx < 0 && savedClass) {
-                rowIdx = group.rows.findIndex((r) => r.printClass === savedClass);
-              }
-              if (rowIdx < 0) {
-                console.warn(
-                  `[DesignerV2] Saved design row (${savedArea}, ${savedClass}) not found for "${savedName}"; falling back to default`,
-                );
-                rowIdx = group.defaultRowIndex;
-              }
+              const rowIdx = matchSavedRow(group, savedArea, savedClass);
               setActiveRowByPosition((prev) => ({ ...prev, [group.name]: rowIdx }));
             }
           }
         }
+        // Multi-position designs: every other position's artwork waits
+        // in positionDesignsRef until its tab is opened. The on-screen
+        // position still restores from design_data below.
+        if (Array.isArray(design.print_positions)) {
+          const groups = product.printDetails?.positionGroups || [];
+          const rows = {};
+          const colours = {};
+          const filled = {};
+          const artwork = {};
+          design.print_positions.forEach((entry) => {
+            const group = groups.find((g) => g.name === entry.position);
+            if (!group) {
+              console.warn(`[DesignerV2] Saved position "${entry.position}" no longer offered; skipping`);
+              return;
+            }
+            rows[group.name] = matchSavedRow(group, entry.area || '', entry.print_class || '');
+            if (entry.num_colours) colours[group.name] = entry.num_colours;
+            positionDesignsRef.current[group.name] = entry.design_data;
+            filled[group.name] = hasUserObjects(entry.design_data);
+            if (entry.detected_colours != null) {
+              artwork[group.name] = {
+                count: entry.detected_colours,
+                colours: [],
+                photographic: !!entry.photographic,
+              };
+            }
+          });
+          setActiveRowByPosition((prev) => ({ ...prev, ...rows }));
+          setColoursByPosition((prev) => ({ ...prev, ...colours }));
+          setFilledPositions((prev) => ({ ...prev, ...filled }));
+          setArtworkByPosition((prev) => ({ ...prev, ...artwork }));
+        }
         if (design.design_data) {
           setPendingDesignData(design.design_data);
         }
@@ -674,6 +763,8 @@ const DesignerV2 = () => {
         // - Image-bounds (colourCoord missing): the Fix #1 fallback
         //   path renders a per-colour catalogue thumb that has no
         //   matching rect to anchor on; centre the image bounds.
+        // utils/productMockup.placeProduct repeats this layout for bulk
+        // mock-ups — keep the two in step.
         let imageLeft;
         let imageTop;
         if (colourCoord) {
@@ -698,9 +789,10 @@ const DesignerV2 = () => {
         }
 
         // Capture user objects BEFORE clearing chrome so we can restore
-        // them on top of the new background. Position-aware behaviour
-        // requested in the spec: text/upload stay at their canvas
-        // positions across colour/position swaps.
+        // them on top of the new background. Text/upload stay at their
+        // canvas positions across colour swaps; on a position swap
+        // handleSelectPosition has already put that position's objects
+        // on the canvas.
         const allObjects = canvas.getObjects();
         const userObjects = allObjects.filter(isUserObject);
         // Remove chrome (template + overlay). User objects stay put.
@@ -821,11 +913,94 @@ const DesignerV2 = () => {
 
         canvas.renderAll();
         setPrintAreasLoaded(true);
+        setChromeVersion((v) => v + 1);
       },
       crossOrigin ? { crossOrigin } : undefined,
     );
   }, [canvas, product, renderPosition, selectedColour, activeRow, positionsHaveDistinctRects]);
 
+  // ---------------------------------------------------------------------
+  // 5b. Template guide layer — the supplier's dieline, fitted to the
+  //     print area overlay (whole canvas when there is none), above the
+  //     product photo and below the customer's artwork. Chrome: not
+  //     selectable, skipped by save / export / colour analysis
+  //     (NON_USER_OBJECT_IDS).
+  // ---------------------------------------------------------------------
+  const guideTemplates = useMemo(
+    () => (product?.artworkTemplates || []).filter((t) => canRenderTemplate(t.url) && templateProxyUrl(t.url)),
+    [product?.artworkTemplates],
+  );
+
+  useEffect(() => {
+    if (!canvas) return;
+    canvas.getObjects()
+      .filter((o) => o.id === TEMPLATE_GUIDE_ID)
+      .forEach((o) => canvas.remove(o));
+    canvas.renderAll();
+    guideLoadTokenRef.current += 1;
+    if (!guideTemplateUrl) {
+      setGuideStatus(null);
+      return;
+    }
+    const myToken = guideLoadTokenRef.current;
+    setGuideStatus('loading');
+
+    (async () => {
+      let src = guideSourcesRef.current.get(guideTemplateUrl);
+      if (!src) {
+        try {
+          src = await renderTemplateGuide(guideTemplateUrl);
+        } catch (err) {
+          console.error('[DesignerV2] template guide render failed:', err);
+          src = null;
+        }
+        if (src) guideSourcesRef.current.set(guideTemplateUrl, src);
+      }
+      if (myToken !== guideLoadTokenRef.current) return;
+      if (!src) {
+        setGuideStatus('error');
+        return;
+      }
+      fabric.Image.fromURL(
+        src,
+        (img) => {
+          if (myToken !== guideLoadTokenRef.current || !canvasReadyRef.current) return;
+          if (!img || !img.width) {
+            setGuideStatus('error');
+            return;
+          }
+          const overlay = canvas.getObjects().find((o) => o.id === PRINT_AREA_OVERLAY_ID);
+          const box = overlay
+            ? overlay.getBoundingRect(true, true)
+            : { left: 0, top: 0, width: CANVAS_SIZE, height: CANVAS_SIZE };
+          const scale = Math.min(box.width / img.width, box.height / img.height);
+          img.set({
+            id: TEMPLATE_GUIDE_ID,
+            name: TEMPLATE_GUIDE_ID,
+            originX: 'center',
+            originY: 'center',
+            left: box.left + box.width / 2,
+            top: box.top + box.height / 2,
+            scaleX: scale,
+            scaleY: scale,
+            opacity: TEMPLATE_GUIDE_OPACITY,
+            globalCompositeOperation: 'multiply',
+            selectable: false,
+            evented: false,
+            hoverCursor: 'default',
+            excludeFromExport: true,
+          });
+          canvas.add(img);
+          const templateIndex = canvas.getObjects().findIndex((o) => o.id === TEMPLATE_IMAGE_ID);
+          canvas.moveTo(img, templateIndex + 1);
+          canvas.renderAll();
+          setGuideStatus(null);
+        },
+        { crossOrigin: 'anonymous' },
+      );
+    })();
+  }, [canvas, chromeVersion, guideTemplateUrl]);
+
   // ---------------------------------------------------------------------
   // 6. Race-condition guarded deferred-apply of saved design
   // ---------------------------------------------------------------------
@@ -839,6 +1014,114 @@ const DesignerV2 = () => {
     designLoadedRef,
   });
 
+  // ---------------------------------------------------------------------
+  // 6b. Undo / redo. History is per (colour, position) view — switching
+  //     either starts a clean stack so an undo never reaches back into
+  //     a layout the customer can no longer see.
+  // ---------------------------------------------------------------------
+  const history = useCanvasHistory(canvas, {
+    resetKey: `${selectedColourId}|${activePositionName}`,
+  });
+
+  // ---------------------------------------------------------------------
+  // 6c. Position tabs. Each position keeps its own artwork: the outgoing
+  //     position's user objects are snapshotted, the incoming position's
+  //     are enlivened. The image-load effect then swaps the chrome and
+  //     keeps whatever user objects are on the canvas.
+  // ---------------------------------------------------------------------
+  useEffect(() => {
+    activePositionRef.current = activePositionName;
+  }, [activePositionName]);
+
+  const handleSelectPosition = (nextName) => {
+    const prevName = activePositionName;
+    if (!canvas || !prevName || nextName === prevName) {
+      setActivePositionName(nextName);
+      return;
+    }
+
+    // A snapshot still being enlivened never reached the canvas; keep it.
+    if (enlivenPendingRef.current !== prevName) {
+      const snapshot = captureUserCanvasJSON(canvas);
+      positionDesignsRef.current[prevName] = snapshot;
+      setFilledPositions((prev) => ({ ...prev, [prevName]: hasUserObjects(snapshot) }));
+    }
+
+    activePositionRef.current = nextName;
+    canvas.discardActiveObject();
+    canvas.getObjects().filter(isUserObject).forEach((o) => canvas.remove(o));
+    setSelectedObject(null);
+
+    const incoming = positionDesignsRef.current[nextName];
+    enlivenPendingRef.current = null;
+    if (hasUserObjects(incoming)) {
+      enlivenPendingRef.current = nextName;
+      fabric.util.enlivenObjects(incoming.objects, (objects) => {
+        if (activePositionRef.current !== nextName) return;
+        objects.forEach((obj) => canvas.add(obj));
+        enlivenPendingRef.current = null;
+        canvas.renderAll();
+      });
+    }
+    canvas.renderAll();
+    setActivePositionName(nextName);
+  };
+
+  // Size / method change: colour counts differ per print method, so
+  // reset to the new row's first option (same rule as LaltexProductView).
+  const handleSelectRow = (groupName, rowIdx) => {
+    setActiveRowByPosition((prev) => ({ ...prev, [groupName]: rowIdx }));
+    const group = (product?.printDetails?.positionGroups || []).find((g) => g.name === groupName);
+    const firstColour = availableColourCounts(group?.rows?.[rowIdx])[0] || 1;
+    setColoursByPosition((prev) => ({ ...prev, [groupName]: firstColour }));
+  };
+
+  const activeColourOptions = availableColourCounts(activeRow);
+  const activeColours = activeGroup
+    ? (coloursByPosition[activeGroup.name] ?? activeColourOptions[0] ?? 1)
+    : 1;
+
+  // ---------------------------------------------------------------------
+  // 6d. Artwork colour analysis. Whenever the customer's objects change,
+  //     count the spot colours of the position on screen and pre-fill its
+  //     colour count with the smallest count the print row offers that
+  //     covers the artwork. Photographic artwork has no spot count, so
+  //     it is flagged instead of pre-filled.
+  // ---------------------------------------------------------------------
+  useEffect(() => {
+    if (!canvas) return undefined;
+    let timer = null;
+    const analyse = () => {
+      const name = activePositionRef.current;
+      if (!name || enlivenPendingRef.current === name) return;
+      const pixels = captureUserArtworkPixels(canvas);
+      const result = pixels ? countSpotColours(pixels) : null;
+      setArtworkByPosition((prev) => ({ ...prev, [name]: result && result.count > 0 ? result : null }));
+    };
+    const schedule = () => {
+      clearTimeout(timer);
+      timer = setTimeout(analyse, ARTWORK_ANALYSIS_DEBOUNCE_MS);
+    };
+    const events = ['object:added', 'object:removed', 'object:modified', 'text:changed'];
+    events.forEach((evt) => canvas.on(evt, schedule));
+    return () => {
+      clearTimeout(timer);
+      events.forEach((evt) => canvas.off(evt, schedule));
+    };
+  }, [canvas]);
+
+  const activeArtwork = activeGroup ? artworkByPosition[activeGroup.name] || null : null;
+  const activeSuggestion = activeArtwork && !activeArtwork.photographic
+    ? suggestColourCount(activeArtwork.count, activeColourOptions)
+    : { colours: null, exceedsMax: false };
+
+  useEffect(() => {
+    if (!activeGroup || activeSuggestion.colours == null) return;
+    const name = activeGroup.name;
+    const colours = activeSuggestion.colours;
+    setColoursByPosition((prev) => (prev[name] === colours ? prev : { ...prev, [name]: colours }));
+  }, [activeGroup, activeSuggestion.colours]);
+
   // ---------------------------------------------------------------------
   // 7. Tool: add text
   // ---------------------------------------------------------------------
@@ -848,13 +1131,15 @@ const DesignerV2 = () => {
       left: CANVAS_SIZE / 2 - 80,
       top: CANVAS_SIZE / 2 - 20,
       fontSize: 36,
-      fill: '#1a1a1a',
-      fontFamily: 'Arial',
+      fill: textStyle.fill,
+      fontFamily: textStyle.fontFamily,
       fontWeight: 'bold',
     });
-    canvas.add(text);
-    canvas.setActiveObject(text);
-    canvas.renderAll();
+    history.track(() => {
+      canvas.add(text);
+      canvas.setActiveObject(text);
+      canvas.renderAll();
+    });
     setTextInput('');
   };
 
@@ -877,15 +1162,63 @@ const DesignerV2 = () => {
           scaleX: scale,
           scaleY: scale,
         });
-        canvas.add(img);
-        canvas.setActiveObject(img);
-        canvas.renderAll();
+        history.track(() => {
+          canvas.add(img);
+          canvas.setActiveObject(img);
+          canvas.renderAll();
+        });
       });
     };
     reader.readAsDataURL(file);
     e.target.value = ''; // allow same file again
   };
 
+  // ---------------------------------------------------------------------
+  // 8b. Brand kit: place a logo scaled to fit the print area overlay and
+  //     centred in it (whole canvas when the position has no overlay);
+  //     swatches restyle the selection, or the next text when nothing
+  //     is selected.
+  // ---------------------------------------------------------------------
+  const handlePlaceBrandLogo = (dataUrl) => {
+    if (!canvas) return;
+    fabric.Image.fromURL(dataUrl, (img) => {
+      if (!img || !img.width) return;
+      const overlay = canvas.getObjects().find((o) => o.id === PRINT_AREA_OVERLAY_ID);
+      const box = overlay
+        ? overlay.getBoundingRect(true, true)
+        : { left: 0, top: 0, width: CANVAS_SIZE, height: CANVAS_SIZE };
+      const { scale } = scaleToFitPrintArea(
+        { width: img.width, height: img.height },
+        { x: box.left, y: box.top, width: box.width, height: box.height },
+      );
+      img.set({
+        originX: 'center',
+        originY: 'center',
+        left: box.left + box.width / 2,
+        top: box.top + box.height / 2,
+        scaleX: scale,
+        scaleY: scale,
+      });
+      history.track(() => {
+        canvas.add(img);
+        canvas.setActiveObject(img);
+        canvas.renderAll();
+      });
+    });
+  };
+
+  const applyBrandStyle = (key, value) => {
+    const obj = canvas?.getActiveObject();
+    if (obj && isUserObject(obj) && obj.type !== 'image' && (key === 'fill' || obj.type === 'i-text')) {
+      history.track(() => {
+        obj.set(key, value);
+        canvas.renderAll();
+      });
+      return;
+    }
+    setTextStyle((prev) => ({ ...prev, [key]: value }));
+  };
+
   // ---------------------------------------------------------------------
   // 9. Delete selected
   // ---------------------------------------------------------------------
@@ -893,9 +1226,11 @@ const DesignerV2 = () => {
     if (!canvas) return;
     const obj = canvas.getActiveObject();
     if (!obj || !isUserObject(obj)) return;
-    canvas.remove(obj);
-    canvas.discardActiveObject();
-    canvas.renderAll();
+    history.track(() => {
+      canvas.remove(obj);
+      canvas.discardActiveObject();
+      canvas.renderAll();
+    });
     setSelectedObject(null);
   };
 
@@ -925,12 +1260,37 @@ const DesignerV2 = () => {
       const printAreaComposite = activeGroup && activeRow
         ? [activeGroup.name, activeRow.area || '', activeRow.printClass || ''].join('|')
         : null;
+      // Every position with artwork, in the product's position order.
+      // The on-screen position comes from the canvas, the rest from
+      // their snapshots. NULL when nothing has content yet.
+      const snapshots = { ...positionDesignsRef.current };
+      if (activePositionName) snapshots[activePositionName] = designJSON;
+      const printPositions = (product.printDetails?.positionGroups || [])
+        .filter((g) => hasUserObjects(snapshots[g.name]))
+        .map((g) => {
+          const rowIdx = activeRowByPosition[g.name] ?? g.defaultRowIndex;
+          const posRow = g.rows[rowIdx] || g.rows[0] || null;
+          return {
+            position: g.name,
+            area: posRow?.area || null,
+            print_class: posRow?.printClass || null,
+            num_colours: coloursByPosition[g.name] ?? (availableColourCounts(posRow)[0] || 1),
+            ...(artworkByPosition[g.name]
+              ? {
+                  detected_colours: artworkByPosition[g.name].count,
+                  photographic: artworkByPosition[g.name].photographic,
+                }
+              : {}),
+            design_data: snapshots[g.name],
+          };
+        });
       const row = {
         user_id: user.id,
         session_id: null,
         design_name: designName.trim(),
         supplier_product_code: product.code,
         print_area: printAreaComposite,
+        print_positions: printPositions.length > 0 ? printPositions : null,
         color_code: selectedColour?.code || null,
         color_name: selectedColour?.name || null,
         design_data: designJSON,
@@ -1132,6 +1492,17 @@ const DesignerV2 = () => {
               >
                 My Designs
               </button>
+              {/* Quote from the SAVED design: the product page pre-loads
+                  its positions + colour counts (?design=<id>). */}
+              {currentDesignId && (
+                <button
+                  onClick={() => navigate(`/products/${encodeURIComponent(product.code)}?design=${currentDesignId}`)}
+                  className="flex items-center gap-1.5 px-3 py-2 border border-gray-300 text-gray-800 rounded-lg hover:bg-gray-50 transition-colors text-sm"
+                >
+                  <ShoppingCart className="h-4 w-4" />
+                  Get Quote
+                </button>
+              )}
             </div>
           </div>
         </div>
@@ -1167,10 +1538,12 @@ const DesignerV2 = () => {
                   // tab is a peer.
                   const isMutedForPreview =
                     !isBucketA && !positionsHaveDistinctRects && !isCanonical;
+                  const isFilled = !!filledPositions[g.name];
+                  const colours = coloursByPosition[g.name] ?? 1;
                   return (
                     <button
                       key={g.name}
-                      onClick={() => setActivePositionName(g.name)}
+                      onClick={() => handleSelectPosition(g.name)}
                       title={isMutedForPreview
                         ? `Preview shown is the ${canonicalGroupName} view. Print on ${g.name} is still orderable.`
                         : g.name}
@@ -1180,7 +1553,14 @@ const DesignerV2 = () => {
                           : 'border-gray-200 hover:border-gray-300'
                       } ${isMutedForPreview ? 'opacity-60' : ''}`}
                     >
-                      <div className="text-sm font-medium text-gray-800">{g.name}</div>
+                      <div className="flex items-center justify-between gap-2">
+                        <span className="text-sm font-medium text-gray-800">{g.name}</span>
+                        {isFilled && (
+                          <span className="text-[10px] font-semibold text-blue-700 bg-blue-100 rounded px-1.5 py-0.5 whitespace-nowrap">
+                            {colours} col{colours > 1 ? 's' : ''}
+                          </span>
+                        )}
+                      </div>
                       <div className="text-xs text-slate-500 truncate">
                         {isMutedForPreview
                           ? 'preview unavailable'
@@ -1234,12 +1614,7 @@ const DesignerV2 = () => {
                 </h3>
                 <select
                   value={activeRowByPosition[activeGroup.name] ?? activeGroup.defaultRowIndex}
-                  onChange={(e) =>
-                    setActiveRowByPosition((prev) => ({
-                      ...prev,
-                      [activeGroup.name]: parseInt(e.target.value, 10),
-                    }))
-                  }
+                  onChange={(e) => handleSelectRow(activeGroup.name, parseInt(e.target.value, 10))}
                   className="w-full border border-gray-300 rounded text-sm py-1.5 px-2"
                 >
                   {activeGroup.rows.map((r, ri) => {
@@ -1260,6 +1635,117 @@ const DesignerV2 = () => {
               </div>
             )}
 
+            {/* Print colour count for the active position. Each position
+                is priced at its own count on the quote. Dropdown when the
+                row's tiers offer several counts, static label for one. */}
+            {activeGroup && activeColourOptions.length > 0 && (
+              <div className="bg-white rounded-2xl shadow-md border border-gray-200/50 p-4">
+                <h3 className="font-bold text-sm text-gray-700 mb-2">
+                  Print Colours
+                  <span className="text-xs text-gray-500 font-normal"> — {activeGroup.name}</span>
+                </h3>
+                {activeColourOptions.length > 1 ? (
+                  <select
+                    value={activeColours}
+                    onChange={(e) =>
+                      setColoursByPosition((prev) => ({
+                        ...prev,
+                        [activeGroup.name]: parseInt(e.target.value, 10),
+                      }))
+                    }
+                    className="w-full border border-gray-300 rounded text-sm py-1.5 px-2"
+                  >
+                    {activeColourOptions.map((n) => (
+                      <option key={n} value={n}>
+                        {n} colour{n > 1 ? 's' : ''}
+                      </option>
+                    ))}
+                  </select>
+                ) : (
+                  <p className="text-sm text-gray-700">
+                    {activeColourOptions[0]} colour{activeColourOptions[0] > 1 ? 's' : ''}
+                  </p>
+                )}
+                {activeArtwork && !activeArtwork.photographic && (
+                  <div className="mt-2 flex items-center gap-1.5 flex-wrap">
+                    <span className="text-[11px] text-gray-600">
+                      Detected {activeArtwork.count} colour{activeArtwork.count > 1 ? 's' : ''}
+                    </span>
+                    {activeArtwork.colours.map((c) => (
+                      <span
+                        key={c.hex}
+                        title={c.hex}
+                        className="inline-block h-3.5 w-3.5 rounded-full border border-gray-300"
+                        style={{ backgroundColor: c.hex }}
+                      />
+                    ))}
+                  </div>
+                )}
+                {activeSuggestion.exceedsMax && (
+                  <div className="mt-2 p-2.5 rounded-lg bg-amber-50 border border-amber-200">
+                    <p className="text-[11px] text-amber-900 leading-snug">
+                      Your artwork has {activeArtwork.count} colours but {activeGroup.name} prints
+                      at most {activeColourOptions[activeColourOptions.length - 1]}. Simplify the
+                      artwork or our team will confirm options at proof stage.
+                    </p>
+                  </div>
+                )}
+                {activeArtwork?.photographic && (
+                  <div className="mt-2 p-2.5 rounded-lg bg-amber-50 border border-amber-200">
+                    <p className="text-[11px] text-amber-900 leading-snug">
+                      This artwork looks photographic (gradients or many shades) and is
+                      unsuitable for screen print.
+                      {isScreenPrintRow(activeRow)
+                        ? ' Choose a full-colour print method if one is offered, or use flat-colour artwork.'
+                        : ' Our team will confirm it reproduces well at proof stage.'}
+                    </p>
+                  </div>
+                )}
+                <p className="text-[11px] text-gray-500 mt-2 leading-snug">
+                  Positions with artwork are quoted together, each at its own colour count.
+                </p>
+              </div>
+            )}
+
+            {/* Supplier template guide. Only proxiable PDF / image
+                templates are offered; the download list lives on the
+                product page. */}
+            {guideTemplates.length > 0 && (
+              <div className="bg-white rounded-2xl shadow-md border border-gray-200/50 p-4">
+                <h3 className="font-bold text-sm text-gray-700 mb-2 flex items-center gap-1.5">
+                  <Layers className="h-4 w-4 text-gray-500" />
+                  Template Guide
+                </h3>
+                <select
+                  value={guideTemplateUrl || ''}
+                  onChange={(e) => setGuideTemplateUrl(e.target.value || null)}
+                  className="w-full border border-gray-300 rounded text-sm py-1.5 px-2"
+                >
+                  <option value="">Off</option>
+                  {guideTemplates.map((t, i) => (
+                    <option key={t.url} value={t.url}>
+                      {t.type || 'Artwork template'}
+                      {guideTemplates.length > 1 ? ` (${i + 1})` : ''}
+                    </option>
+                  ))}
+                </select>
+                {guideStatus === 'loading' && (
+                  <p className="text-[11px] text-gray-500 mt-2 flex items-center gap-1">
+                    <Loader className="h-3 w-3 animate-spin" /> Loading template…
+                  </p>
+                )}
+                {guideStatus === 'error' && (
+                  <p className="text-[11px] text-red-600 mt-2">
+                    This template could not be shown. Download it from the product page instead.
+                  </p>
+                )}
+                <p className="text-[11px] text-gray-500 mt-2 leading-snug">
+                  Shows the supplier&apos;s dieline over the print area to help you line up
+                  your artwork. It is not printed or saved with your design.
+                </p>
+              </div>
+            )}
+
             {/* Colour swatches (image-based — Laltex has PMS, no hex) */}
             {product.colours.length > 0 && (
               <div className="bg-white rounded-2xl shadow-md border border-gray-200/50 p-4">
@@ -1342,6 +1828,30 @@ const DesignerV2 = () => {
 
           {/* RIGHT: tools */}
           <aside className="lg:col-span-3 w-full space-y-4">
+            {/* Undo / redo — also bound to Ctrl+Z / Ctrl+Shift+Z */}
+            <div className="bg-white rounded-2xl shadow-md border border-gray-200/50 p-4">
+              <div className="grid grid-cols-2 gap-2">
+                <button
+                  onClick={history.undo}
+                  disabled={!history.canUndo}
+                  title="Undo (Ctrl+Z)"
+                  className="flex items-center justify-center gap-1.5 px-3 py-2 border border-gray-300 text-gray-800 rounded-lg font-medium hover:bg-gray-50 transition-colors text-sm disabled:opacity-40 disabled:hover:bg-transparent"
+                >
+                  <Undo2 className="h-4 w-4" />
+                  Undo
+                </button>
+                <button
+                  onClick={history.redo}
+                  disabled={!history.canRedo}
+                  title="Redo (Ctrl+Shift+Z)"
+                  className="flex items-center justify-center gap-1.5 px-3 py-2 border border-gray-300 text-gray-800 rounded-lg font-medium hover:bg-gray-50 transition-colors text-sm disabled:opacity-40 disabled:hover:bg-transparent"
+                >
+                  <Redo2 className="h-4 w-4" />
+                  Redo
+                </button>
+              </div>
+            </div>
+
             {/* Add text */}
             <div className="bg-white rounded-2xl shadow-md border border-gray-200/50 p-4 space-y-2">
               <h3 className="font-bold text-sm text-gray-700">Add Text</h3>
@@ -1380,6 +1890,17 @@ const DesignerV2 = () => {
               </button>
             </div>
 
+            {/* Brand kit — logos, colours and fonts saved to the account */}
+            <BrandKitPanel
+              user={user}
+              disabled={!canvas}
+              onPlaceLogo={handlePlaceBrandLogo}
+              onApplyColour={(hex) => applyBrandStyle('fill', hex)}
+              onApplyFont={(family) => applyBrandStyle('fontFamily', family)}
+              onSignIn={() => setAuthOpen(true)}
+              className="bg-white rounded-2xl shadow-md border border-gray-200/50 p-4"
+            />
+
             {/* Delete selected */}
             {selectedObject && isUserObject(selectedObject) && (
               <button
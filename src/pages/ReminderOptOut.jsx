@@ -0,0 +1,97 @@
+import { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { BellOff, Loader, AlertCircle, CheckCircle } from 'lucide-react';
+import { supabase } from '../services/supabaseService';
+
+// Opt-out landing for abandoned quote / cart reminder emails
+// (send-abandoned-reminders, 20261019_abandoned_reminders.sql).
+//
+// CLICK-TO-CONFIRM for the same reason as ResetPassword.jsx: mail scanners
+// pre-fetch every link, so opting out on load would unsubscribe customers
+// who never clicked. The token is the credential — no sign-in needed.
+
+function Card({ children }) {
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 p-4">
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-8 max-w-md w-full text-center">
+        {children}
+      </div>
+    </div>
+  );
+}
+
+const ReminderOptOut = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+
+  // 'awaiting' | 'saving' | 'done' | 'error'
+  const [status, setStatus] = useState(token ? 'awaiting' : 'error');
+
+  const handleOptOut = async () => {
+    if (!token || status === 'saving') return;
+    setStatus('saving');
+    try {
+      const { data, error } = await supabase.rpc('opt_out_of_reminders', { p_token: token });
+      if (error) throw error;
+      setStatus(data ? 'done' : 'error');
+    } catch (error) {
+      console.error('[ReminderOptOut] Error:', error);
+      setStatus('error');
+    }
+  };
+
+  if (status === 'done') {
+    return (
+      <Card>
+        <CheckCircle className="h-12 w-12 text-green-500 mx-auto mb-4" />
+        <h1 className="text-xl font-bold text-gray-900 mb-2">You&apos;re unsubscribed</h1>
+        <p className="text-sm text-gray-600 mb-6">
+          We won&apos;t send any more reminders about saved quotes or carts.
+          Order, proof and payment emails are not affected.
+        </p>
+        <Link to="/" className="text-blue-600 hover:text-blue-700 font-medium">Back to PGifts</Link>
+      </Card>
+    );
+  }
+
+  if (status === 'error') {
+    return (
+      <Card>
+        <AlertCircle className="h-12 w-12 text-amber-500 mx-auto mb-4" />
+        <h1 className="text-xl font-bold text-gray-900 mb-2">This link didn&apos;t work</h1>
+        <p className="text-sm text-gray-600 mb-6">
+          The unsubscribe link looks incomplete. Use the link from the most
+          recent reminder email, or reply to it and we&apos;ll take you off the list.
+        </p>
+        <Link to="/" className="text-blue-600 hover:text-blue-700 font-medium">Back to PGifts</Link>
+      </Card>
+    );
+  }
+
+  return (
+    <Card>
+      <BellOff className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+      <h1 className="text-xl font-bold text-gray-900 mb-2">Stop reminder emails?</h1>
+      <p className="text-sm text-gray-600 mb-6">
+        We occasionally remind you about draft quotes and carts you&apos;ve left
+        saved. Order, proof and payment emails will still be sent.
+      </p>
+      <button
+        onClick={handleOptOut}
+        disabled={status === 'saving'}
+        className="w-full flex items-center justify-center space-x-2 px-6 py-3 bg-blue-600 text-white rounded-lg font-semibold hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {status === 'saving' ? (
+          <>
+            <Loader className="h-4 w-4 animate-spin" />
+            <span>Saving…</span>
+          </>
+        ) : (
+          <span>Stop reminders</span>
+        )}
+      </button>
+    </Card>
+  );
+};
+
+export default ReminderOptOut;
@@ -0,0 +1,333 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { ChevronRight, Search, Loader, Zap, X } from 'lucide-react';
+
+// ---------------------------------------------------------------------------
+// SearchResults — /search?q=… (header search box).
+//
+// Everything comes from GET /api/catalogue-search: the ranked results (same
+// rpc_search_supplier_products scoring AVA uses, CLAUDE.md §31) AND the facet
+// counts. The URL is the state — every facet click rewrites the query string,
+// so results are linkable and the back button works. Facet params mirror
+// the API's: category, colour, price, express, in_stock, quantity.
+//
+// Prices are unit_price_at_quantity at the chosen quantity (delivery share
+// included, CLAUDE.md §46) — the product page shows the same figure.
+// ---------------------------------------------------------------------------
+
+const DEFAULT_QUANTITY = 100;
+const FACET_PARAMS = ['category', 'colour', 'price', 'express', 'in_stock'];
+
+const money = (value) => `£${Number(value).toFixed(2)}`;
+
+function FacetGroup({ title, children }) {
+  return (
+    <div className="border-b border-gray-200 pb-4 mb-4 last:border-b-0 last:mb-0">
+      <h3 className="text-sm font-semibold text-gray-900 mb-2">{title}</h3>
+      <div className="space-y-1">{children}</div>
+    </div>
+  );
+}
+
+function FacetOption({ label, count, active, onClick }) {
+  return (
+    <button
+      type="button"
+      onClick={onClick}
+      disabled={!active && count === 0}
+      className={`w-full flex items-center justify-between px-2 py-1 rounded-lg text-sm text-left transition-colors ${
+        active
+          ? 'bg-blue-50 text-blue-700 font-semibold'
+          : count === 0
+            ? 'text-gray-300 cursor-not-allowed'
+            : 'text-gray-700 hover:bg-gray-50'
+      }`}
+    >
+      <span className="truncate">{label}</span>
+      <span className="text-xs text-gray-400 ml-2">{count}</span>
+    </button>
+  );
+}
+
+const SearchResults = () => {
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const q = (searchParams.get('q') || '').trim();
+  const quantityParam = searchParams.get('quantity') || String(DEFAULT_QUANTITY);
+
+  const [quantityInput, setQuantityInput] = useState(quantityParam);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [data, setData] = useState(null);
+
+  useEffect(() => {
+    setQuantityInput(quantityParam);
+  }, [quantityParam]);
+
+  const queryString = searchParams.toString();
+
+  useEffect(() => {
+    if (!q) {
+      setData(null);
+      return undefined;
+    }
+    let cancelled = false;
+    const fetchResults = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const resp = await fetch(`/api/catalogue-search?${queryString}`);
+        const body = await resp.json().catch(() => ({}));
+        if (!resp.ok) {
+          throw new Error(resp.status === 429
+            ? 'You\'re searching very quickly — please wait a moment and try again.'
+            : body.error || 'Search failed');
+        }
+        if (!cancelled) setData(body);
+      } catch (err) {
+        console.error('[SearchResults] Error:', err);
+        if (!cancelled) setError(err.message || 'Search failed');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    fetchResults();
+    return () => { cancelled = true; };
+  }, [q, queryString]);
+
+  const selected = {
+    category: searchParams.get('category'),
+    colour: searchParams.get('colour'),
+    price: searchParams.get('price'),
+    express: searchParams.get('express') === '1',
+    in_stock: searchParams.get('in_stock') === '1',
+  };
+  const hasFacetSelection = FACET_PARAMS.some((p) => searchParams.get(p));
+
+  const setParam = (key, value) => {
+    const next = new URLSearchParams(searchParams);
+    if (value == null || value === '' || value === false) next.delete(key);
+    else next.set(key, value === true ? '1' : value);
+    setSearchParams(next);
+  };
+
+  const toggleParam = (key, value) => setParam(key, selected[key] === value ? null : value);
+
+  const clearFacets = () => {
+    const next = new URLSearchParams(searchParams);
+    FACET_PARAMS.forEach((p) => next.delete(p));
+    setSearchParams(next);
+  };
+
+  const applyQuantity = (e) => {
+    e.preventDefault();
+    const n = Number(quantityInput);
+    if (!Number.isInteger(n) || n < 1) {
+      setQuantityInput(quantityParam);
+      return;
+    }
+    setParam('quantity', n === DEFAULT_QUANTITY ? null : String(n));
+  };
+
+  const facets = data?.facets;
+  const results = data?.results || [];
+  const quantity = data?.query_metadata?.quantity ?? Number(quantityParam);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-50 via-white to-gray-100">
+      <div className="max-w-7xl mx-auto px-6 py-8">
+        {/* Breadcrumb */}
+        <div className="flex items-center space-x-2 text-sm text-gray-600 mb-4">
+          <button onClick={() => navigate('/')} className="hover:text-blue-600 transition-colors">
+            Home
+          </button>
+          <ChevronRight className="h-4 w-4" />
+          <span className="text-gray-900 font-semibold">Search</span>
+        </div>
+
+        <h1 className="text-3xl font-bold text-gray-900 mb-1">
+          {q ? <>Results for &ldquo;{q}&rdquo;</> : 'Search the catalogue'}
+        </h1>
+        {data && (
+          <p className="text-gray-600 mb-6">
+            {data.total} {data.total === 1 ? 'product' : 'products'} · prices shown for {quantity} units
+          </p>
+        )}
+
+        {!q ? (
+          <div className="bg-white rounded-2xl shadow-md border border-gray-200 p-12 text-center mt-6">
+            <Search className="h-10 w-10 text-gray-300 mx-auto mb-3" />
+            <p className="text-gray-600">Type what you&apos;re looking for in the search box above — e.g. &ldquo;recycled pens&rdquo;.</p>
+          </div>
+        ) : (
+          <div className="flex flex-col lg:flex-row gap-8">
+            {/* Facets */}
+            <aside className="lg:w-64 flex-shrink-0">
+              <div className="bg-white rounded-2xl shadow-md border border-gray-200 p-5">
+                <form onSubmit={applyQuantity} className="mb-4 pb-4 border-b border-gray-200">
+                  <label className="block text-sm font-semibold text-gray-900 mb-2" htmlFor="search-quantity">
+                    Quantity
+                  </label>
+                  <div className="flex gap-2">
+                    <input
+                      id="search-quantity"
+                      type="number"
+                      min="1"
+                      value={quantityInput}
+                      onChange={(e) => setQuantityInput(e.target.value)}
+                      className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                    <button type="submit" className="px-3 py-2 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700">
+                      Update
+                    </button>
+                  </div>
+                </form>
+
+                {facets && (
+                  <>
+                    <FacetGroup title="Category">
+                      {facets.category.map((f) => (
+                        <FacetOption
+                          key={f.value}
+                          label={f.value}
+                          count={f.count}
+                          active={selected.category === f.value}
+                          onClick={() => toggleParam('category', f.value)}
+                        />
+                      ))}
+                    </FacetGroup>
+
+                    <FacetGroup title={`Price at ${quantity} units`}>
+                      {facets.price.map((f) => (
+                        <FacetOption
+                          key={f.value}
+                          label={f.label}
+                          count={f.count}
+                          active={selected.price === f.value}
+                          onClick={() => toggleParam('price', f.value)}
+                        />
+                      ))}
+                    </FacetGroup>
+
+                    {facets.colour.length > 0 && (
+                      <FacetGroup title="Colour">
+                        {facets.colour.map((f) => (
+                          <FacetOption
+                            key={f.value}
+                            label={f.value}
+                            count={f.count}
+                            active={selected.colour?.toLowerCase() === f.value.toLowerCase()}
+                            onClick={() => setParam('colour',
+                              selected.colour?.toLowerCase() === f.value.toLowerCase() ? null : f.value)}
+                          />
+                        ))}
+                      </FacetGroup>
+                    )}
+
+                    <FacetGroup title="Availability">
+                      <FacetOption
+                        label="Express available"
+                        count={facets.express}
+                        active={selected.express}
+                        onClick={() => setParam('express', !selected.express)}
+                      />
+                      <FacetOption
+                        label="In stock"
+                        count={facets.inStock}
+                        active={selected.in_stock}
+                        onClick={() => setParam('in_stock', !selected.in_stock)}
+                      />
+                    </FacetGroup>
+                  </>
+                )}
+
+                {hasFacetSelection && (
+                  <button
+                    type="button"
+                    onClick={clearFacets}
+                    className="mt-2 w-full flex items-center justify-center space-x-1 text-sm text-gray-600 hover:text-red-500"
+                  >
+                    <X className="h-4 w-4" />
+                    <span>Clear filters</span>
+                  </button>
+                )}
+              </div>
+            </aside>
+
+            {/* Results */}
+            <div className="flex-1">
+              {loading ? (
+                <div className="flex items-center justify-center py-24">
+                  <Loader className="h-10 w-10 text-blue-600 animate-spin" />
+                </div>
+              ) : error ? (
+                <div className="bg-red-50 border border-red-200 rounded-2xl p-6 text-red-700">{error}</div>
+              ) : results.length === 0 ? (
+                <div className="bg-white rounded-2xl shadow-md border border-gray-200 p-12 text-center">
+                  <p className="text-gray-600">
+                    {hasFacetSelection
+                      ? 'No products match these filters — try removing one.'
+                      : 'No products found. Try a broader search, or ask Ava in the chat.'}
+                  </p>
+                </div>
+              ) : (
+                <div className="grid grid-cols-1 sm:grid-cols-2 xl:grid-cols-3 gap-6">
+                  {results.map((product) => (
+                    <div
+                      key={product.code}
+                      className="group bg-white rounded-2xl shadow-lg border border-gray-200 overflow-hidden hover:shadow-2xl hover:-translate-y-1 transition-all duration-300 cursor-pointer"
+                      onClick={() => navigate(`/products/${encodeURIComponent(product.code)}`)}
+                    >
+                      <div className="relative aspect-square bg-gradient-to-br from-gray-100 to-gray-200 flex items-center justify-center p-6">
+                        {product.image ? (
+                          <img
+                            src={product.image}
+                            alt={product.name || product.code}
+                            className="w-full h-full object-contain group-hover:scale-110 transition-transform duration-300"
+                            loading="lazy"
+                          />
+                        ) : (
+                          <div className="text-7xl group-hover:scale-110 transition-transform duration-300">📦</div>
+                        )}
+                        {product.express_available && (
+                          <span className="absolute top-3 left-3 flex items-center space-x-1 bg-yellow-400 text-gray-900 text-xs font-semibold px-2 py-1 rounded-full">
+                            <Zap className="h-3 w-3" />
+                            <span>Express</span>
+                          </span>
+                        )}
+                      </div>
+                      <div className="p-5">
+                        <h3 className="text-lg font-bold text-gray-900 mb-1 line-clamp-2 group-hover:text-blue-600 transition-colors">
+                          {product.name || product.code}
+                        </h3>
+                        <p className="text-xs text-gray-500 mb-3">
+                          Code: {product.code}
+                          {product.minimum_order_qty ? ` · Min ${product.minimum_order_qty}` : ''}
+                        </p>
+                        {product.unit_price_at_quantity != null ? (
+                          <div className="flex items-baseline mb-2">
+                            <span className="text-xl font-bold text-green-600">{money(product.unit_price_at_quantity)}</span>
+                            <span className="text-sm text-gray-500 ml-2">each at {quantity}</span>
+                          </div>
+                        ) : (
+                          <p className="text-sm text-gray-500 mb-2">
+                            {product.unit_price_at_quantity_is_poa ? 'Price on application' : `Not available at ${quantity} units`}
+                          </p>
+                        )}
+                        <p className={`text-xs font-semibold ${product.in_stock ? 'text-green-600' : 'text-gray-400'}`}>
+                          {product.in_stock ? 'In stock' : 'Check availability'}
+                        </p>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SearchResults;
@@ -1,36 +1,368 @@
-import React from 'react';
-import { MapPin } from 'lucide-react';
+import React, { useEffect, useState } from 'react';
+import { MapPin, Plus, Loader, Star, Trash2, AlertCircle, Check } from 'lucide-react';
 import CustomerLayout from '../../components/customer/CustomerLayout';
+import {
+  getCustomerAddresses,
+  saveCustomerAddress,
+  setDefaultCustomerAddress,
+  deleteCustomerAddress,
+} from '../../services/supabaseService';
+import { DELIVERY_COUNTRIES, DELIVERY_FIELD_LABELS, validateAddress, validatePostcode } from '../../lib/deliveryValidation';
+
+/**
+ * Address book (customer_addresses, 20261019_customer_addresses.sql).
+ * Named delivery and billing addresses, one default per kind. Delivery
+ * addresses appear in the quote DeliveryAddressForm picker; quotes and orders
+ * keep their own snapshot, so editing or deleting here never changes them.
+ */
+
+const KINDS = [
+  { key: 'delivery', title: 'Delivery addresses', empty: 'No delivery addresses saved yet.' },
+  { key: 'billing', title: 'Billing addresses', empty: 'No billing addresses saved yet.' },
+];
+
+const EMPTY_FORM = {
+  id: null,
+  label: '',
+  kind: 'delivery',
+  isDefault: false,
+  company: '',
+  fao: '',
+  line1: '',
+  line2: '',
+  city: '',
+  county: '',
+  postcode: '',
+  country: 'United Kingdom',
+  phone: '',
+  instructions: '',
+};
+
+const ADDRESS_KEYS = ['company', 'fao', 'line1', 'line2', 'city', 'county', 'postcode', 'country', 'phone', 'instructions'];
 
 const CustomerAddresses = ({ user }) => {
+  const [loading, setLoading] = useState(true);
+  const [addresses, setAddresses] = useState([]);
+  const [form, setForm] = useState(null); // null = closed, else EMPTY_FORM-shaped
+  const [saving, setSaving] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState(null);
+  const [flash, setFlash] = useState(null);
+
+  const fetchAddresses = async () => {
+    const { data } = await getCustomerAddresses(user.id);
+    setAddresses(data);
+    setLoading(false);
+  };
+
+  useEffect(() => {
+    if (user) fetchAddresses();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [user]);
+
+  useEffect(() => {
+    if (!flash) return;
+    const timer = setTimeout(() => setFlash(null), 3000);
+    return () => clearTimeout(timer);
+  }, [flash]);
+
+  const openNew = (kind) => {
+    // The first address of a kind becomes its default.
+    const hasKind = addresses.some((a) => a.kind === kind);
+    setForm({ ...EMPTY_FORM, kind, isDefault: !hasKind });
+    setError(null);
+  };
+
+  const openEdit = (row) => {
+    const fields = {};
+    for (const k of ADDRESS_KEYS) fields[k] = row.address?.[k] || '';
+    setForm({
+      ...EMPTY_FORM,
+      ...fields,
+      country: row.address?.country || 'United Kingdom',
+      id: row.id,
+      label: row.label,
+      kind: row.kind,
+      isDefault: row.is_default,
+    });
+    setError(null);
+  };
+
+  const setField = (key, value) => {
+    setForm((prev) => ({ ...prev, [key]: value }));
+    if (error) setError(null);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (!form.label.trim()) {
+      setError('Give the address a name, e.g. "Head office".');
+      return;
+    }
+    const address = {};
+    for (const k of ADDRESS_KEYS) address[k] = String(form[k] || '').trim();
+    const check = validateAddress(address);
+    if (!check.valid) {
+      setError(
+        check.missing.length
+          ? `Please complete: ${check.missing.map((f) => DELIVERY_FIELD_LABELS[f]).join(', ')}.`
+          : check.postcodeError,
+      );
+      return;
+    }
+    address.postcode = validatePostcode(address.postcode, address.country).normalised;
+
+    setSaving(true);
+    const { error: saveError } = await saveCustomerAddress(user.id, {
+      id: form.id,
+      label: form.label,
+      kind: form.kind,
+      address,
+      isDefault: form.isDefault,
+    });
+    setSaving(false);
+    if (saveError) {
+      setError('Could not save the address. Please try again.');
+      return;
+    }
+    setForm(null);
+    setFlash('Address saved');
+    fetchAddresses();
+  };
+
+  const handleMakeDefault = async (row) => {
+    setBusyId(row.id);
+    const { error: defaultError } = await setDefaultCustomerAddress(row.id);
+    setBusyId(null);
+    if (defaultError) {
+      setError('Could not change the default address.');
+      return;
+    }
+    fetchAddresses();
+  };
+
+  const handleDelete = async (row) => {
+    if (!window.confirm(`Delete "${row.label}"? Quotes and orders already using it are not affected.`)) return;
+    setBusyId(row.id);
+    const { error: deleteError } = await deleteCustomerAddress(row.id);
+    setBusyId(null);
+    if (deleteError) {
+      setError('Could not delete the address.');
+      return;
+    }
+    setAddresses((prev) => prev.filter((a) => a.id !== row.id));
+  };
+
+  const labelCls = 'block text-sm font-medium text-gray-700 mb-1';
+  const inputCls =
+    'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+  const req = <span className="text-red-500">*</span>;
+
+  if (loading) {
+    return (
+      <CustomerLayout user={user} pageTitle="Addresses">
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-12 flex items-center justify-center">
+          <Loader className="h-8 w-8 text-blue-600 animate-spin" />
+        </div>
+      </CustomerLayout>
+    );
+  }
+
   return (
     <CustomerLayout user={user} pageTitle="Addresses">
-      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-        <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
-          <div className="flex items-center justify-between mb-4">
-            <h2 className="text-lg font-bold text-gray-900 flex items-center space-x-2">
-              <MapPin className="h-5 w-5" />
-              <span>Billing Address</span>
-            </h2>
-            <button className="text-sm text-blue-600 hover:text-blue-700 font-semibold">
-              Edit
-            </button>
-          </div>
-          <p className="text-sm text-gray-500">No billing address saved</p>
+      {flash && (
+        <div className="mb-4 px-4 py-3 bg-green-50 border border-green-200 rounded-lg text-sm text-green-800 flex items-center gap-2">
+          <Check className="h-4 w-4" /> {flash}
         </div>
+      )}
+      {error && !form && (
+        <div className="mb-4 px-4 py-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700 flex items-center gap-2">
+          <AlertCircle className="h-4 w-4" /> {error}
+        </div>
+      )}
+
+      {form && (
+        <form onSubmit={handleSave} className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 mb-6 space-y-3">
+          <h2 className="text-lg font-bold text-gray-900">{form.id ? 'Edit address' : 'New address'}</h2>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            <div>
+              <label className={labelCls}>Name {req}</label>
+              <input className={inputCls} value={form.label} onChange={(e) => setField('label', e.target.value)} placeholder="Head office" />
+            </div>
+            <div>
+              <label className={labelCls}>Used for</label>
+              <select className={inputCls} value={form.kind} onChange={(e) => setField('kind', e.target.value)}>
+                <option value="delivery">Delivery</option>
+                <option value="billing">Billing</option>
+              </select>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            <div>
+              <label className={labelCls}>Company name</label>
+              <input className={inputCls} value={form.company} onChange={(e) => setField('company', e.target.value)} placeholder="Acme Corporation" />
+            </div>
+            <div>
+              <label className={labelCls}>FAO / Contact name</label>
+              <input className={inputCls} value={form.fao} onChange={(e) => setField('fao', e.target.value)} placeholder="Jane Smith" />
+            </div>
+          </div>
+
+          <div>
+            <label className={labelCls}>Address line 1 {req}</label>
+            <input className={inputCls} value={form.line1} onChange={(e) => setField('line1', e.target.value)} placeholder="123 High Street" />
+          </div>
+          <div>
+            <label className={labelCls}>Address line 2</label>
+            <input className={inputCls} value={form.line2} onChange={(e) => setField('line2', e.target.value)} placeholder="Unit 4B" />
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            <div>
+              <label className={labelCls}>City {req}</label>
+              <input className={inputCls} value={form.city} onChange={(e) => setField('city', e.target.value)} placeholder="London" />
+            </div>
+            <div>
+              <label className={labelCls}>County</label>
+              <input className={inputCls} value={form.county} onChange={(e) => setField('county', e.target.value)} placeholder="Greater London" />
+            </div>
+          </div>
 
-        <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
-          <div className="flex items-center justify-between mb-4">
-            <h2 className="text-lg font-bold text-gray-900 flex items-center space-x-2">
-              <MapPin className="h-5 w-5" />
-              <span>Shipping Address</span>
-            </h2>
-            <button className="text-sm text-blue-600 hover:text-blue-700 font-semibold">
-              Edit
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            <div>
+              <label className={labelCls}>Postcode {req}</label>
+              <input className={inputCls} value={form.postcode} onChange={(e) => setField('postcode', e.target.value)} placeholder="SW1A 1AA" />
+            </div>
+            <div>
+              <label className={labelCls}>Country {req}</label>
+              <select className={inputCls} value={form.country} onChange={(e) => setField('country', e.target.value)}>
+                {DELIVERY_COUNTRIES.map((c) => (
+                  <option key={c} value={c}>{c}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            <div>
+              <label className={labelCls}>Phone</label>
+              <input className={inputCls} type="tel" value={form.phone} onChange={(e) => setField('phone', e.target.value)} placeholder="01234 567890" />
+            </div>
+            {form.kind === 'delivery' && (
+              <div>
+                <label className={labelCls}>Delivery instructions</label>
+                <input className={inputCls} value={form.instructions} onChange={(e) => setField('instructions', e.target.value)} placeholder="e.g. deliver to reception" />
+              </div>
+            )}
+          </div>
+
+          <label className="flex items-center gap-2 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={form.isDefault}
+              onChange={(e) => setField('isDefault', e.target.checked)}
+              className="w-4 h-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+            />
+            <span className="text-sm text-gray-700">Default {form.kind} address</span>
+          </label>
+
+          {error && (
+            <p className="text-sm text-red-600 flex items-center gap-1">
+              <AlertCircle className="h-4 w-4" /> {error}
+            </p>
+          )}
+
+          <div className="flex items-center gap-3">
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg text-sm font-semibold hover:bg-blue-700 disabled:opacity-50 flex items-center gap-2"
+            >
+              {saving ? <Loader className="h-4 w-4 animate-spin" /> : 'Save address'}
+            </button>
+            <button
+              type="button"
+              onClick={() => { setForm(null); setError(null); }}
+              className="px-4 py-2 text-sm font-medium text-gray-600 hover:text-gray-800"
+            >
+              Cancel
             </button>
           </div>
-          <p className="text-sm text-gray-500">No shipping address saved</p>
-        </div>
+        </form>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        {KINDS.map(({ key, title, empty }) => {
+          const rows = addresses.filter((a) => a.kind === key);
+          return (
+            <div key={key} className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+              <div className="flex items-center justify-between mb-4">
+                <h2 className="text-lg font-bold text-gray-900 flex items-center space-x-2">
+                  <MapPin className="h-5 w-5" />
+                  <span>{title}</span>
+                </h2>
+                <button
+                  onClick={() => openNew(key)}
+                  className="text-sm text-blue-600 hover:text-blue-700 font-semibold flex items-center gap-1"
+                >
+                  <Plus className="h-4 w-4" /> Add
+                </button>
+              </div>
+
+              {rows.length === 0 ? (
+                <p className="text-sm text-gray-500">{empty}</p>
+              ) : (
+                <ul className="space-y-3">
+                  {rows.map((row) => {
+                    const a = row.address || {};
+                    return (
+                      <li key={row.id} className="border border-gray-200 rounded-lg p-4">
+                        <div className="flex items-center justify-between mb-1">
+                          <span className="font-semibold text-gray-900 text-sm">{row.label}</span>
+                          {row.is_default && (
+                            <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">Default</span>
+                          )}
+                        </div>
+                        <div className="text-sm text-gray-600 leading-relaxed">
+                          {a.company && <div>{a.company}</div>}
+                          {a.fao && <div>FAO: {a.fao}</div>}
+                          <div>{a.line1}</div>
+                          {a.line2 && <div>{a.line2}</div>}
+                          <div>{[a.city, a.postcode].filter(Boolean).join(', ')}</div>
+                          <div>{a.country}</div>
+                          {a.phone && <div>Phone: {a.phone}</div>}
+                        </div>
+                        <div className="flex items-center gap-4 mt-3 text-sm">
+                          <button onClick={() => openEdit(row)} className="text-blue-600 hover:text-blue-700 font-semibold">
+                            Edit
+                          </button>
+                          {!row.is_default && (
+                            <button
+                              onClick={() => handleMakeDefault(row)}
+                              disabled={busyId === row.id}
+                              className="text-gray-600 hover:text-gray-800 flex items-center gap-1 disabled:opacity-50"
+                            >
+                              <Star className="h-3.5 w-3.5" /> Make default
+                            </button>
+                          )}
+                          <button
+                            onClick={() => handleDelete(row)}
+                            disabled={busyId === row.id}
+                            className="text-red-600 hover:text-red-700 flex items-center gap-1 disabled:opacity-50"
+                          >
+                            <Trash2 className="h-3.5 w-3.5" /> Delete
+                          </button>
+                        </div>
+                      </li>
+                    );
+                  })}
+                </ul>
+              )}
+            </div>
+          );
+        })}
       </div>
     </CustomerLayout>
   );
@@ -0,0 +1,530 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { Layers, Search, Loader, Check, AlertCircle, Palette, FileText, X, Briefcase } from 'lucide-react';
+import CustomerLayout from '../../components/customer/CustomerLayout';
+import {
+  supabase,
+  getMyCompany,
+  getBrandAssets,
+  loadBrandLogoDataURL,
+} from '../../services/supabaseService';
+import { searchSupplierProducts, normaliseProduct } from '../../services/productCatalogService';
+import { createQuoteFromMockups } from '../../services/quoteService';
+import { formatGBP, printMethodLabel } from '../../components/LaltexProductView';
+import { availableColourCounts, laltexUnitPrice } from '../../utils/laltexPricing';
+import { isProductDesignable, renderProductMockup } from '../../utils/productMockup';
+import { suggestColourCount } from '../../utils/artworkColours';
+import { taxableNetUnit } from '../../utils/vat';
+
+/**
+ * Bulk mock-ups: one brand-kit logo or saved design on many products.
+ * Each product gets the artwork centred in its default print area
+ * (utils/productMockup), saved as its own user_designs row — editable in
+ * DesignerV2 like any saved design — and the set can go onto ONE draft
+ * quote at each product's minimum quantity.
+ */
+
+// Off-screen renders run one at a time and each keeps a full PNG thumbnail
+// in state; a dozen keeps a run short.
+const MAX_PRODUCTS = 12;
+
+const CustomerBulkMockups = ({ user }) => {
+  const navigate = useNavigate();
+  const [source, setSource] = useState('logo'); // 'logo' | 'design'
+  const [logos, setLogos] = useState([]);
+  const [designs, setDesigns] = useState([]);
+  const [loadingArtwork, setLoadingArtwork] = useState(true);
+  const [logoId, setLogoId] = useState(null);
+  const [designId, setDesignId] = useState(null);
+  const [transparent, setTransparent] = useState(true);
+
+  const [query, setQuery] = useState('');
+  const [searching, setSearching] = useState(false);
+  const [searchResults, setSearchResults] = useState(null); // null = not searched
+  const [hiddenCount, setHiddenCount] = useState(0);
+  const [selected, setSelected] = useState([]); // normalised products
+
+  const [running, setRunning] = useState(false);
+  const [results, setResults] = useState([]); // { product, status, design, mockup, error }
+  const [quoting, setQuoting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!user) return;
+    let cancelled = false;
+    (async () => {
+      const [{ data: assets }, { data: membership }] = await Promise.all([
+        getBrandAssets(),
+        getMyCompany(user.id),
+      ]);
+      // Own and company designs, like My Designs.
+      const companyId = membership?.company?.id;
+      let designQuery = supabase
+        .from('user_designs')
+        .select('id, design_name, thumbnail_url, design_data, updated_at');
+      designQuery = companyId
+        ? designQuery.or(`user_id.eq.${user.id},company_id.eq.${companyId}`)
+        : designQuery.eq('user_id', user.id);
+      const { data: designRows, error: designError } = await designQuery.order('updated_at', { ascending: false });
+      if (designError) console.error('[CustomerBulkMockups] Error:', designError);
+      if (cancelled) return;
+      const logoAssets = (assets || []).filter((a) => a.kind === 'logo');
+      setLogos(logoAssets);
+      setDesigns((designRows || []).filter((d) => (d.design_data?.objects?.length || 0) > 0));
+      if (logoAssets.length === 0 && (designRows || []).length > 0) setSource('design');
+      setLoadingArtwork(false);
+    })();
+    return () => { cancelled = true; };
+  }, [user]);
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    if (!query.trim()) return;
+    setSearching(true);
+    const rows = await searchSupplierProducts(query);
+    const products = rows.map((r) => normaliseProduct(r, r.supplier?.slug || 'laltex'));
+    const designable = products.filter(isProductDesignable);
+    setHiddenCount(products.length - designable.length);
+    setSearchResults(designable);
+    setSearching(false);
+  };
+
+  const isSelected = (product) => selected.some((p) => p.code === product.code);
+
+  const toggleProduct = (product) => {
+    if (isSelected(product)) {
+      setSelected((prev) => prev.filter((p) => p.code !== product.code));
+      return;
+    }
+    if (selected.length >= MAX_PRODUCTS) {
+      setError(`Pick up to ${MAX_PRODUCTS} products per run.`);
+      return;
+    }
+    setError(null);
+    setSelected((prev) => [...prev, product]);
+  };
+
+  const artworkLabel = () => {
+    if (source === 'logo') return logos.find((l) => l.id === logoId)?.name || 'Logo';
+    return designs.find((d) => d.id === designId)?.design_name || 'Design';
+  };
+
+  const handleGenerate = async () => {
+    setError(null);
+    let artwork;
+    if (source === 'logo') {
+      const asset = logos.find((l) => l.id === logoId);
+      if (!asset) return setError('Choose a logo first.');
+      const { data: dataUrl, error: loadError } = await loadBrandLogoDataURL(asset, { transparent });
+      if (loadError) return setError('Could not load the logo. Please try again.');
+      artwork = { imageDataUrl: dataUrl };
+    } else {
+      const design = designs.find((d) => d.id === designId);
+      if (!design) return setError('Choose a saved design first.');
+      artwork = { designData: design.design_data };
+    }
+    if (selected.length === 0) return setError('Pick at least one product.');
+
+    const label = artworkLabel();
+    setRunning(true);
+    setResults(selected.map((product) => ({ product, status: 'pending' })));
+
+    // One at a time: each render holds a full-size canvas and product photo.
+    for (const product of selected) {
+      const update = (patch) =>
+        setResults((prev) => prev.map((r) => (r.product.code === product.code ? { ...r, ...patch } : r)));
+      try {
+        const mockup = await renderProductMockup({ product, artwork });
+        const offered = availableColourCounts(mockup.row);
+        const numColours = (mockup.analysis && !mockup.analysis.photographic
+          ? suggestColourCount(mockup.analysis.count, offered).colours
+          : null) ?? (offered[0] || 1);
+        // Same row shape as DesignerV2's Save (CLAUDE.md §40, §43), so the
+        // mock-up reopens in the designer and pre-selects its position on
+        // the product page.
+        const { data: saved, error: saveError } = await supabase
+          .from('user_designs')
+          .insert({
+            user_id: user.id,
+            session_id: null,
+            design_name: `${label} — ${product.name}`,
+            supplier_product_code: product.code,
+            print_area: [mockup.group.name, mockup.row?.area || '', mockup.row?.printClass || ''].join('|'),
+            print_positions: [{
+              position: mockup.group.name,
+              area: mockup.row?.area || null,
+              print_class: mockup.row?.printClass || null,
+              num_colours: numColours,
+              ...(mockup.analysis
+                ? { detected_colours: mockup.analysis.count, photographic: mockup.analysis.photographic }
+                : {}),
+              design_data: mockup.designJSON,
+            }],
+            color_code: mockup.colour?.code || null,
+            color_name: mockup.colour?.name || null,
+            design_data: mockup.designJSON,
+            thumbnail_url: mockup.thumbnail,
+          })
+          .select()
+          .single();
+        if (saveError) throw saveError;
+        update({ status: 'done', design: saved, mockup: { ...mockup, numColours } });
+      } catch (err) {
+        console.error('[CustomerBulkMockups] mock-up failed:', product.code, err);
+        update({ status: 'failed', error: err.message || 'Could not create this mock-up' });
+      }
+    }
+    setRunning(false);
+  };
+
+  // Price each finished mock-up at the product's minimum quantity. Multi-size
+  // clothing needs a size split and POA lines need a person — both are left
+  // for the product page.
+  const quoteLines = results
+    .filter((r) => r.status === 'done')
+    .map((r) => {
+      const { product, design, mockup } = r;
+      if ((product.sizes?.length || 0) > 1) return { ...r, skip: 'choose sizes on the product page' };
+      const quantity = product.minimumOrderQty ?? 1;
+      const rowIndex = mockup.group.rows.indexOf(mockup.row);
+      const price = laltexUnitPrice(product, {
+        quantity,
+        colourName: mockup.colour?.name || null,
+        selections: [{ position: mockup.group.name, rowIndex, colours: mockup.numColours }],
+      });
+      if (price.unitPrice == null) return { ...r, skip: 'price on application' };
+      const [sel] = price.contributions;
+      return {
+        ...r,
+        unitPrice: price.unitPrice,
+        line: {
+          product_id: null, // Laltex products aren't in catalog_products
+          product_name: product.name,
+          quantity,
+          unit_price: +price.unitPrice.toFixed(4),
+          taxable_net_unit: taxableNetUnit(product.code, price.printPerUnit + price.deliveryUnit),
+          color: mockup.colour?.name || null,
+          print_areas: {
+            design_id: design.id,
+            selections: [{
+              position: mockup.group.name,
+              area: mockup.row?.area || null,
+              type: mockup.row?.printType || null,
+              class: mockup.row?.printClass || null,
+              num_colours: mockup.numColours,
+              unit_price: +sel.unit.toFixed(4),
+              ...(mockup.analysis
+                ? { detected_colours: mockup.analysis.count, photographic: !!mockup.analysis.photographic }
+                : {}),
+              ...(sel.whiteBase ? { white_base: true, base_unit_price: sel.baseUnit } : {}),
+            }],
+          },
+          size_breakdown: null,
+          design_data: design.design_data,
+          design_thumbnail: design.thumbnail_url,
+          notes: `Supplier: ${product.supplier} | Code: ${product.code}`,
+        },
+      };
+    });
+  const quotable = quoteLines.filter((r) => r.line);
+
+  const handleAddAllToQuote = async () => {
+    setQuoting(true);
+    setError(null);
+    const result = await createQuoteFromMockups({
+      user,
+      lines: quotable.map((r) => r.line),
+      note: `Bulk mock-ups: ${artworkLabel()}`,
+    });
+    setQuoting(false);
+    if (result.error) {
+      setError(result.error);
+      return;
+    }
+    navigate(result.redirect, {
+      state: { flash: `Quote ${result.quoteNumber} created with ${quotable.length} item${quotable.length === 1 ? '' : 's'}` },
+    });
+  };
+
+  const artworkChosen = source === 'logo' ? !!logoId : !!designId;
+  const finished = !running && results.length > 0;
+
+  return (
+    <CustomerLayout user={user} pageTitle="Bulk Mock-ups">
+      <div className="mb-6">
+        <Link to="/account/designs" className="text-sm text-blue-600 hover:underline">← My Designs</Link>
+        <h1 className="text-2xl font-bold text-gray-900 mt-1">Bulk Mock-ups</h1>
+        <p className="text-gray-600 mt-1">
+          Put one logo or design on a range of products at once. Each mock-up is saved to My Designs.
+        </p>
+      </div>
+
+      {error && (
+        <div className="mb-4 flex items-center gap-2 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+          <AlertCircle className="h-4 w-4 flex-shrink-0" />
+          <span>{error}</span>
+        </div>
+      )}
+
+      {/* Step 1 — artwork */}
+      <section className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 mb-6">
+        <h2 className="text-lg font-semibold text-gray-900 mb-4">1. Choose your artwork</h2>
+        <div className="flex gap-2 mb-4">
+          {[
+            { key: 'logo', label: 'Brand kit logo', icon: <Briefcase className="h-4 w-4" /> },
+            { key: 'design', label: 'Saved design', icon: <Palette className="h-4 w-4" /> },
+          ].map(({ key, label, icon }) => (
+            <button
+              key={key}
+              onClick={() => setSource(key)}
+              disabled={running}
+              className={`flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-sm font-medium border ${
+                source === key
+                  ? 'bg-blue-600 text-white border-blue-600'
+                  : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              {icon} {label}
+            </button>
+          ))}
+        </div>
+
+        {loadingArtwork ? (
+          <Loader className="h-6 w-6 text-blue-600 animate-spin" />
+        ) : source === 'logo' ? (
+          logos.length === 0 ? (
+            <p className="text-sm text-gray-600">
+              Your brand kit has no logos yet. Add one from the Brand Kit panel in the designer.
+            </p>
+          ) : (
+            <>
+              <div className="grid grid-cols-3 sm:grid-cols-6 gap-3">
+                {logos.map((logo) => (
+                  <button
+                    key={logo.id}
+                    onClick={() => setLogoId(logo.id)}
+                    disabled={running}
+                    title={logo.name}
+                    className={`aspect-square rounded-lg border-2 bg-gray-50 p-2 flex items-center justify-center ${
+                      logoId === logo.id ? 'border-blue-600' : 'border-gray-200 hover:border-blue-300'
+                    }`}
+                  >
+                    {logo.previewUrl ? (
+                      <img src={logo.previewUrl} alt={logo.name} className="max-w-full max-h-full object-contain" />
+                    ) : (
+                      <span className="text-xs text-gray-500 truncate">{logo.name}</span>
+                    )}
+                  </button>
+                ))}
+              </div>
+              <label className="mt-3 flex items-center gap-2 text-sm text-gray-600">
+                <input
+                  type="checkbox"
+                  checked={transparent}
+                  onChange={(e) => setTransparent(e.target.checked)}
+                  className="rounded border-gray-300 text-blue-600"
+                />
+                Use the transparent-background version
+              </label>
+            </>
+          )
+        ) : designs.length === 0 ? (
+          <p className="text-sm text-gray-600">No saved designs yet.</p>
+        ) : (
+          <div className="grid grid-cols-3 sm:grid-cols-6 gap-3">
+            {designs.map((design) => (
+              <button
+                key={design.id}
+                onClick={() => setDesignId(design.id)}
+                disabled={running}
+                className={`rounded-lg border-2 overflow-hidden text-left ${
+                  designId === design.id ? 'border-blue-600' : 'border-gray-200 hover:border-blue-300'
+                }`}
+              >
+                <div className="aspect-square bg-gray-100">
+                  {design.thumbnail_url && (
+                    <img src={design.thumbnail_url} alt={design.design_name} className="w-full h-full object-cover" />
+                  )}
+                </div>
+                <p className="px-2 py-1 text-xs text-gray-700 truncate">{design.design_name || 'Untitled Design'}</p>
+              </button>
+            ))}
+          </div>
+        )}
+      </section>
+
+      {/* Step 2 — products */}
+      <section className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 mb-6">
+        <h2 className="text-lg font-semibold text-gray-900 mb-1">2. Pick products</h2>
+        <p className="text-sm text-gray-500 mb-4">
+          Up to {MAX_PRODUCTS} products. Only products you can design online are shown.
+        </p>
+        <form onSubmit={handleSearch} className="flex gap-2 mb-4">
+          <input
+            type="text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search by name or product code, e.g. mug, tote, MG0192"
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+          <button
+            type="submit"
+            disabled={searching || !query.trim()}
+            className="flex items-center gap-1.5 px-4 py-2 bg-gray-900 text-white rounded-lg text-sm font-semibold hover:bg-gray-800 disabled:opacity-50"
+          >
+            {searching ? <Loader className="h-4 w-4 animate-spin" /> : <Search className="h-4 w-4" />}
+            Search
+          </button>
+        </form>
+
+        {selected.length > 0 && (
+          <div className="flex flex-wrap gap-2 mb-4">
+            {selected.map((product) => (
+              <span key={product.code} className="flex items-center gap-1 pl-3 pr-1 py-1 bg-blue-50 text-blue-800 rounded-full text-xs">
+                {product.name}
+                <button
+                  onClick={() => toggleProduct(product)}
+                  disabled={running}
+                  className="p-0.5 rounded-full hover:bg-blue-100"
+                  title="Remove"
+                >
+                  <X className="h-3 w-3" />
+                </button>
+              </span>
+            ))}
+          </div>
+        )}
+
+        {searchResults && (
+          searchResults.length === 0 ? (
+            <p className="text-sm text-gray-600">
+              No designable products match “{query}”.{hiddenCount > 0 && ` ${hiddenCount} matching product${hiddenCount === 1 ? '' : 's'} can't be designed online.`}
+            </p>
+          ) : (
+            <>
+              <div className="grid grid-cols-2 sm:grid-cols-4 lg:grid-cols-6 gap-3">
+                {searchResults.map((product) => {
+                  const picked = isSelected(product);
+                  return (
+                    <button
+                      key={product.code}
+                      onClick={() => toggleProduct(product)}
+                      disabled={running}
+                      className={`relative rounded-lg border-2 overflow-hidden text-left ${
+                        picked ? 'border-blue-600' : 'border-gray-200 hover:border-blue-300'
+                      }`}
+                    >
+                      {picked && (
+                        <span className="absolute top-1 right-1 bg-blue-600 text-white rounded-full p-0.5">
+                          <Check className="h-3 w-3" />
+                        </span>
+                      )}
+                      <div className="aspect-square bg-white">
+                        {product.images?.[0]?.url && (
+                          <img src={product.images[0].url} alt={product.name} className="w-full h-full object-contain" />
+                        )}
+                      </div>
+                      <div className="px-2 py-1">
+                        <p className="text-xs font-medium text-gray-800 truncate">{product.name}</p>
+                        <p className="text-[11px] text-gray-500">{product.code}</p>
+                      </div>
+                    </button>
+                  );
+                })}
+              </div>
+              {hiddenCount > 0 && (
+                <p className="text-xs text-gray-500 mt-2">
+                  {hiddenCount} more match{hiddenCount === 1 ? 'es' : ''} but can't be designed online.
+                </p>
+              )}
+            </>
+          )
+        )}
+      </section>
+
+      {/* Step 3 — generate */}
+      <section className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+        <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+          <h2 className="text-lg font-semibold text-gray-900">3. Create mock-ups</h2>
+          <button
+            onClick={handleGenerate}
+            disabled={running || !artworkChosen || selected.length === 0}
+            className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-semibold text-sm disabled:opacity-50"
+          >
+            {running ? <Loader className="h-4 w-4 animate-spin" /> : <Layers className="h-4 w-4" />}
+            {running
+              ? `Creating ${results.filter((r) => r.status !== 'pending').length + 1} of ${results.length}…`
+              : `Create ${selected.length || ''} mock-up${selected.length === 1 ? '' : 's'}`}
+          </button>
+        </div>
+
+        {results.length === 0 ? (
+          <p className="text-sm text-gray-500">
+            Your artwork is centred in each product's default print area. You can fine-tune any mock-up in the designer afterwards.
+          </p>
+        ) : (
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+            {results.map((r) => {
+              const priced = quoteLines.find((q) => q.product.code === r.product.code);
+              return (
+                <div key={r.product.code} className="border border-gray-200 rounded-lg overflow-hidden">
+                  <div className="aspect-square bg-gray-100 flex items-center justify-center">
+                    {r.status === 'pending' && <Loader className="h-6 w-6 text-gray-400 animate-spin" />}
+                    {r.status === 'failed' && <AlertCircle className="h-6 w-6 text-red-500" />}
+                    {r.status === 'done' && (
+                      <img src={r.design.thumbnail_url} alt={r.design.design_name} className="w-full h-full object-cover" />
+                    )}
+                  </div>
+                  <div className="p-3 text-sm">
+                    <p className="font-medium text-gray-900 truncate">{r.product.name}</p>
+                    {r.status === 'failed' && <p className="text-xs text-red-600 mt-1">{r.error}</p>}
+                    {r.status === 'done' && (
+                      <>
+                        <p className="text-xs text-gray-500 mt-0.5">
+                          {r.mockup.group.name} · {printMethodLabel(r.mockup.row)} · {r.mockup.numColours} colour{r.mockup.numColours === 1 ? '' : 's'}
+                        </p>
+                        {r.mockup.indicative && (
+                          <p className="text-xs text-amber-700 mt-1">Indicative position — we'll confirm placement at proof.</p>
+                        )}
+                        <p className="text-xs text-gray-600 mt-1">
+                          {priced?.line
+                            ? `${formatGBP(priced.unitPrice)} each at ${priced.line.quantity}`
+                            : priced?.skip && `Not added to the quote: ${priced.skip}`}
+                        </p>
+                        <Link
+                          to={`/design/${encodeURIComponent(r.product.code)}?design=${r.design.id}`}
+                          className="mt-2 inline-flex items-center gap-1 text-xs font-semibold text-blue-600 hover:underline"
+                        >
+                          <Palette className="h-3.5 w-3.5" /> Edit in designer
+                        </Link>
+                      </>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        {finished && quotable.length > 0 && (
+          <div className="mt-6 flex flex-wrap items-center justify-between gap-3 p-4 bg-gray-50 rounded-lg">
+            <p className="text-sm text-gray-700">
+              Add {quotable.length} mock-up{quotable.length === 1 ? '' : 's'} to one quote at each product's minimum quantity.
+              You can change quantities on the quote.
+            </p>
+            <button
+              onClick={handleAddAllToQuote}
+              disabled={quoting}
+              className="flex items-center gap-2 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors font-semibold text-sm disabled:opacity-50"
+            >
+              {quoting ? <Loader className="h-4 w-4 animate-spin" /> : <FileText className="h-4 w-4" />}
+              Add all to one quote
+            </button>
+          </div>
+        )}
+      </section>
+    </CustomerLayout>
+  );
+};
+
+export default CustomerBulkMockups;
@@ -0,0 +1,353 @@
+import React, { useEffect, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { Building2, Users, Mail, Loader, Trash2, AlertCircle, Check, Send } from 'lucide-react';
+import CustomerLayout from '../../components/customer/CustomerLayout';
+import {
+  getMyCompany,
+  createCompany,
+  getCompanyInvitations,
+  inviteCompanyMember,
+  sendCompanyInviteEmail,
+  revokeCompanyInvitation,
+  acceptCompanyInvitation,
+  setCompanyMemberRole,
+  removeCompanyMember,
+} from '../../services/supabaseService';
+
+/**
+ * Company account (20261019_company_accounts.sql). Colleagues in one company
+ * see each other's quotes and saved designs. Roles:
+ *   approver — manages members and signs off / pays for quotes
+ *   buyer    — builds quotes and submits them for approval
+ *   viewer   — read-only
+ * Invitation emails link back here with ?invite=<token>; the signed-in
+ * account's email must match the invited address.
+ */
+
+const COMPANY_ROLE_LABELS = {
+  approver: 'Approver',
+  buyer: 'Buyer',
+  viewer: 'Viewer',
+};
+
+const ROLE_HELP = {
+  approver: 'Manages members, approves and pays for quotes',
+  buyer: 'Creates quotes and submits them for approval',
+  viewer: 'Can see company quotes and designs',
+};
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const CustomerCompany = ({ user }) => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const inviteToken = searchParams.get('invite');
+
+  const [loading, setLoading] = useState(true);
+  const [membership, setMembership] = useState(null); // { company, role, members } | null
+  const [invitations, setInvitations] = useState([]);
+  const [companyName, setCompanyName] = useState('');
+  const [inviteEmail, setInviteEmail] = useState('');
+  const [inviteRole, setInviteRole] = useState('buyer');
+  const [busy, setBusy] = useState(null); // action key while a request is in flight
+  const [error, setError] = useState(null);
+  const [flash, setFlash] = useState(null);
+
+  const isApprover = membership?.role === 'approver';
+
+  const fetchCompany = async () => {
+    const { data } = await getMyCompany(user.id);
+    setMembership(data);
+    if (data?.role === 'approver') {
+      const { data: invites } = await getCompanyInvitations();
+      setInvitations(invites);
+    } else {
+      setInvitations([]);
+    }
+    setLoading(false);
+  };
+
+  useEffect(() => {
+    if (user) fetchCompany();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [user]);
+
+  useEffect(() => {
+    if (!flash) return;
+    const timer = setTimeout(() => setFlash(null), 3000);
+    return () => clearTimeout(timer);
+  }, [flash]);
+
+  const run = async (key, action, failMessage) => {
+    setBusy(key);
+    setError(null);
+    const { error: actionError } = await action();
+    setBusy(null);
+    if (actionError) {
+      setError(actionError.message || failMessage);
+      return false;
+    }
+    return true;
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!companyName.trim()) {
+      setError('Enter your company name.');
+      return;
+    }
+    const ok = await run('create', () => createCompany(companyName.trim()), 'Could not create the company.');
+    if (!ok) return;
+    setCompanyName('');
+    setFlash('Company created');
+    fetchCompany();
+  };
+
+  const handleAccept = async () => {
+    const ok = await run('accept', () => acceptCompanyInvitation(inviteToken), 'Could not accept the invitation.');
+    if (!ok) return;
+    setSearchParams({});
+    setFlash('You have joined the company');
+    fetchCompany();
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    const email = inviteEmail.trim().toLowerCase();
+    if (!EMAIL_RE.test(email)) {
+      setError('Enter a valid email address.');
+      return;
+    }
+    const ok = await run('invite', () => inviteCompanyMember(email, inviteRole), 'Could not send the invitation.');
+    if (!ok) return;
+    setInviteEmail('');
+    setFlash(`Invitation sent to ${email}`);
+    fetchCompany();
+  };
+
+  const handleResend = (invite) => {
+    sendCompanyInviteEmail(invite.id, { resend: true });
+    setFlash(`Invitation resent to ${invite.email}`);
+  };
+
+  const handleRevoke = async (invite) => {
+    if (!window.confirm(`Cancel the invitation for ${invite.email}?`)) return;
+    const ok = await run(invite.id, () => revokeCompanyInvitation(invite.id), 'Could not cancel the invitation.');
+    if (ok) setInvitations((prev) => prev.filter((i) => i.id !== invite.id));
+  };
+
+  const handleRoleChange = async (member, role) => {
+    const ok = await run(member.user_id, () => setCompanyMemberRole(member.user_id, role), 'Could not change the role.');
+    if (!ok) return;
+    setFlash('Role updated');
+    fetchCompany();
+  };
+
+  const handleRemove = async (member) => {
+    const self = member.user_id === user.id;
+    const prompt = self
+      ? `Leave ${membership.company.name}? You will lose access to its quotes and designs.`
+      : `Remove ${member.name || member.email} from ${membership.company.name}?`;
+    if (!window.confirm(prompt)) return;
+    const ok = await run(member.user_id, () => removeCompanyMember(member.user_id), 'Could not remove the member.');
+    if (!ok) return;
+    setFlash(self ? 'You have left the company' : 'Member removed');
+    fetchCompany();
+  };
+
+  const inputCls =
+    'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+  const cardCls = 'bg-white rounded-xl shadow-sm border border-gray-200 p-6';
+
+  if (loading) {
+    return (
+      <CustomerLayout user={user} pageTitle="Company">
+        <div className={`${cardCls} p-12 flex items-center justify-center`}>
+          <Loader className="h-8 w-8 text-blue-600 animate-spin" />
+        </div>
+      </CustomerLayout>
+    );
+  }
+
+  return (
+    <CustomerLayout user={user} pageTitle="Company">
+      {flash && (
+        <div className="mb-4 px-4 py-3 bg-green-50 border border-green-200 rounded-lg text-sm text-green-800 flex items-center gap-2">
+          <Check className="h-4 w-4" /> {flash}
+        </div>
+      )}
+      {error && (
+        <div className="mb-4 px-4 py-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700 flex items-center gap-2">
+          <AlertCircle className="h-4 w-4" /> {error}
+        </div>
+      )}
+
+      {inviteToken && !membership && (
+        <div className={`${cardCls} mb-6 border-blue-200 bg-blue-50`}>
+          <h2 className="text-lg font-bold text-gray-900 flex items-center gap-2 mb-2">
+            <Mail className="h-5 w-5" /> You have been invited to a company account
+          </h2>
+          <p className="text-sm text-gray-700 mb-4">
+            Joining shares your quotes and saved designs with your colleagues. Make sure you are signed in with the
+            email address the invitation was sent to.
+          </p>
+          <button
+            onClick={handleAccept}
+            disabled={busy === 'accept'}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg text-sm font-semibold hover:bg-blue-700 disabled:opacity-50 flex items-center gap-2"
+          >
+            {busy === 'accept' ? <Loader className="h-4 w-4 animate-spin" /> : 'Accept invitation'}
+          </button>
+        </div>
+      )}
+
+      {!membership ? (
+        <form onSubmit={handleCreate} className={`${cardCls} space-y-4 max-w-xl`}>
+          <h2 className="text-lg font-bold text-gray-900 flex items-center gap-2">
+            <Building2 className="h-5 w-5" /> Set up a company account
+          </h2>
+          <p className="text-sm text-gray-600">
+            Invite colleagues to share quotes and designs. Buyers submit quotes for approval; approvers sign them off
+            and pay.
+          </p>
+          <input
+            className={inputCls}
+            value={companyName}
+            onChange={(e) => { setCompanyName(e.target.value); if (error) setError(null); }}
+            placeholder="Company name"
+          />
+          <button
+            type="submit"
+            disabled={busy === 'create'}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg text-sm font-semibold hover:bg-blue-700 disabled:opacity-50 flex items-center gap-2"
+          >
+            {busy === 'create' ? <Loader className="h-4 w-4 animate-spin" /> : 'Create company'}
+          </button>
+        </form>
+      ) : (
+        <div className="space-y-6">
+          <div className={cardCls}>
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-lg font-bold text-gray-900 flex items-center gap-2">
+                <Building2 className="h-5 w-5" /> {membership.company.name}
+              </h2>
+              <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
+                Your role: {COMPANY_ROLE_LABELS[membership.role]}
+              </span>
+            </div>
+
+            <h3 className="text-sm font-semibold text-gray-700 flex items-center gap-2 mb-2">
+              <Users className="h-4 w-4" /> Members
+            </h3>
+            <ul className="divide-y divide-gray-100">
+              {membership.members.map((m) => {
+                const self = m.user_id === user.id;
+                return (
+                  <li key={m.user_id} className="py-3 flex flex-wrap items-center justify-between gap-3">
+                    <div>
+                      <div className="text-sm font-medium text-gray-900">
+                        {m.name || m.email}{self && <span className="text-gray-500 font-normal"> (you)</span>}
+                      </div>
+                      {m.name && <div className="text-xs text-gray-500">{m.email}</div>}
+                    </div>
+                    <div className="flex items-center gap-3">
+                      {isApprover ? (
+                        <select
+                          value={m.role}
+                          disabled={busy === m.user_id}
+                          onChange={(e) => handleRoleChange(m, e.target.value)}
+                          className="px-2 py-1 border border-gray-300 rounded-lg text-sm"
+                        >
+                          {Object.entries(COMPANY_ROLE_LABELS).map(([value, label]) => (
+                            <option key={value} value={value}>{label}</option>
+                          ))}
+                        </select>
+                      ) : (
+                        <span className="text-sm text-gray-600">{COMPANY_ROLE_LABELS[m.role]}</span>
+                      )}
+                      {(isApprover || self) && (
+                        <button
+                          onClick={() => handleRemove(m)}
+                          disabled={busy === m.user_id}
+                          className="text-sm text-red-600 hover:text-red-700 flex items-center gap-1 disabled:opacity-50"
+                        >
+                          <Trash2 className="h-3.5 w-3.5" /> {self ? 'Leave' : 'Remove'}
+                        </button>
+                      )}
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+
+          {isApprover && (
+            <div className={cardCls}>
+              <h2 className="text-lg font-bold text-gray-900 flex items-center gap-2 mb-4">
+                <Mail className="h-5 w-5" /> Invite a colleague
+              </h2>
+              <form onSubmit={handleInvite} className="flex flex-col sm:flex-row gap-3">
+                <input
+                  type="email"
+                  className={inputCls}
+                  value={inviteEmail}
+                  onChange={(e) => { setInviteEmail(e.target.value); if (error) setError(null); }}
+                  placeholder="colleague@company.com"
+                />
+                <select
+                  value={inviteRole}
+                  onChange={(e) => setInviteRole(e.target.value)}
+                  className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                >
+                  {Object.entries(COMPANY_ROLE_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+                <button
+                  type="submit"
+                  disabled={busy === 'invite'}
+                  className="px-4 py-2 bg-blue-600 text-white rounded-lg text-sm font-semibold hover:bg-blue-700 disabled:opacity-50 flex items-center justify-center gap-2 whitespace-nowrap"
+                >
+                  {busy === 'invite' ? <Loader className="h-4 w-4 animate-spin" /> : <><Send className="h-4 w-4" /> Invite</>}
+                </button>
+              </form>
+              <p className="text-xs text-gray-500 mt-2">{ROLE_HELP[inviteRole]}.</p>
+
+              {invitations.length > 0 && (
+                <>
+                  <h3 className="text-sm font-semibold text-gray-700 mt-6 mb-2">Pending invitations</h3>
+                  <ul className="divide-y divide-gray-100">
+                    {invitations.map((inv) => (
+                      <li key={inv.id} className="py-3 flex flex-wrap items-center justify-between gap-3 text-sm">
+                        <div>
+                          <div className="font-medium text-gray-900">{inv.email}</div>
+                          <div className="text-xs text-gray-500">
+                            {COMPANY_ROLE_LABELS[inv.role]} · expires {new Date(inv.expires_at).toLocaleDateString('en-GB')}
+                            {!inv.email_sent_at && ' · email not sent yet'}
+                          </div>
+                        </div>
+                        <div className="flex items-center gap-4">
+                          <button onClick={() => handleResend(inv)} className="text-blue-600 hover:text-blue-700 font-semibold">
+                            Resend
+                          </button>
+                          <button
+                            onClick={() => handleRevoke(inv)}
+                            disabled={busy === inv.id}
+                            className="text-red-600 hover:text-red-700 disabled:opacity-50"
+                          >
+                            Cancel
+                          </button>
+                        </div>
+                      </li>
+                    ))}
+                  </ul>
+                </>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </CustomerLayout>
+  );
+};
+
+export default CustomerCompany;
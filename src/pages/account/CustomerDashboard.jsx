@@ -91,7 +91,9 @@ const CustomerDashboard = ({ user }) => {
       confirmed: 'bg-blue-100 text-blue-800',
       in_production: 'bg-purple-100 text-purple-800',
       shipped: 'bg-cyan-100 text-cyan-800',
+      dispatched: 'bg-cyan-100 text-cyan-800',
       completed: 'bg-green-100 text-green-800',
+      delivered: 'bg-green-100 text-green-800',
       cancelled: 'bg-red-100 text-red-800',
       draft: 'bg-gray-100 text-gray-800',
       sent: 'bg-blue-100 text-blue-800',
@@ -1,8 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
-import { Palette, Edit2, Copy, Trash2, FileText, Loader } from 'lucide-react';
+import { Palette, Edit2, Copy, Trash2, FileText, Loader, Users, Layers } from 'lucide-react';
 import CustomerLayout from '../../components/customer/CustomerLayout';
-import { supabase, deleteUserDesign } from '../../services/supabaseService';
+import { supabase, deleteUserDesign, getMyCompany } from '../../services/supabaseService';
 import { createQuoteFromDesign } from '../../services/quoteService';
 import {
   getCatalogProductBySlug,
@@ -30,6 +30,8 @@ const CustomerDesigns = ({ user }) => {
   const [editingNameId, setEditingNameId] = useState(null);
   const [editingName, setEditingName] = useState('');
   const [savingName, setSavingName] = useState(false);
+  // Company members (20261019_company_accounts.sql) for "Shared by" labels.
+  const [companyMembers, setCompanyMembers] = useState([]);
 
   useEffect(() => {
     fetchDesigns();
@@ -100,11 +102,17 @@ const CustomerDesigns = ({ user }) => {
     try {
       setLoading(true);
 
-      const { data, error } = await supabase
-        .from('user_designs')
-        .select('*')
-        .eq('user_id', user.id)
-        .order('updated_at', { ascending: false });
+      // Company members also see colleagues' designs (read-only: duplicate
+      // to edit). RLS only returns rows the user may see.
+      const { data: membership } = await getMyCompany(user.id);
+      setCompanyMembers(membership?.members || []);
+      const companyId = membership?.company?.id;
+
+      let query = supabase.from('user_designs').select('*');
+      query = companyId
+        ? query.or(`user_id.eq.${user.id},company_id.eq.${companyId}`)
+        : query.eq('user_id', user.id);
+      const { data, error } = await query.order('updated_at', { ascending: false });
 
       if (error) throw error;
 
@@ -145,6 +153,11 @@ const CustomerDesigns = ({ user }) => {
     return match?.images?.[0] || null;
   };
 
+  const sharedByLabel = (design) => {
+    const m = companyMembers.find((mem) => mem.user_id === design.user_id);
+    return m ? (m.name || m.email) : 'a colleague';
+  };
+
   const editUrlFor = (design) =>
     isLaltexDesign(design)
       ? `/design/${encodeURIComponent(design.supplier_product_code)}?design=${design.id}`
@@ -209,6 +222,7 @@ const CustomerDesigns = ({ user }) => {
       };
       if (isLaltexDesign(design)) {
         insert.supplier_product_code = design.supplier_product_code;
+        insert.print_positions = design.print_positions || null;
       } else {
         insert.product_id = design.product_id || null;
         insert.product_key = design.product_key || null;
@@ -238,14 +252,12 @@ const CustomerDesigns = ({ user }) => {
 
   // v1 designs: existing quote flow (clothing redirect or quotes-table
   // insert via createQuoteFromDesign). v2 / Laltex designs: route the
-  // customer to the LaltexProductView for that supplier code, where
-  // the existing Add-to-Quote button handles quantity + position config.
-  // A future session may pre-load the saved design into that view; for
-  // now the design stays in My Designs and the customer configures qty
-  // on the product page.
+  // customer to the LaltexProductView for that supplier code with
+  // ?design=<id>, which pre-selects every position the design prints on;
+  // the existing Add-to-Quote button handles quantity.
   const handleAddToQuote = async (design) => {
     if (isLaltexDesign(design)) {
-      navigate(`/products/${encodeURIComponent(design.supplier_product_code)}`);
+      navigate(`/products/${encodeURIComponent(design.supplier_product_code)}?design=${design.id}`);
       return;
     }
     const result = await createQuoteFromDesign({ design, user });
@@ -261,15 +273,26 @@ const CustomerDesigns = ({ user }) => {
       <div className="mb-6 flex items-center justify-between">
         <div>
           <h1 className="text-2xl font-bold text-gray-900">My Designs</h1>
-          <p className="text-gray-600 mt-1">Manage your saved designs</p>
+          <p className="text-gray-600 mt-1">
+            {companyMembers.length > 1 ? 'Your saved designs and those shared by your company' : 'Manage your saved designs'}
+          </p>
+        </div>
+        <div className="flex items-center gap-3">
+          <Link
+            to="/account/designs/bulk"
+            className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors font-semibold flex items-center space-x-2"
+          >
+            <Layers className="h-5 w-5" />
+            <span>Bulk Mock-ups</span>
+          </Link>
+          <Link
+            to="/designer"
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-semibold flex items-center space-x-2"
+          >
+            <Palette className="h-5 w-5" />
+            <span>Create New Design</span>
+          </Link>
         </div>
-        <Link
-          to="/designer"
-          className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-semibold flex items-center space-x-2"
-        >
-          <Palette className="h-5 w-5" />
-          <span>Create New Design</span>
-        </Link>
       </div>
 
       {loading ? (
@@ -294,6 +317,7 @@ const CustomerDesigns = ({ user }) => {
             const laltex = isLaltexDesign(design);
             const productLabel = resolveProductLabel(design);
             const laltexColourImage = resolveLaltexColourImage(design);
+            const isOwn = design.user_id === user.id;
             return (
               <div
                 key={design.id}
@@ -348,16 +372,24 @@ const CustomerDesigns = ({ user }) => {
                       <h3 className="font-semibold text-gray-900 flex-1 mr-2">
                         {design.design_name || 'Untitled Design'}
                       </h3>
-                      <button
-                        onClick={() => handleEditName(design)}
-                        className="text-gray-400 hover:text-gray-600"
-                        title="Edit name"
-                      >
-                        <Edit2 className="h-4 w-4" />
-                      </button>
+                      {isOwn && (
+                        <button
+                          onClick={() => handleEditName(design)}
+                          className="text-gray-400 hover:text-gray-600"
+                          title="Edit name"
+                        >
+                          <Edit2 className="h-4 w-4" />
+                        </button>
+                      )}
                     </div>
                   )}
 
+                  {!isOwn && (
+                    <p className="text-xs text-blue-700 mb-2 flex items-center gap-1">
+                      <Users className="h-3.5 w-3.5" /> Shared by {sharedByLabel(design)}
+                    </p>
+                  )}
+
                   {/* Product Info */}
                   <p className="text-sm text-gray-600 mb-2">{productLabel}</p>
 
@@ -386,7 +418,9 @@ const CustomerDesigns = ({ user }) => {
 
                   {/* Print area */}
                   {design.print_area && (
-                    <p className="text-xs text-gray-500 mb-3">{prettyPrintArea(design.print_area)}</p>
+                    <p className="text-xs text-gray-500 mb-3">{design.print_positions?.length > 1
+                      ? design.print_positions.map((p) => p.position).join(' + ')
+                      : prettyPrintArea(design.print_area)}</p>
                   )}
 
                   {/* Last Modified */}
@@ -396,17 +430,27 @@ const CustomerDesigns = ({ user }) => {
 
                   {/* Actions */}
                   <div className="space-y-2">
-                    {/* Edit Button */}
-                    <Link
-                      to={editUrlFor(design)}
-                      className="w-full flex items-center justify-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors text-sm font-semibold"
-                    >
-                      <Palette className="h-4 w-4" />
-                      <span>Edit</span>
-                    </Link>
+                    {/* Edit Button — colleagues' designs are duplicated first. */}
+                    {isOwn ? (
+                      <Link
+                        to={editUrlFor(design)}
+                        className="w-full flex items-center justify-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors text-sm font-semibold"
+                      >
+                        <Palette className="h-4 w-4" />
+                        <span>Edit</span>
+                      </Link>
+                    ) : (
+                      <button
+                        onClick={() => handleDuplicate(design)}
+                        className="w-full flex items-center justify-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors text-sm font-semibold"
+                      >
+                        <Copy className="h-4 w-4" />
+                        <span>Copy to my designs</span>
+                      </button>
+                    )}
 
                     {/* Secondary Actions */}
-                    <div className="grid grid-cols-3 gap-2">
+                    <div className={`grid ${isOwn ? 'grid-cols-3' : 'grid-cols-2'} gap-2`}>
                       <button
                         onClick={() => handleDuplicate(design)}
                         className="flex items-center justify-center px-2 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors text-xs"
@@ -421,13 +465,15 @@ const CustomerDesigns = ({ user }) => {
                       >
                         <FileText className="h-4 w-4" />
                       </button>
-                      <button
-                        onClick={() => handleDelete(design.id, design.design_name)}
-                        className="flex items-center justify-center px-2 py-2 border border-red-300 text-red-600 rounded-lg hover:bg-red-50 transition-colors text-xs"
-                        title="Delete"
-                      >
-                        <Trash2 className="h-4 w-4" />
-                      </button>
+                      {isOwn && (
+                        <button
+                          onClick={() => handleDelete(design.id, design.design_name)}
+                          className="flex items-center justify-center px-2 py-2 border border-red-300 text-red-600 rounded-lg hover:bg-red-50 transition-colors text-xs"
+                          title="Delete"
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </button>
+                      )}
                     </div>
                   </div>
                 </div>
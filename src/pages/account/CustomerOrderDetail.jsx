@@ -1,15 +1,34 @@
 import React, { useState, useEffect } from 'react';
 import { useParams, Link } from 'react-router-dom';
-import { ArrowLeft, Loader, MapPin, Printer } from 'lucide-react';
+import { ArrowLeft, Loader, MapPin, Printer, FileCheck, ExternalLink, Truck } from 'lucide-react';
 import CustomerLayout from '../../components/customer/CustomerLayout';
-import { supabase } from '../../services/supabaseService';
+import {
+  supabase,
+  getArtworkProofs,
+  getArtworkSignedUrl,
+  respondToArtworkProof,
+  getOrderStatusEvents,
+  getCustomerAddresses,
+} from '../../services/supabaseService';
 import DeliveryAddressForm from '../../components/DeliveryAddressForm';
 import { BUSINESS } from '../../config/business';
 import { formatSizeBreakdown } from '../../utils/laltexSizes';
+import {
+  PROOF_STATUS_LABELS,
+  PROOF_STATUS_CLASSES,
+  PROOF_PREVIEW_TYPES,
+  getOutstandingProof,
+} from '../../lib/artworkProofs';
+import { ORDER_STATUS_LABELS, statusEventLabel } from '../../lib/orderStatus';
 
 // Delivery address can no longer be edited by the customer once the order has
 // advanced to (or past) approval — at that point production is committed.
 const DELIVERY_LOCKED_STATUSES = new Set(['approved', 'in_production', 'shipped', 'delivered']);
+// Fulfilment status moves on its own (advance_order_status), so an order can
+// be made or sent before its artwork status catches up — lock on either.
+const DELIVERY_LOCKED_ORDER_STATUSES = new Set(['in_production', 'dispatched', 'shipped', 'delivered', 'completed']);
+const isDeliveryLocked = (order) =>
+  DELIVERY_LOCKED_STATUSES.has(order.artwork_status) || DELIVERY_LOCKED_ORDER_STATUSES.has(order.status);
 
 const CustomerOrderDetail = ({ user }) => {
   const { id } = useParams();
@@ -18,11 +37,34 @@ const CustomerOrderDetail = ({ user }) => {
   const [orderItems, setOrderItems] = useState([]);
   const [profile, setProfile] = useState(null);
   const [editingDelivery, setEditingDelivery] = useState(false);
+  const [proofs, setProofs] = useState([]);
+  const [proofUrl, setProofUrl] = useState(null);
+  const [proofComment, setProofComment] = useState('');
+  const [respondingTo, setRespondingTo] = useState(null); // 'approved' | 'changes_requested'
+  const [proofError, setProofError] = useState(null);
+  const [statusEvents, setStatusEvents] = useState([]);
+  const [savedAddresses, setSavedAddresses] = useState([]);
 
   useEffect(() => {
     fetchOrderDetail();
   }, [id]);
 
+  const outstandingProof = getOutstandingProof(proofs);
+  const outstandingProofPath = outstandingProof?.file_url || null;
+
+  // Sign the outstanding proof for the preview / "Open proof" link.
+  useEffect(() => {
+    if (!outstandingProofPath) {
+      setProofUrl(null);
+      return;
+    }
+    let cancelled = false;
+    getArtworkSignedUrl(outstandingProofPath, 3600).then(({ data }) => {
+      if (!cancelled) setProofUrl(data?.signedUrl || null);
+    });
+    return () => { cancelled = true; };
+  }, [outstandingProofPath]);
+
   const fetchOrderDetail = async () => {
     try {
       setLoading(true);
@@ -53,6 +95,15 @@ const CustomerOrderDetail = ({ user }) => {
         .maybeSingle();
       setProfile(profileData || null);
 
+      const { data: proofData } = await getArtworkProofs(id);
+      setProofs(proofData.proofs);
+
+      const { data: eventData } = await getOrderStatusEvents(id);
+      setStatusEvents(eventData);
+
+      const { data: addressData } = await getCustomerAddresses(user.id, 'delivery');
+      setSavedAddresses(addressData);
+
     } catch (error) {
       console.error('[CustomerOrderDetail] Error:', error);
     } finally {
@@ -71,6 +122,23 @@ const CustomerOrderDetail = ({ user }) => {
     setEditingDelivery(false);
   };
 
+  const handleProofResponse = async (decision) => {
+    setProofError(null);
+    if (decision === 'changes_requested' && !proofComment.trim()) {
+      setProofError('Please tell us what needs to change.');
+      return;
+    }
+    setRespondingTo(decision);
+    const result = await respondToArtworkProof(outstandingProof.id, decision, proofComment.trim() || null);
+    setRespondingTo(null);
+    if (!result.ok) {
+      setProofError(result.error);
+      return;
+    }
+    setProofComment('');
+    await fetchOrderDetail();
+  };
+
   const formatCurrency = (amount) => {
     return new Intl.NumberFormat('en-GB', {
       style: 'currency',
@@ -117,8 +185,10 @@ const CustomerOrderDetail = ({ user }) => {
   const company = order.shipping_address?.company || profile?.company_name || null;
   const addr = order.shipping_address;
   const subtotal = Number(order.subtotal) || 0;
+  const discount = Number(order.discount_amount) || 0;
   const vat = Number(order.tax_amount) || 0;
   const total = Number(order.total_amount) || 0;
+  const refunded = Number(order.refunded_amount) || 0;
 
   return (
     <CustomerLayout user={user} pageTitle={`Order #${order.order_number || order.id.slice(0, 8)}`}>
@@ -157,7 +227,7 @@ const CustomerOrderDetail = ({ user }) => {
               Order #{order.order_number || order.id.slice(0, 8)}
             </div>
             <div className="text-sm text-gray-600">Date: {formatDate(order.created_at)}</div>
-            <div className="text-sm text-gray-600 capitalize">Status: {order.status}</div>
+            <div className="text-sm text-gray-600 capitalize">Status: {ORDER_STATUS_LABELS[order.status] || order.status}</div>
             {order.po_number && <div className="text-sm text-gray-600">PO: {order.po_number}</div>}
           </div>
         </div>
@@ -229,6 +299,12 @@ const CustomerOrderDetail = ({ user }) => {
               <span>Subtotal (ex VAT)</span>
               <span>{formatCurrency(subtotal)}</span>
             </div>
+            {discount > 0 && (
+              <div className="flex justify-between text-sm text-gray-700">
+                <span>Discount{order.promo_code ? ` (${order.promo_code})` : ''}</span>
+                <span>−{formatCurrency(discount)}</span>
+              </div>
+            )}
             <div className="flex justify-between text-sm text-gray-700">
               <span>VAT</span>
               <span>{formatCurrency(vat)}</span>
@@ -237,6 +313,12 @@ const CustomerOrderDetail = ({ user }) => {
               <span>Total</span>
               <span>{formatCurrency(total)}</span>
             </div>
+            {refunded > 0 && (
+              <div className="flex justify-between text-sm text-gray-700">
+                <span>Refunded</span>
+                <span>−{formatCurrency(refunded)}</span>
+              </div>
+            )}
           </div>
         </div>
 
@@ -247,6 +329,146 @@ const CustomerOrderDetail = ({ user }) => {
         </div>
       </div>
 
+      {/* Order progress — tracking once dispatched, then every status change
+          (order_status_events), newest first. */}
+      {(statusEvents.length > 0 || order.tracking_number) && (
+        <div className="no-print bg-white rounded-xl shadow-sm border border-gray-200 p-6 mb-6">
+          <h2 className="text-lg font-bold text-gray-900 flex items-center space-x-2 mb-4">
+            <Truck className="h-5 w-5" />
+            <span>Order progress</span>
+          </h2>
+
+          {order.tracking_number && (
+            <div className="mb-4 p-4 bg-cyan-50 border border-cyan-200 rounded-lg text-sm text-gray-800">
+              Dispatched{order.dispatched_at ? ` on ${formatDate(order.dispatched_at)}` : ''} with{' '}
+              <span className="font-semibold">{order.carrier}</span>. Tracking number{' '}
+              <span className="font-semibold">{order.tracking_number}</span>
+              {order.tracking_url && (
+                <a
+                  href={order.tracking_url}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="ml-2 inline-flex items-center gap-1 text-blue-600 font-semibold hover:underline"
+                >
+                  Track parcel <ExternalLink className="h-3.5 w-3.5" />
+                </a>
+              )}
+            </div>
+          )}
+
+          <ol className="space-y-2">
+            {[...statusEvents].reverse().map(ev => (
+              <li key={ev.id} className="text-sm text-gray-700 flex flex-wrap items-baseline gap-x-2">
+                <span className="text-xs text-gray-400">{formatDate(ev.created_at)}</span>
+                <span className="font-semibold">{statusEventLabel(ev)}</span>
+                {ev.actor_type === 'customer' && <span className="text-xs text-gray-500">by you</span>}
+                {ev.note && <span className="text-xs italic text-gray-500">· {ev.note}</span>}
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+
+      {/* Artwork proof — approve or request changes. Approval moves the
+          order to 'approved' (respond_to_artwork_proof). */}
+      {proofs.length > 0 && (
+        <div className="no-print bg-white rounded-xl shadow-sm border border-gray-200 p-6 mb-6">
+          <h2 className="text-lg font-bold text-gray-900 flex items-center space-x-2 mb-4">
+            <FileCheck className="h-5 w-5" />
+            <span>Artwork proof</span>
+          </h2>
+
+          {outstandingProof ? (
+            <div className="mb-6">
+              <p className="text-sm text-gray-700 mb-3">
+                Version {outstandingProof.version} is ready for you to check. Please review spelling,
+                colours, positioning and sizing — we don't go to print until you approve.
+              </p>
+              {outstandingProof.staff_notes && (
+                <p className="text-sm text-gray-600 mb-3 p-3 bg-gray-50 rounded-lg">
+                  <span className="font-semibold">Note from our artwork team:</span> {outstandingProof.staff_notes}
+                </p>
+              )}
+              {proofUrl && PROOF_PREVIEW_TYPES.has(outstandingProof.file_type) && (
+                <img
+                  src={proofUrl}
+                  alt={`Proof version ${outstandingProof.version}`}
+                  className="w-full max-h-[600px] object-contain bg-gray-50 border border-gray-200 rounded-lg mb-3"
+                />
+              )}
+              {proofUrl && (
+                <a
+                  href={proofUrl}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="inline-flex items-center gap-1 text-sm text-blue-600 hover:text-blue-700 font-semibold mb-4"
+                >
+                  <ExternalLink className="h-4 w-4" />
+                  <span>Open proof ({outstandingProof.file_name})</span>
+                </a>
+              )}
+
+              <textarea
+                value={proofComment}
+                onChange={(e) => setProofComment(e.target.value)}
+                placeholder="Comments — required if you need changes, optional when approving."
+                rows={3}
+                disabled={!!respondingTo}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+              {proofError && <p className="mt-2 text-sm text-red-600">{proofError}</p>}
+              <div className="mt-3 flex items-center flex-wrap gap-3">
+                <button
+                  type="button"
+                  onClick={() => handleProofResponse('approved')}
+                  disabled={!!respondingTo}
+                  className="px-4 py-2 bg-green-600 text-white rounded-lg text-sm font-semibold hover:bg-green-700 disabled:opacity-50 flex items-center gap-2"
+                >
+                  {respondingTo === 'approved' && <Loader className="h-4 w-4 animate-spin" />}
+                  <span>Approve proof</span>
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleProofResponse('changes_requested')}
+                  disabled={!!respondingTo}
+                  className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg text-sm font-semibold hover:bg-gray-100 disabled:opacity-50 flex items-center gap-2"
+                >
+                  {respondingTo === 'changes_requested' && <Loader className="h-4 w-4 animate-spin" />}
+                  <span>Request changes</span>
+                </button>
+              </div>
+            </div>
+          ) : (
+            <p className="text-sm text-gray-600 mb-6">
+              {proofs[0]?.status === 'approved'
+                ? 'You approved this artwork — it is now with production.'
+                : "Thanks — we're working on your changes and will send a new proof shortly."}
+            </p>
+          )}
+
+          <h3 className="text-xs font-semibold text-gray-500 uppercase tracking-wide mb-2">History</h3>
+          <ul className="divide-y divide-gray-100">
+            {proofs.map((p) => (
+              <li key={p.id} className="py-2 text-sm">
+                <div className="flex items-center flex-wrap gap-2">
+                  <span className="font-semibold text-gray-900">Version {p.version}</span>
+                  <span className={`inline-flex px-2 py-0.5 text-xs font-semibold rounded-full ${PROOF_STATUS_CLASSES[p.status] || 'bg-gray-100 text-gray-700'}`}>
+                    {PROOF_STATUS_LABELS[p.status] || p.status}
+                  </span>
+                  <span className="text-xs text-gray-500">
+                    Sent {formatDate(p.created_at)}
+                    {p.responded_at && ` · answered ${formatDate(p.responded_at)}`}
+                  </span>
+                </div>
+                {p.response_comment && (
+                  <p className="text-xs text-gray-600 mt-1 italic">Your comments: {p.response_comment}</p>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       {/* Delivery details (PR B) — editable until the order reaches approval */}
       <div className="no-print bg-white rounded-xl shadow-sm border border-gray-200 p-6 mb-6">
         <div className="flex items-center justify-between mb-4">
@@ -254,7 +476,7 @@ const CustomerOrderDetail = ({ user }) => {
             <MapPin className="h-5 w-5" />
             <span>Delivery details</span>
           </h2>
-          {!DELIVERY_LOCKED_STATUSES.has(order.artwork_status) && !editingDelivery && (
+          {!isDeliveryLocked(order) && !editingDelivery && (
             <button
               onClick={() => setEditingDelivery(true)}
               className="text-sm text-blue-600 hover:text-blue-700 font-semibold"
@@ -268,6 +490,7 @@ const CustomerOrderDetail = ({ user }) => {
           <DeliveryAddressForm
             entity={order}
             showAccountToggle={false}
+            savedAddresses={savedAddresses}
             onSave={saveOrderDelivery}
           />
         ) : order.shipping_address ? (
@@ -288,7 +511,7 @@ const CustomerOrderDetail = ({ user }) => {
           <p className="text-sm text-gray-500">No delivery address on file yet.</p>
         )}
 
-        {DELIVERY_LOCKED_STATUSES.has(order.artwork_status) && (
+        {isDeliveryLocked(order) && (
           <p className="text-xs text-gray-400 mt-3">
             Cannot edit after approval — please contact us if the address needs to change.
           </p>
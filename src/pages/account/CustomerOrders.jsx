@@ -57,7 +57,9 @@ const CustomerOrders = ({ user }) => {
       confirmed: 'bg-blue-100 text-blue-800',
       in_production: 'bg-purple-100 text-purple-800',
       shipped: 'bg-cyan-100 text-cyan-800',
+      dispatched: 'bg-cyan-100 text-cyan-800',
       completed: 'bg-green-100 text-green-800',
+      delivered: 'bg-green-100 text-green-800',
       cancelled: 'bg-red-100 text-red-800'
     };
     return classes[status] || 'bg-gray-100 text-gray-800';
@@ -115,6 +117,8 @@ const CustomerOrders = ({ user }) => {
             <option value="pending">Pending</option>
             <option value="confirmed">Confirmed</option>
             <option value="in_production">In Production</option>
+            <option value="dispatched">Dispatched</option>
+            <option value="delivered">Delivered</option>
             <option value="shipped">Shipped</option>
             <option value="completed">Completed</option>
             <option value="cancelled">Cancelled</option>
@@ -1,38 +1,21 @@
 import React, { useState, useEffect } from 'react';
 import { Link, useLocation } from 'react-router-dom';
-import { FileText, Trash2, ShoppingCart, Loader, AlertCircle, Check, CreditCard } from 'lucide-react';
+import { FileText, Trash2, ShoppingCart, Loader, AlertCircle, Check, CreditCard, Download, Tag, X, Send, Users } from 'lucide-react';
 import CustomerLayout from '../../components/customer/CustomerLayout';
-import { supabase } from '../../services/supabaseService';
+import {
+  supabase,
+  getCustomerAddresses,
+  getMyCompany,
+  submitQuoteForApproval,
+  decideQuoteApproval,
+} from '../../services/supabaseService';
 import { supabaseConfig } from '../../config/supabase';
 import DeliveryAddressForm from '../../components/DeliveryAddressForm';
 import { buildAccountSnapshot, accountHasAddress } from '../../lib/deliveryValidation';
 import { formatSizeBreakdown } from '../../utils/laltexSizes';
-
-/**
- * Render `quote_items.print_areas` (jsonb) as a short descriptor for
- * the line-item chip. Handles three shapes:
- *   - {selections: [{position, area, num_colours, ...}]}  (v2 picker, session 9)
- *   - "Front Chest: 1 col"                                (legacy string)
- *   - null / undefined                                    -> ""
- */
-function formatPrintAreas(value) {
-  if (!value) return '';
-  // Legacy string format
-  if (typeof value === 'string') return value;
-  // Structured v2 jsonb shape
-  if (value && Array.isArray(value.selections)) {
-    return value.selections
-      .map((s) => {
-        const parts = [s.position];
-        if (s.area) parts.push(s.area);
-        if (s.num_colours) parts.push(`${s.num_colours} col${s.num_colours > 1 ? 's' : ''}`);
-        return parts.filter(Boolean).join(', ');
-      })
-      .join(' / ');
-  }
-  // Defensive fallback for anything else
-  try { return JSON.stringify(value); } catch { return ''; }
-}
+import { formatPrintAreaSelections } from '../../utils/printAreaFormat';
+import { downloadQuotePdf } from '../../lib/quotePdf';
+import { applyPromoCode, removePromoCode } from '../../services/quoteService';
 
 const CustomerQuotes = ({ user }) => {
   const location = useLocation();
@@ -47,12 +30,24 @@ const CustomerQuotes = ({ user }) => {
   // fallback) + per-quote delivery form status ({mode, dirty}).
   const [accountProfile, setAccountProfile] = useState(null);
   const [deliveryStatus, setDeliveryStatus] = useState({}); // { [quoteId]: { mode, dirty, hasAccountAddress } }
+  // Saved delivery addresses (customer_addresses) for the form's picker.
+  const [savedAddresses, setSavedAddresses] = useState([]);
   // "Combine quotes" feature: selection + confirmation state. Only draft quotes
   // are selectable; the combine merges all selected into the earliest-created.
   const [selectedQuoteIds, setSelectedQuoteIds] = useState(() => new Set());
   const [combineConfirmOpen, setCombineConfirmOpen] = useState(false);
   const [combining, setCombining] = useState(false);
   const [combineError, setCombineError] = useState(null);
+  // Promo codes: per-quote input text, the quote currently applying/removing,
+  // and the last error ({ quoteId, message }).
+  const [promoInputs, setPromoInputs] = useState({});
+  const [promoBusyId, setPromoBusyId] = useState(null);
+  const [promoError, setPromoError] = useState(null);
+  // Company account (20261019_company_accounts.sql): { company, role, members }
+  // or null. Colleagues' quotes are listed read-only; company quotes are paid
+  // by an approver, so buyers submit them for approval instead.
+  const [company, setCompany] = useState(null);
+  const [approvalBusyId, setApprovalBusyId] = useState(null);
 
   useEffect(() => {
     if (!flash) return;
@@ -63,7 +58,10 @@ const CustomerQuotes = ({ user }) => {
 
   useEffect(() => {
     if (user) {
-      fetchQuotes();
+      getMyCompany(user.id).then(({ data }) => {
+        setCompany(data);
+        fetchQuotes(data?.company?.id);
+      });
       // Account address — used as the snapshot fallback when the customer
       // delivers to their own address (PR B). customer_profiles.id === auth uid.
       supabase
@@ -72,6 +70,7 @@ const CustomerQuotes = ({ user }) => {
         .eq('id', user.id)
         .maybeSingle()
         .then(({ data }) => setAccountProfile(data || null));
+      getCustomerAddresses(user.id, 'delivery').then(({ data }) => setSavedAddresses(data));
     }
   }, [user]);
 
@@ -100,19 +99,22 @@ const CustomerQuotes = ({ user }) => {
     });
   };
 
-  const fetchQuotes = async () => {
+  const fetchQuotes = async (companyId = company?.company?.id) => {
     try {
       setLoading(true);
 
-      // Fetch quotes with their items in one go
-      const { data, error } = await supabase
+      // Fetch quotes with their items in one go — own quotes plus, for
+      // company members, every quote shared with the company.
+      let query = supabase
         .from('quotes')
         .select(`
           *,
           quote_items (*)
-        `)
-        .eq('customer_id', user.id)
-        .order('created_at', { ascending: false });
+        `);
+      query = companyId
+        ? query.or(`customer_id.eq.${user.id},company_id.eq.${companyId}`)
+        : query.eq('customer_id', user.id);
+      const { data, error } = await query.order('created_at', { ascending: false });
 
       if (error) throw error;
 
@@ -271,6 +273,43 @@ const CustomerQuotes = ({ user }) => {
     }
   };
 
+  // Re-read one quote after a server-side total change (promo apply/remove)
+  // without the full-page spinner fetchQuotes() shows.
+  const refreshQuote = async (quoteId) => {
+    const { data, error } = await supabase
+      .from('quotes')
+      .select('*, quote_items (*)')
+      .eq('id', quoteId)
+      .single();
+    if (error) {
+      console.error('[CustomerQuotes] refreshQuote failed:', error);
+      return;
+    }
+    setQuotes((prev) => prev.map((q) => (q.id === quoteId ? data : q)));
+  };
+
+  const handleApplyPromo = async (quote) => {
+    setPromoError(null);
+    setPromoBusyId(quote.id);
+    const result = await applyPromoCode(quote.id, promoInputs[quote.id]);
+    if (result.ok) {
+      setPromoInputs((prev) => ({ ...prev, [quote.id]: '' }));
+      await refreshQuote(quote.id);
+    } else {
+      setPromoError({ quoteId: quote.id, message: result.error });
+    }
+    setPromoBusyId(null);
+  };
+
+  const handleRemovePromo = async (quote) => {
+    setPromoError(null);
+    setPromoBusyId(quote.id);
+    const result = await removePromoCode(quote.id);
+    if (result.ok) await refreshQuote(quote.id);
+    else setPromoError({ quoteId: quote.id, message: result.error });
+    setPromoBusyId(null);
+  };
+
   const handlePayNow = async (quote) => {
     setPayError(null);
 
@@ -325,12 +364,14 @@ const CustomerQuotes = ({ user }) => {
         || `${supabaseConfig.url}/functions/v1`;
 
       const anonKey = supabaseConfig.anonKey || import.meta.env.VITE_SUPABASE_ANON_KEY;
+      // The session token identifies the payer for the company approver check.
+      const { data: { session } } = await supabase.auth.getSession();
 
       const res = await fetch(`${functionsUrl}/create-checkout-session`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
-          'Authorization': `Bearer ${anonKey}`,
+          'Authorization': `Bearer ${session?.access_token || anonKey}`,
         },
         body: JSON.stringify({
           quote_id: quote.id,
@@ -359,6 +400,55 @@ const CustomerQuotes = ({ user }) => {
     }
   };
 
+  const handleSubmitForApproval = async (quote) => {
+    const status = deliveryStatus[quote.id];
+    if ((status?.mode === 'custom' && status.dirty) || !quote.shipping_address?.line1) {
+      setPayError({ quoteId: quote.id, message: 'Please add and save your delivery address before submitting.' });
+      return;
+    }
+    const note = window.prompt('Add a note for your approver (optional):', '');
+    if (note === null) return;
+    setApprovalBusyId(quote.id);
+    const { error } = await submitQuoteForApproval(quote.id, note);
+    setApprovalBusyId(null);
+    if (error) {
+      setPayError({ quoteId: quote.id, message: error.message || 'Could not submit the quote.' });
+      return;
+    }
+    setFlash(`${quote.quote_number} sent for approval`);
+    await refreshQuote(quote.id);
+  };
+
+  const handleRejectQuote = async (quote) => {
+    const note = window.prompt(`Reason for rejecting ${quote.quote_number} (shown to the buyer):`, '');
+    if (note === null) return;
+    setApprovalBusyId(quote.id);
+    const { error } = await decideQuoteApproval(quote.id, 'rejected', note);
+    setApprovalBusyId(null);
+    if (error) {
+      setPayError({ quoteId: quote.id, message: error.message || 'Could not reject the quote.' });
+      return;
+    }
+    await refreshQuote(quote.id);
+  };
+
+  // Approvers approve and pay in one step; payment is the sign-off.
+  const handleApproveAndPay = async (quote) => {
+    setApprovalBusyId(quote.id);
+    const { error } = await decideQuoteApproval(quote.id, 'approved');
+    setApprovalBusyId(null);
+    if (error) {
+      setPayError({ quoteId: quote.id, message: error.message || 'Could not approve the quote.' });
+      return;
+    }
+    await handlePayNow({ ...quote, approval_status: 'approved' });
+  };
+
+  const memberName = (userId) => {
+    const m = company?.members?.find((mem) => mem.user_id === userId);
+    return m ? (m.name || m.email) : 'a colleague';
+  };
+
   // Auto-clear pay error after 5 seconds
   useEffect(() => {
     if (!payError) return;
@@ -395,6 +485,12 @@ const CustomerQuotes = ({ user }) => {
     );
   };
 
+  const APPROVAL_BADGES = {
+    pending: { label: 'Awaiting approval', cls: 'bg-amber-100 text-amber-800' },
+    approved: { label: 'Approved', cls: 'bg-green-100 text-green-700' },
+    rejected: { label: 'Rejected', cls: 'bg-red-100 text-red-700' },
+  };
+
   const getQuoteTotal = (items) => {
     if (!items || items.length === 0) return 0;
     return items.reduce((sum, item) => sum + ((item.quantity || 0) * (item.unit_price || 0)), 0);
@@ -474,7 +570,7 @@ const CustomerQuotes = ({ user }) => {
         </div>
       )}
 
-      {quotes.filter(q => q.status === 'draft').length >= 2 && (
+      {quotes.filter(q => q.status === 'draft' && q.customer_id === user.id).length >= 2 && (
         <p className="mb-4 text-sm text-blue-500">
           💡 Tip: Tick multiple quotes to combine them into a single order
         </p>
@@ -484,13 +580,17 @@ const CustomerQuotes = ({ user }) => {
         {quotes.map(quote => {
           const items = quote.quote_items || [];
           const quoteTotal = getQuoteTotal(items);
+          // Colleagues' quotes are read-only here; only the owner edits them.
+          const isOwn = quote.customer_id === user.id;
+          const companyRole = quote.company_id ? company?.role : null;
+          const approval = APPROVAL_BADGES[quote.approval_status];
 
           return (
             <div key={quote.id} className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
               {/* Quote Header */}
               <div className="flex items-center justify-between p-5 border-b border-gray-100">
                 <div className="flex items-start gap-3">
-                  {quote.status === 'draft' && (
+                  {quote.status === 'draft' && isOwn && (
                     <input
                       type="checkbox"
                       checked={selectedQuoteIds.has(quote.id)}
@@ -503,8 +603,20 @@ const CustomerQuotes = ({ user }) => {
                     <div className="flex items-center space-x-3">
                       <h3 className="font-bold text-gray-900">{quote.quote_number}</h3>
                       {getStatusBadge(quote.status)}
+                      {approval && quote.status !== 'converted' && (
+                        <span className={`inline-flex px-2.5 py-1 text-xs font-semibold rounded-full ${approval.cls}`}>
+                          {approval.label}
+                        </span>
+                      )}
                     </div>
-                    <p className="text-sm text-gray-500 mt-1">{formatDate(quote.created_at)}</p>
+                    <p className="text-sm text-gray-500 mt-1">
+                      {formatDate(quote.created_at)}
+                      {!isOwn && (
+                        <span className="inline-flex items-center gap-1 ml-2">
+                          <Users className="h-3.5 w-3.5" /> {memberName(quote.customer_id)}
+                        </span>
+                      )}
+                    </p>
                   </div>
                 </div>
                 <div className="text-right">
@@ -525,7 +637,7 @@ const CustomerQuotes = ({ user }) => {
                           {item.color && <span className="text-sm text-gray-500">{item.color}</span>}
                           {item.print_areas && (
                             <span className="text-xs bg-gray-100 px-2 py-0.5 rounded ml-2">
-                              {formatPrintAreas(item.print_areas)}
+                              {formatPrintAreaSelections(item.print_areas)}
                             </span>
                           )}
                           {formatSizeBreakdown(item.size_breakdown) && (
@@ -535,49 +647,53 @@ const CustomerQuotes = ({ user }) => {
                           )}
                           <div className="flex items-center gap-2 mt-1">
                             <label className="text-sm text-gray-500">Qty:</label>
-                            <input
-                              type="number"
-                              min="1"
-                              defaultValue={item.quantity || ''}
-                              placeholder={productMinQtys[item.product_id] ? `Min. ${productMinQtys[item.product_id]}` : 'Enter qty'}
-                              className="w-20 px-2 py-1 text-sm border border-gray-300 rounded"
-                              onBlur={async (e) => {
-                                const newQty = parseInt(e.target.value);
-                                const minQty = productMinQtys[item.product_id] || 1;
-
-                                if (!newQty || newQty < 1) return;
-
-                                if (newQty < minQty) {
-                                  alert(`Minimum order quantity for this product is ${minQty} units.`);
-                                  e.target.value = minQty;
-                                  return;
-                                }
-
-                                if (newQty === item.quantity) return;
-
-                                // Find correct unit price for this quantity
-                                const { data: tierData } = await supabase
-                                  .from('catalog_pricing_tiers')
-                                  .select('min_quantity, max_quantity, price_per_unit')
-                                  .eq('catalog_product_id', item.product_id)
-                                  .order('min_quantity', { ascending: true });
-
-                                let unitPrice = item.unit_price;
-                                if (tierData) {
-                                  const matchedTier = tierData.find(tier =>
-                                    newQty >= tier.min_quantity &&
-                                    (tier.max_quantity === null || newQty <= tier.max_quantity)
-                                  );
-                                  if (matchedTier) unitPrice = matchedTier.price_per_unit;
-                                }
-
-                                await supabase
-                                  .from('quote_items')
-                                  .update({ quantity: newQty, unit_price: unitPrice })
-                                  .eq('id', item.id);
-                                fetchQuotes();
-                              }}
-                            />
+                            {!isOwn ? (
+                              <span className="text-sm text-gray-900">{item.quantity || '—'}</span>
+                            ) : (
+                              <input
+                                type="number"
+                                min="1"
+                                defaultValue={item.quantity || ''}
+                                placeholder={productMinQtys[item.product_id] ? `Min. ${productMinQtys[item.product_id]}` : 'Enter qty'}
+                                className="w-20 px-2 py-1 text-sm border border-gray-300 rounded"
+                                onBlur={async (e) => {
+                                  const newQty = parseInt(e.target.value);
+                                  const minQty = productMinQtys[item.product_id] || 1;
+
+                                  if (!newQty || newQty < 1) return;
+
+                                  if (newQty < minQty) {
+                                    alert(`Minimum order quantity for this product is ${minQty} units.`);
+                                    e.target.value = minQty;
+                                    return;
+                                  }
+
+                                  if (newQty === item.quantity) return;
+
+                                  // Find correct unit price for this quantity
+                                  const { data: tierData } = await supabase
+                                    .from('catalog_pricing_tiers')
+                                    .select('min_quantity, max_quantity, price_per_unit')
+                                    .eq('catalog_product_id', item.product_id)
+                                    .order('min_quantity', { ascending: true });
+
+                                  let unitPrice = item.unit_price;
+                                  if (tierData) {
+                                    const matchedTier = tierData.find(tier =>
+                                      newQty >= tier.min_quantity &&
+                                      (tier.max_quantity === null || newQty <= tier.max_quantity)
+                                    );
+                                    if (matchedTier) unitPrice = matchedTier.price_per_unit;
+                                  }
+
+                                  await supabase
+                                    .from('quote_items')
+                                    .update({ quantity: newQty, unit_price: unitPrice })
+                                    .eq('id', item.id);
+                                  fetchQuotes();
+                                }}
+                              />
+                            )}
                             <span className="text-sm text-gray-500">
                               @ {formatCurrency(item.unit_price)} each
                             </span>
@@ -601,13 +717,33 @@ const CustomerQuotes = ({ user }) => {
                 </div>
               )}
 
+              {/* Approval note — the buyer's request or the approver's reason. */}
+              {quote.approval_note && quote.status !== 'converted' && (
+                <div className="px-5 py-3 bg-amber-50 border-t border-amber-100">
+                  <p className="text-sm text-amber-800">
+                    <strong>{quote.approval_status === 'rejected' ? 'Rejected' : 'Approval note'}:</strong> {quote.approval_note}
+                  </p>
+                </div>
+              )}
+
               {/* Delivery details (PR B) — captured on the quote, snapshotted
                   to the order at Pay Now. Hidden once converted/paid. */}
-              {quote.status !== 'converted' && (
+              {quote.status !== 'converted' && !isOwn && quote.shipping_address?.line1 && (
+                <div className="px-5 py-4 border-t border-gray-100 text-sm text-gray-600">
+                  <p className="font-semibold text-gray-900 mb-1">Delivery</p>
+                  <p>
+                    {[quote.shipping_address.company, quote.shipping_address.line1, quote.shipping_address.city,
+                      quote.shipping_address.postcode].filter(Boolean).join(', ')}
+                  </p>
+                  {quote.po_number && <p>PO: {quote.po_number}</p>}
+                </div>
+              )}
+              {quote.status !== 'converted' && isOwn && (
                 <div className="px-5 py-4 border-t border-gray-100">
                   <DeliveryAddressForm
                     entity={quote}
                     accountProfile={accountProfile}
+                    savedAddresses={savedAddresses}
                     showAccountToggle
                     onSave={(address, poNumber) => saveQuoteDelivery(quote.id, address, poNumber)}
                     onStatusChange={(s) => handleDeliveryStatus(quote.id, s)}
@@ -624,6 +760,29 @@ const CustomerQuotes = ({ user }) => {
                       <span>Subtotal (ex VAT)</span>
                       <span>{formatCurrency(quote.subtotal)}</span>
                     </div>
+                    {quote.promo_code && (
+                      <div className="flex justify-between text-green-700">
+                        <span className="flex items-center gap-1">
+                          <Tag className="h-3.5 w-3.5" />
+                          {quote.promo_code}
+                          {quote.status !== 'converted' && isOwn && (
+                            <button
+                              onClick={() => handleRemovePromo(quote)}
+                              disabled={promoBusyId === quote.id}
+                              className="text-gray-400 hover:text-red-600 disabled:opacity-50"
+                              title="Remove code"
+                            >
+                              <X className="h-3.5 w-3.5" />
+                            </button>
+                          )}
+                        </span>
+                        <span>
+                          {Number(quote.discount_amount) > 0
+                            ? `−${formatCurrency(quote.discount_amount)}`
+                            : 'Not applicable'}
+                        </span>
+                      </div>
+                    )}
                     <div className="flex justify-between text-gray-600">
                       <span>VAT</span>
                       <span>{formatCurrency(quote.tax_amount)}</span>
@@ -632,45 +791,107 @@ const CustomerQuotes = ({ user }) => {
                       <span>Total</span>
                       <span>{formatCurrency(quote.total_amount)}</span>
                     </div>
+                    {/* Promo code entry — unpaid quotes without a code only.
+                        The discount itself is computed by the database. */}
+                    {quote.status !== 'converted' && !quote.promo_code && isOwn && (
+                      <div className="pt-2">
+                        <div className="flex gap-2">
+                          <input
+                            type="text"
+                            value={promoInputs[quote.id] || ''}
+                            onChange={(e) => setPromoInputs((prev) => ({ ...prev, [quote.id]: e.target.value }))}
+                            onKeyDown={(e) => { if (e.key === 'Enter') handleApplyPromo(quote); }}
+                            placeholder="Promo code"
+                            className="flex-1 min-w-0 px-2 py-1 text-sm border border-gray-300 rounded uppercase"
+                          />
+                          <button
+                            onClick={() => handleApplyPromo(quote)}
+                            disabled={promoBusyId === quote.id || !(promoInputs[quote.id] || '').trim()}
+                            className="px-3 py-1 text-sm font-semibold border border-gray-300 rounded hover:bg-gray-50 disabled:opacity-50"
+                          >
+                            {promoBusyId === quote.id ? <Loader className="h-4 w-4 animate-spin" /> : 'Apply'}
+                          </button>
+                        </div>
+                      </div>
+                    )}
+                    {promoError && promoError.quoteId === quote.id && (
+                      <p className="text-xs text-red-600">{promoError.message}</p>
+                    )}
                   </div>
                 </div>
               )}
 
               {/* Actions */}
               <div className="flex items-center justify-end space-x-3 px-5 py-4 bg-gray-50 border-t border-gray-100">
+                {/* Formal PDF for the buyer's internal purchase approval. */}
+                <button
+                  onClick={() => downloadQuotePdf(quote, { customer: accountProfile, customerEmail: user?.email })}
+                  className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg text-sm font-semibold hover:bg-gray-100 transition-colors flex items-center space-x-1"
+                >
+                  <Download className="h-4 w-4" />
+                  <span>Download PDF</span>
+                </button>
                 {quote.status === 'converted' ? (
                   <span className="text-sm text-purple-600 font-semibold">Converted to order</span>
                 ) : (
                   <>
-                    <button
-                      onClick={() => handlePayNow(quote)}
-                      disabled={payingQuoteId === quote.id}
-                      className="px-4 py-2 bg-green-600 text-white rounded-lg text-sm font-semibold hover:bg-green-700 transition-colors disabled:opacity-50 flex items-center space-x-1"
-                    >
-                      {payingQuoteId === quote.id ? (
-                        <>
+                    {companyRole === 'buyer' && isOwn && quote.approval_status !== 'pending' && quote.approval_status !== 'approved' && (
+                      <button
+                        onClick={() => handleSubmitForApproval(quote)}
+                        disabled={approvalBusyId === quote.id}
+                        className="px-4 py-2 bg-blue-600 text-white rounded-lg text-sm font-semibold hover:bg-blue-700 transition-colors disabled:opacity-50 flex items-center space-x-1"
+                      >
+                        {approvalBusyId === quote.id ? <Loader className="h-4 w-4 animate-spin" /> : <Send className="h-4 w-4" />}
+                        <span>{quote.approval_status === 'rejected' ? 'Resubmit for approval' : 'Submit for approval'}</span>
+                      </button>
+                    )}
+                    {companyRole && companyRole !== 'approver' && quote.approval_status === 'approved' && (
+                      <span className="text-sm text-green-700 font-semibold">Approved — an approver will pay</span>
+                    )}
+                    {companyRole === 'approver' && quote.approval_status === 'pending' && !isOwn && (
+                      <button
+                        onClick={() => handleRejectQuote(quote)}
+                        disabled={approvalBusyId === quote.id || payingQuoteId === quote.id}
+                        className="px-4 py-2 border border-red-300 text-red-600 rounded-lg text-sm font-semibold hover:bg-red-50 transition-colors disabled:opacity-50"
+                      >
+                        Reject
+                      </button>
+                    )}
+                    {(!companyRole || companyRole === 'approver') && (
+                      <button
+                        onClick={() => (companyRole && quote.approval_status === 'pending'
+                          ? handleApproveAndPay(quote)
+                          : handlePayNow(quote))}
+                        disabled={payingQuoteId === quote.id}
+                        className="px-4 py-2 bg-green-600 text-white rounded-lg text-sm font-semibold hover:bg-green-700 transition-colors disabled:opacity-50 flex items-center space-x-1"
+                      >
+                        {payingQuoteId === quote.id ? (
+                          <>
+                            <Loader className="h-4 w-4 animate-spin" />
+                            <span>Redirecting to payment...</span>
+                          </>
+                        ) : (
+                          <>
+                            <CreditCard className="h-4 w-4" />
+                            <span>{companyRole && quote.approval_status === 'pending' ? 'Approve & pay' : 'Pay Now'}</span>
+                          </>
+                        )}
+                      </button>
+                    )}
+                    {isOwn && (
+                      <button
+                        onClick={() => handleDelete(quote.id, quote.quote_number)}
+                        disabled={deletingId === quote.id || payingQuoteId === quote.id}
+                        className="px-4 py-2 border border-red-300 text-red-600 rounded-lg text-sm font-semibold hover:bg-red-50 transition-colors disabled:opacity-50 flex items-center space-x-1"
+                      >
+                        {deletingId === quote.id ? (
                           <Loader className="h-4 w-4 animate-spin" />
-                          <span>Redirecting to payment...</span>
-                        </>
-                      ) : (
-                        <>
-                          <CreditCard className="h-4 w-4" />
-                          <span>Pay Now</span>
-                        </>
-                      )}
-                    </button>
-                    <button
-                      onClick={() => handleDelete(quote.id, quote.quote_number)}
-                      disabled={deletingId === quote.id || payingQuoteId === quote.id}
-                      className="px-4 py-2 border border-red-300 text-red-600 rounded-lg text-sm font-semibold hover:bg-red-50 transition-colors disabled:opacity-50 flex items-center space-x-1"
-                    >
-                      {deletingId === quote.id ? (
-                        <Loader className="h-4 w-4 animate-spin" />
-                      ) : (
-                        <Trash2 className="h-4 w-4" />
-                      )}
-                      <span>Delete</span>
-                    </button>
+                        ) : (
+                          <Trash2 className="h-4 w-4" />
+                        )}
+                        <span>Delete</span>
+                      </button>
+                    )}
                   </>
                 )}
               </div>
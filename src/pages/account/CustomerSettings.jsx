@@ -1,20 +1,251 @@
-import React, { useState } from 'react';
-import { User, Lock, Save } from 'lucide-react';
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { User, Lock, Save, Mail, Bell, Download, Trash2, Loader, Check, AlertCircle } from 'lucide-react';
 import CustomerLayout from '../../components/customer/CustomerLayout';
+import { supabase, getEmailPreferences, saveEmailPreferences } from '../../services/supabaseService';
+
+// Mirrors the Supabase project password policy + ResetPassword.jsx.
+const MIN_PASSWORD_LEN = 6;
+
+const inputCls =
+  'w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+const labelCls = 'block text-sm font-medium text-gray-700 mb-2';
+const buttonCls =
+  'flex items-center space-x-2 px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-semibold disabled:opacity-50';
+
+// One-line result under each form: { type: 'success' | 'error', text }.
+function Notice({ notice }) {
+  if (!notice) return null;
+  const ok = notice.type === 'success';
+  return (
+    <p className={`text-sm flex items-center gap-1 ${ok ? 'text-green-600' : 'text-red-600'}`}>
+      {ok ? <Check className="h-4 w-4" /> : <AlertCircle className="h-4 w-4" />} {notice.text}
+    </p>
+  );
+}
+
+// Bearer-authenticated call to an /api/account route (service-role backend).
+async function accountApi(path, init = {}) {
+  const {
+    data: { session },
+  } = await supabase.auth.getSession();
+  const token = session?.access_token;
+  if (!token) throw new Error('Your session expired — please sign in again.');
+  return fetch(path, {
+    ...init,
+    headers: { ...init.headers, Authorization: `Bearer ${token}` },
+  });
+}
 
 const CustomerSettings = ({ user }) => {
+  const navigate = useNavigate();
+
+  // Profile (customer_profiles; id === auth uid)
   const [firstName, setFirstName] = useState(user.user_metadata?.first_name || '');
   const [lastName, setLastName] = useState(user.user_metadata?.last_name || '');
-  const [email] = useState(user.email || '');
   const [phone, setPhone] = useState('');
   const [companyName, setCompanyName] = useState('');
+  const [savingProfile, setSavingProfile] = useState(false);
+  const [profileNotice, setProfileNotice] = useState(null);
+
+  // Email (Supabase auth — confirmed by link before it takes effect)
+  const [newEmail, setNewEmail] = useState('');
+  const [savingEmail, setSavingEmail] = useState(false);
+  const [emailNotice, setEmailNotice] = useState(null);
+
+  // Password
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [savingPassword, setSavingPassword] = useState(false);
+  const [passwordNotice, setPasswordNotice] = useState(null);
+
+  // Email preferences (reminder_preferences)
+  const [prefs, setPrefs] = useState(null);
+  const [savingPrefs, setSavingPrefs] = useState(false);
+  const [prefsNotice, setPrefsNotice] = useState(null);
+
+  // Your data
+  const [exporting, setExporting] = useState(false);
+  const [exportNotice, setExportNotice] = useState(null);
+  const [deleteConfirm, setDeleteConfirm] = useState('');
+  const [deleting, setDeleting] = useState(false);
+  const [deleteNotice, setDeleteNotice] = useState(null);
+
+  useEffect(() => {
+    supabase
+      .from('customer_profiles')
+      .select('first_name, last_name, phone, company_name')
+      .eq('id', user.id)
+      .maybeSingle()
+      .then(({ data }) => {
+        if (!data) return;
+        setFirstName(data.first_name || user.user_metadata?.first_name || '');
+        setLastName(data.last_name || user.user_metadata?.last_name || '');
+        setPhone(data.phone || '');
+        setCompanyName(data.company_name || '');
+      });
+    getEmailPreferences(user.id).then(({ data }) => setPrefs(data));
+  }, [user]);
+
+  const handleSaveProfile = async (e) => {
+    e.preventDefault();
+    setSavingProfile(true);
+    setProfileNotice(null);
+    try {
+      const profile = {
+        first_name: firstName.trim() || null,
+        last_name: lastName.trim() || null,
+        phone: phone.trim() || null,
+        company_name: companyName.trim() || null,
+      };
+      const { error } = await supabase
+        .from('customer_profiles')
+        .upsert({ id: user.id, ...profile }, { onConflict: 'id' });
+      if (error) throw error;
+      // Keep the auth metadata (read by the header greeting) in step.
+      await supabase.auth.updateUser({ data: { first_name: profile.first_name, last_name: profile.last_name } });
+      setProfileNotice({ type: 'success', text: 'Profile saved' });
+    } catch (err) {
+      console.error('[CustomerSettings] profile save failed:', err);
+      setProfileNotice({ type: 'error', text: 'Could not save your profile. Please try again.' });
+    } finally {
+      setSavingProfile(false);
+    }
+  };
+
+  const handleChangeEmail = async (e) => {
+    e.preventDefault();
+    const email = newEmail.trim();
+    if (!email || email.toLowerCase() === String(user.email).toLowerCase()) {
+      setEmailNotice({ type: 'error', text: 'Enter the new email address you want to use.' });
+      return;
+    }
+    setSavingEmail(true);
+    setEmailNotice(null);
+    const { error } = await supabase.auth.updateUser(
+      { email },
+      { emailRedirectTo: `${window.location.origin}/account/settings` },
+    );
+    setSavingEmail(false);
+    if (error) {
+      setEmailNotice({ type: 'error', text: error.message || 'Could not change your email.' });
+      return;
+    }
+    setNewEmail('');
+    setEmailNotice({
+      type: 'success',
+      text: `We've sent a confirmation link to ${email}. Your email changes once you click it.`,
+    });
+  };
+
+  const handleChangePassword = async (e) => {
+    e.preventDefault();
+    setPasswordNotice(null);
+    if (newPassword.length < MIN_PASSWORD_LEN) {
+      setPasswordNotice({ type: 'error', text: `New password must be at least ${MIN_PASSWORD_LEN} characters.` });
+      return;
+    }
+    if (newPassword !== confirmPassword) {
+      setPasswordNotice({ type: 'error', text: "New passwords don't match." });
+      return;
+    }
+    setSavingPassword(true);
+    try {
+      // Re-authenticate first so a left-open session can't change the password.
+      const { error: signInError } = await supabase.auth.signInWithPassword({
+        email: user.email,
+        password: currentPassword,
+      });
+      if (signInError) {
+        setPasswordNotice({ type: 'error', text: 'Current password is incorrect.' });
+        return;
+      }
+      const { error } = await supabase.auth.updateUser({ password: newPassword });
+      if (error) throw error;
+      setCurrentPassword('');
+      setNewPassword('');
+      setConfirmPassword('');
+      setPasswordNotice({ type: 'success', text: 'Password changed' });
+    } catch (err) {
+      console.error('[CustomerSettings] password change failed:', err);
+      setPasswordNotice({ type: 'error', text: err.message || 'Could not change your password.' });
+    } finally {
+      setSavingPassword(false);
+    }
+  };
 
-  const handleSaveProfile = (e) => {
+  const handleSavePrefs = async (e) => {
     e.preventDefault();
-    // TODO: Implement profile update
-    console.log('Saving profile...');
+    setSavingPrefs(true);
+    setPrefsNotice(null);
+    const { error } = await saveEmailPreferences(prefs);
+    setSavingPrefs(false);
+    setPrefsNotice(error
+      ? { type: 'error', text: 'Could not save your preferences.' }
+      : { type: 'success', text: 'Preferences saved' });
   };
 
+  const handleExport = async () => {
+    setExporting(true);
+    setExportNotice(null);
+    try {
+      const resp = await accountApi('/api/account/export');
+      if (!resp.ok) {
+        const json = await resp.json().catch(() => ({}));
+        throw new Error(json.error || `Request failed (${resp.status})`);
+      }
+      const blob = await resp.blob();
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `pgifts-data-${new Date().toISOString().slice(0, 10)}.json`;
+      a.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('[CustomerSettings] export failed:', err);
+      setExportNotice({ type: 'error', text: err.message || 'Could not export your data.' });
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleDeleteAccount = async (e) => {
+    e.preventDefault();
+    setDeleting(true);
+    setDeleteNotice(null);
+    try {
+      const resp = await accountApi('/api/account/delete', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ confirm_email: deleteConfirm }),
+      });
+      const json = await resp.json().catch(() => ({}));
+      if (!resp.ok) throw new Error(json.error || `Request failed (${resp.status})`);
+      await supabase.auth.signOut();
+      navigate('/', { replace: true });
+    } catch (err) {
+      console.error('[CustomerSettings] delete failed:', err);
+      setDeleteNotice({ type: 'error', text: err.message || 'Could not delete your account.' });
+      setDeleting(false);
+    }
+  };
+
+  const prefToggle = (key, title, description) => (
+    <label className="flex items-start gap-3 cursor-pointer">
+      <input
+        type="checkbox"
+        checked={!!prefs?.[key]}
+        onChange={(e) => setPrefs((prev) => ({ ...prev, [key]: e.target.checked }))}
+        className="mt-0.5 w-4 h-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+      />
+      <span>
+        <span className="block text-sm font-medium text-gray-900">{title}</span>
+        <span className="block text-xs text-gray-500">{description}</span>
+      </span>
+    </label>
+  );
+
   return (
     <CustomerLayout user={user} pageTitle="Account Settings">
       <div className="space-y-6">
@@ -28,79 +259,83 @@ const CustomerSettings = ({ user }) => {
           <form onSubmit={handleSaveProfile} className="space-y-4">
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
               <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">
-                  First Name
-                </label>
-                <input
-                  type="text"
-                  value={firstName}
-                  onChange={(e) => setFirstName(e.target.value)}
-                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                />
+                <label className={labelCls}>First Name</label>
+                <input type="text" value={firstName} onChange={(e) => setFirstName(e.target.value)} className={inputCls} />
               </div>
 
               <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Last Name
-                </label>
-                <input
-                  type="text"
-                  value={lastName}
-                  onChange={(e) => setLastName(e.target.value)}
-                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                />
+                <label className={labelCls}>Last Name</label>
+                <input type="text" value={lastName} onChange={(e) => setLastName(e.target.value)} className={inputCls} />
               </div>
             </div>
 
             <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Email
-              </label>
-              <input
-                type="email"
-                value={email}
-                readOnly
-                className="w-full px-4 py-2 border border-gray-300 rounded-lg bg-gray-50 text-gray-500"
-              />
-              <p className="text-xs text-gray-500 mt-1">Email cannot be changed</p>
-            </div>
-
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Phone
-              </label>
+              <label className={labelCls}>Phone</label>
               <input
                 type="tel"
                 value={phone}
                 onChange={(e) => setPhone(e.target.value)}
-                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                className={inputCls}
                 placeholder="+44 20 1234 5678"
               />
             </div>
 
             <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Company Name
-              </label>
+              <label className={labelCls}>Company Name</label>
               <input
                 type="text"
                 value={companyName}
                 onChange={(e) => setCompanyName(e.target.value)}
-                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                className={inputCls}
                 placeholder="Your Company Ltd"
               />
             </div>
 
-            <button
-              type="submit"
-              className="flex items-center space-x-2 px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-semibold"
-            >
-              <Save className="h-4 w-4" />
+            <Notice notice={profileNotice} />
+
+            <button type="submit" disabled={savingProfile} className={buttonCls}>
+              {savingProfile ? <Loader className="h-4 w-4 animate-spin" /> : <Save className="h-4 w-4" />}
               <span>Save Changes</span>
             </button>
           </form>
         </div>
 
+        {/* Email Section */}
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+          <h2 className="text-lg font-bold text-gray-900 mb-6 flex items-center space-x-2">
+            <Mail className="h-5 w-5" />
+            <span>Email Address</span>
+          </h2>
+
+          <form onSubmit={handleChangeEmail} className="space-y-4">
+            <div>
+              <label className={labelCls}>Current Email</label>
+              <input type="email" value={user.email || ''} readOnly className={`${inputCls} bg-gray-50 text-gray-500`} />
+            </div>
+
+            <div>
+              <label className={labelCls}>New Email</label>
+              <input
+                type="email"
+                value={newEmail}
+                onChange={(e) => setNewEmail(e.target.value)}
+                className={inputCls}
+                placeholder="you@company.com"
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                We&apos;ll email a confirmation link. Your sign-in email changes once it is confirmed.
+              </p>
+            </div>
+
+            <Notice notice={emailNotice} />
+
+            <button type="submit" disabled={savingEmail || !newEmail.trim()} className={buttonCls}>
+              {savingEmail ? <Loader className="h-4 w-4 animate-spin" /> : <Mail className="h-4 w-4" />}
+              <span>Change Email</span>
+            </button>
+          </form>
+        </div>
+
         {/* Password Section */}
         <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
           <h2 className="text-lg font-bold text-gray-900 mb-6 flex items-center space-x-2">
@@ -108,46 +343,130 @@ const CustomerSettings = ({ user }) => {
             <span>Change Password</span>
           </h2>
 
-          <form className="space-y-4">
+          <form onSubmit={handleChangePassword} className="space-y-4">
             <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Current Password
-              </label>
+              <label className={labelCls}>Current Password</label>
               <input
                 type="password"
-                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                autoComplete="current-password"
+                value={currentPassword}
+                onChange={(e) => setCurrentPassword(e.target.value)}
+                className={inputCls}
                 placeholder="••••••••"
               />
             </div>
 
             <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                New Password
-              </label>
+              <label className={labelCls}>New Password</label>
               <input
                 type="password"
-                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                autoComplete="new-password"
+                value={newPassword}
+                onChange={(e) => setNewPassword(e.target.value)}
+                className={inputCls}
                 placeholder="••••••••"
               />
             </div>
 
             <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Confirm New Password
-              </label>
+              <label className={labelCls}>Confirm New Password</label>
               <input
                 type="password"
-                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                autoComplete="new-password"
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                className={inputCls}
                 placeholder="••••••••"
               />
             </div>
 
+            <Notice notice={passwordNotice} />
+
+            <button type="submit" disabled={savingPassword || !currentPassword} className={buttonCls}>
+              {savingPassword ? <Loader className="h-4 w-4 animate-spin" /> : <Lock className="h-4 w-4" />}
+              <span>Change Password</span>
+            </button>
+          </form>
+        </div>
+
+        {/* Email Preferences Section */}
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+          <h2 className="text-lg font-bold text-gray-900 mb-6 flex items-center space-x-2">
+            <Bell className="h-5 w-5" />
+            <span>Email Preferences</span>
+          </h2>
+
+          {!prefs ? (
+            <Loader className="h-5 w-5 text-blue-600 animate-spin" />
+          ) : (
+            <form onSubmit={handleSavePrefs} className="space-y-4">
+              {prefToggle('orderUpdates', 'Order progress', 'When your order goes into production, is dispatched and is delivered.')}
+              {prefToggle('reminders', 'Quote and basket reminders', "A nudge when you've left a quote or basket unfinished.")}
+              {prefToggle('marketing', 'News and offers', 'New products and occasional promotions. We never share your details.')}
+              <p className="text-xs text-gray-500">
+                Artwork proofs, payment receipts and refund notices are always sent — we need them to fulfil your order.
+              </p>
+
+              <Notice notice={prefsNotice} />
+
+              <button type="submit" disabled={savingPrefs} className={buttonCls}>
+                {savingPrefs ? <Loader className="h-4 w-4 animate-spin" /> : <Save className="h-4 w-4" />}
+                <span>Save Preferences</span>
+              </button>
+            </form>
+          )}
+        </div>
+
+        {/* Your Data Section (UK GDPR access + erasure) */}
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+          <h2 className="text-lg font-bold text-gray-900 mb-6 flex items-center space-x-2">
+            <Download className="h-5 w-5" />
+            <span>Your Data</span>
+          </h2>
+
+          <div className="space-y-3">
+            <p className="text-sm text-gray-600">
+              Download a copy of everything we hold about you — profile, addresses, orders, quotes, saved designs
+              and assistant conversations — as a JSON file.
+            </p>
+            <Notice notice={exportNotice} />
+            <button type="button" onClick={handleExport} disabled={exporting} className={buttonCls}>
+              {exporting ? <Loader className="h-4 w-4 animate-spin" /> : <Download className="h-4 w-4" />}
+              <span>Download My Data</span>
+            </button>
+          </div>
+
+          <form onSubmit={handleDeleteAccount} className="mt-8 pt-6 border-t border-gray-200 space-y-3">
+            <h3 className="text-base font-bold text-red-700 flex items-center space-x-2">
+              <Trash2 className="h-4 w-4" />
+              <span>Delete Account</span>
+            </h3>
+            <p className="text-sm text-gray-600">
+              Your profile, addresses, designs, draft quotes, basket and conversations are deleted permanently.
+              Past orders are kept for our accounting records but no longer linked to you — your name, delivery
+              address and PO numbers are removed from them. You can&apos;t delete your account while an order is
+              still being produced or delivered.
+            </p>
+            <div>
+              <label className={labelCls}>Type your email address to confirm</label>
+              <input
+                type="email"
+                value={deleteConfirm}
+                onChange={(e) => setDeleteConfirm(e.target.value)}
+                className={inputCls}
+                placeholder={user.email}
+              />
+            </div>
+
+            <Notice notice={deleteNotice} />
+
             <button
               type="submit"
-              className="flex items-center space-x-2 px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-semibold"
+              disabled={deleting || deleteConfirm.trim().toLowerCase() !== String(user.email).toLowerCase()}
+              className="flex items-center space-x-2 px-6 py-3 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors font-semibold disabled:opacity-50"
             >
-              <Lock className="h-4 w-4" />
-              <span>Change Password</span>
+              {deleting ? <Loader className="h-4 w-4 animate-spin" /> : <Trash2 className="h-4 w-4" />}
+              <span>Delete My Account</span>
             </button>
           </form>
         </div>
@@ -0,0 +1,267 @@
+import React, { useState, useEffect } from 'react';
+import { History, Search, Loader } from 'lucide-react';
+import AdminLayout from '../../components/admin/AdminLayout';
+import { supabase } from '../../services/supabaseService';
+
+// What moved in the supplier catalogue overnight. Rows are written by the
+// nightly sync (scripts/lib/supplier-sync.js, catalogue-changes.js); before /
+// after are summaries, not full product rows. RLS: "Admins view catalogue
+// changes" (20261019_catalogue_change_log.sql).
+
+const CHANGE_LABELS = {
+  added: 'New product',
+  price: 'Price',
+  print_options: 'Print options',
+  colours: 'Colours',
+  retired: 'Retired',
+  reinstated: 'Reinstated',
+};
+
+const CHANGE_STYLES = {
+  added: 'bg-green-100 text-green-700',
+  price: 'bg-blue-100 text-blue-700',
+  print_options: 'bg-purple-100 text-purple-700',
+  colours: 'bg-yellow-100 text-yellow-800',
+  retired: 'bg-red-100 text-red-700',
+  reinstated: 'bg-gray-100 text-gray-700',
+};
+
+const PERIODS = [
+  { days: 1, label: 'Last 24 hours' },
+  { days: 7, label: 'Last 7 days' },
+  { days: 30, label: 'Last 30 days' },
+];
+
+// Enough for a bad night; a full first-run rewrite is summarised by the counts.
+const MAX_ROWS = 500;
+
+const money = (value) => (value == null ? '—' : `£${Number(value).toFixed(2)}`);
+
+const tierPrice = (tier) => (tier?.is_poa ? 'POA' : money(tier?.sell_price ?? tier?.price));
+
+// "50+: £1.20 → £1.35" for every quantity break whose price moved.
+const describePrice = (before = [], after = []) => {
+  const byQty = new Map();
+  for (const t of before) byQty.set(t.min_qty, { before: t });
+  for (const t of after) byQty.set(t.min_qty, { ...byQty.get(t.min_qty), after: t });
+  return [...byQty.entries()]
+    .sort(([a], [b]) => (a ?? 0) - (b ?? 0))
+    .filter(([, pair]) => JSON.stringify(pair.before) !== JSON.stringify(pair.after))
+    .map(([minQty, pair]) => {
+      const from = pair.before ? tierPrice(pair.before) : 'none';
+      const to = pair.after ? tierPrice(pair.after) : 'removed';
+      const cost = pair.before?.price !== pair.after?.price
+        ? ` (cost ${money(pair.before?.price)} → ${money(pair.after?.price)})`
+        : '';
+      return `${minQty ?? '?'}+: ${from} → ${to}${cost}`;
+    });
+};
+
+const printKey = (p) => `${p.print_type || '?'} · ${p.print_position || '?'}`;
+
+const describePrintOptions = (before = [], after = []) => {
+  const beforeMap = new Map(before.map((p) => [printKey(p), p]));
+  const afterMap = new Map(after.map((p) => [printKey(p), p]));
+  const lines = [];
+  for (const [key, p] of afterMap) {
+    if (!beforeMap.has(key)) lines.push(`Added ${key}`);
+    else if (JSON.stringify(beforeMap.get(key)) !== JSON.stringify(p)) lines.push(`Changed ${key}`);
+  }
+  for (const key of beforeMap.keys()) {
+    if (!afterMap.has(key)) lines.push(`Removed ${key}`);
+  }
+  return lines;
+};
+
+const describeColours = (before = [], after = []) => {
+  const added = after.filter((c) => !before.includes(c));
+  const removed = before.filter((c) => !after.includes(c));
+  return [
+    ...(added.length ? [`Added: ${added.join(', ')}`] : []),
+    ...(removed.length ? [`Removed: ${removed.join(', ')}`] : []),
+  ];
+};
+
+const describeChange = (change) => {
+  switch (change.change_type) {
+    case 'price':
+      return describePrice(change.before || [], change.after || []);
+    case 'print_options':
+      return describePrintOptions(change.before || [], change.after || []);
+    case 'colours':
+      return describeColours(change.before || [], change.after || []);
+    case 'added':
+      return [change.after?.name || 'New in feed'];
+    case 'retired':
+      return [`Missing from the feed ${change.after?.missing_from_feed_count ?? 'several'} syncs running`];
+    case 'reinstated':
+      return ['Back in the feed'];
+    default:
+      return [];
+  }
+};
+
+const AdminCatalogueChanges = ({ user, adminRole }) => {
+  const [loading, setLoading] = useState(true);
+  const [changes, setChanges] = useState([]);
+  const [days, setDays] = useState(1);
+  const [changeType, setChangeType] = useState('');
+  const [searchQuery, setSearchQuery] = useState('');
+  const [codeFilter, setCodeFilter] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    const fetchChanges = async () => {
+      try {
+        setLoading(true);
+        const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+        let query = supabase
+          .from('supplier_product_changes')
+          .select('id, supplier_product_code, change_type, before, after, created_at, suppliers(name)')
+          .gte('created_at', since)
+          .order('created_at', { ascending: false })
+          .limit(MAX_ROWS);
+        if (changeType) query = query.eq('change_type', changeType);
+        if (codeFilter) query = query.ilike('supplier_product_code', `%${codeFilter}%`);
+        const { data, error } = await query;
+        if (error) throw error;
+        if (!cancelled) setChanges(data || []);
+      } catch (error) {
+        console.error('[AdminCatalogueChanges] Error:', error);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    fetchChanges();
+    return () => { cancelled = true; };
+  }, [days, changeType, codeFilter]);
+
+  const counts = changes.reduce((acc, c) => {
+    acc[c.change_type] = (acc[c.change_type] || 0) + 1;
+    return acc;
+  }, {});
+
+  const formatDateTime = (dateString) =>
+    new Date(dateString).toLocaleString('en-GB', {
+      day: 'numeric',
+      month: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+
+  const selectClass = 'px-3 py-2 text-sm border border-gray-300 rounded-lg';
+
+  return (
+    <AdminLayout user={user} adminRole={adminRole} pageTitle="Catalogue Changes">
+      {/* Header */}
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 mb-6">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Catalogue Changes</h1>
+          <p className="text-sm text-gray-600 mt-1">
+            Price, print option, colour and retirement changes picked up by the supplier sync
+          </p>
+        </div>
+
+        <form
+          onSubmit={(e) => { e.preventDefault(); setCodeFilter(searchQuery.trim()); }}
+          className="flex flex-col lg:flex-row lg:items-center gap-3 mt-4"
+        >
+          <div className="relative flex-1 max-w-md">
+            <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-5 w-5 text-gray-400" />
+            <input
+              type="text"
+              placeholder="Product code..."
+              value={searchQuery}
+              onChange={(e) => setSearchQuery(e.target.value)}
+              onBlur={() => setCodeFilter(searchQuery.trim())}
+              className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+          <select value={changeType} onChange={(e) => setChangeType(e.target.value)} className={selectClass}>
+            <option value="">All changes</option>
+            {Object.entries(CHANGE_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <select value={days} onChange={(e) => setDays(Number(e.target.value))} className={selectClass}>
+            {PERIODS.map((p) => (
+              <option key={p.days} value={p.days}>{p.label}</option>
+            ))}
+          </select>
+        </form>
+
+        {!loading && (
+          <div className="flex flex-wrap gap-2 mt-4">
+            {Object.entries(counts).map(([type, count]) => (
+              <span key={type} className={`px-2 py-1 rounded-full text-xs font-semibold ${CHANGE_STYLES[type] || ''}`}>
+                {CHANGE_LABELS[type] || type}: {count}
+              </span>
+            ))}
+            {changes.length === MAX_ROWS && (
+              <span className="text-xs text-gray-500 self-center">Showing the latest {MAX_ROWS} — narrow the filters to see more</span>
+            )}
+          </div>
+        )}
+      </div>
+
+      {/* Changes List */}
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200">
+        {loading ? (
+          <div className="flex items-center justify-center py-12">
+            <Loader className="h-8 w-8 text-blue-600 animate-spin" />
+          </div>
+        ) : changes.length === 0 ? (
+          <div className="text-center py-12">
+            <p className="text-gray-500">No catalogue changes in this period</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead>
+                <tr className="text-left text-sm text-gray-600 border-b border-gray-200 bg-gray-50">
+                  <th className="px-6 py-4 font-semibold">When</th>
+                  <th className="px-6 py-4 font-semibold">Product</th>
+                  <th className="px-6 py-4 font-semibold">Change</th>
+                  <th className="px-6 py-4 font-semibold">Details</th>
+                </tr>
+              </thead>
+              <tbody>
+                {changes.map((change) => (
+                  <tr
+                    key={change.id}
+                    className="border-b border-gray-100 hover:bg-gray-50 transition-colors align-top"
+                  >
+                    <td className="px-6 py-4 text-sm text-gray-600 whitespace-nowrap">
+                      {formatDateTime(change.created_at)}
+                    </td>
+                    <td className="px-6 py-4">
+                      <div className="flex items-center space-x-2 text-sm font-semibold text-gray-900">
+                        <History className="h-4 w-4 text-gray-400" />
+                        <span>{change.supplier_product_code}</span>
+                      </div>
+                      {change.suppliers?.name && (
+                        <p className="text-xs text-gray-500 mt-1">{change.suppliers.name}</p>
+                      )}
+                    </td>
+                    <td className="px-6 py-4">
+                      <span className={`px-2 py-1 rounded-full text-xs font-semibold ${CHANGE_STYLES[change.change_type] || ''}`}>
+                        {CHANGE_LABELS[change.change_type] || change.change_type}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 text-xs text-gray-700">
+                      {describeChange(change).map((line, idx) => (
+                        <div key={idx}>{line}</div>
+                      ))}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </AdminLayout>
+  );
+};
+
+export default AdminCatalogueChanges;
@@ -0,0 +1,376 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { LayoutGrid, Search, Loader, Plus, Trash2, GripVertical, ExternalLink } from 'lucide-react';
+import AdminLayout from '../../components/admin/AdminLayout';
+import { supabase } from '../../services/supabaseService';
+import { invalidateCuratedCategoryCache } from '../../services/productCatalogService';
+
+// Which Laltex products appear on each category page, and in what order
+// (category_product_curation, CLAUDE.md §56). Replaces the seed-migration
+// workflow for day-to-day merchandising. Writes: "Admins manage category
+// curation" + reorder_category_curation (20261019_category_curation_admin.sql).
+//
+// Every write invalidates the getCuratedCategoryProducts cache for the slug,
+// so CategoryPage shows the change on the next visit from this browser.
+
+const SEARCH_LIMIT = 20;
+
+const PRODUCT_COLUMNS = 'supplier_product_code, name, category, in_stock, is_retired, plain_images, images';
+
+// PostgREST .or() syntax uses , ( ) as separators — strip them from user input.
+const sanitiseSearch = (value) => value.replace(/[,()]/g, ' ').trim();
+
+const thumbOf = (product) => {
+  const first = product?.plain_images?.[0] || product?.images?.[0];
+  return typeof first === 'string' ? first : first?.url || null;
+};
+
+const AdminCuration = ({ user, adminRole }) => {
+  const [categories, setCategories] = useState([]);
+  const [categorySlug, setCategorySlug] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [rows, setRows] = useState([]);
+  const [savingOrder, setSavingOrder] = useState(false);
+  const [busyCode, setBusyCode] = useState(null);
+  const [dragIndex, setDragIndex] = useState(null);
+  const [overIndex, setOverIndex] = useState(null);
+
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searching, setSearching] = useState(false);
+  const [searchResults, setSearchResults] = useState(null);
+
+  useEffect(() => {
+    const fetchCategories = async () => {
+      const { data, error } = await supabase
+        .from('catalog_categories')
+        .select('slug, name')
+        .order('name', { ascending: true });
+      if (error) {
+        console.error('[AdminCuration] Error:', error);
+        return;
+      }
+      setCategories(data || []);
+      if (data?.length) setCategorySlug((current) => current || data[0].slug);
+    };
+    fetchCategories();
+  }, []);
+
+  const fetchCuration = useCallback(async () => {
+    if (!categorySlug) return;
+    try {
+      setLoading(true);
+      const { data: curation, error } = await supabase
+        .from('category_product_curation')
+        .select('supplier_product_code, position')
+        .eq('category_slug', categorySlug)
+        .order('position', { ascending: true });
+      if (error) throw error;
+
+      const codes = (curation || []).map((r) => r.supplier_product_code);
+      let products = [];
+      if (codes.length) {
+        const { data, error: productsError } = await supabase
+          .from('supplier_products')
+          .select(PRODUCT_COLUMNS)
+          .in('supplier_product_code', codes);
+        if (productsError) throw productsError;
+        products = data || [];
+      }
+      const byCode = new Map(products.map((p) => [p.supplier_product_code, p]));
+      setRows((curation || []).map((r) => ({
+        code: r.supplier_product_code,
+        position: r.position,
+        product: byCode.get(r.supplier_product_code) || null,
+      })));
+    } catch (error) {
+      console.error('[AdminCuration] Error:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [categorySlug]);
+
+  useEffect(() => {
+    setSearchResults(null);
+    fetchCuration();
+  }, [fetchCuration]);
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    const term = sanitiseSearch(searchQuery);
+    if (!term) return;
+    try {
+      setSearching(true);
+      const { data, error } = await supabase
+        .from('supplier_products')
+        .select(PRODUCT_COLUMNS)
+        .eq('is_retired', false)
+        .or(`supplier_product_code.ilike.%${term}%,name.ilike.%${term}%`)
+        .order('supplier_product_code', { ascending: true })
+        .limit(SEARCH_LIMIT);
+      if (error) throw error;
+      setSearchResults(data || []);
+    } catch (error) {
+      console.error('[AdminCuration] Error:', error);
+      setSearchResults([]);
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const addProduct = async (product) => {
+    const position = rows.reduce((max, r) => Math.max(max, r.position), 0) + 1;
+    setBusyCode(product.supplier_product_code);
+    const { error } = await supabase.from('category_product_curation').insert({
+      category_slug: categorySlug,
+      supplier_product_code: product.supplier_product_code,
+      position,
+    });
+    setBusyCode(null);
+    if (error) {
+      // 23505 = unique (category_slug, supplier_product_code)
+      alert(error.code === '23505' ? 'That product is already on this page.' : `Could not add product: ${error.message}`);
+      return;
+    }
+    invalidateCuratedCategoryCache(categorySlug);
+    setRows((prev) => [...prev, { code: product.supplier_product_code, position, product }]);
+  };
+
+  const removeProduct = async (code) => {
+    if (!window.confirm(`Remove ${code} from this category page?`)) return;
+    setBusyCode(code);
+    const { error } = await supabase
+      .from('category_product_curation')
+      .delete()
+      .eq('category_slug', categorySlug)
+      .eq('supplier_product_code', code);
+    setBusyCode(null);
+    if (error) {
+      alert(`Could not remove product: ${error.message}`);
+      return;
+    }
+    invalidateCuratedCategoryCache(categorySlug);
+    setRows((prev) => prev.filter((r) => r.code !== code));
+  };
+
+  const saveOrder = async (ordered) => {
+    setSavingOrder(true);
+    const { error } = await supabase.rpc('reorder_category_curation', {
+      p_category_slug: categorySlug,
+      p_codes: ordered.map((r) => r.code),
+    });
+    setSavingOrder(false);
+    if (error) {
+      alert(`Could not save the new order: ${error.message}`);
+      fetchCuration();
+      return;
+    }
+    invalidateCuratedCategoryCache(categorySlug);
+  };
+
+  const handleDrop = (targetIndex) => {
+    const from = dragIndex;
+    setDragIndex(null);
+    setOverIndex(null);
+    if (from == null || from === targetIndex) return;
+    const next = [...rows];
+    const [moved] = next.splice(from, 1);
+    next.splice(targetIndex, 0, moved);
+    const renumbered = next.map((r, idx) => ({ ...r, position: idx + 1 }));
+    setRows(renumbered);
+    saveOrder(renumbered);
+  };
+
+  const curatedCodes = new Set(rows.map((r) => r.code));
+  const retiredCount = rows.filter((r) => !r.product || r.product.is_retired).length;
+  const outOfStockCount = rows.filter((r) => r.product && !r.product.is_retired && r.product.in_stock === false).length;
+
+  const statusBadge = (row) => {
+    if (!row.product) {
+      return <span className="px-2 py-1 rounded-full text-xs font-semibold bg-red-100 text-red-700">Not in catalogue</span>;
+    }
+    if (row.product.is_retired) {
+      return <span className="px-2 py-1 rounded-full text-xs font-semibold bg-red-100 text-red-700">Retired — hidden</span>;
+    }
+    if (row.product.in_stock === false) {
+      return <span className="px-2 py-1 rounded-full text-xs font-semibold bg-yellow-100 text-yellow-800">Out of stock</span>;
+    }
+    return <span className="px-2 py-1 rounded-full text-xs font-semibold bg-green-100 text-green-700">Live</span>;
+  };
+
+  return (
+    <AdminLayout user={user} adminRole={adminRole} pageTitle="Category Curation">
+      {/* Header */}
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 mb-6">
+        <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-4">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Category Curation</h1>
+            <p className="text-sm text-gray-600 mt-1">
+              Supplier products shown on each category page. Drag rows to reorder.
+            </p>
+          </div>
+          <div className="flex items-center gap-3">
+            <select
+              value={categorySlug}
+              onChange={(e) => setCategorySlug(e.target.value)}
+              className="px-3 py-2 text-sm border border-gray-300 rounded-lg"
+            >
+              {categories.map((c) => (
+                <option key={c.slug} value={c.slug}>{c.name}</option>
+              ))}
+            </select>
+            {categorySlug && (
+              <a
+                href={`/${categorySlug}`}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="flex items-center space-x-1 text-sm text-blue-600 hover:text-blue-700"
+              >
+                <ExternalLink className="h-4 w-4" />
+                <span>View page</span>
+              </a>
+            )}
+          </div>
+        </div>
+
+        {!loading && (
+          <div className="flex flex-wrap gap-2 mt-4">
+            <span className="px-2 py-1 rounded-full text-xs font-semibold bg-gray-100 text-gray-700">
+              {rows.length} curated
+            </span>
+            {retiredCount > 0 && (
+              <span className="px-2 py-1 rounded-full text-xs font-semibold bg-red-100 text-red-700">
+                {retiredCount} retired or missing (hidden from customers)
+              </span>
+            )}
+            {outOfStockCount > 0 && (
+              <span className="px-2 py-1 rounded-full text-xs font-semibold bg-yellow-100 text-yellow-800">
+                {outOfStockCount} out of stock
+              </span>
+            )}
+            {savingOrder && (
+              <span className="flex items-center space-x-1 text-xs text-gray-500">
+                <Loader className="h-3 w-3 animate-spin" />
+                <span>Saving order…</span>
+              </span>
+            )}
+          </div>
+        )}
+      </div>
+
+      {/* Add products */}
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 mb-6">
+        <form onSubmit={handleSearch} className="flex gap-3">
+          <div className="relative flex-1 max-w-md">
+            <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-5 w-5 text-gray-400" />
+            <input
+              type="text"
+              placeholder="Search supplier products by code or name..."
+              value={searchQuery}
+              onChange={(e) => setSearchQuery(e.target.value)}
+              className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={searching || !categorySlug}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+          >
+            {searching ? 'Searching…' : 'Search'}
+          </button>
+        </form>
+
+        {searchResults && (
+          searchResults.length === 0 ? (
+            <p className="text-sm text-gray-500 mt-4">No active supplier products match.</p>
+          ) : (
+            <div className="mt-4 divide-y divide-gray-100 border border-gray-100 rounded-lg">
+              {searchResults.map((product) => {
+                const already = curatedCodes.has(product.supplier_product_code);
+                return (
+                  <div key={product.supplier_product_code} className="flex items-center justify-between px-4 py-2">
+                    <div className="flex items-center space-x-3 min-w-0">
+                      {thumbOf(product)
+                        ? <img src={thumbOf(product)} alt="" className="h-10 w-10 object-contain rounded bg-gray-50" />
+                        : <div className="h-10 w-10 rounded bg-gray-100" />}
+                      <div className="min-w-0">
+                        <p className="text-sm font-semibold text-gray-900 truncate">{product.name}</p>
+                        <p className="text-xs text-gray-500">
+                          {product.supplier_product_code}{product.category ? ` · ${product.category}` : ''}
+                          {product.in_stock === false ? ' · out of stock' : ''}
+                        </p>
+                      </div>
+                    </div>
+                    <button
+                      onClick={() => addProduct(product)}
+                      disabled={already || busyCode === product.supplier_product_code}
+                      className="flex items-center space-x-1 px-3 py-1 text-sm rounded-lg border border-blue-200 text-blue-700 hover:bg-blue-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      <Plus className="h-4 w-4" />
+                      <span>{already ? 'Added' : 'Add'}</span>
+                    </button>
+                  </div>
+                );
+              })}
+            </div>
+          )
+        )}
+      </div>
+
+      {/* Curated list */}
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200">
+        {loading ? (
+          <div className="flex items-center justify-center py-12">
+            <Loader className="h-8 w-8 text-blue-600 animate-spin" />
+          </div>
+        ) : rows.length === 0 ? (
+          <div className="text-center py-12">
+            <LayoutGrid className="h-8 w-8 text-gray-300 mx-auto mb-2" />
+            <p className="text-gray-500">No curated products — this page shows PGifts Direct products only.</p>
+          </div>
+        ) : (
+          <ul className="divide-y divide-gray-100">
+            {rows.map((row, idx) => (
+              <li
+                key={row.code}
+                draggable={!savingOrder}
+                onDragStart={(e) => {
+                  setDragIndex(idx);
+                  e.dataTransfer.effectAllowed = 'move';
+                }}
+                onDragOver={(e) => {
+                  e.preventDefault();
+                  if (overIndex !== idx) setOverIndex(idx);
+                }}
+                onDragEnd={() => { setDragIndex(null); setOverIndex(null); }}
+                onDrop={(e) => { e.preventDefault(); handleDrop(idx); }}
+                className={`flex items-center px-4 py-3 gap-4 transition-colors ${
+                  dragIndex === idx ? 'opacity-50' : ''
+                } ${overIndex === idx && dragIndex !== idx ? 'bg-blue-50' : 'hover:bg-gray-50'}`}
+              >
+                <GripVertical className="h-5 w-5 text-gray-400 cursor-move flex-shrink-0" />
+                <span className="w-8 text-sm text-gray-500 text-right">{idx + 1}</span>
+                {thumbOf(row.product)
+                  ? <img src={thumbOf(row.product)} alt="" className="h-12 w-12 object-contain rounded bg-gray-50" />
+                  : <div className="h-12 w-12 rounded bg-gray-100" />}
+                <div className="flex-1 min-w-0">
+                  <p className="text-sm font-semibold text-gray-900 truncate">{row.product?.name || row.code}</p>
+                  <p className="text-xs text-gray-500">{row.code}</p>
+                </div>
+                {statusBadge(row)}
+                <button
+                  onClick={() => removeProduct(row.code)}
+                  disabled={busyCode === row.code}
+                  className="p-2 text-gray-400 hover:text-red-600 disabled:opacity-50"
+                  title="Remove from this page"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </AdminLayout>
+  );
+};
+
+export default AdminCuration;
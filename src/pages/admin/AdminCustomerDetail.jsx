@@ -1,8 +1,10 @@
 import React, { useState, useEffect } from 'react';
 import { useParams, Link, useNavigate } from 'react-router-dom';
-import { ArrowLeft, Loader, Mail, Phone, Building2, MapPin, ShoppingCart } from 'lucide-react';
+import { ArrowLeft, Loader, Mail, Phone, Building2, MapPin, ShoppingCart, ShoppingBag, FileText, Download } from 'lucide-react';
 import AdminLayout from '../../components/admin/AdminLayout';
-import { supabase } from '../../services/supabaseService';
+import { supabase, getCustomerAddresses } from '../../services/supabaseService';
+import { downloadQuotePdf } from '../../lib/quotePdf';
+import { signCartPreviews } from '../../services/cartService';
 
 const AdminCustomerDetail = ({ user, adminRole }) => {
   const { id } = useParams();
@@ -10,6 +12,9 @@ const AdminCustomerDetail = ({ user, adminRole }) => {
   const [loading, setLoading] = useState(true);
   const [customer, setCustomer] = useState(null);
   const [orders, setOrders] = useState([]);
+  const [quotes, setQuotes] = useState([]);
+  const [savedCart, setSavedCart] = useState(null);
+  const [addressBook, setAddressBook] = useState([]);
   const [stats, setStats] = useState({
     totalOrders: 0,
     totalSpent: 0,
@@ -44,6 +49,34 @@ const AdminCustomerDetail = ({ user, adminRole }) => {
       if (ordersError) throw ordersError;
       setOrders(ordersData || []);
 
+      // Fetch customer quotes (with items, for the quote PDF). Non-fatal —
+      // the page is still useful without them.
+      const { data: quotesData, error: quotesError } = await supabase
+        .from('quotes')
+        .select('*, quote_items (*)')
+        .eq('customer_id', id)
+        .order('created_at', { ascending: false });
+
+      if (quotesError) console.error('[AdminCustomerDetail] Quotes error:', quotesError);
+      setQuotes(quotesData || []);
+
+      // Saved cart (20261019_saved_carts.sql). Non-fatal, like quotes.
+      const { data: cartData, error: cartError } = await supabase
+        .from('carts')
+        .select('items, updated_at')
+        .eq('user_id', id)
+        .maybeSingle();
+
+      if (cartError) console.error('[AdminCustomerDetail] Cart error:', cartError);
+      setSavedCart(cartData?.items?.length
+        ? { ...cartData, items: await signCartPreviews(cartData.items) }
+        : null);
+
+      // Address book (20261019_customer_addresses.sql). Non-fatal —
+      // getCustomerAddresses logs its own error.
+      const { data: addressData } = await getCustomerAddresses(id);
+      setAddressBook(addressData);
+
       // Calculate stats
       const totalOrders = ordersData?.length || 0;
       const completedOrders = ordersData?.filter(o => o.status === 'completed') || [];
@@ -212,6 +245,39 @@ const AdminCustomerDetail = ({ user, adminRole }) => {
               </div>
             </div>
           )}
+
+          {addressBook.length > 0 && (
+            <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+              <h2 className="text-lg font-bold text-gray-900 mb-4 flex items-center space-x-2">
+                <MapPin className="h-5 w-5" />
+                <span>Address Book</span>
+              </h2>
+              <ul className="space-y-4">
+                {addressBook.map((entry) => {
+                  const a = entry.address || {};
+                  return (
+                    <li key={entry.id} className="text-sm text-gray-600">
+                      <div className="flex items-center gap-2 mb-1">
+                        <span className="font-semibold text-gray-900">{entry.label}</span>
+                        <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-700 capitalize">
+                          {entry.kind}
+                        </span>
+                        {entry.is_default && (
+                          <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">Default</span>
+                        )}
+                      </div>
+                      {a.company && <p>{a.company}</p>}
+                      {a.fao && <p>FAO: {a.fao}</p>}
+                      <p>{[a.line1, a.line2].filter(Boolean).join(', ')}</p>
+                      <p>{[a.city, a.postcode].filter(Boolean).join(', ')}</p>
+                      <p>{a.country}</p>
+                      {a.phone && <p>{a.phone}</p>}
+                    </li>
+                  );
+                })}
+              </ul>
+            </div>
+          )}
         </div>
 
         {/* Orders History */}
@@ -275,6 +341,112 @@ const AdminCustomerDetail = ({ user, adminRole }) => {
               </div>
             )}
           </div>
+
+          {/* Quotes — same branded PDF the customer downloads */}
+          <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 mt-6">
+            <h2 className="text-lg font-bold text-gray-900 mb-4 flex items-center space-x-2">
+              <FileText className="h-5 w-5" />
+              <span>Quotes</span>
+            </h2>
+
+            {quotes.length === 0 ? (
+              <p className="text-gray-500 text-center py-8">No quotes yet</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="w-full">
+                  <thead>
+                    <tr className="text-left text-sm text-gray-600 border-b border-gray-200">
+                      <th className="pb-3 font-semibold">Quote #</th>
+                      <th className="pb-3 font-semibold">Date</th>
+                      <th className="pb-3 font-semibold">Status</th>
+                      <th className="pb-3 font-semibold">PO</th>
+                      <th className="pb-3 font-semibold text-right">Total</th>
+                      <th className="pb-3 font-semibold">Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {quotes.map((quote) => (
+                      <tr
+                        key={quote.id}
+                        className="border-b border-gray-100 hover:bg-gray-50"
+                      >
+                        <td className="py-3 text-sm font-medium text-gray-900">
+                          {quote.quote_number || quote.id.slice(0, 8)}
+                        </td>
+                        <td className="py-3 text-sm text-gray-600">
+                          {formatDate(quote.created_at)}
+                        </td>
+                        <td className="py-3">
+                          <span className="inline-flex px-2 py-1 text-xs font-semibold rounded-full bg-gray-100 text-gray-800">
+                            {quote.status}
+                          </span>
+                          {/* Set by the supplier sync (20261019_price_alerts.sql) */}
+                          {quote.status === 'draft' && quote.price_changed_at && (
+                            <span
+                              className="ml-2 inline-flex px-2 py-1 text-xs font-semibold rounded-full bg-yellow-100 text-yellow-800"
+                              title={`Supplier price changed ${formatDate(quote.price_changed_at)}`}
+                            >
+                              Price changed
+                            </span>
+                          )}
+                        </td>
+                        <td className="py-3 text-sm text-gray-600">
+                          {quote.po_number || '—'}
+                        </td>
+                        <td className="py-3 text-sm font-semibold text-gray-900 text-right">
+                          {formatCurrency(quote.total_amount)}
+                        </td>
+                        <td className="py-3">
+                          <button
+                            onClick={() => downloadQuotePdf(quote, { customer })}
+                            className="text-sm text-blue-600 hover:text-blue-700 font-semibold flex items-center space-x-1"
+                          >
+                            <Download className="h-4 w-4" />
+                            <span>PDF</span>
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+
+          {/* Saved cart — what the customer has added but not yet quoted */}
+          {savedCart && (
+            <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 mt-6">
+              <h2 className="text-lg font-bold text-gray-900 mb-1 flex items-center space-x-2">
+                <ShoppingBag className="h-5 w-5" />
+                <span>Saved Cart</span>
+              </h2>
+              <p className="text-xs text-gray-500 mb-4">Last changed {formatDate(savedCart.updated_at)}</p>
+              <div className="divide-y divide-gray-100">
+                {savedCart.items.map((item) => (
+                  <div key={item.id} className="flex items-center py-3 space-x-4">
+                    <div className="flex-shrink-0 w-12 h-12 bg-gray-100 rounded-md overflow-hidden">
+                      {item.preview_url && (
+                        <img src={item.preview_url} alt="" className="w-full h-full object-cover" />
+                      )}
+                    </div>
+                    <div className="flex-1 min-w-0">
+                      <p className="text-sm font-semibold text-gray-900 truncate">{item.product_name}</p>
+                      <p className="text-xs text-gray-600">
+                        {item.color_name || item.color}
+                        {item.print_area ? ` · ${item.print_area}` : ''}
+                      </p>
+                    </div>
+                    <p className="text-sm text-gray-600 whitespace-nowrap">
+                      {item.quantity} × {formatCurrency(item.price)}
+                    </p>
+                    <p className="text-sm font-semibold text-gray-900 w-24 text-right">
+                      {formatCurrency((item.price || 0) * (item.quantity || 0))}
+                    </p>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
         </div>
       </div>
     </AdminLayout>
@@ -0,0 +1,464 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Activity, Loader, Play, AlertTriangle, X } from 'lucide-react';
+import AdminLayout from '../../components/admin/AdminLayout';
+import { supabase } from '../../services/supabaseService';
+
+// Background job monitor over job_runs / job_failures — the shared
+// observability tables every sync, stock and embed run writes (CLAUDE.md
+// §27). Both are readable from the browser (job_runs_select_all /
+// job_failures_select_all). Re-runs go through POST /api/admin/run-job,
+// which calls the same library functions as the crons with
+// triggered_by='manual'.
+
+const JOB_TYPES = [
+  { value: 'sync', label: 'Catalogue sync' },
+  { value: 'stock', label: 'Stock refresh' },
+  { value: 'embed', label: 'Embeddings' },
+];
+
+const STATUS_STYLES = {
+  running: 'bg-blue-100 text-blue-700',
+  completed: 'bg-green-100 text-green-700',
+  failed: 'bg-red-100 text-red-700',
+  stuck: 'bg-yellow-100 text-yellow-800',
+};
+
+const MAX_RUNS = 100;
+const MAX_FAILURES = 500;
+
+// Every job finishes well inside the 300s function budget; a row still
+// 'running' after this was killed mid-run and never finalised.
+const STUCK_AFTER_MS = 15 * 60 * 1000;
+
+const runStatus = (run) =>
+  run.status === 'running' && Date.now() - new Date(run.started_at).getTime() > STUCK_AFTER_MS
+    ? 'stuck'
+    : run.status;
+
+const formatDuration = (ms) => {
+  if (ms == null) return '—';
+  if (ms < 1000) return `${ms} ms`;
+  const seconds = ms / 1000;
+  if (seconds < 60) return `${seconds.toFixed(1)} s`;
+  return `${Math.floor(seconds / 60)}m ${Math.round(seconds % 60)}s`;
+};
+
+const formatDateTime = (dateString) =>
+  new Date(dateString).toLocaleString('en-GB', {
+    day: 'numeric',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+
+const AdminJobs = ({ user, adminRole }) => {
+  const [suppliers, setSuppliers] = useState([]);
+  const [jobType, setJobType] = useState('sync');
+  const [supplierId, setSupplierId] = useState('');
+  const [statusFilter, setStatusFilter] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [runs, setRuns] = useState([]);
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  const [selectedRun, setSelectedRun] = useState(null);
+  const [failures, setFailures] = useState([]);
+  const [failuresLoading, setFailuresLoading] = useState(false);
+  const [reasonFilter, setReasonFilter] = useState('');
+
+  const [rerunType, setRerunType] = useState('sync');
+  const [rerunSupplier, setRerunSupplier] = useState('');
+  const [rerunCode, setRerunCode] = useState('');
+  const [rerunning, setRerunning] = useState(false);
+  const [rerunResult, setRerunResult] = useState(null);
+  const [rerunError, setRerunError] = useState(null);
+
+  useEffect(() => {
+    const fetchSuppliers = async () => {
+      const { data, error } = await supabase
+        .from('suppliers')
+        .select('id, name, slug, is_active')
+        .order('name', { ascending: true });
+      if (error) {
+        console.error('[AdminJobs] Error:', error);
+        return;
+      }
+      setSuppliers(data || []);
+      const firstActive = (data || []).find((s) => s.is_active !== false);
+      if (firstActive) setRerunSupplier((current) => current || firstActive.slug);
+    };
+    fetchSuppliers();
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+    const fetchRuns = async () => {
+      try {
+        setLoading(true);
+        let query = supabase
+          .from('job_runs')
+          .select('id, job_type, run_type, status, triggered_by, started_at, finished_at, duration_ms, products_fetched, products_inserted, products_updated, products_failed, error_message, metadata, supplier_id, suppliers(name, slug)')
+          .eq('job_type', jobType)
+          .order('started_at', { ascending: false })
+          .limit(MAX_RUNS);
+        if (supplierId) query = query.eq('supplier_id', supplierId);
+        // 'stuck' is a client-side refinement of 'running'.
+        if (statusFilter) query = query.eq('status', statusFilter === 'stuck' ? 'running' : statusFilter);
+        const { data, error } = await query;
+        if (error) throw error;
+        const rows = data || [];
+        if (!cancelled) setRuns(statusFilter === 'stuck' ? rows.filter((r) => runStatus(r) === 'stuck') : rows);
+      } catch (error) {
+        console.error('[AdminJobs] Error:', error);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    fetchRuns();
+    return () => { cancelled = true; };
+  }, [jobType, supplierId, statusFilter, refreshKey]);
+
+  const openRun = useCallback(async (run) => {
+    setSelectedRun(run);
+    setReasonFilter('');
+    setFailures([]);
+    try {
+      setFailuresLoading(true);
+      const { data, error } = await supabase
+        .from('job_failures')
+        .select('id, supplier_product_code, reason, error_message, raw_snippet, created_at')
+        .eq('job_run_id', run.id)
+        .order('created_at', { ascending: true })
+        .limit(MAX_FAILURES);
+      if (error) throw error;
+      setFailures(data || []);
+    } catch (error) {
+      console.error('[AdminJobs] Error:', error);
+    } finally {
+      setFailuresLoading(false);
+    }
+  }, []);
+
+  const startRerun = async ({ type, supplier, code }) => {
+    setRerunning(true);
+    setRerunError(null);
+    setRerunResult(null);
+    try {
+      const {
+        data: { session },
+      } = await supabase.auth.getSession();
+      const token = session?.access_token;
+      if (!token) throw new Error('Your session expired — please sign in again.');
+
+      const resp = await fetch('/api/admin/run-job', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify({
+          job_type: type,
+          supplier: supplier || undefined,
+          product_code: code || undefined,
+        }),
+      });
+      const json = await resp.json().catch(() => ({}));
+      // A run that started but was marked 'failed' still returns its runId.
+      if (!resp.ok && !json.runId) {
+        const detail = json.missing?.length ? ` (${json.missing.join(', ')})` : '';
+        throw new Error((json.error || `Request failed (${resp.status})`) + detail);
+      }
+      setRerunResult(json);
+      setJobType(type);
+      setRefreshKey((k) => k + 1);
+    } catch (err) {
+      console.error('[AdminJobs] re-run error:', err);
+      setRerunError(err.message || String(err));
+    } finally {
+      setRerunning(false);
+    }
+  };
+
+  const handleRerunSubmit = (e) => {
+    e.preventDefault();
+    startRerun({ type: rerunType, supplier: rerunSupplier, code: rerunCode.trim() });
+  };
+
+  const reasonCounts = failures.reduce((acc, f) => {
+    acc[f.reason] = (acc[f.reason] || 0) + 1;
+    return acc;
+  }, {});
+  const visibleFailures = reasonFilter ? failures.filter((f) => f.reason === reasonFilter) : failures;
+
+  const selectClass = 'px-3 py-2 text-sm border border-gray-300 rounded-lg';
+  const supplierRequired = rerunType !== 'embed';
+
+  return (
+    <AdminLayout user={user} adminRole={adminRole} pageTitle="Jobs">
+      {/* Header */}
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 mb-6">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Background Jobs</h1>
+          <p className="text-sm text-gray-600 mt-1">
+            Catalogue sync, stock refresh and embedding runs — scheduled and manual
+          </p>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-3 mt-4">
+          <div className="flex rounded-lg border border-gray-300 overflow-hidden">
+            {JOB_TYPES.map((t) => (
+              <button
+                key={t.value}
+                type="button"
+                onClick={() => setJobType(t.value)}
+                className={`px-4 py-2 text-sm font-medium transition-colors ${
+                  jobType === t.value ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'
+                }`}
+              >
+                {t.label}
+              </button>
+            ))}
+          </div>
+          <select value={supplierId} onChange={(e) => setSupplierId(e.target.value)} className={selectClass}>
+            <option value="">All suppliers</option>
+            {suppliers.map((s) => (
+              <option key={s.id} value={s.id}>{s.name}</option>
+            ))}
+          </select>
+          <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)} className={selectClass}>
+            <option value="">Any status</option>
+            <option value="completed">Completed</option>
+            <option value="failed">Failed</option>
+            <option value="running">Running</option>
+            <option value="stuck">Stuck</option>
+          </select>
+        </div>
+      </div>
+
+      {/* Manual re-run */}
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 mb-6">
+        <h2 className="text-lg font-semibold text-gray-900 mb-1">Run now</h2>
+        <p className="text-sm text-gray-600 mb-4">
+          Leave the product code empty to run the whole supplier. Runs wait for the job to finish (up to 5 minutes).
+        </p>
+        <form onSubmit={handleRerunSubmit} className="flex flex-col lg:flex-row lg:items-center gap-3">
+          <select value={rerunType} onChange={(e) => setRerunType(e.target.value)} className={selectClass}>
+            {JOB_TYPES.map((t) => (
+              <option key={t.value} value={t.value}>{t.label}</option>
+            ))}
+          </select>
+          <select value={rerunSupplier} onChange={(e) => setRerunSupplier(e.target.value)} className={selectClass}>
+            {!supplierRequired && <option value="">All suppliers</option>}
+            {suppliers.filter((s) => s.is_active !== false).map((s) => (
+              <option key={s.id} value={s.slug}>{s.name}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            placeholder="Product code (optional)"
+            value={rerunCode}
+            onChange={(e) => setRerunCode(e.target.value)}
+            className="px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+          <button
+            type="submit"
+            disabled={rerunning || (supplierRequired && !rerunSupplier)}
+            className="flex items-center justify-center space-x-2 px-4 py-2 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+          >
+            {rerunning ? <Loader className="h-4 w-4 animate-spin" /> : <Play className="h-4 w-4" />}
+            <span>{rerunning ? 'Running…' : 'Run'}</span>
+          </button>
+        </form>
+        {rerunError && (
+          <p className="mt-3 text-sm text-red-600">{rerunError}</p>
+        )}
+        {rerunResult && (
+          <p className={`mt-3 text-sm ${rerunResult.status === 'completed' ? 'text-green-700' : 'text-red-600'}`}>
+            Run {rerunResult.status}
+            {rerunResult.fetched != null && ` — ${rerunResult.fetched} fetched`}
+            {rerunResult.failed ? `, ${rerunResult.failed} failed` : ''}
+            {rerunResult.errorMessage ? `: ${rerunResult.errorMessage}` : ''}
+          </p>
+        )}
+      </div>
+
+      {/* Runs List */}
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200">
+        {loading ? (
+          <div className="flex items-center justify-center py-12">
+            <Loader className="h-8 w-8 text-blue-600 animate-spin" />
+          </div>
+        ) : runs.length === 0 ? (
+          <div className="text-center py-12">
+            <p className="text-gray-500">No runs match these filters</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead>
+                <tr className="text-left text-sm text-gray-600 border-b border-gray-200 bg-gray-50">
+                  <th className="px-6 py-4 font-semibold">Started</th>
+                  <th className="px-6 py-4 font-semibold">Supplier</th>
+                  <th className="px-6 py-4 font-semibold">Run</th>
+                  <th className="px-6 py-4 font-semibold">Status</th>
+                  <th className="px-6 py-4 font-semibold">Duration</th>
+                  <th className="px-6 py-4 font-semibold text-right">Fetched</th>
+                  <th className="px-6 py-4 font-semibold text-right">Inserted</th>
+                  <th className="px-6 py-4 font-semibold text-right">Updated</th>
+                  <th className="px-6 py-4 font-semibold text-right">Failed</th>
+                </tr>
+              </thead>
+              <tbody>
+                {runs.map((run) => {
+                  const status = runStatus(run);
+                  return (
+                    <tr
+                      key={run.id}
+                      onClick={() => openRun(run)}
+                      className={`border-b border-gray-100 hover:bg-gray-50 transition-colors align-top cursor-pointer ${
+                        selectedRun?.id === run.id ? 'bg-blue-50' : ''
+                      }`}
+                    >
+                      <td className="px-6 py-4 text-sm text-gray-600 whitespace-nowrap">
+                        {formatDateTime(run.started_at)}
+                        <p className="text-xs text-gray-400">{run.triggered_by}</p>
+                      </td>
+                      <td className="px-6 py-4 text-sm text-gray-900">
+                        {run.suppliers?.name || (run.supplier_id ? '—' : 'All')}
+                      </td>
+                      <td className="px-6 py-4 text-sm text-gray-700">
+                        {run.run_type}
+                        {run.metadata?.product_code && (
+                          <p className="text-xs text-gray-500">{run.metadata.product_code}</p>
+                        )}
+                      </td>
+                      <td className="px-6 py-4">
+                        <span className={`px-2 py-1 rounded-full text-xs font-semibold ${STATUS_STYLES[status] || ''}`}>
+                          {status}
+                        </span>
+                        {run.error_message && (
+                          <p className="text-xs text-red-600 mt-1 max-w-xs truncate" title={run.error_message}>
+                            {run.error_message}
+                          </p>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 text-sm text-gray-600 whitespace-nowrap">{formatDuration(run.duration_ms)}</td>
+                      <td className="px-6 py-4 text-sm text-gray-900 text-right">{run.products_fetched ?? 0}</td>
+                      <td className="px-6 py-4 text-sm text-gray-900 text-right">{run.products_inserted ?? 0}</td>
+                      <td className="px-6 py-4 text-sm text-gray-900 text-right">{run.products_updated ?? 0}</td>
+                      <td className={`px-6 py-4 text-sm text-right ${run.products_failed ? 'text-red-600 font-semibold' : 'text-gray-900'}`}>
+                        {run.products_failed ?? 0}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+            {runs.length === MAX_RUNS && (
+              <p className="text-xs text-gray-500 px-6 py-3">Showing the latest {MAX_RUNS} runs — narrow the filters to see older ones</p>
+            )}
+          </div>
+        )}
+      </div>
+
+      {/* Failures drill-down */}
+      {selectedRun && (
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 mt-6">
+          <div className="flex items-start justify-between p-6 border-b border-gray-200">
+            <div>
+              <h2 className="text-lg font-semibold text-gray-900 flex items-center space-x-2">
+                <AlertTriangle className="h-5 w-5 text-gray-400" />
+                <span>Failures — {selectedRun.job_type} run of {formatDateTime(selectedRun.started_at)}</span>
+              </h2>
+              <p className="text-xs text-gray-500 mt-1 font-mono">{selectedRun.id}</p>
+              {selectedRun.supplier_id && selectedRun.suppliers?.slug && (
+                <button
+                  type="button"
+                  disabled={rerunning}
+                  onClick={() => startRerun({
+                    type: selectedRun.job_type,
+                    supplier: selectedRun.suppliers.slug,
+                    code: selectedRun.metadata?.product_code || '',
+                  })}
+                  className="mt-3 flex items-center space-x-1 text-sm text-blue-600 hover:text-blue-800 disabled:opacity-50"
+                >
+                  <Play className="h-4 w-4" />
+                  <span>Re-run this job</span>
+                </button>
+              )}
+            </div>
+            <button type="button" onClick={() => setSelectedRun(null)} className="text-gray-400 hover:text-gray-600">
+              <X className="h-5 w-5" />
+            </button>
+          </div>
+
+          {failuresLoading ? (
+            <div className="flex items-center justify-center py-12">
+              <Loader className="h-8 w-8 text-blue-600 animate-spin" />
+            </div>
+          ) : failures.length === 0 ? (
+            <div className="text-center py-12">
+              <p className="text-gray-500">No per-product failures recorded for this run</p>
+            </div>
+          ) : (
+            <>
+              <div className="flex flex-wrap gap-2 px-6 pt-4">
+                {Object.entries(reasonCounts).map(([reason, count]) => (
+                  <button
+                    key={reason}
+                    type="button"
+                    onClick={() => setReasonFilter(reasonFilter === reason ? '' : reason)}
+                    className={`px-2 py-1 rounded-full text-xs font-semibold ${
+                      reasonFilter === reason ? 'bg-red-600 text-white' : 'bg-red-100 text-red-700'
+                    }`}
+                  >
+                    {reason}: {count}
+                  </button>
+                ))}
+              </div>
+              <div className="divide-y divide-gray-100">
+                {visibleFailures.map((failure) => (
+                  <details key={failure.id} className="px-6 py-3">
+                    <summary className="cursor-pointer text-sm">
+                      <span className="font-semibold text-gray-900">{failure.supplier_product_code || '(no code)'}</span>
+                      <span className="text-gray-500"> · {failure.reason}</span>
+                      {failure.error_message && <span className="text-gray-700"> — {failure.error_message}</span>}
+                      {selectedRun.suppliers?.slug && failure.supplier_product_code && (
+                        <button
+                          type="button"
+                          disabled={rerunning}
+                          onClick={(e) => {
+                            e.preventDefault();
+                            startRerun({
+                              type: selectedRun.job_type,
+                              supplier: selectedRun.suppliers.slug,
+                              code: failure.supplier_product_code,
+                            });
+                          }}
+                          className="ml-3 text-xs text-blue-600 hover:text-blue-800 disabled:opacity-50"
+                        >
+                          Re-run product
+                        </button>
+                      )}
+                    </summary>
+                    {failure.raw_snippet != null ? (
+                      <pre className="mt-2 p-3 bg-gray-50 rounded-lg text-xs text-gray-700 overflow-x-auto max-h-80">
+                        {JSON.stringify(failure.raw_snippet, null, 2)}
+                      </pre>
+                    ) : (
+                      <p className="mt-2 text-xs text-gray-400">No raw snippet recorded</p>
+                    )}
+                  </details>
+                ))}
+              </div>
+              {failures.length === MAX_FAILURES && (
+                <p className="text-xs text-gray-500 px-6 py-3">Showing the first {MAX_FAILURES} failures</p>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </AdminLayout>
+  );
+};
+
+export default AdminJobs;
@@ -1,11 +1,35 @@
 import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
-import { ArrowLeft, Loader, Package, User, MapPin, CreditCard, Image as ImageIcon, Download, FileImage, StickyNote, AlertTriangle } from 'lucide-react';
+import { ArrowLeft, Loader, Package, User, MapPin, CreditCard, Image as ImageIcon, Download, FileImage, StickyNote, AlertTriangle, FileText, RotateCcw, Upload, Mail, History, Truck } from 'lucide-react';
 import AdminLayout from '../../components/admin/AdminLayout';
-import { supabase, getArtworkSignedUrl, downloadArtworkFile } from '../../services/supabaseService';
+import {
+  supabase,
+  getArtworkSignedUrl,
+  downloadArtworkFile,
+  publishArtworkProof,
+  sendProofEmail,
+  getArtworkProofs,
+  advanceOrderStatus,
+  sendOrderStatusEmail,
+  getOrderStatusEvents,
+} from '../../services/supabaseService';
 import { supabaseConfig } from '../../config/supabase';
 import { validateDeliveryForApproval, DELIVERY_FIELD_LABELS } from '../../lib/deliveryValidation';
 import { formatSizeBreakdown } from '../../utils/laltexSizes';
+import { downloadQuotePdf } from '../../lib/quotePdf';
+import { PROOF_STATUS_LABELS, PROOF_STATUS_CLASSES, PROOF_EVENT_LABELS } from '../../lib/artworkProofs';
+import {
+  ORDER_STATUS_LABELS,
+  ORDER_STATUS_CLASSES,
+  ACTOR_LABELS,
+  nextFulfilmentStatuses,
+  statusEventLabel,
+  isEmailedStatusEvent,
+} from '../../lib/orderStatus';
+import PreflightReport from '../../components/PreflightReport';
+import { parsePrintArea } from '../../utils/printAreaFormat';
+import { parseAreaMm } from '../../utils/fileValidation';
+import { buildProductionSVG, buildProductionPDF } from '../../utils/productionArtworkExport';
 
 // Artwork helpers (mirrors AdminOrders.jsx — kept local to avoid a shared
 // module we don't have a home for yet).
@@ -52,12 +76,48 @@ const formatFileSize = (bytes) => {
   return `${bytes} B`;
 };
 
+// Printed positions of one order item that have a stored design, with the
+// print area quoted for each. Multi-position designs come from
+// user_designs.print_positions; older single-position designs from the
+// item's own design_data.
+const productionPositions = (item, design) => {
+  const selections = Array.isArray(item.print_areas?.selections) ? item.print_areas.selections : [];
+  const areaFor = (position, fallback) =>
+    selections.find(s => s.position === position)?.area || fallback || null;
+  if (Array.isArray(design?.print_positions) && design.print_positions.length > 0) {
+    return design.print_positions.map(p => ({
+      position: p.position,
+      area: areaFor(p.position, p.area),
+      designData: p.design_data,
+    }));
+  }
+  if (!item.design_data?.objects?.length) return [];
+  const saved = parsePrintArea(design?.print_area);
+  const position = saved?.position || selections[0]?.position || null;
+  return [{ position, area: areaFor(position, saved?.area), designData: item.design_data }];
+};
+
+const saveBlob = (blob, fileName) => {
+  const objectUrl = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = objectUrl;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(objectUrl);
+};
+
 const AdminOrderDetail = ({ user, adminRole }) => {
   const { id } = useParams();
   const navigate = useNavigate();
   const [loading, setLoading] = useState(true);
   const [order, setOrder] = useState(null);
   const [orderItems, setOrderItems] = useState([]);
+  // user_designs rows referenced by order items (print_areas.design_id),
+  // keyed by id — source of every position for production export.
+  const [designsById, setDesignsById] = useState({});
+  const [exportingKey, setExportingKey] = useState(null);
   // Artwork panel state
   const [artwork, setArtwork] = useState([]);
   const [thumbnails, setThumbnails] = useState({});
@@ -68,7 +128,35 @@ const AdminOrderDetail = ({ user, adminRole }) => {
   const [savingNotes, setSavingNotes] = useState(false);
   const [notesSaved, setNotesSaved] = useState(false);
   const [downloadingId, setDownloadingId] = useState(null);
+  const [downloadingQuote, setDownloadingQuote] = useState(false);
   const [approvalError, setApprovalError] = useState(null); // delivery gate (PR B)
+  const [refunds, setRefunds] = useState([]);
+  const [refundAmount, setRefundAmount] = useState('');
+  const [refundReason, setRefundReason] = useState('');
+  const [refundCancel, setRefundCancel] = useState(false);
+  const [showRefundConfirm, setShowRefundConfirm] = useState(false);
+  const [refunding, setRefunding] = useState(false);
+  const [refundError, setRefundError] = useState(null);
+  const [proofs, setProofs] = useState([]);
+  const [proofEvents, setProofEvents] = useState([]);
+  const [proofFile, setProofFile] = useState(null);
+  const [proofNotes, setProofNotes] = useState('');
+  const [proofSendEmail, setProofSendEmail] = useState(true);
+  const [publishingProof, setPublishingProof] = useState(false);
+  const [proofError, setProofError] = useState(null);
+  const [resentProofId, setResentProofId] = useState(null);
+  // Fulfilment + status timeline (order_status_events)
+  const [statusEvents, setStatusEvents] = useState([]);
+  const [staffNames, setStaffNames] = useState({});
+  const [fulfilmentStatus, setFulfilmentStatus] = useState('');
+  const [carrier, setCarrier] = useState('');
+  const [trackingNumber, setTrackingNumber] = useState('');
+  const [trackingUrl, setTrackingUrl] = useState('');
+  const [fulfilmentNote, setFulfilmentNote] = useState('');
+  const [fulfilmentSendEmail, setFulfilmentSendEmail] = useState(true);
+  const [advancingFulfilment, setAdvancingFulfilment] = useState(false);
+  const [fulfilmentError, setFulfilmentError] = useState(null);
+  const [resentEventId, setResentEventId] = useState(null);
 
   useEffect(() => {
     fetchOrderDetail();
@@ -126,6 +214,18 @@ const AdminOrderDetail = ({ user, adminRole }) => {
       if (itemsError) throw itemsError;
       setOrderItems(itemsData || []);
 
+      // Designs behind the items — non-fatal: without them production
+      // export still works from each item's own design_data.
+      const designIds = [...new Set((itemsData || []).map(i => i.print_areas?.design_id).filter(Boolean))];
+      if (designIds.length > 0) {
+        const { data: designData, error: designError } = await supabase
+          .from('user_designs')
+          .select('id, print_area, print_positions')
+          .in('id', designIds);
+        if (designError) console.error('[AdminOrderDetail] designs load error:', designError);
+        setDesignsById(Object.fromEntries((designData || []).map(d => [d.id, d])));
+      }
+
       // Fetch uploaded artwork
       const { data: artworkData, error: artworkError } = await supabase
         .from('order_artwork')
@@ -136,6 +236,34 @@ const AdminOrderDetail = ({ user, adminRole }) => {
       if (artworkError) throw artworkError;
       setArtwork(artworkData || []);
 
+      // Refund history — non-fatal so the page still loads if the
+      // order_refunds migration hasn't been applied yet.
+      const { data: refundData, error: refundLoadError } = await supabase
+        .from('order_refunds')
+        .select('*')
+        .eq('order_id', id)
+        .order('created_at', { ascending: true });
+      if (refundLoadError) console.error('[AdminOrderDetail] refunds load error:', refundLoadError);
+      setRefunds(refundData || []);
+
+      const { data: proofData } = await getArtworkProofs(id);
+      setProofs(proofData.proofs);
+      setProofEvents(proofData.events);
+
+      const { data: eventData } = await getOrderStatusEvents(id);
+      setStatusEvents(eventData);
+      const staffIds = [...new Set(eventData.filter(e => e.actor_type === 'staff' && e.actor_id).map(e => e.actor_id))];
+      if (staffIds.length > 0) {
+        const { data: staffData } = await supabase
+          .from('team_members')
+          .select('user_id, first_name, last_name, email')
+          .in('user_id', staffIds);
+        setStaffNames(Object.fromEntries((staffData || []).map(m => [
+          m.user_id,
+          [m.first_name, m.last_name].filter(Boolean).join(' ') || m.email,
+        ])));
+      }
+
     } catch (error) {
       console.error('[AdminOrderDetail] Error:', error);
     } finally {
@@ -163,10 +291,9 @@ const AdminOrderDetail = ({ user, adminRole }) => {
     // Capture prior status for first-transition email detection below.
     const priorStatus = order?.artwork_status;
     try {
-      const { error: statusError } = await supabase
-        .from('orders')
-        .update({ artwork_status: pendingStatus })
-        .eq('id', id);
+      // Timeline row + customer email (for the stages that have one) come
+      // from advance_order_status / send-order-status-email.
+      const { error: statusError } = await advanceOrderStatus(id, 'artwork_status', pendingStatus);
       if (statusError) throw statusError;
 
       // When entering in_review or beyond, mark unreviewed artwork files
@@ -212,6 +339,40 @@ const AdminOrderDetail = ({ user, adminRole }) => {
     }
   };
 
+  const handleAdvanceFulfilment = async () => {
+    if (!fulfilmentStatus) return;
+    if (fulfilmentStatus === 'dispatched' && (!carrier.trim() || !trackingNumber.trim())) {
+      setFulfilmentError('Enter the carrier and tracking number to mark the order dispatched.');
+      return;
+    }
+    if (fulfilmentStatus === 'dispatched' && trackingUrl.trim() && !/^https:\/\//i.test(trackingUrl.trim())) {
+      setFulfilmentError('Tracking link must start with https://');
+      return;
+    }
+    setFulfilmentError(null);
+    setAdvancingFulfilment(true);
+    const { error } = await advanceOrderStatus(id, 'status', fulfilmentStatus, {
+      note: fulfilmentNote.trim() || null,
+      carrier: carrier.trim() || null,
+      trackingNumber: trackingNumber.trim() || null,
+      trackingUrl: trackingUrl.trim() || null,
+      sendEmail: fulfilmentSendEmail,
+    });
+    setAdvancingFulfilment(false);
+    if (error) {
+      setFulfilmentError(`Could not update status: ${error.message || error}`);
+      return;
+    }
+    setFulfilmentStatus('');
+    setFulfilmentNote('');
+    await fetchOrderDetail();
+  };
+
+  const handleResendStatusEmail = (eventId) => {
+    sendOrderStatusEmail(eventId);
+    setResentEventId(eventId);
+  };
+
   const handleSaveAdminNotes = async () => {
     setSavingNotes(true);
     setNotesSaved(false);
@@ -238,6 +399,147 @@ const AdminOrderDetail = ({ user, adminRole }) => {
     if (error) alert(`Could not download file: ${error.message || error}`);
   };
 
+  const handleProductionExport = async (item, entry, format) => {
+    const mm = parseAreaMm(entry.area);
+    if (!mm) return;
+    const key = `${item.id}:${entry.position}:${format}`;
+    setExportingKey(key);
+    try {
+      const orderRef = order.order_number || order.id.slice(0, 8);
+      const opts = {
+        widthMm: mm.widthMm,
+        heightMm: mm.heightMm,
+        position: entry.position,
+        label: `Order ${orderRef} | ${item.product_name}`,
+      };
+      const blob = format === 'svg'
+        ? await buildProductionSVG(entry.designData, opts).then(svg => svg && new Blob([svg], { type: 'image/svg+xml' }))
+        : await buildProductionPDF(entry.designData, opts);
+      if (!blob) throw new Error('This design has no artwork to export.');
+      const baseName = [orderRef, item.product_name, entry.position]
+        .filter(Boolean)
+        .join('_')
+        .replace(/[^a-zA-Z0-9._-]+/g, '_');
+      saveBlob(blob, `${baseName}.${format}`);
+    } catch (error) {
+      console.error('[AdminOrderDetail] production export error:', error);
+      alert(`Could not export production file: ${error.message || error}`);
+    } finally {
+      setExportingKey(null);
+    }
+  };
+
+  const handlePublishProof = async () => {
+    if (!proofFile) return;
+    setPublishingProof(true);
+    setProofError(null);
+    const { error } = await publishArtworkProof(order, proofFile, {
+      notes: proofNotes.trim() || null,
+      sendEmail: proofSendEmail,
+    });
+    setPublishingProof(false);
+    if (error) {
+      setProofError(`Could not publish proof: ${error.message || error}`);
+      return;
+    }
+    setProofFile(null);
+    setProofNotes('');
+    await fetchOrderDetail();
+  };
+
+  const handleResendProofEmail = (proofId) => {
+    sendProofEmail(proofId);
+    setResentProofId(proofId);
+    setTimeout(() => setResentProofId(null), 2000);
+  };
+
+  // The quote the customer accepted — fetched on demand since the order
+  // page doesn't otherwise need quote_items.
+  const handleQuotePdf = async () => {
+    setDownloadingQuote(true);
+    const { data, error } = await supabase
+      .from('quotes')
+      .select('*, quote_items (*)')
+      .eq('id', order.quote_id)
+      .maybeSingle();
+    setDownloadingQuote(false);
+    if (error || !data) {
+      alert(`Could not load quote: ${error?.message || 'not found'}`);
+      return;
+    }
+    downloadQuotePdf(data, { customer: order.customer_profiles });
+  };
+
+  // Refunds go through /api/admin/refund-order (service role + Stripe secret
+  // key). The credit-note email is sent by stripe-webhook on charge.refunded.
+  const refundablePence = order
+    ? Math.max(
+      0,
+      Math.round(Number(order.total_amount || 0) * 100) -
+        refunds
+          .filter(r => r.status === 'succeeded' || r.status === 'pending')
+          .reduce((sum, r) => sum + Math.round(Number(r.amount) * 100), 0),
+    )
+    : 0;
+
+  const openRefundConfirm = () => {
+    setRefundError(null);
+    const amount = refundAmount === '' ? refundablePence / 100 : Number(refundAmount);
+    if (!Number.isFinite(amount) || amount < 0) {
+      setRefundError('Enter a valid amount.');
+      return;
+    }
+    if (Math.round(amount * 100) > refundablePence) {
+      setRefundError(`Amount exceeds the refundable balance of ${formatCurrency(refundablePence / 100)}.`);
+      return;
+    }
+    if (amount === 0 && !refundCancel) {
+      setRefundError('Enter an amount to refund, or tick "Also cancel order".');
+      return;
+    }
+    setShowRefundConfirm(true);
+  };
+
+  const handleRefund = async () => {
+    setRefunding(true);
+    setRefundError(null);
+    try {
+      const {
+        data: { session },
+      } = await supabase.auth.getSession();
+      const token = session?.access_token;
+      if (!token) throw new Error('Your session expired — please sign in again.');
+
+      const resp = await fetch('/api/admin/refund-order', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify({
+          order_id: id,
+          amount: refundAmount === '' ? refundablePence / 100 : Number(refundAmount),
+          reason: refundReason.trim() || undefined,
+          cancel: refundCancel,
+        }),
+      });
+      const json = await resp.json().catch(() => ({}));
+      if (!resp.ok) throw new Error(json.error || `Request failed (${resp.status})`);
+
+      setShowRefundConfirm(false);
+      setRefundAmount('');
+      setRefundReason('');
+      setRefundCancel(false);
+      await fetchOrderDetail();
+    } catch (err) {
+      console.error('[AdminOrderDetail] refund error:', err);
+      setRefundError(err.message || String(err));
+      setShowRefundConfirm(false);
+    } finally {
+      setRefunding(false);
+    }
+  };
+
   const formatCurrency = (amount) => {
     return new Intl.NumberFormat('en-GB', {
       style: 'currency',
@@ -255,18 +557,7 @@ const AdminOrderDetail = ({ user, adminRole }) => {
     });
   };
 
-  const getStatusBadgeClass = (status) => {
-    const classes = {
-      pending: 'bg-yellow-100 text-yellow-800',
-      confirmed: 'bg-blue-100 text-blue-800',
-      approved: 'bg-indigo-100 text-indigo-800',
-      in_production: 'bg-purple-100 text-purple-800',
-      shipped: 'bg-cyan-100 text-cyan-800',
-      completed: 'bg-green-100 text-green-800',
-      cancelled: 'bg-red-100 text-red-800'
-    };
-    return classes[status] || 'bg-gray-100 text-gray-800';
-  };
+  const getStatusBadgeClass = (status) => ORDER_STATUS_CLASSES[status] || 'bg-gray-100 text-gray-800';
 
   if (loading) {
     return (
@@ -293,14 +584,26 @@ const AdminOrderDetail = ({ user, adminRole }) => {
 
   return (
     <AdminLayout user={user} adminRole={adminRole} pageTitle={`Order #${order.order_number || order.id.slice(0, 8)}`}>
-      {/* Back button */}
-      <button
-        onClick={() => navigate('/admin/orders')}
-        className="flex items-center space-x-2 text-gray-600 hover:text-gray-900 mb-6"
-      >
-        <ArrowLeft className="h-4 w-4" />
-        <span>Back to Orders</span>
-      </button>
+      {/* Back button + source quote PDF */}
+      <div className="flex items-center justify-between mb-6">
+        <button
+          onClick={() => navigate('/admin/orders')}
+          className="flex items-center space-x-2 text-gray-600 hover:text-gray-900"
+        >
+          <ArrowLeft className="h-4 w-4" />
+          <span>Back to Orders</span>
+        </button>
+        {order.quote_id && (
+          <button
+            onClick={handleQuotePdf}
+            disabled={downloadingQuote}
+            className="flex items-center space-x-2 px-3 py-1.5 text-sm font-semibold text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+          >
+            {downloadingQuote ? <Loader className="h-4 w-4 animate-spin" /> : <FileText className="h-4 w-4" />}
+            <span>Quote PDF</span>
+          </button>
+        )}
+      </div>
 
       {/* Delivery-incomplete banner (PR B) — FAO + phone (and address) are
           required before the order can be approved. */}
@@ -347,7 +650,7 @@ const AdminOrderDetail = ({ user, adminRole }) => {
               order.status
             )}`}
           >
-            {order.status?.replace('_', ' ')}
+            {ORDER_STATUS_LABELS[order.status] || order.status?.replace('_', ' ')}
           </span>
         </div>
       </div>
@@ -387,6 +690,40 @@ const AdminOrderDetail = ({ user, adminRole }) => {
                         <p className="text-sm text-gray-600">Sizes: {formatSizeBreakdown(item.size_breakdown)}</p>
                       )}
                       <p className="text-sm text-gray-600">Quantity: {item.quantity}</p>
+                      {(() => {
+                        const positions = productionPositions(item, designsById[item.print_areas?.design_id]);
+                        if (positions.length === 0) return null;
+                        return (
+                          <div className="mt-3 space-y-1.5">
+                            <p className="text-xs font-semibold text-gray-700">Production files</p>
+                            {positions.map(entry => {
+                              const mm = parseAreaMm(entry.area);
+                              return (
+                                <div key={entry.position || 'design'} className="flex flex-wrap items-center gap-2 text-xs">
+                                  <span className="text-gray-700">{entry.position || 'Design'}</span>
+                                  <span className="text-gray-500">{mm ? `${mm.widthMm}×${mm.heightMm}mm` : 'no print size'}</span>
+                                  {['svg', 'pdf'].map(format => {
+                                    const busy = exportingKey === `${item.id}:${entry.position}:${format}`;
+                                    return (
+                                      <button
+                                        key={format}
+                                        type="button"
+                                        onClick={() => handleProductionExport(item, entry, format)}
+                                        disabled={!mm || exportingKey !== null}
+                                        title={mm ? `Vector ${format.toUpperCase()} at print size with crop marks` : 'No print area size on this item'}
+                                        className="flex items-center gap-1 px-2 py-1 border border-gray-300 rounded text-gray-700 hover:bg-white disabled:opacity-50"
+                                      >
+                                        {busy ? <Loader className="h-3 w-3 animate-spin" /> : <Download className="h-3 w-3" />}
+                                        <span>{format.toUpperCase()}</span>
+                                      </button>
+                                    );
+                                  })}
+                                </div>
+                              );
+                            })}
+                          </div>
+                        );
+                      })()}
                     </div>
                     <div className="text-right">
                       <p className="text-sm text-gray-600">
@@ -408,6 +745,12 @@ const AdminOrderDetail = ({ user, adminRole }) => {
                 <span className="text-gray-600">Subtotal (ex VAT)</span>
                 <span className="font-semibold">{formatCurrency(order.subtotal || 0)}</span>
               </div>
+              {Number(order.discount_amount) > 0 && (
+                <div className="flex justify-between text-sm">
+                  <span className="text-gray-600">Discount ({order.promo_code})</span>
+                  <span className="font-semibold text-green-700">−{formatCurrency(order.discount_amount)}</span>
+                </div>
+              )}
               <div className="flex justify-between text-sm">
                 <span className="text-gray-600">VAT</span>
                 <span className="font-semibold">{formatCurrency(order.tax_amount || 0)}</span>
@@ -416,6 +759,12 @@ const AdminOrderDetail = ({ user, adminRole }) => {
                 <span>Total</span>
                 <span>{formatCurrency(order.total_amount)}</span>
               </div>
+              {Number(order.refunded_amount) > 0 && (
+                <div className="flex justify-between text-sm">
+                  <span className="text-gray-600">Refunded</span>
+                  <span className="font-semibold text-red-700">−{formatCurrency(order.refunded_amount)}</span>
+                </div>
+              )}
             </div>
           </div>
         </div>
@@ -428,26 +777,33 @@ const AdminOrderDetail = ({ user, adminRole }) => {
               <User className="h-5 w-5" />
               <span>Customer</span>
             </h2>
-            <div className="space-y-3">
-              <div>
-                <p className="font-semibold text-gray-900">
-                  {order.customer_profiles?.company_name ||
-                    `${order.customer_profiles?.first_name} ${order.customer_profiles?.last_name}`}
-                </p>
-              </div>
-              <div className="text-sm text-gray-600 space-y-1">
-                <p>{order.customer_profiles?.email}</p>
-                {order.customer_profiles?.phone && (
-                  <p>{order.customer_profiles?.phone}</p>
-                )}
+            {order.anonymised_at ? (
+              // Customer deleted their account (api/account/delete).
+              <p className="text-sm text-gray-500">
+                Account deleted {formatDate(order.anonymised_at)} — customer details removed.
+              </p>
+            ) : (
+              <div className="space-y-3">
+                <div>
+                  <p className="font-semibold text-gray-900">
+                    {order.customer_profiles?.company_name ||
+                      `${order.customer_profiles?.first_name} ${order.customer_profiles?.last_name}`}
+                  </p>
+                </div>
+                <div className="text-sm text-gray-600 space-y-1">
+                  <p>{order.customer_profiles?.email}</p>
+                  {order.customer_profiles?.phone && (
+                    <p>{order.customer_profiles?.phone}</p>
+                  )}
+                </div>
+                <Link
+                  to={`/admin/customers/${order.customer_profiles?.id}`}
+                  className="text-sm text-blue-600 hover:text-blue-700 font-semibold"
+                >
+                  View customer profile →
+                </Link>
               </div>
-              <Link
-                to={`/admin/customers/${order.customer_profiles?.id}`}
-                className="text-sm text-blue-600 hover:text-blue-700 font-semibold"
-              >
-                View customer profile →
-              </Link>
-            </div>
+            )}
           </div>
 
           {/* Shipping Address */}
@@ -481,7 +837,7 @@ const AdminOrderDetail = ({ user, adminRole }) => {
               <div className="flex justify-between text-sm">
                 <span className="text-gray-600">Status</span>
                 <span className="font-semibold capitalize">
-                  {order.payment_status || 'Pending'}
+                  {(order.payment_status || 'Pending').replace(/_/g, ' ')}
                 </span>
               </div>
               <div className="flex justify-between text-sm">
@@ -495,6 +851,305 @@ const AdminOrderDetail = ({ user, adminRole }) => {
         </div>
       </div>
 
+      {/* Refunds & cancellation — super_admin only (the API route enforces
+          the same). Lists every refund, including ones made in Stripe. */}
+      {adminRole === 'super_admin' && (
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 mt-6">
+          <div className="flex items-center justify-between mb-6">
+            <h2 className="text-lg font-bold text-gray-900 flex items-center space-x-2">
+              <RotateCcw className="h-5 w-5" />
+              <span>Refunds &amp; cancellation</span>
+            </h2>
+            {order.cancelled_at && (
+              <span className="inline-flex px-3 py-1 text-xs font-semibold rounded-full bg-red-100 text-red-800">
+                Cancelled {formatDate(order.cancelled_at)}
+              </span>
+            )}
+          </div>
+
+          <div className="grid grid-cols-3 gap-4 mb-6 text-sm">
+            <div className="p-3 bg-gray-50 rounded-lg">
+              <p className="text-gray-600">Paid</p>
+              <p className="font-semibold text-gray-900">{formatCurrency(order.total_amount)}</p>
+            </div>
+            <div className="p-3 bg-gray-50 rounded-lg">
+              <p className="text-gray-600">Refunded</p>
+              <p className="font-semibold text-gray-900">{formatCurrency(order.refunded_amount)}</p>
+            </div>
+            <div className="p-3 bg-gray-50 rounded-lg">
+              <p className="text-gray-600">Refundable</p>
+              <p className="font-semibold text-gray-900">{formatCurrency(refundablePence / 100)}</p>
+            </div>
+          </div>
+
+          {refunds.length > 0 && (
+            <div className="mb-6 overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500 border-b border-gray-200">
+                    <th className="py-2 pr-4 font-semibold">Credit note</th>
+                    <th className="py-2 pr-4 font-semibold">Date</th>
+                    <th className="py-2 pr-4 font-semibold">Reason</th>
+                    <th className="py-2 pr-4 font-semibold">Status</th>
+                    <th className="py-2 font-semibold text-right">Amount</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {refunds.map(r => (
+                    <tr key={r.id} className="border-b border-gray-100">
+                      <td className="py-2 pr-4 font-medium text-gray-900">{r.credit_note_number}</td>
+                      <td className="py-2 pr-4 text-gray-600">{formatDate(r.created_at)}</td>
+                      <td className="py-2 pr-4 text-gray-600">{r.reason || '—'}</td>
+                      <td className="py-2 pr-4 text-gray-600 capitalize">
+                        {r.status}
+                        {r.credit_note_sent_at && <span className="text-xs text-gray-400"> · emailed</span>}
+                      </td>
+                      <td className="py-2 text-right font-semibold">{formatCurrency(r.amount)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {refundablePence === 0 && order.status === 'cancelled' ? (
+            <div className="p-3 bg-gray-50 rounded-lg text-sm text-gray-600">
+              This order is cancelled and fully refunded.
+            </div>
+          ) : (
+            <div className="p-4 border border-gray-200 rounded-lg">
+              <h3 className="text-sm font-semibold text-gray-700 mb-3">Issue a refund</h3>
+              {refundError && (
+                <p className="mb-3 text-sm text-red-600">{refundError}</p>
+              )}
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mb-3">
+                <label className="text-sm text-gray-700">
+                  <span className="block mb-1">Amount (£, incl. VAT)</span>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={refundAmount}
+                    onChange={(e) => setRefundAmount(e.target.value)}
+                    placeholder={(refundablePence / 100).toFixed(2)}
+                    disabled={refunding || showRefundConfirm}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                  <span className="block mt-1 text-xs text-gray-500">Leave blank to refund the full remaining balance.</span>
+                </label>
+                <label className="text-sm text-gray-700">
+                  <span className="block mb-1">Reason</span>
+                  <input
+                    type="text"
+                    value={refundReason}
+                    onChange={(e) => setRefundReason(e.target.value)}
+                    placeholder="Shown on the customer's credit note"
+                    maxLength={500}
+                    disabled={refunding || showRefundConfirm}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                </label>
+              </div>
+              {order.status !== 'cancelled' && (
+                <label className="flex items-center gap-2 mb-4 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={refundCancel}
+                    onChange={(e) => setRefundCancel(e.target.checked)}
+                    disabled={refunding || showRefundConfirm}
+                    className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                  />
+                  <span>Also cancel order</span>
+                </label>
+              )}
+              {showRefundConfirm ? (
+                <div className="flex items-center flex-wrap gap-3">
+                  <span className="text-sm text-gray-700">
+                    {(() => {
+                      const amount = refundAmount === '' ? refundablePence / 100 : Number(refundAmount);
+                      const parts = [];
+                      if (amount > 0) parts.push(`refund ${formatCurrency(amount)} to the customer's card`);
+                      if (refundCancel) parts.push('cancel the order');
+                      const text = parts.join(' and ');
+                      return `${text.charAt(0).toUpperCase()}${text.slice(1)}? This cannot be undone.`;
+                    })()}
+                  </span>
+                  <button
+                    type="button"
+                    onClick={handleRefund}
+                    disabled={refunding}
+                    className="px-3 py-1.5 bg-red-600 text-white rounded-lg text-sm font-semibold hover:bg-red-700 disabled:opacity-50 flex items-center space-x-1"
+                  >
+                    {refunding ? <Loader className="h-4 w-4 animate-spin" /> : <span>Yes</span>}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setShowRefundConfirm(false)}
+                    disabled={refunding}
+                    className="px-3 py-1.5 border border-gray-300 text-gray-700 rounded-lg text-sm font-semibold hover:bg-gray-100 disabled:opacity-50"
+                  >
+                    No
+                  </button>
+                </div>
+              ) : (
+                <button
+                  type="button"
+                  onClick={openRefundConfirm}
+                  disabled={refundablePence === 0 && (!refundCancel || order.status === 'cancelled')}
+                  className="px-4 py-2 bg-red-600 text-white rounded-lg text-sm font-semibold hover:bg-red-700 disabled:opacity-50"
+                >
+                  {refundCancel ? 'Refund & cancel' : 'Refund'}
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Fulfilment — production, dispatch (carrier + tracking), delivery,
+          and the full status timeline with who made each change. */}
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 mt-6">
+        <div className="flex items-center justify-between mb-6">
+          <h2 className="text-lg font-bold text-gray-900 flex items-center space-x-2">
+            <Truck className="h-5 w-5" />
+            <span>Fulfilment</span>
+          </h2>
+          {order.tracking_number && (
+            <span className="text-sm text-gray-600">
+              {order.carrier} ·{' '}
+              {order.tracking_url ? (
+                <a href={order.tracking_url} target="_blank" rel="noopener noreferrer" className="font-semibold text-blue-600 hover:underline">
+                  {order.tracking_number}
+                </a>
+              ) : (
+                <span className="font-semibold">{order.tracking_number}</span>
+              )}
+            </span>
+          )}
+        </div>
+
+        {(() => {
+          const nextOptions = order.status === 'cancelled' ? [] : nextFulfilmentStatuses(order.status);
+          if (nextOptions.length === 0) {
+            return (
+              <div className="mb-6 p-3 bg-gray-50 rounded-lg text-sm text-gray-600">
+                {order.status === 'cancelled'
+                  ? 'This order is cancelled.'
+                  : 'This order is in its final fulfilment stage.'}
+              </div>
+            );
+          }
+          return (
+            <div className="mb-6 p-4 border border-gray-200 rounded-lg space-y-3">
+              <h3 className="text-sm font-semibold text-gray-700">Update fulfilment</h3>
+              <select
+                value={fulfilmentStatus}
+                onChange={(e) => { setFulfilmentStatus(e.target.value); setFulfilmentError(null); }}
+                className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                <option value="">Select next status…</option>
+                {nextOptions.map(s => (
+                  <option key={s} value={s}>{ORDER_STATUS_LABELS[s]}</option>
+                ))}
+              </select>
+              {fulfilmentStatus === 'dispatched' && (
+                <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+                  <input
+                    type="text"
+                    value={carrier}
+                    onChange={(e) => setCarrier(e.target.value)}
+                    placeholder="Carrier (e.g. DPD)"
+                    className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                  />
+                  <input
+                    type="text"
+                    value={trackingNumber}
+                    onChange={(e) => setTrackingNumber(e.target.value)}
+                    placeholder="Tracking number"
+                    className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                  />
+                  <input
+                    type="url"
+                    value={trackingUrl}
+                    onChange={(e) => setTrackingUrl(e.target.value)}
+                    placeholder="Tracking link (optional)"
+                    className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                  />
+                </div>
+              )}
+              {fulfilmentStatus && (
+                <>
+                  <input
+                    type="text"
+                    value={fulfilmentNote}
+                    onChange={(e) => setFulfilmentNote(e.target.value)}
+                    placeholder="Note for the timeline — the customer sees it (optional)"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                  />
+                  <label className="flex items-center space-x-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={fulfilmentSendEmail}
+                      onChange={(e) => setFulfilmentSendEmail(e.target.checked)}
+                    />
+                    <span>Email the customer</span>
+                  </label>
+                </>
+              )}
+              {fulfilmentError && <p className="text-sm text-red-600">{fulfilmentError}</p>}
+              <button
+                type="button"
+                onClick={handleAdvanceFulfilment}
+                disabled={!fulfilmentStatus || advancingFulfilment}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg text-sm font-semibold hover:bg-blue-700 disabled:opacity-50 flex items-center space-x-1"
+              >
+                {advancingFulfilment ? <Loader className="h-4 w-4 animate-spin" /> : <span>Update status</span>}
+              </button>
+            </div>
+          );
+        })()}
+
+        <h3 className="text-sm font-semibold text-gray-700 mb-3 flex items-center space-x-1">
+          <History className="h-4 w-4" />
+          <span>Status timeline</span>
+        </h3>
+        {statusEvents.length === 0 ? (
+          <p className="text-sm text-gray-500">No status changes recorded yet.</p>
+        ) : (
+          <ol className="space-y-2">
+            {statusEvents.map(ev => (
+              <li key={ev.id} className="text-sm text-gray-700 flex flex-wrap items-baseline gap-x-2">
+                <span className="text-xs text-gray-400">{formatDate(ev.created_at)}</span>
+                <span className="font-semibold">{statusEventLabel(ev)}</span>
+                <span className="text-xs text-gray-500">
+                  by {ev.actor_type === 'staff' && staffNames[ev.actor_id]
+                    ? staffNames[ev.actor_id]
+                    : ACTOR_LABELS[ev.actor_type] || ev.actor_type}
+                </span>
+                {ev.details?.tracking_number && (
+                  <span className="text-xs text-gray-500">· {ev.details.carrier} {ev.details.tracking_number}</span>
+                )}
+                {ev.note && <span className="text-xs italic text-gray-500">· {ev.note}</span>}
+                {ev.email_sent_at ? (
+                  <span className="text-xs text-green-700 flex items-center gap-0.5">
+                    <Mail className="h-3 w-3" /> emailed
+                  </span>
+                ) : ev.actor_type === 'staff' && isEmailedStatusEvent(ev) && (
+                  <button
+                    type="button"
+                    onClick={() => handleResendStatusEmail(ev.id)}
+                    disabled={resentEventId === ev.id}
+                    className="text-xs text-blue-600 hover:underline disabled:text-gray-400 disabled:no-underline"
+                  >
+                    {resentEventId === ev.id ? 'Email requested' : 'Send email'}
+                  </button>
+                )}
+              </li>
+            ))}
+          </ol>
+        )}
+      </div>
+
       {/* Artwork panel — staff-only: uploaded files, status advance, admin notes */}
       <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 mt-6">
         <div className="flex items-center justify-between mb-6">
@@ -573,6 +1228,128 @@ const AdminOrderDetail = ({ user, adminRole }) => {
           );
         })()}
 
+        {/* Proofs — every version and every response, newest version first */}
+        <div className="mb-6 p-4 border border-gray-200 rounded-lg">
+          <h3 className="text-sm font-semibold text-gray-700 mb-3">
+            Proofs {proofs.length > 0 && <span className="text-gray-500 font-normal">({proofs.length})</span>}
+          </h3>
+          {proofError && (
+            <p className="mb-3 text-sm text-red-600">{proofError}</p>
+          )}
+          <div className="space-y-3 mb-4">
+            <input
+              type="file"
+              accept=".pdf,.png,.jpg,.jpeg,.svg,.webp"
+              onChange={(e) => setProofFile(e.target.files?.[0] || null)}
+              disabled={publishingProof}
+              className="block w-full text-sm text-gray-700 file:mr-3 file:px-3 file:py-1.5 file:rounded-lg file:border-0 file:bg-gray-100 file:text-sm file:font-semibold hover:file:bg-gray-200"
+            />
+            <textarea
+              value={proofNotes}
+              onChange={(e) => setProofNotes(e.target.value)}
+              placeholder="Note for the customer (optional) — e.g. what changed since the last version."
+              rows={2}
+              disabled={publishingProof}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+            <div className="flex items-center flex-wrap gap-4">
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={proofSendEmail}
+                  onChange={(e) => setProofSendEmail(e.target.checked)}
+                  disabled={publishingProof}
+                  className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                />
+                <span>Email the customer a review link</span>
+              </label>
+              <button
+                type="button"
+                onClick={handlePublishProof}
+                disabled={!proofFile || publishingProof}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg text-sm font-semibold hover:bg-blue-700 disabled:opacity-50 flex items-center gap-2"
+              >
+                {publishingProof ? <Loader className="h-4 w-4 animate-spin" /> : <Upload className="h-4 w-4" />}
+                <span>Send proof v{(proofs[0]?.version || 0) + 1}</span>
+              </button>
+            </div>
+          </div>
+
+          {proofs.length > 0 && (
+            <div className="space-y-3">
+              {proofs.map(p => (
+                <div key={p.id} className="flex items-start gap-4 p-3 border border-gray-200 rounded-lg">
+                  <div className="flex-shrink-0 w-10 h-10 rounded-md bg-gray-100 flex items-center justify-center text-sm font-bold text-gray-700">
+                    v{p.version}
+                  </div>
+                  <div className="flex-1 min-w-0">
+                    <div className="flex items-center flex-wrap gap-2">
+                      <p className="text-sm font-medium text-gray-900 truncate">{p.file_name}</p>
+                      <span className={`inline-flex px-2 py-0.5 text-xs font-semibold rounded-full ${PROOF_STATUS_CLASSES[p.status] || 'bg-gray-100 text-gray-700'}`}>
+                        {PROOF_STATUS_LABELS[p.status] || p.status}
+                      </span>
+                    </div>
+                    <p className="text-xs text-gray-500 mt-0.5">
+                      Sent {formatDate(p.created_at)}
+                      {p.email_sent_at ? ' · emailed' : ' · not emailed'}
+                      {p.responded_at && ` · answered ${formatDate(p.responded_at)}`}
+                    </p>
+                    {p.staff_notes && <p className="text-xs text-gray-500 mt-1 italic">{p.staff_notes}</p>}
+                    {p.response_comment && (
+                      <p className="text-sm text-gray-800 mt-2 p-2 bg-amber-50 border border-amber-200 rounded">
+                        “{p.response_comment}”
+                      </p>
+                    )}
+                  </div>
+                  <div className="flex-shrink-0 flex items-center gap-2">
+                    {p.status === 'awaiting_response' && !p.email_sent_at && (
+                      <button
+                        type="button"
+                        onClick={() => handleResendProofEmail(p.id)}
+                        className="flex items-center gap-1 px-3 py-2 border border-gray-300 text-gray-700 rounded-lg text-sm font-semibold hover:bg-gray-100"
+                      >
+                        <Mail className="h-4 w-4" />
+                        <span>{resentProofId === p.id ? 'Sending…' : 'Email'}</span>
+                      </button>
+                    )}
+                    <button
+                      type="button"
+                      onClick={() => handleDownload(p)}
+                      disabled={downloadingId === p.id}
+                      className="flex items-center gap-2 px-3 py-2 bg-blue-600 text-white rounded-lg text-sm font-semibold hover:bg-blue-700 disabled:opacity-50"
+                    >
+                      {downloadingId === p.id ? <Loader className="h-4 w-4 animate-spin" /> : <Download className="h-4 w-4" />}
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {proofEvents.length > 0 && (
+            <div className="mt-4">
+              <h4 className="text-xs font-semibold text-gray-500 uppercase tracking-wide mb-2 flex items-center gap-1">
+                <History className="h-3.5 w-3.5" />
+                <span>Proof history</span>
+              </h4>
+              <ol className="space-y-1">
+                {proofEvents.map(ev => {
+                  const version = proofs.find(p => p.id === ev.proof_id)?.version;
+                  return (
+                    <li key={ev.id} className="text-xs text-gray-600">
+                      <span className="text-gray-400">{formatDate(ev.created_at)}</span>
+                      {' — '}
+                      {version && <span className="font-semibold">v{version} </span>}
+                      {PROOF_EVENT_LABELS[ev.event] || ev.event}
+                      {ev.event !== 'uploaded' && ev.comment && <span className="italic"> · {ev.comment}</span>}
+                    </li>
+                  );
+                })}
+              </ol>
+            </div>
+          )}
+        </div>
+
         {/* Uploaded files */}
         <div className="mb-6">
           <h3 className="text-sm font-semibold text-gray-700 mb-3">
@@ -626,6 +1403,16 @@ const AdminOrderDetail = ({ user, adminRole }) => {
                       {differentUploader && (
                         <p className="text-xs text-gray-500 mt-1">Uploaded by user {a.user_id.slice(0, 8)}…</p>
                       )}
+                      {a.preflight && (
+                        <details className="mt-1">
+                          <summary className="cursor-pointer list-none" title="Show print check">
+                            <PreflightReport report={a.preflight} compact />
+                          </summary>
+                          <div className="mt-2">
+                            <PreflightReport report={a.preflight} />
+                          </div>
+                        </details>
+                      )}
                     </div>
 
                     <button
@@ -251,7 +251,9 @@ const AdminOrders = ({ user, adminRole }) => {
       approved: 'bg-indigo-100 text-indigo-800',
       in_production: 'bg-purple-100 text-purple-800',
       shipped: 'bg-cyan-100 text-cyan-800',
+      dispatched: 'bg-cyan-100 text-cyan-800',
       completed: 'bg-green-100 text-green-800',
+      delivered: 'bg-green-100 text-green-800',
       cancelled: 'bg-red-100 text-red-800'
     };
     return classes[status] || 'bg-gray-100 text-gray-800';
@@ -370,8 +372,11 @@ const AdminOrders = ({ user, adminRole }) => {
       'Artwork Status',
       'Payment Status',
       'Subtotal (ex VAT)',
+      'Promo Code',
+      'Discount (ex VAT)',
       'VAT',
       'Total',
+      'Refunded',
       'Size Breakdown',
       'PO Number',
       'Stripe Payment Intent ID',
@@ -402,8 +407,11 @@ const AdminOrders = ({ user, adminRole }) => {
           o.artwork_status,
           o.payment_status,
           o.subtotal,
+          o.promo_code,
+          o.discount_amount,
           o.tax_amount,
           o.total_amount,
+          o.refunded_amount,
           sizeSummary,
           o.po_number,
           o.payment_intent_id,
@@ -529,6 +537,8 @@ const AdminOrders = ({ user, adminRole }) => {
               <option value="confirmed">Confirmed</option>
               <option value="approved">Approved</option>
               <option value="in_production">In Production</option>
+              <option value="dispatched">Dispatched</option>
+              <option value="delivered">Delivered</option>
               <option value="shipped">Shipped</option>
               <option value="completed">Completed</option>
               <option value="cancelled">Cancelled</option>
@@ -724,7 +734,7 @@ const AdminOrders = ({ user, adminRole }) => {
                       </td>
                       <td className="px-6 py-4">
                         <span className="text-xs px-2 py-1 bg-gray-100 text-gray-700 rounded">
-                          {order.payment_status || 'Pending'}
+                          {(order.payment_status || 'Pending').replace(/_/g, ' ')}
                         </span>
                       </td>
                       <td className="px-6 py-4 text-sm font-semibold text-gray-900 text-right">
@@ -0,0 +1,404 @@
+import React, { useState, useEffect } from 'react';
+import { Tag, Plus, Loader, CheckCircle, XCircle } from 'lucide-react';
+import AdminLayout from '../../components/admin/AdminLayout';
+import { supabase } from '../../services/supabaseService';
+
+// Promotions admin. The discount maths lives in the database
+// (promotion_quote_discount, 20261019_promotions.sql); this page only
+// manages the promotions rows. RLS: "Admins manage promotions".
+
+const TYPE_LABELS = {
+  percentage: 'Percentage off',
+  fixed: 'Fixed £ off',
+  free_setup: 'Free setup',
+};
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const EMPTY_FORM = {
+  code: '',
+  description: '',
+  discount_type: 'percentage',
+  amount: '',
+  min_order_value: '',
+  starts_at: '',
+  expires_at: '',
+  max_uses: '',
+  max_uses_per_customer: '',
+  first_order_only: false,
+  products: '',
+  category_slugs: '',
+};
+
+const splitList = (value) =>
+  value.split(/[\s,]+/).map((v) => v.trim()).filter(Boolean);
+
+const numberOrNull = (value) => (value === '' || value == null ? null : Number(value));
+
+// Build the insert payload. "Products" accepts supplier codes and catalogue
+// product ids in one box — ids are recognised by shape.
+const toRow = (form) => {
+  const products = splitList(form.products);
+  return {
+    code: form.code.trim().toUpperCase(),
+    description: form.description.trim() || null,
+    discount_type: form.discount_type,
+    amount: Number(form.amount),
+    min_order_value: numberOrNull(form.min_order_value),
+    starts_at: form.starts_at ? new Date(form.starts_at).toISOString() : null,
+    expires_at: form.expires_at ? new Date(form.expires_at).toISOString() : null,
+    max_uses: numberOrNull(form.max_uses),
+    max_uses_per_customer: numberOrNull(form.max_uses_per_customer),
+    first_order_only: form.first_order_only,
+    product_ids: products.filter((p) => UUID_RE.test(p)),
+    product_codes: products.filter((p) => !UUID_RE.test(p)).map((p) => p.toUpperCase()),
+    category_slugs: splitList(form.category_slugs).map((s) => s.toLowerCase()),
+  };
+};
+
+const validateForm = (form) => {
+  if (!form.code.trim()) return 'Code is required.';
+  if (!/^[A-Za-z0-9_-]+$/.test(form.code.trim())) return 'Code may only contain letters, numbers, - and _.';
+  const amount = Number(form.amount);
+  if (!Number.isFinite(amount) || amount <= 0) return 'Amount must be greater than zero.';
+  if (form.discount_type === 'percentage' && amount > 100) return 'A percentage cannot exceed 100.';
+  if (form.starts_at && form.expires_at && new Date(form.expires_at) <= new Date(form.starts_at)) {
+    return 'Expiry must be after the start date.';
+  }
+  return null;
+};
+
+const AdminPromotions = ({ user, adminRole }) => {
+  const [loading, setLoading] = useState(true);
+  const [promotions, setPromotions] = useState([]);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [formError, setFormError] = useState(null);
+  const [togglingId, setTogglingId] = useState(null);
+
+  useEffect(() => {
+    if (adminRole === 'super_admin') fetchPromotions();
+  }, [adminRole]);
+
+  const fetchPromotions = async () => {
+    try {
+      setLoading(true);
+      const { data, error } = await supabase
+        .from('promotions')
+        .select('*')
+        .order('created_at', { ascending: false });
+      if (error) throw error;
+      setPromotions(data || []);
+    } catch (error) {
+      console.error('[AdminPromotions] Error:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const problem = validateForm(form);
+    if (problem) {
+      setFormError(problem);
+      return;
+    }
+    setSaving(true);
+    setFormError(null);
+    const { error } = await supabase.from('promotions').insert(toRow(form));
+    setSaving(false);
+    if (error) {
+      // 23505 = unique violation on upper(code)
+      setFormError(error.code === '23505' ? 'That code already exists.' : error.message);
+      return;
+    }
+    setShowForm(false);
+    setForm(EMPTY_FORM);
+    fetchPromotions();
+  };
+
+  const toggleActive = async (promo) => {
+    setTogglingId(promo.id);
+    const { error } = await supabase
+      .from('promotions')
+      .update({ active: !promo.active, updated_at: new Date().toISOString() })
+      .eq('id', promo.id);
+    setTogglingId(null);
+    if (error) {
+      alert(`Could not update promotion: ${error.message}`);
+      return;
+    }
+    setPromotions((prev) => prev.map((p) => (p.id === promo.id ? { ...p, active: !p.active } : p)));
+  };
+
+  const formatDate = (dateString) => {
+    if (!dateString) return '—';
+    return new Date(dateString).toLocaleDateString('en-GB', {
+      day: 'numeric',
+      month: 'short',
+      year: 'numeric'
+    });
+  };
+
+  const formatValue = (promo) => {
+    const amount = Number(promo.amount);
+    if (promo.discount_type === 'percentage') return `${amount}%`;
+    if (promo.discount_type === 'free_setup') return `£${amount.toFixed(2)} / position`;
+    return `£${amount.toFixed(2)}`;
+  };
+
+  const formatScope = (promo) => {
+    const parts = [
+      ...(promo.category_slugs || []).map((s) => `cat:${s}`),
+      ...(promo.product_codes || []),
+      ...(promo.product_ids || []).map((id) => `id:${id.slice(0, 8)}`),
+    ];
+    return parts.length ? parts.join(', ') : 'All products';
+  };
+
+  if (adminRole !== 'super_admin') {
+    return (
+      <AdminLayout user={user} adminRole={adminRole} pageTitle="Promotions">
+        <div className="bg-yellow-50 text-yellow-800 p-4 rounded-lg">
+          <p className="font-semibold">Access Denied</p>
+          <p className="text-sm mt-1">Only super admins can manage promotions.</p>
+        </div>
+      </AdminLayout>
+    );
+  }
+
+  const field = (name) => ({
+    value: form[name],
+    onChange: (e) => setForm((prev) => ({ ...prev, [name]: e.target.value })),
+  });
+  const inputClass = 'w-full px-3 py-2 text-sm border border-gray-300 rounded-lg';
+
+  return (
+    <AdminLayout user={user} adminRole={adminRole} pageTitle="Promotions">
+      {/* Header */}
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 mb-6">
+        <div className="flex items-center justify-between">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Promotions</h1>
+            <p className="text-sm text-gray-600 mt-1">
+              Discount codes customers can apply to a quote before paying
+            </p>
+          </div>
+          <button
+            onClick={() => { setShowForm(true); setFormError(null); }}
+            className="flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+          >
+            <Plus className="h-4 w-4" />
+            <span>New Code</span>
+          </button>
+        </div>
+      </div>
+
+      {/* Promotions List */}
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200">
+        {loading ? (
+          <div className="flex items-center justify-center py-12">
+            <Loader className="h-8 w-8 text-blue-600 animate-spin" />
+          </div>
+        ) : promotions.length === 0 ? (
+          <div className="text-center py-12">
+            <p className="text-gray-500">No promotions yet</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead>
+                <tr className="text-left text-sm text-gray-600 border-b border-gray-200 bg-gray-50">
+                  <th className="px-6 py-4 font-semibold">Code</th>
+                  <th className="px-6 py-4 font-semibold">Type</th>
+                  <th className="px-6 py-4 font-semibold">Value</th>
+                  <th className="px-6 py-4 font-semibold">Scope</th>
+                  <th className="px-6 py-4 font-semibold">Valid</th>
+                  <th className="px-6 py-4 font-semibold">Uses</th>
+                  <th className="px-6 py-4 font-semibold">Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {promotions.map((promo) => (
+                  <tr
+                    key={promo.id}
+                    className="border-b border-gray-100 hover:bg-gray-50 transition-colors"
+                  >
+                    <td className="px-6 py-4">
+                      <div className="flex items-center space-x-2 text-sm font-semibold text-gray-900">
+                        <Tag className="h-4 w-4 text-gray-400" />
+                        <span>{promo.code}</span>
+                      </div>
+                      {promo.description && (
+                        <p className="text-xs text-gray-500 mt-1">{promo.description}</p>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-600">
+                      {TYPE_LABELS[promo.discount_type] || promo.discount_type}
+                      {promo.first_order_only && (
+                        <span className="block text-xs text-gray-500">First order only</span>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-900">
+                      {formatValue(promo)}
+                      {promo.min_order_value != null && (
+                        <span className="block text-xs text-gray-500">
+                          Min £{Number(promo.min_order_value).toFixed(2)}
+                        </span>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 text-xs text-gray-600 max-w-xs">{formatScope(promo)}</td>
+                    <td className="px-6 py-4 text-sm text-gray-600">
+                      {formatDate(promo.starts_at)} → {formatDate(promo.expires_at)}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-600">
+                      {promo.uses_count}{promo.max_uses ? ` / ${promo.max_uses}` : ''}
+                      {promo.max_uses_per_customer && (
+                        <span className="block text-xs text-gray-500">
+                          {promo.max_uses_per_customer} per customer
+                        </span>
+                      )}
+                    </td>
+                    <td className="px-6 py-4">
+                      <button
+                        onClick={() => toggleActive(promo)}
+                        disabled={togglingId === promo.id}
+                        className="disabled:opacity-50"
+                        title={promo.active ? 'Deactivate' : 'Activate'}
+                      >
+                        {promo.active ? (
+                          <span className="inline-flex items-center space-x-1 text-green-600 text-sm">
+                            <CheckCircle className="h-4 w-4" />
+                            <span>Active</span>
+                          </span>
+                        ) : (
+                          <span className="inline-flex items-center space-x-1 text-gray-400 text-sm">
+                            <XCircle className="h-4 w-4" />
+                            <span>Inactive</span>
+                          </span>
+                        )}
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* New Code Modal */}
+      {showForm && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+          <form
+            onSubmit={handleCreate}
+            className="bg-white rounded-xl shadow-xl p-6 max-w-lg w-full max-h-[90vh] overflow-y-auto space-y-4"
+          >
+            <h2 className="text-xl font-bold text-gray-900">New Promotion Code</h2>
+
+            <div className="grid grid-cols-2 gap-4">
+              <label className="block text-sm">
+                <span className="text-gray-700 font-medium">Code</span>
+                <input {...field('code')} className={`${inputClass} uppercase mt-1`} placeholder="SHOW2026" />
+              </label>
+              <label className="block text-sm">
+                <span className="text-gray-700 font-medium">Type</span>
+                <select {...field('discount_type')} className={`${inputClass} mt-1`}>
+                  {Object.entries(TYPE_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </label>
+            </div>
+
+            <label className="block text-sm">
+              <span className="text-gray-700 font-medium">Description</span>
+              <input {...field('description')} className={`${inputClass} mt-1`} placeholder="Trade show 10% off" />
+            </label>
+
+            <div className="grid grid-cols-2 gap-4">
+              <label className="block text-sm">
+                <span className="text-gray-700 font-medium">
+                  {form.discount_type === 'percentage'
+                    ? 'Percent off'
+                    : form.discount_type === 'free_setup'
+                      ? 'Setup value per print position (£)'
+                      : 'Amount off (£)'}
+                </span>
+                <input type="number" step="0.01" min="0" {...field('amount')} className={`${inputClass} mt-1`} />
+              </label>
+              <label className="block text-sm">
+                <span className="text-gray-700 font-medium">Minimum order (£ ex VAT)</span>
+                <input type="number" step="0.01" min="0" {...field('min_order_value')} className={`${inputClass} mt-1`} />
+              </label>
+            </div>
+
+            <div className="grid grid-cols-2 gap-4">
+              <label className="block text-sm">
+                <span className="text-gray-700 font-medium">Starts</span>
+                <input type="datetime-local" {...field('starts_at')} className={`${inputClass} mt-1`} />
+              </label>
+              <label className="block text-sm">
+                <span className="text-gray-700 font-medium">Expires</span>
+                <input type="datetime-local" {...field('expires_at')} className={`${inputClass} mt-1`} />
+              </label>
+            </div>
+
+            <div className="grid grid-cols-2 gap-4">
+              <label className="block text-sm">
+                <span className="text-gray-700 font-medium">Total uses</span>
+                <input type="number" min="1" {...field('max_uses')} className={`${inputClass} mt-1`} placeholder="Unlimited" />
+              </label>
+              <label className="block text-sm">
+                <span className="text-gray-700 font-medium">Uses per customer</span>
+                <input type="number" min="1" {...field('max_uses_per_customer')} className={`${inputClass} mt-1`} placeholder="Unlimited" />
+              </label>
+            </div>
+
+            <label className="flex items-center space-x-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={form.first_order_only}
+                onChange={(e) => setForm((prev) => ({ ...prev, first_order_only: e.target.checked }))}
+              />
+              <span>First order only</span>
+            </label>
+
+            <label className="block text-sm">
+              <span className="text-gray-700 font-medium">Limit to products</span>
+              <input {...field('products')} className={`${inputClass} mt-1`} placeholder="Supplier codes or catalogue product ids, comma separated" />
+            </label>
+            <label className="block text-sm">
+              <span className="text-gray-700 font-medium">Limit to categories</span>
+              <input {...field('category_slugs')} className={`${inputClass} mt-1`} placeholder="Category slugs, e.g. water-bottles" />
+              <span className="text-xs text-gray-500">Leave both blank to apply to every product.</span>
+            </label>
+
+            {formError && <p className="text-sm text-red-600">{formError}</p>}
+
+            <div className="flex justify-end space-x-3 pt-2">
+              <button
+                type="button"
+                onClick={() => setShowForm(false)}
+                className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={saving}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 flex items-center space-x-2"
+              >
+                {saving && <Loader className="h-4 w-4 animate-spin" />}
+                <span>Create</span>
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+    </AdminLayout>
+  );
+};
+
+export default AdminPromotions;
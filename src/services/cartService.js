@@ -0,0 +1,167 @@
+// Server-side cart persistence for signed-in customers (20261019_saved_carts.sql).
+//
+// CartContext owns the in-memory cart; this module is the only code that
+// talks to the carts table, the merge_anonymous_cart RPC and the
+// cart-previews bucket. Anonymous carts stay in localStorage (LOCAL_CART_KEY)
+// until sign-in, when they are merged into the account cart the same way
+// migrateSessionDesignsToUser moves anonymous designs.
+//
+// Item prices are a snapshot from the moment of adding; repriceCartItems()
+// re-reads current catalog_pricing_tiers whenever the cart is reopened.
+import { supabase } from './supabaseService';
+import { pickTierForQty } from './quoteService';
+
+export const LOCAL_CART_KEY = 'pgifts_cart';
+export const CART_PREVIEW_BUCKET = 'cart-previews';
+
+const SIGNED_URL_TTL_SECONDS = 60 * 60;
+
+// Only meaningful in this browser session — never written to the carts row.
+const TRANSIENT_FIELDS = ['preview_url', 'repriced_from'];
+
+export const isDataUrl = (value) => typeof value === 'string' && value.startsWith('data:');
+
+/**
+ * The shape written to carts.items: transient fields and base64 previews
+ * removed (previews live in storage as preview_path).
+ */
+export const toStoredItem = (item) => {
+  const stored = { ...item };
+  TRANSIENT_FIELDS.forEach((field) => delete stored[field]);
+  if (isDataUrl(stored.preview_image)) delete stored.preview_image;
+  return stored;
+};
+
+export const readLocalCart = () => {
+  try {
+    const saved = localStorage.getItem(LOCAL_CART_KEY);
+    const parsed = saved ? JSON.parse(saved) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    console.error('[cartService] Error reading local cart:', error);
+    return [];
+  }
+};
+
+/**
+ * Load the signed-in customer's saved cart. No row yet = empty cart.
+ */
+export const loadCart = async (userId) => {
+  const { data, error } = await supabase
+    .from('carts')
+    .select('items')
+    .eq('user_id', userId)
+    .maybeSingle();
+  if (error) throw error;
+  return Array.isArray(data?.items) ? data.items : [];
+};
+
+/**
+ * Replace the saved cart with `items`.
+ */
+export const saveCart = async (userId, items) => {
+  const { error } = await supabase
+    .from('carts')
+    .upsert({
+      user_id: userId,
+      items: items.map(toStoredItem),
+      updated_at: new Date().toISOString(),
+    }, { onConflict: 'user_id' });
+  if (error) throw error;
+};
+
+/**
+ * Append the anonymous (localStorage) cart to the account cart, skipping
+ * item ids already saved. Returns the merged items.
+ */
+export const mergeAnonymousCart = async (items) => {
+  const { data, error } = await supabase.rpc('merge_anonymous_cart', {
+    p_items: items.map(toStoredItem),
+  });
+  if (error) throw error;
+  return Array.isArray(data) ? data : [];
+};
+
+/**
+ * Move base64 previews into the cart-previews bucket ({userId}/{itemId}.png).
+ * Uploaded items get preview_path; the data URL is kept as the transient
+ * preview_url so the cart keeps showing it without a signed URL round trip.
+ * A failed upload leaves the item as it was (the preview is dropped when the
+ * cart is saved, the line itself is not).
+ */
+export const uploadCartPreviews = async (userId, items) =>
+  Promise.all(items.map(async (item) => {
+    if (!isDataUrl(item.preview_image)) return item;
+    try {
+      const blob = await (await fetch(item.preview_image)).blob();
+      const path = `${userId}/${item.id}.png`;
+      const { error } = await supabase.storage
+        .from(CART_PREVIEW_BUCKET)
+        .upload(path, blob, { contentType: blob.type || 'image/png', upsert: true });
+      if (error) throw error;
+      const { preview_image: dataUrl, ...rest } = item;
+      return { ...rest, preview_path: path, preview_url: dataUrl };
+    } catch (error) {
+      console.error('[cartService] Preview upload failed:', item.id, error);
+      return item;
+    }
+  }));
+
+/**
+ * Attach short-lived signed URLs (preview_url) for stored previews.
+ */
+export const signCartPreviews = async (items) => {
+  const paths = items.map((item) => item.preview_path).filter(Boolean);
+  if (paths.length === 0) return items;
+  const { data, error } = await supabase.storage
+    .from(CART_PREVIEW_BUCKET)
+    .createSignedUrls(paths, SIGNED_URL_TTL_SECONDS);
+  if (error) {
+    console.error('[cartService] Signing previews failed:', error);
+    return items;
+  }
+  const urlByPath = new Map((data || []).map((d) => [d.path, d.signedUrl]));
+  return items.map((item) => (
+    item.preview_path && urlByPath.get(item.preview_path)
+      ? { ...item, preview_url: urlByPath.get(item.preview_path) }
+      : item
+  ));
+};
+
+/**
+ * Reprice items against the catalog_pricing_tiers in effect now, at each
+ * item's quantity (product_key = catalog_products.slug). Items whose price
+ * moved get the old figure as the transient repriced_from; items with no
+ * catalogue match or no current tiers keep their price. On a lookup error
+ * the cart is returned unchanged.
+ */
+export const repriceCartItems = async (items) => {
+  const slugs = [...new Set(items.map((item) => item.product_key).filter(Boolean))];
+  if (slugs.length === 0) return items;
+
+  const { data, error } = await supabase
+    .from('catalog_products')
+    .select('slug, catalog_pricing_tiers(min_quantity, price_per_unit, effective_from, effective_to)')
+    .in('slug', slugs);
+  if (error) {
+    console.error('[cartService] Repricing lookup failed:', error);
+    return items;
+  }
+
+  const now = Date.now();
+  const isCurrent = (tier) =>
+    (!tier.effective_from || new Date(tier.effective_from).getTime() <= now)
+    && (!tier.effective_to || new Date(tier.effective_to).getTime() > now);
+  const tiersBySlug = new Map((data || []).map((p) => [
+    p.slug,
+    (p.catalog_pricing_tiers || []).filter(isCurrent),
+  ]));
+
+  return items.map((item) => {
+    const tier = pickTierForQty(tiersBySlug.get(item.product_key), item.quantity);
+    if (!tier) return item;
+    const price = Number(tier.price_per_unit);
+    if (!Number.isFinite(price) || Math.abs(price - Number(item.price || 0)) < 0.005) return item;
+    return { ...item, price, repriced_from: item.price };
+  });
+};
@@ -105,6 +105,34 @@ export function invalidateProductCache(code) {
   }
 }
 
+// Other tabs of the same browser hold their own module cache. AdminCuration
+// runs in one tab while the category page is previewed in another, so
+// curation invalidations are broadcast. Visitors' browsers still pick the
+// change up within PRODUCT_CACHE_TTL_MS.
+const _curationChannel = typeof BroadcastChannel !== 'undefined'
+  ? new BroadcastChannel('product-cache:curation')
+  : null;
+
+if (_curationChannel) {
+  _curationChannel.onmessage = (event) => {
+    if (typeof event.data === 'string') _productCache.delete(`curated:${event.data}`);
+  };
+}
+
+/**
+ * Invalidate the getCuratedCategoryProducts entry for one category, here
+ * and in this browser's other tabs. Called from AdminCuration after every
+ * add / remove / reorder so CategoryPage shows the new curation on its next
+ * render rather than after the 5-minute TTL.
+ *
+ * @param {string} categorySlug
+ */
+export function invalidateCuratedCategoryCache(categorySlug) {
+  if (!categorySlug) return;
+  _productCache.delete(`curated:${categorySlug}`);
+  _curationChannel?.postMessage(categorySlug);
+}
+
 /**
  * Get or initialize Supabase client (uses shared singleton from supabaseService)
  */
@@ -1239,6 +1267,42 @@ export const getSupplierProductsByCodes = async (codes, { includeRetired = false
   }
 };
 
+/**
+ * Search live supplier_products by code or name for customer pickers (bulk
+ * mock-ups). Same lean CARD_COLUMNS as the card surfaces; retired rows never
+ * match (CLAUDE.md §51). Returns RAW rows — the caller normalises.
+ *
+ * @param {string} term - free text; PostgREST filter syntax is stripped
+ * @param {object} [options]
+ * @param {number} [options.limit=24]
+ * @returns {Promise<Array>} raw supplier_products rows (empty array on error/empty term)
+ */
+export const searchSupplierProducts = async (term, { limit = 24 } = {}) => {
+  if (isMockAuth) return [];
+  // Commas, parentheses and wildcards would break out of the .or() filter.
+  const clean = (term || '').replace(/[,()%*\\]/g, ' ').trim();
+  if (!clean) return [];
+
+  try {
+    const client = getSupabaseClient();
+    const { data, error } = await client
+      .from('supplier_products')
+      .select(CARD_COLUMNS)
+      .eq('is_retired', false)
+      .or(`supplier_product_code.ilike.%${clean}%,name.ilike.%${clean}%`)
+      .order('name', { ascending: true })
+      .limit(limit);
+    if (error) {
+      console.error('[searchSupplierProducts] query failed:', error.message);
+      return [];
+    }
+    return data ?? [];
+  } catch (err) {
+    console.error('[searchSupplierProducts] unexpected error:', err);
+    return [];
+  }
+};
+
 /**
  * Fetch the curated Laltex products for a category page, ordered by
  * `category_product_curation.position`.
@@ -1622,6 +1686,15 @@ export const normaliseProduct = (row, supplier) => {
     printDetails: {
       positionGroups: buildPositionGroups(printDetailsArr),
     },
+    // Supplier dielines ({ template, template_type } from parseArtworkTemplates),
+    // de-duplicated by URL. Only the detail read selects this column; list
+    // reads get []. Served via /api/proxy-template — see utils/artworkTemplates.
+    artworkTemplates: (() => {
+      const seen = new Set();
+      return (Array.isArray(row.artwork_templates) ? row.artwork_templates : [])
+        .map((t) => ({ url: t?.template || t?.Template || null, type: t?.template_type || t?.TemplateType || null }))
+        .filter((t) => t.url && !seen.has(t.url) && seen.add(t.url));
+    })(),
     features: [],
     specifications: {},
     designerProduct: null,
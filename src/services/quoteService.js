@@ -12,7 +12,9 @@ const buildClothingRedirect = (productKey, designId) => {
   return `${prefix}/${productKey}?design=${designId}`;
 };
 
-const pickTierForQty = (tiers, qty) => {
+// Highest catalog_pricing_tiers row whose min_quantity <= qty (lowest tier
+// when qty is below every break). Shared with cartService repricing.
+export const pickTierForQty = (tiers, qty) => {
   if (!tiers || tiers.length === 0) return null;
   const sorted = [...tiers].sort((a, b) => a.min_quantity - b.min_quantity);
   let match = sorted[0];
@@ -118,3 +120,114 @@ export const createQuoteFromDesign = async ({ design, user, quantityOverride = n
     quoteNumber: newQuote.quote_number,
   };
 };
+
+/**
+ * Create ONE draft quote holding a line per saved mock-up (bulk mock-ups).
+ * Lines arrive priced by the caller (utils/laltexPricing.laltexUnitPrice) in
+ * the quote_items shape LaltexProductView's Add-to-Quote writes, minus
+ * quote_id.
+ *
+ * @param {object} params
+ * @param {object} params.user
+ * @param {Array<object>} params.lines - quote_items rows without quote_id
+ * @param {string} [params.note] - quotes.notes
+ * @returns {Promise<{ redirect: string, quoteId?: string, quoteNumber?: string, error?: string }>}
+ */
+export const createQuoteFromMockups = async ({ user, lines, note = null }) => {
+  if (!user || !user.id) {
+    return { error: 'Sign-in required to create a quote' };
+  }
+  if (!Array.isArray(lines) || lines.length === 0) {
+    return { error: 'Nothing to quote.' };
+  }
+
+  const quoteNumber = `QT-${Date.now().toString(36).toUpperCase()}`;
+  const initialTotal = +lines.reduce((sum, l) => sum + l.unit_price * l.quantity, 0).toFixed(2);
+  const { data: newQuote, error: quoteError } = await supabase
+    .from('quotes')
+    .insert({
+      quote_number: quoteNumber,
+      customer_id: user.id,
+      status: 'draft',
+      total_amount: initialTotal,
+      notes: note,
+    })
+    .select()
+    .single();
+
+  if (quoteError || !newQuote) {
+    console.error('[quoteService] Failed to create quote:', quoteError);
+    return { error: 'Failed to create quote. Please try again.' };
+  }
+
+  const { error: itemError } = await supabase
+    .from('quote_items')
+    .insert(lines.map((l) => ({ ...l, quote_id: newQuote.id })));
+
+  if (itemError) {
+    console.error('[quoteService] quote_items insert failed:', itemError);
+    // Don't leave an empty draft behind.
+    await supabase.from('quotes').delete().eq('id', newQuote.id);
+    return { error: `Failed to add items to quote: ${itemError.message}` };
+  }
+
+  window.dispatchEvent(new Event('quoteCountChanged'));
+
+  return {
+    redirect: '/account/quotes',
+    quoteId: newQuote.id,
+    quoteNumber: newQuote.quote_number,
+  };
+};
+
+// Customer-facing copy for the reason codes returned by apply_promo_code /
+// promotion_quote_discount (20261019_promotions.sql).
+export const PROMO_ERROR_MESSAGES = {
+  unknown_code: "That code isn't recognised.",
+  inactive: 'That code is no longer active.',
+  not_started: "That code isn't valid yet.",
+  expired: 'That code has expired.',
+  usage_limit: 'That code has reached its usage limit.',
+  customer_limit: "You've already used that code.",
+  first_order_only: 'That code is for first orders only.',
+  min_order_value: "This quote doesn't meet the code's minimum order value.",
+  not_eligible: "That code doesn't apply to the products on this quote.",
+  quote_paid: 'This quote has already been paid.',
+  not_found: 'Quote not found.',
+};
+
+/**
+ * Apply a promotion code to one of the signed-in customer's unpaid quotes.
+ * The discount is computed and stored by the database (recompute_quote_total
+ * keeps it current as items change), so callers should re-fetch the quote.
+ *
+ * @returns {Promise<{ ok: boolean, code?: string, discountAmount?: number, error?: string }>}
+ */
+export const applyPromoCode = async (quoteId, code) => {
+  const trimmed = (code || '').trim();
+  if (!trimmed) return { ok: false, error: 'Enter a promo code.' };
+
+  const { data, error } = await supabase.rpc('apply_promo_code', {
+    p_quote_id: quoteId,
+    p_code: trimmed,
+  });
+
+  if (error) {
+    console.error('[quoteService] apply_promo_code failed:', error);
+    return { ok: false, error: 'Could not apply the code. Please try again.' };
+  }
+  if (!data?.ok) {
+    return { ok: false, error: PROMO_ERROR_MESSAGES[data?.error] || 'That code cannot be used.' };
+  }
+  return { ok: true, code: data.code, discountAmount: Number(data.discount_amount) || 0 };
+};
+
+/** Remove the promotion code from a customer's unpaid quote. */
+export const removePromoCode = async (quoteId) => {
+  const { data, error } = await supabase.rpc('remove_promo_code', { p_quote_id: quoteId });
+  if (error || !data?.ok) {
+    console.error('[quoteService] remove_promo_code failed:', error || data);
+    return { ok: false, error: 'Could not remove the code. Please try again.' };
+  }
+  return { ok: true };
+};
@@ -11,6 +11,13 @@
 
 import { createClient } from '@supabase/supabase-js';
 import { supabaseConfig, isMockAuth } from '../config/supabase';
+import {
+  BRAND_ASSET_BUCKET,
+  BRAND_LOGO_TYPES,
+  createTransparentVariant,
+  blobToDataURL,
+} from '../utils/brandAssets';
+import { MAX_FILE_SIZE } from '../utils/fileValidation';
 
 // Initialize Supabase client - singleton pattern
 let supabaseClient = null;
@@ -2803,8 +2810,10 @@ export async function copyColorsFromProduct(sourceProductId, targetProductId) {
  * Upload artwork file for an order.
  * Stores file in order-artwork/{userId}/{orderId}/{filename},
  * inserts a row into order_artwork, and updates orders.artwork_status.
+ * `preflight` is the fileValidation.preflightArtwork() report, stored on
+ * order_artwork.preflight for staff.
  */
-export async function uploadOrderArtwork(orderId, userId, file, notes = null) {
+export async function uploadOrderArtwork(orderId, userId, file, notes = null, preflight = null) {
   if (isMockAuth) return { data: null, error: new Error('Mock auth mode') };
   try {
     const client = getSupabaseClient();
@@ -2839,6 +2848,7 @@ export async function uploadOrderArtwork(orderId, userId, file, notes = null) {
         file_size: file.size,
         status: 'uploaded',
         notes,
+        ...(preflight ? { preflight } : {}),
       })
       .select()
       .single();
@@ -2893,6 +2903,36 @@ export async function uploadOrderArtwork(orderId, userId, file, notes = null) {
   }
 }
 
+/**
+ * Print positions on an order, for sizing artwork preflight: one entry per
+ * order_items.print_areas selection that names an area, e.g.
+ * { product_name, position: 'Front', area: '90x90mm' }.
+ */
+export async function getOrderPrintTargets(orderId) {
+  if (isMockAuth) return { data: [], error: null };
+  try {
+    const client = getSupabaseClient();
+    const { data, error } = await client
+      .from('order_items')
+      .select('product_name, print_areas')
+      .eq('order_id', orderId);
+
+    if (error) throw error;
+    const targets = [];
+    (data || []).forEach((item) => {
+      const selections = Array.isArray(item.print_areas?.selections) ? item.print_areas.selections : [];
+      selections.forEach((s) => {
+        if (!s?.area) return;
+        targets.push({ product_name: item.product_name, position: s.position || null, area: s.area });
+      });
+    });
+    return { data: targets, error: null };
+  } catch (err) {
+    console.error('[getOrderPrintTargets] Error:', err);
+    return { data: [], error: err };
+  }
+}
+
 /**
  * Fetch all artwork rows for a given order.
  */
@@ -3035,6 +3075,737 @@ export async function downloadArtworkFile(filePathOrUrl, suggestedFileName = 'ar
   }
 }
 
+// =====================================================
+// Artwork Proof Operations
+// =====================================================
+
+// Customer-facing messages for respond_to_artwork_proof error codes.
+export const PROOF_ERROR_MESSAGES = {
+  not_found: 'This proof could not be found.',
+  not_awaiting_response: 'This proof has already been answered or replaced by a newer version.',
+  comment_required: 'Please tell us what needs to change.',
+  delivery_incomplete: 'Please complete your delivery details before approving — we need them to ship your order.',
+};
+
+/**
+ * Staff: upload a proof file and publish it as the order's next proof
+ * version. Stored in order-artwork/{customerId}/{orderId}/proofs/{filename}
+ * so the customer's own storage read policy covers it. publish_artwork_proof
+ * supersedes the previous outstanding version, writes the audit row and
+ * moves the order to proof_sent. When sendEmail is true the customer is
+ * emailed a review link (fire-and-forget; the proof is published regardless).
+ */
+export async function publishArtworkProof(order, file, { notes = null, sendEmail = true } = {}) {
+  if (isMockAuth) return { data: null, error: new Error('Mock auth mode') };
+  try {
+    const client = getSupabaseClient();
+
+    const safeName = `${Date.now()}_${file.name.replace(/[^a-zA-Z0-9._-]/g, '_')}`;
+    const storagePath = `${order.customer_id}/${order.id}/proofs/${safeName}`;
+
+    const { error: storageError } = await client.storage
+      .from('order-artwork')
+      .upload(storagePath, file, { upsert: false, contentType: file.type });
+    if (storageError) throw storageError;
+
+    const { data: proofId, error: rpcError } = await client.rpc('publish_artwork_proof', {
+      p_order_id: order.id,
+      p_file_name: file.name,
+      p_file_url: storagePath,
+      p_file_type: file.type || null,
+      p_file_size: file.size,
+      p_staff_notes: notes,
+    });
+    if (rpcError) {
+      // Don't leave an orphan file behind a failed publish.
+      await client.storage.from('order-artwork').remove([storagePath]);
+      throw rpcError;
+    }
+
+    if (sendEmail) sendProofEmail(proofId);
+
+    console.log('[publishArtworkProof] ✅ Published proof', proofId);
+    return { data: { id: proofId }, error: null };
+  } catch (err) {
+    console.error('[publishArtworkProof] Error:', err);
+    return { data: null, error: err };
+  }
+}
+
+/**
+ * Staff: (re)send the proof review email. Fire-and-forget — the Edge
+ * Function is idempotent per proof version and never fails the caller.
+ */
+export async function sendProofEmail(proofId) {
+  try {
+    const client = getSupabaseClient();
+    const { data: { session } } = await client.auth.getSession();
+    const functionsUrl = import.meta.env.VITE_SUPABASE_FUNCTIONS_URL
+      || `${supabaseConfig.url}/functions/v1`;
+    fetch(`${functionsUrl}/send-proof-email`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${session?.access_token}`,
+      },
+      body: JSON.stringify({ proof_id: proofId }),
+    }).catch(err => console.error('[proof-email] Fire failed:', err));
+  } catch (err) {
+    console.error('[proof-email] Setup failed:', err);
+  }
+}
+
+/**
+ * Fetch every proof version (newest first) and the full audit trail (oldest
+ * first) for an order. RLS scopes this to the owner or staff.
+ */
+export async function getArtworkProofs(orderId) {
+  if (isMockAuth) return { data: { proofs: [], events: [] }, error: null };
+  try {
+    const client = getSupabaseClient();
+    const [proofsRes, eventsRes] = await Promise.all([
+      client
+        .from('artwork_proofs')
+        .select('*')
+        .eq('order_id', orderId)
+        .order('version', { ascending: false }),
+      client
+        .from('artwork_proof_events')
+        .select('*')
+        .eq('order_id', orderId)
+        .order('created_at', { ascending: true }),
+    ]);
+    if (proofsRes.error) throw proofsRes.error;
+    if (eventsRes.error) throw eventsRes.error;
+    return { data: { proofs: proofsRes.data || [], events: eventsRes.data || [] }, error: null };
+  } catch (err) {
+    console.error('[getArtworkProofs] Error:', err);
+    return { data: { proofs: [], events: [] }, error: err };
+  }
+}
+
+/**
+ * Customer: approve a proof or request changes. Approval advances the order
+ * to artwork_status 'approved'; a change request sends it back to
+ * 'in_review'. Returns { ok, error } with a display-ready error message.
+ */
+export async function respondToArtworkProof(proofId, decision, comment = null) {
+  if (isMockAuth) return { ok: false, error: 'Mock auth mode' };
+  const client = getSupabaseClient();
+  const { data, error } = await client.rpc('respond_to_artwork_proof', {
+    p_proof_id: proofId,
+    p_decision: decision,
+    p_comment: comment,
+  });
+  if (error) {
+    console.error('[respondToArtworkProof] Error:', error);
+    return { ok: false, error: 'Could not save your response. Please try again.' };
+  }
+  if (!data?.ok) {
+    return { ok: false, error: PROOF_ERROR_MESSAGES[data?.error] || 'Could not save your response.' };
+  }
+  return { ok: true };
+}
+
+// =====================================================
+// Order Status Operations
+// =====================================================
+
+/**
+ * Staff: move an order forward on `status` (fulfilment) or `artwork_status`
+ * via advance_order_status. Dispatch needs carrier + trackingNumber. The
+ * orders trigger writes the timeline row; when sendEmail is true the
+ * customer is emailed about it (fire-and-forget — transitions without an
+ * email template are skipped by the Edge Function).
+ */
+export async function advanceOrderStatus(orderId, field, status, {
+  note = null,
+  carrier = null,
+  trackingNumber = null,
+  trackingUrl = null,
+  sendEmail = true,
+} = {}) {
+  if (isMockAuth) return { data: null, error: new Error('Mock auth mode') };
+  try {
+    const client = getSupabaseClient();
+    const { data: eventId, error } = await client.rpc('advance_order_status', {
+      p_order_id: orderId,
+      p_field: field,
+      p_status: status,
+      p_note: note,
+      p_carrier: carrier,
+      p_tracking_number: trackingNumber,
+      p_tracking_url: trackingUrl,
+    });
+    if (error) throw error;
+
+    if (sendEmail && eventId) sendOrderStatusEmail(eventId);
+
+    return { data: { eventId }, error: null };
+  } catch (err) {
+    console.error('[advanceOrderStatus] Error:', err);
+    return { data: null, error: err };
+  }
+}
+
+/**
+ * Staff: (re)send the customer email for one status change. Fire-and-forget
+ * — the Edge Function is idempotent per event and never fails the caller.
+ */
+export async function sendOrderStatusEmail(eventId) {
+  try {
+    const client = getSupabaseClient();
+    const { data: { session } } = await client.auth.getSession();
+    const functionsUrl = import.meta.env.VITE_SUPABASE_FUNCTIONS_URL
+      || `${supabaseConfig.url}/functions/v1`;
+    fetch(`${functionsUrl}/send-order-status-email`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${session?.access_token}`,
+      },
+      body: JSON.stringify({ event_id: eventId }),
+    }).catch(err => console.error('[status-email] Fire failed:', err));
+  } catch (err) {
+    console.error('[status-email] Setup failed:', err);
+  }
+}
+
+/**
+ * Fetch an order's status timeline (oldest first). RLS scopes this to the
+ * owner or staff.
+ */
+export async function getOrderStatusEvents(orderId) {
+  if (isMockAuth) return { data: [], error: null };
+  try {
+    const client = getSupabaseClient();
+    const { data, error } = await client
+      .from('order_status_events')
+      .select('*')
+      .eq('order_id', orderId)
+      .order('created_at', { ascending: true });
+    if (error) throw error;
+    return { data: data || [], error: null };
+  } catch (err) {
+    console.error('[getOrderStatusEvents] Error:', err);
+    return { data: [], error: err };
+  }
+}
+
+// =====================================================
+// Address Book Operations
+// =====================================================
+
+/**
+ * Fetch a customer's saved addresses (customer_addresses), defaults first.
+ * Pass kind 'delivery' or 'billing' to narrow. RLS scopes this to the owner
+ * or staff.
+ */
+export async function getCustomerAddresses(customerId, kind = null) {
+  if (isMockAuth) return { data: [], error: null };
+  try {
+    const client = getSupabaseClient();
+    let query = client
+      .from('customer_addresses')
+      .select('*')
+      .eq('customer_id', customerId)
+      .order('is_default', { ascending: false })
+      .order('label', { ascending: true });
+    if (kind) query = query.eq('kind', kind);
+    const { data, error } = await query;
+    if (error) throw error;
+    return { data: data || [], error: null };
+  } catch (err) {
+    console.error('[getCustomerAddresses] Error:', err);
+    return { data: [], error: err };
+  }
+}
+
+/**
+ * Create (no id) or update a saved address. `address` is shipping_address
+ * shaped; validate it with lib/deliveryValidation validateAddress first.
+ * The write always clears is_default; isDefault then sets it again via
+ * set_default_customer_address, so the one-default index never sees two —
+ * including when a default address is edited into the other kind.
+ */
+export async function saveCustomerAddress(customerId, { id = null, label, kind, address, isDefault = false }) {
+  if (isMockAuth) return { data: null, error: new Error('Mock auth mode') };
+  try {
+    const client = getSupabaseClient();
+    const row = {
+      label: label.trim(),
+      kind,
+      address,
+      // Clearing the flag is safe directly; setting it goes through the RPC.
+      is_default: false,
+      updated_at: new Date().toISOString(),
+    };
+    const { data, error } = id
+      ? await client.from('customer_addresses').update(row).eq('id', id).select().single()
+      : await client.from('customer_addresses').insert({ ...row, customer_id: customerId }).select().single();
+    if (error) throw error;
+
+    if (isDefault) {
+      const { error: defaultError } = await client.rpc('set_default_customer_address', {
+        p_address_id: data.id,
+      });
+      if (defaultError) throw defaultError;
+      return { data: { ...data, is_default: true }, error: null };
+    }
+    return { data, error: null };
+  } catch (err) {
+    console.error('[saveCustomerAddress] Error:', err);
+    return { data: null, error: err };
+  }
+}
+
+/** Make one saved address the default for its kind. */
+export async function setDefaultCustomerAddress(addressId) {
+  if (isMockAuth) return { data: null, error: new Error('Mock auth mode') };
+  try {
+    const client = getSupabaseClient();
+    const { data, error } = await client.rpc('set_default_customer_address', {
+      p_address_id: addressId,
+    });
+    if (error) throw error;
+    return { data, error: null };
+  } catch (err) {
+    console.error('[setDefaultCustomerAddress] Error:', err);
+    return { data: null, error: err };
+  }
+}
+
+/** Delete a saved address. Quotes and orders keep their own snapshots. */
+export async function deleteCustomerAddress(addressId) {
+  if (isMockAuth) return { data: null, error: new Error('Mock auth mode') };
+  try {
+    const client = getSupabaseClient();
+    const { error } = await client.from('customer_addresses').delete().eq('id', addressId);
+    if (error) throw error;
+    return { data: true, error: null };
+  } catch (err) {
+    console.error('[deleteCustomerAddress] Error:', err);
+    return { data: null, error: err };
+  }
+}
+
+// =====================================================
+// Account Settings Operations
+// =====================================================
+
+/**
+ * The customer's email preferences (reminder_preferences,
+ * 20261019_customer_privacy.sql) as { reminders, orderUpdates, marketing }.
+ * No row yet = the defaults: reminders and order updates on, marketing off.
+ */
+export async function getEmailPreferences(userId) {
+  const defaults = { reminders: true, orderUpdates: true, marketing: false };
+  if (isMockAuth) return { data: defaults, error: null };
+  try {
+    const client = getSupabaseClient();
+    const { data, error } = await client
+      .from('reminder_preferences')
+      .select('opted_out_at, order_updates, marketing_opt_in')
+      .eq('user_id', userId)
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) return { data: defaults, error: null };
+    return {
+      data: {
+        reminders: !data.opted_out_at,
+        orderUpdates: data.order_updates,
+        marketing: data.marketing_opt_in,
+      },
+      error: null,
+    };
+  } catch (err) {
+    console.error('[getEmailPreferences] Error:', err);
+    return { data: defaults, error: err };
+  }
+}
+
+/** Save the signed-in customer's email preferences via set_email_preferences. */
+export async function saveEmailPreferences({ reminders, orderUpdates, marketing }) {
+  if (isMockAuth) return { data: null, error: new Error('Mock auth mode') };
+  try {
+    const client = getSupabaseClient();
+    const { data, error } = await client.rpc('set_email_preferences', {
+      p_reminders: reminders,
+      p_order_updates: orderUpdates,
+      p_marketing: marketing,
+    });
+    if (error) throw error;
+    return { data, error: null };
+  } catch (err) {
+    console.error('[saveEmailPreferences] Error:', err);
+    return { data: null, error: err };
+  }
+}
+
+// =====================================================
+// Company Account Operations
+// =====================================================
+
+/**
+ * The signed-in user's company (20261019_company_accounts.sql):
+ * { company, role, members } or null when they are not in one. members come
+ * from get_company_members (name + email across accounts).
+ */
+export async function getMyCompany(userId) {
+  if (isMockAuth) return { data: null, error: null };
+  try {
+    const client = getSupabaseClient();
+    const { data: membership, error } = await client
+      .from('company_members')
+      .select('role, companies (id, name, created_at)')
+      .eq('user_id', userId)
+      .maybeSingle();
+    if (error) throw error;
+    if (!membership) return { data: null, error: null };
+
+    const { data: members, error: membersError } = await client.rpc('get_company_members');
+    if (membersError) throw membersError;
+
+    return {
+      data: { company: membership.companies, role: membership.role, members: members || [] },
+      error: null,
+    };
+  } catch (err) {
+    console.error('[getMyCompany] Error:', err);
+    return { data: null, error: err };
+  }
+}
+
+/** Create a company; the caller becomes its first approver. */
+export async function createCompany(name) {
+  if (isMockAuth) return { data: null, error: new Error('Mock auth mode') };
+  try {
+    const client = getSupabaseClient();
+    const { data, error } = await client.rpc('create_company', { p_name: name });
+    if (error) throw error;
+    return { data, error: null };
+  } catch (err) {
+    console.error('[createCompany] Error:', err);
+    return { data: null, error: err };
+  }
+}
+
+/** Approver: open invitations for the caller's company, newest first. */
+export async function getCompanyInvitations() {
+  if (isMockAuth) return { data: [], error: null };
+  try {
+    const client = getSupabaseClient();
+    const { data, error } = await client
+      .from('company_invitations')
+      .select('id, email, role, created_at, expires_at, email_sent_at')
+      .is('accepted_at', null)
+      .is('revoked_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .order('created_at', { ascending: false });
+    if (error) throw error;
+    return { data: data || [], error: null };
+  } catch (err) {
+    console.error('[getCompanyInvitations] Error:', err);
+    return { data: [], error: err };
+  }
+}
+
+/**
+ * Approver: invite someone by email with a role, then email them
+ * (fire-and-forget — the invitation exists either way and can be resent).
+ */
+export async function inviteCompanyMember(email, role) {
+  if (isMockAuth) return { data: null, error: new Error('Mock auth mode') };
+  try {
+    const client = getSupabaseClient();
+    const { data: invitationId, error } = await client.rpc('invite_company_member', {
+      p_email: email,
+      p_role: role,
+    });
+    if (error) throw error;
+    sendCompanyInviteEmail(invitationId);
+    return { data: { invitationId }, error: null };
+  } catch (err) {
+    console.error('[inviteCompanyMember] Error:', err);
+    return { data: null, error: err };
+  }
+}
+
+/** Approver: (re)send an invitation email. Fire-and-forget. */
+export async function sendCompanyInviteEmail(invitationId, { resend = false } = {}) {
+  try {
+    const client = getSupabaseClient();
+    const { data: { session } } = await client.auth.getSession();
+    const functionsUrl = import.meta.env.VITE_SUPABASE_FUNCTIONS_URL
+      || `${supabaseConfig.url}/functions/v1`;
+    fetch(`${functionsUrl}/send-company-invite-email`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${session?.access_token}`,
+      },
+      body: JSON.stringify({ invitation_id: invitationId, resend }),
+    }).catch(err => console.error('[company-invite-email] Fire failed:', err));
+  } catch (err) {
+    console.error('[company-invite-email] Setup failed:', err);
+  }
+}
+
+/** Approver: withdraw an open invitation. */
+export async function revokeCompanyInvitation(invitationId) {
+  if (isMockAuth) return { data: null, error: new Error('Mock auth mode') };
+  try {
+    const client = getSupabaseClient();
+    const { data, error } = await client.rpc('revoke_company_invitation', { p_invitation_id: invitationId });
+    if (error) throw error;
+    return { data, error: null };
+  } catch (err) {
+    console.error('[revokeCompanyInvitation] Error:', err);
+    return { data: null, error: err };
+  }
+}
+
+/** Accept an invitation with the token from the email. Returns the company id. */
+export async function acceptCompanyInvitation(token) {
+  if (isMockAuth) return { data: null, error: new Error('Mock auth mode') };
+  try {
+    const client = getSupabaseClient();
+    const { data, error } = await client.rpc('accept_company_invitation', { p_token: token });
+    if (error) throw error;
+    return { data, error: null };
+  } catch (err) {
+    console.error('[acceptCompanyInvitation] Error:', err);
+    return { data: null, error: err };
+  }
+}
+
+/** Approver: change a member's role ('approver' | 'buyer' | 'viewer'). */
+export async function setCompanyMemberRole(userId, role) {
+  if (isMockAuth) return { data: null, error: new Error('Mock auth mode') };
+  try {
+    const client = getSupabaseClient();
+    const { error } = await client.rpc('set_company_member_role', { p_user_id: userId, p_role: role });
+    if (error) throw error;
+    return { data: true, error: null };
+  } catch (err) {
+    console.error('[setCompanyMemberRole] Error:', err);
+    return { data: null, error: err };
+  }
+}
+
+/** Approver removes a member, or a member removes themselves (leave). */
+export async function removeCompanyMember(userId) {
+  if (isMockAuth) return { data: null, error: new Error('Mock auth mode') };
+  try {
+    const client = getSupabaseClient();
+    const { error } = await client.rpc('remove_company_member', { p_user_id: userId });
+    if (error) throw error;
+    return { data: true, error: null };
+  } catch (err) {
+    console.error('[removeCompanyMember] Error:', err);
+    return { data: null, error: err };
+  }
+}
+
+/** Quote owner: ask an approver to sign the quote off. */
+export async function submitQuoteForApproval(quoteId, note = null) {
+  if (isMockAuth) return { data: null, error: new Error('Mock auth mode') };
+  try {
+    const client = getSupabaseClient();
+    const { error } = await client.rpc('submit_quote_for_approval', { p_quote_id: quoteId, p_note: note });
+    if (error) throw error;
+    return { data: true, error: null };
+  } catch (err) {
+    console.error('[submitQuoteForApproval] Error:', err);
+    return { data: null, error: err };
+  }
+}
+
+/** Approver: 'approved' or 'rejected' (with an optional note for the buyer). */
+export async function decideQuoteApproval(quoteId, decision, note = null) {
+  if (isMockAuth) return { data: null, error: new Error('Mock auth mode') };
+  try {
+    const client = getSupabaseClient();
+    const { error } = await client.rpc('decide_quote_approval', {
+      p_quote_id: quoteId,
+      p_decision: decision,
+      p_note: note,
+    });
+    if (error) throw error;
+    return { data: true, error: null };
+  } catch (err) {
+    console.error('[decideQuoteApproval] Error:', err);
+    return { data: null, error: err };
+  }
+}
+
+// =====================================================
+// Brand Kit Operations
+// =====================================================
+
+// Signed preview URLs for the brand kit panel. Placement downloads the file
+// instead (loadBrandLogoDataURL), so nothing saved depends on these.
+const BRAND_PREVIEW_TTL_SECONDS = 60 * 60;
+
+/**
+ * The caller's brand kit (20261019_brand_assets.sql): their own assets plus
+ * their company's, oldest first. Logos gain previewUrl (transparent variant
+ * when there is one).
+ */
+export async function getBrandAssets() {
+  if (isMockAuth) return { data: [], error: null };
+  try {
+    const client = getSupabaseClient();
+    const { data, error } = await client
+      .from('brand_assets')
+      .select('*')
+      .order('created_at', { ascending: true });
+    if (error) throw error;
+
+    const rows = data || [];
+    const paths = rows
+      .filter((a) => a.kind === 'logo')
+      .map((a) => a.transparent_path || a.file_path);
+    if (paths.length) {
+      const { data: signed, error: signError } = await client.storage
+        .from(BRAND_ASSET_BUCKET)
+        .createSignedUrls(paths, BRAND_PREVIEW_TTL_SECONDS);
+      if (signError) console.error('[getBrandAssets] preview signing failed:', signError);
+      const urlByPath = new Map((signed || []).map((s) => [s.path, s.signedUrl]));
+      rows.forEach((a) => {
+        if (a.kind === 'logo') a.previewUrl = urlByPath.get(a.transparent_path || a.file_path) || null;
+      });
+    }
+    return { data: rows, error: null };
+  } catch (err) {
+    console.error('[getBrandAssets] Error:', err);
+    return { data: [], error: err };
+  }
+}
+
+/**
+ * Upload a logo plus its transparent-background variant and add it to the kit.
+ * The variant is skipped when the logo is already transparent (SVGs are
+ * stored as-is).
+ */
+export async function addBrandLogo(userId, file, name) {
+  if (isMockAuth) return { data: null, error: new Error('Mock auth mode') };
+  const ext = BRAND_LOGO_TYPES[file?.type];
+  if (!ext) return { data: null, error: new Error('Logos must be PNG, JPEG, WebP or SVG files.') };
+  if (file.size > MAX_FILE_SIZE) {
+    return { data: null, error: new Error(`Logos must be under ${MAX_FILE_SIZE / (1024 * 1024)}MB.`) };
+  }
+  const client = getSupabaseClient();
+  const id = crypto.randomUUID();
+  const filePath = `${userId}/${id}.${ext}`;
+  const uploaded = [];
+  try {
+    const { width, height, transparent } = ext === 'svg'
+      ? { width: null, height: null, transparent: null }
+      : await createTransparentVariant(file);
+
+    const { error: uploadError } = await client.storage
+      .from(BRAND_ASSET_BUCKET)
+      .upload(filePath, file, { contentType: file.type });
+    if (uploadError) throw uploadError;
+    uploaded.push(filePath);
+
+    let transparentPath = null;
+    if (transparent) {
+      transparentPath = `${userId}/${id}-transparent.png`;
+      const { error: variantError } = await client.storage
+        .from(BRAND_ASSET_BUCKET)
+        .upload(transparentPath, transparent, { contentType: 'image/png' });
+      if (variantError) throw variantError;
+      uploaded.push(transparentPath);
+    }
+
+    const { data, error } = await client
+      .from('brand_assets')
+      .insert({
+        id,
+        user_id: userId,
+        kind: 'logo',
+        name: (name || file.name.replace(/\.[^.]+$/, '')).trim() || 'Logo',
+        file_path: filePath,
+        transparent_path: transparentPath,
+        width,
+        height,
+      })
+      .select()
+      .single();
+    if (error) throw error;
+    return { data, error: null };
+  } catch (err) {
+    console.error('[addBrandLogo] Error:', err);
+    if (uploaded.length) client.storage.from(BRAND_ASSET_BUCKET).remove(uploaded);
+    return { data: null, error: err };
+  }
+}
+
+/** Add a brand colour ('#rrggbb') or preferred font to the kit. */
+export async function addBrandSwatch(userId, kind, name, value) {
+  if (isMockAuth) return { data: null, error: new Error('Mock auth mode') };
+  try {
+    const client = getSupabaseClient();
+    const { data, error } = await client
+      .from('brand_assets')
+      .insert({
+        user_id: userId,
+        kind,
+        name: name.trim(),
+        value: kind === 'colour' ? value.toLowerCase() : value,
+      })
+      .select()
+      .single();
+    if (error) throw error;
+    return { data, error: null };
+  } catch (err) {
+    console.error('[addBrandSwatch] Error:', err);
+    return { data: null, error: err };
+  }
+}
+
+/**
+ * Remove an asset. Files go first: the company-approver storage policy
+ * checks the row that references them.
+ */
+export async function deleteBrandAsset(asset) {
+  if (isMockAuth) return { data: null, error: new Error('Mock auth mode') };
+  try {
+    const client = getSupabaseClient();
+    const paths = [asset.file_path, asset.transparent_path].filter(Boolean);
+    if (paths.length) {
+      const { error: removeError } = await client.storage.from(BRAND_ASSET_BUCKET).remove(paths);
+      if (removeError) console.error('[deleteBrandAsset] file removal failed (continuing):', removeError);
+    }
+    const { error } = await client.from('brand_assets').delete().eq('id', asset.id);
+    if (error) throw error;
+    return { data: true, error: null };
+  } catch (err) {
+    console.error('[deleteBrandAsset] Error:', err);
+    return { data: null, error: err };
+  }
+}
+
+/**
+ * A logo as a data URL, ready for fabric.Image.fromURL. Embedding it (like
+ * handleImageUpload does) keeps saved designs independent of the bucket.
+ */
+export async function loadBrandLogoDataURL(asset, { transparent = true } = {}) {
+  if (isMockAuth) return { data: null, error: new Error('Mock auth mode') };
+  try {
+    const client = getSupabaseClient();
+    const path = (transparent && asset.transparent_path) || asset.file_path;
+    const { data: blob, error } = await client.storage.from(BRAND_ASSET_BUCKET).download(path);
+    if (error) throw error;
+    return { data: await blobToDataURL(blob), error: null };
+  } catch (err) {
+    console.error('[loadBrandLogoDataURL] Error:', err);
+    return { data: null, error: err };
+  }
+}
+
 export default {
   // Admin
   isUserAdmin,
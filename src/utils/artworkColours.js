@@ -0,0 +1,170 @@
+/**
+ * Spot-colour counting for customer artwork (DesignerV2).
+ *
+ * WHY THIS EXISTS
+ * ---------------
+ * Laltex print prices are keyed on num_colours, and screen print adds a white
+ * base per position (screenPrintBase.js). The customer used to guess the count.
+ * DesignerV2 now renders the active position's artwork (user objects only, no
+ * product photo) and runs it through countSpotColours(); the result pre-fills
+ * the position's colour count and travels with the saved design to the quote.
+ *
+ * HOW
+ * ---
+ *   1. Skip pixels that are not (nearly) opaque. Text and logo edges against
+ *      the transparent background are anti-aliased into partial alpha, so this
+ *      removes most edge noise before any counting happens.
+ *   2. Quantise each channel to QUANT_LEVELS levels and histogram the buckets.
+ *   3. Drop buckets below MIN_BUCKET_SHARE of the opaque pixels — the blended
+ *      edge between two opaque colours (red text on a white box) lands in a
+ *      scatter of tiny buckets.
+ *   4. Merge surviving buckets closer than MERGE_DISTANCE (RGB) into the larger
+ *      one, largest first — JPEG noise and soft shading of one ink.
+ *   5. Fold small clusters lying on the line between two larger ones into the
+ *      nearer of the two — a wide anti-aliased seam is a blend, not an ink.
+ *   6. What remains is the spot-colour count.
+ *
+ * Photographic artwork (gradients, photos, soft shadows) has no meaningful spot
+ * count: its pixels spread over many buckets and the kept colours cover only a
+ * fraction of the image. Such artwork is flagged `photographic` — it cannot be
+ * screen printed and needs a full-colour method (transfer / digital).
+ *
+ * Pure functions over RGBA pixel data; no DOM, no Fabric. The canvas side
+ * lives in fabricCanvasManager.captureUserArtworkPixels.
+ */
+
+const QUANT_LEVELS = 16;
+const MIN_ALPHA = 200;
+const MIN_BUCKET_SHARE = 0.01;
+const MERGE_DISTANCE = 64;
+// Clusters up to this share may be anti-aliasing blends (step 5)…
+const BLEND_MAX_SHARE = 0.05;
+// …when they sit within this RGB distance of the segment between two inks.
+const BLEND_DISTANCE = 24;
+// Photographic when the spread of the histogram is this wide…
+const PHOTO_MIN_BUCKETS = 48;
+const PHOTO_BUCKET_SHARE = 0.001;
+// …or when the counted colours explain less than this much of the artwork.
+const PHOTO_MIN_COVERAGE = 0.8;
+
+const toHex = (r, g, b) =>
+  `#${[r, g, b].map((v) => Math.round(v).toString(16).padStart(2, '0')).join('')}`;
+
+const distance = (a, b) => Math.hypot(a.r - b.r, a.g - b.g, a.b - b.b);
+
+// Distance from colour c to the segment a–b in RGB space, and where along
+// it (0 = a, 1 = b) the nearest point lies.
+function segmentDistance(c, a, b) {
+  const ab = [b.r - a.r, b.g - a.g, b.b - a.b];
+  const ac = [c.r - a.r, c.g - a.g, c.b - a.b];
+  const len2 = ab[0] ** 2 + ab[1] ** 2 + ab[2] ** 2;
+  const t = len2 === 0 ? 0 : Math.max(0, Math.min(1, (ac[0] * ab[0] + ac[1] * ab[1] + ac[2] * ab[2]) / len2));
+  const p = { r: a.r + ab[0] * t, g: a.g + ab[1] * t, b: a.b + ab[2] * t };
+  return { d: distance(c, p), t };
+}
+
+// Step 5: fold blend clusters into their nearer ink. `clusters` is sorted
+// largest first; only larger clusters can absorb a smaller one.
+function foldBlends(clusters, opaque) {
+  const kept = [];
+  clusters.forEach((c) => {
+    if (c.n / opaque <= BLEND_MAX_SHARE) {
+      for (let i = 0; i < kept.length; i += 1) {
+        for (let j = i + 1; j < kept.length; j += 1) {
+          const { d, t } = segmentDistance(c, kept[i], kept[j]);
+          if (d < BLEND_DISTANCE) {
+            (t < 0.5 ? kept[i] : kept[j]).n += c.n;
+            return;
+          }
+        }
+      }
+    }
+    kept.push(c);
+  });
+  return kept;
+}
+
+/**
+ * Count the distinct spot colours in RGBA pixel data.
+ *
+ * @param {{ data: Uint8ClampedArray, width: number, height: number }} imageData
+ * @returns {{
+ *   count: number,
+ *   colours: Array<{ hex: string, share: number }>,
+ *   photographic: boolean,
+ *   coverage: number,
+ * }} `colours` sorted by share, largest first. count is 0 for empty artwork.
+ */
+export function countSpotColours(imageData) {
+  const empty = { count: 0, colours: [], photographic: false, coverage: 0 };
+  if (!imageData?.data) return empty;
+
+  const { data } = imageData;
+  const step = 256 / QUANT_LEVELS;
+  const buckets = new Map();
+  let opaque = 0;
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] < MIN_ALPHA) continue;
+    opaque += 1;
+    const r = data[i];
+    const g = data[i + 1];
+    const b = data[i + 2];
+    const key = (Math.floor(r / step) * QUANT_LEVELS + Math.floor(g / step)) * QUANT_LEVELS + Math.floor(b / step);
+    const bucket = buckets.get(key);
+    if (bucket) {
+      bucket.n += 1;
+      bucket.r += r;
+      bucket.g += g;
+      bucket.b += b;
+    } else {
+      buckets.set(key, { n: 1, r, g, b });
+    }
+  }
+  if (opaque === 0) return empty;
+
+  const all = [...buckets.values()].map((bk) => ({
+    n: bk.n,
+    r: bk.r / bk.n,
+    g: bk.g / bk.n,
+    b: bk.b / bk.n,
+  }));
+  const spread = all.filter((bk) => bk.n / opaque >= PHOTO_BUCKET_SHARE).length;
+
+  const merged = [];
+  all
+    .filter((bk) => bk.n / opaque >= MIN_BUCKET_SHARE)
+    .sort((a, b) => b.n - a.n)
+    .forEach((bk) => {
+      const near = merged.find((c) => distance(c, bk) < MERGE_DISTANCE);
+      if (near) near.n += bk.n;
+      else merged.push({ ...bk });
+    });
+  const clusters = foldBlends(merged, opaque);
+
+  const counted = clusters.reduce((sum, c) => sum + c.n, 0);
+  const coverage = counted / opaque;
+  return {
+    count: clusters.length,
+    colours: clusters.map((c) => ({ hex: toHex(c.r, c.g, c.b), share: +(c.n / opaque).toFixed(3) })),
+    photographic: spread >= PHOTO_MIN_BUCKETS || coverage < PHOTO_MIN_COVERAGE,
+    coverage: +coverage.toFixed(3),
+  };
+}
+
+/**
+ * The colour count to quote for a detected spot count, given the counts a
+ * print row's tiers offer (availableColourCounts): the smallest offered count
+ * that covers the artwork, else the largest offered. `exceedsMax` is true
+ * when the artwork has more colours than the position can print.
+ *
+ * @param {number} detected
+ * @param {number[]} offered - ascending
+ * @returns {{ colours: number|null, exceedsMax: boolean }}
+ */
+export function suggestColourCount(detected, offered) {
+  if (!offered?.length || !(detected > 0)) return { colours: null, exceedsMax: false };
+  const fit = offered.find((n) => n >= detected);
+  return fit != null
+    ? { colours: fit, exceedsMax: false }
+    : { colours: offered[offered.length - 1], exceedsMax: true };
+}
@@ -0,0 +1,130 @@
+/**
+ * Supplier artwork templates (dielines) — the Laltex feed's ArtworkTemplates,
+ * stored as supplier_products.artwork_templates by the sync
+ * (scripts/lib/laltex-parser.js parseArtworkTemplates) and normalised to
+ * product.artworkTemplates: [{ url, type }].
+ *
+ * Customers only ever see them through /api/proxy-template: the supplier's
+ * host sends no CORS headers and must not appear in front of customers.
+ * Templates on any other host are dropped rather than linked directly.
+ *
+ * Used by:
+ *   - LaltexProductView "Artwork templates" download list
+ *   - DesignerV2 template guide layer (renderTemplateGuide below)
+ */
+
+// Mirrors the server-side ALLOWED_HOSTS in api/proxy-template.js.
+const PROXIED_TEMPLATE_HOSTS = new Set([
+  'laltex-extranet.co.uk',
+]);
+
+const FORMAT_LABELS = {
+  pdf: 'PDF',
+  ai: 'AI',
+  eps: 'EPS',
+  svg: 'SVG',
+  png: 'PNG',
+  jpg: 'JPG',
+  jpeg: 'JPG',
+};
+
+/**
+ * Proxy URL for a template, or null when its host is not allowlisted.
+ *
+ * @param {string} url - raw template URL from the feed
+ * @param {{ download?: boolean }} [opts] - download=true asks the proxy for
+ *   Content-Disposition: attachment
+ */
+export function templateProxyUrl(url, { download = false } = {}) {
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'https:' || !PROXIED_TEMPLATE_HOSTS.has(parsed.hostname.toLowerCase())) {
+      return null;
+    }
+  } catch {
+    return null;
+  }
+  return `/api/proxy-template?url=${encodeURIComponent(url)}${download ? '&download=1' : ''}`;
+}
+
+/** Lower-case file extension of a template URL ('' when none). */
+export function templateExtension(url) {
+  try {
+    const name = new URL(url).pathname.split('/').pop() || '';
+    return name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+  } catch {
+    return '';
+  }
+}
+
+/** Display label for a template's format, e.g. 'PDF'. */
+export const templateFormatLabel = (url) => FORMAT_LABELS[templateExtension(url)] || 'File';
+
+/**
+ * The guide layer can draw PDFs (first page, via pdf.js) and bitmaps /
+ * SVGs; AI / EPS are download-only.
+ */
+export function canRenderTemplate(url) {
+  return ['pdf', 'png', 'jpg', 'jpeg', 'svg'].includes(templateExtension(url));
+}
+
+/**
+ * Proxiable templates grouped by type, in feed order:
+ * [{ type, templates: [{ url, type, fileName, format, href }] }].
+ */
+export function groupTemplatesByType(templates) {
+  const groups = new Map();
+  (templates || []).forEach((t) => {
+    const href = templateProxyUrl(t.url, { download: true });
+    if (!href) return;
+    const type = t.type || 'Artwork template';
+    if (!groups.has(type)) groups.set(type, []);
+    let fileName = 'template';
+    try {
+      fileName = decodeURIComponent(new URL(t.url).pathname.split('/').pop() || 'template');
+    } catch {
+      // keep the default
+    }
+    groups.get(type).push({ ...t, type, fileName, format: templateFormatLabel(t.url), href });
+  });
+  return [...groups.entries()].map(([type, list]) => ({ type, templates: list }));
+}
+
+// Long edge of the bitmap a PDF template is rasterised to — sharp at the
+// 800px canvas, small enough to keep in memory per template.
+const GUIDE_RENDER_EDGE = 1600;
+
+/**
+ * Image source for a template as a DesignerV2 guide layer: bitmaps and
+ * SVGs load straight through the proxy; PDFs have their first page drawn
+ * by pdf.js (imported on first use — most sessions never need it) into a
+ * PNG data URL. Resolves null when the template cannot be drawn.
+ *
+ * @param {string} url - raw template URL from the feed
+ * @returns {Promise<string|null>}
+ */
+export async function renderTemplateGuide(url) {
+  const src = templateProxyUrl(url);
+  if (!src || !canRenderTemplate(url)) return null;
+  if (templateExtension(url) !== 'pdf') return src;
+
+  const [pdfjs, worker] = await Promise.all([
+    import('pdfjs-dist'),
+    import('pdfjs-dist/build/pdf.worker.min.mjs?url'),
+  ]);
+  pdfjs.GlobalWorkerOptions.workerSrc = worker.default;
+
+  const doc = await pdfjs.getDocument({ url: src }).promise;
+  try {
+    const page = await doc.getPage(1);
+    const base = page.getViewport({ scale: 1 });
+    const viewport = page.getViewport({ scale: GUIDE_RENDER_EDGE / Math.max(base.width, base.height) });
+    const el = document.createElement('canvas');
+    el.width = Math.round(viewport.width);
+    el.height = Math.round(viewport.height);
+    await page.render({ canvasContext: el.getContext('2d'), viewport }).promise;
+    return el.toDataURL('image/png');
+  } finally {
+    doc.destroy();
+  }
+}
@@ -0,0 +1,183 @@
+/**
+ * Brand kit helpers (brand_assets, 20261019_brand_assets.sql).
+ *
+ * WHY THIS EXISTS
+ * ---------------
+ * Customers keep a per-account (or per-company) kit of logos, colours and
+ * fonts, placed into Designer / DesignerV2 in one click. Most logos arrive as
+ * JPEGs or PNGs on a white box, which prints as a white rectangle on a
+ * coloured product. On upload the browser makes a transparent-background
+ * variant next to the original; the designers place that one by default.
+ *
+ * HOW (removeFlatBackground)
+ * --------------------------
+ *   1. Skip images whose corners are already transparent — nothing to do.
+ *   2. The four corners must agree (within BG_TOLERANCE) on one colour; a
+ *      photo or a full-bleed logo has no flat background and is left alone.
+ *   3. Flood-fill from every edge pixel of that colour. Only background
+ *      CONNECTED to the border is cleared, so white inside the logo (the
+ *      counter of an "o", a white wordmark on a red badge) survives.
+ *   4. Pixels just beyond the tolerance that touch the cleared region keep a
+ *      proportional alpha, so anti-aliased edges don't leave a white halo.
+ *
+ * removeFlatBackground is pure (RGBA in, RGBA out). createTransparentVariant
+ * is the DOM side: decode, run, re-encode as PNG.
+ */
+
+// Fonts both designers can render (Designer's font dropdown). A brand kit
+// font is one of these — the canvas can only draw installed families.
+export const BRAND_FONTS = [
+  'Arial',
+  'Helvetica',
+  'Times New Roman',
+  'Georgia',
+  'Courier New',
+  'Verdana',
+  'Impact',
+  'Comic Sans MS',
+  'Trebuchet MS',
+];
+
+export const BRAND_ASSET_BUCKET = 'brand-assets';
+
+// Logo formats the canvas can draw (PDF / AI artwork goes through the order
+// artwork upload instead). Value = file extension in storage.
+export const BRAND_LOGO_TYPES = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/webp': 'webp',
+  'image/svg+xml': 'svg',
+};
+
+// Longest edge the background removal decodes at.
+const MAX_DECODE_EDGE = 2000;
+// RGB distance within which a pixel counts as background…
+const BG_TOLERANCE = 40;
+// …and up to which a bordering pixel is treated as an anti-aliased edge.
+const EDGE_TOLERANCE = 90;
+const OPAQUE_CORNER_ALPHA = 128;
+// Below this share of cleared pixels there was no real background.
+const MIN_REMOVED_SHARE = 0.01;
+
+const rgbDistance = (d, i, bg) =>
+  Math.hypot(d[i] - bg[0], d[i + 1] - bg[1], d[i + 2] - bg[2]);
+
+/**
+ * Clear the flat background connected to the image border.
+ *
+ * @param {{ data: Uint8ClampedArray, width: number, height: number }} imageData
+ * @returns {{ data: Uint8ClampedArray, removedShare: number, background: string } | null}
+ *   null when the image is already transparent or has no flat background.
+ */
+export function removeFlatBackground(imageData) {
+  if (!imageData?.data || !imageData.width || !imageData.height) return null;
+  const { width: w, height: h } = imageData;
+  const src = imageData.data;
+
+  const corners = [0, w - 1, (h - 1) * w, h * w - 1].map((p) => p * 4);
+  if (corners.some((i) => src[i + 3] < OPAQUE_CORNER_ALPHA)) return null;
+
+  const bg = [0, 1, 2].map((c) => corners.reduce((sum, i) => sum + src[i + c], 0) / corners.length);
+  if (corners.some((i) => rgbDistance(src, i, bg) > BG_TOLERANCE)) return null;
+
+  const out = new Uint8ClampedArray(src);
+  // 0 = untouched, 1 = cleared (and queued), 2 = softened edge.
+  const state = new Uint8Array(w * h);
+  const queue = new Int32Array(w * h);
+  let head = 0;
+  let tail = 0;
+  let removed = 0;
+
+  const visit = (p) => {
+    if (state[p]) return;
+    const i = p * 4;
+    const d = rgbDistance(src, i, bg);
+    if (d <= BG_TOLERANCE) {
+      state[p] = 1;
+      out[i + 3] = 0;
+      queue[tail++] = p;
+      removed += 1;
+    } else if (d < EDGE_TOLERANCE) {
+      state[p] = 2;
+      out[i + 3] = Math.round(src[i + 3] * ((d - BG_TOLERANCE) / (EDGE_TOLERANCE - BG_TOLERANCE)));
+    }
+  };
+
+  for (let x = 0; x < w; x += 1) {
+    visit(x);
+    visit((h - 1) * w + x);
+  }
+  for (let y = 0; y < h; y += 1) {
+    visit(y * w);
+    visit(y * w + w - 1);
+  }
+
+  while (head < tail) {
+    const p = queue[head++];
+    const x = p % w;
+    if (x > 0) visit(p - 1);
+    if (x < w - 1) visit(p + 1);
+    if (p >= w) visit(p - w);
+    if (p < w * (h - 1)) visit(p + w);
+  }
+
+  const removedShare = removed / (w * h);
+  if (removedShare < MIN_REMOVED_SHARE) return null;
+
+  const background = `#${bg.map((v) => Math.round(v).toString(16).padStart(2, '0')).join('')}`;
+  return { data: out, removedShare, background };
+}
+
+const loadImage = (file) =>
+  new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(img);
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('Could not read the image'));
+    };
+    img.src = url;
+  });
+
+/**
+ * Decode a logo file, measure it and build its transparent variant.
+ *
+ * @param {File|Blob} file - PNG / JPEG / WebP / SVG logo
+ * @returns {Promise<{ width: number, height: number, transparent: Blob | null }>}
+ *   transparent is null when the logo needs no background removal.
+ */
+export async function createTransparentVariant(file) {
+  const img = await loadImage(file);
+  const naturalW = img.naturalWidth || img.width;
+  const naturalH = img.naturalHeight || img.height;
+  const fit = Math.min(1, MAX_DECODE_EDGE / Math.max(naturalW, naturalH));
+  const w = Math.max(1, Math.round(naturalW * fit));
+  const h = Math.max(1, Math.round(naturalH * fit));
+
+  const canvas = document.createElement('canvas');
+  canvas.width = w;
+  canvas.height = h;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(img, 0, 0, w, h);
+
+  const result = removeFlatBackground(ctx.getImageData(0, 0, w, h));
+  if (!result) return { width: naturalW, height: naturalH, transparent: null };
+
+  ctx.putImageData(new ImageData(result.data, w, h), 0, 0);
+  const transparent = await new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
+  return { width: naturalW, height: naturalH, transparent };
+}
+
+/** Blob -> data URL, for placing a logo the same way an uploaded image is. */
+export const blobToDataURL = (blob) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+
@@ -11,7 +11,7 @@
  * or 3D preview lives in v1 and stays out of this module.
  */
 
-import { useEffect } from 'react';
+import { useCallback, useEffect, useRef, useState } from 'react';
 import { fabric } from 'fabric';
 import jsPDF from 'jspdf';
 
@@ -24,6 +24,8 @@ export const NON_USER_OBJECT_IDS = Object.freeze([
   'template-image',
   'watermark',
   'printAreaOverlay',
+  // v2's supplier dieline guide layer (utils/artworkTemplates).
+  'template-guide',
 ]);
 
 const NON_USER_OBJECT_ID_PREFIXES = Object.freeze([
@@ -64,6 +66,10 @@ export function isUserObject(obj) {
  * on the canvas remaining intact while a save modal is open (canvas can
  * remount under the modal otherwise).
  *
+ * When the print-area overlay is on the canvas its bounds (canvas px) are
+ * recorded as `printArea` — the frame productionArtworkExport maps onto
+ * the physical print size. Fabric ignores the extra key on load.
+ *
  * @param {fabric.Canvas} canvas
  * @returns {object} Fabric JSON ready for canvas.loadFromJSON
  */
@@ -73,9 +79,250 @@ export function captureUserCanvasJSON(canvas) {
   const baseJSON = canvas.toJSON(tracked);
   const userObjects = canvas.getObjects().filter(isUserObject);
   baseJSON.objects = userObjects.map((obj) => obj.toObject(tracked));
+  const overlay = canvas.getObjects().find((obj) => obj.id === 'printAreaOverlay');
+  if (overlay) {
+    const width = overlay.type === 'circle' ? overlay.radius * 2 : overlay.width;
+    const height = overlay.type === 'circle' ? overlay.radius * 2 : overlay.height;
+    const w = width * (overlay.scaleX || 1);
+    const h = height * (overlay.scaleY || 1);
+    baseJSON.printArea = {
+      left: overlay.originX === 'center' ? overlay.left - w / 2 : overlay.left,
+      top: overlay.originY === 'center' ? overlay.top - h / 2 : overlay.top,
+      width: w,
+      height: h,
+      shape: overlay.type === 'circle' ? 'circle' : 'rect',
+    };
+  }
   return baseJSON;
 }
 
+/**
+ * Undo / redo history over the customer's design content.
+ *
+ * Entries are "before" snapshots of the user objects only (the same
+ * isUserObject filter captureUserCanvasJSON uses) — chrome such as the
+ * template image and print-area overlay is never captured or restored,
+ * so an undo can't resurrect a stale product photo from a different
+ * colour. Snapshots are stored as JSON strings: cheap to compare (a
+ * no-op action records nothing) and immune to later mutation.
+ *
+ * Only customer actions are recorded. Mouse transforms are picked up
+ * from Fabric's before:transform / object:modified pair and text edits
+ * from text:editing:entered / exited; everything else (add text,
+ * upload, delete, rotate, nudge) goes through track(). Programmatic
+ * changes — saved-design restore, view reloads — are deliberately
+ * invisible to the history, which is why the before-snapshot is taken
+ * at the moment of the action rather than kept as a running baseline.
+ *
+ * Actions sharing a mergeKey within mergeWindowMs collapse into one
+ * step, so a burst of arrow-key nudges or quick successive drags of the
+ * same object undo in one go.
+ *
+ * Restore uses enlivenObjects rather than canvas.loadFromJSON for the
+ * same reason as useDeferredDesignApply: loadFromJSON would wipe the
+ * product background.
+ *
+ * @param {fabric.Canvas} canvas
+ * @param {object} [opts]
+ * @param {number} [opts.limit=30] - max undo depth; uploads embed their
+ *   image as a data URL, so every entry can be large
+ * @param {number} [opts.mergeWindowMs=600]
+ * @param {(state: {canUndo: boolean, canRedo: boolean}) => void} [opts.onChange]
+ */
+export function createCanvasHistory(canvas, { limit = 30, mergeWindowMs = 600, onChange } = {}) {
+  let undoStack = [];
+  let redoStack = [];
+  let lastEntry = null; // { mergeKey, at } of the most recent push
+  let transformBefore = null;
+  let editBefore = null;
+  let restoring = false;
+
+  // Stable per-object keys for merging without relying on obj.id, which
+  // v2's text / upload objects don't carry.
+  const objectKeys = new WeakMap();
+  let nextObjectKey = 1;
+  const keyFor = (obj) => {
+    if (!objectKeys.has(obj)) objectKeys.set(obj, nextObjectKey++);
+    return objectKeys.get(obj);
+  };
+
+  const notify = () => onChange?.({
+    canUndo: undoStack.length > 0,
+    canRedo: redoStack.length > 0,
+  });
+
+  const snapshot = () => JSON.stringify(captureUserCanvasJSON(canvas)?.objects || []);
+
+  const push = (before, mergeKey) => {
+    const now = Date.now();
+    const merges = mergeKey
+      && lastEntry
+      && lastEntry.mergeKey === mergeKey
+      && now - lastEntry.at < mergeWindowMs
+      && undoStack.length > 0;
+    if (!merges) {
+      undoStack.push(before);
+      if (undoStack.length > limit) undoStack.shift();
+    }
+    lastEntry = mergeKey ? { mergeKey, at: now } : null;
+    redoStack = [];
+    notify();
+  };
+
+  const commit = (before, mergeKey) => {
+    if (before === null || restoring) return;
+    if (before === snapshot()) return;
+    push(before, mergeKey);
+  };
+
+  const restore = (serialised) => {
+    restoring = true;
+    canvas.discardActiveObject();
+    canvas.getObjects().filter(isUserObject).forEach((obj) => canvas.remove(obj));
+    const objects = safeParse(serialised) || [];
+    fabric.util.enlivenObjects(objects, (enlivened) => {
+      enlivened.forEach((obj) => canvas.add(obj));
+      canvas.renderAll();
+      restoring = false;
+      notify();
+    });
+  };
+
+  const handleBeforeTransform = (e) => {
+    const target = e?.transform?.target;
+    if (restoring || !target || !isUserObject(target)) return;
+    transformBefore = snapshot();
+  };
+  const handleModified = (e) => {
+    const before = transformBefore;
+    transformBefore = null;
+    if (!e?.target) return;
+    commit(before, `transform:${keyFor(e.target)}`);
+  };
+  const handleEditEntered = () => {
+    if (!restoring) editBefore = snapshot();
+  };
+  const handleEditExited = () => {
+    const before = editBefore;
+    editBefore = null;
+    commit(before, null);
+  };
+
+  canvas.on('before:transform', handleBeforeTransform);
+  canvas.on('object:modified', handleModified);
+  canvas.on('text:editing:entered', handleEditEntered);
+  canvas.on('text:editing:exited', handleEditExited);
+
+  return {
+    /**
+     * Run a customer action and record it as one undoable step.
+     * @param {() => void} fn - mutates the canvas synchronously
+     * @param {object} [opts]
+     * @param {string|null} [opts.mergeKey=null]
+     */
+    track(fn, { mergeKey = null } = {}) {
+      if (restoring) return;
+      const before = snapshot();
+      fn();
+      commit(before, mergeKey);
+    },
+    undo() {
+      if (restoring || undoStack.length === 0) return;
+      redoStack.push(snapshot());
+      lastEntry = null;
+      restore(undoStack.pop());
+    },
+    redo() {
+      if (restoring || redoStack.length === 0) return;
+      undoStack.push(snapshot());
+      lastEntry = null;
+      restore(redoStack.pop());
+    },
+    /** Drop all history, e.g. when the colour or position changes. */
+    reset() {
+      undoStack = [];
+      redoStack = [];
+      lastEntry = null;
+      transformBefore = null;
+      editBefore = null;
+      notify();
+    },
+    dispose() {
+      canvas.off('before:transform', handleBeforeTransform);
+      canvas.off('object:modified', handleModified);
+      canvas.off('text:editing:entered', handleEditEntered);
+      canvas.off('text:editing:exited', handleEditExited);
+    },
+  };
+}
+
+/**
+ * React wrapper around createCanvasHistory shared by v1 and v2. Owns
+ * the history instance for the lifetime of the canvas, resets it
+ * whenever `resetKey` changes (callers fold colour + position into the
+ * key), and binds Ctrl/Cmd+Z for undo and Ctrl/Cmd+Shift+Z (or Ctrl+Y)
+ * for redo. Shortcuts are ignored while the customer is typing in a
+ * form field or editing text on the canvas so the browser's own text
+ * undo keeps working there.
+ *
+ * @param {fabric.Canvas|null} canvas
+ * @param {object} [opts]
+ * @param {string} [opts.resetKey]
+ * @param {number} [opts.limit]
+ * @param {number} [opts.mergeWindowMs]
+ * @returns {{canUndo: boolean, canRedo: boolean, undo: () => void,
+ *   redo: () => void, track: (fn: () => void, opts?: {mergeKey?: string}) => void,
+ *   reset: () => void}}
+ */
+export function useCanvasHistory(canvas, { resetKey, limit, mergeWindowMs } = {}) {
+  const historyRef = useRef(null);
+  const [state, setState] = useState({ canUndo: false, canRedo: false });
+
+  useEffect(() => {
+    if (!canvas) return undefined;
+    const history = createCanvasHistory(canvas, { limit, mergeWindowMs, onChange: setState });
+    historyRef.current = history;
+    return () => {
+      history.dispose();
+      if (historyRef.current === history) historyRef.current = null;
+      setState({ canUndo: false, canRedo: false });
+    };
+    // limit / mergeWindowMs are construction-time options.
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [canvas]);
+
+  useEffect(() => {
+    historyRef.current?.reset();
+  }, [resetKey]);
+
+  const undo = useCallback(() => historyRef.current?.undo(), []);
+  const redo = useCallback(() => historyRef.current?.redo(), []);
+  const reset = useCallback(() => historyRef.current?.reset(), []);
+  const track = useCallback((fn, opts) => {
+    if (historyRef.current) historyRef.current.track(fn, opts);
+    else fn();
+  }, []);
+
+  useEffect(() => {
+    if (!canvas) return undefined;
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const key = e.key.toLowerCase();
+      if (key !== 'z' && key !== 'y') return;
+      const el = e.target;
+      if (el && (el.tagName === 'INPUT' || el.tagName === 'TEXTAREA' || el.isContentEditable)) return;
+      if (canvas.getActiveObject()?.isEditing) return;
+      e.preventDefault();
+      if (key === 'y' || e.shiftKey) redo();
+      else undo();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [canvas, undo, redo]);
+
+  return { ...state, undo, redo, track, reset };
+}
+
 /**
  * Capture a PNG thumbnail of the design. Hides chrome (guides /
  * watermark / overlay) but keeps the template image visible so the
@@ -107,6 +354,60 @@ export function captureCanvasThumbnail(canvas, { multiplier = 1.5 } = {}) {
   return dataURL;
 }
 
+/**
+ * Render ONLY the customer's artwork (user objects — no template image,
+ * overlay or watermark) on a transparent background and return its RGBA
+ * pixels, cropped to the artwork's bounding box and scaled so the longer
+ * side is at most `maxSize`. Input for artworkColours.countSpotColours.
+ *
+ * Chrome is hidden and restored inside one synchronous call, the same
+ * trick captureCanvasThumbnail uses, so nothing flashes on screen.
+ *
+ * @param {fabric.Canvas} canvas
+ * @param {object} [opts]
+ * @param {number} [opts.maxSize=256]
+ * @returns {ImageData|null} null when the canvas holds no artwork or the
+ *   pixels can't be read back
+ */
+export function captureUserArtworkPixels(canvas, { maxSize = 256 } = {}) {
+  if (!canvas) return null;
+  const allObjects = canvas.getObjects();
+  const userObjects = allObjects.filter(isUserObject).filter((obj) => obj.visible !== false);
+  if (userObjects.length === 0) return null;
+
+  const bounds = userObjects.reduce((acc, obj) => {
+    const r = obj.getBoundingRect(true, true);
+    return {
+      left: Math.min(acc.left, r.left),
+      top: Math.min(acc.top, r.top),
+      right: Math.max(acc.right, r.left + r.width),
+      bottom: Math.max(acc.bottom, r.top + r.height),
+    };
+  }, { left: Infinity, top: Infinity, right: -Infinity, bottom: -Infinity });
+  const left = Math.max(0, Math.floor(bounds.left));
+  const top = Math.max(0, Math.floor(bounds.top));
+  const width = Math.min(canvas.getWidth(), Math.ceil(bounds.right)) - left;
+  const height = Math.min(canvas.getHeight(), Math.ceil(bounds.bottom)) - top;
+  if (width <= 0 || height <= 0) return null;
+
+  const toHide = allObjects.filter((obj) => !isUserObject(obj) && obj.visible !== false);
+  toHide.forEach((obj) => { obj.visible = false; });
+  const prevBg = canvas.backgroundColor;
+  canvas.backgroundColor = 'transparent';
+  try {
+    const multiplier = Math.min(1, maxSize / Math.max(width, height));
+    const el = canvas.toCanvasElement(multiplier, { left, top, width, height });
+    return el.getContext('2d').getImageData(0, 0, el.width, el.height);
+  } catch (err) {
+    console.error('[captureUserArtworkPixels] readback failed:', err);
+    return null;
+  } finally {
+    toHide.forEach((obj) => { obj.visible = true; });
+    canvas.backgroundColor = prevBg;
+    canvas.renderAll();
+  }
+}
+
 /**
  * Build the indicative-position watermark band (CLAUDE.md §53).
  * Returns an array of temporarily-added Fabric objects so the caller
@@ -160,8 +461,9 @@ function attachIndicativeBanner(canvas, indicativeBanner) {
 
 /**
  * Export the canvas as PNG (download). Multiplier 3 is load-bearing
- * for print quality — see CLAUDE.md §8.4. Print-area overlays and
- * watermark are hidden during the export and restored after.
+ * for print quality — see CLAUDE.md §8.4. Print-area overlays, the
+ * template guide and watermark are hidden during the export and
+ * restored after.
  *
  * @param {fabric.Canvas} canvas
  * @param {object} opts
@@ -178,10 +480,13 @@ export function exportCanvasAsPNG(canvas, { filename, hideWatermark = true, mult
   if (!canvas) return;
   const overlay = canvas.getObjects().find((obj) => obj.id === 'printAreaOverlay');
   const watermark = canvas.getObjects().find((obj) => obj.id === 'watermark');
+  const guide = canvas.getObjects().find((obj) => obj.id === 'template-guide');
   const overlayWasVisible = overlay?.visible;
   const watermarkWasVisible = watermark?.visible;
+  const guideWasVisible = guide?.visible;
   if (overlay) overlay.set('visible', false);
   if (watermark && hideWatermark) watermark.set('visible', false);
+  if (guide) guide.set('visible', false);
   const bannerObjects = attachIndicativeBanner(canvas, indicativeBanner);
   canvas.renderAll();
 
@@ -205,6 +510,7 @@ export function exportCanvasAsPNG(canvas, { filename, hideWatermark = true, mult
     bannerObjects.forEach((o) => canvas.remove(o));
     if (overlay) overlay.set('visible', overlayWasVisible !== false);
     if (watermark) watermark.set('visible', watermarkWasVisible !== false);
+    if (guide) guide.set('visible', guideWasVisible !== false);
     canvas.renderAll();
   }
 }
@@ -214,6 +520,9 @@ export function exportCanvasAsPNG(canvas, { filename, hideWatermark = true, mult
  * as PNG export. Uses A4 portrait with the canvas image placed in a
  * 190mm square — matches v1.
  *
+ * This is the customer's preview, a bitmap. Production files (vector,
+ * print-scale, crop marks) come from productionArtworkExport.
+ *
  * @param {fabric.Canvas} canvas
  * @param {object} opts
  * @param {string} opts.filename - download filename without extension
@@ -227,10 +536,13 @@ export function exportCanvasAsPDF(canvas, { filename, hideWatermark = true, mult
   if (!canvas) return;
   const overlay = canvas.getObjects().find((obj) => obj.id === 'printAreaOverlay');
   const watermark = canvas.getObjects().find((obj) => obj.id === 'watermark');
+  const guide = canvas.getObjects().find((obj) => obj.id === 'template-guide');
   const overlayWasVisible = overlay?.visible;
   const watermarkWasVisible = watermark?.visible;
+  const guideWasVisible = guide?.visible;
   if (overlay) overlay.set('visible', false);
   if (watermark && hideWatermark) watermark.set('visible', false);
+  if (guide) guide.set('visible', false);
   const bannerObjects = attachIndicativeBanner(canvas, indicativeBanner);
   canvas.renderAll();
 
@@ -249,6 +561,7 @@ export function exportCanvasAsPDF(canvas, { filename, hideWatermark = true, mult
     bannerObjects.forEach((o) => canvas.remove(o));
     if (overlay) overlay.set('visible', overlayWasVisible !== false);
     if (watermark) watermark.set('visible', watermarkWasVisible !== false);
+    if (guide) guide.set('visible', guideWasVisible !== false);
     canvas.renderAll();
   }
 }
@@ -48,51 +48,360 @@ export const isPDFFile = (file) => {
   return file.type === 'application/pdf';
 };
 
-// Print production validation
-export const validateForPrint = (canvas) => {
-  const warnings = [];
-  const errors = [];
+// ---------------------------------------------------------------------------
+// Upload preflight — ArtworkUploadModal runs this on every file before upload
+// and stores the report on order_artwork.preflight (20261019_artwork_preflight.sql)
+// so staff see the same pass / warn / fail in AdminOrderDetail.
+//
+// Header parsing only: PNG / JPEG / TIFF dimensions and density come from the
+// file's own headers, PDF colour spaces and images from its uncompressed
+// object dictionaries. Nothing is uploaded or rendered server-side. A check
+// we cannot decide (compressed PDF object streams, undecodable TIFF) passes
+// with a note for staff rather than warning the customer about nothing.
+// ---------------------------------------------------------------------------
+
+export const PREFLIGHT_VERSION = 1;
+
+// Effective resolution at print size: >= DPI_PASS passes, >= DPI_WARN warns,
+// below fails.
+const DPI_PASS = 300;
+const DPI_WARN = 150;
+// Raster long edge below this is a thumbnail — a web / email preview or an
+// image pulled out of a document, never the original artwork.
+const THUMBNAIL_MAX_EDGE = 300;
+const HEADER_BYTES = 512 * 1024;
+// PDFs are scanned as text; cap the read so a 50 MB file stays cheap.
+const PDF_SCAN_BYTES = 16 * 1024 * 1024;
+// Longest edge the alpha scan decodes at.
+const ALPHA_SCAN_EDGE = 512;
 
-  // Check resolution (minimum 300 DPI equivalent)
-  const minWidth = 1200; // pixels for 4 inch at 300 DPI
-  const minHeight = 1200;
+const PREFLIGHT_RANK = { pass: 0, warn: 1, fail: 2 };
 
-  if (canvas.width < minWidth || canvas.height < minHeight) {
-    warnings.push('Low resolution detected. For best print quality, use images at least 1200x1200 pixels.');
+/**
+ * Millimetre size of a print area string: "90x90mm", "200 x 300 mm",
+ * "Ø50mm" / "50mm dia" (round areas print into their square).
+ * Returns null when the string carries no size.
+ */
+export function parseAreaMm(area) {
+  if (!area) return null;
+  const s = String(area).toLowerCase();
+  const rect = s.match(/(\d+(?:\.\d+)?)\s*(?:mm)?\s*[x×]\s*(\d+(?:\.\d+)?)\s*mm/);
+  if (rect) return { widthMm: Number(rect[1]), heightMm: Number(rect[2]) };
+  const round = s.match(/(?:ø|dia\w*\.?)\s*(\d+(?:\.\d+)?)\s*mm|(\d+(?:\.\d+)?)\s*mm\s*(?:ø|dia)/);
+  if (round) {
+    const d = Number(round[1] || round[2]);
+    return { widthMm: d, heightMm: d };
   }
+  return null;
+}
 
-  // Check for text objects that might be too small
-  const objects = canvas.getObjects();
-  objects.forEach((obj, index) => {
-    if (obj.type === 'text' || obj.type === 'i-text') {
-      const fontSize = obj.fontSize * (obj.scaleY || 1);
-      if (fontSize < 8) {
-        warnings.push(`Text object ${index + 1} may be too small for printing (${fontSize.toFixed(1)}pt). Minimum recommended: 8pt.`);
-      }
+/**
+ * Resolution of a pixelW × pixelH image scaled to fit (aspect kept) inside
+ * widthMm × heightMm — the lower of the two axes, rounded.
+ */
+export function effectiveDpi(pixelW, pixelH, widthMm, heightMm) {
+  if (!(pixelW > 0 && pixelH > 0 && widthMm > 0 && heightMm > 0)) return null;
+  const scaleMm = Math.min(widthMm / pixelW, heightMm / pixelH);
+  return Math.round(25.4 / scaleMm);
+}
+
+const readBytes = async (file, start, length) =>
+  new Uint8Array(await file.slice(start, start + length).arrayBuffer());
+
+const ascii = (bytes, start, length) =>
+  String.fromCharCode(...bytes.subarray(start, start + length));
+
+function parsePng(b) {
+  const view = new DataView(b.buffer, b.byteOffset, b.byteLength);
+  const info = { format: 'PNG', hasAlphaChannel: false, dpi: null };
+  let pos = 8;
+  while (pos + 8 <= b.length) {
+    const len = view.getUint32(pos);
+    const type = ascii(b, pos + 4, 4);
+    const data = pos + 8;
+    if (type === 'IHDR') {
+      info.width = view.getUint32(data);
+      info.height = view.getUint32(data + 4);
+      const colourType = b[data + 9];
+      info.hasAlphaChannel = colourType === 4 || colourType === 6;
+    } else if (type === 'tRNS') {
+      info.hasAlphaChannel = true;
+    } else if (type === 'pHYs' && data + 9 <= b.length && b[data + 8] === 1) {
+      info.dpi = Math.round(view.getUint32(data) * 0.0254);
+    } else if (type === 'IDAT' || type === 'IEND') {
+      break;
+    }
+    pos = data + len + 4;
+  }
+  return info;
+}
+
+const JPEG_SOF = new Set([0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf]);
+
+function parseJpeg(b) {
+  const view = new DataView(b.buffer, b.byteOffset, b.byteLength);
+  const info = { format: 'JPEG', hasAlphaChannel: false, dpi: null };
+  let pos = 2;
+  while (pos + 4 <= b.length) {
+    if (b[pos] !== 0xff) { pos += 1; continue; }
+    const marker = b[pos + 1];
+    if (marker === 0xff) { pos += 1; continue; }
+    const len = view.getUint16(pos + 2);
+    const data = pos + 4;
+    if (marker === 0xe0 && ascii(b, data, 4) === 'JFIF' && data + 12 <= b.length) {
+      const units = b[data + 7];
+      const x = view.getUint16(data + 8);
+      if (units === 1) info.dpi = x;
+      else if (units === 2) info.dpi = Math.round(x * 2.54);
+    } else if (JPEG_SOF.has(marker) && data + 6 <= b.length) {
+      info.height = view.getUint16(data + 1);
+      info.width = view.getUint16(data + 3);
+      info.cmyk = b[data + 5] === 4;
+      break;
+    } else if (marker === 0xda) {
+      break;
     }
-  });
-
-  // Check for objects outside print area
-  const printAreaGuide = objects.find(obj => obj.id === 'print-area-guide');
-  if (printAreaGuide) {
-    objects.forEach((obj, index) => {
-      if (obj.id !== 'print-area-guide' && obj.id !== 'watermark') {
-        const objBounds = obj.getBoundingRect();
-        const guideBounds = printAreaGuide.getBoundingRect();
-
-        if (objBounds.left < guideBounds.left ||
-            objBounds.top < guideBounds.top ||
-            objBounds.left + objBounds.width > guideBounds.left + guideBounds.width ||
-            objBounds.top + objBounds.height > guideBounds.top + guideBounds.height) {
-          warnings.push(`Object ${index + 1} extends outside the print area and may be cropped.`);
+    pos = data + len - 2;
+  }
+  return info;
+}
+
+// Baseline TIFF: IFD0 may sit anywhere in the file, so it is read on demand.
+async function parseTiff(file, b) {
+  const little = b[0] === 0x49;
+  const info = { format: 'TIFF', hasAlphaChannel: false, dpi: null };
+  const head = new DataView(b.buffer, b.byteOffset, b.byteLength);
+  const ifdOffset = head.getUint32(4, little);
+  const ifd = await readBytes(file, ifdOffset, 2 + 12 * 64);
+  const view = new DataView(ifd.buffer, ifd.byteOffset, ifd.byteLength);
+  const count = Math.min(view.getUint16(0, little), 64);
+  let xResOffset = null;
+  let unit = 2;
+  for (let i = 0; i < count; i += 1) {
+    const e = 2 + i * 12;
+    const tag = view.getUint16(e, little);
+    const type = view.getUint16(e + 2, little);
+    const value = type === 3 ? view.getUint16(e + 8, little) : view.getUint32(e + 8, little);
+    if (tag === 256) info.width = value;
+    else if (tag === 257) info.height = value;
+    else if (tag === 262) info.cmyk = value === 5;
+    else if (tag === 338) info.hasAlphaChannel = true;
+    else if (tag === 282) xResOffset = value;
+    else if (tag === 296) unit = value;
+  }
+  if (xResOffset != null) {
+    const r = new DataView((await readBytes(file, xResOffset, 8)).buffer);
+    const den = r.getUint32(4, little);
+    const x = den ? r.getUint32(0, little) / den : 0;
+    if (x > 0 && unit === 2) info.dpi = Math.round(x);
+    else if (x > 0 && unit === 3) info.dpi = Math.round(x * 2.54);
+  }
+  return info;
+}
+
+// Decode at most ALPHA_SCAN_EDGE px on the long edge and look for any pixel
+// that is not opaque. null when the browser cannot decode the format.
+async function scanTransparency(file) {
+  if (typeof createImageBitmap !== 'function' || typeof document === 'undefined') return null;
+  let bitmap;
+  try {
+    bitmap = await createImageBitmap(file);
+    const scale = Math.min(1, ALPHA_SCAN_EDGE / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+    canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    for (let i = 3; i < data.length; i += 4) {
+      if (data[i] < 250) return true;
+    }
+    return false;
+  } catch {
+    return null;
+  } finally {
+    bitmap?.close?.();
+  }
+}
+
+function scanPdf(text) {
+  const cmyk = /\/DeviceCMYK|\/Separation|\/DeviceN|\/ICCBased[^>]*\/N\s+4/.test(text)
+    || /\/N\s+4[^>]*\/Alternate\s*\/DeviceCMYK/.test(text);
+  const rgb = /\/DeviceRGB|\/CalRGB/.test(text) || /\/N\s+3[^>]*\/Alternate\s*\/DeviceRGB/.test(text);
+  let colourSpace = 'unknown';
+  if (cmyk) colourSpace = rgb ? 'mixed' : 'cmyk';
+  else if (rgb) colourSpace = 'rgb';
+
+  const images = [];
+  const re = /\/Subtype\s*\/Image/g;
+  let m;
+  while ((m = re.exec(text)) && images.length < 50) {
+    const dict = text.slice(Math.max(0, m.index - 400), m.index + 400);
+    const w = dict.match(/\/Width\s+(\d+)/);
+    const h = dict.match(/\/Height\s+(\d+)/);
+    if (w && h) images.push({ width: Number(w[1]), height: Number(h[1]) });
+  }
+  return { colourSpace, images };
+}
+
+const fileKind = (file) => {
+  const ext = getFileExtension(file.name || '').toLowerCase();
+  if (file.type === 'application/pdf' || ext === 'pdf') return 'pdf';
+  if (file.type === 'image/svg+xml' || ext === 'svg') return 'svg';
+  if (['eps', 'ai', 'ps'].includes(ext) || file.type === 'application/postscript'
+    || file.type === 'application/illustrator' || file.type === 'image/x-eps') return 'postscript';
+  return 'raster';
+};
+
+function resolutionCheck(width, height, mm, ownDpi, subject) {
+  const px = `${width} × ${height} px`;
+  if (!mm) {
+    return {
+      dpi: null,
+      check: {
+        id: 'resolution',
+        status: 'warn',
+        label: 'Print size unknown',
+        detail: `${subject} is ${px}${ownDpi ? ` (saved at ${ownDpi} DPI)` : ''}. Without a print area we can't check it — you need about ${DPI_PASS} DPI at the printed size.`,
+      },
+    };
+  }
+  const dpi = effectiveDpi(width, height, mm.widthMm, mm.heightMm);
+  let status = 'pass';
+  if (dpi < DPI_WARN) status = 'fail';
+  else if (dpi < DPI_PASS) status = 'warn';
+  const detail = {
+    pass: `${subject} is ${px}, about ${dpi} DPI at ${mm.widthMm}×${mm.heightMm}mm.`,
+    warn: `${subject} is ${px}, about ${dpi} DPI at ${mm.widthMm}×${mm.heightMm}mm. It may print slightly soft; ${DPI_PASS} DPI is ideal.`,
+    fail: `${subject} is ${px}, only about ${dpi} DPI at ${mm.widthMm}×${mm.heightMm}mm. It will print blurred or pixelated — please send a larger or vector file.`,
+  }[status];
+  return { dpi, check: { id: 'resolution', status, label: `${dpi} DPI at print size`, detail } };
+}
+
+/**
+ * Print-readiness preflight for an uploaded artwork file.
+ *
+ * @param {File} file
+ * @param {{ position?: string, area?: string }|null} target - the print
+ *   area the file is for; its mm size (parseAreaMm) drives the DPI check.
+ * @returns {Promise<{
+ *   version: number, status: 'pass'|'warn'|'fail', kind: 'raster'|'vector',
+ *   format: string, pixel_width: number|null, pixel_height: number|null,
+ *   effective_dpi: number|null, has_transparency: boolean|null,
+ *   colour_space: 'cmyk'|'rgb'|'mixed'|'unknown'|null,
+ *   target: { position: string|null, area: string|null, width_mm: number, height_mm: number }|null,
+ *   checks: Array<{ id: string, status: 'pass'|'warn'|'fail', label: string, detail: string }>,
+ * }>} The shape stored on order_artwork.preflight.
+ */
+export async function preflightArtwork(file, target = null) {
+  const mm = parseAreaMm(target?.area);
+  const report = {
+    version: PREFLIGHT_VERSION,
+    status: 'pass',
+    kind: 'raster',
+    format: null,
+    pixel_width: null,
+    pixel_height: null,
+    effective_dpi: null,
+    has_transparency: null,
+    colour_space: null,
+    target: mm
+      ? { position: target.position || null, area: target.area || null, width_mm: mm.widthMm, height_mm: mm.heightMm }
+      : null,
+    checks: [],
+  };
+  const add = (check) => report.checks.push(check);
+
+  try {
+    const kind = fileKind(file);
+    const head = await readBytes(file, 0, HEADER_BYTES);
+    const isPdf = ascii(head, 0, 5) === '%PDF-';
+
+    if (kind === 'svg') {
+      report.kind = 'vector';
+      report.format = 'SVG';
+      report.has_transparency = true;
+      const text = await file.text();
+      add({ id: 'format', status: 'pass', label: 'Vector artwork', detail: 'SVG scales to any print size without losing quality.' });
+      if (/<image\b/i.test(text)) {
+        add({ id: 'embedded-images', status: 'warn', label: 'Contains a bitmap image', detail: 'Part of this SVG is a pasted-in bitmap, which does not scale like the rest. Our team will check its resolution.' });
+      }
+    } else if (isPdf || kind === 'pdf') {
+      report.kind = 'vector';
+      report.format = kind === 'postscript' ? 'AI (PDF-compatible)' : 'PDF';
+      add({ id: 'format', status: 'pass', label: 'Vector artwork', detail: `${report.format} keeps vector shapes and text sharp at any print size.` });
+      const bytes = await readBytes(file, 0, PDF_SCAN_BYTES);
+      const { colourSpace, images } = scanPdf(new TextDecoder('latin1').decode(bytes));
+      report.colour_space = colourSpace;
+      if (colourSpace === 'rgb') {
+        add({ id: 'colour', status: 'warn', label: 'RGB-only PDF', detail: 'This PDF has no CMYK or spot colours. Colours will be converted for print and bright RGB tones may shift — send a CMYK PDF or tell us your Pantone references.' });
+      } else if (colourSpace === 'unknown') {
+        add({ id: 'colour', status: 'pass', label: 'Colour space not read', detail: 'We could not read the colour spaces from this PDF; our team will check them in review.' });
+      } else {
+        add({ id: 'colour', status: 'pass', label: 'CMYK / spot colours', detail: 'This PDF uses CMYK or spot colours.' });
+      }
+      if (images.length) {
+        const largest = images.reduce((a, b) => (a.width * a.height >= b.width * b.height ? a : b));
+        const { dpi, check } = resolutionCheck(largest.width, largest.height, mm, null, 'The largest embedded image');
+        report.effective_dpi = dpi;
+        add({ ...check, id: 'embedded-images' });
+        if (Math.max(largest.width, largest.height) < THUMBNAIL_MAX_EDGE) {
+          add({ id: 'thumbnail', status: 'fail', label: 'Embedded image is thumbnail-sized', detail: `The largest image in this PDF is only ${largest.width} × ${largest.height} px — it looks like a preview rather than the original artwork.` });
+        }
+      }
+    } else if (kind === 'postscript') {
+      report.kind = 'vector';
+      const dosEps = head[0] === 0xc5 && head[1] === 0xd0 && head[2] === 0xd3 && head[3] === 0xc6;
+      report.format = getFileExtension(file.name || '').toUpperCase() || 'EPS';
+      if (dosEps || ascii(head, 0, 2) === '%!') {
+        add({ id: 'format', status: 'pass', label: 'Vector artwork', detail: `${report.format} keeps vector shapes and text sharp at any print size.` });
+      } else {
+        add({ id: 'format', status: 'warn', label: 'Unreadable file', detail: `This doesn't look like a PostScript or PDF-compatible ${report.format} file. Our team will check it opens.` });
+      }
+    } else {
+      let info = null;
+      if (head[0] === 0x89 && ascii(head, 1, 3) === 'PNG') info = parsePng(head);
+      else if (head[0] === 0xff && head[1] === 0xd8) info = parseJpeg(head);
+      else if (ascii(head, 0, 2) === 'II' || ascii(head, 0, 2) === 'MM') info = await parseTiff(file, head);
+
+      if (!info?.width || !info?.height) {
+        report.format = getFileExtension(file.name || '').toUpperCase() || null;
+        add({ id: 'format', status: 'warn', label: 'Could not read image', detail: 'We could not read this image\'s size. Our team will check it in review.' });
+      } else {
+        report.format = info.format;
+        report.pixel_width = info.width;
+        report.pixel_height = info.height;
+        add({ id: 'format', status: 'pass', label: `${info.format} image`, detail: `Raster artwork, ${info.width} × ${info.height} px. Vector files (PDF, AI, EPS, SVG) print sharpest.` });
+
+        const { dpi, check } = resolutionCheck(info.width, info.height, mm, info.dpi, 'This image');
+        report.effective_dpi = dpi;
+        add(check);
+
+        if (Math.max(info.width, info.height) < THUMBNAIL_MAX_EDGE) {
+          add({ id: 'thumbnail', status: 'fail', label: 'Thumbnail-sized image', detail: `At ${info.width} × ${info.height} px this looks like a preview or an image saved from a web page or email, not the original artwork.` });
         }
+
+        if (info.hasAlphaChannel) {
+          const scanned = await scanTransparency(file);
+          report.has_transparency = scanned ?? true;
+        } else {
+          report.has_transparency = false;
+        }
+        add(report.has_transparency
+          ? { id: 'transparency', status: 'pass', label: 'Transparent background', detail: 'Only the artwork itself will print.' }
+          : { id: 'transparency', status: 'warn', label: 'Solid background', detail: 'This image has no transparency, so its background will print as a solid block unless our team removes it.' });
+
+        if (info.cmyk) report.colour_space = 'cmyk';
       }
-    });
+    }
+  } catch (err) {
+    console.error('[preflightArtwork] Error:', err);
+    add({ id: 'read', status: 'warn', label: 'Could not check file', detail: 'Something went wrong reading this file. It will still upload and our team will check it.' });
   }
 
-  return {
-    isValid: errors.length === 0,
-    errors,
-    warnings
-  };
-};
+  report.status = report.checks.reduce(
+    (worst, c) => (PREFLIGHT_RANK[c.status] > PREFLIGHT_RANK[worst] ? c.status : worst),
+    'pass',
+  );
+  return report;
+}
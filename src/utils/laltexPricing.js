@@ -0,0 +1,175 @@
+/**
+ * Laltex customer-facing pricing — the tier pickers, colour-count options
+ * and white-base cost LaltexProductView's configurator prices with, plus
+ * laltexUnitPrice for callers that price a quote line without the
+ * configurator (DesignerV2 and the bulk mock-ups share the helpers too).
+ *
+ * Prices are numbers throughout; rounding to pence happens where a value
+ * is stored or shown (CLAUDE.md §48), never mid-calculation.
+ */
+
+import { deliveryPerUnit } from '../../scripts/lib/laltex-delivery.js';
+import { scheduleMarginForTier } from '../../scripts/lib/laltex-margin.js';
+import { isScreenPrintRow, productNeedsWhiteBase, baseCostForQty } from './screenPrintBase';
+
+/**
+ * Find the price tier whose [min_qty, max_qty] range contains qty.
+ * Falls back to the highest tier with min_qty <= qty (last tier is
+ * usually open-ended max_qty=null).
+ */
+export function pickTier(tiers, qty) {
+  if (!Array.isArray(tiers) || tiers.length === 0) return null;
+  const sorted = [...tiers].sort((a, b) => (a.minQty ?? 0) - (b.minQty ?? 0));
+  let match = null;
+  for (const t of sorted) {
+    if (qty >= (t.minQty ?? 0) && (t.maxQty == null || qty <= t.maxQty)) {
+      return t;
+    }
+    if (qty >= (t.minQty ?? 0)) match = t;
+  }
+  return match || sorted[0];
+}
+
+/**
+ * Pick a print_price tier from a position's tiers array, matching
+ * (qty, num_colours). Mirrors pickTier but with the additional colour
+ * filter.
+ */
+export function pickPrintTier(positionTiers, qty, numColours) {
+  if (!Array.isArray(positionTiers) || positionTiers.length === 0) return null;
+  const byColour = positionTiers.filter((t) => (t.numColours ?? 1) === numColours);
+  const candidates = byColour.length > 0 ? byColour : positionTiers;
+  return pickTier(
+    candidates.map((t) => ({ ...t, minQty: t.minQty, maxQty: t.maxQty })),
+    qty,
+  );
+}
+
+/**
+ * Distinct, sorted num_colours values that a position's tiers actually
+ * contain. Drives the per-row colour-count UI: dropdown if >1 option,
+ * static label if exactly 1, hidden if empty.
+ */
+export function availableColourCounts(position) {
+  const tiers = position?.tiers || [];
+  const set = new Set();
+  for (const t of tiers) {
+    const n = t.numColours ?? 1;
+    if (Number.isFinite(n)) set.add(n);
+  }
+  return Array.from(set).sort((a, b) => a - b);
+}
+
+/**
+ * Margined white-base cost per unit for a screen print at a given quantity.
+ *
+ * The base is a PRINT cost, so it is margined exactly like the print tier it
+ * attaches to: base_sell = base_cost x (1 + tier margin). We reuse the tier's
+ * own `marginAppliedPct` (the same fraction baked into its sell_price) so the
+ * base and the print it sits on carry identical margin; falls back to the
+ * quantity's schedule margin if the tier doesn't expose one.
+ *
+ * Flat, additive, banded by quantity (screenPrintBase.baseCostForQty). NOT a
+ * tier shift — so there is no colour-count ceiling to fall off, and no floor to
+ * engage. Replaces PR #85's (colours + 1) mechanism entirely.
+ *
+ * @returns {number} margined base cost per unit (0 when no base applies)
+ */
+export function baseSellForPosition(tier, qty, marginOverride) {
+  if (!tier || tier.isPoa) return 0;
+  const cost = baseCostForQty(qty);
+  if (!(cost > 0)) return 0;
+  const margin = tier.marginAppliedPct != null
+    ? Number(tier.marginAppliedPct)
+    : scheduleMarginForTier(qty, marginOverride ?? null);
+  const m = Number.isFinite(margin) ? margin : 0;
+  return cost * (1 + m);
+}
+
+/**
+ * Customer-facing unit price for one quote line — the single implementation
+ * behind LaltexProductView's configurator and the bulk mock-ups
+ * (CustomerBulkMockups). Product tier + each position's all-in print tier
+ * (plus white base on dark garments) + margined UK standard delivery share,
+ * rounded to 2dp at the source (CLAUDE.md §46, §48).
+ *
+ * A position whose tier has no all-in price is POA by default, since bulk
+ * lines land on a quote unreviewed; the configurator passes
+ * unpricedPositionIsPoa: false and prices such a position at 0.
+ *
+ * @param {object} product - normalised Laltex product
+ * @param {object} opts
+ * @param {number} opts.quantity
+ * @param {string|null} opts.colourName - garment colour (white-base check)
+ * @param {Array<{position: string, rowIndex: number, colours: number}>} opts.selections
+ * @param {boolean} [opts.unpricedPositionIsPoa=true]
+ * @returns {{ unitPrice: number|null, basePrice: number|null, printPerUnit: number,
+ *   deliveryUnit: number, contributions: Array<object> }} unitPrice null when
+ *   any part is POA; contributions follow `selections`, each with row, tier,
+ *   unit, rawUnit, isPoa, whiteBase and baseUnit added
+ */
+export function laltexUnitPrice(product, {
+  quantity,
+  colourName,
+  selections,
+  unpricedPositionIsPoa = true,
+}) {
+  const groups = product?.printDetails?.positionGroups || [];
+  const needsBase = productNeedsWhiteBase(product?.subCategory, colourName);
+  const contributions = (selections || []).map((sel) => {
+    const g = groups.find((grp) => grp.name === sel.position);
+    const row = g ? g.rows[sel.rowIndex] || g.rows[g.defaultRowIndex] || g.rows[0] : null;
+    // White base: a screen print on a dark garment needs an opaque
+    // underbase — a flat per-unit PRINT cost per position, margined like the
+    // tier it sits on (baseSellForPosition), not a tier shift.
+    const whiteBase = !!row && needsBase && isScreenPrintRow(row);
+    const tier = row ? pickPrintTier(row.tiers, quantity, sel.colours) : null;
+    if (!tier) {
+      return { ...sel, row, tier, unit: null, rawUnit: null, isPoa: true, whiteBase, baseUnit: 0 };
+    }
+    // tier.allInUnitPrice already carries setup amortisation AND margin
+    // (CLAUDE.md §46 R6) — never add setup again here.
+    const printUnit = tier.allInUnitPrice != null ? Number(tier.allInUnitPrice) : null;
+    const baseUnit = whiteBase ? baseSellForPosition(tier, quantity, product?.marginPctOverride) : 0;
+    const unit = printUnit == null ? null : Number((printUnit + baseUnit).toFixed(6));
+    return {
+      ...sel,
+      row,
+      tier,
+      unit,
+      rawUnit: tier.rawPrice ?? tier.price,
+      isPoa: !!tier.isPoa || (unpricedPositionIsPoa && unit == null),
+      whiteBase,
+      baseUnit: whiteBase ? Number(baseUnit.toFixed(4)) : 0,
+    };
+  });
+
+  const baseTier = pickTier(product?.pricingTiers || [], quantity);
+  const basePrice = baseTier?.pricePerUnit ?? null;
+  const printPerUnit = contributions.reduce((acc, c) => acc + (c.unit || 0), 0);
+  if (basePrice == null || baseTier.isPoa || contributions.some((c) => c.isPoa)) {
+    return { unitPrice: null, basePrice, printPerUnit, deliveryUnit: 0, contributions };
+  }
+
+  // UK STANDARD delivery share at this quantity, margined at the quantity's
+  // schedule rate — a read-time concern; sell_price excludes it (§46). 0
+  // when shipping_charges is empty (PGifts Direct mirror rows).
+  let deliveryUnit = 0;
+  if (Number.isFinite(quantity) && quantity > 0) {
+    const delivery = deliveryPerUnit(product?.shippingCharges, product?.piecesPerCarton, quantity, 'ukstandard');
+    if (Number.isFinite(delivery) && delivery > 0) {
+      const marginPct = scheduleMarginForTier(quantity, product?.marginPctOverride ?? null);
+      deliveryUnit = Number((delivery * (1 + marginPct)).toFixed(4));
+    }
+  }
+
+  // 2dp at the source: every downstream price column is numeric(10,2), so a
+  // finer unit price would show one total and charge another (§48).
+  return {
+    unitPrice: Number((basePrice + printPerUnit + deliveryUnit).toFixed(2)),
+    basePrice,
+    printPerUnit,
+    deliveryUnit,
+    contributions,
+  };
+}
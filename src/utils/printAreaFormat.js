@@ -49,3 +49,50 @@ export function parsePrintArea(value) {
     isComposite: parts.length > 1,
   };
 }
+
+/**
+ * Index of the row inside a Laltex position group matching a saved
+ * (area, printClass) pair: exact tuple first, then print class alone.
+ * Returns -1 when neither matches — callers fall back to the group's
+ * defaultRowIndex.
+ *
+ * Used by DesignerV2 (design restore) and LaltexProductView (quote
+ * pre-load from a saved design).
+ */
+export function findSavedRowIndex(group, area, printClass) {
+  const rows = group?.rows || [];
+  let rowIdx = rows.findIndex((r) => r.area === area && r.printClass === printClass);
+  if (rowIdx < 0 && printClass) {
+    rowIdx = rows.findIndex((r) => r.printClass === printClass);
+  }
+  return rowIdx;
+}
+
+/**
+ * One-line summary of a quote_items.print_areas value. Handles the three
+ * shapes in the table: the structured `{ selections: [...] }` jsonb, the
+ * legacy plain string, and null.
+ *
+ *   { selections: [{ position: 'Front', area: '90x90mm', num_colours: 2 }] }
+ *     -> "Front, 90x90mm, 2 cols"
+ *
+ * Used by CustomerQuotes chips and the quote PDF (lib/quotePdf.js).
+ */
+export function formatPrintAreaSelections(value) {
+  if (!value) return '';
+  // Legacy string format
+  if (typeof value === 'string') return value;
+  // Structured v2 jsonb shape
+  if (value && Array.isArray(value.selections)) {
+    return value.selections
+      .map((s) => {
+        const parts = [s.position];
+        if (s.area) parts.push(s.area);
+        if (s.num_colours) parts.push(`${s.num_colours} col${s.num_colours > 1 ? 's' : ''}`);
+        return parts.filter(Boolean).join(', ');
+      })
+      .join(' / ');
+  }
+  // Defensive fallback for anything else
+  try { return JSON.stringify(value); } catch { return ''; }
+}
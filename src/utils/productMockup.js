@@ -0,0 +1,319 @@
+/**
+ * productMockup.js — render one piece of artwork onto a Laltex product
+ * without opening DesignerV2 (bulk mock-ups, CustomerBulkMockups).
+ *
+ * WHY THIS EXISTS
+ * ---------------
+ * "Our logo on a mug, a pen, a bag and a notebook" meant opening the
+ * designer once per product. The bulk flow renders each product on an
+ * off-screen Fabric canvas the same way DesignerV2 lays out its default
+ * view, drops the artwork centred in the print area, and hands back the
+ * same design JSON + thumbnail DesignerV2's Save writes — so every
+ * mock-up opens in DesignerV2 for fine-tuning like any saved design.
+ *
+ * HOW
+ * ---
+ *   1. defaultMockupPosition picks the position / row DesignerV2 would
+ *      show first (CLAUDE.md §50 resolver for PAC products, name priority
+ *      for bucket-(a) — §53).
+ *   2. The product photo is placed with DesignerV2's rect-anchor centring
+ *      (print rect at canvas centre, clamped) and the print-area overlay
+ *      drawn on top as chrome.
+ *   3. The artwork (an image data URL, or a saved design's user objects
+ *      grouped) is scaled to fill the overlay and centred in it.
+ *      Bucket-(a) products have no rect: the artwork goes in a centred
+ *      INDICATIVE_AREA_SHARE box, flagged `indicative` for the UI.
+ *   4. captureUserCanvasJSON / captureCanvasThumbnail / colour analysis
+ *      read the canvas; the canvas is disposed.
+ *
+ * The layout math mirrors DesignerV2 §5 — change one, change both.
+ */
+
+import { fabric } from 'fabric';
+import { isBucketADesignable, isPositionDesignable } from './laltexPositionHeuristics';
+import {
+  captureUserCanvasJSON,
+  captureCanvasThumbnail,
+  captureUserArtworkPixels,
+  isUserObject,
+} from './fabricCanvasManager';
+import { countSpotColours } from './artworkColours';
+
+// Same drawing buffer as DesignerV2, so saved JSON lands where the
+// designer expects it.
+export const MOCKUP_CANVAS_SIZE = 800;
+
+// Bucket-(a) products have no print rect; the artwork fills this share of
+// the canvas, centred — an indicative position, like DesignerV2's banner.
+const INDICATIVE_AREA_SHARE = 0.4;
+
+// Artwork fills this share of the print box (longer side), leaving a
+// margin. Unlike scaleToFitPrintArea it also grows small artwork — a
+// 200px logo on a tote's 500px rect shouldn't sit in a corner of it.
+const ARTWORK_FILL = 0.9;
+
+// Hosts whose images must be loaded via /api/proxy-image so the canvas
+// stays un-tainted on Fabric draw. The proxy adds CORS headers; without
+// that, canvas.toDataURL() throws SecurityError on PNG/PDF export.
+// Mirrors the server-side ALLOWED_HOSTS in api/proxy-image.js — CLAUDE.md §39.
+const PROXIED_IMAGE_HOSTS = new Set([
+  'laltex-extranet.co.uk',
+]);
+
+/**
+ * Route third-party supplier URLs through /api/proxy-image (CLAUDE.md
+ * §39); everything else gets encodeURI for the raw-space workaround
+ * (CLAUDE.md §35). Shared by DesignerV2 and the bulk mock-ups.
+ *
+ * @param {string} rawUrl
+ * @returns {{ url: string, crossOrigin: string|undefined }}
+ */
+export function resolveImageUrl(rawUrl) {
+  try {
+    const parsed = new URL(rawUrl, window.location.origin);
+    if (PROXIED_IMAGE_HOSTS.has(parsed.hostname.toLowerCase())) {
+      return {
+        url: `/api/proxy-image?url=${encodeURIComponent(rawUrl)}`,
+        crossOrigin: 'anonymous',
+      };
+    }
+  } catch {
+    // Fall through to raw passthrough.
+  }
+  return { url: encodeURI(rawUrl), crossOrigin: undefined };
+}
+
+const hasCoords = (row) => (row?.coordinates?.length || 0) > 0;
+const groupHasPac = (g) => (g.rows || []).some(hasCoords);
+
+// Wrap > Front > Back > first — the priority DesignerV2 uses for both the
+// canonical PAC group (§50) and the bucket-(a) default (§53).
+const byPriority = (groups) => {
+  const byName = (target) => groups.find((g) => (g.name || '').trim().toLowerCase() === target);
+  return byName('wrap') || byName('front') || byName('back') || groups[0] || null;
+};
+
+/**
+ * Can DesignerV2 design this product? Path 1: any print_area_coordinates;
+ * Path 2: bucket-(a) heuristic recognition (CLAUDE.md §53). Same gate as
+ * LaltexProductView's "Open Designer" button.
+ *
+ * @param {object} product - normalised Laltex product
+ * @returns {boolean}
+ */
+export function isProductDesignable(product) {
+  const groups = product?.printDetails?.positionGroups || [];
+  if (groups.some(groupHasPac)) return true;
+  return isBucketADesignable(groups);
+}
+
+/**
+ * The position + row a mock-up prints on.
+ *
+ *   - PAC products: the group flagged default_print_option when its row
+ *     carries coordinates, else the canonical PAC group (§50). The row is
+ *     the group's default, or its first row with coordinates.
+ *   - Bucket-(a): name priority among designable positions (§53).
+ *
+ * @param {object} product - normalised Laltex product
+ * @returns {{ group: object, rowIndex: number, row: object, indicative: boolean } | null}
+ *   null when the product is not designable
+ */
+export function defaultMockupPosition(product) {
+  const groups = product?.printDetails?.positionGroups || [];
+  if (groups.length === 0) return null;
+
+  if (!groups.some(groupHasPac)) {
+    if (!isBucketADesignable(groups)) return null;
+    const group = byPriority(groups.filter((g) => isPositionDesignable(g.name)));
+    if (!group) return null;
+    const row = group.rows[group.defaultRowIndex] || group.rows[0] || null;
+    return { group, rowIndex: group.rows.indexOf(row), row, indicative: true };
+  }
+
+  const flagged = groups.find((g) => (g.rows || []).some((r) => r.defaultOption)) || groups[0];
+  const group = hasCoords(flagged.rows[flagged.defaultRowIndex]) ? flagged : byPriority(groups.filter(groupHasPac));
+  const rowIndex = hasCoords(group.rows[group.defaultRowIndex])
+    ? group.defaultRowIndex
+    : group.rows.findIndex(hasCoords);
+  return { group, rowIndex, row: group.rows[rowIndex], indicative: false };
+}
+
+const loadFabricImage = (url, crossOrigin) =>
+  new Promise((resolve, reject) => {
+    fabric.Image.fromURL(
+      url,
+      (img) => {
+        if (!img || !img.width) reject(new Error('Image failed to load'));
+        else resolve(img);
+      },
+      crossOrigin ? { crossOrigin } : undefined,
+    );
+  });
+
+const enliven = (objects) =>
+  new Promise((resolve) => {
+    fabric.util.enlivenObjects(objects, resolve);
+  });
+
+// Photo + overlay, laid out like DesignerV2 §5. Returns the print box
+// (canvas px) the artwork is fitted to.
+async function placeProduct(canvas, product, row, colour, size) {
+  const allCoords = row?.coordinates || [];
+  const colourCoord = (colour?.name
+    ? allCoords.find((c) => c.colour && c.colour.toLowerCase().trim() === colour.name.toLowerCase().trim())
+    : null) || allCoords[0] || null;
+
+  const rawImageUrl =
+    colourCoord?.image_url ||
+    colour?.plainImages?.[0] ||
+    colour?.images?.[0] ||
+    product.images?.[0]?.url ||
+    null;
+  if (!rawImageUrl) throw new Error('No product image available');
+
+  const { url, crossOrigin } = resolveImageUrl(rawImageUrl);
+  const img = await loadFabricImage(url, crossOrigin);
+
+  const scale = Math.min(size / img.width, size / img.height);
+  const renderedW = img.width * scale;
+  const renderedH = img.height * scale;
+  let imageLeft = (size - renderedW) / 2;
+  let imageTop = (size - renderedH) / 2;
+  if (colourCoord) {
+    imageLeft = size / 2 - (Number(colourCoord.x) + Number(colourCoord.width) / 2) * scale;
+    imageTop = size / 2 - (Number(colourCoord.y) + Number(colourCoord.height) / 2) * scale;
+    if (renderedW < size) imageLeft = Math.max(0, Math.min(size - renderedW, imageLeft));
+    if (renderedH < size) imageTop = Math.max(0, Math.min(size - renderedH, imageTop));
+  }
+
+  img.set({
+    id: 'template-image',
+    name: 'template-image',
+    originX: 'left',
+    originY: 'top',
+    left: imageLeft,
+    top: imageTop,
+    scaleX: scale,
+    scaleY: scale,
+  });
+  canvas.add(img);
+
+  const overlayStyle = {
+    id: 'printAreaOverlay',
+    name: 'printAreaOverlay',
+    stroke: '#3b82f6',
+    strokeDashArray: [6, 4],
+    strokeWidth: 1.5,
+    excludeFromExport: true,
+  };
+  if (colourCoord) {
+    const left = Number(colourCoord.x) * scale + imageLeft;
+    const top = Number(colourCoord.y) * scale + imageTop;
+    const diameter = Number(colourCoord.diameter) * scale;
+    if (colourCoord.shape === 'circle' && diameter > 0) {
+      canvas.add(new fabric.Circle({
+        ...overlayStyle,
+        originX: 'center',
+        originY: 'center',
+        left: left + diameter / 2,
+        top: top + diameter / 2,
+        radius: diameter / 2,
+        fill: 'transparent',
+      }));
+      return { x: left, y: top, width: diameter, height: diameter };
+    }
+    const w = Number(colourCoord.width) * scale;
+    const h = Number(colourCoord.height) * scale;
+    if (w > 0 && h > 0) {
+      canvas.add(new fabric.Rect({
+        ...overlayStyle,
+        originX: 'left',
+        originY: 'top',
+        left,
+        top,
+        width: w,
+        height: h,
+        fill: 'rgba(59, 130, 246, 0.08)',
+      }));
+      return { x: left, y: top, width: w, height: h };
+    }
+  }
+
+  const side = size * INDICATIVE_AREA_SHARE;
+  return { x: (size - side) / 2, y: (size - side) / 2, width: side, height: side };
+}
+
+// The artwork as canvas objects: one image, or a saved design's user
+// objects (isUserObject again, in case a row carries chrome).
+async function buildArtwork({ imageDataUrl, designData }) {
+  if (imageDataUrl) return [await loadFabricImage(imageDataUrl)];
+  const objects = (designData?.objects || []).filter(isUserObject);
+  if (objects.length === 0) throw new Error('The design has no artwork');
+  return enliven(objects);
+}
+
+/**
+ * Render `artwork` on `product`'s default position in its first colour.
+ *
+ * @param {object} params
+ * @param {object} params.product - normalised Laltex product
+ * @param {{ imageDataUrl?: string, designData?: object }} params.artwork
+ * @returns {Promise<{
+ *   designJSON: object,
+ *   thumbnail: string,
+ *   group: object,
+ *   row: object,
+ *   colour: object|null,
+ *   indicative: boolean,
+ *   analysis: {count: number, photographic: boolean}|null,
+ * }>} rejects when the product is not designable or its photo won't load
+ */
+export async function renderProductMockup({ product, artwork }) {
+  const position = defaultMockupPosition(product);
+  if (!position) throw new Error('This product cannot be designed online');
+  const colour = product.colours?.[0] || null;
+
+  const canvas = new fabric.StaticCanvas(null, {
+    width: MOCKUP_CANVAS_SIZE,
+    height: MOCKUP_CANVAS_SIZE,
+  });
+  try {
+    const box = await placeProduct(canvas, product, position.row, colour, MOCKUP_CANVAS_SIZE);
+
+    // Group so a multi-object design scales and centres as one block,
+    // then release the objects so they stay individually editable.
+    const artGroup = new fabric.Group(await buildArtwork(artwork));
+    const scale = Math.min(box.width / artGroup.width, box.height / artGroup.height) * ARTWORK_FILL;
+    artGroup.set({
+      originX: 'center',
+      originY: 'center',
+      left: box.x + box.width / 2,
+      top: box.y + box.height / 2,
+      scaleX: scale,
+      scaleY: scale,
+    });
+    artGroup.setCoords();
+    const parts = artGroup.getObjects();
+    artGroup.destroy();
+    parts.forEach((obj) => {
+      obj.setCoords();
+      canvas.add(obj);
+    });
+    canvas.renderAll();
+
+    const pixels = captureUserArtworkPixels(canvas);
+    const analysis = pixels ? countSpotColours(pixels) : null;
+    return {
+      designJSON: captureUserCanvasJSON(canvas),
+      thumbnail: captureCanvasThumbnail(canvas),
+      group: position.group,
+      row: position.row,
+      colour,
+      indicative: position.indicative,
+      analysis: analysis && analysis.count > 0 ? analysis : null,
+    };
+  } finally {
+    canvas.dispose();
+  }
+}
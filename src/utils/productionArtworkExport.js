@@ -0,0 +1,459 @@
+/**
+ * productionArtworkExport.js — print-scale vector export of a saved design
+ * for production (AdminOrderDetail → "Production files").
+ *
+ * exportCanvasAsPDF / exportCanvasAsPNG are customer previews: they rasterise
+ * the live canvas (product photo included) at 3x. Production needs the
+ * customer's objects alone, as vectors, at the physical print size. This
+ * module works from the stored design JSON (captureUserCanvasJSON shape), so
+ * staff can export any design attached to an order without opening the
+ * Designer:
+ *
+ *   - SVG via Fabric toSVG — text stays text (original font names), shapes
+ *     stay paths, uploads are embedded as they were uploaded (an uploaded
+ *     SVG stays vector).
+ *   - PDF via jsPDF's path / text operators — real paths and selectable
+ *     text. jsPDF only has the 14 base fonts, so text is set in the nearest
+ *     one and scaled to the customer's line width; the slug lists the
+ *     original fonts and the SVG keeps them. Uploaded images are embedded
+ *     as images (an uploaded SVG is rasterised at 300 DPI for the PDF only).
+ *
+ * Geometry: the design's canvas px are mapped to mm with one uniform scale
+ * so the Designer's print-area rectangle (design_data.printArea, recorded by
+ * captureUserCanvasJSON) lands on the trim box. Designs saved before that
+ * field existed are fitted: the artwork's bounding box is scaled into the
+ * trim box and centred, and the slug says the placement is indicative
+ * (CLAUDE.md §53).
+ *
+ * Both files are the trim box plus a SLUG_MM margin carrying crop marks and
+ * a slug (position, trim size, label; the fonts used; the fitted note).
+ */
+
+import { fabric } from 'fabric';
+import jsPDF from 'jspdf';
+
+const SLUG_MM = 12;
+const CROP_MARK_GAP_MM = 3;
+const CROP_MARK_LENGTH_MM = 6;
+const CROP_MARK_WIDTH_MM = 0.1;
+const SLUG_FONT_PT = 7;
+const PT_PER_MM = 72 / 25.4;
+// Resolution an uploaded SVG is rasterised at for the PDF.
+const SVG_RASTER_DPI = 300;
+const MAX_RASTER_EDGE = 6000;
+
+const enliven = (objects) =>
+  new Promise((resolve) => {
+    fabric.util.enlivenObjects(objects || [], (enlivened) => resolve(enlivened));
+  });
+
+function artworkBounds(objects) {
+  return objects.reduce((acc, obj) => {
+    const r = obj.getBoundingRect(true, true);
+    return {
+      left: Math.min(acc.left, r.left),
+      top: Math.min(acc.top, r.top),
+      right: Math.max(acc.right, r.left + r.width),
+      bottom: Math.max(acc.bottom, r.top + r.height),
+    };
+  }, { left: Infinity, top: Infinity, right: -Infinity, bottom: -Infinity });
+}
+
+/**
+ * Trim box in canvas px and the mm-per-px scale.
+ * `fitted` = no recorded print area; the artwork itself was sized to fit.
+ */
+function layoutFor(designData, objects, widthMm, heightMm) {
+  const pa = designData?.printArea;
+  let box;
+  let fitted = false;
+  if (pa?.width > 0 && pa?.height > 0) {
+    box = { left: pa.left, top: pa.top, width: pa.width, height: pa.height };
+  } else {
+    const b = artworkBounds(objects);
+    box = { left: b.left, top: b.top, width: b.right - b.left, height: b.bottom - b.top };
+    fitted = true;
+  }
+  const mmPerPx = Math.min(widthMm / box.width, heightMm / box.height);
+  const trimW = widthMm / mmPerPx;
+  const trimH = heightMm / mmPerPx;
+  return {
+    mmPerPx,
+    fitted,
+    trimLeft: box.left + box.width / 2 - trimW / 2,
+    trimTop: box.top + box.height / 2 - trimH / 2,
+    trimW,
+    trimH,
+  };
+}
+
+// Crop-mark segments in sheet mm (origin top-left of the sheet).
+function cropMarks(widthMm, heightMm) {
+  const x0 = SLUG_MM;
+  const y0 = SLUG_MM;
+  const x1 = SLUG_MM + widthMm;
+  const y1 = SLUG_MM + heightMm;
+  const g = CROP_MARK_GAP_MM;
+  const l = CROP_MARK_LENGTH_MM;
+  return [
+    [x0 - g - l, y0, x0 - g, y0], [x0, y0 - g - l, x0, y0 - g],
+    [x1 + g, y0, x1 + g + l, y0], [x1, y0 - g - l, x1, y0 - g],
+    [x0 - g - l, y1, x0 - g, y1], [x0, y1 + g, x0, y1 + g + l],
+    [x1 + g, y1, x1 + g + l, y1], [x1, y1 + g, x1, y1 + g + l],
+  ];
+}
+
+// Slug text, top line first, with its baseline in sheet mm. Plain ASCII
+// separators: jsPDF's base fonts drop characters outside WinAnsi.
+function slugLines({ position, widthMm, heightMm, label }, layout, fonts) {
+  const lines = [
+    [position || 'Print area', `${widthMm}x${heightMm}mm trim`, label].filter(Boolean).join(' | '),
+  ];
+  if (layout.fitted) lines.push('Artwork fitted to the print area - placement indicative, confirm at proof.');
+  if (fonts?.length) lines.push(`Fonts: ${fonts.join(', ')}`);
+  const lastBaseline = SLUG_MM - CROP_MARK_GAP_MM - 1;
+  return lines.map((text, i) => ({ text, y: lastBaseline - (lines.length - 1 - i) * 3 }));
+}
+
+const SLUG_X_MM = SLUG_MM + CROP_MARK_GAP_MM + 1;
+
+const usedFonts = (objects) => {
+  const fonts = new Set();
+  const walk = (obj) => {
+    if (obj.type === 'group') obj.getObjects().forEach(walk);
+    else if (obj.fontFamily) fonts.add(obj.fontFamily);
+  };
+  objects.forEach(walk);
+  return [...fonts];
+};
+
+const escapeXml = (s) =>
+  String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+/**
+ * Production SVG of one print position.
+ *
+ * @param {object} designData - captureUserCanvasJSON snapshot
+ * @param {object} opts
+ * @param {number} opts.widthMm  - print area width
+ * @param {number} opts.heightMm - print area height
+ * @param {string} [opts.position] - position name for the slug
+ * @param {string} [opts.label]    - e.g. order number + product
+ * @returns {Promise<string|null>} SVG markup; null when the design is empty
+ */
+export async function buildProductionSVG(designData, { widthMm, heightMm, position, label }) {
+  const objects = await enliven(designData?.objects);
+  if (objects.length === 0) return null;
+
+  const layout = layoutFor(designData, objects, widthMm, heightMm);
+  const slugPx = SLUG_MM / layout.mmPerPx;
+  const sheetWmm = widthMm + 2 * SLUG_MM;
+  const sheetHmm = heightMm + 2 * SLUG_MM;
+
+  const staticCanvas = new fabric.StaticCanvas(null, {
+    width: Math.ceil(layout.trimLeft + layout.trimW + slugPx),
+    height: Math.ceil(layout.trimTop + layout.trimH + slugPx),
+    renderOnAddRemove: false,
+  });
+  try {
+    objects.forEach((o) => staticCanvas.add(o));
+    const svg = staticCanvas.toSVG({
+      width: `${sheetWmm}mm`,
+      height: `${sheetHmm}mm`,
+      viewBox: {
+        x: layout.trimLeft - slugPx,
+        y: layout.trimTop - slugPx,
+        width: layout.trimW + 2 * slugPx,
+        height: layout.trimH + 2 * slugPx,
+      },
+    });
+
+    // Marks and slug in sheet mm, mapped into the viewBox by one transform.
+    const toPx = 1 / layout.mmPerPx;
+    const marks = cropMarks(widthMm, heightMm)
+      .map(([x1, y1, x2, y2]) => `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" />`)
+      .join('');
+    const slug = slugLines({ position, widthMm, heightMm, label }, layout, usedFonts(objects))
+      .map(({ text, y }) => `<text x="${SLUG_X_MM}" y="${y}">${escapeXml(text)}</text>`)
+      .join('');
+    const printersMarks =
+      `<g id="printers-marks" transform="translate(${layout.trimLeft - slugPx} ${layout.trimTop - slugPx}) scale(${toPx})">` +
+      `<g stroke="#000000" stroke-width="${CROP_MARK_WIDTH_MM}" fill="none">${marks}</g>` +
+      `<g font-family="Helvetica, Arial, sans-serif" font-size="${SLUG_FONT_PT / PT_PER_MM}" fill="#000000">${slug}</g>` +
+      '</g>';
+    return svg.replace(/<\/svg>\s*$/, `${printersMarks}</svg>`);
+  } finally {
+    staticCanvas.dispose();
+  }
+}
+
+// ---------------------------------------------------------------------------
+// PDF drawing — jsPDF advanced API. The page CTM is mm, y down; each object
+// is drawn in its own local px space under the sheet mapping × its Fabric
+// transform matrix, so rotation / scale / skew / flips / groups come for free.
+// ---------------------------------------------------------------------------
+
+function colourOf(value) {
+  if (!value || value === 'transparent') return null;
+  let css = value;
+  if (typeof value === 'object') {
+    // Gradient / pattern: nearest flat colour is the first stop.
+    css = value.colorStops?.[0]?.color;
+    if (!css) return null;
+  }
+  const [r, g, b, a] = new fabric.Color(css).getSource();
+  return a === 0 ? null : { r, g, b, a };
+}
+
+function pdfFontFor(obj) {
+  const family = String(obj.fontFamily || '').toLowerCase();
+  let name = 'helvetica';
+  if (/times|georgia|garamond|serif/.test(family) && !/sans/.test(family)) name = 'times';
+  else if (/courier|mono/.test(family)) name = 'courier';
+  const bold = obj.fontWeight === 'bold' || Number(obj.fontWeight) >= 600;
+  const italic = obj.fontStyle === 'italic' || obj.fontStyle === 'oblique';
+  const style = bold && italic ? 'bolditalic' : bold ? 'bold' : italic ? 'italic' : 'normal';
+  return { name, style };
+}
+
+// Fill / stroke state for one object; returns the jsPDF paint operator to
+// finish a path with, or null when nothing would be visible.
+function applyPaint(doc, obj) {
+  const fill = colourOf(obj.fill);
+  const stroke = obj.strokeWidth > 0 ? colourOf(obj.stroke) : null;
+  if (fill) doc.setFillColor(fill.r, fill.g, fill.b);
+  if (stroke) {
+    doc.setDrawColor(stroke.r, stroke.g, stroke.b);
+    doc.setLineWidth(obj.strokeWidth);
+    doc.setLineDashPattern(obj.strokeDashArray || [], 0);
+  }
+  const alpha = (obj.opacity ?? 1) * Math.min(fill?.a ?? 1, stroke?.a ?? 1);
+  if (alpha < 1) doc.setGState(new doc.GState({ opacity: alpha, 'stroke-opacity': alpha }));
+  if (fill && stroke) return 'fillStroke';
+  if (fill) return 'fill';
+  if (stroke) return 'stroke';
+  return null;
+}
+
+function finishPath(doc, op, evenOdd) {
+  if (op === 'fill') (evenOdd ? doc.fillEvenOdd : doc.fill).call(doc);
+  else if (op === 'fillStroke') (evenOdd ? doc.fillStrokeEvenOdd : doc.fillStroke).call(doc);
+  else doc.stroke();
+}
+
+// Fabric 5 stores parsed paths as absolute M / L / C / Q / Z commands.
+function tracePath(doc, commands, ox, oy) {
+  let cx = 0;
+  let cy = 0;
+  commands.forEach((c) => {
+    switch (c[0]) {
+      case 'M': doc.moveTo(c[1] - ox, c[2] - oy); [cx, cy] = [c[1], c[2]]; break;
+      case 'L': doc.lineTo(c[1] - ox, c[2] - oy); [cx, cy] = [c[1], c[2]]; break;
+      case 'C':
+        doc.curveTo(c[1] - ox, c[2] - oy, c[3] - ox, c[4] - oy, c[5] - ox, c[6] - oy);
+        [cx, cy] = [c[5], c[6]];
+        break;
+      case 'Q': {
+        // Quadratic → cubic.
+        const [qx, qy, x, y] = [c[1], c[2], c[3], c[4]];
+        doc.curveTo(
+          cx + (2 / 3) * (qx - cx) - ox, cy + (2 / 3) * (qy - cy) - oy,
+          x + (2 / 3) * (qx - x) - ox, y + (2 / 3) * (qy - y) - oy,
+          x - ox, y - oy,
+        );
+        [cx, cy] = [x, y];
+        break;
+      }
+      case 'Z':
+      case 'z':
+        doc.close();
+        break;
+      default:
+        break;
+    }
+  });
+}
+
+function traceEllipse(doc, rx, ry) {
+  const k = 0.5522847498;
+  doc.moveTo(rx, 0);
+  doc.curveTo(rx, ry * k, rx * k, ry, 0, ry);
+  doc.curveTo(-rx * k, ry, -rx, ry * k, -rx, 0);
+  doc.curveTo(-rx, -ry * k, -rx * k, -ry, 0, -ry);
+  doc.curveTo(rx * k, -ry, rx, -ry * k, rx, 0);
+  doc.close();
+}
+
+function drawText(doc, obj) {
+  const fill = colourOf(obj.fill);
+  if (!fill) return;
+  doc.setTextColor(fill.r, fill.g, fill.b);
+  const alpha = obj.opacity ?? 1;
+  if (alpha < 1 || fill.a < 1) doc.setGState(new doc.GState({ opacity: alpha * fill.a }));
+  const { name, style } = pdfFontFor(obj);
+  doc.setFont(name, style);
+  // Font size in local px: jsPDF takes pt and divides by the mm scale factor.
+  doc.setFontSize(obj.fontSize * PT_PER_MM);
+
+  let top = -obj.height / 2;
+  obj._textLines.forEach((chars, i) => {
+    const heightOfLine = obj.getHeightOfLine(i);
+    const line = chars.join('');
+    if (line.trim()) {
+      const baseline = top + (heightOfLine / obj.lineHeight) * (1 - obj._fontSizeFraction);
+      const left = -obj.width / 2 + obj._getLineLeftOffset(i);
+      const measured = doc.getTextWidth(line);
+      const target = obj.getLineWidth(i);
+      doc.text(line, left, baseline, {
+        baseline: 'alphabetic',
+        horizontalScale: measured > 0 && target > 0 ? target / measured : 1,
+      });
+    }
+    top += heightOfLine;
+  });
+}
+
+function drawImage(doc, obj, mmPerPx) {
+  const el = obj.getElement?.();
+  if (!el) return;
+  const w = obj.width;
+  const h = obj.height;
+  const src = obj.getSrc?.() || '';
+  const isSvg = /^data:image\/svg\+xml|\.svg(\?|$)/i.test(src);
+  // Native resolution for bitmaps; uploaded SVGs at SVG_RASTER_DPI of their
+  // printed size.
+  let outW = obj.cropX != null ? w : el.naturalWidth || el.width;
+  let outH = obj.cropY != null ? h : el.naturalHeight || el.height;
+  if (isSvg) {
+    const printedWmm = w * Math.abs(obj.scaleX || 1) * mmPerPx;
+    const scale = ((printedWmm / 25.4) * SVG_RASTER_DPI) / w;
+    outW = w * scale;
+    outH = h * scale;
+  }
+  const fit = Math.min(1, MAX_RASTER_EDGE / Math.max(outW, outH));
+  const c = document.createElement('canvas');
+  c.width = Math.max(1, Math.round(outW * fit));
+  c.height = Math.max(1, Math.round(outH * fit));
+  c.getContext('2d').drawImage(el, obj.cropX || 0, obj.cropY || 0, w, h, 0, 0, c.width, c.height);
+  if (obj.opacity < 1) doc.setGState(new doc.GState({ opacity: obj.opacity }));
+  doc.addImage(c.toDataURL('image/png'), 'PNG', -w / 2, -h / 2, w, h);
+}
+
+function drawObject(doc, obj, mmPerPx) {
+  if (obj.visible === false) return;
+  if (obj.type === 'group' || obj.type === 'activeSelection') {
+    obj.getObjects().forEach((child) => drawObject(doc, child, mmPerPx));
+    return;
+  }
+
+  const [a, b, c, d, e, f] = obj.calcTransformMatrix();
+  doc.saveGraphicsState();
+  doc.setCurrentTransformationMatrix(new doc.Matrix(a, b, c, d, e, f));
+  try {
+    if (obj.type === 'image') {
+      drawImage(doc, obj, mmPerPx);
+    } else if (obj.type === 'text' || obj.type === 'i-text' || obj.type === 'textbox') {
+      drawText(doc, obj);
+    } else {
+      const op = applyPaint(doc, obj);
+      if (op) {
+        const w = obj.width;
+        const h = obj.height;
+        switch (obj.type) {
+          case 'rect':
+            if (obj.rx > 0 || obj.ry > 0) {
+              doc.roundedRect(-w / 2, -h / 2, w, h, obj.rx || obj.ry, obj.ry || obj.rx, null);
+            } else {
+              doc.rect(-w / 2, -h / 2, w, h, null);
+            }
+            break;
+          case 'circle':
+            traceEllipse(doc, obj.radius, obj.radius);
+            break;
+          case 'ellipse':
+            traceEllipse(doc, obj.rx, obj.ry);
+            break;
+          case 'triangle':
+            doc.moveTo(-w / 2, h / 2);
+            doc.lineTo(0, -h / 2);
+            doc.lineTo(w / 2, h / 2);
+            doc.close();
+            break;
+          case 'line': {
+            const p = obj.calcLinePoints();
+            doc.moveTo(p.x1, p.y1);
+            doc.lineTo(p.x2, p.y2);
+            break;
+          }
+          case 'polygon':
+          case 'polyline':
+            obj.points.forEach((pt, i) => {
+              const x = pt.x - obj.pathOffset.x;
+              const y = pt.y - obj.pathOffset.y;
+              if (i === 0) doc.moveTo(x, y);
+              else doc.lineTo(x, y);
+            });
+            if (obj.type === 'polygon') doc.close();
+            break;
+          case 'path':
+            tracePath(doc, obj.path, obj.pathOffset.x, obj.pathOffset.y);
+            break;
+          default:
+            console.warn('[productionArtworkExport] unsupported object type:', obj.type);
+            break;
+        }
+        finishPath(doc, obj.type === 'line' || obj.type === 'polyline' ? 'stroke' : op, obj.fillRule === 'evenodd');
+      }
+    }
+  } finally {
+    doc.restoreGraphicsState();
+  }
+}
+
+/**
+ * Production PDF of one print position — same geometry, marks and slug as
+ * buildProductionSVG.
+ *
+ * @param {object} designData - captureUserCanvasJSON snapshot
+ * @param {object} opts - see buildProductionSVG
+ * @returns {Promise<Blob|null>} null when the design is empty
+ */
+export async function buildProductionPDF(designData, { widthMm, heightMm, position, label }) {
+  const objects = await enliven(designData?.objects);
+  if (objects.length === 0) return null;
+
+  const layout = layoutFor(designData, objects, widthMm, heightMm);
+  const sheetWmm = widthMm + 2 * SLUG_MM;
+  const sheetHmm = heightMm + 2 * SLUG_MM;
+  const doc = new jsPDF({
+    unit: 'mm',
+    format: [sheetWmm, sheetHmm],
+    orientation: sheetWmm > sheetHmm ? 'landscape' : 'portrait',
+  });
+  doc.setProperties({ title: [position, label].filter(Boolean).join(' | ') });
+
+  doc.advancedAPI((api) => {
+    // Artwork: canvas px → sheet mm.
+    api.saveGraphicsState();
+    api.setCurrentTransformationMatrix(new api.Matrix(
+      layout.mmPerPx, 0, 0, layout.mmPerPx,
+      SLUG_MM - layout.trimLeft * layout.mmPerPx,
+      SLUG_MM - layout.trimTop * layout.mmPerPx,
+    ));
+    objects.forEach((obj) => drawObject(api, obj, layout.mmPerPx));
+    api.restoreGraphicsState();
+
+    // Crop marks in registration black, slug in black.
+    api.setDrawColor(1, 1, 1, 1);
+    api.setLineWidth(CROP_MARK_WIDTH_MM);
+    api.setLineDashPattern([], 0);
+    cropMarks(widthMm, heightMm).forEach(([x1, y1, x2, y2]) => api.line(x1, y1, x2, y2));
+    api.setFont('helvetica', 'normal');
+    api.setFontSize(SLUG_FONT_PT);
+    api.setTextColor(0, 0, 0);
+    slugLines({ position, widthMm, heightMm, label }, layout, usedFonts(objects))
+      .forEach(({ text, y }) => api.text(text, SLUG_X_MM, y));
+  });
+
+  return doc.output('blob');
+}
@@ -32,7 +32,7 @@ export const LOW_STOCK_THRESHOLD = 20;
 
 // On-view refresh window: a product page re-polls Laltex for its own stock only
 // when the stored figure is older than this. The SERVER re-checks the same
-// window before any upstream call (scripts/lib/laltex-stock.js
+// window before any upstream call (scripts/lib/supplier-stock.js
 // refreshProductStock), so this client-side value is only an optimisation —
 // but both import this one constant so they cannot drift.
 export const ON_VIEW_FRESHNESS_MS = 60 * 60 * 1000;
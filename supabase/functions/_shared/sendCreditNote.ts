@@ -0,0 +1,191 @@
+// Shared credit-note email helper.
+//
+// Called by supabase/functions/stripe-webhook on charge.refunded, once per
+// succeeded order_refunds row (see 20261019_order_refunds.sql). Refunds
+// issued from the admin page (api/admin/refund-order) and from the Stripe
+// dashboard both arrive here via the webhook, so this is the single
+// credit-note path.
+//
+// Idempotent the same way as sendOrderConfirmation: a CAS UPDATE on
+// order_refunds.credit_note_sent_at (predicate IS NULL) plus a Resend
+// Idempotency-Key of refund-${refundId}-credit-note, so a webhook redelivery
+// never emails the customer twice. Never throws; returns { sent, reason }.
+// Resend failures do NOT stamp the column, so the next delivery retries.
+
+import type { SupabaseClient } from "https://esm.sh/@supabase/supabase-js@2";
+import { renderEmail } from "./emailShell.ts";
+
+export type SendCreditNoteResult =
+  | { sent: true }
+  | {
+    sent: false;
+    reason:
+      | "no_api_key"
+      | "refund_not_found"
+      | "not_succeeded"
+      | "no_customer_email"
+      | "already_sent"
+      | "stamped_by_other_path"
+      | "resend_error"
+      | "error";
+  };
+
+const esc = (v: unknown): string =>
+  String(v ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const money = (v: unknown): string => `£${(Number(v) || 0).toFixed(2)}`;
+
+export async function sendCreditNote(
+  supabase: SupabaseClient,
+  refundId: string,
+): Promise<SendCreditNoteResult> {
+  try {
+    const resendApiKey = Deno.env.get("RESEND_API_KEY");
+    if (!resendApiKey) {
+      console.warn("[credit-note] RESEND_API_KEY not set — skipping email send");
+      return { sent: false, reason: "no_api_key" };
+    }
+
+    const { data: refund, error: refundErr } = await supabase
+      .from("order_refunds")
+      .select(
+        "id, order_id, amount, vat_amount, status, reason, credit_note_number, credit_note_sent_at, created_at",
+      )
+      .eq("id", refundId)
+      .single();
+
+    if (refundErr || !refund) {
+      console.error("[credit-note] refund not found:", refundId, refundErr);
+      return { sent: false, reason: "refund_not_found" };
+    }
+    if (refund.status !== "succeeded") return { sent: false, reason: "not_succeeded" };
+    if (refund.credit_note_sent_at) return { sent: false, reason: "already_sent" };
+
+    const { data: order } = await supabase
+      .from("orders")
+      .select("id, order_number, customer_id, total_amount, refunded_amount, shipping_address, po_number")
+      .eq("id", refund.order_id)
+      .single();
+
+    let customerEmail: string | null = null;
+    if (order?.customer_id) {
+      const { data: userData } = await supabase.auth.admin.getUserById(order.customer_id);
+      customerEmail = userData?.user?.email || null;
+    }
+    if (!customerEmail) {
+      console.warn("[credit-note] No customer email for refund", refund.credit_note_number);
+      return { sent: false, reason: "no_customer_email" };
+    }
+
+    // VAT-credit-note identity. MIRRORS src/config/business.js — Deno can't
+    // import from src/, so keep these in sync if the constants module changes.
+    const BUSINESS_VAT_NUMBER = "GB 685 8348 77";
+    const BUSINESS_TRADING_ADDRESS =
+      "Unit 9, Clearfields Industrial Estate, Wotton Underwood, Buckinghamshire, HP18 0RS";
+    const BUSINESS_DISCLOSURE =
+      "Promo Gifts is a trading name of Alpha Omega Ltd. Registered in England & Wales.";
+
+    const gross = Number(refund.amount) || 0;
+    const vat = Number(refund.vat_amount) || 0;
+    const net = gross - vat;
+    const orderNumber = order?.order_number || String(refund.order_id).slice(0, 8);
+    const issued = new Date(refund.created_at).toLocaleDateString("en-GB", {
+      day: "numeric",
+      month: "long",
+      year: "numeric",
+    });
+    const isFull = order && Number(order.refunded_amount) >= Number(order.total_amount);
+    const company = order?.shipping_address?.company || null;
+
+    const row = (label: string, value: string, bold = false) =>
+      `                  <tr${bold ? ' style="font-weight:bold;"' : ""}>
+                    <td style="padding:${bold ? "6px 0 8px 0; border-top:1px solid #e5e5e5;" : "2px 0;"} font-size:14px; color:${bold ? "#1a1a1a" : "#4b5563"};">${label}</td>
+                    <td align="right" style="text-align:right; padding:${bold ? "6px 0 8px 0; border-top:1px solid #e5e5e5;" : "2px 0;"} font-size:14px; color:${bold ? "#1a1a1a" : "#4b5563"};">${value}</td>
+                  </tr>`;
+
+    const bodyHtml = `              <p style="margin:0 0 16px 0; font-size:15px; line-height:1.6; color:#1a1a1a;">We've issued a ${isFull ? "full" : "partial"} refund for order <strong>${esc(orderNumber)}</strong>. The money is on its way back to your original payment method — card refunds usually take 5–10 working days to appear.</p>
+              <table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="width:100%; border-collapse:collapse; margin:8px 0 20px 0;">
+${row("Credit note", esc(refund.credit_note_number))}
+${row("Date", esc(issued))}
+${row("Original order", esc(orderNumber))}
+${order?.po_number ? row("PO number", esc(order.po_number)) + "\n" : ""}${company ? row("Customer", esc(company)) + "\n" : ""}${refund.reason ? row("Reason", esc(refund.reason)) + "\n" : ""}${row("Net credit (ex VAT)", `-${money(net)}`)}
+${row("VAT credit", `-${money(vat)}`)}
+${row("Total refunded", `-${money(gross)}`, true)}
+              </table>
+              <p style="margin:16px 0 0 0; font-size:12px; line-height:1.6; color:#6b7280;">
+                This is your VAT credit note against order ${esc(orderNumber)}. VAT No: ${BUSINESS_VAT_NUMBER}.<br>
+                ${BUSINESS_TRADING_ADDRESS}
+              </p>
+              <p style="margin:8px 0 0 0; font-size:12px; line-height:1.6; color:#9ca3af;">${BUSINESS_DISCLOSURE}</p>`;
+
+    const bodyText = `We've issued a ${isFull ? "full" : "partial"} refund for order ${orderNumber}. Card refunds usually take 5–10 working days to appear.
+
+Credit note: ${refund.credit_note_number}
+Date: ${issued}
+Original order: ${orderNumber}${order?.po_number ? `\nPO number: ${order.po_number}` : ""}${company ? `\nCustomer: ${company}` : ""}${refund.reason ? `\nReason: ${refund.reason}` : ""}
+
+Net credit (ex VAT): -${money(net)}
+VAT credit: -${money(vat)}
+Total refunded: -${money(gross)}
+
+This is your VAT credit note against order ${orderNumber}. VAT No: ${BUSINESS_VAT_NUMBER}.
+${BUSINESS_TRADING_ADDRESS}
+${BUSINESS_DISCLOSURE}`;
+
+    const { html, text } = renderEmail({
+      preheader: `Credit note ${refund.credit_note_number} — ${money(gross)} refunded for order ${orderNumber}.`,
+      heading: "Your refund is on its way",
+      bodyHtml,
+      bodyText,
+      ctaLabel: "View your orders",
+      ctaUrl: "https://promo-gifts-co.uk/account/orders",
+      supportEmail: "orders@promo-gifts.co",
+    });
+
+    const resendRes = await fetch("https://api.resend.com/emails", {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${resendApiKey}`,
+        "Content-Type": "application/json",
+        "Idempotency-Key": `refund-${refund.id}-credit-note`,
+      },
+      body: JSON.stringify({
+        from: "PGifts <orders@promo-gifts.co>",
+        to: [customerEmail],
+        reply_to: "orders@promo-gifts.co",
+        subject: `Credit note ${refund.credit_note_number} — order ${orderNumber}`,
+        html,
+        text,
+      }),
+    });
+
+    if (!resendRes.ok) {
+      console.error("[credit-note] Resend send failed:", resendRes.status, await resendRes.text());
+      return { sent: false, reason: "resend_error" };
+    }
+
+    const { data: stamped, error: stampErr } = await supabase
+      .from("order_refunds")
+      .update({ credit_note_sent_at: new Date().toISOString() })
+      .eq("id", refund.id)
+      .is("credit_note_sent_at", null)
+      .select("id");
+
+    if (stampErr) {
+      console.error("[credit-note] Failed to stamp credit_note_sent_at (non-fatal):", stampErr);
+    }
+    if (!stamped || stamped.length === 0) {
+      return { sent: false, reason: "stamped_by_other_path" };
+    }
+
+    console.log("[credit-note] Credit note", refund.credit_note_number, "sent to", customerEmail);
+    return { sent: true };
+  } catch (err) {
+    console.error("[credit-note] Unexpected error (non-fatal):", err);
+    return { sent: false, reason: "error" };
+  }
+}
@@ -125,7 +125,7 @@ export async function sendInternalOrderAlert(
     const { data: order, error: orderErr } = await supabase
       .from("orders")
       .select(
-        "id, order_number, created_at, payment_status, payment_intent_id, subtotal, tax_amount, total_amount, shipping_address, po_number, customer_id, internal_alert_sent_at",
+        "id, order_number, created_at, payment_status, payment_intent_id, subtotal, tax_amount, total_amount, discount_amount, promo_code, shipping_address, po_number, customer_id, internal_alert_sent_at",
       )
       .eq("id", orderId)
       .single();
@@ -203,6 +203,7 @@ export async function sendInternalOrderAlert(
       const subtotal = Number(order.subtotal) || 0;
       const vat = Number(order.tax_amount) || 0;
       const total = Number(order.total_amount) || 0;
+      const discount = Number(order.discount_amount) || 0;
       const hasZeroRated = items.some((i: any) => i.taxable_net_unit != null);
 
       const siteUrl = Deno.env.get("SITE_URL") || "https://promo-gifts-co.uk";
@@ -293,7 +294,8 @@ ${deliveryHtml}
 
               <table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="margin:12px 0 0 0;">
                 <tr><td style="text-align:right; font-size:14px; color:#6b7280; padding:2px 0;">Subtotal (ex VAT): <span style="color:#1a1a1a; display:inline-block; min-width:90px; text-align:right;">${money(subtotal)}</span></td></tr>
-                <tr><td style="text-align:right; font-size:14px; color:#6b7280; padding:2px 0;">VAT: <span style="color:#1a1a1a; display:inline-block; min-width:90px; text-align:right;">${money(vat)}</span></td></tr>
+${discount > 0 ? `                <tr><td style="text-align:right; font-size:14px; color:#6b7280; padding:2px 0;">Discount (${esc(order.promo_code || "")}): <span style="color:#1a1a1a; display:inline-block; min-width:90px; text-align:right;">-${money(discount)}</span></td></tr>
+` : ""}                <tr><td style="text-align:right; font-size:14px; color:#6b7280; padding:2px 0;">VAT: <span style="color:#1a1a1a; display:inline-block; min-width:90px; text-align:right;">${money(vat)}</span></td></tr>
                 <tr><td style="text-align:right; font-size:16px; font-weight:700; color:#1a1a1a; padding:6px 0 0 0;">Total: <span style="display:inline-block; min-width:90px; text-align:right;">${money(total)}</span></td></tr>
               </table>
 ${zeroRatedNote}`;
@@ -332,7 +334,7 @@ ITEMS
 ${itemsText}
 
 Subtotal (ex VAT): ${money(subtotal)}
-VAT: ${money(vat)}
+${discount > 0 ? `Discount (${order.promo_code || ""}): -${money(discount)}\n` : ""}VAT: ${money(vat)}
 Total: ${money(total)}
 ${hasZeroRated ? "\nNote: zero-rated line present; VAT is not 20% of subtotal (correct).\n" : ""}
 Open in admin: ${adminUrl}`;
@@ -69,7 +69,7 @@ export async function sendOrderConfirmation(
   const { data: orderRow, error: orderFetchError } = await supabase
     .from("orders")
     .select(
-      "id, order_number, total_amount, subtotal, tax_amount, customer_id, confirmation_email_sent_at, shipping_address, po_number, deleted_at",
+      "id, order_number, total_amount, subtotal, tax_amount, discount_amount, promo_code, customer_id, confirmation_email_sent_at, shipping_address, po_number, deleted_at",
     )
     .eq("id", orderId)
     .is("deleted_at", null)
@@ -116,6 +116,8 @@ export async function sendOrderConfirmation(
   const totalAmount = Number(orderRow.total_amount) || 0;
   const subtotal = Number(orderRow.subtotal) || 0;
   const vatAmount = Number(orderRow.tax_amount) || 0;
+  const discountAmount = Number(orderRow.discount_amount) || 0;
+  const discountLabel = orderRow.promo_code ? `Discount (${orderRow.promo_code})` : "Discount";
 
   // VAT-invoice identity. MIRRORS src/config/business.js — Deno can't import
   // from src/, so keep these in sync if the constants module changes.
@@ -232,7 +234,11 @@ export async function sendOrderConfirmation(
                     <td colspan="2" style="padding:12px 0 2px 0; font-size:14px; color:#4b5563;">Subtotal (ex VAT)</td>
                     <td align="right" style="text-align:right; padding:12px 0 2px 0; font-size:14px; color:#4b5563;">£${subtotal.toFixed(2)}</td>
                   </tr>
-                  <tr>
+${discountAmount > 0 ? `                  <tr>
+                    <td colspan="2" style="padding:2px 0; font-size:14px; color:#4b5563;">${discountLabel}</td>
+                    <td align="right" style="text-align:right; padding:2px 0; font-size:14px; color:#4b5563;">-£${discountAmount.toFixed(2)}</td>
+                  </tr>
+` : ""}                  <tr>
                     <td colspan="2" style="padding:2px 0; font-size:14px; color:#4b5563;">VAT</td>
                     <td align="right" style="text-align:right; padding:2px 0; font-size:14px; color:#4b5563;">£${vatAmount.toFixed(2)}</td>
                   </tr>
@@ -261,7 +267,7 @@ ${deliveryHtml}
 
 ${itemsText}
 
-Subtotal (ex VAT): £${subtotal.toFixed(2)}
+Subtotal (ex VAT): £${subtotal.toFixed(2)}${discountAmount > 0 ? `\n${discountLabel}: -£${discountAmount.toFixed(2)}` : ""}
 VAT: £${vatAmount.toFixed(2)}
 Total: £${totalAmount.toFixed(2)}${deliveryText}
 
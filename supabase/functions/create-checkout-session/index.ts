@@ -30,7 +30,7 @@ Deno.serve(async (req: Request) => {
     // Read the quote from Supabase
     const { data: quote, error: quoteError } = await supabase
       .from("quotes")
-      .select("id, total_amount, quote_number, status, customer_id")
+      .select("id, total_amount, quote_number, status, customer_id, company_id, promo_code, discount_amount")
       .eq("id", quote_id)
       .single();
 
@@ -49,6 +49,65 @@ Deno.serve(async (req: Request) => {
       );
     }
 
+    // The caller is identified from their session JWT. Personal quotes are
+    // paid by their owner. Company quotes (20261019_company_accounts.sql) are
+    // paid by one of the company's approvers only — buyers submit them for
+    // approval instead. The company is taken from the quote owner's
+    // membership first, so the gate doesn't rest on quote.company_id alone.
+    const token = (req.headers.get("authorization") || "").replace(/^Bearer\s+/i, "");
+    const { data: callerData } = await supabase.auth.getUser(token);
+    const callerId = callerData?.user?.id;
+
+    const { data: ownerMember } = quote.customer_id
+      ? await supabase
+        .from("company_members")
+        .select("company_id")
+        .eq("user_id", quote.customer_id)
+        .maybeSingle()
+      : { data: null };
+    const companyId = ownerMember?.company_id || quote.company_id;
+    if (companyId) {
+      const { data: member } = callerId
+        ? await supabase
+          .from("company_members")
+          .select("role")
+          .eq("company_id", companyId)
+          .eq("user_id", callerId)
+          .maybeSingle()
+        : { data: null };
+      if (member?.role !== "approver") {
+        return new Response(
+          JSON.stringify({ error: "Only a company approver can pay this quote. Submit it for approval instead." }),
+          { status: 403, headers: { ...corsHeaders, "Content-Type": "application/json" } }
+        );
+      }
+    } else if (!callerId || callerId !== quote.customer_id) {
+      return new Response(
+        JSON.stringify({ error: "Quote not found" }),
+        { status: 404, headers: { ...corsHeaders, "Content-Type": "application/json" } }
+      );
+    }
+
+    // Re-evaluate any applied promo code before charging — only now that the
+    // quote and caller have checked out, since this runs as the service role.
+    // A code can expire or hit its usage limit between "Apply" and "Pay Now";
+    // refresh_quote_totals drops the discount in that case so Stripe never
+    // sees a stale total. Non-fatal: a failure here leaves the
+    // trigger-maintained totals in place.
+    const { error: refreshError } = await supabase.rpc("refresh_quote_totals", {
+      p_quote_id: quote.id,
+    });
+    if (refreshError) {
+      console.warn("[create-checkout-session] refresh_quote_totals failed:", refreshError);
+    } else {
+      const { data: totals } = await supabase
+        .from("quotes")
+        .select("total_amount, promo_code, discount_amount")
+        .eq("id", quote.id)
+        .single();
+      if (totals) Object.assign(quote, totals);
+    }
+
     // Reject non-positive totals. Stripe auto-completes £0 sessions without
     // a card charge, so an empty-cart or null-total quote would silently
     // pass through and produce a "paid" confirmation email. Check against
@@ -94,6 +153,18 @@ Deno.serve(async (req: Request) => {
     );
     params.append("cancel_url", `${siteUrl}/account/quotes`);
     params.append("metadata[quote_id]", quote_id);
+    // Promotion: the discount is already netted into total_amount (the DB
+    // computes it), so it rides along as description + metadata rather than
+    // a Stripe coupon. confirm_payment_atomic copies it onto the order.
+    const discountAmount = Number(quote.discount_amount) || 0;
+    if (quote.promo_code && discountAmount > 0) {
+      params.append(
+        "line_items[0][price_data][product_data][description]",
+        `Includes promo code ${quote.promo_code}: -£${discountAmount.toFixed(2)} (ex VAT)`
+      );
+      params.append("metadata[promo_code]", quote.promo_code);
+      params.append("metadata[discount_amount]", discountAmount.toFixed(2));
+    }
     if (email) {
       params.append("customer_email", email);
     }
@@ -0,0 +1,235 @@
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2";
+import { renderEmail } from "../_shared/emailShell.ts";
+
+// Abandoned draft-quote / cart reminder run (20261019_abandoned_reminders.sql).
+//
+// Invoked once a day by the Vercel cron api/cron/abandoned-reminders.js, NOT
+// from the browser. Deploy with `--no-verify-jwt` (see config.toml): the cron
+// sends no Supabase JWT, so this function compares a shared secret
+// (x-reminder-secret header) against the ABANDONED_REMINDER_SECRET Edge
+// Function secret — the same value is set in Vercel.
+//
+// Per candidate (abandoned_reminder_candidates — at most one per customer):
+//   1. Claim: INSERT the abandoned_reminders row. The partial unique indexes
+//      reject a second claim for the same quote / cart version + number, so
+//      overlapping runs cannot double-send or exceed the cap.
+//   2. Send via Resend (Idempotency-Key per claim subject).
+//   3. Resend failure -> DELETE the claim, so tomorrow's run retries.
+//
+// Body: { idle_days?, max_reminders? } — clamped; defaults 3 and 2.
+// Returns a summary; 401 only for a bad / missing secret.
+
+const SITE_URL = "https://promo-gifts-co.uk";
+const SUPPORT_EMAIL = "orders@promo-gifts.co";
+const DEFAULT_IDLE_DAYS = 3;
+const DEFAULT_MAX_REMINDERS = 2;
+const MAX_PER_RUN = 200;
+
+type Candidate = {
+  kind: "quote" | "cart";
+  user_id: string;
+  quote_id: string | null;
+  quote_number: string | null;
+  total_amount: number | null;
+  item_count: number;
+  cart_updated_at: string | null;
+  reminder_number: number;
+  opt_out_token: string;
+};
+
+function json(status: number, payload: Record<string, unknown>) {
+  return new Response(JSON.stringify(payload), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+}
+
+const esc = (v: unknown): string =>
+  String(v ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const clampInt = (value: unknown, fallback: number, min: number, max: number): number => {
+  const n = Number(value);
+  if (!Number.isInteger(n)) return fallback;
+  return Math.min(Math.max(n, min), max);
+};
+
+const money = (value: number | null): string =>
+  value == null ? "" : `£${Number(value).toFixed(2)}`;
+
+function renderReminder(c: Candidate) {
+  const optOutUrl = `${SITE_URL}/reminders/opt-out?token=${encodeURIComponent(c.opt_out_token)}`;
+  const footerNote = `You're receiving this because you started a quote with PGifts. <a href="${optOutUrl}" style="color:#666; text-decoration:underline;">Stop these reminders</a>.`;
+  const items = `${c.item_count} ${c.item_count === 1 ? "item" : "items"}`;
+
+  if (c.kind === "quote") {
+    const total = c.total_amount ? ` (${money(c.total_amount)} ex VAT)` : "";
+    const bodyHtml = `              <p style="margin:0 0 16px 0; font-size:15px; line-height:1.6; color:#1a1a1a;">Your draft quote <strong>${esc(c.quote_number)}</strong> — ${items}${esc(total)} — is saved in your account and ready when you are.</p>
+              <p style="margin:0 0 16px 0; font-size:15px; line-height:1.6; color:#1a1a1a;">Review it, add your delivery details and pay online to get your order into production. Questions about artwork, quantities or delivery dates? Just reply to this email.</p>`;
+    const bodyText = `Your draft quote ${c.quote_number} — ${items}${total} — is saved in your account and ready when you are.
+
+Review it, add your delivery details and pay online to get your order into production. Questions about artwork, quantities or delivery dates? Just reply to this email.`;
+    const { html, text } = renderEmail({
+      preheader: `Your quote ${c.quote_number} is saved and ready to order.`,
+      heading: "Your quote is waiting",
+      bodyHtml,
+      bodyText,
+      ctaLabel: "View my quotes",
+      ctaUrl: `${SITE_URL}/account/quotes`,
+      footerNote,
+      supportEmail: SUPPORT_EMAIL,
+    });
+    return {
+      subject: `Your PGifts quote ${c.quote_number} is waiting`,
+      html,
+      text: `${text}\n\nStop these reminders: ${optOutUrl}`,
+    };
+  }
+
+  const bodyHtml = `              <p style="margin:0 0 16px 0; font-size:15px; line-height:1.6; color:#1a1a1a;">You left ${items} in your PGifts cart. We've kept it saved to your account, at today's prices.</p>
+              <p style="margin:0 0 16px 0; font-size:15px; line-height:1.6; color:#1a1a1a;">Pick up where you left off, or reply to this email if you'd like help with artwork or quantities.</p>`;
+  const bodyText = `You left ${items} in your PGifts cart. We've kept it saved to your account, at today's prices.
+
+Pick up where you left off, or reply to this email if you'd like help with artwork or quantities.`;
+  const { html, text } = renderEmail({
+    preheader: "Your cart is saved — pick up where you left off.",
+    heading: "Still thinking it over?",
+    bodyHtml,
+    bodyText,
+    ctaLabel: "View my cart",
+    ctaUrl: `${SITE_URL}/?cart=open`,
+    footerNote,
+    supportEmail: SUPPORT_EMAIL,
+  });
+  return {
+    subject: "Your PGifts cart is saved",
+    html,
+    text: `${text}\n\nStop these reminders: ${optOutUrl}`,
+  };
+}
+
+Deno.serve(async (req: Request) => {
+  if (req.method !== "POST") {
+    return json(405, { ok: false, reason: "method_not_allowed" });
+  }
+
+  // Shared-secret auth (no JWT — this runs --no-verify-jwt).
+  const expected = Deno.env.get("ABANDONED_REMINDER_SECRET") || "";
+  const provided = req.headers.get("x-reminder-secret") || "";
+  if (!expected || provided !== expected) {
+    console.warn("[send-abandoned-reminders] rejected: missing/invalid secret");
+    return json(401, { ok: false, reason: "unauthorized" });
+  }
+
+  const resendApiKey = Deno.env.get("RESEND_API_KEY");
+  if (!resendApiKey) {
+    console.warn("[send-abandoned-reminders] RESEND_API_KEY not set");
+    return json(200, { ok: false, reason: "no_api_key" });
+  }
+
+  try {
+    const body = await req.json().catch(() => ({}));
+    const idleDays = clampInt(body?.idle_days, DEFAULT_IDLE_DAYS, 1, 90);
+    const maxReminders = clampInt(body?.max_reminders, DEFAULT_MAX_REMINDERS, 1, 10);
+
+    const supabaseUrl = Deno.env.get("SUPABASE_URL")!;
+    const supabaseServiceKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!;
+    const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+    const { data: candidates, error: candidatesError } = await supabase.rpc(
+      "abandoned_reminder_candidates",
+      { p_idle_days: idleDays, p_max_reminders: maxReminders, p_limit: MAX_PER_RUN },
+    );
+    if (candidatesError) {
+      console.error("[send-abandoned-reminders] candidates failed:", candidatesError);
+      return json(200, { ok: false, reason: "candidates_failed" });
+    }
+
+    const summary = { candidates: candidates?.length ?? 0, sent: 0, skipped: 0, failed: 0 };
+
+    for (const c of (candidates || []) as Candidate[]) {
+      const { data: userData } = await supabase.auth.admin.getUserById(c.user_id);
+      const email = userData?.user?.email || null;
+      if (!email) {
+        summary.skipped += 1;
+        continue;
+      }
+
+      // 1. Claim
+      const { data: claim, error: claimError } = await supabase
+        .from("abandoned_reminders")
+        .insert({
+          kind: c.kind,
+          user_id: c.user_id,
+          quote_id: c.quote_id,
+          cart_updated_at: c.cart_updated_at,
+          reminder_number: c.reminder_number,
+          email,
+        })
+        .select("id")
+        .single();
+      if (claimError || !claim) {
+        // 23505 = another run already claimed this reminder.
+        if (claimError?.code !== "23505") {
+          console.error("[send-abandoned-reminders] claim failed:", claimError);
+          summary.failed += 1;
+        } else {
+          summary.skipped += 1;
+        }
+        continue;
+      }
+
+      // 2. Send
+      const { subject, html, text } = renderReminder(c);
+      const subjectKey = c.kind === "quote" ? c.quote_id : `${c.user_id}-${c.cart_updated_at}`;
+      let sent = false;
+      try {
+        const resendRes = await fetch("https://api.resend.com/emails", {
+          method: "POST",
+          headers: {
+            Authorization: `Bearer ${resendApiKey}`,
+            "Content-Type": "application/json",
+            "Idempotency-Key": `abandoned-${c.kind}-${subjectKey}-${c.reminder_number}`,
+          },
+          body: JSON.stringify({
+            from: "PGifts <orders@promo-gifts.co>",
+            to: [email],
+            reply_to: SUPPORT_EMAIL,
+            subject,
+            html,
+            text,
+          }),
+        });
+        sent = resendRes.ok;
+        if (!sent) {
+          console.error("[send-abandoned-reminders] Resend failed:", resendRes.status, await resendRes.text());
+        }
+      } catch (sendErr) {
+        console.error("[send-abandoned-reminders] Resend threw:", sendErr);
+      }
+
+      // 3. Release the claim on failure so the next run retries.
+      if (!sent) {
+        summary.failed += 1;
+        const { error: releaseError } = await supabase
+          .from("abandoned_reminders")
+          .delete()
+          .eq("id", claim.id);
+        if (releaseError) console.error("[send-abandoned-reminders] release failed:", releaseError);
+        continue;
+      }
+
+      summary.sent += 1;
+      console.log("[send-abandoned-reminders] Sent", c.kind, "reminder", c.reminder_number, "to", email);
+    }
+
+    console.log("[send-abandoned-reminders] done:", JSON.stringify(summary));
+    return json(200, { ok: true, idle_days: idleDays, max_reminders: maxReminders, ...summary });
+  } catch (err) {
+    console.error("[send-abandoned-reminders] unexpected error:", err);
+    return json(200, { ok: false, reason: "unexpected_error" });
+  }
+});
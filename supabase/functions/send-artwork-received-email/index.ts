@@ -130,7 +130,7 @@ Deno.serve(async (req: Request) => {
     const bodyHtml = `              <p style="margin:0 0 16px 0; font-size:15px; line-height:1.6; color:#1a1a1a;">We've received your artwork files for order <strong>${order.order_number}</strong> and they're now with our artwork team.</p>
               <h2 style="margin:24px 0 10px 0; font-size:18px; font-weight:700; color:#1a1a1a;">What happens next</h2>
               <p style="margin:0 0 12px 0; font-size:15px; line-height:1.6; color:#1a1a1a;">Our team will prepare a pre-production proof and send it directly to you from <strong>artwork@promo-gifts.co</strong>. Proofs sent within the next couple of hours, though timing depends on when your order comes in and our current workload.</p>
-              <p style="margin:0 0 16px 0; font-size:15px; line-height:1.6; color:#1a1a1a;">Please review the proof carefully when it arrives — this is your chance to request any changes before we go to print. Simply reply to the proof email with your approval or any amendments.</p>
+              <p style="margin:0 0 16px 0; font-size:15px; line-height:1.6; color:#1a1a1a;">Please review the proof carefully when it arrives — this is your chance to request any changes before we go to print. You can approve it or request amendments from your order page.</p>
               <h2 style="margin:24px 0 10px 0; font-size:18px; font-weight:700; color:#1a1a1a;">Your order</h2>
               <table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="width:100%; border-collapse:collapse; margin:0 0 16px 0;">
                 <thead>
@@ -156,7 +156,7 @@ What happens next
 
 Our team will prepare a pre-production proof and send it directly to you from artwork@promo-gifts.co. Proofs sent within the next couple of hours, though timing depends on when your order comes in and our current workload.
 
-Please review the proof carefully when it arrives — this is your chance to request any changes before we go to print. Simply reply to the proof email with your approval or any amendments.
+Please review the proof carefully when it arrives — this is your chance to request any changes before we go to print. You can approve it or request amendments from your order page.
 
 Your order
 ${itemsText}
@@ -0,0 +1,183 @@
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2";
+import { renderEmail } from "../_shared/emailShell.ts";
+
+// Emails a company invitation — a row of company_invitations
+// (20261019_company_accounts.sql). Called fire-and-forget from
+// CustomerCompany after invite_company_member, with the APPROVER's session
+// JWT, checked against company_members for the invitation's company.
+//
+// The link carries the invitation token to /account/company?invite=<token>,
+// where the invitee signs in (or signs up) with the invited address and
+// clicks Accept — accept_company_invitation binds the token to that email.
+//
+// Best-effort: every return is HTTP 200 JSON. A first send is idempotent
+// (Resend Idempotency-Key company-invite-${id}; a stamped email_sent_at
+// short-circuits). { resend: true } sends again on purpose. A failed send
+// does not stamp.
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers":
+    "authorization, x-client-info, apikey, content-type",
+};
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function jsonOk(payload: Record<string, unknown>) {
+  return new Response(JSON.stringify(payload), {
+    status: 200,
+    headers: { ...corsHeaders, "Content-Type": "application/json" },
+  });
+}
+
+const esc = (v: unknown): string =>
+  String(v ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const P_STYLE = "margin:0 0 16px 0; font-size:15px; line-height:1.6; color:#1a1a1a;";
+
+// What each role can do, in the invitee's words.
+const ROLE_LINES: Record<string, string> = {
+  approver: "As an approver you can see the team's quotes and designs, approve and pay for orders, and manage members.",
+  buyer: "As a buyer you can build quotes and designs with the team and send quotes to an approver to sign off.",
+  viewer: "As a viewer you can see the team's quotes and designs.",
+};
+
+Deno.serve(async (req: Request) => {
+  if (req.method === "OPTIONS") {
+    return new Response("ok", { headers: corsHeaders });
+  }
+
+  try {
+    const body = await req.json().catch(() => ({}));
+    const invitationId: string = typeof body?.invitation_id === "string" ? body.invitation_id : "";
+    if (!invitationId || !UUID_RE.test(invitationId)) {
+      console.warn("[send-company-invite-email] invalid invitation_id:", invitationId);
+      return jsonOk({ success: true, sent: false, reason: "invalid_invitation_id" });
+    }
+
+    const supabaseUrl = Deno.env.get("SUPABASE_URL")!;
+    const supabaseServiceKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!;
+    const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+    // 1. Invitation + company.
+    const { data: invite } = await supabase
+      .from("company_invitations")
+      .select("id, company_id, email, role, token, invited_by, expires_at, accepted_at, revoked_at, email_sent_at")
+      .eq("id", invitationId)
+      .maybeSingle();
+    if (!invite) {
+      return jsonOk({ success: true, sent: false, reason: "invitation_not_found" });
+    }
+    if (invite.accepted_at || invite.revoked_at || new Date(invite.expires_at) < new Date()) {
+      return jsonOk({ success: true, sent: false, reason: "invitation_closed" });
+    }
+    if (invite.email_sent_at && !body?.resend) {
+      return jsonOk({ success: true, sent: false, reason: "already_sent" });
+    }
+
+    // 2. Caller must be an approver of that company.
+    const token = (req.headers.get("authorization") || "").replace(/^Bearer\s+/i, "");
+    const { data: callerData } = await supabase.auth.getUser(token);
+    const callerId = callerData?.user?.id;
+    if (!callerId) {
+      return jsonOk({ success: true, sent: false, reason: "unauthorized" });
+    }
+    const { data: member } = await supabase
+      .from("company_members")
+      .select("role")
+      .eq("company_id", invite.company_id)
+      .eq("user_id", callerId)
+      .maybeSingle();
+    if (member?.role !== "approver") {
+      console.warn("[send-company-invite-email] caller is not an approver:", callerId);
+      return jsonOk({ success: true, sent: false, reason: "unauthorized" });
+    }
+
+    const resendApiKey = Deno.env.get("RESEND_API_KEY");
+    if (!resendApiKey) {
+      console.warn("[send-company-invite-email] RESEND_API_KEY not set");
+      return jsonOk({ success: true, sent: false, reason: "no_api_key" });
+    }
+
+    const { data: company } = await supabase
+      .from("companies")
+      .select("name")
+      .eq("id", invite.company_id)
+      .maybeSingle();
+    const { data: inviter } = await supabase
+      .from("customer_profiles")
+      .select("first_name, last_name")
+      .eq("id", callerId)
+      .maybeSingle();
+    const companyName = company?.name || "your company";
+    const inviterName = [inviter?.first_name, inviter?.last_name].filter(Boolean).join(" ")
+      || callerData?.user?.email
+      || "A colleague";
+
+    const inviteUrl = `https://promo-gifts-co.uk/account/company?invite=${encodeURIComponent(invite.token)}`;
+    const lines = [
+      `${inviterName} has invited you to join ${companyName} on PGifts.`,
+      ROLE_LINES[invite.role] || ROLE_LINES.viewer,
+      `Sign in or create an account with ${invite.email} to accept. The invitation expires in 14 days.`,
+    ];
+
+    const { html, text } = renderEmail({
+      preheader: lines[0],
+      heading: `Join ${companyName} on PGifts`,
+      bodyHtml: lines.map((l) => `              <p style="${P_STYLE}">${esc(l)}</p>`).join("\n"),
+      bodyText: lines.join("\n\n"),
+      ctaLabel: "Accept invitation",
+      ctaUrl: inviteUrl,
+      supportEmail: "orders@promo-gifts.co",
+    });
+
+    // 3. Send. Failure -> don't stamp, so the approver can resend.
+    try {
+      const resendRes = await fetch("https://api.resend.com/emails", {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${resendApiKey}`,
+          "Content-Type": "application/json",
+          // A resend is a new email; the first send keeps the plain key.
+          "Idempotency-Key": `company-invite-${invite.id}${invite.email_sent_at ? `-${Date.now()}` : ""}`,
+        },
+        body: JSON.stringify({
+          from: "PGifts <orders@promo-gifts.co>",
+          to: [invite.email],
+          reply_to: "orders@promo-gifts.co",
+          subject: `${inviterName} invited you to ${companyName} on PGifts`,
+          html,
+          text,
+        }),
+      });
+
+      if (!resendRes.ok) {
+        const detail = await resendRes.text();
+        console.error("[send-company-invite-email] Resend failed:", resendRes.status, detail);
+        return jsonOk({ success: true, sent: false, reason: "resend_failed" });
+      }
+    } catch (sendErr) {
+      console.error("[send-company-invite-email] Resend threw:", sendErr);
+      return jsonOk({ success: true, sent: false, reason: "resend_failed" });
+    }
+
+    // 4. Stamp. The email has gone either way.
+    const { error: stampError } = await supabase
+      .from("company_invitations")
+      .update({ email_sent_at: new Date().toISOString() })
+      .eq("id", invite.id);
+    if (stampError) {
+      console.error("[send-company-invite-email] stamp failed (email did send):", stampError);
+    }
+
+    console.log("[send-company-invite-email] Sent invitation", invite.id, "to", invite.email);
+    return jsonOk({ success: true, sent: true });
+  } catch (err) {
+    console.error("[send-company-invite-email] unexpected error:", err);
+    return jsonOk({ success: true, sent: false, reason: "unexpected_error" });
+  }
+});
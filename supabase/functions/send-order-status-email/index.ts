@@ -0,0 +1,262 @@
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2";
+import { renderEmail } from "../_shared/emailShell.ts";
+
+// Emails the customer about one order status change — a row of
+// order_status_events (20261019_order_status_timeline.sql). Called
+// fire-and-forget from AdminOrderDetail after advance_order_status, with the
+// STAFF member's session JWT, checked against team_members like
+// send-proof-email.
+//
+// Only the transitions in TEMPLATES are emailed. Artwork received and proof
+// ready already have their own emails (send-artwork-received-email,
+// send-proof-email); cancellation sends the credit note. Customers who turned
+// off order updates (reminder_preferences.order_updates,
+// 20261019_customer_privacy.sql) are skipped.
+//
+// Best-effort: every return is HTTP 200 JSON. Idempotent per event: Resend
+// Idempotency-Key status-event-${eventId} + CAS UPDATE on
+// order_status_events.email_sent_at (predicate IS NULL). A failed send does
+// not stamp, so staff can retry from the admin page.
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers":
+    "authorization, x-client-info, apikey, content-type",
+};
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function jsonOk(payload: Record<string, unknown>) {
+  return new Response(JSON.stringify(payload), {
+    status: 200,
+    headers: { ...corsHeaders, "Content-Type": "application/json" },
+  });
+}
+
+const esc = (v: unknown): string =>
+  String(v ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const P_STYLE = "margin:0 0 16px 0; font-size:15px; line-height:1.6; color:#1a1a1a;";
+
+type Dispatch = { carrier?: string | null; tracking_number?: string | null; tracking_url?: string | null };
+
+type Template = {
+  subject: (orderNumber: string) => string;
+  heading: string;
+  // One or more paragraphs of plain text; HTML is derived by escaping.
+  lines: (orderNumber: string, dispatch: Dispatch) => string[];
+  cta: string;
+};
+
+// Keyed `${field}:${to_status}`.
+const TEMPLATES: Record<string, Template> = {
+  "artwork_status:in_review": {
+    subject: (n) => `We're checking your artwork — ${n}`,
+    heading: "We're checking your artwork",
+    lines: (n) => [
+      `Our artwork team has started reviewing the files for order ${n}.`,
+      "We'll send you a proof to approve shortly. Nothing is printed until you approve it.",
+    ],
+    cta: "View your order",
+  },
+  "artwork_status:approved": {
+    subject: (n) => `Artwork approved — ${n}`,
+    heading: "Your artwork is approved",
+    lines: (n) => [
+      `The artwork for order ${n} is approved and ready for production.`,
+      "We'll let you know when your order goes into production.",
+    ],
+    cta: "View your order",
+  },
+  "status:in_production": {
+    subject: (n) => `Your order is in production — ${n}`,
+    heading: "Your order is in production",
+    lines: (n) => [
+      `Order ${n} is now being produced.`,
+      "We'll email you again with tracking details as soon as it is dispatched.",
+    ],
+    cta: "View your order",
+  },
+  "status:dispatched": {
+    subject: (n) => `Your order is on its way — ${n}`,
+    heading: "Your order is on its way",
+    lines: (n, d) => [
+      `Order ${n} has been dispatched${d.carrier ? ` with ${d.carrier}` : ""}.`,
+      ...(d.tracking_number ? [`Tracking number: ${d.tracking_number}`] : []),
+    ],
+    cta: "Track your order",
+  },
+  "status:delivered": {
+    subject: (n) => `Your order has been delivered — ${n}`,
+    heading: "Your order has been delivered",
+    lines: (n) => [
+      `Order ${n} has been delivered. We hope everything is just right.`,
+      "If anything is wrong with your order, reply to this email and we'll put it right.",
+    ],
+    cta: "View your order",
+  },
+};
+
+Deno.serve(async (req: Request) => {
+  if (req.method === "OPTIONS") {
+    return new Response("ok", { headers: corsHeaders });
+  }
+
+  try {
+    const body = await req.json().catch(() => ({}));
+    const eventId: string = typeof body?.event_id === "string" ? body.event_id : "";
+    if (!eventId || !UUID_RE.test(eventId)) {
+      console.warn("[send-order-status-email] invalid event_id:", eventId);
+      return jsonOk({ success: true, sent: false, reason: "invalid_event_id" });
+    }
+
+    const supabaseUrl = Deno.env.get("SUPABASE_URL")!;
+    const supabaseServiceKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!;
+    const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+    // 1. Caller must be active staff.
+    const token = (req.headers.get("authorization") || "").replace(/^Bearer\s+/i, "");
+    const { data: callerData } = await supabase.auth.getUser(token);
+    const callerId = callerData?.user?.id;
+    if (!callerId) {
+      return jsonOk({ success: true, sent: false, reason: "unauthorized" });
+    }
+    const { data: teamRow } = await supabase
+      .from("team_members")
+      .select("role")
+      .eq("user_id", callerId)
+      .eq("is_active", true)
+      .maybeSingle();
+    if (!teamRow) {
+      console.warn("[send-order-status-email] caller is not staff:", callerId);
+      return jsonOk({ success: true, sent: false, reason: "unauthorized" });
+    }
+
+    // 2. Event + order.
+    const { data: event } = await supabase
+      .from("order_status_events")
+      .select("id, order_id, field, to_status, details, email_sent_at")
+      .eq("id", eventId)
+      .maybeSingle();
+    if (!event) {
+      return jsonOk({ success: true, sent: false, reason: "event_not_found" });
+    }
+    if (event.email_sent_at) {
+      return jsonOk({ success: true, sent: false, reason: "already_sent" });
+    }
+    const template = TEMPLATES[`${event.field}:${event.to_status}`];
+    if (!template) {
+      return jsonOk({ success: true, sent: false, reason: "no_template" });
+    }
+
+    const { data: order } = await supabase
+      .from("orders")
+      .select("id, order_number, customer_id, status, artwork_status")
+      .eq("id", event.order_id)
+      .is("deleted_at", null)
+      .maybeSingle();
+    if (!order) {
+      return jsonOk({ success: true, sent: false, reason: "order_not_found" });
+    }
+    // A later change already overtook this one (e.g. a retry after the order
+    // moved on) — don't tell the customer about a stage they're past.
+    if (order[event.field as "status" | "artwork_status"] !== event.to_status) {
+      return jsonOk({ success: true, sent: false, reason: "superseded" });
+    }
+
+    // 3. Customer preference, then email via auth.users.
+    if (order.customer_id) {
+      const { data: prefs } = await supabase
+        .from("reminder_preferences")
+        .select("order_updates")
+        .eq("user_id", order.customer_id)
+        .maybeSingle();
+      if (prefs && prefs.order_updates === false) {
+        return jsonOk({ success: true, sent: false, reason: "opted_out" });
+      }
+    }
+
+    let customerEmail: string | null = null;
+    if (order.customer_id) {
+      const { data: userData } = await supabase.auth.admin.getUserById(order.customer_id);
+      customerEmail = userData?.user?.email || null;
+    }
+    if (!customerEmail) {
+      console.warn("[send-order-status-email] no customer email for order", order.order_number);
+      return jsonOk({ success: true, sent: false, reason: "no_customer_email" });
+    }
+
+    const resendApiKey = Deno.env.get("RESEND_API_KEY");
+    if (!resendApiKey) {
+      console.warn("[send-order-status-email] RESEND_API_KEY not set");
+      return jsonOk({ success: true, sent: false, reason: "no_api_key" });
+    }
+
+    const orderNumber = order.order_number || order.id.slice(0, 8);
+    const dispatch: Dispatch = event.details || {};
+    const orderUrl = `https://promo-gifts-co.uk/account/orders/${order.id}`;
+    // Dispatch emails link straight to the carrier when we have a tracking URL.
+    const trackingUrl = /^https:\/\//i.test(dispatch.tracking_url || "") ? dispatch.tracking_url! : null;
+    const ctaUrl = event.to_status === "dispatched" && trackingUrl ? trackingUrl : orderUrl;
+    const lines = template.lines(orderNumber, dispatch);
+
+    const { html, text } = renderEmail({
+      preheader: lines[0],
+      heading: template.heading,
+      bodyHtml: lines.map((l) => `              <p style="${P_STYLE}">${esc(l)}</p>`).join("\n"),
+      bodyText: lines.join("\n\n"),
+      ctaLabel: template.cta,
+      ctaUrl,
+      supportEmail: "orders@promo-gifts.co",
+    });
+
+    // 4. Send. Failure -> don't stamp, so a retry can send.
+    try {
+      const resendRes = await fetch("https://api.resend.com/emails", {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${resendApiKey}`,
+          "Content-Type": "application/json",
+          "Idempotency-Key": `status-event-${event.id}`,
+        },
+        body: JSON.stringify({
+          from: "PGifts <orders@promo-gifts.co>",
+          to: [customerEmail],
+          reply_to: "orders@promo-gifts.co",
+          subject: template.subject(orderNumber),
+          html,
+          text,
+        }),
+      });
+
+      if (!resendRes.ok) {
+        const detail = await resendRes.text();
+        console.error("[send-order-status-email] Resend failed:", resendRes.status, detail);
+        return jsonOk({ success: true, sent: false, reason: "resend_failed" });
+      }
+    } catch (sendErr) {
+      console.error("[send-order-status-email] Resend threw:", sendErr);
+      return jsonOk({ success: true, sent: false, reason: "resend_failed" });
+    }
+
+    // 5. CAS stamp. The email has gone either way.
+    const { error: stampError } = await supabase
+      .from("order_status_events")
+      .update({ email_sent_at: new Date().toISOString() })
+      .eq("id", event.id)
+      .is("email_sent_at", null);
+    if (stampError) {
+      console.error("[send-order-status-email] stamp failed (email did send):", stampError);
+    }
+
+    console.log("[send-order-status-email] Sent", event.field, event.to_status, "to", customerEmail, "for order", orderNumber);
+    return jsonOk({ success: true, sent: true });
+  } catch (err) {
+    console.error("[send-order-status-email] unexpected error:", err);
+    return jsonOk({ success: true, sent: false, reason: "unexpected_error" });
+  }
+});
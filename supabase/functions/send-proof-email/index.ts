@@ -0,0 +1,196 @@
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2";
+import { renderEmail } from "../_shared/emailShell.ts";
+
+// Emails the customer a link to review an artwork proof
+// (20261019_artwork_proofs.sql). Called fire-and-forget from
+// AdminOrderDetail after publish_artwork_proof, with the STAFF member's
+// session JWT — unlike send-artwork-received-email this is a staff action, so
+// the caller is checked against team_members in-function.
+//
+// Best-effort: every return is HTTP 200 JSON. Idempotent per proof version:
+// Resend Idempotency-Key proof-${proofId}-email + CAS UPDATE on
+// artwork_proofs.email_sent_at (predicate IS NULL). A failed send does not
+// stamp, so staff can retry from the admin page. Success also appends an
+// 'emailed' row to artwork_proof_events.
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers":
+    "authorization, x-client-info, apikey, content-type",
+};
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function jsonOk(payload: Record<string, unknown>) {
+  return new Response(JSON.stringify(payload), {
+    status: 200,
+    headers: { ...corsHeaders, "Content-Type": "application/json" },
+  });
+}
+
+const esc = (v: unknown): string =>
+  String(v ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+Deno.serve(async (req: Request) => {
+  if (req.method === "OPTIONS") {
+    return new Response("ok", { headers: corsHeaders });
+  }
+
+  try {
+    const body = await req.json().catch(() => ({}));
+    const proofId: string = typeof body?.proof_id === "string" ? body.proof_id : "";
+    if (!proofId || !UUID_RE.test(proofId)) {
+      console.warn("[send-proof-email] invalid proof_id:", proofId);
+      return jsonOk({ success: true, sent: false, reason: "invalid_proof_id" });
+    }
+
+    const supabaseUrl = Deno.env.get("SUPABASE_URL")!;
+    const supabaseServiceKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!;
+    const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+    // 1. Caller must be active staff.
+    const token = (req.headers.get("authorization") || "").replace(/^Bearer\s+/i, "");
+    const { data: callerData } = await supabase.auth.getUser(token);
+    const callerId = callerData?.user?.id;
+    if (!callerId) {
+      return jsonOk({ success: true, sent: false, reason: "unauthorized" });
+    }
+    const { data: teamRow } = await supabase
+      .from("team_members")
+      .select("role")
+      .eq("user_id", callerId)
+      .eq("is_active", true)
+      .maybeSingle();
+    if (!teamRow) {
+      console.warn("[send-proof-email] caller is not staff:", callerId);
+      return jsonOk({ success: true, sent: false, reason: "unauthorized" });
+    }
+
+    // 2. Proof + order. Only the version still awaiting a response is worth
+    //    emailing — a superseded one would link to a proof they can't answer.
+    const { data: proof } = await supabase
+      .from("artwork_proofs")
+      .select("id, order_id, version, status, staff_notes, email_sent_at")
+      .eq("id", proofId)
+      .maybeSingle();
+    if (!proof) {
+      return jsonOk({ success: true, sent: false, reason: "proof_not_found" });
+    }
+    if (proof.email_sent_at) {
+      return jsonOk({ success: true, sent: false, reason: "already_sent" });
+    }
+    if (proof.status !== "awaiting_response") {
+      return jsonOk({ success: true, sent: false, reason: "not_awaiting_response" });
+    }
+
+    const { data: order } = await supabase
+      .from("orders")
+      .select("id, order_number, customer_id")
+      .eq("id", proof.order_id)
+      .is("deleted_at", null)
+      .maybeSingle();
+    if (!order) {
+      return jsonOk({ success: true, sent: false, reason: "order_not_found" });
+    }
+
+    // 3. Customer email via auth.users.
+    let customerEmail: string | null = null;
+    if (order.customer_id) {
+      const { data: userData } = await supabase.auth.admin.getUserById(order.customer_id);
+      customerEmail = userData?.user?.email || null;
+    }
+    if (!customerEmail) {
+      console.warn("[send-proof-email] no customer email for order", order.order_number);
+      return jsonOk({ success: true, sent: false, reason: "no_customer_email" });
+    }
+
+    const resendApiKey = Deno.env.get("RESEND_API_KEY");
+    if (!resendApiKey) {
+      console.warn("[send-proof-email] RESEND_API_KEY not set");
+      return jsonOk({ success: true, sent: false, reason: "no_api_key" });
+    }
+
+    const orderUrl = `https://promo-gifts-co.uk/account/orders/${order.id}`;
+    const notesHtml = proof.staff_notes
+      ? `              <p style="margin:0 0 16px 0; padding:12px 16px; background:#f9fafb; border-radius:8px; font-size:14px; line-height:1.6; color:#4b5563;"><strong>Note from our artwork team:</strong><br>${esc(proof.staff_notes)}</p>\n`
+      : "";
+
+    const bodyHtml = `              <p style="margin:0 0 16px 0; font-size:15px; line-height:1.6; color:#1a1a1a;">Your proof for order <strong>${esc(order.order_number)}</strong> is ready${proof.version > 1 ? ` (version ${proof.version})` : ""}.</p>
+${notesHtml}              <p style="margin:0 0 16px 0; font-size:15px; line-height:1.6; color:#1a1a1a;">Please check spelling, colours, positioning and sizing carefully, then either <strong>approve</strong> it or <strong>request changes</strong> from your order page. We don't go to print until you approve.</p>`;
+
+    const bodyText = `Your proof for order ${order.order_number} is ready${proof.version > 1 ? ` (version ${proof.version})` : ""}.
+${proof.staff_notes ? `\nNote from our artwork team:\n${proof.staff_notes}\n` : ""}
+Please check spelling, colours, positioning and sizing carefully, then either approve it or request changes from your order page. We don't go to print until you approve.`;
+
+    const { html, text } = renderEmail({
+      preheader: `Your proof for order ${order.order_number} is ready to review.`,
+      heading: "Your proof is ready",
+      bodyHtml,
+      bodyText,
+      ctaLabel: "Review proof",
+      ctaUrl: orderUrl,
+      supportEmail: "artwork@promo-gifts.co",
+    });
+
+    // 4. Send. Failure -> don't stamp, so a retry can send.
+    try {
+      const resendRes = await fetch("https://api.resend.com/emails", {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${resendApiKey}`,
+          "Content-Type": "application/json",
+          "Idempotency-Key": `proof-${proof.id}-email`,
+        },
+        body: JSON.stringify({
+          from: "PGifts <orders@promo-gifts.co>",
+          to: [customerEmail],
+          reply_to: "artwork@promo-gifts.co",
+          subject: `Proof ready to approve — ${order.order_number}`,
+          html,
+          text,
+        }),
+      });
+
+      if (!resendRes.ok) {
+        const detail = await resendRes.text();
+        console.error("[send-proof-email] Resend failed:", resendRes.status, detail);
+        return jsonOk({ success: true, sent: false, reason: "resend_failed" });
+      }
+    } catch (sendErr) {
+      console.error("[send-proof-email] Resend threw:", sendErr);
+      return jsonOk({ success: true, sent: false, reason: "resend_failed" });
+    }
+
+    // 5. CAS stamp + audit row. The email has gone either way.
+    const { data: stamped, error: stampError } = await supabase
+      .from("artwork_proofs")
+      .update({ email_sent_at: new Date().toISOString() })
+      .eq("id", proof.id)
+      .is("email_sent_at", null)
+      .select("id");
+    if (stampError) {
+      console.error("[send-proof-email] stamp failed (email did send):", stampError);
+    }
+    if (stamped && stamped.length > 0) {
+      const { error: eventError } = await supabase.from("artwork_proof_events").insert({
+        order_id: order.id,
+        proof_id: proof.id,
+        event: "emailed",
+        actor_type: "staff",
+        actor_id: callerId,
+        comment: customerEmail,
+      });
+      if (eventError) console.error("[send-proof-email] audit insert failed:", eventError);
+    }
+
+    console.log("[send-proof-email] Sent v", proof.version, "to", customerEmail, "for order", order.order_number);
+    return jsonOk({ success: true, sent: true });
+  } catch (err) {
+    console.error("[send-proof-email] unexpected error:", err);
+    return jsonOk({ success: true, sent: false, reason: "unexpected_error" });
+  }
+});
@@ -17,6 +17,12 @@
 // Idempotency-Key header so the customer cannot receive the email twice
 // even if both paths run concurrently.
 //
+// charge.refunded (20261019_order_refunds.sql): lists every refund on the
+// charge's payment intent and upserts each into order_refunds via
+// record_order_refund (idempotent on stripe_refund_id), then emails a credit
+// note per succeeded refund (_shared/sendCreditNote.ts, CAS-guarded). This
+// covers refunds from the admin page AND ones made in the Stripe dashboard.
+//
 // Deploy:  supabase functions deploy stripe-webhook --project-ref <ref> --no-verify-jwt
 // The --no-verify-jwt flag is REQUIRED. Stripe does not send a Supabase JWT;
 // signature verification is the security boundary instead.
@@ -25,6 +31,7 @@ import Stripe from "https://esm.sh/stripe@17?target=deno";
 import { createClient } from "https://esm.sh/@supabase/supabase-js@2";
 import { sendOrderConfirmation } from "../_shared/sendOrderConfirmation.ts";
 import { sendInternalOrderAlert } from "../_shared/sendInternalOrderAlert.ts";
+import { sendCreditNote } from "../_shared/sendCreditNote.ts";
 
 const corsHeaders = {
   "Access-Control-Allow-Origin": "*",
@@ -211,6 +218,89 @@ Deno.serve(async (req: Request) => {
       return jsonResponse(200, { received: true, order_id: orderId });
     }
 
+    case "charge.refunded": {
+      const charge = event.data.object as Stripe.Charge;
+      const paymentIntentId =
+        typeof charge.payment_intent === "string"
+          ? charge.payment_intent
+          : charge.payment_intent?.id ?? null;
+
+      if (!paymentIntentId) {
+        console.warn(
+          `[stripe-webhook] event ${event.id} charge ${charge.id} has no payment_intent — ignoring`,
+        );
+        return jsonResponse(200, { received: true, skipped: "no_payment_intent" });
+      }
+
+      const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+      const { data: order, error: orderErr } = await supabase
+        .from("orders")
+        .select("id, order_number")
+        .eq("payment_intent_id", paymentIntentId)
+        .maybeSingle();
+
+      if (orderErr) {
+        console.error(`[stripe-webhook] order lookup failed for event ${event.id}:`, orderErr);
+        return jsonResponse(500, { error: "Order lookup failed" });
+      }
+      if (!order) {
+        // Not a PGifts order (or created before payment_intent_id was stored).
+        console.warn(
+          `[stripe-webhook] event ${event.id} no order for payment_intent ${paymentIntentId} — ignoring`,
+        );
+        return jsonResponse(200, { received: true, skipped: "no_order" });
+      }
+
+      // charge.refunds is not expanded on webhook payloads for this API
+      // version — list them explicitly. Upserting ALL of them (not just the
+      // newest) self-heals any refund a previous delivery missed.
+      let refunds: Stripe.Refund[];
+      try {
+        const list = await stripe.refunds.list({ payment_intent: paymentIntentId, limit: 100 });
+        refunds = list.data;
+      } catch (err) {
+        console.error(`[stripe-webhook] refunds.list failed for event ${event.id}:`, err);
+        return jsonResponse(500, { error: "Refund list failed" });
+      }
+
+      const succeededIds: string[] = [];
+      for (const r of refunds) {
+        const { data: refundRowId, error: rpcError } = await supabase.rpc(
+          "record_order_refund",
+          {
+            p_order_id: order.id,
+            p_stripe_refund_id: r.id,
+            p_amount: r.amount / 100,
+            p_status: r.status ?? "pending",
+            p_reason: r.metadata?.reason ?? null,
+            p_requested_by: null,
+          },
+        );
+        if (rpcError) {
+          console.error(
+            `[stripe-webhook] record_order_refund error for event ${event.id} refund ${r.id}:`,
+            rpcError,
+          );
+          // 500 = Stripe retries; the upsert makes the retry safe.
+          return jsonResponse(500, { error: "RPC failed" });
+        }
+        if (r.status === "succeeded" && refundRowId) succeededIds.push(refundRowId as string);
+      }
+
+      // Best-effort credit notes. sendCreditNote never throws and skips rows
+      // already emailed, so a redelivery only sends what's outstanding.
+      for (const refundRowId of succeededIds) {
+        const result = await sendCreditNote(supabase, refundRowId);
+        console.log(
+          `[stripe-webhook] event ${event.id} sendCreditNote ${refundRowId} result:`,
+          result,
+        );
+      }
+
+      return jsonResponse(200, { received: true, order_id: order.id, refunds: refunds.length });
+    }
+
     default: {
       // Acknowledge events we haven't subscribed for — keeps the endpoint
       // generous if the Stripe Dashboard subscription is broadened later
@@ -0,0 +1,11 @@
+-- Rollback for 20261019_abandoned_reminders.sql.
+--
+-- Remove the abandoned-reminders cron entry from vercel.json first, or it
+-- will fail nightly once the candidates function is gone. Drops the send log
+-- and every opt-out with it.
+-- NO explicit BEGIN/COMMIT (PR #76 lesson). Idempotent.
+
+DROP FUNCTION IF EXISTS public.opt_out_of_reminders(uuid);
+DROP FUNCTION IF EXISTS public.abandoned_reminder_candidates(integer, integer, integer);
+DROP TABLE IF EXISTS public.reminder_preferences;
+DROP TABLE IF EXISTS public.abandoned_reminders;
@@ -0,0 +1,221 @@
+-- ============================================================================
+-- Abandoned draft-quote and cart reminder emails.
+-- ----------------------------------------------------------------------------
+-- WHY: draft quotes sat in `quotes` forever and saved carts
+-- (20261019_saved_carts.sql) were never followed up. A daily job
+-- (api/cron/abandoned-reminders.js -> the send-abandoned-reminders Edge
+-- Function) now emails customers whose draft quote or cart has been idle for
+-- N days, at most M times per quote / per cart version:
+--
+--   abandoned_reminders            one row per email sent (claimed before the
+--                                  send, removed again if Resend fails). The
+--                                  unique indexes are what cap a quote at
+--                                  reminder_number 1..M even if two runs
+--                                  overlap. A cart's count restarts when the
+--                                  cart changes (cart_updated_at).
+--   reminder_preferences           per-customer opt-out + the unguessable
+--                                  token carried by the email's opt-out link.
+--   abandoned_reminder_candidates(idle_days, max_reminders, limit)
+--                                  what is due now: at most one line per
+--                                  customer (a quote beats a cart), skipping
+--                                  opted-out customers. service_role only.
+--   opt_out_of_reminders(token)    called by /reminders/opt-out — no sign-in
+--                                  needed, the token is the credential.
+--
+-- "Idle" = no edit to the quote (quotes.updated_at) / cart (carts.updated_at)
+-- AND no reminder for it, for idle_days. So reminders are idle_days apart.
+--
+-- SECURITY: both tables are written by the Edge Function with the service
+-- role only. Customers can read their own preference row; staff read all.
+--
+-- APPLY (CLAUDE.md §52 + PR #76 lesson): open Supabase SQL Editor, paste, Run.
+-- NO explicit BEGIN/COMMIT. Idempotent. Requires 20261019_saved_carts.sql.
+-- The final SELECT must return reminders_table = 1, preferences_table = 1
+-- and functions = 2.
+-- ROLLBACK: 20261019_abandoned_reminders.down.sql.
+-- ============================================================================
+
+-- ---------------------------------------------------------------------------
+-- 1. Send log
+-- ---------------------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS public.abandoned_reminders (
+  id               uuid        PRIMARY KEY DEFAULT gen_random_uuid(),
+  kind             text        NOT NULL CHECK (kind IN ('quote', 'cart')),
+  user_id          uuid        NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  quote_id         uuid        REFERENCES public.quotes(id) ON DELETE CASCADE,
+  cart_updated_at  timestamptz,
+  reminder_number  integer     NOT NULL CHECK (reminder_number >= 1),
+  email            text,
+  sent_at          timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT abandoned_reminders_subject CHECK (
+    (kind = 'quote' AND quote_id IS NOT NULL)
+    OR (kind = 'cart' AND cart_updated_at IS NOT NULL)
+  )
+);
+
+COMMENT ON TABLE public.abandoned_reminders IS
+  'One row per abandoned draft-quote / cart reminder email. Written by the send-abandoned-reminders Edge Function.';
+
+CREATE UNIQUE INDEX IF NOT EXISTS abandoned_reminders_quote_uniq
+  ON public.abandoned_reminders (quote_id, reminder_number) WHERE kind = 'quote';
+CREATE UNIQUE INDEX IF NOT EXISTS abandoned_reminders_cart_uniq
+  ON public.abandoned_reminders (user_id, cart_updated_at, reminder_number) WHERE kind = 'cart';
+CREATE INDEX IF NOT EXISTS abandoned_reminders_sent_at_idx
+  ON public.abandoned_reminders (sent_at DESC);
+
+ALTER TABLE public.abandoned_reminders ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Admins view abandoned reminders" ON public.abandoned_reminders;
+CREATE POLICY "Admins view abandoned reminders" ON public.abandoned_reminders
+  FOR SELECT TO authenticated
+  USING (is_admin(auth.uid()));
+
+-- ---------------------------------------------------------------------------
+-- 2. Opt-out
+-- ---------------------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS public.reminder_preferences (
+  user_id        uuid        PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+  opt_out_token  uuid        NOT NULL UNIQUE DEFAULT gen_random_uuid(),
+  opted_out_at   timestamptz,
+  created_at     timestamptz NOT NULL DEFAULT now()
+);
+
+ALTER TABLE public.reminder_preferences ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Customers read own reminder preferences" ON public.reminder_preferences;
+DROP POLICY IF EXISTS "Admins view reminder preferences"        ON public.reminder_preferences;
+
+CREATE POLICY "Customers read own reminder preferences" ON public.reminder_preferences
+  FOR SELECT TO authenticated
+  USING (user_id = auth.uid());
+
+CREATE POLICY "Admins view reminder preferences" ON public.reminder_preferences
+  FOR SELECT TO authenticated
+  USING (is_admin(auth.uid()));
+
+-- ---------------------------------------------------------------------------
+-- 3. What is due. Creates the preference row (and so the opt-out token) for
+--    every customer returned.
+-- ---------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.abandoned_reminder_candidates(
+  p_idle_days      integer,
+  p_max_reminders  integer,
+  p_limit          integer DEFAULT 200
+)
+RETURNS TABLE (
+  kind             text,
+  user_id          uuid,
+  quote_id         uuid,
+  quote_number     text,
+  total_amount     numeric,
+  item_count       integer,
+  cart_updated_at  timestamptz,
+  reminder_number  integer,
+  opt_out_token    uuid
+)
+LANGUAGE sql
+VOLATILE
+SECURITY DEFINER
+SET search_path = ''
+AS $$
+  WITH due AS (
+    SELECT DISTINCT ON (d.user_id)
+           d.kind, d.user_id, d.quote_id, d.quote_number, d.total_amount,
+           d.item_count, d.cart_updated_at, d.reminder_number
+      FROM (
+        SELECT 'quote'::text AS kind, q.customer_id AS user_id, q.id AS quote_id,
+               q.quote_number, q.total_amount,
+               (SELECT COUNT(*)::integer FROM public.quote_items qi WHERE qi.quote_id = q.id) AS item_count,
+               NULL::timestamptz AS cart_updated_at,
+               COALESCE(r.sent, 0) + 1 AS reminder_number,
+               GREATEST(COALESCE(q.updated_at, q.created_at), r.last_sent) AS idle_since
+          FROM public.quotes q
+          LEFT JOIN LATERAL (
+            SELECT COUNT(*)::integer AS sent, MAX(a.sent_at) AS last_sent
+              FROM public.abandoned_reminders a
+             WHERE a.kind = 'quote' AND a.quote_id = q.id
+          ) r ON true
+         WHERE q.status = 'draft'
+           AND q.customer_id IS NOT NULL
+        UNION ALL
+        SELECT 'cart', c.user_id, NULL, NULL, NULL,
+               jsonb_array_length(c.items),
+               c.updated_at,
+               COALESCE(r.sent, 0) + 1,
+               GREATEST(c.updated_at, r.last_sent)
+          FROM public.carts c
+          LEFT JOIN LATERAL (
+            SELECT COUNT(*)::integer AS sent, MAX(a.sent_at) AS last_sent
+              FROM public.abandoned_reminders a
+             WHERE a.kind = 'cart' AND a.user_id = c.user_id AND a.cart_updated_at = c.updated_at
+          ) r ON true
+         WHERE jsonb_array_length(c.items) > 0
+      ) d
+     WHERE d.item_count > 0
+       AND d.reminder_number <= p_max_reminders
+       AND d.idle_since < now() - make_interval(days => GREATEST(p_idle_days, 1))
+       AND NOT EXISTS (
+         SELECT 1 FROM public.reminder_preferences p
+          WHERE p.user_id = d.user_id AND p.opted_out_at IS NOT NULL
+       )
+     ORDER BY d.user_id, (d.kind = 'cart'), d.idle_since
+     LIMIT GREATEST(p_limit, 0)
+  ),
+  -- New rows are not visible to the join below (same statement snapshot),
+  -- hence the COALESCE with RETURNING.
+  created AS (
+    INSERT INTO public.reminder_preferences (user_id)
+    SELECT user_id FROM due
+    ON CONFLICT (user_id) DO NOTHING
+    RETURNING user_id, opt_out_token
+  )
+  SELECT due.kind, due.user_id, due.quote_id, due.quote_number, due.total_amount,
+         due.item_count, due.cart_updated_at, due.reminder_number,
+         COALESCE(created.opt_out_token, existing.opt_out_token)
+    FROM due
+    LEFT JOIN created ON created.user_id = due.user_id
+    LEFT JOIN public.reminder_preferences existing ON existing.user_id = due.user_id;
+$$;
+
+COMMENT ON FUNCTION public.abandoned_reminder_candidates(integer, integer, integer) IS
+  'Draft quotes / carts idle for p_idle_days with fewer than p_max_reminders reminders sent; one per customer, opted-out customers excluded. service_role only.';
+
+REVOKE ALL ON FUNCTION public.abandoned_reminder_candidates(integer, integer, integer) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.abandoned_reminder_candidates(integer, integer, integer) TO service_role;
+
+-- ---------------------------------------------------------------------------
+-- 4. Opt-out from the email link. Returns false for an unknown token.
+-- ---------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.opt_out_of_reminders(p_token uuid)
+RETURNS boolean
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = ''
+AS $$
+DECLARE
+  v_found boolean;
+BEGIN
+  UPDATE public.reminder_preferences
+     SET opted_out_at = COALESCE(opted_out_at, now())
+   WHERE opt_out_token = p_token
+  RETURNING true INTO v_found;
+  RETURN COALESCE(v_found, false);
+END;
+$$;
+
+COMMENT ON FUNCTION public.opt_out_of_reminders(uuid) IS
+  'Stops abandoned quote / cart reminders for the customer owning p_token (the link in every reminder email). Idempotent.';
+
+REVOKE ALL ON FUNCTION public.opt_out_of_reminders(uuid) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.opt_out_of_reminders(uuid) TO anon, authenticated, service_role;
+
+-- ---------------------------------------------------------------------------
+-- Verification
+-- ---------------------------------------------------------------------------
+SELECT
+  (SELECT COUNT(*) FROM information_schema.tables
+    WHERE table_schema = 'public' AND table_name = 'abandoned_reminders') AS reminders_table,
+  (SELECT COUNT(*) FROM information_schema.tables
+    WHERE table_schema = 'public' AND table_name = 'reminder_preferences') AS preferences_table,
+  (SELECT COUNT(*) FROM pg_proc
+    WHERE proname IN ('abandoned_reminder_candidates', 'opt_out_of_reminders')) AS functions;
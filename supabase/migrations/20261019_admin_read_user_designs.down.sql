@@ -0,0 +1,7 @@
+-- Rollback for 20261019_admin_read_user_designs.sql.
+--
+-- Production export then falls back to order_items.design_data: one position
+-- per order item, the one on screen when the customer saved.
+-- NO explicit BEGIN/COMMIT (PR #76 lesson). Idempotent.
+
+DROP POLICY IF EXISTS "Admins can read all designs" ON public.user_designs;
@@ -0,0 +1,34 @@
+-- ============================================================================
+-- Staff read access to customer designs, for production artwork export.
+-- ----------------------------------------------------------------------------
+-- WHY: AdminOrderDetail now builds print-scale vector SVG / PDF files
+-- (src/utils/productionArtworkExport.js) for every design attached to an
+-- order. order_items.design_data only holds the position that was on screen
+-- when the customer saved; the other positions live in
+-- user_designs.print_positions (20261019_design_print_positions.sql), which
+-- staff could not read — user_designs RLS only let customers see their own.
+--
+-- Read-only: staff never edit a customer's design; changes go back to the
+-- customer through the proofing loop.
+--
+-- APPLY (CLAUDE.md §52 + PR #76 lesson): open Supabase SQL Editor, paste, Run.
+-- NO explicit BEGIN/COMMIT. Idempotent. The final SELECT must return
+-- admin_read_policy = 1.
+-- ROLLBACK: 20261019_admin_read_user_designs.down.sql.
+-- ============================================================================
+
+DROP POLICY IF EXISTS "Admins can read all designs" ON public.user_designs;
+CREATE POLICY "Admins can read all designs"
+  ON public.user_designs
+  FOR SELECT
+  TO authenticated
+  USING (public.is_admin(auth.uid()));
+
+-- ---------------------------------------------------------------------------
+-- Verification
+-- ---------------------------------------------------------------------------
+SELECT COUNT(*) AS admin_read_policy
+  FROM pg_policies
+ WHERE schemaname = 'public'
+   AND tablename = 'user_designs'
+   AND policyname = 'Admins can read all designs';
@@ -0,0 +1,9 @@
+-- Rollback for 20261019_admins_read_quotes.sql.
+-- Drops the admin SELECT policies; customer policies are untouched.
+
+BEGIN;
+
+DROP POLICY IF EXISTS "Admins view quotes" ON quotes;
+DROP POLICY IF EXISTS "Admins view quote items" ON quote_items;
+
+COMMIT;
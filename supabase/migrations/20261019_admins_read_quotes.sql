@@ -0,0 +1,35 @@
+-- Admin read access to quotes + quote_items (quote PDF on the admin side).
+--
+-- BACKGROUND:
+--   The admin customer page now lists a customer's quotes and lets staff
+--   download the same branded quote PDF the customer gets
+--   (src/lib/quotePdf.js). orders already carry an is_admin(auth.uid())
+--   branch ("Admins manage orders"); quotes / quote_items only have the
+--   customer-owned policies, so an admin session reads an empty list.
+--
+-- WHAT THIS DOES:
+--   Adds SELECT-only policies for admins on quotes and quote_items. Writes
+--   stay customer-only — staff do not edit customer quotes from the UI.
+--   Both policies are additive (RLS policies OR together), so the existing
+--   customer policies are untouched.
+--
+-- APPLY PATH (CLAUDE.md §52):
+--   Dave: paste this entire migration into Supabase Dashboard ->
+--   SQL Editor -> click Run -> confirm success message before merging
+--   the PR. Code alone does nothing.
+--
+-- ROLLBACK: see 20261019_admins_read_quotes.down.sql in the same directory.
+
+BEGIN;
+
+DROP POLICY IF EXISTS "Admins view quotes" ON quotes;
+CREATE POLICY "Admins view quotes" ON quotes FOR SELECT USING (
+  is_admin(auth.uid())
+);
+
+DROP POLICY IF EXISTS "Admins view quote items" ON quote_items;
+CREATE POLICY "Admins view quote items" ON quote_items FOR SELECT USING (
+  is_admin(auth.uid())
+);
+
+COMMIT;
@@ -0,0 +1,11 @@
+-- Rollback for 20261019_artwork_preflight.sql.
+--
+-- Stored preflight reports are dropped with the column; uploads keep working
+-- (uploadOrderArtwork only sends preflight when the modal produced one, but
+-- deploy the frontend revert first so inserts don't name a missing column).
+-- NO explicit BEGIN/COMMIT (PR #76 lesson). Idempotent.
+
+ALTER TABLE public.order_artwork
+  DROP CONSTRAINT IF EXISTS order_artwork_preflight_status;
+ALTER TABLE public.order_artwork
+  DROP COLUMN IF EXISTS preflight;
@@ -0,0 +1,47 @@
+-- ============================================================================
+-- Print-readiness preflight on uploaded artwork.
+-- ----------------------------------------------------------------------------
+-- WHY: ArtworkUploadModal accepted any file up to 50 MB without looking at
+-- it. A 200px logo saved from a website or an RGB-only PDF was only caught
+-- when staff opened the file in review, days after the customer uploaded.
+--
+-- The modal now runs preflightArtwork() (src/utils/fileValidation.js) in the
+-- browser before uploading, shows the customer the pass / warn / fail report
+-- and stores it on the row:
+--
+--   order_artwork.preflight  jsonb, the report as shown to the customer:
+--     { version, status: 'pass'|'warn'|'fail', kind: 'raster'|'vector',
+--       format, pixel_width, pixel_height, effective_dpi, has_transparency,
+--       colour_space, target: { position, area, width_mm, height_mm } | null,
+--       checks: [{ id, status, label, detail }] }
+--
+-- A failed preflight does NOT block the upload — staff decide, and
+-- AdminOrderDetail shows the report next to each file. NULL = uploaded
+-- before this change.
+--
+-- APPLY (CLAUDE.md §52 + PR #76 lesson): open Supabase SQL Editor, paste, Run.
+-- NO explicit BEGIN/COMMIT. Idempotent. The final SELECT must return
+-- preflight_column = 1.
+-- ROLLBACK: 20261019_artwork_preflight.down.sql.
+-- ============================================================================
+
+ALTER TABLE public.order_artwork
+  ADD COLUMN IF NOT EXISTS preflight jsonb NULL;
+
+ALTER TABLE public.order_artwork
+  DROP CONSTRAINT IF EXISTS order_artwork_preflight_status;
+ALTER TABLE public.order_artwork
+  ADD CONSTRAINT order_artwork_preflight_status
+  CHECK (preflight IS NULL OR preflight->>'status' IN ('pass', 'warn', 'fail'));
+
+COMMENT ON COLUMN public.order_artwork.preflight IS
+  'Browser preflight report at upload (fileValidation.preflightArtwork): {status pass|warn|fail, kind, effective_dpi, has_transparency, colour_space, target, checks[]}. NULL = uploaded before preflight existed.';
+
+-- ---------------------------------------------------------------------------
+-- Verification
+-- ---------------------------------------------------------------------------
+SELECT COUNT(*) AS preflight_column
+  FROM information_schema.columns
+ WHERE table_schema = 'public'
+   AND table_name = 'order_artwork'
+   AND column_name = 'preflight';
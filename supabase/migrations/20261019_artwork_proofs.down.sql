@@ -0,0 +1,15 @@
+-- Rollback for 20261019_artwork_proofs.sql.
+--
+-- Drops the proof RPCs, the admin upload storage policy and both tables.
+-- Proof FILES stay in the order-artwork bucket under {customerId}/{orderId}/proofs/
+-- — remove them from the Storage UI if wanted. orders.artwork_status is left
+-- as-is. Export artwork_proof_events first if the approval history matters.
+-- NO explicit BEGIN/COMMIT (PR #76 lesson). Idempotent.
+
+DROP FUNCTION IF EXISTS public.respond_to_artwork_proof(uuid, text, text);
+DROP FUNCTION IF EXISTS public.publish_artwork_proof(uuid, text, text, text, bigint, text);
+
+DROP POLICY IF EXISTS "Admins can upload artwork files" ON storage.objects;
+
+DROP TABLE IF EXISTS public.artwork_proof_events;
+DROP TABLE IF EXISTS public.artwork_proofs;
@@ -0,0 +1,271 @@
+-- ============================================================================
+-- Artwork proofing loop.
+-- ----------------------------------------------------------------------------
+-- WHY: staff could move artwork_status to 'proof_sent' but the proof itself
+-- went out by hand from artwork@ and the customer replied by email. Nothing
+-- recorded which version was approved, or when.
+--
+-- FLOW:
+--   1. Staff upload a proof on AdminOrderDetail. The file goes to the
+--      order-artwork bucket under the CUSTOMER's folder
+--      ({customerId}/{orderId}/proofs/...) so the existing "Customers can read
+--      own artwork files" storage policy already covers it. Then
+--      publish_artwork_proof() inserts the next version, supersedes any
+--      version still awaiting a response, and moves the order to proof_sent.
+--   2. Optional email (send-proof-email edge function, CAS on
+--      artwork_proofs.email_sent_at) links the customer to their order page.
+--   3. The customer approves or requests changes on CustomerOrderDetail via
+--      respond_to_artwork_proof(). Approve -> artwork_status 'approved'
+--      (same delivery gate as the admin advance, CLAUDE.md PR B decision 2).
+--      Request changes -> back to 'in_review' for the next version.
+--
+-- AUDIT: artwork_proof_events is append-only (no UPDATE / DELETE policy, and
+-- only the SECURITY DEFINER RPCs + service role insert). Every upload,
+-- email, supersede and customer response is a row.
+--
+-- APPLY (CLAUDE.md §52 + PR #76 lesson): open Supabase SQL Editor, paste, Run.
+-- NO explicit BEGIN/COMMIT. Idempotent. The final SELECT must return 2 rows.
+-- Then deploy send-proof-email and merge.
+-- ROLLBACK: 20261019_artwork_proofs.down.sql.
+-- ============================================================================
+
+-- ---------------------------------------------------------------------------
+-- 1. artwork_proofs — one row per proof version
+-- ---------------------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS public.artwork_proofs (
+  id                uuid         PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_id          uuid         NOT NULL REFERENCES public.orders(id) ON DELETE CASCADE,
+  version           integer      NOT NULL,
+  file_name         text         NOT NULL,
+  file_url          text         NOT NULL,
+  file_type         text,
+  file_size         bigint,
+  staff_notes       text,
+  status            text         NOT NULL DEFAULT 'awaiting_response'
+                    CHECK (status IN ('awaiting_response', 'approved', 'changes_requested', 'superseded')),
+  uploaded_by       uuid,
+  email_sent_at     timestamptz,
+  responded_at      timestamptz,
+  responded_by      uuid,
+  response_comment  text,
+  created_at        timestamptz  NOT NULL DEFAULT now(),
+  CONSTRAINT artwork_proofs_order_version_uniq UNIQUE (order_id, version)
+);
+
+COMMENT ON COLUMN public.artwork_proofs.file_url IS
+  'Storage path in the private order-artwork bucket: {customerId}/{orderId}/proofs/{file}. Sign on read.';
+
+ALTER TABLE public.artwork_proofs ENABLE ROW LEVEL SECURITY;
+
+-- Writes go through the RPCs below; reads are direct.
+DROP POLICY IF EXISTS "Admins view artwork proofs" ON public.artwork_proofs;
+CREATE POLICY "Admins view artwork proofs" ON public.artwork_proofs FOR SELECT
+  USING (is_admin(auth.uid()));
+
+DROP POLICY IF EXISTS "Users view own artwork proofs" ON public.artwork_proofs;
+CREATE POLICY "Users view own artwork proofs" ON public.artwork_proofs FOR SELECT
+  USING (EXISTS (
+    SELECT 1 FROM public.orders o
+     WHERE o.id = artwork_proofs.order_id
+       AND o.customer_id = auth.uid()
+       AND o.deleted_at IS NULL
+  ));
+
+-- ---------------------------------------------------------------------------
+-- 2. artwork_proof_events — append-only audit trail
+-- ---------------------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS public.artwork_proof_events (
+  id          uuid         PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_id    uuid         NOT NULL REFERENCES public.orders(id) ON DELETE CASCADE,
+  proof_id    uuid         NOT NULL REFERENCES public.artwork_proofs(id) ON DELETE CASCADE,
+  event       text         NOT NULL
+              CHECK (event IN ('uploaded', 'emailed', 'superseded', 'approved', 'changes_requested')),
+  actor_type  text         NOT NULL CHECK (actor_type IN ('staff', 'customer', 'system')),
+  actor_id    uuid,
+  comment     text,
+  created_at  timestamptz  NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS artwork_proof_events_order_idx
+  ON public.artwork_proof_events (order_id, created_at);
+
+ALTER TABLE public.artwork_proof_events ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Admins view artwork proof events" ON public.artwork_proof_events;
+CREATE POLICY "Admins view artwork proof events" ON public.artwork_proof_events FOR SELECT
+  USING (is_admin(auth.uid()));
+
+DROP POLICY IF EXISTS "Users view own artwork proof events" ON public.artwork_proof_events;
+CREATE POLICY "Users view own artwork proof events" ON public.artwork_proof_events FOR SELECT
+  USING (EXISTS (
+    SELECT 1 FROM public.orders o
+     WHERE o.id = artwork_proof_events.order_id
+       AND o.customer_id = auth.uid()
+       AND o.deleted_at IS NULL
+  ));
+
+-- ---------------------------------------------------------------------------
+-- 3. Storage: admins may upload into order-artwork (proofs live in the
+--    customer's folder). Read / delete admin policies already exist
+--    (20260420_fix_order_artwork_storage_policies.sql).
+-- ---------------------------------------------------------------------------
+DROP POLICY IF EXISTS "Admins can upload artwork files" ON storage.objects;
+CREATE POLICY "Admins can upload artwork files"
+  ON storage.objects
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    bucket_id = 'order-artwork'
+    AND public.is_admin(auth.uid())
+  );
+
+-- ---------------------------------------------------------------------------
+-- 4. publish_artwork_proof — staff only. Next version number, supersede the
+--    outstanding version, audit, and move the order to proof_sent.
+--    Returns the new artwork_proofs row id.
+-- ---------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.publish_artwork_proof(
+  p_order_id    uuid,
+  p_file_name   text,
+  p_file_url    text,
+  p_file_type   text DEFAULT NULL,
+  p_file_size   bigint DEFAULT NULL,
+  p_staff_notes text DEFAULT NULL
+) RETURNS uuid
+  LANGUAGE plpgsql
+  SECURITY DEFINER
+  SET search_path = public
+AS $fn$
+DECLARE
+  v_version   integer;
+  v_proof_id  uuid;
+  v_old       record;
+BEGIN
+  IF NOT is_admin(auth.uid()) THEN
+    RAISE EXCEPTION 'Only staff can publish proofs'
+      USING ERRCODE = '42501';
+  END IF;
+
+  PERFORM 1 FROM public.orders WHERE id = p_order_id AND deleted_at IS NULL FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Order not found: %', p_order_id
+      USING ERRCODE = 'P0002';
+  END IF;
+
+  FOR v_old IN
+    UPDATE public.artwork_proofs
+       SET status = 'superseded'
+     WHERE order_id = p_order_id
+       AND status = 'awaiting_response'
+    RETURNING id
+  LOOP
+    INSERT INTO public.artwork_proof_events (order_id, proof_id, event, actor_type, actor_id)
+    VALUES (p_order_id, v_old.id, 'superseded', 'staff', auth.uid());
+  END LOOP;
+
+  SELECT COALESCE(MAX(version), 0) + 1 INTO v_version
+    FROM public.artwork_proofs
+   WHERE order_id = p_order_id;
+
+  INSERT INTO public.artwork_proofs (
+    order_id, version, file_name, file_url, file_type, file_size, staff_notes, uploaded_by
+  ) VALUES (
+    p_order_id, v_version, p_file_name, p_file_url, p_file_type, p_file_size,
+    NULLIF(trim(p_staff_notes), ''), auth.uid()
+  )
+  RETURNING id INTO v_proof_id;
+
+  INSERT INTO public.artwork_proof_events (order_id, proof_id, event, actor_type, actor_id, comment)
+  VALUES (p_order_id, v_proof_id, 'uploaded', 'staff', auth.uid(), NULLIF(trim(p_staff_notes), ''));
+
+  UPDATE public.orders SET artwork_status = 'proof_sent' WHERE id = p_order_id;
+
+  RETURN v_proof_id;
+END;
+$fn$;
+
+REVOKE ALL ON FUNCTION public.publish_artwork_proof(uuid, text, text, text, bigint, text) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.publish_artwork_proof(uuid, text, text, text, bigint, text) TO authenticated;
+
+-- ---------------------------------------------------------------------------
+-- 5. respond_to_artwork_proof — customer only, latest outstanding version.
+--    Returns jsonb { ok, error? } like apply_promo_code. Error codes:
+--      not_found | not_awaiting_response | comment_required | delivery_incomplete
+--    delivery_incomplete mirrors src/lib/deliveryValidation.js
+--    validateDeliveryForApproval — keep the six fields in sync.
+-- ---------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.respond_to_artwork_proof(
+  p_proof_id  uuid,
+  p_decision  text,
+  p_comment   text DEFAULT NULL
+) RETURNS jsonb
+  LANGUAGE plpgsql
+  SECURITY DEFINER
+  SET search_path = public
+AS $fn$
+DECLARE
+  v_proof    public.artwork_proofs%ROWTYPE;
+  v_order    public.orders%ROWTYPE;
+  v_comment  text := NULLIF(trim(p_comment), '');
+  v_field    text;
+BEGIN
+  IF p_decision NOT IN ('approved', 'changes_requested') THEN
+    RAISE EXCEPTION 'Invalid decision: %', p_decision
+      USING ERRCODE = '22023';
+  END IF;
+
+  SELECT * INTO v_proof FROM public.artwork_proofs WHERE id = p_proof_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'not_found');
+  END IF;
+
+  SELECT * INTO v_order FROM public.orders WHERE id = v_proof.order_id FOR UPDATE;
+  IF v_order.customer_id IS DISTINCT FROM auth.uid() OR v_order.deleted_at IS NOT NULL THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'not_found');
+  END IF;
+
+  IF v_proof.status <> 'awaiting_response' THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'not_awaiting_response');
+  END IF;
+
+  IF p_decision = 'changes_requested' AND v_comment IS NULL THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'comment_required');
+  END IF;
+
+  IF p_decision = 'approved' THEN
+    FOREACH v_field IN ARRAY ARRAY['line1', 'city', 'postcode', 'country', 'fao', 'phone'] LOOP
+      IF COALESCE(trim(v_order.shipping_address->>v_field), '') = '' THEN
+        RETURN jsonb_build_object('ok', false, 'error', 'delivery_incomplete');
+      END IF;
+    END LOOP;
+  END IF;
+
+  UPDATE public.artwork_proofs
+     SET status           = p_decision,
+         responded_at     = now(),
+         responded_by     = auth.uid(),
+         response_comment = v_comment
+   WHERE id = p_proof_id;
+
+  INSERT INTO public.artwork_proof_events (order_id, proof_id, event, actor_type, actor_id, comment)
+  VALUES (v_proof.order_id, p_proof_id, p_decision, 'customer', auth.uid(), v_comment);
+
+  UPDATE public.orders
+     SET artwork_status = CASE WHEN p_decision = 'approved' THEN 'approved' ELSE 'in_review' END
+   WHERE id = v_proof.order_id;
+
+  RETURN jsonb_build_object('ok', true, 'status', p_decision);
+END;
+$fn$;
+
+REVOKE ALL ON FUNCTION public.respond_to_artwork_proof(uuid, text, text) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.respond_to_artwork_proof(uuid, text, text) TO authenticated;
+
+-- ---------------------------------------------------------------------------
+-- Verification: must return 2 rows.
+-- ---------------------------------------------------------------------------
+SELECT table_name
+FROM information_schema.tables
+WHERE table_schema = 'public'
+  AND table_name IN ('artwork_proofs', 'artwork_proof_events')
+ORDER BY table_name;
@@ -0,0 +1,57 @@
+-- Rollback for 20261019_brand_assets.sql.
+-- Run this before 20261019_company_accounts.down.sql (brand_assets references
+-- companies). NO explicit BEGIN/COMMIT (PR #76 lesson). Idempotent.
+-- Files in the brand-assets bucket are left in place; empty the bucket from
+-- the dashboard first if it should go too.
+
+DROP POLICY IF EXISTS "Customers can upload own brand asset files"  ON storage.objects;
+DROP POLICY IF EXISTS "Customers can read brand asset files"        ON storage.objects;
+DROP POLICY IF EXISTS "Customers can delete own brand asset files"  ON storage.objects;
+DROP POLICY IF EXISTS "Approvers can delete company brand asset files" ON storage.objects;
+DROP POLICY IF EXISTS "Admins can read all brand asset files"       ON storage.objects;
+
+-- share_member_content as 20261019_company_accounts.sql defines it.
+CREATE OR REPLACE FUNCTION public.share_member_content(p_user_id uuid, p_company_id uuid)
+RETURNS void
+LANGUAGE sql
+SECURITY DEFINER
+SET search_path = public
+AS $fn$
+  UPDATE public.quotes       SET company_id = p_company_id WHERE customer_id = p_user_id AND company_id IS NULL;
+  UPDATE public.user_designs SET company_id = p_company_id WHERE user_id = p_user_id AND company_id IS NULL;
+$fn$;
+
+REVOKE ALL ON FUNCTION public.share_member_content(uuid, uuid) FROM PUBLIC, anon, authenticated;
+
+-- remove_company_member as 20261019_company_accounts.sql defines it.
+CREATE OR REPLACE FUNCTION public.remove_company_member(p_user_id uuid)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $fn$
+DECLARE
+  v_company uuid := public.my_company_id();
+  v_role    text;
+BEGIN
+  IF v_company IS NULL OR (p_user_id <> auth.uid() AND public.my_company_role() <> 'approver') THEN
+    RAISE EXCEPTION 'Only company approvers can remove members' USING ERRCODE = '42501';
+  END IF;
+  SELECT role INTO v_role FROM public.company_members
+   WHERE company_id = v_company AND user_id = p_user_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Not a member of your company' USING ERRCODE = 'P0002';
+  END IF;
+  IF v_role = 'approver'
+     AND (SELECT count(*) FROM public.company_members WHERE company_id = v_company) > 1
+     AND (SELECT count(*) FROM public.company_members WHERE company_id = v_company AND role = 'approver') = 1 THEN
+    RAISE EXCEPTION 'Make someone else an approver first' USING ERRCODE = '22023';
+  END IF;
+
+  DELETE FROM public.company_members WHERE company_id = v_company AND user_id = p_user_id;
+  UPDATE public.quotes       SET company_id = NULL WHERE customer_id = p_user_id AND company_id = v_company AND status <> 'converted';
+  UPDATE public.user_designs SET company_id = NULL WHERE user_id = p_user_id AND company_id = v_company;
+END;
+$fn$;
+
+DROP TABLE IF EXISTS public.brand_assets;
@@ -0,0 +1,269 @@
+-- ============================================================================
+-- Brand kit: reusable logos, brand colours and preferred fonts per account.
+-- ----------------------------------------------------------------------------
+-- WHY: customers re-uploaded the same logo through handleImageUpload for
+-- every product they designed, and re-typed their brand hex codes each time.
+--
+-- WHAT:
+--   brand_assets       one row per asset, kind:
+--                        logo    file_path (original) + transparent_path (the
+--                                background-removed PNG the browser makes on
+--                                upload; NULL when the original is already
+--                                transparent or has no flat background)
+--                        colour  value = '#rrggbb'
+--                        font    value = font family offered by the designers
+--   brand_assets.company_id
+--                      stamped by the existing stamp_company_id() trigger
+--                      (20261019_company_accounts.sql), so company members
+--                      share one kit. share_member_content() now also shares
+--                      a joining member's existing assets, and
+--                      remove_company_member() unshares a leaver's.
+--   brand-assets bucket (private). Path: {userId}/{assetId}.{ext} and
+--                      {userId}/{assetId}-transparent.png. Colleagues read
+--                      the files of assets their company can see.
+--
+-- The designers place a logo as an embedded data URL (same as an uploaded
+-- image), so saved designs never depend on these files staying put.
+--
+-- SECURITY: owners write their own assets; company approvers may also edit
+-- and delete company assets. Viewers cannot add to the kit.
+--
+-- APPLY (CLAUDE.md §52 + PR #76 lesson): apply 20261019_company_accounts.sql
+-- first. Open Supabase SQL Editor, paste, Run. NO explicit BEGIN/COMMIT.
+-- Idempotent. The final SELECT must return assets_table = 1,
+-- asset_policies = 5, bucket = 1 and file_policies = 5.
+-- ROLLBACK: 20261019_brand_assets.down.sql.
+-- ============================================================================
+
+-- ---------------------------------------------------------------------------
+-- 1. brand_assets
+-- ---------------------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS public.brand_assets (
+  id                uuid        PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id           uuid        NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  company_id        uuid        REFERENCES public.companies(id) ON DELETE SET NULL,
+  kind              text        NOT NULL CHECK (kind IN ('logo', 'colour', 'font')),
+  name              text        NOT NULL CHECK (length(trim(name)) > 0),
+  value             text,
+  file_path         text,
+  transparent_path  text,
+  width             integer,
+  height            integer,
+  created_at        timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT brand_assets_kind_payload CHECK (
+       (kind = 'logo'   AND file_path IS NOT NULL)
+    OR (kind = 'colour' AND value ~ '^#[0-9a-f]{6}$')
+    OR (kind = 'font'   AND NULLIF(trim(value), '') IS NOT NULL)
+  )
+);
+
+-- Files live under the owner's folder, so a row can't point at somebody
+-- else's upload and expose it to the company through the read policy below.
+-- Added separately so an existing table picks it up on re-run.
+ALTER TABLE public.brand_assets DROP CONSTRAINT IF EXISTS brand_assets_paths_owned;
+ALTER TABLE public.brand_assets ADD CONSTRAINT brand_assets_paths_owned CHECK (
+      (file_path        IS NULL OR file_path        LIKE user_id::text || '/%')
+  AND (transparent_path IS NULL OR transparent_path LIKE user_id::text || '/%')
+);
+
+CREATE INDEX IF NOT EXISTS brand_assets_user_idx    ON public.brand_assets (user_id);
+CREATE INDEX IF NOT EXISTS brand_assets_company_idx ON public.brand_assets (company_id) WHERE company_id IS NOT NULL;
+
+ALTER TABLE public.brand_assets ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Customers view own and company brand assets" ON public.brand_assets;
+CREATE POLICY "Customers view own and company brand assets" ON public.brand_assets FOR SELECT
+  TO authenticated
+  USING (user_id = auth.uid() OR (company_id IS NOT NULL AND company_id = public.my_company_id()));
+
+DROP POLICY IF EXISTS "Customers add brand assets" ON public.brand_assets;
+CREATE POLICY "Customers add brand assets" ON public.brand_assets FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    user_id = auth.uid()
+    AND public.my_company_role() IS DISTINCT FROM 'viewer'
+    AND (company_id IS NULL OR company_id = public.my_company_id())
+  );
+
+-- Owner, company and files are pinned to the stored row; name and value
+-- stay editable.
+DROP POLICY IF EXISTS "Customers update brand assets" ON public.brand_assets;
+CREATE POLICY "Customers update brand assets" ON public.brand_assets FOR UPDATE
+  TO authenticated
+  USING (
+    user_id = auth.uid()
+    OR (company_id = public.my_company_id() AND public.my_company_role() = 'approver')
+  )
+  WITH CHECK (
+    (
+      user_id = auth.uid()
+      OR (company_id = public.my_company_id() AND public.my_company_role() = 'approver')
+    )
+    AND EXISTS (
+      SELECT 1 FROM public.brand_assets o
+       WHERE o.id = brand_assets.id
+         AND o.user_id = brand_assets.user_id
+         AND o.company_id IS NOT DISTINCT FROM brand_assets.company_id
+         AND o.file_path IS NOT DISTINCT FROM brand_assets.file_path
+         AND o.transparent_path IS NOT DISTINCT FROM brand_assets.transparent_path
+    )
+  );
+
+DROP POLICY IF EXISTS "Customers delete brand assets" ON public.brand_assets;
+CREATE POLICY "Customers delete brand assets" ON public.brand_assets FOR DELETE
+  TO authenticated
+  USING (
+    user_id = auth.uid()
+    OR (company_id = public.my_company_id() AND public.my_company_role() = 'approver')
+  );
+
+DROP POLICY IF EXISTS "Admins view brand assets" ON public.brand_assets;
+CREATE POLICY "Admins view brand assets" ON public.brand_assets FOR SELECT
+  TO authenticated
+  USING (is_admin(auth.uid()));
+
+-- ---------------------------------------------------------------------------
+-- 2. Company sharing — same trigger as quotes / user_designs.
+-- ---------------------------------------------------------------------------
+-- guard_company_id clears a caller-supplied company_id first, so nobody
+-- can plant an asset in another company's kit, and rejects direct changes.
+DROP TRIGGER IF EXISTS brand_assets_guard_company ON public.brand_assets;
+CREATE TRIGGER brand_assets_guard_company
+  BEFORE INSERT OR UPDATE ON public.brand_assets
+  FOR EACH ROW EXECUTE FUNCTION public.guard_company_id();
+
+DROP TRIGGER IF EXISTS brand_assets_stamp_company ON public.brand_assets;
+CREATE TRIGGER brand_assets_stamp_company
+  BEFORE INSERT ON public.brand_assets
+  FOR EACH ROW EXECUTE FUNCTION public.stamp_company_id();
+
+CREATE OR REPLACE FUNCTION public.share_member_content(p_user_id uuid, p_company_id uuid)
+RETURNS void
+LANGUAGE sql
+SECURITY DEFINER
+SET search_path = public
+AS $fn$
+  UPDATE public.quotes       SET company_id = p_company_id WHERE customer_id = p_user_id AND company_id IS NULL;
+  UPDATE public.user_designs SET company_id = p_company_id WHERE user_id = p_user_id AND company_id IS NULL;
+  UPDATE public.brand_assets SET company_id = p_company_id WHERE user_id = p_user_id AND company_id IS NULL;
+$fn$;
+
+REVOKE ALL ON FUNCTION public.share_member_content(uuid, uuid) FROM PUBLIC, anon, authenticated;
+
+-- Leaving (or being removed) takes the member's assets out of the kit, as
+-- for quotes and designs. 20261019_company_accounts.sql body plus the
+-- brand_assets line; grants are unchanged by CREATE OR REPLACE.
+CREATE OR REPLACE FUNCTION public.remove_company_member(p_user_id uuid)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $fn$
+DECLARE
+  v_company uuid := public.my_company_id();
+  v_role    text;
+BEGIN
+  IF v_company IS NULL OR (p_user_id <> auth.uid() AND public.my_company_role() <> 'approver') THEN
+    RAISE EXCEPTION 'Only company approvers can remove members' USING ERRCODE = '42501';
+  END IF;
+  SELECT role INTO v_role FROM public.company_members
+   WHERE company_id = v_company AND user_id = p_user_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Not a member of your company' USING ERRCODE = 'P0002';
+  END IF;
+  IF v_role = 'approver'
+     AND (SELECT count(*) FROM public.company_members WHERE company_id = v_company) > 1
+     AND (SELECT count(*) FROM public.company_members WHERE company_id = v_company AND role = 'approver') = 1 THEN
+    RAISE EXCEPTION 'Make someone else an approver first' USING ERRCODE = '22023';
+  END IF;
+
+  DELETE FROM public.company_members WHERE company_id = v_company AND user_id = p_user_id;
+  UPDATE public.quotes       SET company_id = NULL WHERE customer_id = p_user_id AND company_id = v_company AND status <> 'converted';
+  UPDATE public.user_designs SET company_id = NULL WHERE user_id = p_user_id AND company_id = v_company;
+  UPDATE public.brand_assets SET company_id = NULL WHERE user_id = p_user_id AND company_id = v_company;
+END;
+$fn$;
+
+-- ---------------------------------------------------------------------------
+-- 3. brand-assets bucket (private). Path: {userId}/{assetId}.{ext} (original)
+--    and {userId}/{assetId}-transparent.png
+-- ---------------------------------------------------------------------------
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('brand-assets', 'brand-assets', false)
+ON CONFLICT (id) DO NOTHING;
+
+DROP POLICY IF EXISTS "Customers can upload own brand asset files"  ON storage.objects;
+DROP POLICY IF EXISTS "Customers can read brand asset files"        ON storage.objects;
+DROP POLICY IF EXISTS "Customers can delete own brand asset files"  ON storage.objects;
+DROP POLICY IF EXISTS "Approvers can delete company brand asset files" ON storage.objects;
+DROP POLICY IF EXISTS "Admins can read all brand asset files"       ON storage.objects;
+
+CREATE POLICY "Customers can upload own brand asset files"
+  ON storage.objects
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    bucket_id = 'brand-assets'
+    AND (storage.foldername(name))[1] = auth.uid()::text
+  );
+
+-- Own folder, or any file behind an asset the caller's company can see.
+CREATE POLICY "Customers can read brand asset files"
+  ON storage.objects
+  FOR SELECT
+  TO authenticated
+  USING (
+    bucket_id = 'brand-assets'
+    AND (
+      (storage.foldername(name))[1] = auth.uid()::text
+      OR EXISTS (
+        SELECT 1 FROM public.brand_assets a
+         WHERE a.company_id IS NOT NULL
+           AND a.company_id = public.my_company_id()
+           AND storage.objects.name IN (a.file_path, a.transparent_path)
+      )
+    )
+  );
+
+CREATE POLICY "Customers can delete own brand asset files"
+  ON storage.objects
+  FOR DELETE
+  TO authenticated
+  USING (
+    bucket_id = 'brand-assets'
+    AND (storage.foldername(name))[1] = auth.uid()::text
+  );
+
+CREATE POLICY "Approvers can delete company brand asset files"
+  ON storage.objects
+  FOR DELETE
+  TO authenticated
+  USING (
+    bucket_id = 'brand-assets'
+    AND public.my_company_role() = 'approver'
+    AND EXISTS (
+      SELECT 1 FROM public.brand_assets a
+       WHERE a.company_id = public.my_company_id()
+         AND storage.objects.name IN (a.file_path, a.transparent_path)
+    )
+  );
+
+CREATE POLICY "Admins can read all brand asset files"
+  ON storage.objects
+  FOR SELECT
+  TO authenticated
+  USING (
+    bucket_id = 'brand-assets'
+    AND public.is_admin(auth.uid())
+  );
+
+-- ---------------------------------------------------------------------------
+-- Verification
+-- ---------------------------------------------------------------------------
+SELECT
+  (SELECT COUNT(*) FROM information_schema.tables
+    WHERE table_schema = 'public' AND table_name = 'brand_assets') AS assets_table,
+  (SELECT COUNT(*) FROM pg_policies WHERE tablename = 'brand_assets') AS asset_policies,
+  (SELECT COUNT(*) FROM storage.buckets WHERE id = 'brand-assets') AS bucket,
+  (SELECT COUNT(*) FROM pg_policies
+    WHERE schemaname = 'storage' AND policyname LIKE '%brand asset files') AS file_policies;
@@ -0,0 +1,11 @@
+-- Rollback for 20261019_catalogue_change_log.sql.
+--
+-- Drops the change log and supplier_products.content_hash. Deploy the
+-- pre-delta scripts/lib/supplier-sync.js FIRST — the delta sync reads
+-- content_hash and writes supplier_product_changes, and fails without them.
+-- The change history is lost; export it first if it matters.
+-- NO explicit BEGIN/COMMIT (PR #76 lesson). Idempotent.
+
+DROP TABLE IF EXISTS public.supplier_product_changes;
+
+ALTER TABLE public.supplier_products DROP COLUMN IF EXISTS content_hash;
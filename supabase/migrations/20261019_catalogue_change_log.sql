@@ -0,0 +1,79 @@
+-- ============================================================================
+-- Catalogue delta sync + change log.
+-- ----------------------------------------------------------------------------
+-- WHY: the nightly supplier sync re-upserted every product (~1,200 rows of
+-- 15-40 KB JSON) even when nothing had changed, and nobody could see what
+-- DID change overnight. scripts/lib/supplier-sync.js now hashes each
+-- normalised row and skips rows whose hash matches, and records per-product
+-- changes for staff (/admin/catalogue-changes).
+--
+--   supplier_products.content_hash   sha256 of the normalised row after
+--                                    margins (scripts/lib/catalogue-changes.js).
+--                                    NULL until the first sync after this
+--                                    migration, which therefore rewrites
+--                                    every row once.
+--   supplier_product_changes         one row per product per change:
+--                                    added | price | print_options |
+--                                    colours | retired | reinstated, with
+--                                    before / after summaries (jsonb).
+--
+-- SECURITY: admin-read only (is_admin). Written by the sync job with the
+-- service role, which bypasses RLS — no INSERT policy on purpose.
+--
+-- APPLY (CLAUDE.md §52 + PR #76 lesson): open Supabase SQL Editor, paste, Run.
+-- NO explicit BEGIN/COMMIT. Idempotent. The final SELECT must return one
+-- row with content_hash_column = true and change_rows = 0 on first apply.
+-- ROLLBACK: 20261019_catalogue_change_log.down.sql.
+-- ============================================================================
+
+-- ---------------------------------------------------------------------------
+-- 1. Content hash on supplier_products
+-- ---------------------------------------------------------------------------
+ALTER TABLE public.supplier_products ADD COLUMN IF NOT EXISTS content_hash text;
+
+COMMENT ON COLUMN public.supplier_products.content_hash IS
+  'sha256 of the normalised row as last written by the supplier sync (catalogue-changes.js). Unchanged hash = row not rewritten.';
+
+-- ---------------------------------------------------------------------------
+-- 2. Change log
+-- ---------------------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS public.supplier_product_changes (
+  id                     uuid        PRIMARY KEY DEFAULT gen_random_uuid(),
+  job_run_id             uuid        REFERENCES public.job_runs(id) ON DELETE SET NULL,
+  supplier_id            uuid        NOT NULL REFERENCES public.suppliers(id) ON DELETE CASCADE,
+  supplier_product_code  text        NOT NULL,
+  change_type            text        NOT NULL
+    CHECK (change_type IN ('added', 'price', 'print_options', 'colours', 'retired', 'reinstated')),
+  before                 jsonb,
+  after                  jsonb,
+  created_at             timestamptz NOT NULL DEFAULT now()
+);
+
+COMMENT ON TABLE public.supplier_product_changes IS
+  'Per-product catalogue changes recorded by the supplier sync. before/after are summaries, not full rows.';
+
+CREATE INDEX IF NOT EXISTS supplier_product_changes_created_at_idx
+  ON public.supplier_product_changes (created_at DESC);
+CREATE INDEX IF NOT EXISTS supplier_product_changes_product_idx
+  ON public.supplier_product_changes (supplier_id, supplier_product_code, created_at DESC);
+CREATE INDEX IF NOT EXISTS supplier_product_changes_job_run_idx
+  ON public.supplier_product_changes (job_run_id);
+
+-- ---------------------------------------------------------------------------
+-- 3. RLS — admins read; service role writes
+-- ---------------------------------------------------------------------------
+ALTER TABLE public.supplier_product_changes ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Admins view catalogue changes" ON public.supplier_product_changes;
+CREATE POLICY "Admins view catalogue changes" ON public.supplier_product_changes
+  FOR SELECT USING (is_admin(auth.uid()));
+
+-- ---------------------------------------------------------------------------
+-- Verification
+-- ---------------------------------------------------------------------------
+SELECT
+  EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = 'public' AND table_name = 'supplier_products' AND column_name = 'content_hash'
+  ) AS content_hash_column,
+  (SELECT COUNT(*) FROM public.supplier_product_changes) AS change_rows;
@@ -0,0 +1,9 @@
+-- Rollback for 20261019_category_curation_admin.sql.
+--
+-- Removes staff writes to category_product_curation; curation goes back to
+-- seed migrations only. Existing rows and their positions are kept.
+-- NO explicit BEGIN/COMMIT (PR #76 lesson). Idempotent.
+
+DROP FUNCTION IF EXISTS public.reorder_category_curation(text, text[]);
+DROP POLICY IF EXISTS "Admins manage category curation" ON public.category_product_curation;
+ALTER TABLE public.category_product_curation DROP COLUMN IF EXISTS updated_at;
@@ -0,0 +1,88 @@
+-- ============================================================================
+-- Admin writes for category_product_curation.
+-- ----------------------------------------------------------------------------
+-- WHY: category_product_curation (CLAUDE.md §56) has only ever been written by
+-- hand-written seed migrations (20260520_seed_*_curation.sql), so every
+-- merchandising change needed a deploy. /admin/curation
+-- (src/pages/admin/AdminCuration.jsx) now adds, removes and reorders rows
+-- directly:
+--
+--   "Admins manage category curation"   INSERT / UPDATE / DELETE for staff.
+--                                       The public SELECT policy is unchanged.
+--   reorder_category_curation(slug, codes)
+--                                       rewrites position 1..N for one
+--                                       category in a single statement, so a
+--                                       drag-and-drop save is one round trip
+--                                       and never leaves half an ordering.
+--   updated_at                          when the row was last touched, for
+--                                       "who moved what" questions.
+--
+-- SECURITY: writes gated on is_admin(auth.uid()). The function is SECURITY
+-- INVOKER — it runs as the admin, so the policy above is the only gate and
+-- a non-admin call updates zero rows.
+--
+-- APPLY (CLAUDE.md §52 + PR #76 lesson): open Supabase SQL Editor, paste, Run.
+-- NO explicit BEGIN/COMMIT. Idempotent. The final SELECT must return
+-- admin_policy = 1 and reorder_fn = 1.
+-- ROLLBACK: 20261019_category_curation_admin.down.sql.
+-- ============================================================================
+
+-- ---------------------------------------------------------------------------
+-- 1. Bookkeeping column
+-- ---------------------------------------------------------------------------
+ALTER TABLE public.category_product_curation
+  ADD COLUMN IF NOT EXISTS updated_at timestamptz NOT NULL DEFAULT now();
+
+-- ---------------------------------------------------------------------------
+-- 2. Staff write policy
+-- ---------------------------------------------------------------------------
+DROP POLICY IF EXISTS "Admins manage category curation" ON public.category_product_curation;
+CREATE POLICY "Admins manage category curation" ON public.category_product_curation
+  FOR ALL TO authenticated
+  USING (is_admin(auth.uid()))
+  WITH CHECK (is_admin(auth.uid()));
+
+-- ---------------------------------------------------------------------------
+-- 3. Reorder — p_codes in display order; codes not in the category are
+--    ignored, curated codes missing from p_codes keep their position (the
+--    admin page always sends the full list). Returns rows updated.
+-- ---------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.reorder_category_curation(
+  p_category_slug text,
+  p_codes         text[]
+)
+RETURNS integer
+LANGUAGE plpgsql
+SECURITY INVOKER
+SET search_path = public
+AS $$
+DECLARE
+  v_updated integer;
+BEGIN
+  UPDATE public.category_product_curation c
+     SET position   = o.ord,
+         updated_at = now()
+    FROM unnest(p_codes) WITH ORDINALITY AS o(code, ord)
+   WHERE c.category_slug = p_category_slug
+     AND c.supplier_product_code = o.code
+     AND c.position IS DISTINCT FROM o.ord;
+
+  GET DIAGNOSTICS v_updated = ROW_COUNT;
+  RETURN v_updated;
+END;
+$$;
+
+COMMENT ON FUNCTION public.reorder_category_curation(text, text[]) IS
+  'Sets position = array index (1-based) for each curated code of one category. SECURITY INVOKER: the "Admins manage category curation" policy is the gate.';
+
+REVOKE ALL ON FUNCTION public.reorder_category_curation(text, text[]) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.reorder_category_curation(text, text[]) TO authenticated;
+
+-- ---------------------------------------------------------------------------
+-- Verification
+-- ---------------------------------------------------------------------------
+SELECT
+  (SELECT COUNT(*) FROM pg_policies
+    WHERE tablename = 'category_product_curation'
+      AND policyname = 'Admins manage category curation') AS admin_policy,
+  (SELECT COUNT(*) FROM pg_proc WHERE proname = 'reorder_category_curation') AS reorder_fn;
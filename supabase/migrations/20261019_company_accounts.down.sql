@@ -0,0 +1,46 @@
+-- Rollback for 20261019_company_accounts.sql.
+--
+-- Quotes and designs go back to owner-only visibility. Companies, members and
+-- invitations are dropped; approval state on quotes is lost.
+-- NO explicit BEGIN/COMMIT (PR #76 lesson). Idempotent.
+
+DROP TRIGGER IF EXISTS quote_items_reset_approval ON public.quote_items;
+DROP TRIGGER IF EXISTS quotes_guard_approval ON public.quotes;
+DROP TRIGGER IF EXISTS quotes_stamp_company ON public.quotes;
+DROP TRIGGER IF EXISTS user_designs_stamp_company ON public.user_designs;
+DROP TRIGGER IF EXISTS user_designs_guard_company ON public.user_designs;
+
+DROP POLICY IF EXISTS "Company members view company quotes"      ON public.quotes;
+DROP POLICY IF EXISTS "Company members view company quote items" ON public.quote_items;
+DROP POLICY IF EXISTS "Company members view company designs"     ON public.user_designs;
+
+DROP FUNCTION IF EXISTS public.decide_quote_approval(uuid, text, text);
+DROP FUNCTION IF EXISTS public.submit_quote_for_approval(uuid, text);
+DROP FUNCTION IF EXISTS public.reset_quote_approval();
+DROP FUNCTION IF EXISTS public.guard_quote_approval();
+DROP FUNCTION IF EXISTS public.get_company_members();
+DROP FUNCTION IF EXISTS public.remove_company_member(uuid);
+DROP FUNCTION IF EXISTS public.set_company_member_role(uuid, text);
+DROP FUNCTION IF EXISTS public.accept_company_invitation(uuid);
+DROP FUNCTION IF EXISTS public.revoke_company_invitation(uuid);
+DROP FUNCTION IF EXISTS public.invite_company_member(text, text);
+DROP FUNCTION IF EXISTS public.create_company(text);
+DROP FUNCTION IF EXISTS public.share_member_content(uuid, uuid);
+DROP FUNCTION IF EXISTS public.stamp_company_id();
+DROP FUNCTION IF EXISTS public.guard_company_id();
+
+ALTER TABLE public.user_designs DROP COLUMN IF EXISTS company_id;
+ALTER TABLE public.quotes DROP COLUMN IF EXISTS decided_at;
+ALTER TABLE public.quotes DROP COLUMN IF EXISTS decided_by;
+ALTER TABLE public.quotes DROP COLUMN IF EXISTS submitted_at;
+ALTER TABLE public.quotes DROP COLUMN IF EXISTS submitted_by;
+ALTER TABLE public.quotes DROP COLUMN IF EXISTS approval_note;
+ALTER TABLE public.quotes DROP COLUMN IF EXISTS approval_status;
+ALTER TABLE public.quotes DROP COLUMN IF EXISTS company_id;
+
+DROP FUNCTION IF EXISTS public.my_company_role();
+DROP FUNCTION IF EXISTS public.my_company_id();
+
+DROP TABLE IF EXISTS public.company_invitations;
+DROP TABLE IF EXISTS public.company_members;
+DROP TABLE IF EXISTS public.companies;
@@ -0,0 +1,675 @@
+-- ============================================================================
+-- Company accounts: members, roles, invitations, shared quotes + approval.
+-- ----------------------------------------------------------------------------
+-- WHY: corporate customers have several buyers and one or more approvers, but
+-- every quote and design belonged to the single user who made it. Colleagues
+-- could not see each other's work, and a buyer could pay without sign-off.
+--
+-- WHAT:
+--   companies              one row per customer organisation.
+--   company_members        user -> company + role. A user belongs to at most
+--                          one company.
+--                            approver  manages members, approves and PAYS
+--                                      company quotes
+--                            buyer     builds quotes, submits them for approval
+--                            viewer    read-only
+--   company_invitations    emailed invite (send-company-invite-email) with an
+--                          unguessable token; accepted from
+--                          /account/company?invite=<token> by the invited email.
+--   quotes.company_id / user_designs.company_id
+--                          stamped by trigger from the creator's membership, so
+--                          every existing insert path shares automatically.
+--                          Joining a company shares the member's existing
+--                          quotes and designs too. Members can READ company
+--                          rows; writes stay owner-only (existing policies).
+--   quotes.approval_status pending -> approved / rejected, with who + when.
+--                          submit_quote_for_approval (owner, buyer/approver)
+--                          and decide_quote_approval (approver). Triggers
+--                          keep customers from writing these columns or
+--                          either company_id directly.
+--   create-checkout-session refuses a company quote unless the caller is one
+--                          of its company's approvers.
+--
+-- Orders stay with the quote's owner (confirm_payment_atomic is unchanged).
+--
+-- SECURITY: helper functions are SECURITY DEFINER so policies on
+-- company_members can use them without recursing into their own RLS. All
+-- membership writes go through the RPCs below; the tables have no customer
+-- write policies.
+--
+-- APPLY (CLAUDE.md §52 + PR #76 lesson): open Supabase SQL Editor, paste, Run.
+-- NO explicit BEGIN/COMMIT. Idempotent. The final SELECT must return
+-- tables = 3, share_columns = 2 and functions = 13.
+-- Then deploy send-company-invite-email and create-checkout-session, and merge.
+-- ROLLBACK: 20261019_company_accounts.down.sql.
+-- ============================================================================
+
+-- ---------------------------------------------------------------------------
+-- 1. Tables
+-- ---------------------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS public.companies (
+  id          uuid        PRIMARY KEY DEFAULT gen_random_uuid(),
+  name        text        NOT NULL CHECK (length(trim(name)) > 0),
+  created_by  uuid        REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at  timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS public.company_members (
+  company_id  uuid        NOT NULL REFERENCES public.companies(id) ON DELETE CASCADE,
+  user_id     uuid        NOT NULL UNIQUE REFERENCES auth.users(id) ON DELETE CASCADE,
+  role        text        NOT NULL CHECK (role IN ('approver', 'buyer', 'viewer')),
+  invited_by  uuid        REFERENCES auth.users(id) ON DELETE SET NULL,
+  joined_at   timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (company_id, user_id)
+);
+
+CREATE TABLE IF NOT EXISTS public.company_invitations (
+  id           uuid        PRIMARY KEY DEFAULT gen_random_uuid(),
+  company_id   uuid        NOT NULL REFERENCES public.companies(id) ON DELETE CASCADE,
+  email        text        NOT NULL,
+  role         text        NOT NULL CHECK (role IN ('approver', 'buyer', 'viewer')),
+  token        uuid        NOT NULL UNIQUE DEFAULT gen_random_uuid(),
+  invited_by   uuid        REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at   timestamptz NOT NULL DEFAULT now(),
+  expires_at   timestamptz NOT NULL DEFAULT now() + interval '14 days',
+  accepted_at  timestamptz,
+  revoked_at   timestamptz,
+  email_sent_at timestamptz
+);
+
+-- One open invitation per address per company.
+CREATE UNIQUE INDEX IF NOT EXISTS company_invitations_open_uniq
+  ON public.company_invitations (company_id, lower(email))
+  WHERE accepted_at IS NULL AND revoked_at IS NULL;
+
+ALTER TABLE public.quotes       ADD COLUMN IF NOT EXISTS company_id       uuid REFERENCES public.companies(id) ON DELETE SET NULL;
+ALTER TABLE public.quotes       ADD COLUMN IF NOT EXISTS approval_status  text CHECK (approval_status IN ('pending', 'approved', 'rejected'));
+ALTER TABLE public.quotes       ADD COLUMN IF NOT EXISTS approval_note    text;
+ALTER TABLE public.quotes       ADD COLUMN IF NOT EXISTS submitted_by     uuid;
+ALTER TABLE public.quotes       ADD COLUMN IF NOT EXISTS submitted_at     timestamptz;
+ALTER TABLE public.quotes       ADD COLUMN IF NOT EXISTS decided_by       uuid;
+ALTER TABLE public.quotes       ADD COLUMN IF NOT EXISTS decided_at       timestamptz;
+ALTER TABLE public.user_designs ADD COLUMN IF NOT EXISTS company_id       uuid REFERENCES public.companies(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_quotes_company       ON public.quotes (company_id) WHERE company_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_user_designs_company ON public.user_designs (company_id) WHERE company_id IS NOT NULL;
+
+-- ---------------------------------------------------------------------------
+-- 2. Helpers (SECURITY DEFINER: safe inside company_members' own policies)
+-- ---------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.my_company_id()
+RETURNS uuid
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $fn$
+  SELECT company_id FROM public.company_members WHERE user_id = auth.uid();
+$fn$;
+
+CREATE OR REPLACE FUNCTION public.my_company_role()
+RETURNS text
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $fn$
+  SELECT role FROM public.company_members WHERE user_id = auth.uid();
+$fn$;
+
+REVOKE ALL ON FUNCTION public.my_company_id()   FROM PUBLIC, anon;
+REVOKE ALL ON FUNCTION public.my_company_role() FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.my_company_id()   TO authenticated;
+GRANT EXECUTE ON FUNCTION public.my_company_role() TO authenticated;
+
+-- ---------------------------------------------------------------------------
+-- 3. RLS
+-- ---------------------------------------------------------------------------
+ALTER TABLE public.companies           ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.company_members     ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.company_invitations ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Members view own company"          ON public.companies;
+DROP POLICY IF EXISTS "Admins view companies"             ON public.companies;
+DROP POLICY IF EXISTS "Members view company members"      ON public.company_members;
+DROP POLICY IF EXISTS "Admins view company members"       ON public.company_members;
+DROP POLICY IF EXISTS "Approvers view company invitations" ON public.company_invitations;
+DROP POLICY IF EXISTS "Admins view company invitations"   ON public.company_invitations;
+
+CREATE POLICY "Members view own company" ON public.companies
+  FOR SELECT TO authenticated
+  USING (id = public.my_company_id());
+
+CREATE POLICY "Admins view companies" ON public.companies
+  FOR SELECT TO authenticated
+  USING (is_admin(auth.uid()));
+
+CREATE POLICY "Members view company members" ON public.company_members
+  FOR SELECT TO authenticated
+  USING (company_id = public.my_company_id());
+
+CREATE POLICY "Admins view company members" ON public.company_members
+  FOR SELECT TO authenticated
+  USING (is_admin(auth.uid()));
+
+CREATE POLICY "Approvers view company invitations" ON public.company_invitations
+  FOR SELECT TO authenticated
+  USING (company_id = public.my_company_id() AND public.my_company_role() = 'approver');
+
+CREATE POLICY "Admins view company invitations" ON public.company_invitations
+  FOR SELECT TO authenticated
+  USING (is_admin(auth.uid()));
+
+-- Shared reads. Additive to the existing owner policies.
+DROP POLICY IF EXISTS "Company members view company quotes"      ON public.quotes;
+DROP POLICY IF EXISTS "Company members view company quote items" ON public.quote_items;
+DROP POLICY IF EXISTS "Company members view company designs"     ON public.user_designs;
+
+CREATE POLICY "Company members view company quotes" ON public.quotes
+  FOR SELECT TO authenticated
+  USING (company_id IS NOT NULL AND company_id = public.my_company_id());
+
+CREATE POLICY "Company members view company quote items" ON public.quote_items
+  FOR SELECT TO authenticated
+  USING (EXISTS (
+    SELECT 1 FROM public.quotes q
+     WHERE q.id = quote_items.quote_id
+       AND q.company_id IS NOT NULL
+       AND q.company_id = public.my_company_id()
+  ));
+
+CREATE POLICY "Company members view company designs" ON public.user_designs
+  FOR SELECT TO authenticated
+  USING (company_id IS NOT NULL AND company_id = public.my_company_id());
+
+-- ---------------------------------------------------------------------------
+-- 4. Stamp company_id on new quotes / designs from the owner's membership
+-- ---------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.stamp_company_id()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $fn$
+DECLARE
+  v_owner uuid;
+BEGIN
+  -- Separate branches: NEW has only one of the two columns.
+  IF TG_TABLE_NAME = 'quotes' THEN
+    v_owner := NEW.customer_id;
+  ELSE
+    v_owner := NEW.user_id;
+  END IF;
+
+  IF NEW.company_id IS NULL AND v_owner IS NOT NULL THEN
+    SELECT company_id INTO NEW.company_id
+      FROM public.company_members
+     WHERE user_id = v_owner;
+  END IF;
+  RETURN NEW;
+END;
+$fn$;
+
+DROP TRIGGER IF EXISTS quotes_stamp_company ON public.quotes;
+CREATE TRIGGER quotes_stamp_company
+  BEFORE INSERT ON public.quotes
+  FOR EACH ROW EXECUTE FUNCTION public.stamp_company_id();
+
+DROP TRIGGER IF EXISTS user_designs_stamp_company ON public.user_designs;
+CREATE TRIGGER user_designs_stamp_company
+  BEFORE INSERT ON public.user_designs
+  FOR EACH ROW EXECUTE FUNCTION public.stamp_company_id();
+
+-- Designs: company_id is stamped above and moved only by the membership
+-- RPCs below (SECURITY DEFINER). Customers can't pick it — otherwise an
+-- owner could push a design into any company's shared view. Deliberately
+-- NOT SECURITY DEFINER: current_user must be the caller. The guard sorts
+-- before the stamp trigger, so a cleared column is then stamped.
+CREATE OR REPLACE FUNCTION public.guard_company_id()
+RETURNS trigger
+LANGUAGE plpgsql
+SET search_path = public
+AS $fn$
+BEGIN
+  IF current_user NOT IN ('anon', 'authenticated') THEN
+    RETURN NEW;
+  END IF;
+  IF TG_OP = 'INSERT' THEN
+    NEW.company_id := NULL;
+  ELSIF NEW.company_id IS DISTINCT FROM OLD.company_id THEN
+    RAISE EXCEPTION 'Company sharing follows membership and cannot be set directly'
+      USING ERRCODE = '42501';
+  END IF;
+  RETURN NEW;
+END;
+$fn$;
+
+DROP TRIGGER IF EXISTS user_designs_guard_company ON public.user_designs;
+CREATE TRIGGER user_designs_guard_company
+  BEFORE INSERT OR UPDATE ON public.user_designs
+  FOR EACH ROW EXECUTE FUNCTION public.guard_company_id();
+
+-- ---------------------------------------------------------------------------
+-- 5. Membership RPCs
+-- ---------------------------------------------------------------------------
+
+-- Internal: share a new member's existing quotes + designs with the company.
+CREATE OR REPLACE FUNCTION public.share_member_content(p_user_id uuid, p_company_id uuid)
+RETURNS void
+LANGUAGE sql
+SECURITY DEFINER
+SET search_path = public
+AS $fn$
+  UPDATE public.quotes       SET company_id = p_company_id WHERE customer_id = p_user_id AND company_id IS NULL;
+  UPDATE public.user_designs SET company_id = p_company_id WHERE user_id = p_user_id AND company_id IS NULL;
+$fn$;
+
+REVOKE ALL ON FUNCTION public.share_member_content(uuid, uuid) FROM PUBLIC, anon, authenticated;
+
+-- Creator becomes the first approver. Returns the company id.
+CREATE OR REPLACE FUNCTION public.create_company(p_name text)
+RETURNS uuid
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $fn$
+DECLARE
+  v_user       uuid := auth.uid();
+  v_company_id uuid;
+BEGIN
+  IF v_user IS NULL THEN
+    RAISE EXCEPTION 'Sign in to create a company' USING ERRCODE = '42501';
+  END IF;
+  IF NULLIF(trim(p_name), '') IS NULL THEN
+    RAISE EXCEPTION 'Company name is required' USING ERRCODE = '22023';
+  END IF;
+  IF EXISTS (SELECT 1 FROM public.company_members WHERE user_id = v_user) THEN
+    RAISE EXCEPTION 'You already belong to a company' USING ERRCODE = '23505';
+  END IF;
+
+  INSERT INTO public.companies (name, created_by) VALUES (trim(p_name), v_user)
+  RETURNING id INTO v_company_id;
+  INSERT INTO public.company_members (company_id, user_id, role) VALUES (v_company_id, v_user, 'approver');
+  PERFORM public.share_member_content(v_user, v_company_id);
+
+  RETURN v_company_id;
+END;
+$fn$;
+
+-- Approver only. Returns the invitation id (the page then asks
+-- send-company-invite-email to deliver it).
+CREATE OR REPLACE FUNCTION public.invite_company_member(p_email text, p_role text)
+RETURNS uuid
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $fn$
+DECLARE
+  v_company uuid := public.my_company_id();
+  v_email   text := lower(trim(p_email));
+  v_id      uuid;
+BEGIN
+  IF v_company IS NULL OR public.my_company_role() <> 'approver' THEN
+    RAISE EXCEPTION 'Only company approvers can invite members' USING ERRCODE = '42501';
+  END IF;
+  IF v_email IS NULL OR v_email !~ '^[^@\s]+@[^@\s]+\.[^@\s]+$' THEN
+    RAISE EXCEPTION 'A valid email address is required' USING ERRCODE = '22023';
+  END IF;
+  IF p_role NOT IN ('approver', 'buyer', 'viewer') THEN
+    RAISE EXCEPTION 'Unsupported role: %', p_role USING ERRCODE = '22023';
+  END IF;
+  IF EXISTS (
+    SELECT 1 FROM public.company_members m JOIN auth.users u ON u.id = m.user_id
+     WHERE m.company_id = v_company AND lower(u.email) = v_email
+  ) THEN
+    RAISE EXCEPTION '% is already a member', v_email USING ERRCODE = '23505';
+  END IF;
+
+  -- Re-inviting replaces the open invitation (fresh token and expiry).
+  UPDATE public.company_invitations
+     SET revoked_at = now()
+   WHERE company_id = v_company AND lower(email) = v_email
+     AND accepted_at IS NULL AND revoked_at IS NULL;
+
+  INSERT INTO public.company_invitations (company_id, email, role, invited_by)
+  VALUES (v_company, v_email, p_role, auth.uid())
+  RETURNING id INTO v_id;
+
+  RETURN v_id;
+END;
+$fn$;
+
+CREATE OR REPLACE FUNCTION public.revoke_company_invitation(p_invitation_id uuid)
+RETURNS boolean
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $fn$
+DECLARE
+  v_found boolean;
+BEGIN
+  IF public.my_company_role() IS DISTINCT FROM 'approver' THEN
+    RAISE EXCEPTION 'Only company approvers can revoke invitations' USING ERRCODE = '42501';
+  END IF;
+  UPDATE public.company_invitations
+     SET revoked_at = now()
+   WHERE id = p_invitation_id
+     AND company_id = public.my_company_id()
+     AND accepted_at IS NULL AND revoked_at IS NULL
+  RETURNING true INTO v_found;
+  RETURN COALESCE(v_found, false);
+END;
+$fn$;
+
+-- The signed-in user accepts with the token from their email. The invite is
+-- bound to the address it was sent to. Returns the company id.
+CREATE OR REPLACE FUNCTION public.accept_company_invitation(p_token uuid)
+RETURNS uuid
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $fn$
+DECLARE
+  v_user   uuid := auth.uid();
+  v_email  text := lower(auth.jwt() ->> 'email');
+  v_invite public.company_invitations;
+BEGIN
+  IF v_user IS NULL THEN
+    RAISE EXCEPTION 'Sign in to accept the invitation' USING ERRCODE = '42501';
+  END IF;
+
+  SELECT * INTO v_invite
+    FROM public.company_invitations
+   WHERE token = p_token
+   FOR UPDATE;
+  IF NOT FOUND OR v_invite.revoked_at IS NOT NULL OR v_invite.expires_at < now() THEN
+    RAISE EXCEPTION 'This invitation is no longer valid' USING ERRCODE = 'P0002';
+  END IF;
+  IF v_invite.accepted_at IS NOT NULL THEN
+    IF EXISTS (SELECT 1 FROM public.company_members WHERE user_id = v_user AND company_id = v_invite.company_id) THEN
+      RETURN v_invite.company_id;
+    END IF;
+    RAISE EXCEPTION 'This invitation has already been used' USING ERRCODE = 'P0002';
+  END IF;
+  IF lower(v_invite.email) IS DISTINCT FROM v_email THEN
+    RAISE EXCEPTION 'This invitation was sent to a different email address' USING ERRCODE = '42501';
+  END IF;
+  IF EXISTS (SELECT 1 FROM public.company_members WHERE user_id = v_user) THEN
+    RAISE EXCEPTION 'You already belong to a company' USING ERRCODE = '23505';
+  END IF;
+
+  INSERT INTO public.company_members (company_id, user_id, role, invited_by)
+  VALUES (v_invite.company_id, v_user, v_invite.role, v_invite.invited_by);
+  UPDATE public.company_invitations SET accepted_at = now() WHERE id = v_invite.id;
+  PERFORM public.share_member_content(v_user, v_invite.company_id);
+
+  RETURN v_invite.company_id;
+END;
+$fn$;
+
+-- Approver only. The company always keeps at least one approver.
+CREATE OR REPLACE FUNCTION public.set_company_member_role(p_user_id uuid, p_role text)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $fn$
+DECLARE
+  v_company uuid := public.my_company_id();
+  v_current text;
+BEGIN
+  IF v_company IS NULL OR public.my_company_role() <> 'approver' THEN
+    RAISE EXCEPTION 'Only company approvers can change roles' USING ERRCODE = '42501';
+  END IF;
+  IF p_role NOT IN ('approver', 'buyer', 'viewer') THEN
+    RAISE EXCEPTION 'Unsupported role: %', p_role USING ERRCODE = '22023';
+  END IF;
+  SELECT role INTO v_current FROM public.company_members
+   WHERE company_id = v_company AND user_id = p_user_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Not a member of your company' USING ERRCODE = 'P0002';
+  END IF;
+  IF v_current = 'approver' AND p_role <> 'approver' AND (
+    SELECT count(*) FROM public.company_members WHERE company_id = v_company AND role = 'approver'
+  ) = 1 THEN
+    RAISE EXCEPTION 'The company needs at least one approver' USING ERRCODE = '22023';
+  END IF;
+  UPDATE public.company_members SET role = p_role WHERE company_id = v_company AND user_id = p_user_id;
+END;
+$fn$;
+
+-- Approvers remove anyone; anyone can remove themselves (leave). Their
+-- quotes and designs go with them (company_id cleared).
+CREATE OR REPLACE FUNCTION public.remove_company_member(p_user_id uuid)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $fn$
+DECLARE
+  v_company uuid := public.my_company_id();
+  v_role    text;
+BEGIN
+  IF v_company IS NULL OR (p_user_id <> auth.uid() AND public.my_company_role() <> 'approver') THEN
+    RAISE EXCEPTION 'Only company approvers can remove members' USING ERRCODE = '42501';
+  END IF;
+  SELECT role INTO v_role FROM public.company_members
+   WHERE company_id = v_company AND user_id = p_user_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Not a member of your company' USING ERRCODE = 'P0002';
+  END IF;
+  IF v_role = 'approver'
+     AND (SELECT count(*) FROM public.company_members WHERE company_id = v_company) > 1
+     AND (SELECT count(*) FROM public.company_members WHERE company_id = v_company AND role = 'approver') = 1 THEN
+    RAISE EXCEPTION 'Make someone else an approver first' USING ERRCODE = '22023';
+  END IF;
+
+  DELETE FROM public.company_members WHERE company_id = v_company AND user_id = p_user_id;
+  UPDATE public.quotes       SET company_id = NULL WHERE customer_id = p_user_id AND company_id = v_company AND status <> 'converted';
+  UPDATE public.user_designs SET company_id = NULL WHERE user_id = p_user_id AND company_id = v_company;
+END;
+$fn$;
+
+-- Members with name + email (customer_profiles / auth.users aren't readable
+-- across accounts). Caller's company only.
+CREATE OR REPLACE FUNCTION public.get_company_members()
+RETURNS TABLE (user_id uuid, role text, email text, name text, joined_at timestamptz)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $fn$
+  SELECT m.user_id, m.role, u.email::text,
+         NULLIF(trim(concat_ws(' ', p.first_name, p.last_name)), ''),
+         m.joined_at
+    FROM public.company_members m
+    JOIN auth.users u ON u.id = m.user_id
+    LEFT JOIN public.customer_profiles p ON p.id = m.user_id
+   WHERE m.company_id = public.my_company_id()
+   ORDER BY m.joined_at;
+$fn$;
+
+-- ---------------------------------------------------------------------------
+-- 6. Quote approval
+-- ---------------------------------------------------------------------------
+
+-- Owner (buyer or approver) asks an approver to sign the quote off. The
+-- delivery address must be on the quote — the approver pays, and only the
+-- owner can edit it.
+CREATE OR REPLACE FUNCTION public.submit_quote_for_approval(p_quote_id uuid, p_note text DEFAULT NULL)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $fn$
+DECLARE
+  v_quote record;
+BEGIN
+  IF public.my_company_role() NOT IN ('buyer', 'approver') THEN
+    RAISE EXCEPTION 'Viewers cannot submit quotes' USING ERRCODE = '42501';
+  END IF;
+  SELECT id, customer_id, company_id, status, shipping_address INTO v_quote
+    FROM public.quotes WHERE id = p_quote_id FOR UPDATE;
+  IF NOT FOUND OR v_quote.customer_id <> auth.uid() OR v_quote.company_id IS DISTINCT FROM public.my_company_id() THEN
+    RAISE EXCEPTION 'Quote not found' USING ERRCODE = 'P0002';
+  END IF;
+  IF v_quote.status = 'converted' THEN
+    RAISE EXCEPTION 'This quote has already been paid' USING ERRCODE = '22023';
+  END IF;
+  IF NULLIF(trim(v_quote.shipping_address ->> 'line1'), '') IS NULL THEN
+    RAISE EXCEPTION 'Save a delivery address before submitting' USING ERRCODE = '22023';
+  END IF;
+
+  UPDATE public.quotes
+     SET approval_status = 'pending',
+         approval_note   = NULLIF(trim(p_note), ''),
+         submitted_by    = auth.uid(),
+         submitted_at    = now(),
+         decided_by      = NULL,
+         decided_at      = NULL
+   WHERE id = p_quote_id;
+END;
+$fn$;
+
+-- Approver signs off ('approved') or sends back ('rejected') with a note.
+CREATE OR REPLACE FUNCTION public.decide_quote_approval(p_quote_id uuid, p_decision text, p_note text DEFAULT NULL)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $fn$
+DECLARE
+  v_quote record;
+BEGIN
+  IF public.my_company_role() IS DISTINCT FROM 'approver' THEN
+    RAISE EXCEPTION 'Only company approvers can approve quotes' USING ERRCODE = '42501';
+  END IF;
+  IF p_decision NOT IN ('approved', 'rejected') THEN
+    RAISE EXCEPTION 'Unsupported decision: %', p_decision USING ERRCODE = '22023';
+  END IF;
+  SELECT id, company_id, status INTO v_quote
+    FROM public.quotes WHERE id = p_quote_id FOR UPDATE;
+  IF NOT FOUND OR v_quote.company_id IS DISTINCT FROM public.my_company_id() THEN
+    RAISE EXCEPTION 'Quote not found' USING ERRCODE = 'P0002';
+  END IF;
+  IF v_quote.status = 'converted' THEN
+    RAISE EXCEPTION 'This quote has already been paid' USING ERRCODE = '22023';
+  END IF;
+
+  UPDATE public.quotes
+     SET approval_status = p_decision,
+         approval_note   = COALESCE(NULLIF(trim(p_note), ''), approval_note),
+         decided_by      = auth.uid(),
+         decided_at      = now()
+   WHERE id = p_quote_id;
+END;
+$fn$;
+
+-- Editing an approved / pending quote's items sends it back for approval:
+-- the approver must see the final basket.
+CREATE OR REPLACE FUNCTION public.reset_quote_approval()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $fn$
+BEGIN
+  UPDATE public.quotes
+     SET approval_status = NULL, decided_by = NULL, decided_at = NULL
+   WHERE id = COALESCE(NEW.quote_id, OLD.quote_id)
+     AND approval_status IN ('pending', 'approved')
+     AND status <> 'converted';
+  RETURN NULL;
+END;
+$fn$;
+
+DROP TRIGGER IF EXISTS quote_items_reset_approval ON public.quote_items;
+CREATE TRIGGER quote_items_reset_approval
+  AFTER INSERT OR UPDATE OR DELETE ON public.quote_items
+  FOR EACH ROW EXECUTE FUNCTION public.reset_quote_approval();
+
+-- Sharing and approval columns are written only by the SECURITY DEFINER
+-- functions above (which run as the function owner) and the service role.
+-- The owner-update policy on quotes would otherwise let a buyer mark their
+-- own quote approved, or clear company_id, straight through PostgREST.
+-- Deliberately NOT SECURITY DEFINER: current_user must be the caller.
+-- On INSERT the columns are cleared for the stamp trigger to fill
+-- (quotes_guard_approval sorts before quotes_stamp_company).
+CREATE OR REPLACE FUNCTION public.guard_quote_approval()
+RETURNS trigger
+LANGUAGE plpgsql
+SET search_path = public
+AS $fn$
+BEGIN
+  IF current_user NOT IN ('anon', 'authenticated') THEN
+    RETURN NEW;
+  END IF;
+
+  IF TG_OP = 'INSERT' THEN
+    NEW.company_id      := NULL;
+    NEW.approval_status := NULL;
+    NEW.approval_note   := NULL;
+    NEW.submitted_by    := NULL;
+    NEW.submitted_at    := NULL;
+    NEW.decided_by      := NULL;
+    NEW.decided_at      := NULL;
+    RETURN NEW;
+  END IF;
+
+  IF NEW.company_id      IS DISTINCT FROM OLD.company_id
+     OR NEW.approval_status IS DISTINCT FROM OLD.approval_status
+     OR NEW.approval_note   IS DISTINCT FROM OLD.approval_note
+     OR NEW.submitted_by    IS DISTINCT FROM OLD.submitted_by
+     OR NEW.submitted_at    IS DISTINCT FROM OLD.submitted_at
+     OR NEW.decided_by      IS DISTINCT FROM OLD.decided_by
+     OR NEW.decided_at      IS DISTINCT FROM OLD.decided_at THEN
+    RAISE EXCEPTION 'Quote sharing and approval are changed through the approval actions only'
+      USING ERRCODE = '42501';
+  END IF;
+  RETURN NEW;
+END;
+$fn$;
+
+DROP TRIGGER IF EXISTS quotes_guard_approval ON public.quotes;
+CREATE TRIGGER quotes_guard_approval
+  BEFORE INSERT OR UPDATE ON public.quotes
+  FOR EACH ROW EXECUTE FUNCTION public.guard_quote_approval();
+
+DO $grants$
+DECLARE
+  fn text;
+BEGIN
+  FOREACH fn IN ARRAY ARRAY[
+    'create_company(text)',
+    'invite_company_member(text, text)',
+    'revoke_company_invitation(uuid)',
+    'accept_company_invitation(uuid)',
+    'set_company_member_role(uuid, text)',
+    'remove_company_member(uuid)',
+    'get_company_members()',
+    'submit_quote_for_approval(uuid, text)',
+    'decide_quote_approval(uuid, text, text)'
+  ] LOOP
+    EXECUTE format('REVOKE ALL ON FUNCTION public.%s FROM PUBLIC, anon', fn);
+    EXECUTE format('GRANT EXECUTE ON FUNCTION public.%s TO authenticated', fn);
+  END LOOP;
+END;
+$grants$;
+
+-- ---------------------------------------------------------------------------
+-- Verification
+-- ---------------------------------------------------------------------------
+SELECT
+  (SELECT COUNT(*) FROM information_schema.tables
+    WHERE table_schema = 'public'
+      AND table_name IN ('companies', 'company_members', 'company_invitations'))  AS tables,
+  (SELECT COUNT(*) FROM information_schema.columns
+    WHERE table_schema = 'public' AND column_name = 'company_id'
+      AND table_name IN ('quotes', 'user_designs'))                              AS share_columns,
+  (SELECT COUNT(*) FROM pg_proc
+    WHERE proname IN ('my_company_id', 'my_company_role', 'create_company',
+                      'invite_company_member', 'revoke_company_invitation',
+                      'accept_company_invitation', 'set_company_member_role',
+                      'remove_company_member', 'get_company_members',
+                      'submit_quote_for_approval', 'decide_quote_approval',
+                      'guard_quote_approval', 'guard_company_id'))               AS functions;
@@ -0,0 +1,8 @@
+-- Rollback for 20261019_customer_addresses.sql.
+--
+-- Saved addresses are dropped with the table; customer_profiles addresses are
+-- untouched, so quotes fall back to the account snapshot.
+-- NO explicit BEGIN/COMMIT (PR #76 lesson). Idempotent.
+
+DROP FUNCTION IF EXISTS public.set_default_customer_address(uuid);
+DROP TABLE IF EXISTS public.customer_addresses;
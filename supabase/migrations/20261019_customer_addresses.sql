@@ -0,0 +1,135 @@
+-- ============================================================================
+-- Customer address book.
+-- ----------------------------------------------------------------------------
+-- WHY: customer_profiles holds one shipping_address and one billing_address.
+-- Customers who deliver to several sites retyped the address on every quote's
+-- DeliveryAddressForm, and /account/addresses was a placeholder.
+--
+-- WHAT:
+--   customer_addresses             any number of named addresses per customer,
+--                                  kind 'delivery' or 'billing'. address uses
+--                                  the shipping_address shape (company, fao,
+--                                  line1, line2, city, county, postcode,
+--                                  country, phone, instructions) so a picked
+--                                  entry can be snapshotted onto a quote
+--                                  unchanged.
+--   one default per kind           partial unique index; the default is
+--                                  pre-selected in the quote delivery picker.
+--   set_default_customer_address   moves the default flag in one statement
+--                                  pair so the index never sees two defaults.
+--
+-- Postcode format is validated client-side (lib/deliveryValidation
+-- validateAddress) by the address book and DeliveryAddressForm. The admin
+-- approval gate (validateDeliveryForApproval) only checks fields are present.
+-- customer_profiles addresses are left as they are (account snapshot).
+--
+-- SECURITY: customers read / write only their own rows (auth.uid()); staff
+-- can read all (is_admin) for AdminCustomerDetail. The RPC is SECURITY
+-- INVOKER, so the same policies gate it.
+--
+-- APPLY (CLAUDE.md §52 + PR #76 lesson): open Supabase SQL Editor, paste, Run.
+-- NO explicit BEGIN/COMMIT. Idempotent. The final SELECT must return
+-- addresses_table = 1, address_policies = 5 and default_fn = 1.
+-- ROLLBACK: 20261019_customer_addresses.down.sql.
+-- ============================================================================
+
+-- ---------------------------------------------------------------------------
+-- 1. customer_addresses
+-- ---------------------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS public.customer_addresses (
+  id          uuid        PRIMARY KEY DEFAULT gen_random_uuid(),
+  customer_id uuid        NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  label       text        NOT NULL CHECK (length(trim(label)) > 0),
+  kind        text        NOT NULL CHECK (kind IN ('delivery', 'billing')),
+  address     jsonb       NOT NULL,
+  is_default  boolean     NOT NULL DEFAULT false,
+  created_at  timestamptz NOT NULL DEFAULT now(),
+  updated_at  timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT customer_addresses_address_is_object CHECK (jsonb_typeof(address) = 'object')
+);
+
+CREATE INDEX IF NOT EXISTS idx_customer_addresses_customer
+  ON public.customer_addresses (customer_id, kind);
+
+CREATE UNIQUE INDEX IF NOT EXISTS customer_addresses_one_default
+  ON public.customer_addresses (customer_id, kind)
+  WHERE is_default;
+
+ALTER TABLE public.customer_addresses ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Customers read own addresses"   ON public.customer_addresses;
+DROP POLICY IF EXISTS "Customers insert own addresses" ON public.customer_addresses;
+DROP POLICY IF EXISTS "Customers update own addresses" ON public.customer_addresses;
+DROP POLICY IF EXISTS "Customers delete own addresses" ON public.customer_addresses;
+DROP POLICY IF EXISTS "Admins view customer addresses" ON public.customer_addresses;
+
+CREATE POLICY "Customers read own addresses" ON public.customer_addresses
+  FOR SELECT TO authenticated
+  USING (customer_id = auth.uid());
+
+CREATE POLICY "Customers insert own addresses" ON public.customer_addresses
+  FOR INSERT TO authenticated
+  WITH CHECK (customer_id = auth.uid());
+
+CREATE POLICY "Customers update own addresses" ON public.customer_addresses
+  FOR UPDATE TO authenticated
+  USING (customer_id = auth.uid())
+  WITH CHECK (customer_id = auth.uid());
+
+CREATE POLICY "Customers delete own addresses" ON public.customer_addresses
+  FOR DELETE TO authenticated
+  USING (customer_id = auth.uid());
+
+CREATE POLICY "Admins view customer addresses" ON public.customer_addresses
+  FOR SELECT TO authenticated
+  USING (is_admin(auth.uid()));
+
+-- ---------------------------------------------------------------------------
+-- 2. set_default_customer_address — clear the kind's current default, then
+--    flag this one. Returns false when the row isn't the caller's.
+-- ---------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.set_default_customer_address(p_address_id uuid)
+RETURNS boolean
+LANGUAGE plpgsql
+SECURITY INVOKER
+SET search_path = public
+AS $$
+DECLARE
+  v_row record;
+BEGIN
+  SELECT customer_id, kind INTO v_row
+    FROM public.customer_addresses
+   WHERE id = p_address_id AND customer_id = auth.uid();
+  IF NOT FOUND THEN
+    RETURN false;
+  END IF;
+
+  UPDATE public.customer_addresses
+     SET is_default = false, updated_at = now()
+   WHERE customer_id = v_row.customer_id
+     AND kind = v_row.kind
+     AND is_default
+     AND id <> p_address_id;
+
+  UPDATE public.customer_addresses
+     SET is_default = true, updated_at = now()
+   WHERE id = p_address_id;
+
+  RETURN true;
+END;
+$$;
+
+COMMENT ON FUNCTION public.set_default_customer_address(uuid) IS
+  'Makes one of the caller''s saved addresses the default for its kind. SECURITY INVOKER: customer_addresses RLS is the gate.';
+
+REVOKE ALL ON FUNCTION public.set_default_customer_address(uuid) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.set_default_customer_address(uuid) TO authenticated;
+
+-- Verification.
+SELECT
+  (SELECT count(*) FROM information_schema.tables
+    WHERE table_schema = 'public' AND table_name = 'customer_addresses')      AS addresses_table,
+  (SELECT count(*) FROM pg_policies
+    WHERE schemaname = 'public' AND tablename = 'customer_addresses')         AS address_policies,
+  (SELECT count(*) FROM pg_proc
+    WHERE proname = 'set_default_customer_address')                           AS default_fn;
@@ -0,0 +1,15 @@
+-- Rollback for 20261019_customer_privacy.sql.
+--
+-- Drops the preference columns and both functions. Orders already anonymised
+-- stay anonymised, and orders/quotes.customer_id and order_artwork.user_id
+-- stay nullable (re-adding NOT NULL would fail on those rows).
+-- NO explicit BEGIN/COMMIT (PR #76 lesson). Idempotent.
+
+DROP FUNCTION IF EXISTS public.anonymise_customer(uuid);
+DROP FUNCTION IF EXISTS public.set_email_preferences(boolean, boolean, boolean);
+
+ALTER TABLE public.orders DROP COLUMN IF EXISTS anonymised_at;
+
+ALTER TABLE public.reminder_preferences DROP COLUMN IF EXISTS updated_at;
+ALTER TABLE public.reminder_preferences DROP COLUMN IF EXISTS marketing_opt_in;
+ALTER TABLE public.reminder_preferences DROP COLUMN IF EXISTS order_updates;
@@ -0,0 +1,196 @@
+-- ============================================================================
+-- Customer email preferences + GDPR account deletion.
+-- ----------------------------------------------------------------------------
+-- WHY: /account/settings saved nothing, and customers had no way to choose
+-- which emails they get, take their data away, or close their account — all
+-- of which we owe them under UK GDPR.
+--
+-- WHAT:
+--   1. reminder_preferences (20261019_abandoned_reminders.sql) becomes the
+--      per-customer email preferences row:
+--        opted_out_at       (existing) abandoned quote / cart reminders off
+--        order_updates      order progress emails (send-order-status-email)
+--        marketing_opt_in   news and offers — opt-IN, default false
+--      Proofs, receipts and credit notes are service emails and always send.
+--   2. set_email_preferences() — the customer's own upsert (the table has no
+--      customer write policy; the opt-out token must stay server-generated).
+--   3. anonymise_customer(user_id) — service role only, called by
+--      api/account/delete before the auth user is removed. Orders and
+--      converted quotes are kept for the accounting record (HMRC: six years)
+--      but lose every personal field; everything else the customer owns is
+--      deleted. Refuses while an order is still being fulfilled.
+--
+-- orders.customer_id / quotes.customer_id become nullable so an anonymised
+-- order survives the auth.users delete (and an ON DELETE CASCADE, if the
+-- dashboard-created FK has one, has nothing left to cascade to).
+--
+-- APPLY (CLAUDE.md §52 + PR #76 lesson): open Supabase SQL Editor, paste, Run.
+-- NO explicit BEGIN/COMMIT. Idempotent. The final SELECT must return
+-- preference_columns = 2, anonymised_column = 1 and functions = 2.
+-- Then deploy send-order-status-email and merge.
+-- ROLLBACK: 20261019_customer_privacy.down.sql.
+-- ============================================================================
+
+-- ---------------------------------------------------------------------------
+-- 1. Preferences
+-- ---------------------------------------------------------------------------
+ALTER TABLE public.reminder_preferences ADD COLUMN IF NOT EXISTS order_updates    boolean     NOT NULL DEFAULT true;
+ALTER TABLE public.reminder_preferences ADD COLUMN IF NOT EXISTS marketing_opt_in boolean     NOT NULL DEFAULT false;
+ALTER TABLE public.reminder_preferences ADD COLUMN IF NOT EXISTS updated_at       timestamptz;
+
+COMMENT ON TABLE public.reminder_preferences IS
+  'Per-customer email preferences: abandoned reminders (opted_out_at), order progress emails (order_updates), marketing (marketing_opt_in). Written by set_email_preferences / opt_out_of_reminders.';
+
+-- ---------------------------------------------------------------------------
+-- 2. set_email_preferences — caller's own row. Returns the saved row.
+-- ---------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.set_email_preferences(
+  p_reminders      boolean,
+  p_order_updates  boolean,
+  p_marketing      boolean
+)
+RETURNS public.reminder_preferences
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $fn$
+DECLARE
+  v_user uuid := auth.uid();
+  v_row  public.reminder_preferences;
+BEGIN
+  IF v_user IS NULL THEN
+    RAISE EXCEPTION 'set_email_preferences requires a signed-in user' USING ERRCODE = '42501';
+  END IF;
+
+  INSERT INTO public.reminder_preferences AS p
+    (user_id, opted_out_at, order_updates, marketing_opt_in, updated_at)
+  VALUES (
+    v_user,
+    CASE WHEN p_reminders THEN NULL ELSE now() END,
+    COALESCE(p_order_updates, true),
+    COALESCE(p_marketing, false),
+    now()
+  )
+  ON CONFLICT (user_id) DO UPDATE
+     SET opted_out_at     = CASE WHEN p_reminders THEN NULL
+                                 ELSE COALESCE(p.opted_out_at, now()) END,
+         order_updates    = COALESCE(p_order_updates, p.order_updates),
+         marketing_opt_in = COALESCE(p_marketing, p.marketing_opt_in),
+         updated_at       = now()
+  RETURNING p.* INTO v_row;
+
+  RETURN v_row;
+END;
+$fn$;
+
+COMMENT ON FUNCTION public.set_email_preferences(boolean, boolean, boolean) IS
+  'Saves the caller''s email preferences (reminders on/off, order progress emails, marketing opt-in). Keeps the existing opt-out token.';
+
+REVOKE ALL ON FUNCTION public.set_email_preferences(boolean, boolean, boolean) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.set_email_preferences(boolean, boolean, boolean) TO authenticated;
+
+-- ---------------------------------------------------------------------------
+-- 3. Anonymisation
+-- ---------------------------------------------------------------------------
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS anonymised_at timestamptz;
+ALTER TABLE public.orders ALTER COLUMN customer_id DROP NOT NULL;
+ALTER TABLE public.quotes ALTER COLUMN customer_id DROP NOT NULL;
+ALTER TABLE public.order_artwork ALTER COLUMN user_id DROP NOT NULL;
+
+-- Returns counts of what was kept / removed, for the API's log line.
+CREATE OR REPLACE FUNCTION public.anonymise_customer(p_user_id uuid)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $fn$
+DECLARE
+  v_orders         integer;
+  v_quotes_kept    integer;
+  v_quotes_deleted integer;
+  v_designs        integer;
+BEGIN
+  IF p_user_id IS NULL THEN
+    RAISE EXCEPTION 'p_user_id is required' USING ERRCODE = '22023';
+  END IF;
+
+  -- Paid orders still being made or shipped need the delivery contact.
+  IF EXISTS (
+    SELECT 1 FROM public.orders
+     WHERE customer_id = p_user_id
+       AND deleted_at IS NULL
+       AND status IN ('confirmed', 'approved', 'in_production', 'dispatched', 'shipped')
+  ) THEN
+    RAISE EXCEPTION 'Customer has orders in progress' USING ERRCODE = '55000';
+  END IF;
+
+  -- Orders: keep money, items and status; drop who and where. The country
+  -- stays for the VAT record.
+  UPDATE public.orders
+     SET customer_id      = NULL,
+         shipping_address = CASE WHEN shipping_address IS NULL THEN NULL
+                                 ELSE jsonb_strip_nulls(jsonb_build_object('country', shipping_address->>'country')) END,
+         po_number        = NULL,
+         anonymised_at    = now()
+   WHERE customer_id = p_user_id;
+  GET DIAGNOSTICS v_orders = ROW_COUNT;
+
+  UPDATE public.order_status_events
+     SET actor_id = NULL
+   WHERE actor_id = p_user_id;
+
+  UPDATE public.order_artwork
+     SET user_id = NULL
+   WHERE user_id = p_user_id;
+
+  -- Quotes that became orders stay with them; the rest go.
+  UPDATE public.quotes
+     SET customer_id      = NULL,
+         shipping_address = NULL,
+         po_number        = NULL,
+         notes            = NULL
+   WHERE customer_id = p_user_id
+     AND status = 'converted';
+  GET DIAGNOSTICS v_quotes_kept = ROW_COUNT;
+
+  -- Items first, or the quote_items foreign key blocks the delete.
+  DELETE FROM public.quote_items
+   WHERE quote_id IN (SELECT id FROM public.quotes WHERE customer_id = p_user_id);
+  DELETE FROM public.quotes WHERE customer_id = p_user_id;
+  GET DIAGNOSTICS v_quotes_deleted = ROW_COUNT;
+
+  DELETE FROM public.user_designs WHERE user_id = p_user_id;
+  GET DIAGNOSTICS v_designs = ROW_COUNT;
+
+  DELETE FROM public.customer_profiles WHERE id = p_user_id;
+
+  -- carts, customer_addresses, reminder_preferences, abandoned_reminders and
+  -- ai_conversations cascade from auth.users when the API deletes the user.
+
+  RETURN jsonb_build_object(
+    'orders_anonymised', v_orders,
+    'quotes_anonymised', v_quotes_kept,
+    'quotes_deleted', v_quotes_deleted,
+    'designs_deleted', v_designs
+  );
+END;
+$fn$;
+
+COMMENT ON FUNCTION public.anonymise_customer(uuid) IS
+  'GDPR erasure: strips personal data from the customer''s orders / converted quotes and deletes the rest of their rows. Refuses (55000) while an order is in progress. service_role only — api/account/delete.';
+
+REVOKE ALL ON FUNCTION public.anonymise_customer(uuid) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.anonymise_customer(uuid) TO service_role;
+
+-- ---------------------------------------------------------------------------
+-- Verification
+-- ---------------------------------------------------------------------------
+SELECT
+  (SELECT COUNT(*) FROM information_schema.columns
+    WHERE table_schema = 'public' AND table_name = 'reminder_preferences'
+      AND column_name IN ('order_updates', 'marketing_opt_in'))               AS preference_columns,
+  (SELECT COUNT(*) FROM information_schema.columns
+    WHERE table_schema = 'public' AND table_name = 'orders'
+      AND column_name = 'anonymised_at')                                      AS anonymised_column,
+  (SELECT COUNT(*) FROM pg_proc
+    WHERE proname IN ('set_email_preferences', 'anonymise_customer'))        AS functions;
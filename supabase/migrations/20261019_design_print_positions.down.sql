@@ -0,0 +1,10 @@
+-- Rollback for 20261019_design_print_positions.sql.
+--
+-- Multi-position designs fall back to the position saved in print_area +
+-- design_data; the other positions' artwork is dropped with the column.
+-- NO explicit BEGIN/COMMIT (PR #76 lesson). Idempotent.
+
+ALTER TABLE public.user_designs
+  DROP CONSTRAINT IF EXISTS user_designs_print_positions_array;
+ALTER TABLE public.user_designs
+  DROP COLUMN IF EXISTS print_positions;
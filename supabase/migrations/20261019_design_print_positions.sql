@@ -0,0 +1,47 @@
+-- ============================================================================
+-- Multi-position DesignerV2 designs.
+-- ----------------------------------------------------------------------------
+-- WHY: a v2 design saved ONE print_area, so "logo on the front, text on the
+-- back" took two designs and the quote priced a single position. DesignerV2
+-- now keeps a canvas per Laltex position and saves every position that has
+-- content here:
+--
+--   user_designs.print_positions  jsonb array, one entry per position with
+--                                 content, in the product's position order:
+--     { position, area, print_class, num_colours, design_data }
+--
+-- design_data / print_area / thumbnail_url keep their old meaning — the
+-- position that was on screen when the design was saved — so every existing
+-- reader (My Designs, CustomerDesigns, proof team) keeps working unchanged.
+-- NULL print_positions = a design saved before this change (single position,
+-- read from print_area + design_data).
+--
+-- LaltexProductView pre-loads print_positions (?design=<id>) into its
+-- position picks, so the quote's print_areas.selections covers all of them.
+--
+-- APPLY (CLAUDE.md §52 + PR #76 lesson): open Supabase SQL Editor, paste, Run.
+-- NO explicit BEGIN/COMMIT. Idempotent. The final SELECT must return
+-- print_positions_column = 1.
+-- ROLLBACK: 20261019_design_print_positions.down.sql.
+-- ============================================================================
+
+ALTER TABLE public.user_designs
+  ADD COLUMN IF NOT EXISTS print_positions jsonb NULL;
+
+ALTER TABLE public.user_designs
+  DROP CONSTRAINT IF EXISTS user_designs_print_positions_array;
+ALTER TABLE public.user_designs
+  ADD CONSTRAINT user_designs_print_positions_array
+  CHECK (print_positions IS NULL OR jsonb_typeof(print_positions) = 'array');
+
+COMMENT ON COLUMN public.user_designs.print_positions IS
+  'DesignerV2 multi-position designs: [{position, area, print_class, num_colours, design_data}] for every position with content. NULL = single-position design (print_area + design_data).';
+
+-- ---------------------------------------------------------------------------
+-- Verification
+-- ---------------------------------------------------------------------------
+SELECT COUNT(*) AS print_positions_column
+  FROM information_schema.columns
+ WHERE table_schema = 'public'
+   AND table_name = 'user_designs'
+   AND column_name = 'print_positions';
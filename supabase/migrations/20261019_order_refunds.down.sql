@@ -0,0 +1,12 @@
+-- Rollback for 20261019_order_refunds.sql.
+-- Drops the refund ledger and the orders refund / cancellation columns.
+-- Stripe keeps its own refund records; export order_refunds first if the
+-- credit-note numbering history matters.
+-- NO explicit BEGIN/COMMIT (PR #76 lesson). Idempotent.
+
+DROP FUNCTION IF EXISTS public.record_order_refund(uuid, text, numeric, text, text, uuid);
+DROP TABLE IF EXISTS public.order_refunds;
+
+ALTER TABLE public.orders DROP COLUMN IF EXISTS cancellation_reason;
+ALTER TABLE public.orders DROP COLUMN IF EXISTS cancelled_at;
+ALTER TABLE public.orders DROP COLUMN IF EXISTS refunded_amount;
@@ -0,0 +1,164 @@
+-- ============================================================================
+-- Order refunds + cancellation.
+-- ----------------------------------------------------------------------------
+-- WHY: AdminOrders can filter by 'cancelled' but nothing could cancel or
+-- refund. Staff refunded in the Stripe dashboard and hand-edited the row.
+--
+-- FLOW:
+--   1. AdminOrderDetail -> POST /api/admin/refund-order (service role,
+--      super_admin only). The route calls Stripe POST /v1/refunds and records
+--      the refund immediately via record_order_refund() so the page updates
+--      without waiting for the webhook.
+--   2. Stripe sends charge.refunded -> stripe-webhook lists the payment
+--      intent's refunds and calls record_order_refund() for each (idempotent
+--      on stripe_refund_id — also picks up refunds made in the Stripe
+--      dashboard), then emails a credit note per succeeded refund
+--      (_shared/sendCreditNote.ts, CAS on order_refunds.credit_note_sent_at).
+--
+-- MONEY: order_refunds.amount is GROSS (what goes back on the card).
+-- vat_amount apportions it by the order's own VAT/total ratio, so a credit
+-- note for an order with a zero-rated line carries the right VAT.
+-- orders.refunded_amount = SUM(succeeded refunds). payment_status moves to
+-- 'partially_refunded' / 'refunded'. Cancellation is separate (status +
+-- cancelled_at) — an order can be cancelled with or without a refund.
+--
+-- APPLY (CLAUDE.md §52 + PR #76 lesson): open Supabase SQL Editor, paste, Run.
+-- NO explicit BEGIN/COMMIT. Idempotent. The final SELECT must return 3 rows.
+-- Then deploy stripe-webhook, add charge.refunded to the webhook endpoint's
+-- events in the Stripe Dashboard, and merge.
+-- ROLLBACK: 20261019_order_refunds.down.sql.
+-- ============================================================================
+
+-- ---------------------------------------------------------------------------
+-- 1. orders: refund / cancellation snapshot
+-- ---------------------------------------------------------------------------
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS refunded_amount     numeric(10,2) NOT NULL DEFAULT 0;
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS cancelled_at        timestamptz;
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS cancellation_reason text;
+
+-- ---------------------------------------------------------------------------
+-- 2. order_refunds — one row per Stripe refund
+-- ---------------------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS public.order_refunds (
+  id                   uuid          PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_id             uuid          NOT NULL REFERENCES public.orders(id) ON DELETE CASCADE,
+  stripe_refund_id     text          NOT NULL,
+  amount               numeric(10,2) NOT NULL CHECK (amount > 0),
+  vat_amount           numeric(10,2) NOT NULL DEFAULT 0,
+  status               text          NOT NULL,
+  reason               text,
+  credit_note_number   text,
+  requested_by         uuid,
+  credit_note_sent_at  timestamptz,
+  created_at           timestamptz   NOT NULL DEFAULT now(),
+  updated_at           timestamptz   NOT NULL DEFAULT now(),
+  CONSTRAINT order_refunds_stripe_refund_id_uniq UNIQUE (stripe_refund_id),
+  CONSTRAINT order_refunds_credit_note_number_uniq UNIQUE (credit_note_number)
+);
+
+CREATE INDEX IF NOT EXISTS order_refunds_order_idx ON public.order_refunds (order_id, created_at);
+
+COMMENT ON COLUMN public.order_refunds.amount IS
+  'Gross amount refunded (incl. VAT), from the Stripe refund.';
+COMMENT ON COLUMN public.order_refunds.status IS
+  'Stripe refund status: pending | requires_action | succeeded | failed | canceled.';
+
+ALTER TABLE public.order_refunds ENABLE ROW LEVEL SECURITY;
+
+-- Writes are service-role only (API route + webhook via record_order_refund).
+DROP POLICY IF EXISTS "Admins view order refunds" ON public.order_refunds;
+CREATE POLICY "Admins view order refunds" ON public.order_refunds FOR SELECT
+  USING (is_admin(auth.uid()));
+
+DROP POLICY IF EXISTS "Users view own order refunds" ON public.order_refunds;
+CREATE POLICY "Users view own order refunds" ON public.order_refunds FOR SELECT
+  USING (EXISTS (
+    SELECT 1 FROM public.orders o
+     WHERE o.id = order_refunds.order_id
+       AND o.customer_id = auth.uid()
+       AND o.deleted_at IS NULL
+  ));
+
+-- ---------------------------------------------------------------------------
+-- 3. record_order_refund — idempotent upsert on stripe_refund_id, then
+--    re-derive orders.refunded_amount / payment_status. Both writers (API
+--    route, webhook) call this, in either order, any number of times.
+--    reason / requested_by are only filled, never overwritten with NULL (the
+--    webhook doesn't know who asked).
+-- ---------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.record_order_refund(
+  p_order_id          uuid,
+  p_stripe_refund_id  text,
+  p_amount            numeric,
+  p_status            text,
+  p_reason            text DEFAULT NULL,
+  p_requested_by      uuid DEFAULT NULL
+) RETURNS uuid
+  LANGUAGE plpgsql
+AS $fn$
+DECLARE
+  v_order      public.orders%ROWTYPE;
+  v_refund_id  uuid;
+  v_seq        integer;
+  v_refunded   numeric;
+BEGIN
+  SELECT * INTO v_order FROM public.orders WHERE id = p_order_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Order not found: %', p_order_id
+      USING ERRCODE = 'P0002';
+  END IF;
+
+  SELECT count(*) + 1 INTO v_seq FROM public.order_refunds WHERE order_id = p_order_id;
+
+  INSERT INTO public.order_refunds (
+    order_id, stripe_refund_id, amount, vat_amount, status, reason,
+    credit_note_number, requested_by
+  ) VALUES (
+    p_order_id,
+    p_stripe_refund_id,
+    p_amount,
+    CASE WHEN COALESCE(v_order.total_amount, 0) > 0
+         THEN round(p_amount * COALESCE(v_order.tax_amount, 0) / v_order.total_amount, 2)
+         ELSE 0 END,
+    p_status,
+    p_reason,
+    'CN-' || COALESCE(v_order.order_number, left(p_order_id::text, 8)) || '-' || v_seq,
+    p_requested_by
+  )
+  ON CONFLICT (stripe_refund_id) DO UPDATE
+     SET status       = EXCLUDED.status,
+         reason       = COALESCE(public.order_refunds.reason, EXCLUDED.reason),
+         requested_by = COALESCE(public.order_refunds.requested_by, EXCLUDED.requested_by),
+         updated_at   = now()
+  RETURNING id INTO v_refund_id;
+
+  SELECT COALESCE(SUM(amount), 0) INTO v_refunded
+    FROM public.order_refunds
+   WHERE order_id = p_order_id AND status = 'succeeded';
+
+  UPDATE public.orders
+     SET refunded_amount = v_refunded,
+         payment_status  = CASE
+           WHEN v_refunded <= 0 THEN payment_status
+           WHEN v_refunded >= COALESCE(total_amount, 0) THEN 'refunded'
+           ELSE 'partially_refunded'
+         END
+   WHERE id = p_order_id;
+
+  RETURN v_refund_id;
+END;
+$fn$;
+
+REVOKE ALL ON FUNCTION public.record_order_refund(uuid, text, numeric, text, text, uuid) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.record_order_refund(uuid, text, numeric, text, text, uuid) FROM anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.record_order_refund(uuid, text, numeric, text, text, uuid) TO service_role;
+
+-- ---------------------------------------------------------------------------
+-- Verification: must return 3 rows (orders refund / cancellation columns).
+-- ---------------------------------------------------------------------------
+SELECT table_name, column_name, data_type
+FROM information_schema.columns
+WHERE table_schema = 'public'
+  AND table_name = 'orders'
+  AND column_name IN ('refunded_amount', 'cancelled_at', 'cancellation_reason')
+ORDER BY column_name;
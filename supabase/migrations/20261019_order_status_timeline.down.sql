@@ -0,0 +1,20 @@
+-- Rollback for 20261019_order_status_timeline.sql.
+--
+-- Drops the RPC, the trigger + its function and the timeline table, then the
+-- fulfilment columns on orders. Orders already at 'dispatched' / 'delivered'
+-- keep that status text. Export order_status_events (and carrier / tracking)
+-- first if the history matters.
+-- NO explicit BEGIN/COMMIT (PR #76 lesson). Idempotent.
+
+DROP FUNCTION IF EXISTS public.advance_order_status(uuid, text, text, text, text, text, text);
+
+DROP TRIGGER IF EXISTS orders_status_timeline ON public.orders;
+DROP FUNCTION IF EXISTS public.log_order_status_change();
+
+DROP TABLE IF EXISTS public.order_status_events;
+
+ALTER TABLE public.orders DROP COLUMN IF EXISTS delivered_at;
+ALTER TABLE public.orders DROP COLUMN IF EXISTS dispatched_at;
+ALTER TABLE public.orders DROP COLUMN IF EXISTS tracking_url;
+ALTER TABLE public.orders DROP COLUMN IF EXISTS tracking_number;
+ALTER TABLE public.orders DROP COLUMN IF EXISTS carrier;
@@ -0,0 +1,252 @@
+-- ============================================================================
+-- Order fulfilment lifecycle + status timeline.
+-- ----------------------------------------------------------------------------
+-- WHY: orders.status stopped at 'in_production' in practice — nothing
+-- recorded dispatch, carrier, tracking or delivery — and only artwork changes
+-- emailed the customer (send-artwork-received-email, send-proof-email).
+-- Nobody could say who moved an order, or when.
+--
+-- WHAT:
+--   1. orders gains carrier / tracking_number / tracking_url / dispatched_at /
+--      delivered_at. Fulfilment runs
+--        confirmed -> in_production -> dispatched -> delivered
+--      ('shipped' / 'completed' are the legacy spellings of the last two and
+--      stay readable).
+--   2. order_status_events — append-only timeline. A trigger on orders writes
+--      a row for EVERY status / artwork_status change, whichever path made it
+--      (admin page, proof RPCs, webhook, refund API), so the timeline cannot
+--      drift from the row. Actor = auth.uid(): staff (is_admin), customer, or
+--      'system' when there is no user (service role). api/admin/refund-order
+--      back-fills the staff actor on the cancellation row it causes.
+--   3. advance_order_status() — staff RPC, forward-only per field. Dispatch
+--      requires carrier + tracking number. Returns the event id so the page
+--      can ask send-order-status-email to notify the customer (CAS on
+--      order_status_events.email_sent_at).
+--
+-- No backfill: existing orders' timelines start at their next change.
+--
+-- APPLY (CLAUDE.md §52 + PR #76 lesson): open Supabase SQL Editor, paste, Run.
+-- NO explicit BEGIN/COMMIT. Idempotent. The final SELECT must return 6 rows.
+-- Then deploy send-order-status-email and merge.
+-- ROLLBACK: 20261019_order_status_timeline.down.sql.
+-- ============================================================================
+
+-- ---------------------------------------------------------------------------
+-- 1. orders: fulfilment snapshot
+-- ---------------------------------------------------------------------------
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS carrier          text;
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS tracking_number  text;
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS tracking_url     text;
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS dispatched_at    timestamptz;
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS delivered_at     timestamptz;
+
+-- ---------------------------------------------------------------------------
+-- 2. order_status_events — append-only timeline
+-- ---------------------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS public.order_status_events (
+  id             uuid         PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_id       uuid         NOT NULL REFERENCES public.orders(id) ON DELETE CASCADE,
+  field          text         NOT NULL CHECK (field IN ('status', 'artwork_status')),
+  from_status    text,
+  to_status      text         NOT NULL,
+  actor_type     text         NOT NULL CHECK (actor_type IN ('staff', 'customer', 'system')),
+  actor_id       uuid,
+  note           text,
+  -- Dispatch details at the time of the change: { carrier, tracking_number, tracking_url }.
+  details        jsonb,
+  email_sent_at  timestamptz,
+  created_at     timestamptz  NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS order_status_events_order_idx
+  ON public.order_status_events (order_id, created_at);
+
+ALTER TABLE public.order_status_events ENABLE ROW LEVEL SECURITY;
+
+-- Written only by the trigger (SECURITY DEFINER) and the service role.
+DROP POLICY IF EXISTS "Admins view order status events" ON public.order_status_events;
+CREATE POLICY "Admins view order status events" ON public.order_status_events FOR SELECT
+  USING (is_admin(auth.uid()));
+
+DROP POLICY IF EXISTS "Users view own order status events" ON public.order_status_events;
+CREATE POLICY "Users view own order status events" ON public.order_status_events FOR SELECT
+  USING (EXISTS (
+    SELECT 1 FROM public.orders o
+     WHERE o.id = order_status_events.order_id
+       AND o.customer_id = auth.uid()
+       AND o.deleted_at IS NULL
+  ));
+
+-- ---------------------------------------------------------------------------
+-- 3. Trigger: one event per changed field. advance_order_status passes its
+--    note through the transaction-local setting app.status_note.
+-- ---------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.log_order_status_change()
+  RETURNS trigger
+  LANGUAGE plpgsql
+  SECURITY DEFINER
+  SET search_path = public
+AS $fn$
+DECLARE
+  v_actor_id    uuid := auth.uid();
+  v_actor_type  text;
+  v_note        text := NULLIF(current_setting('app.status_note', true), '');
+BEGIN
+  v_actor_type := CASE
+    WHEN v_actor_id IS NULL THEN 'system'
+    WHEN is_admin(v_actor_id) THEN 'staff'
+    ELSE 'customer'
+  END;
+
+  IF TG_OP = 'INSERT' OR NEW.status IS DISTINCT FROM OLD.status THEN
+    IF NEW.status IS NOT NULL THEN
+      INSERT INTO public.order_status_events
+        (order_id, field, from_status, to_status, actor_type, actor_id, note, details)
+      VALUES (
+        NEW.id, 'status',
+        CASE WHEN TG_OP = 'UPDATE' THEN OLD.status END,
+        NEW.status, v_actor_type, v_actor_id, v_note,
+        CASE WHEN NEW.status = 'dispatched' THEN jsonb_build_object(
+          'carrier', NEW.carrier,
+          'tracking_number', NEW.tracking_number,
+          'tracking_url', NEW.tracking_url
+        ) END
+      );
+    END IF;
+  END IF;
+
+  IF TG_OP = 'UPDATE' AND NEW.artwork_status IS DISTINCT FROM OLD.artwork_status
+     AND NEW.artwork_status IS NOT NULL THEN
+    INSERT INTO public.order_status_events
+      (order_id, field, from_status, to_status, actor_type, actor_id, note)
+    VALUES (
+      NEW.id, 'artwork_status', OLD.artwork_status, NEW.artwork_status,
+      v_actor_type, v_actor_id, v_note
+    );
+  END IF;
+
+  RETURN NULL;
+END;
+$fn$;
+
+DROP TRIGGER IF EXISTS orders_status_timeline ON public.orders;
+CREATE TRIGGER orders_status_timeline
+  AFTER INSERT OR UPDATE OF status, artwork_status ON public.orders
+  FOR EACH ROW EXECUTE FUNCTION public.log_order_status_change();
+
+-- ---------------------------------------------------------------------------
+-- 4. advance_order_status — staff only, forward-only per field.
+--    p_field 'status': confirmed/approved -> in_production -> dispatched ->
+--      delivered. Dispatch needs carrier + tracking number. Moving the order
+--      into production also moves approved artwork to in_production.
+--    p_field 'artwork_status': the AdminOrderDetail progression. The delivery
+--      gate for 'approved' stays in the page (lib/deliveryValidation).
+--    Returns the order_status_events id for the requested change.
+-- ---------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.advance_order_status(
+  p_order_id         uuid,
+  p_field            text,
+  p_status           text,
+  p_note             text DEFAULT NULL,
+  p_carrier          text DEFAULT NULL,
+  p_tracking_number  text DEFAULT NULL,
+  p_tracking_url     text DEFAULT NULL
+) RETURNS uuid
+  LANGUAGE plpgsql
+  SECURITY DEFINER
+  SET search_path = public
+AS $fn$
+DECLARE
+  v_order     record;
+  v_ranks     text[];
+  v_current   text;
+  v_from_rank integer;
+  v_to_rank   integer;
+  v_event_id  uuid;
+BEGIN
+  IF NOT is_admin(auth.uid()) THEN
+    RAISE EXCEPTION 'Only staff can change order status'
+      USING ERRCODE = '42501';
+  END IF;
+
+  SELECT id, status, artwork_status INTO v_order
+    FROM public.orders
+   WHERE id = p_order_id AND deleted_at IS NULL
+   FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Order not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  IF p_field = 'status' THEN
+    IF v_order.status = 'cancelled' THEN
+      RAISE EXCEPTION 'Order is cancelled' USING ERRCODE = '22023';
+    END IF;
+    -- Legacy spellings share a rank with their replacements.
+    v_ranks := ARRAY['pending', 'confirmed', 'approved', 'in_production', 'dispatched', 'delivered'];
+    v_current := CASE v_order.status WHEN 'shipped' THEN 'dispatched' WHEN 'completed' THEN 'delivered' ELSE v_order.status END;
+    IF p_status NOT IN ('in_production', 'dispatched', 'delivered') THEN
+      RAISE EXCEPTION 'Unsupported fulfilment status: %', p_status USING ERRCODE = '22023';
+    END IF;
+  ELSIF p_field = 'artwork_status' THEN
+    v_ranks := ARRAY['pending_artwork', 'artwork_uploaded', 'in_review', 'proof_sent', 'approved', 'in_production'];
+    v_current := v_order.artwork_status;
+    IF NOT p_status = ANY (v_ranks) THEN
+      RAISE EXCEPTION 'Unsupported artwork status: %', p_status USING ERRCODE = '22023';
+    END IF;
+  ELSE
+    RAISE EXCEPTION 'Unsupported field: %', p_field USING ERRCODE = '22023';
+  END IF;
+
+  v_from_rank := COALESCE(array_position(v_ranks, v_current), 0);
+  v_to_rank := array_position(v_ranks, p_status);
+  IF v_to_rank <= v_from_rank THEN
+    RAISE EXCEPTION 'Cannot move % from % to %', p_field, v_current, p_status
+      USING ERRCODE = '22023';
+  END IF;
+
+  IF p_field = 'status' AND p_status = 'dispatched'
+     AND (NULLIF(trim(p_carrier), '') IS NULL OR NULLIF(trim(p_tracking_number), '') IS NULL) THEN
+    RAISE EXCEPTION 'Dispatch needs a carrier and tracking number' USING ERRCODE = '22023';
+  END IF;
+
+  PERFORM set_config('app.status_note', COALESCE(NULLIF(trim(p_note), ''), ''), true);
+
+  IF p_field = 'status' THEN
+    UPDATE public.orders
+       SET status          = p_status,
+           carrier         = CASE WHEN p_status = 'dispatched' THEN trim(p_carrier) ELSE carrier END,
+           tracking_number = CASE WHEN p_status = 'dispatched' THEN trim(p_tracking_number) ELSE tracking_number END,
+           tracking_url    = CASE WHEN p_status = 'dispatched' THEN NULLIF(trim(p_tracking_url), '') ELSE tracking_url END,
+           dispatched_at   = CASE WHEN p_status = 'dispatched' THEN now() ELSE dispatched_at END,
+           delivered_at    = CASE WHEN p_status = 'delivered' THEN now() ELSE delivered_at END,
+           artwork_status  = CASE WHEN p_status = 'in_production' AND artwork_status = 'approved'
+                                  THEN 'in_production' ELSE artwork_status END
+     WHERE id = p_order_id;
+  ELSE
+    UPDATE public.orders
+       SET artwork_status = p_status
+     WHERE id = p_order_id;
+  END IF;
+
+  PERFORM set_config('app.status_note', '', true);
+
+  SELECT id INTO v_event_id
+    FROM public.order_status_events
+   WHERE order_id = p_order_id AND field = p_field AND to_status = p_status
+   ORDER BY created_at DESC
+   LIMIT 1;
+
+  RETURN v_event_id;
+END;
+$fn$;
+
+REVOKE ALL ON FUNCTION public.advance_order_status(uuid, text, text, text, text, text, text) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.advance_order_status(uuid, text, text, text, text, text, text) TO authenticated;
+
+-- Verification: must return 6 rows (5 orders columns + the events table).
+SELECT table_name, column_name
+  FROM information_schema.columns
+ WHERE table_schema = 'public'
+   AND ((table_name = 'orders'
+         AND column_name IN ('carrier', 'tracking_number', 'tracking_url', 'dispatched_at', 'delivered_at'))
+     OR (table_name = 'order_status_events' AND column_name = 'to_status'));
@@ -0,0 +1,14 @@
+-- Rollback for 20261019_price_alerts.sql.
+--
+-- Drops the price history, the quote flags and the flagging function. Deploy
+-- a supplier-sync.js without the price-history step FIRST — otherwise the
+-- sync logs a (non-fatal) warning every run. The history is lost; export it
+-- first if it matters.
+-- NO explicit BEGIN/COMMIT (PR #76 lesson). Idempotent.
+
+DROP FUNCTION IF EXISTS public.flag_draft_quotes_for_price_changes(text[]);
+
+DROP INDEX IF EXISTS public.quotes_price_changed_idx;
+ALTER TABLE public.quotes DROP COLUMN IF EXISTS price_changed_at;
+
+DROP TABLE IF EXISTS public.supplier_price_history;
@@ -0,0 +1,122 @@
+-- ============================================================================
+-- Supplier price history + stale draft-quote flags.
+-- ----------------------------------------------------------------------------
+-- WHY: sell_price is margin-baked from the supplier's trade price at sync time
+-- (CLAUDE.md §46). When Laltex raised a cost, the next sync moved sell_price
+-- silently and open draft quotes kept the old unit_price. The supplier sync
+-- (scripts/lib/supplier-sync.js) now compares each tier's supplier `price`
+-- with the stored one and:
+--
+--   supplier_price_history       one row per product tier whose trade price
+--                                moved: old / new price and sell_price,
+--                                change_pct. Read by the daily digest
+--                                (api/cron/price-change-digest.js).
+--   quotes.price_changed_at      set on DRAFT quotes with a line for a product
+--                                whose trade price moved. Stays set (it records
+--                                that the quoted unit_price predates the move);
+--                                a fresh quote is the re-price path. Only the
+--                                quote row is written: a quote_items write would
+--                                fire the total-recompute and approval-reset
+--                                triggers and bump quotes.updated_at, which is
+--                                the abandoned-reminder idle clock.
+--   flag_draft_quotes_for_price_changes(codes)
+--                                does the flagging. Lines are matched on the
+--                                "Code: X" notes convention, same as
+--                                promotion_quote_discount (quote_items has no
+--                                code column). service_role only.
+--
+-- SECURITY: history is admin-read only (is_admin); written by the sync with
+-- the service role, which bypasses RLS — no INSERT policy on purpose.
+--
+-- APPLY (CLAUDE.md §52 + PR #76 lesson): open Supabase SQL Editor, paste, Run.
+-- NO explicit BEGIN/COMMIT. Idempotent. The final SELECT must return
+-- history_rows = 0 and flag_fn = 1 on first apply.
+-- ROLLBACK: 20261019_price_alerts.down.sql.
+-- ============================================================================
+
+-- ---------------------------------------------------------------------------
+-- 1. Price history
+-- ---------------------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS public.supplier_price_history (
+  id                     uuid        PRIMARY KEY DEFAULT gen_random_uuid(),
+  job_run_id             uuid        REFERENCES public.job_runs(id) ON DELETE SET NULL,
+  supplier_id            uuid        NOT NULL REFERENCES public.suppliers(id) ON DELETE CASCADE,
+  supplier_product_code  text        NOT NULL,
+  min_qty                integer,
+  old_price              numeric,
+  new_price              numeric,
+  old_sell_price         numeric,
+  new_sell_price         numeric,
+  change_pct             numeric,
+  created_at             timestamptz NOT NULL DEFAULT now()
+);
+
+COMMENT ON TABLE public.supplier_price_history IS
+  'Per-tier supplier trade-price moves detected by the supplier sync. change_pct is NULL when a tier gained or lost a price (POA <-> priced).';
+
+CREATE INDEX IF NOT EXISTS supplier_price_history_created_at_idx
+  ON public.supplier_price_history (created_at DESC);
+CREATE INDEX IF NOT EXISTS supplier_price_history_product_idx
+  ON public.supplier_price_history (supplier_id, supplier_product_code, created_at DESC);
+
+ALTER TABLE public.supplier_price_history ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Admins view supplier price history" ON public.supplier_price_history;
+CREATE POLICY "Admins view supplier price history" ON public.supplier_price_history
+  FOR SELECT USING (is_admin(auth.uid()));
+
+-- ---------------------------------------------------------------------------
+-- 2. Stale-price flags on draft quotes
+-- ---------------------------------------------------------------------------
+ALTER TABLE public.quotes ADD COLUMN IF NOT EXISTS price_changed_at timestamptz;
+
+COMMENT ON COLUMN public.quotes.price_changed_at IS
+  'Set by the supplier sync when a product on this draft quote changed trade price after it was quoted.';
+
+CREATE INDEX IF NOT EXISTS quotes_price_changed_idx
+  ON public.quotes (price_changed_at DESC)
+  WHERE price_changed_at IS NOT NULL;
+
+-- ---------------------------------------------------------------------------
+-- 3. Flagging function (called by the sync via PostgREST /rpc)
+-- ---------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.flag_draft_quotes_for_price_changes(p_codes text[])
+RETURNS integer
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = ''
+AS $$
+DECLARE
+  v_quotes integer;
+BEGIN
+  IF p_codes IS NULL OR cardinality(p_codes) = 0 THEN
+    RETURN 0;
+  END IF;
+
+  UPDATE public.quotes q
+     SET price_changed_at = now()
+   WHERE q.status = 'draft'
+     AND EXISTS (
+       SELECT 1 FROM public.quote_items qi
+        WHERE qi.quote_id = q.id
+          AND upper(substring(qi.notes FROM 'Code: ([^ |]+)')) = ANY (
+                SELECT upper(c) FROM unnest(p_codes) c)
+     );
+
+  GET DIAGNOSTICS v_quotes = ROW_COUNT;
+  RETURN v_quotes;
+END;
+$$;
+
+COMMENT ON FUNCTION public.flag_draft_quotes_for_price_changes(text[]) IS
+  'Flags draft quotes with lines referencing supplier codes whose trade price moved. Returns the number of quotes flagged. service_role only.';
+
+REVOKE ALL ON FUNCTION public.flag_draft_quotes_for_price_changes(text[]) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.flag_draft_quotes_for_price_changes(text[]) TO service_role;
+
+-- ---------------------------------------------------------------------------
+-- Verification
+-- ---------------------------------------------------------------------------
+SELECT
+  (SELECT COUNT(*) FROM public.supplier_price_history) AS history_rows,
+  (SELECT COUNT(*) FROM pg_proc WHERE proname = 'flag_draft_quotes_for_price_changes') AS flag_fn;
@@ -0,0 +1,131 @@
+-- Rollback for 20261019_promotions.sql.
+--
+-- Restores recompute_quote_total and confirm_payment_atomic to their
+-- 20260720 / 20260724 bodies, then drops the promotion RPCs, columns and
+-- tables. Paid orders lose their promo_code / discount snapshot — export
+-- promotion_redemptions first if that history matters.
+-- NO explicit BEGIN/COMMIT (PR #76 lesson). Idempotent.
+
+CREATE OR REPLACE FUNCTION public.recompute_quote_total()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $fn$
+DECLARE
+  v_quote_id uuid;
+BEGIN
+  v_quote_id := COALESCE(NEW.quote_id, OLD.quote_id);
+
+  UPDATE public.quotes q
+  SET subtotal     = COALESCE(agg.net, 0),
+      tax_amount   = COALESCE(agg.vat, 0),
+      total_amount = COALESCE(agg.net, 0) + COALESCE(agg.vat, 0),
+      updated_at   = now()
+  FROM (
+    SELECT
+      SUM(quantity * unit_price) AS net,
+      SUM(line_vat)              AS vat
+    FROM public.quote_items
+    WHERE quote_id = v_quote_id
+  ) agg
+  WHERE q.id = v_quote_id
+    AND q.status != 'converted';
+
+  RETURN NULL;
+END;
+$fn$;
+
+CREATE OR REPLACE FUNCTION public.confirm_payment_atomic(
+  p_quote_id           uuid,
+  p_stripe_session_id  text,
+  p_payment_intent_id  text,
+  p_payment_amount     numeric
+) RETURNS uuid
+  LANGUAGE plpgsql
+AS $fn$
+DECLARE
+  v_customer_id      uuid;
+  v_order_id         uuid;
+  v_shipping_address jsonb;
+  v_po_number        text;
+  v_subtotal         numeric;
+  v_tax_amount       numeric;
+BEGIN
+  SELECT customer_id, shipping_address, po_number, subtotal, tax_amount
+    INTO v_customer_id, v_shipping_address, v_po_number, v_subtotal, v_tax_amount
+    FROM public.quotes
+   WHERE id = p_quote_id
+   FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Quote not found: %', p_quote_id
+      USING ERRCODE = 'P0002';
+  END IF;
+
+  SELECT id INTO v_order_id
+    FROM public.orders
+   WHERE stripe_session_id = p_stripe_session_id
+   LIMIT 1;
+
+  IF v_order_id IS NOT NULL THEN
+    RETURN v_order_id;
+  END IF;
+
+  UPDATE public.quotes
+     SET status            = 'converted',
+         stripe_session_id = p_stripe_session_id,
+         paid_at           = COALESCE(paid_at, now()),
+         payment_amount    = p_payment_amount
+   WHERE id = p_quote_id;
+
+  INSERT INTO public.orders (
+    quote_id, customer_id, status, payment_status, artwork_status,
+    stripe_session_id, payment_intent_id, total_amount, subtotal, tax_amount,
+    shipping_address, po_number
+  ) VALUES (
+    p_quote_id, v_customer_id, 'confirmed', 'paid', 'pending_artwork',
+    p_stripe_session_id, p_payment_intent_id, p_payment_amount,
+    COALESCE(v_subtotal, 0), COALESCE(v_tax_amount, 0),
+    v_shipping_address, v_po_number
+  )
+  RETURNING id INTO v_order_id;
+
+  INSERT INTO public.order_items (
+    order_id, product_id, product_name, quantity, unit_price, line_total,
+    taxable_net_unit, color, design_data, design_thumbnail, print_areas,
+    size_breakdown, notes
+  )
+  SELECT
+    v_order_id, qi.product_id, qi.product_name, qi.quantity, qi.unit_price,
+    ROUND(qi.quantity * qi.unit_price, 2), qi.taxable_net_unit, qi.color,
+    qi.design_data, qi.design_thumbnail, qi.print_areas, qi.size_breakdown,
+    qi.notes
+  FROM public.quote_items qi
+  WHERE qi.quote_id = p_quote_id;
+
+  RETURN v_order_id;
+END;
+$fn$;
+
+REVOKE ALL ON FUNCTION public.confirm_payment_atomic(uuid, text, text, numeric) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.confirm_payment_atomic(uuid, text, text, numeric) FROM anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.confirm_payment_atomic(uuid, text, text, numeric) TO service_role;
+
+DROP TRIGGER IF EXISTS quotes_guard_promotion ON public.quotes;
+DROP FUNCTION IF EXISTS public.guard_quote_promotion();
+DROP FUNCTION IF EXISTS public.apply_promo_code(uuid, text);
+DROP FUNCTION IF EXISTS public.remove_promo_code(uuid);
+DROP FUNCTION IF EXISTS public.refresh_quote_totals(uuid);
+DROP FUNCTION IF EXISTS public.promotion_quote_discount(uuid, uuid);
+
+DROP TABLE IF EXISTS public.promotion_redemptions;
+
+ALTER TABLE public.orders DROP COLUMN IF EXISTS discount_vat;
+ALTER TABLE public.orders DROP COLUMN IF EXISTS discount_amount;
+ALTER TABLE public.orders DROP COLUMN IF EXISTS promo_code;
+ALTER TABLE public.orders DROP COLUMN IF EXISTS promotion_id;
+ALTER TABLE public.quotes DROP COLUMN IF EXISTS discount_vat;
+ALTER TABLE public.quotes DROP COLUMN IF EXISTS discount_amount;
+ALTER TABLE public.quotes DROP COLUMN IF EXISTS promo_code;
+ALTER TABLE public.quotes DROP COLUMN IF EXISTS promotion_id;
+
+DROP TABLE IF EXISTS public.promotions;
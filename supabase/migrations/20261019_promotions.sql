@@ -0,0 +1,596 @@
+-- ============================================================================
+-- Promotions — discount codes on quotes, carried through checkout to orders.
+-- ----------------------------------------------------------------------------
+-- WHY: trade-show offers and first-order discounts. Nothing in quotes /
+-- quoteService / create-checkout-session knew about discounts.
+--
+-- MODEL:
+--   * promotions            — one row per code. Three types:
+--       percentage  amount = % off the eligible goods net (e.g. 10 = 10%).
+--       fixed       amount = £ off the eligible goods net (capped at it).
+--       free_setup  amount = £ setup value waived PER PRINT POSITION on each
+--                   eligible line. Setup is amortised into the all-in unit
+--                   price (CLAUDE.md §46), so there is no setup line to zero
+--                   out — the promotion states what one setup is worth.
+--     Optional rules: starts_at / expires_at, max_uses (global),
+--     max_uses_per_customer, first_order_only, min_order_value (quote goods
+--     net, ex VAT, before discount), and scoping by product_ids
+--     (catalog_products), product_codes (supplier codes — the "Code: X" in
+--     quote_items.notes) or category_slugs (catalog_categories.slug, plus
+--     Laltex codes curated onto that category via category_product_curation).
+--     All scope arrays empty = whole quote eligible.
+--   * quotes / orders gain promotion_id, promo_code, discount_amount (net)
+--     and discount_vat.
+--     On quotes a trigger (guard_quote_promotion) keeps customers from
+--     writing them directly — codes go through apply_promo_code.
+--   * promotion_redemptions — one row per paid order that used a code.
+--     Written by confirm_payment_atomic; uses_count is bumped in the same
+--     transaction.
+--
+-- TOTALS (the DB stays authoritative — see the header of src/utils/vat.js):
+--   subtotal      = goods net BEFORE discount (unchanged meaning).
+--   discount_amount = net discount from promotion_quote_discount().
+--   discount_vat  = VAT removed by the discount, apportioned by the eligible
+--                   lines' own VAT/net ratio (so a zero-rated garment line
+--                   only gives back VAT on its services share).
+--   tax_amount    = SUM(line_vat) - discount_vat.
+--   total_amount  = subtotal - discount_amount + tax_amount  (the charge).
+--   recompute_quote_total re-evaluates the code on every item change, so a
+--   quote that drops below min_order_value loses the discount (the code stays
+--   attached, discount 0). create-checkout-session calls
+--   refresh_quote_totals() before charging so an expired / used-up code
+--   never reaches Stripe.
+--
+-- APPLY (CLAUDE.md §52 + PR #76 lesson): open Supabase SQL Editor, paste, Run.
+-- NO explicit BEGIN/COMMIT. Idempotent. The final SELECT must return 8 rows.
+-- Then redeploy create-checkout-session and merge.
+-- ROLLBACK: 20261019_promotions.down.sql.
+-- ============================================================================
+
+-- ---------------------------------------------------------------------------
+-- 1. promotions
+-- ---------------------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS public.promotions (
+  id                     uuid          PRIMARY KEY DEFAULT gen_random_uuid(),
+  code                   text          NOT NULL,
+  description            text,
+  discount_type          text          NOT NULL
+                         CHECK (discount_type IN ('percentage', 'fixed', 'free_setup')),
+  amount                 numeric(10,2) NOT NULL CHECK (amount > 0),
+  min_order_value        numeric(10,2),
+  starts_at              timestamptz,
+  expires_at             timestamptz,
+  max_uses               integer       CHECK (max_uses IS NULL OR max_uses > 0),
+  max_uses_per_customer  integer       CHECK (max_uses_per_customer IS NULL OR max_uses_per_customer > 0),
+  first_order_only       boolean       NOT NULL DEFAULT false,
+  product_ids            uuid[]        NOT NULL DEFAULT '{}',
+  product_codes          text[]        NOT NULL DEFAULT '{}',
+  category_slugs         text[]        NOT NULL DEFAULT '{}',
+  uses_count             integer       NOT NULL DEFAULT 0,
+  active                 boolean       NOT NULL DEFAULT true,
+  created_at             timestamptz   NOT NULL DEFAULT now(),
+  updated_at             timestamptz   NOT NULL DEFAULT now(),
+  CONSTRAINT promotions_percentage_range
+    CHECK (discount_type <> 'percentage' OR amount <= 100)
+);
+
+-- Codes are matched case-insensitively; store and compare upper-case.
+CREATE UNIQUE INDEX IF NOT EXISTS promotions_code_upper_uniq ON public.promotions (upper(code));
+
+COMMENT ON TABLE public.promotions IS
+  'Discount codes. See 20261019_promotions.sql header for the type semantics and totals maths.';
+
+ALTER TABLE public.promotions ENABLE ROW LEVEL SECURITY;
+
+-- Admin-only table. Customers never read it directly — apply_promo_code is
+-- SECURITY DEFINER and returns only what the customer needs to see.
+DROP POLICY IF EXISTS "Admins manage promotions" ON public.promotions;
+CREATE POLICY "Admins manage promotions" ON public.promotions FOR ALL
+  USING (is_admin(auth.uid()))
+  WITH CHECK (is_admin(auth.uid()));
+
+-- ---------------------------------------------------------------------------
+-- 2. quotes / orders: the applied code + discount snapshot
+-- ---------------------------------------------------------------------------
+ALTER TABLE public.quotes ADD COLUMN IF NOT EXISTS promotion_id    uuid REFERENCES public.promotions(id) ON DELETE SET NULL;
+ALTER TABLE public.quotes ADD COLUMN IF NOT EXISTS promo_code      text;
+ALTER TABLE public.quotes ADD COLUMN IF NOT EXISTS discount_amount numeric(10,2) NOT NULL DEFAULT 0;
+ALTER TABLE public.quotes ADD COLUMN IF NOT EXISTS discount_vat    numeric(10,2) NOT NULL DEFAULT 0;
+
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS promotion_id    uuid REFERENCES public.promotions(id) ON DELETE SET NULL;
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS promo_code      text;
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS discount_amount numeric(10,2) NOT NULL DEFAULT 0;
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS discount_vat    numeric(10,2) NOT NULL DEFAULT 0;
+
+-- ---------------------------------------------------------------------------
+-- 3. promotion_redemptions — one per paid order
+-- ---------------------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS public.promotion_redemptions (
+  id               uuid          PRIMARY KEY DEFAULT gen_random_uuid(),
+  promotion_id     uuid          NOT NULL REFERENCES public.promotions(id) ON DELETE CASCADE,
+  order_id         uuid          NOT NULL REFERENCES public.orders(id) ON DELETE CASCADE,
+  quote_id         uuid,
+  customer_id      uuid,
+  discount_amount  numeric(10,2) NOT NULL,
+  created_at       timestamptz   NOT NULL DEFAULT now(),
+  CONSTRAINT promotion_redemptions_order_uniq UNIQUE (order_id)
+);
+
+CREATE INDEX IF NOT EXISTS promotion_redemptions_promo_customer_idx
+  ON public.promotion_redemptions (promotion_id, customer_id);
+
+ALTER TABLE public.promotion_redemptions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Admins view promotion redemptions" ON public.promotion_redemptions;
+CREATE POLICY "Admins view promotion redemptions" ON public.promotion_redemptions FOR SELECT
+  USING (is_admin(auth.uid()));
+
+-- ---------------------------------------------------------------------------
+-- 4. promotion_quote_discount — the single place the discount is computed.
+--    Returns (discount_net, discount_vat, reason). reason is NULL when the
+--    code applies; otherwise a short machine code the UI maps to a message:
+--      inactive | not_started | expired | usage_limit | customer_limit |
+--      first_order_only | min_order_value | not_eligible
+--    SECURITY DEFINER: it runs inside recompute_quote_total as the customer,
+--    who cannot read promotions / promotion_redemptions under RLS. The owner
+--    check below stops it being used to probe other customers' quotes.
+-- ---------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.promotion_quote_discount(
+  p_promotion_id uuid,
+  p_quote_id     uuid
+) RETURNS TABLE (discount_net numeric, discount_vat numeric, reason text)
+  LANGUAGE plpgsql
+  STABLE
+  SECURITY DEFINER
+  SET search_path = public
+AS $fn$
+DECLARE
+  v_promo       public.promotions%ROWTYPE;
+  v_customer_id uuid;
+  v_quote_net   numeric;
+  v_elig_net    numeric;
+  v_elig_vat    numeric;
+  v_positions   integer;
+  v_net         numeric;
+BEGIN
+  SELECT * INTO v_promo FROM public.promotions WHERE id = p_promotion_id;
+  IF NOT FOUND OR NOT v_promo.active THEN
+    RETURN QUERY SELECT 0::numeric, 0::numeric, 'inactive'::text; RETURN;
+  END IF;
+  IF v_promo.starts_at IS NOT NULL AND now() < v_promo.starts_at THEN
+    RETURN QUERY SELECT 0::numeric, 0::numeric, 'not_started'::text; RETURN;
+  END IF;
+  IF v_promo.expires_at IS NOT NULL AND now() >= v_promo.expires_at THEN
+    RETURN QUERY SELECT 0::numeric, 0::numeric, 'expired'::text; RETURN;
+  END IF;
+  IF v_promo.max_uses IS NOT NULL AND v_promo.uses_count >= v_promo.max_uses THEN
+    RETURN QUERY SELECT 0::numeric, 0::numeric, 'usage_limit'::text; RETURN;
+  END IF;
+
+  -- No JWT user is only trusted from the service role (create-checkout-
+  -- session, confirm-payment); anything else without one gets nothing.
+  SELECT customer_id INTO v_customer_id FROM public.quotes WHERE id = p_quote_id;
+  IF auth.uid() IS NULL THEN
+    IF auth.role() IS DISTINCT FROM 'service_role' THEN
+      RETURN QUERY SELECT 0::numeric, 0::numeric, 'not_eligible'::text; RETURN;
+    END IF;
+  ELSIF v_customer_id IS DISTINCT FROM auth.uid()
+        AND NOT is_admin(auth.uid()) THEN
+    RETURN QUERY SELECT 0::numeric, 0::numeric, 'not_eligible'::text; RETURN;
+  END IF;
+
+  IF v_promo.max_uses_per_customer IS NOT NULL AND (
+       SELECT count(*) FROM public.promotion_redemptions r
+        WHERE r.promotion_id = p_promotion_id AND r.customer_id = v_customer_id
+     ) >= v_promo.max_uses_per_customer THEN
+    RETURN QUERY SELECT 0::numeric, 0::numeric, 'customer_limit'::text; RETURN;
+  END IF;
+
+  IF v_promo.first_order_only AND EXISTS (
+       SELECT 1 FROM public.orders o
+        WHERE o.customer_id = v_customer_id AND o.payment_status = 'paid'
+     ) THEN
+    RETURN QUERY SELECT 0::numeric, 0::numeric, 'first_order_only'::text; RETURN;
+  END IF;
+
+  SELECT COALESCE(SUM(quantity * unit_price), 0)
+    INTO v_quote_net
+    FROM public.quote_items
+   WHERE quote_id = p_quote_id;
+
+  IF v_promo.min_order_value IS NOT NULL AND v_quote_net < v_promo.min_order_value THEN
+    RETURN QUERY SELECT 0::numeric, 0::numeric, 'min_order_value'::text; RETURN;
+  END IF;
+
+  -- Eligible lines. Supplier code is parsed from the "Supplier: X | Code: Y"
+  -- notes convention (LaltexProductView) — quote_items has no code column.
+  SELECT
+    COALESCE(SUM(qi.quantity * qi.unit_price), 0),
+    COALESCE(SUM(qi.line_vat), 0),
+    COALESCE(SUM(
+      CASE jsonb_typeof(qi.print_areas)
+        WHEN 'object' THEN COALESCE(jsonb_array_length(qi.print_areas -> 'selections'), 0)
+        WHEN 'string' THEN 1
+        ELSE 0
+      END
+    ), 0)
+    INTO v_elig_net, v_elig_vat, v_positions
+    FROM public.quote_items qi
+    LEFT JOIN public.catalog_products cp ON cp.id = qi.product_id
+    LEFT JOIN public.catalog_categories cc ON cc.id = cp.category_id
+   WHERE qi.quote_id = p_quote_id
+     AND (
+           (   cardinality(v_promo.product_ids) = 0
+           AND cardinality(v_promo.product_codes) = 0
+           AND cardinality(v_promo.category_slugs) = 0)
+        OR qi.product_id = ANY (v_promo.product_ids)
+        OR upper(substring(qi.notes FROM 'Code: ([^ |]+)')) = ANY (
+             SELECT upper(c) FROM unnest(v_promo.product_codes) c)
+        OR cc.slug = ANY (v_promo.category_slugs)
+        OR EXISTS (
+             SELECT 1 FROM public.category_product_curation cpc
+              WHERE cpc.category_slug = ANY (v_promo.category_slugs)
+                AND upper(cpc.supplier_product_code) = upper(substring(qi.notes FROM 'Code: ([^ |]+)')))
+         );
+
+  IF v_elig_net <= 0 THEN
+    RETURN QUERY SELECT 0::numeric, 0::numeric, 'not_eligible'::text; RETURN;
+  END IF;
+
+  v_net := CASE v_promo.discount_type
+    WHEN 'percentage' THEN round(v_elig_net * v_promo.amount / 100, 2)
+    WHEN 'fixed'      THEN LEAST(v_promo.amount, round(v_elig_net, 2))
+    WHEN 'free_setup' THEN LEAST(v_promo.amount * v_positions, round(v_elig_net, 2))
+  END;
+
+  IF v_net <= 0 THEN
+    RETURN QUERY SELECT 0::numeric, 0::numeric, 'not_eligible'::text; RETURN;
+  END IF;
+
+  RETURN QUERY SELECT v_net, round(v_net * v_elig_vat / v_elig_net, 2), NULL::text;
+END;
+$fn$;
+
+-- Called as the invoker from refresh_quote_totals (customer trigger path,
+-- service-role Edge Functions); never by anonymous callers.
+REVOKE ALL ON FUNCTION public.promotion_quote_discount(uuid, uuid) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.promotion_quote_discount(uuid, uuid) TO authenticated, service_role;
+
+-- ---------------------------------------------------------------------------
+-- 5. refresh_quote_totals — the body recompute_quote_total used to inline,
+--    now discount-aware and callable directly (apply_promo_code,
+--    create-checkout-session). status != 'converted' guard preserved.
+-- ---------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.refresh_quote_totals(p_quote_id uuid)
+RETURNS void
+  LANGUAGE plpgsql
+AS $fn$
+DECLARE
+  v_net           numeric;
+  v_vat           numeric;
+  v_promotion_id  uuid;
+  v_discount_net  numeric := 0;
+  v_discount_vat  numeric := 0;
+BEGIN
+  SELECT promotion_id INTO v_promotion_id FROM public.quotes WHERE id = p_quote_id;
+
+  SELECT COALESCE(SUM(quantity * unit_price), 0), COALESCE(SUM(line_vat), 0)
+    INTO v_net, v_vat
+    FROM public.quote_items
+   WHERE quote_id = p_quote_id;
+
+  IF v_promotion_id IS NOT NULL THEN
+    SELECT d.discount_net, d.discount_vat
+      INTO v_discount_net, v_discount_vat
+      FROM public.promotion_quote_discount(v_promotion_id, p_quote_id) d;
+  END IF;
+
+  -- Lets guard_quote_promotion accept the discount columns from this UPDATE
+  -- only; cleared straight after.
+  PERFORM set_config('app.refreshing_quote_totals', 'on', true);
+  UPDATE public.quotes q
+  SET subtotal        = v_net,
+      discount_amount = v_discount_net,
+      discount_vat    = v_discount_vat,
+      tax_amount      = v_vat - v_discount_vat,
+      total_amount    = v_net - v_discount_net + v_vat - v_discount_vat,
+      updated_at      = now()
+  WHERE q.id = p_quote_id
+    AND q.status != 'converted';
+  PERFORM set_config('app.refreshing_quote_totals', '', true);
+END;
+$fn$;
+
+-- Not SECURITY DEFINER: the trigger path runs as the customer, so the
+-- UPDATE stays under the quotes RLS policies exactly as the old inline body
+-- did. create-checkout-session calls it with the service role.
+
+-- Trigger function keeps its name so the existing quote_items triggers stay
+-- attached (CREATE OR REPLACE).
+CREATE OR REPLACE FUNCTION public.recompute_quote_total()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $fn$
+BEGIN
+  PERFORM public.refresh_quote_totals(COALESCE(NEW.quote_id, OLD.quote_id));
+  RETURN NULL;
+END;
+$fn$;
+
+-- Promotion columns are written only by apply_promo_code / remove_promo_code
+-- (SECURITY DEFINER, so they run as the function owner), the service role,
+-- and refresh_quote_totals' own UPDATE (transaction-local flag above — it
+-- runs as the customer on the trigger path). Without this the owner-update
+-- policy on quotes would let a customer write any discount straight through
+-- PostgREST. Deliberately NOT SECURITY DEFINER: current_user must be the
+-- caller. New quotes start with no promotion.
+CREATE OR REPLACE FUNCTION public.guard_quote_promotion()
+RETURNS trigger
+LANGUAGE plpgsql
+SET search_path = public
+AS $fn$
+BEGIN
+  IF current_user NOT IN ('anon', 'authenticated') THEN
+    RETURN NEW;
+  END IF;
+
+  IF TG_OP = 'INSERT' THEN
+    NEW.promotion_id    := NULL;
+    NEW.promo_code      := NULL;
+    NEW.discount_amount := 0;
+    NEW.discount_vat    := 0;
+    RETURN NEW;
+  END IF;
+
+  IF NEW.promotion_id IS DISTINCT FROM OLD.promotion_id
+     OR NEW.promo_code IS DISTINCT FROM OLD.promo_code THEN
+    RAISE EXCEPTION 'Promo codes are applied through apply_promo_code only'
+      USING ERRCODE = '42501';
+  END IF;
+  IF (NEW.discount_amount IS DISTINCT FROM OLD.discount_amount
+      OR NEW.discount_vat IS DISTINCT FROM OLD.discount_vat)
+     AND current_setting('app.refreshing_quote_totals', true) IS DISTINCT FROM 'on' THEN
+    RAISE EXCEPTION 'Quote discounts are computed by the database only'
+      USING ERRCODE = '42501';
+  END IF;
+  RETURN NEW;
+END;
+$fn$;
+
+DROP TRIGGER IF EXISTS quotes_guard_promotion ON public.quotes;
+CREATE TRIGGER quotes_guard_promotion
+  BEFORE INSERT OR UPDATE ON public.quotes
+  FOR EACH ROW EXECUTE FUNCTION public.guard_quote_promotion();
+
+-- ---------------------------------------------------------------------------
+-- 6. Customer RPCs: apply / remove a code on their own unpaid quote.
+--    SECURITY DEFINER because customers cannot read promotions. Returns
+--    jsonb: { ok, code, discount_amount, discount_vat, reason? } or
+--    { ok: false, error }.
+-- ---------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.apply_promo_code(p_quote_id uuid, p_code text)
+RETURNS jsonb
+  LANGUAGE plpgsql
+  SECURITY DEFINER
+  SET search_path = public
+AS $fn$
+DECLARE
+  v_quote  public.quotes%ROWTYPE;
+  v_promo  public.promotions%ROWTYPE;
+  v_disc   record;
+BEGIN
+  SELECT * INTO v_quote FROM public.quotes WHERE id = p_quote_id FOR UPDATE;
+  IF NOT FOUND OR v_quote.customer_id IS DISTINCT FROM auth.uid() THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'not_found');
+  END IF;
+  IF v_quote.status = 'converted' THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'quote_paid');
+  END IF;
+
+  SELECT * INTO v_promo FROM public.promotions WHERE upper(code) = upper(trim(p_code));
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'unknown_code');
+  END IF;
+
+  SELECT * INTO v_disc FROM public.promotion_quote_discount(v_promo.id, p_quote_id);
+  IF v_disc.reason IS NOT NULL THEN
+    RETURN jsonb_build_object('ok', false, 'error', v_disc.reason);
+  END IF;
+
+  UPDATE public.quotes
+     SET promotion_id = v_promo.id,
+         promo_code   = upper(v_promo.code)
+   WHERE id = p_quote_id;
+  PERFORM public.refresh_quote_totals(p_quote_id);
+
+  RETURN jsonb_build_object(
+    'ok', true,
+    'code', upper(v_promo.code),
+    'description', v_promo.description,
+    'discount_amount', v_disc.discount_net,
+    'discount_vat', v_disc.discount_vat
+  );
+END;
+$fn$;
+
+CREATE OR REPLACE FUNCTION public.remove_promo_code(p_quote_id uuid)
+RETURNS jsonb
+  LANGUAGE plpgsql
+  SECURITY DEFINER
+  SET search_path = public
+AS $fn$
+BEGIN
+  UPDATE public.quotes
+     SET promotion_id = NULL,
+         promo_code   = NULL
+   WHERE id = p_quote_id
+     AND customer_id = auth.uid()
+     AND status != 'converted';
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'not_found');
+  END IF;
+  PERFORM public.refresh_quote_totals(p_quote_id);
+  RETURN jsonb_build_object('ok', true);
+END;
+$fn$;
+
+REVOKE ALL ON FUNCTION public.apply_promo_code(uuid, text) FROM PUBLIC, anon;
+REVOKE ALL ON FUNCTION public.remove_promo_code(uuid) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.apply_promo_code(uuid, text) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.remove_promo_code(uuid) TO authenticated;
+
+-- ---------------------------------------------------------------------------
+-- 7. confirm_payment_atomic — carry the promotion onto the order and record
+--    the redemption. Faithful reproduction of 20260724_size_breakdown.sql
+--    plus: promotion columns in the SELECT / orders INSERT, and the
+--    redemption INSERT + uses_count bump at the end. Identical signature /
+--    grants / idempotency (CLAUDE.md §17.7) — the early RETURN on an existing
+--    stripe_session_id means a retry never double-counts a redemption.
+-- ---------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.confirm_payment_atomic(
+  p_quote_id           uuid,
+  p_stripe_session_id  text,
+  p_payment_intent_id  text,
+  p_payment_amount     numeric
+) RETURNS uuid
+  LANGUAGE plpgsql
+AS $fn$
+DECLARE
+  v_customer_id      uuid;
+  v_order_id         uuid;
+  v_shipping_address jsonb;
+  v_po_number        text;
+  v_subtotal         numeric;
+  v_tax_amount       numeric;
+  v_promotion_id     uuid;
+  v_promo_code       text;
+  v_discount_amount  numeric;
+  v_discount_vat     numeric;
+BEGIN
+  SELECT customer_id, shipping_address, po_number, subtotal, tax_amount,
+         promotion_id, promo_code, discount_amount, discount_vat
+    INTO v_customer_id, v_shipping_address, v_po_number, v_subtotal, v_tax_amount,
+         v_promotion_id, v_promo_code, v_discount_amount, v_discount_vat
+    FROM public.quotes
+   WHERE id = p_quote_id
+   FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Quote not found: %', p_quote_id
+      USING ERRCODE = 'P0002';
+  END IF;
+
+  SELECT id INTO v_order_id
+    FROM public.orders
+   WHERE stripe_session_id = p_stripe_session_id
+   LIMIT 1;
+
+  IF v_order_id IS NOT NULL THEN
+    RETURN v_order_id;
+  END IF;
+
+  UPDATE public.quotes
+     SET status            = 'converted',
+         stripe_session_id = p_stripe_session_id,
+         paid_at           = COALESCE(paid_at, now()),
+         payment_amount    = p_payment_amount
+   WHERE id = p_quote_id;
+
+  INSERT INTO public.orders (
+    quote_id,
+    customer_id,
+    status,
+    payment_status,
+    artwork_status,
+    stripe_session_id,
+    payment_intent_id,
+    total_amount,
+    subtotal,
+    tax_amount,
+    shipping_address,
+    po_number,
+    promotion_id,
+    promo_code,
+    discount_amount,
+    discount_vat
+  ) VALUES (
+    p_quote_id,
+    v_customer_id,
+    'confirmed',
+    'paid',
+    'pending_artwork',
+    p_stripe_session_id,
+    p_payment_intent_id,
+    p_payment_amount,
+    COALESCE(v_subtotal, 0),
+    COALESCE(v_tax_amount, 0),
+    v_shipping_address,
+    v_po_number,
+    v_promotion_id,
+    v_promo_code,
+    COALESCE(v_discount_amount, 0),
+    COALESCE(v_discount_vat, 0)
+  )
+  RETURNING id INTO v_order_id;
+
+  INSERT INTO public.order_items (
+    order_id,
+    product_id,
+    product_name,
+    quantity,
+    unit_price,
+    line_total,
+    taxable_net_unit,
+    color,
+    design_data,
+    design_thumbnail,
+    print_areas,
+    size_breakdown,
+    notes
+  )
+  SELECT
+    v_order_id,
+    qi.product_id,
+    qi.product_name,
+    qi.quantity,
+    qi.unit_price,
+    ROUND(qi.quantity * qi.unit_price, 2),
+    qi.taxable_net_unit,
+    qi.color,
+    qi.design_data,
+    qi.design_thumbnail,
+    qi.print_areas,
+    qi.size_breakdown,
+    qi.notes
+  FROM public.quote_items qi
+  WHERE qi.quote_id = p_quote_id;
+
+  IF v_promotion_id IS NOT NULL AND COALESCE(v_discount_amount, 0) > 0 THEN
+    INSERT INTO public.promotion_redemptions (
+      promotion_id, order_id, quote_id, customer_id, discount_amount
+    ) VALUES (
+      v_promotion_id, v_order_id, p_quote_id, v_customer_id, v_discount_amount
+    );
+    UPDATE public.promotions
+       SET uses_count = uses_count + 1,
+           updated_at = now()
+     WHERE id = v_promotion_id;
+  END IF;
+
+  RETURN v_order_id;
+END;
+$fn$;
+
+REVOKE ALL ON FUNCTION public.confirm_payment_atomic(uuid, text, text, numeric) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.confirm_payment_atomic(uuid, text, text, numeric) FROM anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.confirm_payment_atomic(uuid, text, text, numeric) TO service_role;
+
+-- ---------------------------------------------------------------------------
+-- Verification: must return 8 rows (4 promotion columns x quotes + orders).
+-- ---------------------------------------------------------------------------
+SELECT table_name, column_name, data_type
+FROM information_schema.columns
+WHERE table_schema = 'public'
+  AND table_name IN ('quotes', 'orders')
+  AND column_name IN ('promotion_id', 'promo_code', 'discount_amount', 'discount_vat')
+ORDER BY table_name, column_name;
@@ -0,0 +1,12 @@
+-- Rollback for 20261019_public_search.sql.
+--
+-- Drops the rate-limit counters, the bump / prune functions and the query
+-- embedding cache. Remove /api/catalogue-search FIRST — without the function the
+-- endpoint logs every request and stops rate limiting (it fails open), and
+-- every query goes to OpenAI. The cache is rebuildable; nothing is lost.
+-- NO explicit BEGIN/COMMIT (PR #76 lesson). Idempotent.
+
+DROP FUNCTION IF EXISTS public.prune_search_rate_limits();
+DROP FUNCTION IF EXISTS public.bump_search_rate_limit(text, integer, integer);
+DROP TABLE IF EXISTS public.search_rate_limits;
+DROP TABLE IF EXISTS public.search_query_embeddings;
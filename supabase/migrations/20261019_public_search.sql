@@ -0,0 +1,150 @@
+-- ============================================================================
+-- Public catalogue search: per-IP rate limit + query embedding cache.
+-- ----------------------------------------------------------------------------
+-- WHY: /api/search-products is server-to-server (Bearer CRON_SECRET), so only
+-- AVA could use the hybrid vector + tsvector ranking. The public route
+-- /api/catalogue-search (header search box + /search results page) calls the
+-- same rpc_search_supplier_products, and needs two pieces of state:
+--
+--   search_rate_limits          fixed-window request counter per hashed IP
+--                               (scripts/lib/search-rate-limit.js). The hash
+--                               is hashIpFallback() from ai-quota.js — the
+--                               raw IP is never stored.
+--   bump_search_rate_limit(...) the atomic increment. Unlike ai_quotas
+--                               (CLAUDE.md §32.6) this is a Postgres
+--                               function: a public endpoint is a burst
+--                               target, and the upsert race that is fine at
+--                               5 searches/day is not fine at N/minute.
+--   search_query_embeddings     normalised query text -> embedding, so the
+--                               same "pens" typed by a thousand visitors is
+--                               one OpenAI call (scripts/lib/catalogue-search.js).
+--                               Keyed on sha256(model + normalised query), so
+--                               an EMBEDDING_MODEL change misses cleanly.
+--
+-- SECURITY: both tables are service_role only — RLS on, no policies (same as
+-- ai_quotas). The endpoint writes with the service role. The function is
+-- SECURITY DEFINER, EXECUTE granted to service_role only. So is
+-- prune_search_rate_limits().
+--
+-- Housekeeping: rate-limit rows older than a day are dead weight (one row
+-- per distinct IP ever seen). prune_search_rate_limits() deletes them; the
+-- daily price-change digest cron calls it. Cache rows are ignored after 30
+-- days by the reader.
+--
+-- APPLY (CLAUDE.md §52 + PR #76 lesson): open Supabase SQL Editor, paste, Run.
+-- NO explicit BEGIN/COMMIT. Idempotent. The final SELECT must return
+-- rate_fn = 1 and prune_fn = 1 on first apply.
+-- ROLLBACK: 20261019_public_search.down.sql.
+-- ============================================================================
+
+-- ---------------------------------------------------------------------------
+-- 1. Rate limit counters
+-- ---------------------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS public.search_rate_limits (
+  ip_hash       text        PRIMARY KEY,
+  window_start  timestamptz NOT NULL DEFAULT now(),
+  hits          integer     NOT NULL DEFAULT 0
+);
+
+COMMENT ON TABLE public.search_rate_limits IS
+  'Fixed-window request counter for the public catalogue search, keyed by hashed client IP. Written only via bump_search_rate_limit().';
+
+ALTER TABLE public.search_rate_limits ENABLE ROW LEVEL SECURITY;
+
+-- ---------------------------------------------------------------------------
+-- 2. Atomic bump (called by the endpoint via PostgREST /rpc)
+-- ---------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.bump_search_rate_limit(
+  p_ip_hash         text,
+  p_window_seconds  integer,
+  p_limit           integer
+)
+RETURNS TABLE (allowed boolean, hits integer, retry_after_seconds integer)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = ''
+AS $$
+DECLARE
+  v_window interval := make_interval(secs => p_window_seconds);
+  v_row    public.search_rate_limits%ROWTYPE;
+BEGIN
+  INSERT INTO public.search_rate_limits AS r (ip_hash, window_start, hits)
+  VALUES (p_ip_hash, now(), 1)
+  ON CONFLICT (ip_hash) DO UPDATE
+     SET window_start = CASE WHEN r.window_start <= now() - v_window
+                             THEN now() ELSE r.window_start END,
+         hits         = CASE WHEN r.window_start <= now() - v_window
+                             THEN 1 ELSE r.hits + 1 END
+  RETURNING r.* INTO v_row;
+
+  allowed := v_row.hits <= p_limit;
+  hits := v_row.hits;
+  retry_after_seconds := CASE
+    WHEN allowed THEN 0
+    ELSE GREATEST(1, ceil(extract(epoch FROM (v_row.window_start + v_window - now())))::integer)
+  END;
+  RETURN NEXT;
+END;
+$$;
+
+COMMENT ON FUNCTION public.bump_search_rate_limit(text, integer, integer) IS
+  'Counts one public search request for p_ip_hash in a fixed window of p_window_seconds. allowed = false once hits exceed p_limit; retry_after_seconds is the time left in the window. service_role only.';
+
+REVOKE ALL ON FUNCTION public.bump_search_rate_limit(text, integer, integer) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.bump_search_rate_limit(text, integer, integer) TO service_role;
+
+-- ---------------------------------------------------------------------------
+-- 3. Query embedding cache
+-- ---------------------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS public.search_query_embeddings (
+  query_hash    text         PRIMARY KEY,
+  query_text    text         NOT NULL,
+  model         text         NOT NULL,
+  embedding     vector(1536) NOT NULL,
+  hits          integer      NOT NULL DEFAULT 1,
+  created_at    timestamptz  NOT NULL DEFAULT now(),
+  last_used_at  timestamptz  NOT NULL DEFAULT now()
+);
+
+COMMENT ON TABLE public.search_query_embeddings IS
+  'Cache of OpenAI embeddings for normalised public search queries. query_hash = sha256(model || normalised query). Rows older than 30 days are re-embedded on next use.';
+
+CREATE INDEX IF NOT EXISTS search_query_embeddings_last_used_idx
+  ON public.search_query_embeddings (last_used_at DESC);
+
+ALTER TABLE public.search_query_embeddings ENABLE ROW LEVEL SECURITY;
+
+-- ---------------------------------------------------------------------------
+-- 4. Housekeeping — called daily by api/cron/price-change-digest.js; safe to
+--    run by hand.
+-- ---------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.prune_search_rate_limits()
+RETURNS integer
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = ''
+AS $$
+DECLARE
+  v_deleted integer;
+BEGIN
+  DELETE FROM public.search_rate_limits WHERE window_start < now() - interval '1 day';
+  GET DIAGNOSTICS v_deleted = ROW_COUNT;
+  RETURN v_deleted;
+END;
+$$;
+
+COMMENT ON FUNCTION public.prune_search_rate_limits() IS
+  'Deletes search rate-limit rows whose window started over a day ago. Returns the number deleted. service_role only.';
+
+REVOKE ALL ON FUNCTION public.prune_search_rate_limits() FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.prune_search_rate_limits() TO service_role;
+
+SELECT public.prune_search_rate_limits();
+
+-- ---------------------------------------------------------------------------
+-- Verification
+-- ---------------------------------------------------------------------------
+SELECT
+  (SELECT COUNT(*) FROM public.search_query_embeddings) AS cached_queries,
+  (SELECT COUNT(*) FROM pg_proc WHERE proname = 'bump_search_rate_limit') AS rate_fn,
+  (SELECT COUNT(*) FROM pg_proc WHERE proname = 'prune_search_rate_limits') AS prune_fn;
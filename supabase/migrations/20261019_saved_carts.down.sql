@@ -0,0 +1,15 @@
+-- Rollback for 20261019_saved_carts.sql.
+--
+-- Carts go back to localStorage only. Saved carts are dropped with the table;
+-- the cart-previews bucket is kept (Supabase refuses to drop a non-empty
+-- bucket from SQL) — empty and delete it from the dashboard if wanted.
+-- NO explicit BEGIN/COMMIT (PR #76 lesson). Idempotent.
+
+DROP POLICY IF EXISTS "Customers can upload own cart previews" ON storage.objects;
+DROP POLICY IF EXISTS "Customers can update own cart previews" ON storage.objects;
+DROP POLICY IF EXISTS "Customers can read own cart previews"   ON storage.objects;
+DROP POLICY IF EXISTS "Customers can delete own cart previews" ON storage.objects;
+DROP POLICY IF EXISTS "Admins can read all cart previews"      ON storage.objects;
+
+DROP FUNCTION IF EXISTS public.merge_anonymous_cart(jsonb);
+DROP TABLE IF EXISTS public.carts;
@@ -0,0 +1,194 @@
+-- ============================================================================
+-- Server-side carts for signed-in customers.
+-- ----------------------------------------------------------------------------
+-- WHY: CartContext kept the cart in localStorage only, base64 previews
+-- included. Carts vanished across devices, could overflow the storage quota,
+-- and staff never saw them. Signed-in customers now get one cart row each:
+--
+--   carts                       user_id (PK) + items jsonb — the same item
+--                               objects CartContext holds, minus transient
+--                               fields (signed preview URLs, base64 data).
+--   merge_anonymous_cart(items) appends the anonymous localStorage cart on
+--                               sign-in, skipping item ids already present —
+--                               the cart counterpart of
+--                               migrate_session_designs_to_user. Returns the
+--                               merged items so the client needs no re-read.
+--   cart-previews bucket        design previews as storage objects under
+--                               {userId}/{itemId}.png instead of base64
+--                               inside the cart (private; signed URLs).
+--
+-- Prices in items are a snapshot. src/services/cartService.js reprices them
+-- against current catalog_pricing_tiers every time the cart is reopened.
+--
+-- SECURITY: customers read / write only their own row and folder
+-- (auth.uid()); staff can read every cart and preview (is_admin). The merge
+-- function is SECURITY INVOKER, so the same policies gate it.
+--
+-- APPLY (CLAUDE.md §52 + PR #76 lesson): open Supabase SQL Editor, paste, Run.
+-- NO explicit BEGIN/COMMIT. Idempotent. The final SELECT must return
+-- carts_table = 1, cart_policies = 5, merge_fn = 1, bucket = 1 and
+-- preview_policies = 5.
+-- ROLLBACK: 20261019_saved_carts.down.sql.
+-- ============================================================================
+
+-- ---------------------------------------------------------------------------
+-- 1. carts — one row per customer
+-- ---------------------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS public.carts (
+  user_id    uuid        PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+  items      jsonb       NOT NULL DEFAULT '[]'::jsonb,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT carts_items_is_array CHECK (jsonb_typeof(items) = 'array')
+);
+
+-- Staff "carts touched recently" lists.
+CREATE INDEX IF NOT EXISTS idx_carts_updated_at ON public.carts (updated_at DESC);
+
+ALTER TABLE public.carts ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Customers read own cart"   ON public.carts;
+DROP POLICY IF EXISTS "Customers insert own cart" ON public.carts;
+DROP POLICY IF EXISTS "Customers update own cart" ON public.carts;
+DROP POLICY IF EXISTS "Customers delete own cart" ON public.carts;
+DROP POLICY IF EXISTS "Admins view carts"         ON public.carts;
+
+CREATE POLICY "Customers read own cart" ON public.carts
+  FOR SELECT TO authenticated
+  USING (user_id = auth.uid());
+
+CREATE POLICY "Customers insert own cart" ON public.carts
+  FOR INSERT TO authenticated
+  WITH CHECK (user_id = auth.uid());
+
+CREATE POLICY "Customers update own cart" ON public.carts
+  FOR UPDATE TO authenticated
+  USING (user_id = auth.uid())
+  WITH CHECK (user_id = auth.uid());
+
+CREATE POLICY "Customers delete own cart" ON public.carts
+  FOR DELETE TO authenticated
+  USING (user_id = auth.uid());
+
+CREATE POLICY "Admins view carts" ON public.carts
+  FOR SELECT TO authenticated
+  USING (is_admin(auth.uid()));
+
+-- ---------------------------------------------------------------------------
+-- 2. merge_anonymous_cart — append the pre-sign-in cart, skipping ids the
+--    account cart already holds (a second sign-in on the same browser must
+--    not duplicate lines). Returns the merged items array.
+-- ---------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.merge_anonymous_cart(p_items jsonb)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY INVOKER
+SET search_path = public
+AS $$
+DECLARE
+  v_user  uuid := auth.uid();
+  v_items jsonb;
+BEGIN
+  IF v_user IS NULL THEN
+    RAISE EXCEPTION 'merge_anonymous_cart requires a signed-in user';
+  END IF;
+  IF p_items IS NULL OR jsonb_typeof(p_items) <> 'array' THEN
+    p_items := '[]'::jsonb;
+  END IF;
+
+  INSERT INTO public.carts (user_id) VALUES (v_user)
+  ON CONFLICT (user_id) DO NOTHING;
+
+  UPDATE public.carts c
+     SET items = c.items || COALESCE((
+           SELECT jsonb_agg(i.value ORDER BY i.ordinality)
+             FROM jsonb_array_elements(p_items) WITH ORDINALITY AS i(value, ordinality)
+            WHERE NOT EXISTS (
+              SELECT 1 FROM jsonb_array_elements(c.items) e
+               WHERE e.value->>'id' = i.value->>'id'
+            )
+         ), '[]'::jsonb),
+         updated_at = now()
+   WHERE c.user_id = v_user
+  RETURNING c.items INTO v_items;
+
+  RETURN COALESCE(v_items, '[]'::jsonb);
+END;
+$$;
+
+COMMENT ON FUNCTION public.merge_anonymous_cart(jsonb) IS
+  'Appends anonymous cart items to the caller''s carts row (skipping ids already present) and returns the merged items. SECURITY INVOKER: carts RLS is the gate.';
+
+REVOKE ALL ON FUNCTION public.merge_anonymous_cart(jsonb) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.merge_anonymous_cart(jsonb) TO authenticated;
+
+-- ---------------------------------------------------------------------------
+-- 3. cart-previews bucket (private). Path: {userId}/{itemId}.png
+-- ---------------------------------------------------------------------------
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('cart-previews', 'cart-previews', false)
+ON CONFLICT (id) DO NOTHING;
+
+DROP POLICY IF EXISTS "Customers can upload own cart previews" ON storage.objects;
+DROP POLICY IF EXISTS "Customers can update own cart previews" ON storage.objects;
+DROP POLICY IF EXISTS "Customers can read own cart previews"   ON storage.objects;
+DROP POLICY IF EXISTS "Customers can delete own cart previews" ON storage.objects;
+DROP POLICY IF EXISTS "Admins can read all cart previews"      ON storage.objects;
+
+CREATE POLICY "Customers can upload own cart previews"
+  ON storage.objects
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    bucket_id = 'cart-previews'
+    AND (storage.foldername(name))[1] = auth.uid()::text
+  );
+
+-- upsert: true re-uploads a preview for the same item.
+CREATE POLICY "Customers can update own cart previews"
+  ON storage.objects
+  FOR UPDATE
+  TO authenticated
+  USING (
+    bucket_id = 'cart-previews'
+    AND (storage.foldername(name))[1] = auth.uid()::text
+  );
+
+CREATE POLICY "Customers can read own cart previews"
+  ON storage.objects
+  FOR SELECT
+  TO authenticated
+  USING (
+    bucket_id = 'cart-previews'
+    AND (storage.foldername(name))[1] = auth.uid()::text
+  );
+
+CREATE POLICY "Customers can delete own cart previews"
+  ON storage.objects
+  FOR DELETE
+  TO authenticated
+  USING (
+    bucket_id = 'cart-previews'
+    AND (storage.foldername(name))[1] = auth.uid()::text
+  );
+
+CREATE POLICY "Admins can read all cart previews"
+  ON storage.objects
+  FOR SELECT
+  TO authenticated
+  USING (
+    bucket_id = 'cart-previews'
+    AND public.is_admin(auth.uid())
+  );
+
+-- ---------------------------------------------------------------------------
+-- Verification
+-- ---------------------------------------------------------------------------
+SELECT
+  (SELECT COUNT(*) FROM information_schema.tables
+    WHERE table_schema = 'public' AND table_name = 'carts') AS carts_table,
+  (SELECT COUNT(*) FROM pg_policies WHERE tablename = 'carts') AS cart_policies,
+  (SELECT COUNT(*) FROM pg_proc WHERE proname = 'merge_anonymous_cart') AS merge_fn,
+  (SELECT COUNT(*) FROM storage.buckets WHERE id = 'cart-previews') AS bucket,
+  (SELECT COUNT(*) FROM pg_policies
+    WHERE schemaname = 'storage' AND policyname LIKE '%cart previews') AS preview_policies;
@@ -0,0 +1,14 @@
+-- Rollback for 20261019_supplier_adapters.sql.
+--
+-- Restores table-wide SELECT for anon + authenticated and drops the adapter
+-- columns. Deploy the pre-adapter scripts/lib (laltex-sync.js /
+-- laltex-stock.js as full modules) FIRST — the adapter-based jobs read
+-- suppliers.adapter and fail without it. Any feed supplier's adapter_config
+-- is lost; export it first if it matters.
+-- NO explicit BEGIN/COMMIT (PR #76 lesson). Idempotent.
+
+GRANT SELECT ON public.suppliers TO anon, authenticated;
+
+ALTER TABLE public.suppliers DROP CONSTRAINT IF EXISTS suppliers_adapter_check;
+ALTER TABLE public.suppliers DROP COLUMN IF EXISTS adapter_config;
+ALTER TABLE public.suppliers DROP COLUMN IF EXISTS adapter;
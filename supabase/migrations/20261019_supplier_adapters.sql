@@ -0,0 +1,69 @@
+-- ============================================================================
+-- Supplier adapters.
+-- ----------------------------------------------------------------------------
+-- WHY: suppliers / supplier_products were designed for many wholesalers, but
+-- the sync, stock and embed jobs were hard-wired to slug='laltex'. The jobs
+-- are now supplier-agnostic (scripts/lib/supplier-sync.js,
+-- supplier-stock.js) and everything supplier-specific sits behind an adapter
+-- (scripts/lib/suppliers/). This migration records WHICH adapter each
+-- supplier uses and its configuration.
+--
+--   suppliers.adapter         'laltex' = the Laltex trade REST API
+--                             'feed'   = a CSV / XML file feed, driven
+--                                        entirely by adapter_config
+--                             NULL     = not synced (pgifts-direct: the
+--                                        house catalogue is hand-curated)
+--   suppliers.adapter_config  jsonb for the adapter. Shape for 'feed' is
+--                             documented in scripts/lib/suppliers/feed.js.
+--                             NEVER put secrets here — name the env var
+--                             instead (adapter_config.auth.env).
+--
+-- PRIVACY: suppliers is readable by anon + authenticated (PDPs, AVA). Feed
+-- URLs are commercial detail, so adapter_config is column-revoked from both
+-- roles. Every client read already names its columns (AdminPricing,
+-- productCatalogService embeds), so nothing in the app changes.
+--
+-- APPLY (CLAUDE.md §52 + PR #76 lesson): open Supabase SQL Editor, paste, Run.
+-- NO explicit BEGIN/COMMIT. Idempotent. The final SELECT must show
+-- laltex -> adapter 'laltex' and pgifts-direct -> NULL.
+-- ROLLBACK: 20261019_supplier_adapters.down.sql.
+-- ============================================================================
+
+-- ---------------------------------------------------------------------------
+-- 1. Columns
+-- ---------------------------------------------------------------------------
+ALTER TABLE public.suppliers ADD COLUMN IF NOT EXISTS adapter        text;
+ALTER TABLE public.suppliers ADD COLUMN IF NOT EXISTS adapter_config jsonb NOT NULL DEFAULT '{}'::jsonb;
+
+-- Adapter types must exist in scripts/lib/suppliers/index.js. Adding a new
+-- adapter type = code + widen this CHECK in the same PR.
+ALTER TABLE public.suppliers DROP CONSTRAINT IF EXISTS suppliers_adapter_check;
+ALTER TABLE public.suppliers ADD CONSTRAINT suppliers_adapter_check
+  CHECK (adapter IS NULL OR adapter IN ('laltex', 'feed'));
+
+COMMENT ON COLUMN public.suppliers.adapter IS
+  'Catalogue adapter (scripts/lib/suppliers): laltex | feed. NULL = not synced by the supplier jobs.';
+COMMENT ON COLUMN public.suppliers.adapter_config IS
+  'Adapter settings (feed URLs, column mapping, delivery bands). No secrets — name env vars instead. Not readable by anon/authenticated.';
+
+-- ---------------------------------------------------------------------------
+-- 2. Existing suppliers
+-- ---------------------------------------------------------------------------
+UPDATE public.suppliers
+   SET adapter = 'laltex', updated_at = now()
+ WHERE slug = 'laltex'
+   AND adapter IS DISTINCT FROM 'laltex';
+
+-- ---------------------------------------------------------------------------
+-- 3. Hide adapter_config from the public roles (column privileges)
+-- ---------------------------------------------------------------------------
+REVOKE SELECT ON public.suppliers FROM anon, authenticated;
+GRANT SELECT (id, name, slug, api_base_url, notes, is_active, created_at, updated_at, adapter)
+  ON public.suppliers TO anon, authenticated;
+
+-- ---------------------------------------------------------------------------
+-- Verification
+-- ---------------------------------------------------------------------------
+SELECT slug, adapter, adapter_config, is_active
+FROM public.suppliers
+ORDER BY slug;